@@ -3,3 +3,4 @@
  */
 
 export * from './math.js';
+export * from './random.js';
@@ -70,3 +70,25 @@ export function normalize(v) {
 export function length(v) {
   return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
 }
+
+// 4x4 matrices are column-major (WebGL layout): element (row, col) is m[col * 4 + row]
+
+export function multiplyMatrices(a, b) {
+  const out = new Float32Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+export function transformVec4(m, v) {
+  const out = [0, 0, 0, 0];
+  for (let row = 0; row < 4; row++) {
+    out[row] = m[row] * v[0] + m[4 + row] * v[1] + m[8 + row] * v[2] + m[12 + row] * v[3];
+  }
+  return out;
+}
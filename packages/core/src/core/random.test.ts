@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRandomState,
+  createRandomFn,
+  createSeededRandom,
+  nextRandom,
+  normalizeSeed,
+} from './random.js';
+
+describe('random', () => {
+  it('produces the same sequence for the same seed', () => {
+    const a = createSeededRandom(1234);
+    const b = createSeededRandom(1234);
+
+    for (let i = 0; i < 100; i++) {
+      expect(a()).toBe(b());
+    }
+  });
+
+  it('produces different sequences for different seeds', () => {
+    const a = createSeededRandom(1);
+    const b = createSeededRandom(2);
+
+    expect(a()).not.toBe(b());
+  });
+
+  it('returns values in [0, 1)', () => {
+    const random = createSeededRandom(99);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('continues the sequence from a copied state', () => {
+    const random = createRandomState(7);
+    nextRandom(random);
+    nextRandom(random);
+
+    // A snapshot of the state (e.g. from a save) resumes where it left off
+    const copy = { ...random };
+    expect(nextRandom(copy)).toBe(nextRandom(random));
+  });
+
+  it('advances the shared state through createRandomFn', () => {
+    const random = createRandomState(5);
+    const before = random.state;
+
+    createRandomFn(random)();
+
+    expect(random.state).not.toBe(before);
+    expect(random.seed).toBe(5);
+  });
+
+  it('normalizes seeds to unsigned 32-bit integers', () => {
+    expect(normalizeSeed(42.7)).toBe(42);
+    expect(normalizeSeed(-3)).toBe(3);
+    expect(normalizeSeed(2 ** 32 + 5)).toBe(5);
+  });
+});
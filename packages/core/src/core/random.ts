@@ -0,0 +1,76 @@
+// Seeded Random - Deterministic PRNG for replayable simulations
+//
+// The simulation used to fall back to Math.random everywhere, which made
+// event-log replay impossible. All randomness now flows through a seeded
+// generator whose state is plain data, so it lives in world state, can be
+// serialized with saves and replays to the same sequence every time.
+//
+// Algorithm: mulberry32 (32-bit state, fast, good enough for gameplay)
+
+/**
+ * Serializable random generator state
+ */
+export interface RandomState {
+  seed: number; // Original seed (for GAME_INIT / repro files)
+  state: number; // Current 32-bit generator state
+}
+
+/**
+ * Normalize any number into a 32-bit unsigned seed
+ * @param {number} seed - Any finite number
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function normalizeSeed(seed: number): number {
+  return Math.floor(Math.abs(seed)) >>> 0;
+}
+
+/**
+ * Create a fresh random state from a seed
+ * @param {number} seed - Seed value
+ * @returns {RandomState} Random state (mutated in place by nextRandom)
+ */
+export function createRandomState(seed: number): RandomState {
+  const normalized = normalizeSeed(seed);
+  return { seed: normalized, state: normalized };
+}
+
+/**
+ * Advance the generator and return the next value
+ * @param {RandomState} random - Random state (mutated)
+ * @returns {number} Value in [0, 1)
+ */
+export function nextRandom(random: RandomState): number {
+  random.state = (random.state + 0x6d2b79f5) >>> 0;
+  let t = random.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Wrap a random state as a randomFn compatible with the model APIs
+ * (setLullModel, backgroundWaveModel, foamModel, aiPlayerModel)
+ * @param {RandomState} random - Random state (advanced on each call)
+ * @returns {function} Random function returning [0, 1)
+ */
+export function createRandomFn(random: RandomState): () => number {
+  return () => nextRandom(random);
+}
+
+/**
+ * Create a standalone seeded random function
+ * Convenience for tests and tools that don't need to persist the state
+ * @param {number} seed - Seed value
+ * @returns {function} Random function returning [0, 1)
+ */
+export function createSeededRandom(seed: number): () => number {
+  return createRandomFn(createRandomState(seed));
+}
+
+/**
+ * Pick a new seed for a live session (non-deterministic by design)
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed(): number {
+  return normalizeSeed(Math.random() * 4294967296);
+}
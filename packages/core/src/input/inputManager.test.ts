@@ -0,0 +1,103 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createInputManager, mergeInputs, readGamepadInput, stickToInput } from './inputManager.js';
+import { rebindAction, resolveInputMap } from './inputMap.js';
+
+const pad = (axes, pressed = []) => ({
+  connected: true,
+  axes,
+  buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) })),
+});
+
+describe('inputManager', () => {
+  describe('stickToInput', () => {
+    it('ignores the dead zone and scales the rest to 0-1', () => {
+      expect(stickToInput(0.1, -0.1, 0.2)).toEqual({ left: 0, right: 0, up: 0, down: 0 });
+
+      const half = stickToInput(0.6, 0, 0.2);
+      expect(half.right).toBeCloseTo(0.5, 10);
+      expect(half.left).toBe(0);
+      expect(stickToInput(1, 0, 0.2).right).toBeCloseTo(1, 10);
+    });
+
+    it('splits diagonals across directions', () => {
+      const input = stickToInput(-Math.SQRT1_2, Math.SQRT1_2, 0);
+
+      expect(input.left).toBeCloseTo(Math.SQRT1_2, 10);
+      expect(input.down).toBeCloseTo(Math.SQRT1_2, 10);
+      expect(input.right).toBe(0);
+      expect(input.up).toBe(0);
+    });
+  });
+
+  it('merges sources by the strongest direction', () => {
+    expect(
+      mergeInputs([
+        { left: true, right: false, up: 0.3, down: 0 },
+        { left: 0.5, right: 0.2, up: 0.1, down: 0 },
+      ])
+    ).toEqual({ left: 1, right: 0.2, up: 0.3, down: 0 });
+  });
+
+  describe('readGamepadInput', () => {
+    it('reads the first connected pad stick and d-pad', () => {
+      const input = readGamepadInput([null, pad([0, -1], [15])], 0.2);
+
+      expect(input.up).toBeCloseTo(1, 10);
+      expect(input.right).toBe(1);
+      expect(input.left).toBe(0);
+    });
+
+    it('returns no input without a gamepad', () => {
+      expect(readGamepadInput([null], 0.2)).toEqual({ left: 0, right: 0, up: 0, down: 0 });
+      expect(readGamepadInput(undefined)).toEqual({ left: 0, right: 0, up: 0, down: 0 });
+    });
+  });
+
+  describe('createInputManager', () => {
+    let manager;
+    let map;
+
+    const press = (type, key) => window.dispatchEvent(new KeyboardEvent(type, { key }));
+
+    afterEach(() => manager?.dispose());
+
+    it('holds mapped movement keys until released', () => {
+      map = resolveInputMap();
+      manager = createInputManager({ getInputMap: () => map, getGamepads: () => [] });
+
+      press('keydown', 'ArrowLeft');
+      press('keydown', 'W');
+      expect(manager.getInput()).toEqual({ left: 1, right: 0, up: 1, down: 0 });
+
+      press('keyup', 'ArrowLeft');
+      expect(manager.getInput().left).toBe(0);
+
+      window.dispatchEvent(new Event('blur'));
+      expect(manager.getInput().up).toBe(0);
+    });
+
+    it('follows rebinding', () => {
+      map = rebindAction(resolveInputMap(), 'left', 'j');
+      manager = createInputManager({ getInputMap: () => map, getGamepads: () => [] });
+
+      press('keydown', 'a');
+      expect(manager.getInput().left).toBe(0);
+      press('keydown', 'j');
+      expect(manager.getInput().left).toBe(1);
+    });
+
+    it('mixes in the gamepad and touch joystick', () => {
+      map = resolveInputMap();
+      const touch = { getInput: () => ({ left: 0, right: 0, up: 0, down: 0.4 }) };
+      manager = createInputManager({
+        getInputMap: () => map,
+        getGamepads: () => [pad([0.6, 0])],
+        touch,
+      });
+
+      const input = manager.getInput();
+      expect(input.right).toBeCloseTo(0.5, 10);
+      expect(input.down).toBe(0.4);
+    });
+  });
+});
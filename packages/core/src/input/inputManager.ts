@@ -0,0 +1,157 @@
+/**
+ * Input Manager - Player movement from keyboard, gamepad and touch
+ *
+ * Every source reports {left, right, up, down} as magnitudes (0-1): keys are
+ * 0 or 1, a gamepad stick or the touch joystick anything between. Sources are
+ * merged per direction by taking the strongest, so they can be mixed freely.
+ *
+ * Keyboard keys are looked up in the rebindable input map (input/inputMap.ts).
+ */
+
+import { getActionsForKey, INPUT_GROUP, MOVE_ACTIONS, normalizeKey } from './inputMap.js';
+
+export const DEFAULT_DEAD_ZONE = 0.2;
+
+// Standard gamepad mapping: left stick on axes 0/1, d-pad on buttons 12-15
+const GAMEPAD_AXIS_X = 0;
+const GAMEPAD_AXIS_Y = 1;
+const GAMEPAD_DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+/**
+ * Input with no direction held
+ * @returns {{left: number, right: number, up: number, down: number}}
+ */
+export function createEmptyInput() {
+  return { left: 0, right: 0, up: 0, down: 0 };
+}
+
+/**
+ * Convert a stick position to directional input
+ *
+ * The dead zone is radial, and the remaining travel is rescaled so the input
+ * starts at 0 at the dead zone's edge and reaches 1 at full tilt.
+ *
+ * @param {number} x - Stick x (-1 left .. 1 right)
+ * @param {number} y - Stick y (-1 up .. 1 down)
+ * @param {number} deadZone - Radius (0-1) ignored around center
+ * @returns {{left: number, right: number, up: number, down: number}}
+ */
+export function stickToInput(x, y, deadZone = DEFAULT_DEAD_ZONE) {
+  const input = createEmptyInput();
+  const length = Math.hypot(x, y);
+  if (!(length > deadZone)) return input;
+
+  const magnitude = Math.min(1, (length - deadZone) / (1 - deadZone));
+  const scale = magnitude / length;
+  input.left = Math.max(0, -x * scale);
+  input.right = Math.max(0, x * scale);
+  input.up = Math.max(0, -y * scale);
+  input.down = Math.max(0, y * scale);
+  return input;
+}
+
+/**
+ * Merge input sources, keeping the strongest magnitude per direction
+ * @param {object[]} inputs - Inputs {left, right, up, down}
+ * @returns {{left: number, right: number, up: number, down: number}}
+ */
+export function mergeInputs(inputs) {
+  const merged = createEmptyInput();
+  for (const input of inputs) {
+    for (const action of MOVE_ACTIONS) {
+      merged[action] = Math.max(merged[action], Number(input[action]) || 0);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read directional input from the first connected gamepad
+ * @param {Array} gamepads - Result of navigator.getGamepads() (may hold nulls)
+ * @param {number} deadZone - Stick dead zone radius (0-1)
+ * @returns {{left: number, right: number, up: number, down: number}}
+ */
+export function readGamepadInput(gamepads, deadZone = DEFAULT_DEAD_ZONE) {
+  const pad: any = Array.from(gamepads ?? []).find((candidate: any) => candidate?.connected);
+  if (!pad) return createEmptyInput();
+
+  const axes = pad.axes ?? [];
+  const stick = stickToInput(axes[GAMEPAD_AXIS_X] ?? 0, axes[GAMEPAD_AXIS_Y] ?? 0, deadZone);
+  const dpad = createEmptyInput();
+  for (const action of MOVE_ACTIONS) {
+    dpad[action] = pad.buttons?.[GAMEPAD_DPAD[action]]?.pressed ? 1 : 0;
+  }
+  return mergeInputs([stick, dpad]);
+}
+
+/**
+ * Create input manager
+ * @param {object} options
+ * @param {EventTarget} options.target - Receives key events (default: window)
+ * @param {function} options.getInputMap - Returns the current input map
+ * @param {function} options.getGamepads - Returns connected gamepads (default: navigator.getGamepads)
+ * @param {object} options.touch - Touch joystick with getInput() (optional)
+ * @param {number} options.deadZone - Gamepad stick dead zone radius (0-1)
+ * @returns {object} {getInput, dispose}
+ */
+export function createInputManager(options: Record<string, any> = {}) {
+  const {
+    target = window,
+    getInputMap,
+    getGamepads = () => navigator.getGamepads?.() ?? [],
+    touch = null,
+    deadZone = DEFAULT_DEAD_ZONE,
+  } = options;
+
+  const heldKeys = new Set();
+
+  function readKeyboardInput() {
+    const map = getInputMap();
+    const input = createEmptyInput();
+    for (const key of heldKeys) {
+      for (const action of getActionsForKey(map, key, INPUT_GROUP.MOVE)) {
+        input[action] = 1;
+      }
+    }
+    return input;
+  }
+
+  function handleKeydown(e) {
+    const key = normalizeKey(e.key);
+    if (getActionsForKey(getInputMap(), key, INPUT_GROUP.MOVE).length === 0) return;
+    heldKeys.add(key);
+    e.preventDefault();
+  }
+
+  function handleKeyup(e) {
+    heldKeys.delete(normalizeKey(e.key));
+  }
+
+  // Keyup never arrives for keys released while the window is unfocused
+  function handleBlur() {
+    heldKeys.clear();
+  }
+
+  target.addEventListener('keydown', handleKeydown);
+  target.addEventListener('keyup', handleKeyup);
+  target.addEventListener('blur', handleBlur);
+
+  return {
+    /**
+     * Current merged input
+     * @returns {{left: number, right: number, up: number, down: number}}
+     */
+    getInput() {
+      const sources = [readKeyboardInput(), readGamepadInput(getGamepads(), deadZone)];
+      if (touch) sources.push(touch.getInput());
+      return mergeInputs(sources);
+    },
+
+    dispose() {
+      target.removeEventListener('keydown', handleKeydown);
+      target.removeEventListener('keyup', handleKeyup);
+      target.removeEventListener('blur', handleBlur);
+      heldKeys.clear();
+    },
+  };
+}
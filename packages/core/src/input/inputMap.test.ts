@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INPUT_ACTIONS,
+  INPUT_GROUP,
+  formatKey,
+  getActionsForKey,
+  getBindingOverrides,
+  normalizeKey,
+  rebindAction,
+  resolveInputMap,
+} from './inputMap.js';
+import { getHotkeyForSetting } from '../state/settingsModel.js';
+
+describe('inputMap', () => {
+  it('defaults to WASD/arrows and the settings hotkeys', () => {
+    const map = resolveInputMap();
+
+    expect(map.left).toEqual(['arrowleft', 'a']);
+    expect(map.showBathymetry).toEqual([getHotkeyForSetting('showBathymetry')]);
+    expect(map.cycleCamera).toEqual(['v']);
+    expect(Object.keys(map)).toHaveLength(INPUT_ACTIONS.length);
+  });
+
+  it('applies stored overrides and ignores malformed ones', () => {
+    const map = resolveInputMap({ left: ['J'], right: 'l', unknown: ['x'], up: [''] });
+
+    expect(map.left).toEqual(['j']);
+    expect(map.right).toEqual(['arrowright', 'd']);
+    expect(map.up).toEqual(['arrowup', 'w']);
+    expect(map.unknown).toBeUndefined();
+  });
+
+  it('looks up actions by key within a group', () => {
+    const map = resolveInputMap();
+
+    // 'a' moves left and toggles the AI player
+    expect(getActionsForKey(map, 'a', INPUT_GROUP.MOVE)).toEqual(['left']);
+    expect(getActionsForKey(map, 'a', INPUT_GROUP.HOTKEY)).toEqual(['showAIPlayer']);
+    expect(getActionsForKey(map, normalizeKey('ArrowUp'), INPUT_GROUP.MOVE)).toEqual(['up']);
+    expect(getActionsForKey(map, 'q', INPUT_GROUP.HOTKEY)).toEqual([]);
+  });
+
+  it('moves a key from other actions of the same group when rebinding', () => {
+    const map = rebindAction(resolveInputMap(), 'cycleCamera', 'b');
+
+    expect(map.cycleCamera).toEqual(['b']);
+    expect(map.showBathymetry).toEqual([]);
+    expect(getActionsForKey(map, 'b', INPUT_GROUP.HOTKEY)).toEqual(['cycleCamera']);
+
+    // Movement keeps its keys
+    const moved = rebindAction(map, 'left', 'v');
+    expect(moved.left).toEqual(['v']);
+    expect(moved.cycleCamera).toEqual(['b']);
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => rebindAction(resolveInputMap(), 'fly', 'f')).toThrow(/Unknown input action fly/);
+  });
+
+  it('stores only the changed bindings', () => {
+    expect(getBindingOverrides(resolveInputMap())).toEqual({});
+
+    const map = rebindAction(resolveInputMap(), 'cycleCamera', 'b');
+    const overrides = getBindingOverrides(map);
+    expect(overrides).toEqual({ cycleCamera: ['b'], showBathymetry: [] });
+    expect(resolveInputMap(overrides)).toEqual(map);
+  });
+
+  it('formats keys for display', () => {
+    expect(formatKey(' ')).toBe('Space');
+    expect(formatKey('arrowleft')).toBe('←');
+    expect(formatKey('b')).toBe('B');
+    expect(formatKey('escape')).toBe('escape');
+  });
+});
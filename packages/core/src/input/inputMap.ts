@@ -0,0 +1,156 @@
+/**
+ * Input Map - Rebindable keys for movement and hotkeys
+ *
+ * Keys are KeyboardEvent.key values, lower-cased ('a', 'arrowleft', ' ').
+ * Movement actions are held and read every frame (inputManager.ts); hotkey
+ * actions fire once per key press (keyboardHandler.ts). Toggle hotkeys default
+ * to SETTINGS_SCHEMA.hotkey. The `inputBindings` setting stores only the
+ * actions whose keys differ from the defaults.
+ */
+
+import { SETTINGS_SCHEMA } from '../state/settingsModel.js';
+
+export const INPUT_GROUP = {
+  MOVE: 'move',
+  HOTKEY: 'hotkey',
+};
+
+export const MOVE_ACTIONS = ['left', 'right', 'up', 'down'];
+
+// Hotkeys that are not settings toggles
+const COMMAND_ACTIONS = [
+  { action: 'cycleTimeScale', label: 'Time Scale', keys: ['t'] },
+  { action: 'cycleAIMode', label: 'AI Mode', keys: ['m'] },
+  { action: 'cycleBathymetryPreset', label: 'Bathymetry Preset', keys: ['n'] },
+  { action: 'cycleCamera', label: 'Camera', keys: ['v'] },
+  { action: 'timelinePause', label: 'Pause', keys: [' '] },
+  { action: 'timelineStepBack', label: 'Step Back', keys: [','] },
+  { action: 'timelineStepForward', label: 'Step Forward', keys: ['.'] },
+  { action: 'bookmarkPrevious', label: 'Previous Bookmark', keys: ['['] },
+  { action: 'bookmarkNext', label: 'Next Bookmark', keys: [']'] },
+];
+
+// 'showFoamOptionA' -> 'Foam Option A', 'editBathymetry' -> 'Edit Bathymetry'
+function toggleLabel(key) {
+  const words = key.replace(/^show/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Every bindable action with its default keys, in display order
+ */
+export const INPUT_ACTIONS = [
+  { action: 'left', label: 'Move Left', group: INPUT_GROUP.MOVE, keys: ['arrowleft', 'a'] },
+  { action: 'right', label: 'Move Right', group: INPUT_GROUP.MOVE, keys: ['arrowright', 'd'] },
+  { action: 'up', label: 'Move Up', group: INPUT_GROUP.MOVE, keys: ['arrowup', 'w'] },
+  { action: 'down', label: 'Move Down', group: INPUT_GROUP.MOVE, keys: ['arrowdown', 's'] },
+  ...COMMAND_ACTIONS.map((command) => ({ ...command, group: INPUT_GROUP.HOTKEY })),
+  ...Object.entries(SETTINGS_SCHEMA)
+    .filter(([, schema]) => schema.type === 'boolean' && 'hotkey' in schema)
+    .map(([key, schema]) => ({
+      action: key,
+      label: toggleLabel(key),
+      group: INPUT_GROUP.HOTKEY,
+      keys: [(schema as { hotkey: string }).hotkey],
+    })),
+];
+
+const ACTIONS_BY_NAME = new Map(INPUT_ACTIONS.map((entry) => [entry.action, entry]));
+
+/**
+ * Normalize a KeyboardEvent.key for the map
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string} Lower-cased key
+ */
+export function normalizeKey(key) {
+  return String(key).toLowerCase();
+}
+
+/**
+ * Display name of a key
+ * @param {string} key - Normalized key
+ * @returns {string} e.g. 'Space', '←', 'B'
+ */
+export function formatKey(key) {
+  const names = {
+    ' ': 'Space',
+    arrowleft: '←',
+    arrowright: '→',
+    arrowup: '↑',
+    arrowdown: '↓',
+  };
+  return names[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+}
+
+/**
+ * Resolve the input map from the stored overrides
+ * @param {object} overrides - {action: keys[]} from the `inputBindings` setting
+ * @returns {object} {action: keys[]} for every action (unknown actions and
+ *   malformed entries in the overrides are ignored)
+ */
+export function resolveInputMap(overrides: Record<string, any> = {}) {
+  const map: Record<string, string[]> = {};
+  for (const { action, keys } of INPUT_ACTIONS) {
+    const override = overrides?.[action];
+    const valid =
+      Array.isArray(override) && override.every((key) => typeof key === 'string' && key !== '');
+    map[action] = valid ? override.map(normalizeKey) : [...keys];
+  }
+  return map;
+}
+
+/**
+ * Actions of a group bound to a key
+ * @param {object} map - Input map from resolveInputMap
+ * @param {string} key - Normalized key
+ * @param {string} group - An INPUT_GROUP value
+ * @returns {string[]} Matching actions, in INPUT_ACTIONS order
+ */
+export function getActionsForKey(map, key, group) {
+  return INPUT_ACTIONS.filter(
+    (entry) => entry.group === group && map[entry.action]?.includes(key)
+  ).map((entry) => entry.action);
+}
+
+/**
+ * Bind a key to an action
+ *
+ * The action gets just this key; other actions of the same group lose it, so a
+ * key never triggers two hotkeys (a movement key may still double as a hotkey,
+ * as 'a', 's' and 'd' do by default).
+ *
+ * @param {object} map - Input map from resolveInputMap
+ * @param {string} action - Action to rebind
+ * @param {string} key - Normalized key
+ * @returns {object} New input map
+ */
+export function rebindAction(map, action, key) {
+  const entry = ACTIONS_BY_NAME.get(action);
+  if (!entry) {
+    throw new Error(`Unknown input action ${action}`);
+  }
+
+  const next: Record<string, string[]> = {};
+  for (const { action: other, group } of INPUT_ACTIONS) {
+    if (other === action) next[other] = [key];
+    else if (group === entry.group) next[other] = map[other].filter((bound) => bound !== key);
+    else next[other] = [...map[other]];
+  }
+  return next;
+}
+
+/**
+ * The actions whose keys differ from the defaults (what the setting stores)
+ * @param {object} map - Input map from resolveInputMap
+ * @returns {object} {action: keys[]}
+ */
+export function getBindingOverrides(map) {
+  const overrides: Record<string, string[]> = {};
+  for (const { action, keys } of INPUT_ACTIONS) {
+    const bound = map[action] ?? keys;
+    if (bound.length !== keys.length || bound.some((key, i) => key !== keys[i])) {
+      overrides[action] = [...bound];
+    }
+  }
+  return overrides;
+}
@@ -1,72 +0,0 @@
-interface KeyState {
-  left: boolean;
-  right: boolean;
-  up: boolean;
-  down: boolean;
-}
-
-export class KeyboardInput {
-  keys: KeyState;
-
-  constructor() {
-    this.keys = {
-      left: false,
-      right: false,
-      up: false,
-      down: false,
-    };
-
-    window.addEventListener('keydown', (e) => this.onKeyDown(e));
-    window.addEventListener('keyup', (e) => this.onKeyUp(e));
-  }
-
-  onKeyDown(e) {
-    switch (e.code) {
-      case 'ArrowLeft':
-      case 'KeyA':
-        this.keys.left = true;
-        e.preventDefault();
-        break;
-      case 'ArrowRight':
-      case 'KeyD':
-        this.keys.right = true;
-        e.preventDefault();
-        break;
-      case 'ArrowUp':
-      case 'KeyW':
-        this.keys.up = true;
-        e.preventDefault();
-        break;
-      case 'ArrowDown':
-      case 'KeyS':
-        this.keys.down = true;
-        e.preventDefault();
-        break;
-    }
-  }
-
-  onKeyUp(e) {
-    switch (e.code) {
-      case 'ArrowLeft':
-      case 'KeyA':
-        this.keys.left = false;
-        break;
-      case 'ArrowRight':
-      case 'KeyD':
-        this.keys.right = false;
-        break;
-      case 'ArrowUp':
-      case 'KeyW':
-        this.keys.up = false;
-        break;
-      case 'ArrowDown':
-      case 'KeyS':
-        this.keys.down = false;
-        break;
-    }
-  }
-
-  getKeys() {
-    return this.keys;
-  }
-}
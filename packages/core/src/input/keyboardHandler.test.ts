@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { createKeyboardHandler } from './keyboardHandler.js';
 import { SETTINGS_SCHEMA } from '../state/settingsModel.js';
+import { rebindAction, resolveInputMap } from './inputMap.js';
 
 describe('keyboardHandler', () => {
   let cleanup;
@@ -99,6 +100,74 @@ describe('keyboardHandler', () => {
     });
   });
 
+  describe('bathymetry presets', () => {
+    it('calls onBathymetryPresetChange when n pressed', () => {
+      callbacks.onBathymetryPresetChange = vi.fn();
+      cleanup = createKeyboardHandler(callbacks);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'n' }));
+      expect(callbacks.onBathymetryPresetChange).toHaveBeenCalled();
+      expect(callbacks.onToggle).not.toHaveBeenCalled();
+    });
+
+    it('ignores n when no preset handler is registered', () => {
+      cleanup = createKeyboardHandler(callbacks);
+
+      expect(() =>
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'n' }))
+      ).not.toThrow();
+    });
+  });
+
+  describe('camera', () => {
+    it('calls onCameraModeChange when v pressed', () => {
+      callbacks.onCameraModeChange = vi.fn();
+      cleanup = createKeyboardHandler(callbacks);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'V' }));
+      expect(callbacks.onCameraModeChange).toHaveBeenCalled();
+      expect(callbacks.onToggle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('timeline', () => {
+    it('pauses on Space and steps frames with , and .', () => {
+      callbacks.onTimelinePause = vi.fn();
+      callbacks.onTimelineStep = vi.fn();
+      cleanup = createKeyboardHandler(callbacks);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: ',' }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '.' }));
+
+      expect(callbacks.onTimelinePause).toHaveBeenCalledTimes(1);
+      expect(callbacks.onTimelineStep.mock.calls).toEqual([[-1], [1]]);
+    });
+
+    it('jumps between bookmarks with [ and ]', () => {
+      callbacks.onTimelineBookmarkJump = vi.fn();
+      cleanup = createKeyboardHandler(callbacks);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: ']' }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '[' }));
+
+      expect(callbacks.onTimelineBookmarkJump.mock.calls).toEqual([[1], [-1]]);
+    });
+  });
+
+  describe('rebinding', () => {
+    it('follows the input map', () => {
+      const map = rebindAction(resolveInputMap(), 'showBathymetry', 'k');
+      cleanup = createKeyboardHandler({ ...callbacks, getInputMap: () => map });
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'b' }));
+      expect(callbacks.onToggle).not.toHaveBeenCalled();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'K' }));
+      expect(callbacks.onToggle).toHaveBeenCalledWith('showBathymetry');
+    });
+  });
+
   describe('cleanup', () => {
     it('returns cleanup function that removes listener', () => {
       cleanup = createKeyboardHandler(callbacks);
@@ -2,62 +2,119 @@
  * Keyboard Handler - Game hotkey handling
  *
  * Handles:
- * - Toggle hotkeys (mapped via settings schema)
+ * - Toggle hotkeys (defaults from the settings schema)
  * - Time scale cycling
  * - AI mode cycling
+ * - Bathymetry preset cycling
+ * - Camera (view) cycling
+ * - Timeline (time-travel debugger): pause, frame steps, bookmark jumps
+ *
+ * Keys are looked up in the rebindable input map (input/inputMap.ts).
  */
 
-import { getSettingForHotkey, SETTINGS_SCHEMA } from '../state/settingsModel.js';
+import { SETTINGS_SCHEMA } from '../state/settingsModel.js';
+import { getActionsForKey, INPUT_GROUP, normalizeKey, resolveInputMap } from './inputMap.js';
 
 // Get time scales from schema (default: [1, 2, 4, 8])
 const TIME_SCALES = SETTINGS_SCHEMA.timeScale?.options || [1, 2, 4, 8];
 
+const DEFAULT_INPUT_MAP = resolveInputMap();
+
 /**
  * Create keyboard handler
  * @param {object} callbacks - Handler callbacks
  * @param {function} callbacks.onToggle - Called with (key) when toggle pressed
  * @param {function} callbacks.onTimeScaleChange - Called with (newScale) when T pressed
  * @param {function} callbacks.onAIModeChange - Called when M pressed
+ * @param {function} callbacks.onBathymetryPresetChange - Called when N pressed (optional)
+ * @param {function} callbacks.onCameraModeChange - Called when V pressed (optional)
+ * @param {function} callbacks.onTimelinePause - Called when Space pressed (optional)
+ * @param {function} callbacks.onTimelineStep - Called with (-1|1) when , or . pressed (optional)
+ * @param {function} callbacks.onTimelineBookmarkJump - Called with (-1|1) when [ or ] pressed (optional)
  * @param {function} callbacks.getToggles - Returns current toggle state
  * @param {function} callbacks.getTimeScale - Returns current time scale
+ * @param {function} callbacks.getInputMap - Returns the current input map (optional, defaults)
  * @returns {function} Cleanup function to remove event listener
  */
 export function createKeyboardHandler(callbacks) {
-  const { onToggle, onTimeScaleChange, onAIModeChange, getToggles, getTimeScale } = callbacks;
+  const {
+    onToggle,
+    onTimeScaleChange,
+    onAIModeChange,
+    onBathymetryPresetChange,
+    onCameraModeChange,
+    onTimelinePause,
+    onTimelineStep,
+    onTimelineBookmarkJump,
+    getToggles,
+    getTimeScale,
+    getInputMap,
+  } = callbacks;
 
   function handleKeydown(e) {
-    const key = e.key.toLowerCase();
+    const map = getInputMap ? getInputMap() : DEFAULT_INPUT_MAP;
+    const [action] = getActionsForKey(map, normalizeKey(e.key), INPUT_GROUP.HOTKEY);
 
-    // Special case: 't' cycles timeScale
-    if (key === 't') {
-      const currentScale = getTimeScale();
-      const currentIdx = TIME_SCALES.indexOf(currentScale);
-      const nextScale = TIME_SCALES[(currentIdx + 1) % TIME_SCALES.length];
-      onTimeScaleChange(nextScale);
-      return;
-    }
+    switch (action) {
+      case undefined:
+        return;
 
-    // Special case: 'm' cycles AI mode (not in settings)
-    if (key === 'm') {
-      const toggles = getToggles();
-      if (toggles.showPlayer && toggles.showAIPlayer) {
-        onAIModeChange();
+      // Cycles timeScale
+      case 'cycleTimeScale': {
+        const currentScale = getTimeScale();
+        const currentIdx = TIME_SCALES.indexOf(currentScale);
+        const nextScale = TIME_SCALES[(currentIdx + 1) % TIME_SCALES.length];
+        onTimeScaleChange(nextScale);
+        return;
       }
-      return;
-    }
 
-    // Special case: 'a' only toggles AI if player is enabled
-    if (key === 'a') {
-      if (getToggles().showPlayer) {
-        onToggle('showAIPlayer');
+      // Cycles AI mode (not in settings)
+      case 'cycleAIMode': {
+        const toggles = getToggles();
+        if (toggles.showPlayer && toggles.showAIPlayer) {
+          onAIModeChange();
+        }
+        return;
       }
-      return;
-    }
 
-    // General case: look up setting by hotkey from schema
-    const settingKey = getSettingForHotkey(key);
-    if (settingKey && SETTINGS_SCHEMA[settingKey]?.type === 'boolean') {
-      onToggle(settingKey);
+      // Cycles bathymetry presets (not in settings)
+      case 'cycleBathymetryPreset':
+        onBathymetryPresetChange?.();
+        return;
+
+      // Cycles the camera (top-down and perspective views)
+      case 'cycleCamera':
+        onCameraModeChange?.();
+        return;
+
+      // Timeline: pause/resume, frame steps, bookmark jumps
+      case 'timelinePause':
+        if (onTimelinePause) {
+          e.preventDefault?.();
+          onTimelinePause();
+        }
+        return;
+      case 'timelineStepBack':
+      case 'timelineStepForward':
+        onTimelineStep?.(action === 'timelineStepBack' ? -1 : 1);
+        return;
+      case 'bookmarkPrevious':
+      case 'bookmarkNext':
+        onTimelineBookmarkJump?.(action === 'bookmarkPrevious' ? -1 : 1);
+        return;
+
+      // AI only toggles if the player is enabled
+      case 'showAIPlayer':
+        if (getToggles().showPlayer) {
+          onToggle('showAIPlayer');
+        }
+        return;
+
+      // Boolean settings toggle
+      default:
+        if (SETTINGS_SCHEMA[action]?.type === 'boolean') {
+          onToggle(action);
+        }
     }
   }
 
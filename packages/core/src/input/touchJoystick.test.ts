@@ -0,0 +1,47 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createTouchJoystick, getJoystickVector } from './touchJoystick.js';
+
+describe('touchJoystick', () => {
+  it('scales the pointer offset by the radius and clamps it', () => {
+    expect(getJoystickVector(0, 0, 60)).toEqual({ x: 0, y: 0 });
+    expect(getJoystickVector(30, 0, 60)).toEqual({ x: 0.5, y: 0 });
+
+    const clamped = getJoystickVector(0, -600, 60);
+    expect(clamped.x).toBeCloseTo(0, 10);
+    expect(clamped.y).toBe(-1);
+  });
+
+  describe('createTouchJoystick', () => {
+    let joystick;
+
+    afterEach(() => joystick?.dispose());
+
+    const pointer = (type, clientX, clientY) => {
+      const event = new MouseEvent(type, { clientX, clientY });
+      Object.defineProperty(event, 'pointerId', { value: 1 });
+      joystick.element.dispatchEvent(event);
+    };
+
+    it('reports the stick while touched and releases on lift', () => {
+      joystick = createTouchJoystick(document.body, { radius: 50, deadZone: 0 });
+      // jsdom has no layout: the base sits at 0,0 with no size, so its center is 0,0
+      pointer('pointerdown', 50, 0);
+      expect(joystick.getInput().right).toBeCloseTo(1, 10);
+
+      pointer('pointermove', 0, -25);
+      expect(joystick.getInput().up).toBeCloseTo(0.5, 10);
+
+      pointer('pointerup', 0, -25);
+      expect(joystick.getInput()).toEqual({ left: 0, right: 0, up: 0, down: 0 });
+    });
+
+    it('removes its element on dispose', () => {
+      joystick = createTouchJoystick(document.body);
+      expect(document.querySelector('.touch-joystick')).not.toBeNull();
+
+      joystick.dispose();
+      joystick = null;
+      expect(document.querySelector('.touch-joystick')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Touch Joystick - On-screen stick for player movement on touch screens
+ *
+ * A base circle in the bottom-left corner with a knob that follows the
+ * pointer, clamped to the base radius. Reports the same {left, right, up,
+ * down} magnitudes (0-1) as a gamepad stick; see inputManager.ts.
+ */
+
+import { createEmptyInput, stickToInput } from './inputManager.js';
+
+// Small dead zone: a resting thumb should not drift the player
+const TOUCH_DEAD_ZONE = 0.1;
+
+/**
+ * Stick vector for a pointer position relative to the joystick center
+ * @param {number} dx - Pointer x minus center x (px)
+ * @param {number} dy - Pointer y minus center y (px)
+ * @param {number} radius - Base radius (px)
+ * @returns {{x: number, y: number}} Vector with length <= 1
+ */
+export function getJoystickVector(dx, dy, radius) {
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return { x: 0, y: 0 };
+  const scale = Math.min(length, radius) / length / radius;
+  return { x: dx * scale, y: dy * scale };
+}
+
+/**
+ * Create touch joystick
+ * @param {HTMLElement} container - Element the joystick is added to
+ * @param {object} options
+ * @param {number} options.radius - Base radius in px (default 60)
+ * @param {number} options.deadZone - Dead zone radius (0-1)
+ * @returns {object} {element, getInput, dispose}
+ */
+export function createTouchJoystick(container, options: Record<string, any> = {}) {
+  const { radius = 60, deadZone = TOUCH_DEAD_ZONE } = options;
+  const knobRadius = radius * 0.4;
+
+  const base = document.createElement('div');
+  base.className = 'touch-joystick';
+  Object.assign(base.style, {
+    position: 'fixed',
+    left: '24px',
+    bottom: '24px',
+    width: `${radius * 2}px`,
+    height: `${radius * 2}px`,
+    borderRadius: '50%',
+    background: 'rgba(255, 255, 255, 0.15)',
+    border: '2px solid rgba(255, 255, 255, 0.35)',
+    touchAction: 'none',
+    userSelect: 'none',
+  });
+
+  const knob = document.createElement('div');
+  Object.assign(knob.style, {
+    position: 'absolute',
+    left: `${radius - knobRadius}px`,
+    top: `${radius - knobRadius}px`,
+    width: `${knobRadius * 2}px`,
+    height: `${knobRadius * 2}px`,
+    borderRadius: '50%',
+    background: 'rgba(255, 255, 255, 0.5)',
+    pointerEvents: 'none',
+  });
+  base.appendChild(knob);
+  container.appendChild(base);
+
+  let pointerId = null;
+  let vector = { x: 0, y: 0 };
+
+  function moveKnob() {
+    const x = vector.x * radius;
+    const y = vector.y * radius;
+    knob.style.transform = `translate(${x}px, ${y}px)`;
+  }
+
+  function track(e) {
+    const rect = base.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+    vector = getJoystickVector(e.clientX - centerX, e.clientY - centerY, radius);
+    moveKnob();
+  }
+
+  function handlePointerDown(e) {
+    if (pointerId !== null) return;
+    pointerId = e.pointerId;
+    base.setPointerCapture?.(e.pointerId);
+    track(e);
+    e.preventDefault();
+  }
+
+  function handlePointerMove(e) {
+    if (e.pointerId !== pointerId) return;
+    track(e);
+  }
+
+  function handlePointerUp(e) {
+    if (e.pointerId !== pointerId) return;
+    pointerId = null;
+    vector = { x: 0, y: 0 };
+    moveKnob();
+  }
+
+  base.addEventListener('pointerdown', handlePointerDown);
+  base.addEventListener('pointermove', handlePointerMove);
+  base.addEventListener('pointerup', handlePointerUp);
+  base.addEventListener('pointercancel', handlePointerUp);
+
+  return {
+    element: base,
+
+    /**
+     * Current input from the stick
+     * @returns {{left: number, right: number, up: number, down: number}}
+     */
+    getInput() {
+      if (pointerId === null) return createEmptyInput();
+      return stickToInput(vector.x, vector.y, deadZone);
+    },
+
+    dispose() {
+      base.removeEventListener('pointerdown', handlePointerDown);
+      base.removeEventListener('pointermove', handlePointerMove);
+      base.removeEventListener('pointerup', handlePointerUp);
+      base.removeEventListener('pointercancel', handlePointerUp);
+      base.remove();
+    },
+  };
+}
@@ -15,375 +15,662 @@ declare global {
 // - Position is calculated: progress = (currentTime - spawnTime) / travelDuration
 // - Coordinates mapped: progress (0-1) → screen pixels at render time
 
-import { WAVE_TYPE } from './state/waveModel.js';
-import { getDepth } from './state/bathymetryModel.js';
-import { createBathymetryCacheManager } from './render/bathymetryRenderer.js';
-import { getOceanBounds, calculateTravelDuration } from './render/coordinates.js';
-import { saveGameState, loadGameState, shouldAutoSave } from './state/gamePersistence.js';
-import './state/backgroundWaveModel.js'; // Needed by eventStore
+import { BATHYMETRY_PRESETS } from './state/bathymetryModel.js';
+import { getTideClock } from './state/tideModel.js';
+import { createBathymetryEditor, loadBathymetryFile } from './ui/bathymetryEditor.js';
+import { getOceanBounds } from './render/coordinates.js';
 import {
-  updateWaveSpawning,
-  updateWaves,
-  updateFoamGridsFromWaves,
-  updatePlayer,
-} from './update/index.js';
-import { EventType, getStore } from './state/eventStore.js';
-import { loadSettings, saveSettings } from './state/settingsModel.js';
+  saveGameState,
+  readSaveText,
+  listSaveSlots,
+  deleteSaveSlot,
+  AUTOSAVE_SLOT,
+  SAVE_VERSION,
+} from './state/gamePersistence.js';
+import { createSimClient } from './sim/simClient.js';
+import { SIM_MESSAGE, TIMELINE_ACTION } from './sim/simProtocol.js';
+import { EventType } from './state/eventStore.js';
+import { generateSeed } from './core/random.js';
+import { getToggleSettings, loadSettings, saveSettings } from './state/settingsModel.js';
+import { GRID_RESOLUTION_PRESETS } from './state/gridResolution.js';
+import {
+  PHYSICS_PRESETS,
+  findPhysicsPreset,
+  getPhysicsPreset,
+  listPhysicsPresets,
+} from './state/physicsConfig.js';
 import { createFpsTracker } from './util/fpsTracker.js';
 import { createKeyboardHandler } from './input/keyboardHandler.js';
-import {
-  PLAYER_PROXY_CONFIG,
-  createPlayerProxy,
-  drawPlayerProxy,
-} from './state/playerProxyModel.js';
+import { PLAYER_PROXY_CONFIG } from './state/playerProxyModel.js';
+import { drawSurfer } from './state/surferModel.js';
+import { drawCrowd, getCrowdStats } from './state/crowdModel.js';
 import { createAIState, drawAIKeyIndicator, AI_MODE } from './state/aiPlayerModel.js';
-import { updateEnergyField, injectWavePulse } from './state/energyFieldModel.js';
-import { FOAM_GRID_HEIGHT, FOAM_GRID_WIDTH, sampleFoamGrid } from './state/foamGridModel.js';
-import { renderEnergyField } from './render/energyFieldRenderer.js';
-import { renderWaves } from './render/waveRenderer.js';
-import { KeyboardInput } from './input/keyboard.js';
+import { sampleFoamGrid } from './state/foamGridModel.js';
+import { renderCurrentArrows } from './render/currentRenderer.js';
+import { drawScorecard } from './render/scorecardRenderer.js';
+import { measureCurrents } from './state/currentFieldModel.js';
+import { createInputManager } from './input/inputManager.js';
+import { createTouchJoystick } from './input/touchJoystick.js';
+import {
+  INPUT_ACTIONS,
+  getBindingOverrides,
+  normalizeKey,
+  rebindAction,
+  resolveInputMap,
+} from './input/inputMap.js';
 import { createDebugPanelManager } from './ui/debugPanelManager.js';
+import { buildScene } from './render/sceneRenderer.js';
+import { CAMERA_MODE, createCamera, isPerspective } from './render/camera.js';
+import { drawAtGroundPoint, renderPerspectiveScene } from './render/perspectiveRenderer.js';
 import {
-  renderMultiContourFromGrid,
-  renderMultiContourOptionAFromGrid,
-  renderMultiContourOptionBFromGrid,
-  renderMultiContourOptionCFromGrid,
-} from './render/marchingSquares.js';
-import { renderFoamContours } from './render/foamConfig.js';
+  RENDER_BACKEND,
+  createSceneRenderer,
+  resolveRenderBackend,
+} from './render/renderBackend.js';
+import { createClipRecorder, grabCanvasFrame } from './render/clipRecorder.js';
 
 const canvas = document.getElementById('game') as HTMLCanvasElement;
-const ctx = canvas.getContext('2d');
 
-// Bathymetry cache manager (Plan 130) - handles caching + invalidation
-const bathymetryCache = createBathymetryCacheManager();
+// Load settings from localStorage (applied in the worker below)
+const savedSettings = loadSettings();
 
-// Make canvas fill the screen
-function resize() {
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
-  bathymetryCache.invalidate();
+// A canvas a world is drawn on: the scene renderer for the base layers (ocean,
+// bathymetry, energy field, waves, foam) and the 2D context for the overlays
+// (currents, surfers, scorecard, editor brush). Overlays are always Canvas2D: on
+// the canvas itself, or on a transparent canvas stacked above a WebGL one.
+function createSurface(target, backend) {
+  const sceneRenderer = createSceneRenderer(target, backend);
+  const overlay =
+    sceneRenderer.backend === RENDER_BACKEND.CANVAS2D ? target : createOverlayCanvas(target);
+  return {
+    canvas: target,
+    renderer: sceneRenderer,
+    overlayCanvas: overlay,
+    ctx: overlay.getContext('2d'),
+  };
 }
-resize();
-window.addEventListener('resize', resize);
 
-// Event store for game state (Plan 150)
-// All state lives in the store, accessed via getState()
-const store = getStore();
+function createOverlayCanvas(below) {
+  const overlay = document.createElement('canvas');
+  overlay.id = `${below.id}-overlay`;
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    top: '0',
+    left: below.style.left || '0',
+    width: below.style.width || '100vw',
+    height: '100vh',
+    pointerEvents: 'none',
+  });
+  below.after(overlay);
+  return overlay;
+}
 
-// World reference - points to store state for backwards compatibility
-// Eventually this can be removed once all code uses store directly
-let world = store.getState();
+// `?renderer=webgl2` overrides the setting; Canvas2D is the fallback.
+const surface = createSurface(
+  canvas,
+  resolveRenderBackend(savedSettings.renderer, window.location.search)
+);
+const { renderer } = surface;
+
+// Simulation worker (sim/simWorker.ts) - owns the event store (Plan 150), steps
+// the world and posts a snapshot per frame; this thread handles input and drawing
+const sim = createSimClient(
+  new Worker(new URL('./sim/simWorker.ts', import.meta.url), { type: 'module' }),
+  { onSnapshot: handleSnapshot }
+);
+
+// Start a fresh seeded session; the seed is recorded in the event log for replay
+sim.dispatch({
+  type: EventType.GAME_INIT,
+  seed: generateSeed(),
+  gridResolution: savedSettings.gridResolution,
+});
 
-// Keyboard input for player movement (arrow keys / WASD)
-const keyboard = new KeyboardInput();
+// A/B split (see startComparison): {preset, sim, surface, world} while comparing
+let comparison = null;
 
-// Colors (wave colors now in render/waveRenderer.js)
-const colors = {
-  ocean: '#1a4a6e',
-  shore: '#c2a86e',
-};
+// Every running simulation: the live one, plus the B world while comparing
+const getSims = () => (comparison ? [sim, comparison.sim] : [sim]);
 
-// Load settings from localStorage and apply to store
-const savedSettings = loadSettings();
+// UI changes apply to both worlds of an A/B split, so only the physics differ
+function dispatchToWorlds(...events) {
+  for (const client of getSims()) client.dispatch(...events);
+}
 
-// Apply saved toggles to store
-for (const [key, value] of Object.entries(savedSettings)) {
-  if (key === 'timeScale') {
-    store.dispatch({ type: EventType.TIME_SCALE_CHANGE, timeScale: value });
-  } else if (typeof value === 'boolean') {
-    store.dispatch({ type: EventType.TOGGLE_CHANGE, key, value });
-  } else if (typeof value === 'number') {
-    store.dispatch({ type: EventType.TOGGLE_CHANGE, key, value });
+// Make canvas fill the screen (each view takes half of it in an A/B split)
+function resize() {
+  const surfaces = comparison ? [surface, comparison.surface] : [surface];
+  for (const { canvas: target, overlayCanvas: overlay, renderer: sceneRenderer } of surfaces) {
+    target.width = comparison ? Math.floor(window.innerWidth / 2) : window.innerWidth;
+    target.height = window.innerHeight;
+    target.style.width = overlay.style.width = comparison ? '50vw' : '';
+    overlay.width = target.width;
+    overlay.height = target.height;
+    sceneRenderer.invalidate();
   }
+  dispatchToWorlds({
+    type: EventType.VIEWPORT_RESIZE,
+    width: canvas.width,
+    height: canvas.height,
+  });
 }
-world = store.getState();
+resize();
+window.addEventListener('resize', resize);
+
+// World from the worker's latest snapshot (null until the first one arrives)
+let world = null;
 
-// Helper to get current toggles from store (replaces separate settings object)
-const getToggles = () => store.getState().toggles;
-const getTimeScale = () => store.getState().timeScale;
+// Rebindable keys for movement and hotkeys (input/inputMap.ts)
+let inputMap = resolveInputMap(savedSettings.inputBindings);
+
+// Player movement from keyboard, gamepad and, on touch screens, an on-screen joystick
+const input = createInputManager({
+  getInputMap: () => inputMap,
+  touch: navigator.maxTouchPoints > 0 ? createTouchJoystick(document.body) : null,
+});
 
-// Alias for backwards compatibility with E2E tests
-let toggles = { ...world.toggles, timeScale: world.timeScale };
+// Apply saved toggles to the store
+for (const [key, value] of Object.entries(getToggleSettings(savedSettings))) {
+  sim.dispatch({ type: EventType.TOGGLE_CHANGE, key, value });
+}
+sim.dispatch({ type: EventType.TIME_SCALE_CHANGE, timeScale: savedSettings.timeScale });
+
+// Helper to get current toggles from the latest snapshot (replaces separate settings object)
+const getToggles = () => world?.toggles ?? {};
+const getTimeScale = () => world?.timeScale ?? 1;
+
+// Alias for backwards compatibility with E2E tests (refreshed with each snapshot)
+let toggles = null;
+
+// Persist the current settings to localStorage, with the given changes applied
+function persistSettings(changes = {}) {
+  saveSettings({
+    ...world.toggles,
+    timeScale: world.timeScale,
+    gridResolution: world.gridResolution,
+    renderer: savedSettings.renderer,
+    cameraMode,
+    inputBindings: getBindingOverrides(inputMap),
+    physicsPresets,
+    ...changes,
+  });
+}
 
-// Toggle handler for React UI - uses store dispatch + localStorage persistence
+// Toggle handler for React UI - dispatches to the worker + localStorage persistence.
+// Handlers read the last snapshot, so a change shows up in `world` a frame later.
 function handleToggle(key) {
-  const currentValue = getToggles()[key];
-  store.dispatch({ type: EventType.TOGGLE_CHANGE, key, value: !currentValue });
-  world = store.getState();
-  toggles = { ...world.toggles, timeScale: world.timeScale }; // Keep alias in sync
+  if (!world) return;
+  const value = !world.toggles[key];
+  dispatchToWorlds({ type: EventType.TOGGLE_CHANGE, key, value });
 
   // Persist to localStorage
-  saveSettings({ ...world.toggles, timeScale: world.timeScale });
+  persistSettings({ [key]: value });
 
   // Initialize player proxy when first enabled via UI
-  if (key === 'showPlayer' && world.toggles.showPlayer && !world.playerProxy) {
-    const { shoreY } = getOceanBounds(canvas.height, world.shoreHeight);
-    store.dispatch({
-      type: EventType.PLAYER_INIT,
-      playerProxy: createPlayerProxy(canvas.width, shoreY),
-    });
-    world = store.getState();
+  if (key === 'showPlayer' && value) {
+    for (const client of getSims()) client.send({ type: SIM_MESSAGE.ENSURE_PLAYER });
   }
 }
 
 // Numeric/setting change handler for debug UI (non-boolean)
 function handleSettingChange(key, value) {
-  store.dispatch({ type: EventType.TOGGLE_CHANGE, key, value });
-  world = store.getState();
-  toggles = { ...world.toggles, timeScale: world.timeScale };
-  saveSettings({ ...world.toggles, timeScale: world.timeScale });
+  if (!world) return;
+  dispatchToWorlds({ type: EventType.TOGGLE_CHANGE, key, value });
+  persistSettings({ [key]: value });
 }
 
 // Time scale handler for React UI
 function handleTimeScaleChange(newScale) {
-  store.dispatch({ type: EventType.TIME_SCALE_CHANGE, timeScale: newScale });
-  world = store.getState();
-  toggles = { ...world.toggles, timeScale: world.timeScale };
+  if (!world) return;
+  dispatchToWorlds({ type: EventType.TIME_SCALE_CHANGE, timeScale: newScale });
 
   // Persist to localStorage
-  saveSettings({ ...world.toggles, timeScale: world.timeScale });
+  persistSettings({ timeScale: newScale });
+}
+
+// Grid resolution handler for React UI - cycles the presets, resampling the
+// running simulation's grids in the worker
+function handleGridResolutionChange() {
+  if (!world) return;
+  const presets = Object.keys(GRID_RESOLUTION_PRESETS);
+  const resolution = presets[(presets.indexOf(world.gridResolution) + 1) % presets.length];
+  dispatchToWorlds({ type: EventType.GRID_RESOLUTION_SET, resolution });
+  persistSettings({ gridResolution: resolution });
+}
+
+// View: top-down or one of the perspective cameras (render/camera.ts), drawn on this thread
+let cameraMode = savedSettings.cameraMode;
+
+// Camera handler for React UI and the 'V' key - cycles the views
+function handleCameraModeChange() {
+  if (!world) return;
+  const modes = Object.values(CAMERA_MODE);
+  cameraMode = modes[(modes.indexOf(cameraMode) + 1) % modes.length];
+  persistSettings();
 }
 
-// Player config handler for React UI
+// Renderer handler for React UI - switches to the other backend. The canvas keeps
+// the context type it was first given, so the choice is saved and the page reloaded.
+function handleRendererChange() {
+  if (!world) return;
+  const backends = Object.values(RENDER_BACKEND);
+  const next = backends[(backends.indexOf(renderer.backend) + 1) % backends.length];
+  persistSettings({ renderer: next });
+  const url = new URL(window.location.href);
+  url.searchParams.delete('renderer');
+  window.location.assign(url.toString());
+}
+
+// Action waiting for a key in the debug panel's Controls section (null when none)
+let rebindingAction = null;
+
+// Rebind handler for React UI - the next key pressed is bound to the action
+function handleRebindStart(action) {
+  rebindingAction = action;
+  // Keep Space/Enter from re-clicking the focused button
+  (document.activeElement as HTMLElement)?.blur?.();
+}
+
+// Captures the key ahead of the game's listeners; Escape cancels
+window.addEventListener(
+  'keydown',
+  (e) => {
+    if (!rebindingAction) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.key !== 'Escape') {
+      inputMap = rebindAction(inputMap, rebindingAction, normalizeKey(e.key));
+      if (world) persistSettings();
+    }
+    rebindingAction = null;
+  },
+  { capture: true }
+);
+
+// Reset handler for React UI - restores the default keys
+function handleResetBindings() {
+  rebindingAction = null;
+  inputMap = resolveInputMap();
+  if (world) persistSettings();
+}
+
+// Player config handler for React UI (drawing reads it here, physics in the worker)
 function handlePlayerConfigChange(key, value) {
   PLAYER_PROXY_CONFIG[key] = value;
+  for (const target of getSims()) target.send({ type: SIM_MESSAGE.PLAYER_CONFIG, key, value });
 }
 
 // AI mode handler for React UI
 function handleAIModeChange() {
+  if (!world) return;
   const modes = [AI_MODE.BEGINNER, AI_MODE.INTERMEDIATE, AI_MODE.EXPERT];
   const currentIdx = modes.indexOf(world.aiMode);
   const newMode = modes[(currentIdx + 1) % modes.length];
-  store.dispatch({ type: EventType.AI_UPDATE, aiMode: newMode, aiState: createAIState(newMode) });
-  world = store.getState();
-  console.log(`[AI] Switched to ${world.aiMode} mode`);
+  dispatchToWorlds({ type: EventType.AI_UPDATE, aiMode: newMode });
+  console.log(`[AI] Switched to ${newMode} mode`);
 }
 
-// Debug panel manager (extracted to ui/debugPanelManager.js)
-const debugPanel = createDebugPanelManager();
+// Bathymetry preset handler - cycles through BATHYMETRY_PRESETS (N key / debug panel)
+function handleBathymetryPresetChange() {
+  if (!world) return;
+  const names = Object.keys(BATHYMETRY_PRESETS);
+  const nextName = names[(names.indexOf(world.bathymetryPreset) + 1) % names.length];
+  dispatchToWorlds({
+    type: EventType.BATHYMETRY_SET,
+    bathymetry: BATHYMETRY_PRESETS[nextName],
+    preset: nextName,
+  });
+}
 
-// Load saved state on startup
-loadGameState(world, (timeScale) => {
-  store.dispatch({ type: EventType.TIME_SCALE_CHANGE, timeScale });
-  world = store.getState();
-  toggles = { ...world.toggles, timeScale: world.timeScale };
-});
+// Tide handler for the debug panel sliders (range/period)
+function handleTideChange(key, value) {
+  dispatchToWorlds({ type: EventType.TIDE_SET, tide: { [key]: value } });
+}
 
-// Initialize player proxy if it was enabled in a previous session
-if (getToggles().showPlayer && !world.playerProxy) {
-  const { shoreY } = getOceanBounds(canvas.height, world.shoreHeight);
-  store.dispatch({
-    type: EventType.PLAYER_INIT,
-    playerProxy: createPlayerProxy(canvas.width, shoreY),
+// Physics tuning (state/physicsConfig.ts): the live config is part of the world
+// (and so of its saves and event log); named presets are kept in the settings
+let physicsPresets = savedSettings.physicsPresets;
+
+// Physics slider handler for React UI
+function handlePhysicsChange(key, value) {
+  if (!world) return;
+  sim.dispatch({ type: EventType.PHYSICS_CONFIG_SET, physics: { [key]: value } });
+}
+
+// Physics preset handler for React UI - cycles the built-in and saved presets
+function handlePhysicsPresetChange() {
+  if (!world) return;
+  const names = listPhysicsPresets(physicsPresets);
+  const current = names.indexOf(findPhysicsPreset(world.physics, physicsPresets));
+  const next = names[(current + 1) % names.length];
+  sim.dispatch({
+    type: EventType.PHYSICS_CONFIG_SET,
+    physics: getPhysicsPreset(next, physicsPresets),
   });
-  world = store.getState();
 }
 
-// Keyboard controls - extracted to input/keyboardHandler.js
-createKeyboardHandler({
-  onToggle: handleToggle,
-  onTimeScaleChange: handleTimeScaleChange,
-  onAIModeChange: handleAIModeChange,
-  getToggles,
-  getTimeScale,
-});
+// Saves the live physics config as a named preset
+function handlePhysicsPresetSave(name) {
+  if (!world) return;
+  if (Object.hasOwn(PHYSICS_PRESETS, name)) {
+    console.warn(`Physics preset ${name} is built in; save under another name`);
+    return;
+  }
+  physicsPresets = { ...physicsPresets, [name]: { ...world.physics } };
+  persistSettings();
+}
 
-// Spawn a wave at the horizon with the given amplitude and type
-function spawnWave(amplitude, type) {
-  store.dispatch({ type: EventType.WAVE_SPAWN, amplitude, waveType: type });
-  world = store.getState();
-
-  // Inject pulse into energy field to match discrete wave
-  // Set waves have more energy (2x) than background waves
-  const energyMultiplier = type === WAVE_TYPE.SET ? 2.0 : 1.0;
-  injectWavePulse(world.energyField, amplitude * energyMultiplier);
-}
-
-function update(deltaTime) {
-  // Apply time scale for testing
-  const scaledDelta = deltaTime * getTimeScale();
-
-  // Advance game time via dispatch (Plan 150 event sourcing)
-  store.dispatch({ type: EventType.GAME_TICK, deltaTime: scaledDelta * 1000 });
-  world = store.getState();
-
-  // Update energy field (Plan 140) even when not rendered; rendering is toggled separately
-  const { oceanBottom } = getOceanBounds(canvas.height, world.shoreHeight);
-  const energyTravelDuration = calculateTravelDuration(oceanBottom, world.swellSpeed) / 1000; // in seconds
-  const getDepthForField = (normalizedX, normalizedY) =>
-    getDepth(normalizedX, world.bathymetry, normalizedY);
-  updateEnergyField(world.energyField, getDepthForField, scaledDelta, energyTravelDuration, {
-    depthDampingCoefficient: toggles.depthDampingCoefficient ?? 1.5,
-    depthDampingExponent: toggles.depthDampingExponent ?? 2.0,
+function handlePhysicsPresetDelete(name) {
+  if (!world) return;
+  const { [name]: _deleted, ...rest } = physicsPresets;
+  physicsPresets = rest;
+  persistSettings();
+}
+
+// A/B split handler for React UI - off, then each preset in turn as world B, then off
+function handlePhysicsCompareChange() {
+  if (!world) return;
+  const names = listPhysicsPresets(physicsPresets);
+  const next = comparison ? names[names.indexOf(comparison.preset) + 1] : names[0];
+  if (comparison) stopComparison();
+  if (next) startComparison(next);
+}
+
+// A second worker runs world B side by side with the live world (A). Both restart
+// from one new seed with the same seafloor, tide and toggles; A keeps its physics
+// and B gets the preset. Input and UI changes then go to both, so only the physics
+// differ (the timeline, saves and event log stay A's).
+function startComparison(preset) {
+  const compareCanvas = document.createElement('canvas');
+  compareCanvas.id = 'game-compare';
+  Object.assign(compareCanvas.style, {
+    position: 'fixed',
+    top: '0',
+    left: '50vw',
+    width: '50vw',
+    height: '100vh',
   });
+  document.body.appendChild(compareCanvas);
 
-  // Update wave spawning via orchestrator (returns events + new state)
-  const spawnResult = updateWaveSpawning(
+  const client = createSimClient(
+    new Worker(new URL('./sim/simWorker.ts', import.meta.url), { type: 'module' }),
     {
-      setLullState: world.setLullState,
-      setConfig: world.setConfig,
-      backgroundState: world.backgroundState,
-      backgroundConfig: world.backgroundConfig,
-    },
-    scaledDelta,
-    world.gameTime
-  );
-
-  // Apply state updates via batch dispatch (performance: single subscriber notification)
-  store.batchDispatch([
-    { type: EventType.SET_LULL_UPDATE, setLullState: spawnResult.setLullState },
-    { type: EventType.BACKGROUND_UPDATE, backgroundState: spawnResult.backgroundState },
-  ]);
-  world = store.getState();
-
-  // Process spawn events
-  for (const event of spawnResult.events) {
-    if (event.type === EventType.WAVE_SPAWN) {
-      spawnWave(event.amplitude, event.waveType);
+      onSnapshot: (_snapshot, latest) => {
+        if (comparison?.sim === client) comparison.world = latest;
+      },
     }
-  }
-
-  // Update wave lifecycle (filter completed waves + update refraction) via orchestrator
-  const travelDuration = calculateTravelDuration(oceanBottom, world.swellSpeed);
-  const bufferDuration = (world.swellSpacing / world.swellSpeed) * 1000;
-  const updatedWaves = updateWaves(
-    world.waves,
-    world.gameTime,
-    travelDuration,
-    bufferDuration,
-    world.bathymetry
   );
-  store.dispatch({ type: EventType.WAVES_UPDATE, waves: updatedWaves });
-  world = store.getState();
+  comparison = {
+    preset,
+    sim: client,
+    surface: createSurface(compareCanvas, renderer.backend),
+    world: null,
+  };
 
-  // Foam grid update (grid-based pipeline)
-  const foamState = {
-    gameTime: world.gameTime,
+  const init = {
+    type: EventType.GAME_INIT,
+    seed: generateSeed(),
+    setConfig: world.setConfig,
     bathymetry: world.bathymetry,
-    energyField: world.energyField,
-    foamGrid: world.foamGrid,
-    energyTransferGrid: world.energyTransferGrid,
-    foamGridWidth: world.foamGridWidth || FOAM_GRID_WIDTH,
-    foamGridHeight: world.foamGridHeight || FOAM_GRID_HEIGHT,
-    canvasHeight: canvas.height,
-    shoreHeight: world.shoreHeight,
-    swellSpeed: world.swellSpeed,
-    deltaTime: scaledDelta,
+    bathymetryPreset: world.bathymetryPreset,
+    tide: world.tide,
+    gridResolution: world.gridResolution,
   };
+  sim.dispatch({ ...init, physics: world.physics });
+  client.dispatch({ ...init, physics: getPhysicsPreset(preset, physicsPresets) });
+  resize();
+  dispatchToWorlds(
+    ...Object.entries(world.toggles).map(([key, value]) => ({
+      type: EventType.TOGGLE_CHANGE,
+      key,
+      value,
+    })),
+    { type: EventType.TIME_SCALE_CHANGE, timeScale: world.timeScale },
+    { type: EventType.AI_UPDATE, aiMode: world.aiMode }
+  );
+  // B's worker starts from the default player tuning; carry A's over
+  for (const [key, value] of Object.entries(PLAYER_PROXY_CONFIG)) {
+    client.send({ type: SIM_MESSAGE.PLAYER_CONFIG, key, value });
+  }
+  for (const target of getSims()) target.send({ type: SIM_MESSAGE.ENSURE_PLAYER });
+  fpsTracker.resetTiming();
+}
 
-  updateFoamGridsFromWaves(world.waves, foamState);
+function stopComparison() {
+  const { sim: client, surface: compareSurface } = comparison;
+  comparison = null;
+  client.terminate();
+  compareSurface.overlayCanvas.remove();
+  compareSurface.canvas.remove();
+  resize();
+}
 
-  // Update player proxy if enabled via orchestrator
-  if (toggles.showPlayer && world.playerProxy) {
-    const playerState = {
-      canvasWidth: canvas.width,
-      canvasHeight: canvas.height,
-      shoreHeight: world.shoreHeight,
-      swellSpeed: world.swellSpeed,
-      foamGrid: world.foamGrid,
-      deltaTime: scaledDelta,
-      showAIPlayer: toggles.showAIPlayer,
-      world,
+// Heightmap import handler for the debug panel (PNG or JSON)
+function handleBathymetryFileLoad(file) {
+  loadBathymetryFile(file)
+    .then((grid) => {
+      dispatchToWorlds({ type: EventType.BATHYMETRY_SET, bathymetry: grid, preset: file.name });
+    })
+    .catch((e) => console.warn(`Failed to load heightmap ${file.name}:`, e));
+}
+
+// Bathymetry brush editor - strokes go through the store so they replay
+const bathymetryEditor = createBathymetryEditor(canvas, {
+  getBounds: () => ({
+    width: canvas.width,
+    ...getOceanBounds(canvas.height, world.shoreHeight),
+  }),
+  getBrush: () => {
+    const current = getToggles();
+    return {
+      enabled: current.editBathymetry,
+      radius: current.bathymetryBrushRadius,
+      strength: current.bathymetryBrushStrength,
     };
+  },
+  onStroke: (stroke) => {
+    dispatchToWorlds({ type: EventType.BATHYMETRY_BRUSH, ...stroke });
+  },
+});
 
-    const playerResult = updatePlayer(
-      world.playerProxy,
-      world.aiState,
-      world.aiMode,
-      keyboard.getKeys(),
-      playerState
-    );
+// Debug panel manager (extracted to ui/debugPanelManager.js)
+const debugPanel = createDebugPanelManager();
 
-    store.dispatch({
-      type: EventType.PLAYER_UPDATE,
-      playerProxy: playerResult.playerProxy,
-      aiState: playerResult.aiState,
-      lastAIInput: playerResult.lastAIInput,
-    });
-    world = store.getState();
-  }
+// Load a save slot: the worker restores the stored text into its world (the
+// restored world becomes the baseline its now empty event log replays from)
+let saveReport = null; // {slot, loaded, migratedFrom, rejected} of the last load
+function loadSlot(slot) {
+  const text = readSaveText(slot);
+  if (text === null) return;
+  sim
+    .request({ type: SIM_MESSAGE.RESTORE_SAVE, text })
+    .then((result) => {
+      saveReport = {
+        slot,
+        loaded: result.loaded,
+        migratedFrom: result.version < SAVE_VERSION ? result.version : null,
+        rejected: result.rejected,
+      };
+      for (const { part, reason } of result.rejected) {
+        console.warn(`Save ${slot}: rejected ${part} (${reason})`);
+      }
+    })
+    .catch((e) => console.warn(`Failed to load save ${slot}:`, e));
+}
 
-  // Save game state periodically (every ~1 second)
-  if (shouldAutoSave(world.gameTime, world.gameTime - scaledDelta * 1000)) {
-    saveGameState(world, { timeScale: getTimeScale() });
-  }
+// Load the auto-save on startup
+loadSlot(AUTOSAVE_SLOT);
+
+// Initialize player proxy if it was enabled in a previous session
+sim.send({ type: SIM_MESSAGE.ENSURE_PLAYER });
+
+// Time-travel debugger (update/timeline.ts, run by the worker): every step is
+// recorded; while paused the snapshots show a past world rebuilt from keyframes
+const sendTimelineAction = (action, args = {}) =>
+  sim.send({ type: SIM_MESSAGE.TIMELINE, action, ...args });
+
+function handleTimelinePause() {
+  // Resuming from a past frame discards everything after it
+  if (sim.getSnapshot()?.paused) fpsTracker.resetTiming();
+  sendTimelineAction(TIMELINE_ACTION.PAUSE);
 }
 
-function draw() {
-  const w = canvas.width;
-  const h = canvas.height;
-  const { oceanTop, oceanBottom, shoreY } = getOceanBounds(h, world.shoreHeight);
-  const travelDuration = calculateTravelDuration(oceanBottom, world.swellSpeed);
-
-  // Clear with ocean color
-  ctx.fillStyle = colors.ocean;
-  ctx.fillRect(0, 0, w, h);
-
-  // Draw bathymetry depth heat map UNDER waves (toggle with 'B' key)
-  // Uses cache manager from render/bathymetryRenderer.js (Plan 130)
-  if (toggles.showBathymetry) {
-    const cache = bathymetryCache.get(w, oceanTop, oceanBottom, world.bathymetry);
-    ctx.drawImage(cache, 0, 0);
-  }
+function handleTimelineSeek(frame) {
+  sendTimelineAction(TIMELINE_ACTION.SEEK, { frame });
+}
+
+function handleTimelineStep(direction) {
+  sendTimelineAction(TIMELINE_ACTION.STEP, { direction });
+}
 
-  // Draw energy field (Plan 140) - toggle with 'E' key
-  // Renders as an alternative to discrete waves when enabled
-  if (toggles.showEnergyField) {
-    renderEnergyField(ctx, world.energyField, oceanTop, oceanBottom, w);
+function handleTimelineSeekTime(seconds) {
+  sendTimelineAction(TIMELINE_ACTION.SEEK_TIME, { seconds });
+}
+
+function handleTimelineBookmark() {
+  sendTimelineAction(TIMELINE_ACTION.BOOKMARK);
+}
+
+function handleTimelineBookmarkJump(direction) {
+  sendTimelineAction(TIMELINE_ACTION.BOOKMARK_JUMP, { direction });
+}
+
+// Event log export: the retained history as gzipped JSON lines (a shareable bug capture)
+function handleEventLogExport() {
+  sim
+    .request({ type: SIM_MESSAGE.EXPORT_LOG })
+    .then(({ bytes, seed, gameTime }) => {
+      const url = URL.createObjectURL(new Blob([bytes], { type: 'application/gzip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `surf-events-${seed}-${Math.round(gameTime / 1000)}s.jsonl.gz`;
+      link.click();
+      URL.revokeObjectURL(url);
+    })
+    .catch((e) => console.warn('Failed to export event log:', e));
+}
+
+// Event log import: replaces the worker's world (see SIM_MESSAGE.IMPORT_LOG)
+function handleEventLogImport(file) {
+  file
+    .arrayBuffer()
+    .then((bytes) => sim.request({ type: SIM_MESSAGE.IMPORT_LOG, bytes }, [bytes]))
+    .then(() => fpsTracker.resetTiming())
+    .catch((e) => console.warn(`Failed to load event log ${file.name}:`, e));
+}
+
+// Gameplay clips: while recording, the last seconds of the live canvas are kept
+// (render/clipRecorder.ts) and can be downloaded as a GIF
+const clipRecorder = createClipRecorder();
+let clipRecording = false;
+
+function handleClipRecordToggle() {
+  clipRecording = !clipRecording;
+  if (clipRecording) clipRecorder.clear();
+}
+
+function handleClipExport() {
+  try {
+    const bytes = clipRecorder.exportGif();
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'image/gif' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `surf-clip-${Math.round((world?.gameTime ?? 0) / 1000)}s.gif`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    console.warn('Failed to export clip:', e);
   }
+}
 
-  // Draw shore (bottom strip)
-  ctx.fillStyle = colors.shore;
-  ctx.fillRect(0, shoreY, w, world.shoreHeight);
+// Save slots for the debug panel (the list is re-read after every write)
+let saveSlots = listSaveSlots();
 
-  // Render waves using extracted helper (Plan 170 Phase 2)
-  renderWaves(
-    ctx,
-    world.waves,
-    {
-      canvasWidth: w,
-      oceanTop,
-      oceanBottom,
-      shoreY,
-      gameTime: world.gameTime,
-      travelDuration,
-      showBathymetry: toggles.showBathymetry,
-      showEnergyField: toggles.showEnergyField,
-      energyField: world.energyField,
-    },
-    {
-      showSetWaves: toggles.showSetWaves,
-      showBackgroundWaves: toggles.showBackgroundWaves,
-    }
-  );
+function handleSaveSlot(slot) {
+  if (!world) return;
+  saveGameState(world, { timeScale: world.timeScale }, slot);
+  saveSlots = listSaveSlots();
+}
 
-  // Foam contour rendering using extracted config (Plan 170)
-  const foamGridWidth = world.foamGrid?.width || FOAM_GRID_WIDTH;
-  const foamGridHeight = world.foamGrid?.height || FOAM_GRID_HEIGHT;
-  const foamGridData = world.foamGrid?.data;
-  const transferGridData = world.energyTransferGrid?.lastFrame;
-
-  renderFoamContours(
-    ctx,
-    { transferGrid: transferGridData, foamGrid: foamGridData },
-    { width: foamGridWidth, height: foamGridHeight },
-    w,
-    h,
-    world.gameTime,
-    oceanBottom,
-    getToggles(),
-    {
-      base: renderMultiContourFromGrid,
-      optionA: renderMultiContourOptionAFromGrid,
-      optionB: renderMultiContourOptionBFromGrid,
-      optionC: renderMultiContourOptionCFromGrid,
-    }
+function handleLoadSlot(slot) {
+  loadSlot(slot);
+  fpsTracker.resetTiming();
+}
+
+function handleDeleteSlot(slot) {
+  deleteSaveSlot(slot);
+  saveSlots = listSaveSlots();
+}
+
+// Keyboard controls - extracted to input/keyboardHandler.js
+createKeyboardHandler({
+  onToggle: handleToggle,
+  onTimeScaleChange: handleTimeScaleChange,
+  onAIModeChange: handleAIModeChange,
+  onBathymetryPresetChange: handleBathymetryPresetChange,
+  onCameraModeChange: handleCameraModeChange,
+  onTimelinePause: handleTimelinePause,
+  onTimelineStep: handleTimelineStep,
+  onTimelineBookmarkJump: handleTimelineBookmarkJump,
+  getToggles,
+  getTimeScale,
+  getInputMap: () => inputMap,
+});
+
+// Each worker snapshot replaces the world; autosaves happen here (localStorage
+// is main-thread only)
+function handleSnapshot(snapshot, latest) {
+  world = latest;
+  toggles = { ...world.toggles, timeScale: world.timeScale };
+  window.toggles = toggles;
+
+  // Save game state periodically (every ~1 second of game time)
+  if (snapshot.autosave) {
+    saveGameState(world, { timeScale: world.timeScale });
+    saveSlots = listSaveSlots();
+  }
+}
+
+// Draws the given world on a surface; returns its scene for the debug panel
+function drawWorld(
+  world,
+  { canvas: target, renderer: sceneRenderer, overlayCanvas: overlay, ctx }
+) {
+  const { toggles } = world;
+  const w = target.width;
+  const h = target.height;
+
+  const scene = buildScene(world, toggles, w, h);
+  const { oceanTop, oceanBottom, foamGridWidth, foamGridHeight, foamGridData, transferGridData } =
+    scene;
+
+  // The bathymetry editor paints in the top-down view, so editing switches to it
+  const camera = createCamera(
+    toggles.editBathymetry ? CAMERA_MODE.TOP_DOWN : cameraMode,
+    scene,
+    scene,
+    toggles.showPlayer ? world.playerProxy : null
   );
+  const topDown = !isPerspective(camera);
+
+  if (topDown) {
+    // Base layers (Canvas2D or WebGL2, see render/sceneRenderer.js for the order)
+    sceneRenderer.draw(scene);
+    if (overlay !== target) ctx.clearRect(0, 0, w, h);
+  } else {
+    // Perspective views draw the whole scene on the 2D context (over the WebGL canvas)
+    renderPerspectiveScene(ctx, scene, camera);
+  }
+
+  // Draw rip/longshore currents - toggle with 'C' key (top-down debug layer)
+  if (topDown && toggles.showCurrents) {
+    renderCurrentArrows(ctx, world.currentField, oceanTop, oceanBottom, w);
+  }
 
   // LAYER: Energy transfer samples (debug view - per-frame transfer snapshot)
   // Draw transfer deposits as individual rectangles for debugging
   // Performance: batched by opacity to reduce state changes
-  if (toggles.showFoamSamples) {
+  if (topDown && toggles.showFoamSamples) {
     const cellW = w / foamGridWidth;
     const cellH = (oceanBottom - oceanTop) / foamGridHeight;
     const data =
@@ -398,6 +685,13 @@ function draw() {
     }
   }
 
+  // LAYER: NPC crowd (size from the debug panel), each standing at its spot in the view
+  for (const npc of world.crowd) {
+    drawAtGroundPoint(ctx, camera, scene, npc.surfer.x, npc.surfer.y, () =>
+      drawCrowd(ctx, [npc], world.foamGrid, w, oceanTop, oceanBottom, PLAYER_PROXY_CONFIG)
+    );
+  }
+
   // LAYER: Player proxy (toggle with 'P' key)
   if (toggles.showPlayer && world.playerProxy) {
     const normalizedX = world.playerProxy.x / w;
@@ -406,14 +700,43 @@ function draw() {
       Math.min(1, (world.playerProxy.y - oceanTop) / (oceanBottom - oceanTop))
     );
     const foamIntensity = sampleFoamGrid(world.foamGrid, normalizedX, normalizedY);
-    drawPlayerProxy(ctx, world.playerProxy, foamIntensity, PLAYER_PROXY_CONFIG);
+    drawAtGroundPoint(ctx, camera, scene, world.playerProxy.x, world.playerProxy.y, () =>
+      drawSurfer(ctx, world.playerProxy, foamIntensity, PLAYER_PROXY_CONFIG)
+    );
 
     // Draw AI key indicator in bottom right corner
     if (toggles.showAIPlayer && world.aiState) {
       drawAIKeyIndicator(ctx, world.lastAIInput, world.aiState, w - 60, h - 60);
     }
+
+    // Heat scorecard in the top left corner (toggle with 'H' key)
+    if (toggles.showScorecard) {
+      drawScorecard(ctx, world.scorecard, world.rideTracker, 10, 10);
+    }
   }
 
+  // LAYER: Bathymetry brush outline (editor mode, live world only)
+  if (target === canvas) bathymetryEditor.draw(ctx);
+
+  // LAYER: A/B split label (top center)
+  if (comparison) {
+    const preset = findPhysicsPreset(world.physics, physicsPresets) ?? 'custom';
+    ctx.font = 'bold 14px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillText(`${target === canvas ? 'A' : 'B'}: ${preset}`, w / 2, 20);
+    ctx.textAlign = 'start';
+  }
+
+  return scene;
+}
+
+// Draws the given world (the live one is interpolated between steps) and the debug panel
+function draw(world) {
+  const scene = drawWorld(world, surface);
+  const { oceanTop, oceanBottom, foamGridData, transferGridData } = scene;
+  const w = canvas.width;
+
   // Render React debug panel (extracted to ui/debugPanelManager.js)
   let foamCellCount = 0;
   let energyTransferCellCount = 0;
@@ -431,29 +754,111 @@ function draw() {
   debugPanel.render({
     setLullState: world.setLullState,
     gameTime: world.gameTime,
-    displayWaves: debugPanel.prepareDisplayWaves(world.waves, world.gameTime, travelDuration),
+    displayWaves: debugPanel.prepareDisplayWaves(world.waves, world.gameTime, scene.travelDuration),
     foamCount: foamCellCount,
     energyTransferCount: energyTransferCellCount,
     timeScale: getTimeScale(),
     onTimeScaleChange: handleTimeScaleChange,
+    gridResolution: {
+      name: world.gridResolution,
+      width: world.energyField.width,
+      height: world.energyField.gridHeight,
+    },
+    onGridResolutionChange: handleGridResolutionChange,
+    renderer: renderer.backend,
+    onRendererChange: handleRendererChange,
+    cameraMode,
+    onCameraModeChange: handleCameraModeChange,
+    inputBindings: {
+      actions: INPUT_ACTIONS.map(({ action, label }) => ({
+        action,
+        label,
+        keys: inputMap[action],
+      })),
+      capturing: rebindingAction,
+    },
+    onRebindStart: handleRebindStart,
+    onResetBindings: handleResetBindings,
     toggles,
     onToggle: handleToggle,
     onSettingChange: handleSettingChange,
     fps: fpsTracker.getDisplayFps(),
     playerConfig: PLAYER_PROXY_CONFIG,
     onPlayerConfigChange: handlePlayerConfigChange,
+    surferState: toggles.showPlayer ? (world.playerProxy?.state ?? null) : null,
     aiMode: world.aiMode,
     onAIModeChange: handleAIModeChange,
+    bathymetryPreset: world.bathymetryPreset,
+    onBathymetryPresetChange: handleBathymetryPresetChange,
+    onBathymetryFileLoad: handleBathymetryFileLoad,
+    tide: world.tide,
+    tideClock: world.tide ? getTideClock(world.tide, world.gameTime) : null,
+    onTideChange: handleTideChange,
+    currentStats: toggles.showCurrents ? getCurrentStatsPx(oceanTop, oceanBottom, w) : null,
+    crowdStats: getCrowdStats(world.crowd),
+    timeline: sim.getSnapshot().timeline,
+    onTimelinePause: handleTimelinePause,
+    onTimelineStep: handleTimelineStep,
+    onTimelineSeek: handleTimelineSeek,
+    onTimelineSeekTime: handleTimelineSeekTime,
+    onTimelineBookmark: handleTimelineBookmark,
+    onTimelineBookmarkJump: handleTimelineBookmarkJump,
+    eventLog: sim.getSnapshot().eventLog,
+    onEventLogExport: handleEventLogExport,
+    onEventLogImport: handleEventLogImport,
+    clip: {
+      recording: clipRecording,
+      seconds: clipRecorder.getDuration(),
+      length: clipRecorder.seconds,
+    },
+    onClipRecordToggle: handleClipRecordToggle,
+    onClipExport: handleClipExport,
+    saveSlots,
+    saveReport,
+    onSaveSlot: handleSaveSlot,
+    onLoadSlot: handleLoadSlot,
+    onDeleteSlot: handleDeleteSlot,
+    physics: {
+      config: world.physics,
+      preset: findPhysicsPreset(world.physics, physicsPresets),
+      custom: Object.keys(physicsPresets),
+      compare: comparison?.preset ?? null,
+    },
+    onPhysicsChange: handlePhysicsChange,
+    onPhysicsPresetChange: handlePhysicsPresetChange,
+    onPhysicsPresetSave: handlePhysicsPresetSave,
+    onPhysicsPresetDelete: handlePhysicsPresetDelete,
+    onPhysicsCompareChange: handlePhysicsCompareChange,
   });
 }
 
+// Current field summary in screen units for the debug panel
+function getCurrentStatsPx(oceanTop, oceanBottom, canvasWidth) {
+  const { ripSpeed, longshore } = measureCurrents(world.currentField);
+  return { ripSpeed: ripSpeed * (oceanBottom - oceanTop), longshore: longshore * canvasWidth };
+}
+
 // Game loop with FPS tracking (extracted to util/fpsTracker.js)
 const fpsTracker = createFpsTracker();
 
 function gameLoop(timestamp) {
   const deltaTime = fpsTracker.update(timestamp);
-  update(deltaTime);
-  draw();
+  // Brush strokes only while live (paused on the timeline the worker holds a past world)
+  if (world && !sim.getSnapshot().paused) bathymetryEditor.update(deltaTime);
+  // The worker runs this frame's fixed steps; draw the latest snapshot meanwhile
+  const frameInput = input.getInput();
+  sim.frame(deltaTime, frameInput);
+  if (world) draw(sim.getView());
+  // Grab right after drawing, while a WebGL canvas still holds this frame
+  if (clipRecording && clipRecorder.isDue(timestamp)) {
+    const frame = grabCanvasFrame([canvas, surface.overlayCanvas], clipRecorder.maxWidth);
+    if (frame) clipRecorder.push(frame, timestamp);
+  }
+  // World B of an A/B split follows the same input
+  if (comparison) {
+    comparison.sim.frame(deltaTime, frameInput);
+    if (comparison.world) drawWorld(comparison.sim.getView(), comparison.surface);
+  }
   requestAnimationFrame(gameLoop);
 }
 
@@ -461,6 +866,7 @@ function gameLoop(timestamp) {
 document.addEventListener('visibilitychange', () => {
   if (document.visibilityState === 'visible') {
     fpsTracker.resetTiming();
+    for (const client of getSims()) client.resetTiming();
   }
 });
 
@@ -468,12 +874,11 @@ document.addEventListener('visibilitychange', () => {
 // Set waves only spawn during SET state (lulls are empty of set waves)
 
 // Expose world state for E2E testing
-// Note: world is reassigned each frame, so expose as getter
+// Note: world is replaced by each snapshot, so expose as getter
 Object.defineProperty(window, 'world', {
-  get: () => store.getState(),
+  get: () => world ?? undefined,
   configurable: true,
 });
-window.toggles = toggles;
 window.AI_MODE = AI_MODE;
 window.createAIState = createAIState;
 
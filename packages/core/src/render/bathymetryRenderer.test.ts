@@ -4,7 +4,7 @@ import {
   buildBathymetryCache,
   createBathymetryCacheManager,
 } from './bathymetryRenderer.js';
-import { DEFAULT_BATHYMETRY } from '../state/bathymetryModel.js';
+import { DEFAULT_BATHYMETRY, rasterizeBathymetry } from '../state/bathymetryModel.js';
 
 describe('bathymetryRenderer', () => {
   describe('depthToColor', () => {
@@ -102,6 +102,16 @@ describe('bathymetryRenderer', () => {
       expect(mockCtx.fillRect).toHaveBeenCalledWith(0, 0, 10, 10);
     });
 
+    it('samples grid bathymetries at half-cell resolution', () => {
+      const grid = rasterizeBathymetry(DEFAULT_BATHYMETRY, 8, 6);
+
+      buildBathymetryCache(800, 0, 600, grid);
+
+      // 16 columns x 12 rows instead of 200 x 150 default 4px cells
+      expect(mockCtx.fillRect).toHaveBeenCalledTimes(16 * 12);
+      expect(mockCtx.fillRect).toHaveBeenCalledWith(0, 0, 50, 50);
+    });
+
     it('sets fillStyle to rgb color string', () => {
       buildBathymetryCache(10, 0, 10, DEFAULT_BATHYMETRY, { stepX: 10, stepY: 10 });
 
@@ -172,6 +182,18 @@ describe('bathymetryRenderer', () => {
       expect(document.createElement).toHaveBeenCalledTimes(createCallCount + 1);
     });
 
+    it('rebuilds cache when the bathymetry changes', () => {
+      const manager = createBathymetryCacheManager();
+
+      manager.get(800, 0, 600, DEFAULT_BATHYMETRY);
+      const createCallCount = vi.mocked(document.createElement).mock.calls.length;
+
+      // Presets, imports and editor strokes all produce a new bathymetry object
+      manager.get(800, 0, 600, rasterizeBathymetry(DEFAULT_BATHYMETRY, 8, 6));
+
+      expect(document.createElement).toHaveBeenCalledTimes(createCallCount + 1);
+    });
+
     it('invalidate() forces rebuild on next get()', () => {
       const manager = createBathymetryCacheManager();
 
@@ -3,8 +3,51 @@
 // Uses caching for performance - builds once, blits each frame
 
 import { getDepth } from '../state/bathymetryModel.js';
+import { isBathymetryGrid } from '../state/bathymetryGridModel.js';
 import { viridisToRgb } from './colorScales';
 
+/**
+ * Sample bathymetry depths on the heat map's cell grid
+ *
+ * Cell (col, row) covers x from col * stepX and y from oceanTop + row * stepY,
+ * sampled at its top-left corner. The Canvas2D cache fills these cells and the
+ * WebGL backend uploads them as a texture, so both draw the same map.
+ *
+ * @param {number} width - Canvas width in pixels
+ * @param {number} oceanTop - Y coordinate of ocean top (horizon)
+ * @param {number} oceanBottom - Y coordinate of ocean bottom (shore line)
+ * @param {object} bathymetry - Bathymetry configuration
+ * @param {object} options - Sampling options (stepX, stepY as for buildBathymetryCache)
+ * @returns {{depths: Float32Array, cols: number, rows: number, stepX: number, stepY: number}}
+ */
+export function sampleBathymetryDepths(
+  width,
+  oceanTop,
+  oceanBottom,
+  bathymetry,
+  options: Record<string, any> = {}
+) {
+  // Grid bathymetries hold no detail finer than a cell; sampling at half-cell size keeps
+  // rebuilds cheap while the editor is painting (one rebuild per stroke)
+  const isGrid = isBathymetryGrid(bathymetry);
+  const {
+    stepX = isGrid ? Math.max(4, width / bathymetry.width / 2) : 4,
+    stepY = isGrid ? Math.max(4, (oceanBottom - oceanTop) / bathymetry.height / 2) : 4,
+  } = options;
+
+  const cols = Math.max(0, Math.ceil(width / stepX));
+  const rows = Math.max(0, Math.ceil((oceanBottom - oceanTop) / stepY));
+  const depths = new Float32Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    const progress = (row * stepY) / (oceanBottom - oceanTop);
+    for (let col = 0; col < cols; col++) {
+      depths[row * cols + col] = getDepth((col * stepX) / width, bathymetry, progress);
+    }
+  }
+
+  return { depths, cols, rows, stepX, stepY };
+}
+
 /**
  * Build bathymetry heat map to an offscreen canvas
  * @param {number} width - Canvas width in pixels
@@ -12,8 +55,8 @@ import { viridisToRgb } from './colorScales';
  * @param {number} oceanBottom - Y coordinate of ocean bottom (shore line)
  * @param {object} bathymetry - Bathymetry configuration
  * @param {object} options - Rendering options
- * @param {number} options.stepX - Horizontal cell size (default 4)
- * @param {number} options.stepY - Vertical cell size (default 4)
+ * @param {number} options.stepX - Horizontal cell size (default 4; half a grid cell for grids)
+ * @param {number} options.stepY - Vertical cell size (default 4; half a grid cell for grids)
  * @param {number} options.colorScaleDepth - Depth at which color saturates (default 15)
  * @returns {HTMLCanvasElement} Offscreen canvas with rendered heat map
  */
@@ -24,21 +67,25 @@ export function buildBathymetryCache(
   bathymetry,
   options: Record<string, any> = {}
 ) {
-  const { stepX = 4, stepY = 4, colorScaleDepth = 15 } = options;
+  const { colorScaleDepth = 15 } = options;
+  const { depths, cols, rows, stepX, stepY } = sampleBathymetryDepths(
+    width,
+    oceanTop,
+    oceanBottom,
+    bathymetry,
+    options
+  );
 
   const cache = document.createElement('canvas');
   cache.width = width;
   cache.height = oceanBottom;
   const cacheCtx = cache.getContext('2d');
 
-  for (let y = oceanTop; y < oceanBottom; y += stepY) {
-    const progress = (y - oceanTop) / (oceanBottom - oceanTop);
-    for (let x = 0; x < width; x += stepX) {
-      const normalizedX = x / width;
-      const depth = getDepth(normalizedX, bathymetry, progress);
-      const { r, g, b } = depthToColor(depth, colorScaleDepth);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const { r, g, b } = depthToColor(depths[row * cols + col], colorScaleDepth);
       cacheCtx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-      cacheCtx.fillRect(x, y, stepX, stepY);
+      cacheCtx.fillRect(col * stepX, oceanTop + row * stepY, stepX, stepY);
     }
   }
 
@@ -64,13 +111,15 @@ export function depthToColor(
 
 /**
  * Create a cache manager for bathymetry rendering
- * Handles cache invalidation on resize
+ * Handles cache invalidation on resize and when the bathymetry changes
+ * (presets, heightmap imports and editor strokes all produce a new bathymetry object)
  * @returns {object} Cache manager with get() and invalidate() methods
  */
 export function createBathymetryCacheManager() {
   let cache = null;
   let cachedWidth = 0;
   let cachedHeight = 0;
+  let cachedBathymetry = null;
 
   return {
     /**
@@ -83,10 +132,16 @@ export function createBathymetryCacheManager() {
      * @returns {HTMLCanvasElement} Cached canvas
      */
     get(width, oceanTop, oceanBottom, bathymetry, options = {}) {
-      if (!cache || cachedWidth !== width || cachedHeight !== oceanBottom) {
+      if (
+        !cache ||
+        cachedWidth !== width ||
+        cachedHeight !== oceanBottom ||
+        cachedBathymetry !== bathymetry
+      ) {
         cache = buildBathymetryCache(width, oceanTop, oceanBottom, bathymetry, options);
         cachedWidth = width;
         cachedHeight = oceanBottom;
+        cachedBathymetry = bathymetry;
       }
       return cache;
     },
@@ -98,6 +153,7 @@ export function createBathymetryCacheManager() {
       cache = null;
       cachedWidth = 0;
       cachedHeight = 0;
+      cachedBathymetry = null;
     },
 
     /**
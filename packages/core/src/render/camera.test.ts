@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CAMERA_MODE,
+  createCamera,
+  getScreenScale,
+  isPerspective,
+  projectPolygon,
+  worldToScreen,
+} from './camera.js';
+
+const viewport = { width: 800, height: 600 };
+const bounds = { oceanTop: 0, oceanBottom: 500, shoreY: 500 };
+
+describe('camera', () => {
+  it('maps world space straight onto the top-down view', () => {
+    const camera = createCamera(CAMERA_MODE.TOP_DOWN, viewport, bounds);
+
+    expect(isPerspective(camera)).toBe(false);
+    expect(worldToScreen(camera, [120, 30, 240])).toEqual({ x: 120, y: 240, depth: 0 });
+    expect(
+      projectPolygon(camera, [
+        [1, 5, 2],
+        [3, 5, 4],
+        [5, 5, 6],
+      ])
+    ).toEqual([
+      { x: 1, y: 2 },
+      { x: 3, y: 4 },
+      { x: 5, y: 6 },
+    ]);
+    expect(getScreenScale(camera, 100)).toBe(1);
+  });
+
+  it('centers the beach camera on its target and shrinks the distance', () => {
+    const camera = createCamera(CAMERA_MODE.BEACH, viewport, bounds);
+    const target = worldToScreen(camera, [400, 0, 175]);
+
+    expect(target.x).toBeCloseTo(400, 3);
+    expect(target.y).toBeCloseTo(300, 3);
+
+    // Out to sea is higher up the screen and smaller
+    const horizon = worldToScreen(camera, [400, 0, 0]);
+    const shore = worldToScreen(camera, [400, 0, 480]);
+    expect(horizon.y).toBeLessThan(shore.y);
+    expect(getScreenScale(camera, horizon.depth)).toBeLessThan(getScreenScale(camera, shore.depth));
+  });
+
+  it('clips polygons at the near plane', () => {
+    const camera = createCamera(CAMERA_MODE.BEACH, viewport, bounds);
+    const behind = 2000; // past the eye on the beach
+
+    expect(worldToScreen(camera, [400, 0, behind])).toBeNull();
+    expect(
+      projectPolygon(camera, [
+        [0, 0, behind],
+        [800, 0, behind],
+        [400, 0, behind + 50],
+      ])
+    ).toEqual([]);
+
+    const straddling = projectPolygon(camera, [
+      [0, 0, 100],
+      [800, 0, 100],
+      [800, 0, behind],
+      [0, 0, behind],
+    ]);
+    expect(straddling).toHaveLength(4);
+    for (const { x, y } of straddling) {
+      expect(Number.isFinite(x) && Number.isFinite(y)).toBe(true);
+    }
+  });
+
+  it('follows the focus, or stands on the beach without one', () => {
+    const follow = createCamera(CAMERA_MODE.FOLLOW, viewport, bounds, { x: 200, y: 300 });
+    const screen = worldToScreen(follow, [200, 0, 300]);
+
+    expect(follow.eye[0]).toBe(200);
+    expect(screen.x).toBeCloseTo(400, 3);
+    expect(createCamera(CAMERA_MODE.FOLLOW, viewport, bounds).eye).toEqual(
+      createCamera(CAMERA_MODE.BEACH, viewport, bounds).eye
+    );
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => createCamera('drone', viewport, bounds)).toThrow(/Unknown camera mode drone/);
+  });
+});
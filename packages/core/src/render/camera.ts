@@ -0,0 +1,137 @@
+// Camera - World space to screen for the top-down and perspective views
+//
+// World space is the top-down view's pixel space lifted into 3D: x runs across
+// the canvas, z is the top-down screen y (horizon at oceanTop, shore at
+// oceanBottom) and y is height above the still water line, in the same pixels.
+// The top-down camera maps (x, y, z) straight to screen (x, z); the perspective
+// cameras look at the same world through createLookAtMatrix and
+// createPerspectiveMatrix (core/math.ts), so models keep their pixel coordinates
+// and only rendering changes with the view.
+
+import {
+  createLookAtMatrix,
+  createPerspectiveMatrix,
+  multiplyMatrices,
+  transformVec4,
+} from '../core/math.js';
+
+export const CAMERA_MODE = {
+  TOP_DOWN: 'topDown',
+  BEACH: 'beach', // standing on the sand looking out to sea
+  LINEUP: 'lineup', // above and outside the break looking in at the beach
+  FOLLOW: 'follow', // trailing the player on the seaward side
+};
+
+const FIELD_OF_VIEW = (55 * Math.PI) / 180;
+const NEAR = 1;
+const FAR = 50000;
+
+// Eye and target per perspective mode, scaled by the ocean's size
+const CAMERA_POSES = {
+  [CAMERA_MODE.BEACH]: ({ width, oceanTop, shoreY, oceanHeight }) => ({
+    eye: [width / 2, oceanHeight * 0.12 + 20, shoreY + oceanHeight * 0.25],
+    target: [width / 2, 0, oceanTop + oceanHeight * 0.35],
+  }),
+  [CAMERA_MODE.LINEUP]: ({ width, oceanTop, oceanBottom, oceanHeight }) => ({
+    eye: [width / 2, oceanHeight * 0.45, oceanTop - oceanHeight * 0.35],
+    target: [width / 2, 0, oceanBottom - oceanHeight * 0.1],
+  }),
+  [CAMERA_MODE.FOLLOW]: ({ oceanHeight }, focus) => ({
+    eye: [focus.x, oceanHeight * 0.18, focus.y - oceanHeight * 0.3],
+    target: [focus.x, 0, focus.y + oceanHeight * 0.15],
+  }),
+};
+
+/**
+ * Create the camera for a view mode
+ * @param {string} mode - A CAMERA_MODE value
+ * @param {{width: number, height: number}} viewport - Canvas size in pixels
+ * @param {{oceanTop: number, oceanBottom: number, shoreY: number}} bounds - Ocean bounds
+ * @param {{x: number, y: number}|null} focus - What the follow camera trails (the
+ *   player proxy); without one it stands on the beach
+ * @returns {object} Camera: {mode, width, height, eye, viewProjection} (eye and
+ *   viewProjection are null for the top-down view)
+ */
+export function createCamera(mode, viewport, bounds, focus = null) {
+  const { width, height } = viewport;
+  if (mode === CAMERA_MODE.TOP_DOWN) {
+    return { mode, width, height, eye: null, viewProjection: null };
+  }
+  if (!CAMERA_POSES[mode]) {
+    throw new Error(`Unknown camera mode ${mode}`);
+  }
+
+  const oceanHeight = bounds.oceanBottom - bounds.oceanTop;
+  const pose = mode === CAMERA_MODE.FOLLOW && !focus ? CAMERA_POSES.beach : CAMERA_POSES[mode];
+  const { eye, target } = pose({ width, ...bounds, oceanHeight }, focus);
+  const view = createLookAtMatrix(eye, target, [0, 1, 0]);
+  const projection = createPerspectiveMatrix(FIELD_OF_VIEW, width / height, NEAR, FAR);
+
+  return { mode, width, height, eye, viewProjection: multiplyMatrices(projection, view) };
+}
+
+/**
+ * Whether a camera draws the perspective view
+ * @param {object} camera - Camera from createCamera
+ * @returns {boolean}
+ */
+export function isPerspective(camera) {
+  return camera.viewProjection !== null;
+}
+
+function toScreen(camera, clip) {
+  return {
+    x: ((clip[0] / clip[3] + 1) / 2) * camera.width,
+    y: ((1 - clip[1] / clip[3]) / 2) * camera.height,
+    depth: clip[3],
+  };
+}
+
+/**
+ * Project a world point to the screen
+ * @param {object} camera - Camera from createCamera
+ * @param {number[]} point - [x, y, z] in world space
+ * @returns {{x: number, y: number, depth: number}|null} Screen position and distance
+ *   along the view direction (0 top-down), or null behind the camera
+ */
+export function worldToScreen(camera, [x, y, z]) {
+  if (!isPerspective(camera)) return { x, y: z, depth: 0 };
+  const clip = transformVec4(camera.viewProjection, [x, y, z, 1]);
+  return clip[3] < NEAR ? null : toScreen(camera, clip);
+}
+
+/**
+ * Project a world polygon to the screen, clipped at the near plane
+ * @param {object} camera - Camera from createCamera
+ * @param {number[][]} points - [x, y, z] corners in order
+ * @returns {Array<{x: number, y: number}>} Screen corners (empty when the polygon
+ *   is entirely behind the camera)
+ */
+export function projectPolygon(camera, points) {
+  if (!isPerspective(camera)) return points.map(([x, , z]) => ({ x, y: z }));
+
+  const clips = points.map(([x, y, z]) => transformVec4(camera.viewProjection, [x, y, z, 1]));
+  const clipped = [];
+  for (let i = 0; i < clips.length; i++) {
+    const a = clips[i];
+    const b = clips[(i + 1) % clips.length];
+    const aInside = a[3] >= NEAR;
+    if (aInside) clipped.push(a);
+    if (aInside !== b[3] >= NEAR) {
+      const t = (NEAR - a[3]) / (b[3] - a[3]);
+      clipped.push(a.map((value, k) => value + (b[k] - value) * t));
+    }
+  }
+  return clipped.map((clip) => toScreen(camera, clip));
+}
+
+/**
+ * Screen pixels per world pixel at a distance from the camera
+ * @param {object} camera - Camera from createCamera
+ * @param {number} depth - Distance along the view direction (from worldToScreen)
+ * @returns {number} Scale (1 top-down)
+ */
+export function getScreenScale(camera, depth) {
+  if (!isPerspective(camera)) return 1;
+  return camera.height / 2 / Math.tan(FIELD_OF_VIEW / 2) / depth;
+}
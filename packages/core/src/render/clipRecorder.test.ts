@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { createClipRecorder } from './clipRecorder';
+
+const frame = (width = 2, height = 1, value = 0) => ({
+  data: new Uint8ClampedArray(width * height * 4).fill(value),
+  width,
+  height,
+});
+
+describe('clipRecorder', () => {
+  it('is due once per frame interval', () => {
+    const recorder = createClipRecorder({ fps: 10 });
+    expect(recorder.isDue(0)).toBe(true);
+    recorder.push(frame(), 0);
+    expect(recorder.isDue(50)).toBe(false);
+    expect(recorder.isDue(100)).toBe(true);
+  });
+
+  it('keeps only the last seconds of frames', () => {
+    const recorder = createClipRecorder({ seconds: 2, fps: 5 });
+    expect(recorder.capacity).toBe(10);
+    for (let i = 0; i < 25; i++) recorder.push(frame(), i * 200);
+    expect(recorder.getDuration()).toBe(2);
+  });
+
+  it('starts over when the frame size changes', () => {
+    const recorder = createClipRecorder({ fps: 10 });
+    recorder.push(frame(2, 1), 0);
+    recorder.push(frame(2, 1), 100);
+    recorder.push(frame(4, 2), 200);
+    expect(recorder.getDuration()).toBeCloseTo(0.1);
+  });
+
+  it('exports the buffer as a GIF', () => {
+    const recorder = createClipRecorder({ fps: 10 });
+    recorder.push(frame(2, 1, 0), 0);
+    recorder.push(frame(2, 1, 255), 100);
+    const bytes = recorder.exportGif();
+    expect(new TextDecoder().decode(bytes.slice(0, 6))).toBe('GIF89a');
+  });
+
+  it('refuses to export an empty buffer', () => {
+    const recorder = createClipRecorder();
+    recorder.push(frame(), 0);
+    recorder.clear();
+    expect(() => recorder.exportGif()).toThrow('No clip recorded yet');
+    expect(recorder.isDue(0)).toBe(true);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Gameplay Clip Recorder
+ *
+ * Keeps the last few seconds of the game canvas as downscaled frames, like a
+ * replay buffer, and exports them as an animated GIF. The game loop grabs a
+ * frame right after drawing (so WebGL canvases still hold their pixels) whenever
+ * the recorder is due.
+ */
+import { encodeGif, type GifFrame } from './gifExport.js';
+
+export const CLIP_RECORDER_CONFIG = {
+  seconds: 10, // length of the rolling buffer
+  fps: 10, // frames kept per second
+  maxWidth: 480, // frames are scaled down to at most this width
+};
+
+/**
+ * Create a clip recorder
+ * @param {object} options - Overrides for CLIP_RECORDER_CONFIG
+ * @returns {object} Recorder
+ */
+export function createClipRecorder(options: Partial<typeof CLIP_RECORDER_CONFIG> = {}) {
+  const { seconds, fps, maxWidth } = { ...CLIP_RECORDER_CONFIG, ...options };
+  const capacity = Math.max(1, Math.round(seconds * fps));
+  const interval = 1000 / fps;
+  let frames: GifFrame[] = [];
+  let lastCapture = -Infinity;
+
+  return {
+    seconds,
+    capacity,
+    maxWidth,
+
+    /**
+     * Whether a frame should be grabbed at this time
+     * @param {number} timestamp - Frame time in ms (requestAnimationFrame)
+     */
+    isDue(timestamp) {
+      return timestamp - lastCapture >= interval;
+    },
+
+    /**
+     * Add a frame, dropping the oldest beyond the buffer length. A frame of a
+     * new size (the window was resized) starts the buffer over.
+     * @param {GifFrame} frame - RGBA frame
+     * @param {number} timestamp - Frame time in ms
+     */
+    push(frame: GifFrame, timestamp) {
+      const first = frames[0];
+      if (first && (first.width !== frame.width || first.height !== frame.height)) frames = [];
+      frames.push(frame);
+      if (frames.length > capacity) frames.shift();
+      lastCapture = timestamp;
+    },
+
+    /**
+     * Seconds of gameplay currently buffered
+     */
+    getDuration() {
+      return frames.length / fps;
+    },
+
+    clear() {
+      frames = [];
+      lastCapture = -Infinity;
+    },
+
+    /**
+     * Encode the buffered frames
+     * @returns {Uint8Array} GIF file bytes
+     */
+    exportGif() {
+      if (frames.length === 0) {
+        throw new Error('No clip recorded yet');
+      }
+      return encodeGif(frames, { delay: interval });
+    },
+  };
+}
+
+// Scratch canvas the layers are composited on (reused between grabs)
+let scratch: HTMLCanvasElement | null = null;
+
+/**
+ * Composite canvases (bottom first) into one downscaled RGBA frame
+ * @param {HTMLCanvasElement[]} layers - Stacked canvases of the same size
+ * @param {number} maxWidth - Width cap in pixels
+ * @returns {GifFrame|null} Frame, or null when there is nothing to draw
+ */
+export function grabCanvasFrame(layers: HTMLCanvasElement[], maxWidth): GifFrame | null {
+  const [base] = layers;
+  if (!base || base.width === 0 || base.height === 0) return null;
+
+  const scale = Math.min(1, maxWidth / base.width);
+  const width = Math.max(1, Math.round(base.width * scale));
+  const height = Math.max(1, Math.round(base.height * scale));
+
+  scratch ??= document.createElement('canvas');
+  scratch.width = width;
+  scratch.height = height;
+  const ctx = scratch.getContext('2d', { willReadFrequently: true });
+  if (!ctx) return null;
+
+  for (const layer of new Set(layers)) {
+    ctx.drawImage(layer, 0, 0, width, height);
+  }
+  const { data } = ctx.getImageData(0, 0, width, height);
+  return { data, width, height };
+}
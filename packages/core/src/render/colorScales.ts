@@ -81,6 +81,14 @@ export function energyToColor(energy: number): string {
   return viridisToColor(energy);
 }
 
+/**
+ * Map energy value to RGB bytes on the same scale as energyToColor
+ * For pixel buffers (GIF export) where a CSS string won't do
+ */
+export function energyToRgb(energy: number): { r: number; g: number; b: number } {
+  return viridisToRgb(energy);
+}
+
 /**
  * Map depth value to Viridis color (inverted for intuitive visualization)
  * Shallow (0) = yellow (warm, like sand/shore)
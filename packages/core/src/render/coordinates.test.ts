@@ -4,6 +4,7 @@ import {
   screenYToProgress,
   getOceanBounds,
   calculateTravelDuration,
+  SHORELINE_PX_PER_METER,
 } from './coordinates.js';
 
 describe('coordinates', () => {
@@ -65,6 +66,16 @@ describe('coordinates', () => {
       expect(bounds.oceanBottom).toBe(650);
       expect(bounds.shoreY).toBe(650);
     });
+
+    it('moves the waterline with the tide but keeps the ocean fixed', () => {
+      const high = getOceanBounds(600, 100, 1);
+      const low = getOceanBounds(600, 100, -1);
+
+      expect(high.oceanBottom).toBe(500);
+      expect(low.oceanBottom).toBe(500);
+      expect(high.shoreY).toBe(500 + SHORELINE_PX_PER_METER);
+      expect(low.shoreY).toBe(500 - SHORELINE_PX_PER_METER);
+    });
   });
 
   describe('calculateTravelDuration', () => {
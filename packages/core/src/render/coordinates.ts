@@ -23,18 +23,26 @@ export function screenYToProgress(y, oceanTop, oceanBottom) {
   return (y - oceanTop) / (oceanBottom - oceanTop);
 }
 
+// How far the waterline moves up/down the beach per meter of tide (beach slope)
+export const SHORELINE_PX_PER_METER = 16;
+
 /**
  * Calculate ocean bounds from canvas dimensions
+ * The simulated ocean (oceanTop → oceanBottom) is fixed; the waterline (shoreY)
+ * follows the tide, covering beach at high water and uncovering the shallows
+ * at low water.
+ *
  * @param {number} canvasHeight - Canvas height in pixels
  * @param {number} shoreHeight - Height of shore area at bottom
+ * @param {number} tideLevel - Sea level offset in meters (default 0)
  * @returns {object} { oceanTop, oceanBottom, shoreY }
  */
-export function getOceanBounds(canvasHeight, shoreHeight) {
-  const shoreY = canvasHeight - shoreHeight;
+export function getOceanBounds(canvasHeight, shoreHeight, tideLevel = 0) {
+  const oceanBottom = canvasHeight - shoreHeight;
   return {
     oceanTop: 0,
-    oceanBottom: shoreY,
-    shoreY,
+    oceanBottom,
+    shoreY: oceanBottom + tideLevel * SHORELINE_PX_PER_METER,
   };
 }
 
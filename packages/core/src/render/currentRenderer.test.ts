@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CURRENT_ARROW_COLORS, renderCurrentArrows } from './currentRenderer.js';
+import { createCurrentField } from '../state/currentFieldModel.js';
+
+function createMockContext() {
+  const strokeStyles = [];
+  return {
+    strokeStyles,
+    lineWidth: 1,
+    set strokeStyle(value) {
+      strokeStyles.push(value);
+    },
+    save: vi.fn(),
+    restore: vi.fn(),
+    beginPath: vi.fn(),
+    moveTo: vi.fn(),
+    lineTo: vi.fn(),
+    stroke: vi.fn(),
+  };
+}
+
+describe('currentRenderer', () => {
+  it('draws nothing in still water', () => {
+    const ctx = createMockContext();
+
+    expect(renderCurrentArrows(ctx, createCurrentField(), 0, 400, 800)).toBe(0);
+    expect(ctx.stroke).not.toHaveBeenCalled();
+  });
+
+  it('draws one arrow per grid point where the water moves', () => {
+    const ctx = createMockContext();
+    const field = createCurrentField();
+    field.vx.fill(0.02); // 16 px/s across 800px
+
+    const drawn = renderCurrentArrows(ctx, field, 0, 400, 800, { spacing: 100 });
+
+    expect(drawn).toBe(8 * 4);
+    expect(ctx.stroke).toHaveBeenCalledTimes(drawn);
+    expect(ctx.strokeStyles).toEqual(new Array(drawn).fill(CURRENT_ARROW_COLORS.flow));
+  });
+
+  it('colors seaward flow as a rip', () => {
+    const ctx = createMockContext();
+    const field = createCurrentField();
+    field.vy.fill(-0.05);
+
+    renderCurrentArrows(ctx, field, 0, 400, 800, { spacing: 200 });
+
+    expect(ctx.strokeStyles.every((style) => style === CURRENT_ARROW_COLORS.rip)).toBe(true);
+  });
+
+  it('skips arrows below the minimum speed', () => {
+    const ctx = createMockContext();
+    const field = createCurrentField();
+    field.vx.fill(0.001); // 0.8 px/s
+
+    expect(renderCurrentArrows(ctx, field, 0, 400, 800, { minSpeed: 2 })).toBe(0);
+  });
+});
@@ -0,0 +1,75 @@
+// Current Renderer
+// Draws the rip/longshore current field as arrows on a coarse grid
+//
+// Arrow length scales with speed; seaward flow (rips) is drawn red so the
+// channels stand out against the shoreward and longshore flow (white).
+
+import { sampleCurrent } from '../state/currentFieldModel.js';
+
+export const CURRENT_ARROW_COLORS = {
+  rip: 'rgba(255, 90, 90, 0.9)',
+  flow: 'rgba(255, 255, 255, 0.75)',
+};
+
+/**
+ * Render current arrows to canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} field - Current field from currentFieldModel
+ * @param {number} oceanTop - Y pixel position of horizon
+ * @param {number} oceanBottom - Y pixel position of shore
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {object} options - Rendering options
+ * @param {number} options.spacing - Pixels between arrows (default 40)
+ * @param {number} options.secondsShown - Arrow length = distance drifted in this many seconds (default 2)
+ * @param {number} options.minSpeed - Skip arrows slower than this, px/s (default 2)
+ * @returns {number} Arrows drawn
+ */
+export function renderCurrentArrows(
+  ctx,
+  field,
+  oceanTop,
+  oceanBottom,
+  canvasWidth,
+  options: Record<string, any> = {}
+) {
+  const { spacing = 40, secondsShown = 2, minSpeed = 2 } = options;
+  const oceanHeight = oceanBottom - oceanTop;
+  let drawn = 0;
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+
+  for (let py = oceanTop + spacing / 2; py < oceanBottom; py += spacing) {
+    for (let px = spacing / 2; px < canvasWidth; px += spacing) {
+      const { vx, vy } = sampleCurrent(field, px / canvasWidth, (py - oceanTop) / oceanHeight);
+      const speedX = vx * canvasWidth;
+      const speedY = vy * oceanHeight;
+      const speed = Math.hypot(speedX, speedY);
+      if (speed < minSpeed) continue;
+
+      // Cap at the cell spacing so fast rips don't run into neighbouring arrows
+      const length = Math.min(spacing * 0.9, speed * secondsShown);
+      const ux = speedX / speed;
+      const uy = speedY / speed;
+      const tipX = px + ux * length * 0.5;
+      const tipY = py + uy * length * 0.5;
+      const head = Math.min(6, length * 0.4);
+
+      ctx.strokeStyle =
+        speedY < 0 && -speedY > Math.abs(speedX)
+          ? CURRENT_ARROW_COLORS.rip
+          : CURRENT_ARROW_COLORS.flow;
+      ctx.beginPath();
+      ctx.moveTo(px - ux * length * 0.5, py - uy * length * 0.5);
+      ctx.lineTo(tipX, tipY);
+      ctx.moveTo(tipX - head * (ux - uy * 0.5), tipY - head * (uy + ux * 0.5));
+      ctx.lineTo(tipX, tipY);
+      ctx.lineTo(tipX - head * (ux + uy * 0.5), tipY - head * (uy - ux * 0.5));
+      ctx.stroke();
+      drawn++;
+    }
+  }
+
+  ctx.restore();
+  return drawn;
+}
@@ -33,10 +33,42 @@ export const FOAM_THRESHOLDS_C = [
   { value: 0.5, color: 'rgba(220, 200, 255, 0.9)', lineWidth: 3 },
 ];
 
+/**
+ * Foam contour layers enabled by the toggles, in drawing order
+ *
+ * Every backend draws the same list: Canvas2D strokes marching-squares
+ * contours, WebGL draws the iso-lines with a threshold shader.
+ *
+ * @param {object} grids - {transferGrid, foamGrid} data arrays
+ * @param {object} toggles - Visibility toggles
+ * @returns {Array<{key: string, data: Float32Array, thresholds: Array, blurPasses: number}>}
+ */
+export function getFoamContourLayers(grids, toggles) {
+  const { transferGrid, foamGrid } = grids;
+  const hasFoam = !!(foamGrid && foamGrid.length);
+  // Prefer the accumulated foam field for the base view; fall back to transfer snapshot if needed
+  const baseLayer = hasFoam ? foamGrid : transferGrid;
+
+  const layers = [];
+  if (toggles.showFoamZones && baseLayer) {
+    layers.push({ key: 'base', data: baseLayer, thresholds: FOAM_THRESHOLDS_BASE, blurPasses: 1 });
+  }
+  if (toggles.showFoamOptionA && hasFoam) {
+    layers.push({ key: 'optionA', data: foamGrid, thresholds: FOAM_THRESHOLDS_A, blurPasses: 1 });
+  }
+  if (toggles.showFoamOptionB && hasFoam) {
+    layers.push({ key: 'optionB', data: foamGrid, thresholds: FOAM_THRESHOLDS_B, blurPasses: 2 });
+  }
+  if (toggles.showFoamOptionC && hasFoam) {
+    layers.push({ key: 'optionC', data: foamGrid, thresholds: FOAM_THRESHOLDS_C, blurPasses: 1 });
+  }
+  return layers;
+}
+
 /**
  * Render all enabled foam options
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Float32Array} foamGrid - Foam density grid
+ * @param {object} grids - {transferGrid, foamGrid} data arrays
  * @param {{width: number, height: number}} gridDims - Grid dimensions
  * @param {number} w - Canvas width
  * @param {number} h - Canvas height
@@ -56,34 +88,12 @@ export function renderFoamContours(
   toggles,
   renderers
 ) {
-  const { transferGrid, foamGrid } = grids;
-  // Prefer the accumulated foam field for the base view; fall back to transfer snapshot if needed
-  const baseLayer = foamGrid && foamGrid.length ? foamGrid : transferGrid;
-
-  if (!baseLayer && !foamGrid) return;
-
-  if (toggles.showFoamZones) {
-    renderers.base(ctx, baseLayer, gridDims.width, gridDims.height, w, h, {
-      thresholds: FOAM_THRESHOLDS_BASE,
-      oceanBottom,
-    });
-  }
-  if (toggles.showFoamOptionA && foamGrid && foamGrid.length) {
-    renderers.optionA(ctx, foamGrid, gridDims.width, gridDims.height, w, h, gameTime, {
-      thresholds: FOAM_THRESHOLDS_A,
-      oceanBottom,
-    });
-  }
-  if (toggles.showFoamOptionB && foamGrid && foamGrid.length) {
-    renderers.optionB(ctx, foamGrid, gridDims.width, gridDims.height, w, h, gameTime, {
-      thresholds: FOAM_THRESHOLDS_B,
-      oceanBottom,
-    });
-  }
-  if (toggles.showFoamOptionC && foamGrid && foamGrid.length) {
-    renderers.optionC(ctx, foamGrid, gridDims.width, gridDims.height, w, h, gameTime, {
-      thresholds: FOAM_THRESHOLDS_C,
-      oceanBottom,
-    });
+  for (const { key, data, thresholds, blurPasses } of getFoamContourLayers(grids, toggles)) {
+    const options = { thresholds, blurPasses, oceanBottom };
+    if (key === 'base') {
+      renderers.base(ctx, data, gridDims.width, gridDims.height, w, h, options);
+    } else {
+      renderers[key](ctx, data, gridDims.width, gridDims.height, w, h, gameTime, options);
+    }
   }
 }
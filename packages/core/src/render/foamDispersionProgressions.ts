@@ -9,6 +9,29 @@ function createMatrix(): Matrix {
   return Array.from({ length: GRID_HEIGHT }, () => Array(GRID_WIDTH).fill(0));
 }
 
+// Tunable parameters, ranges as in the viewer's Physics Parameters table
+const decayRateParam = (value: number) => ({
+  value,
+  min: 0.1,
+  max: 2.0,
+  step: 0.05,
+  label: 'Decay rate (1/s)',
+});
+const diffusionRateParam = (value: number) => ({
+  value,
+  min: 0.1,
+  max: 0.5,
+  step: 0.05,
+  label: 'Diffusion rate',
+});
+const driftSpeedParam = (value: number) => ({
+  value,
+  min: 0,
+  max: 3.0,
+  step: 0.1,
+  label: 'Current speed (cells/s)',
+});
+
 /**
  * Foam dispersion progressions show how foam behaves after wave breaking:
  * - Intensity decay (bubbles pop)
@@ -37,17 +60,15 @@ export const PROGRESSION_INTENSITY_DECAY = defineProgression({
     return matrix;
   })(),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, { decayRate }) => {
     const data = field.height;
 
     // Exponential decay: foam = foam * exp(-decayRate * dt)
-    const decayRate = 0.5; // 50% per second
-
     for (let i = 0; i < data.length; i++) {
       data[i] *= Math.exp(-decayRate * dt);
     }
   },
-  metadata: { label: 'Intensity Decay' },
+  metadata: { label: 'Intensity Decay', params: { decayRate: decayRateParam(0.5) } },
 });
 
 // Fast decay - high decay coefficient
@@ -64,14 +85,13 @@ export const PROGRESSION_FAST_DECAY = defineProgression({
     return matrix;
   })(),
   captureTimes: [0, 0.5, 1, 1.5, 2, 2.5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, { decayRate }) => {
     const data = field.height;
-    const decayRate = 1.5; // Fast decay
     for (let i = 0; i < data.length; i++) {
       data[i] *= Math.exp(-decayRate * dt);
     }
   },
-  metadata: { label: 'Fast Decay' },
+  metadata: { label: 'Fast Decay', params: { decayRate: decayRateParam(1.5) } },
 });
 
 // Slow decay - foam persists longer
@@ -88,14 +108,13 @@ export const PROGRESSION_SLOW_DECAY = defineProgression({
     return matrix;
   })(),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, { decayRate }) => {
     const data = field.height;
-    const decayRate = 0.2; // Slow decay
     for (let i = 0; i < data.length; i++) {
       data[i] *= Math.exp(-decayRate * dt);
     }
   },
-  metadata: { label: 'Slow Decay' },
+  metadata: { label: 'Slow Decay', params: { decayRate: decayRateParam(0.2) } },
 });
 
 // Spatial spreading - diffusion
@@ -109,11 +128,10 @@ export const PROGRESSION_SPATIAL_SPREADING = defineProgression({
     return matrix;
   })(),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, { diffusionRate }) => {
     const rows = field.gridHeight;
     const cols = field.width;
     const data = field.height;
-    const diffusionRate = 0.3;
 
     // Copy current state
     const prev = new Float32Array(data);
@@ -132,7 +150,7 @@ export const PROGRESSION_SPATIAL_SPREADING = defineProgression({
       }
     }
   },
-  metadata: { label: 'Spreading' },
+  metadata: { label: 'Spreading', params: { diffusionRate: diffusionRateParam(0.3) } },
 });
 
 // Combined: decay + spreading
@@ -150,12 +168,10 @@ export const PROGRESSION_DECAY_AND_SPREAD = defineProgression({
     return matrix;
   })(),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, { diffusionRate, decayRate }) => {
     const rows = field.gridHeight;
     const cols = field.width;
     const data = field.height;
-    const diffusionRate = 0.25;
-    const decayRate = 0.3;
 
     // Copy current state
     const prev = new Float32Array(data);
@@ -177,7 +193,10 @@ export const PROGRESSION_DECAY_AND_SPREAD = defineProgression({
       data[i] = Math.max(0, data[i] * Math.exp(-decayRate * dt));
     }
   },
-  metadata: { label: 'Decay + Spread' },
+  metadata: {
+    label: 'Decay + Spread',
+    params: { diffusionRate: diffusionRateParam(0.25), decayRate: decayRateParam(0.3) },
+  },
 });
 
 // Current-driven drift
@@ -194,12 +213,10 @@ export const PROGRESSION_CURRENT_DRIFT = defineProgression({
     return matrix;
   })(),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, { driftSpeed, decayRate }) => {
     const rows = field.gridHeight;
     const cols = field.width;
     const data = field.height;
-    const driftSpeed = 1.5; // cells per second to the right
-    const decayRate = 0.2;
 
     // Copy and clear
     const prev = new Float32Array(data);
@@ -233,7 +250,11 @@ export const PROGRESSION_CURRENT_DRIFT = defineProgression({
       data[i] = Math.min(1, data[i] * Math.exp(-decayRate * dt));
     }
   },
-  metadata: { label: 'Current Drift' },
+  metadata: {
+    label: 'Current Drift',
+    // driftSpeed is in cells per second to the right
+    params: { driftSpeed: driftSpeedParam(1.5), decayRate: decayRateParam(0.2) },
+  },
 });
 
 export const FOAM_DISPERSION_PROGRESSIONS = {
@@ -0,0 +1,99 @@
+// Progression GIF CLI
+//
+// Renders registered progressions to animated GIFs on the viewer's color scale,
+// for PR reviews that need motion rather than filmstrips.
+//
+// Usage:
+//   npm run gif -- --list
+//   npm run gif -- wave-breaking/plunging --out plunging.gif
+//   npm run gif -- foam-grid/accumulation foam-grid/advection --out-dir gifs
+//   npm run gif -- --all --out-dir gifs --frame-delay 250
+//
+// Options:
+//   --list                List registered progression ids
+//   --all                 Render every registered progression
+//   --out <file>          Output file (one progression only; default <id>.gif in --out-dir)
+//   --out-dir <dir>       Output directory (default .)
+//   --cell-size <px>      Pixels per cell (default 24, as ProgressionPlayer)
+//   --frame-delay <ms>    Ms per snapshot (default 500, as ProgressionPlayer)
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { getProgressionRegistry } from '../test-utils/index.js';
+import { progressionToGif } from './gifExport.js';
+
+// Progression modules register themselves on import
+import './bathymetryProgressions.js';
+import './energyTransferProgressions.js';
+import './foamContoursProgressions.js';
+import './foamDispersionProgressions.js';
+import './foamGridProgressions.js';
+import './shoalingProgressions.js';
+import './waveBreakingProgressions.js';
+import '../state/energyFieldProgressions.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    list: { type: 'boolean', default: false },
+    all: { type: 'boolean', default: false },
+    out: { type: 'string' },
+    'out-dir': { type: 'string', default: '.' },
+    'cell-size': { type: 'string' },
+    'frame-delay': { type: 'string' },
+  },
+});
+
+function fail(message) {
+  console.error(`gif: ${message}`);
+  process.exit(1);
+}
+
+function parseNumber(name, value, fallback) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    fail(`--${name} must be a positive number (got "${value}")`);
+  }
+  return parsed;
+}
+
+const registry = getProgressionRegistry();
+
+if (values.list) {
+  for (const [id, progression] of registry) {
+    console.log(`${id}  ${progression.description ?? ''}`.trimEnd());
+  }
+  process.exit(0);
+}
+
+const ids = values.all ? [...registry.keys()] : positionals;
+if (ids.length === 0) fail('name a progression id, or pass --all (--list shows the ids)');
+if (values.out && ids.length > 1) fail('--out takes a single progression; use --out-dir');
+
+const unknown = ids.filter((id) => !registry.has(id));
+if (unknown.length > 0) fail(`unknown progression ${unknown.join(', ')} (--list shows the ids)`);
+
+const options = {
+  cellSize: Math.round(parseNumber('cell-size', values['cell-size'], 24)),
+  frameDelay: parseNumber('frame-delay', values['frame-delay'], 500),
+};
+
+mkdirSync(values['out-dir'], { recursive: true });
+let failed = 0;
+for (const id of ids) {
+  const { snapshots } = registry.get(id);
+  let bytes;
+  try {
+    bytes = progressionToGif(snapshots, options);
+  } catch (error) {
+    console.error(`gif: ${id} skipped: ${error.message}`);
+    failed++;
+    continue;
+  }
+  const file = values.out ?? join(values['out-dir'], `${id.replaceAll('/', '-')}.gif`);
+  writeFileSync(file, bytes);
+  console.error(`gif: ${id} -> ${file} (${snapshots.length} frames)`);
+}
+if (failed > 0) process.exit(1);
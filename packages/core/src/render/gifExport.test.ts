@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { GIF_BACKGROUND, encodeGif, matrixToRgba, progressionToGif } from './gifExport';
+import { energyToRgb } from './colorScales';
+
+const pixel = (frame, x, y) => {
+  const i = (y * frame.width + x) * 4;
+  return { r: frame.data[i], g: frame.data[i + 1], b: frame.data[i + 2] };
+};
+
+// Frame count: image descriptors (0x2C) that follow a graphic control extension
+const countFrames = (bytes: Uint8Array) => {
+  let count = 0;
+  for (let i = 0; i + 8 < bytes.length; i++) {
+    if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 8] === 0x2c) count++;
+  }
+  return count;
+};
+
+describe('gifExport', () => {
+  describe('matrixToRgba', () => {
+    it('draws each value as a cell on the energy color scale', () => {
+      const frame = matrixToRgba(
+        [
+          [0, 1],
+          [0.5, 0.2],
+        ],
+        4
+      );
+      expect(frame.width).toBe(8);
+      expect(frame.height).toBe(8);
+      expect(pixel(frame, 0, 0)).toEqual(energyToRgb(0));
+      expect(pixel(frame, 4, 0)).toEqual(energyToRgb(1));
+      expect(pixel(frame, 0, 4)).toEqual(energyToRgb(0.5));
+      expect(pixel(frame, 6, 6)).toEqual(energyToRgb(0.2));
+    });
+
+    it('leaves a 1px gap between cells like ProgressionPlayer', () => {
+      const frame = matrixToRgba([[1, 1]], 4);
+      expect(pixel(frame, 3, 0)).toEqual(GIF_BACKGROUND);
+      expect(pixel(frame, 0, 3)).toEqual(GIF_BACKGROUND);
+    });
+  });
+
+  describe('encodeGif', () => {
+    it('writes a looping GIF with one image per frame', () => {
+      const bytes = encodeGif([matrixToRgba([[0]], 4), matrixToRgba([[1]], 4)]);
+      expect(new TextDecoder().decode(bytes.slice(0, 6))).toBe('GIF89a');
+      expect(countFrames(bytes)).toBe(2);
+      expect(new TextDecoder().decode(bytes)).toContain('NETSCAPE2.0');
+    });
+
+    it('rejects frames of different sizes', () => {
+      expect(() => encodeGif([matrixToRgba([[0]], 4), matrixToRgba([[0, 0]], 4)])).toThrow(
+        'share one size'
+      );
+    });
+
+    it('rejects empty frames', () => {
+      expect(() => encodeGif([matrixToRgba([], 4)])).toThrow('must not be empty');
+    });
+
+    it('rejects an empty frame list', () => {
+      expect(() => encodeGif([])).toThrow('at least one frame');
+    });
+  });
+
+  describe('progressionToGif', () => {
+    it('renders every snapshot', () => {
+      const snapshots = [0, 1, 2].map((time) => ({ time, matrix: [[time / 2, 0]] }));
+      expect(countFrames(progressionToGif(snapshots, { cellSize: 4 }))).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Animated GIF Export
+ *
+ * Encodes progressions and gameplay clips as animated GIFs, so reviews can show
+ * motion instead of static filmstrips. Progression frames are drawn cell by cell
+ * on the energyToColor scale, matching the viewer's ProgressionPlayer. Works in
+ * the browser and in Node (no canvas needed).
+ */
+import * as gifenc from 'gifenc';
+import { energyToRgb } from './colorScales.js';
+
+// Bundlers load gifenc's ESM build (named exports); Node's ESM loader gets the
+// CommonJS build, whose exports only arrive as the default
+const { GIFEncoder, applyPalette, quantize } = (gifenc as any).GIFEncoder
+  ? (gifenc as any)
+  : (gifenc as any).default;
+
+// Gap colour between cells (the viewer's dark section background, #161b22)
+export const GIF_BACKGROUND = { r: 22, g: 27, b: 34 };
+
+/**
+ * One RGBA frame, as from getImageData
+ */
+export interface GifFrame {
+  data: Uint8Array | Uint8ClampedArray;
+  width: number;
+  height: number;
+  delay?: number; // ms this frame is shown (overrides the encode delay)
+}
+
+/**
+ * Draw a matrix as RGBA pixels, one cellSize square per value with a 1px gap
+ * (the same layout as ProgressionPlayer's canvas)
+ *
+ * @param {number[][]} matrix - Values 0-1, row 0 at the top
+ * @param {number} cellSize - Pixels per cell, gap included
+ * @returns {GifFrame} RGBA frame
+ */
+export function matrixToRgba(matrix: number[][], cellSize = 24): GifFrame {
+  const rows = matrix.length;
+  const cols = matrix[0]?.length ?? 0;
+  const width = cols * cellSize;
+  const height = rows * cellSize;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let py = 0; py < height; py++) {
+    const row = Math.floor(py / cellSize);
+    const inGapY = py % cellSize === cellSize - 1;
+    for (let px = 0; px < width; px++) {
+      const col = Math.floor(px / cellSize);
+      const inGap = inGapY || px % cellSize === cellSize - 1;
+      const { r, g, b } = inGap ? GIF_BACKGROUND : energyToRgb(matrix[row][col]);
+      const i = (py * width + px) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Encode RGBA frames as an animated GIF (each frame gets its own palette)
+ *
+ * @param {GifFrame[]} frames - Frames in order, all the same size
+ * @param {object} options - Encoding options
+ * @param {number} options.delay - Default ms per frame (default 500)
+ * @param {number} options.repeat - Loop count, 0 = forever, -1 = play once (default 0)
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGif(
+  frames: GifFrame[],
+  options: Record<string, any> = {}
+): Uint8Array<ArrayBuffer> {
+  const { delay = 500, repeat = 0 } = options;
+  if (frames.length === 0) {
+    throw new Error('encodeGif requires at least one frame');
+  }
+
+  const { width, height } = frames[0];
+  if (width === 0 || height === 0) {
+    throw new Error('GIF frames must not be empty');
+  }
+  const gif = GIFEncoder();
+  for (const frame of frames) {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error(
+        `GIF frames must share one size (${width}x${height}, got ${frame.width}x${frame.height})`
+      );
+    }
+    const palette = quantize(frame.data, 256);
+    const index = applyPalette(frame.data, palette);
+    gif.writeFrame(index, width, height, { palette, delay: frame.delay ?? delay, repeat });
+  }
+  gif.finish();
+  return gif.bytes();
+}
+
+/**
+ * Render progression snapshots to an animated GIF
+ *
+ * @param {object[]} snapshots - Progression snapshots ({ matrix })
+ * @param {object} options - Export options
+ * @param {number} options.cellSize - Pixels per cell (default 24, as ProgressionPlayer)
+ * @param {number} options.frameDelay - Ms per snapshot (default 500, as ProgressionPlayer)
+ * @param {number} options.repeat - Loop count, 0 = forever (default 0)
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function progressionToGif(
+  snapshots: Array<{ matrix: number[][] }>,
+  options: Record<string, any> = {}
+): Uint8Array<ArrayBuffer> {
+  const { cellSize = 24, frameDelay = 500, repeat = 0 } = options;
+  const frames = snapshots.map((snapshot) => matrixToRgba(snapshot.matrix, cellSize));
+  return encodeGif(frames, { delay: frameDelay, repeat });
+}
@@ -40,3 +40,14 @@ export {
   getOceanBounds,
   calculateTravelDuration,
 } from './coordinates.js';
+
+// Camera (top-down and perspective views)
+export {
+  CAMERA_MODE,
+  createCamera,
+  isPerspective,
+  worldToScreen,
+  projectPolygon,
+  getScreenScale,
+} from './camera.js';
+export { renderPerspectiveScene, drawAtGroundPoint } from './perspectiveRenderer.js';
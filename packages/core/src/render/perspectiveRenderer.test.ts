@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  drawAtGroundPoint,
+  getQuadNormal,
+  getSurfaceHeight,
+  renderPerspectiveScene,
+  shadeColor,
+  SURFACE_HEIGHT_SCALE,
+} from './perspectiveRenderer.js';
+import { CAMERA_MODE, createCamera } from './camera.js';
+import { buildScene } from './sceneRenderer.js';
+import { createInitialState } from '../state/eventStore.js';
+import { createWave, WAVE_TYPE } from '../state/waveModel.js';
+
+// Mock canvas context
+function createMockContext() {
+  return {
+    fillStyle: '',
+    fillRect: vi.fn(),
+    beginPath: vi.fn(),
+    moveTo: vi.fn(),
+    lineTo: vi.fn(),
+    closePath: vi.fn(),
+    fill: vi.fn(),
+    save: vi.fn(),
+    restore: vi.fn(),
+    translate: vi.fn(),
+    scale: vi.fn(),
+    createLinearGradient: vi.fn(() => ({ addColorStop: vi.fn() })),
+  };
+}
+
+const brightness = (css) =>
+  css
+    .match(/\d+/g)
+    .slice(0, 3)
+    .reduce((sum, c) => sum + Number(c), 0);
+
+describe('perspectiveRenderer', () => {
+  it('shades faces turned to the sun brighter and whitens steep faces', () => {
+    const ocean = [26, 74, 110];
+    const towardShore = getQuadNormal([
+      [0, 10, 0],
+      [10, 10, 0],
+      [10, 0, 10],
+      [0, 0, 10],
+    ]);
+    const towardSea = getQuadNormal([
+      [0, 0, 0],
+      [10, 0, 0],
+      [10, 10, 10],
+      [0, 10, 10],
+    ]);
+
+    expect(towardShore[1]).toBeGreaterThan(0);
+    expect(brightness(shadeColor(ocean, towardShore))).toBeGreaterThan(
+      brightness(shadeColor(ocean, towardSea))
+    );
+    expect(brightness(shadeColor(ocean, [0, 0.2, 0.98]))).toBeGreaterThan(600);
+  });
+
+  it('reads the surface height from the energy field', () => {
+    const world = createInitialState();
+    world.energyField.height.fill(0.5);
+    const scene = buildScene(world, world.toggles, 800, 600);
+
+    expect(getSurfaceHeight(scene, 400, scene.oceanBottom / 2)).toBeCloseTo(
+      0.5 * SURFACE_HEIGHT_SCALE,
+      5
+    );
+    expect(getSurfaceHeight(scene, 400, scene.oceanBottom + 10)).toBe(0);
+  });
+
+  it('draws the surface and one ribbon per wave slice', () => {
+    const world = createInitialState();
+    const toggles = { ...world.toggles, showFoamZones: false };
+    const scene = buildScene(world, toggles, 800, 600);
+    const camera = createCamera(CAMERA_MODE.BEACH, scene, scene);
+
+    const calm = createMockContext();
+    renderPerspectiveScene(calm, scene, camera);
+    const { width, gridHeight } = world.energyField;
+    expect(calm.fill.mock.calls.length).toBeGreaterThanOrEqual((width - 1) * (gridHeight - 1));
+
+    const wave = createWave(0, 1, WAVE_TYPE.SET);
+    wave.progressPerX.fill(0.4);
+    const withWave = createMockContext();
+    renderPerspectiveScene(withWave, { ...scene, waves: [wave] }, camera);
+    expect(withWave.fill.mock.calls.length - calm.fill.mock.calls.length).toBe(
+      wave.progressPerX.length * 2
+    );
+  });
+
+  it('stands surfers in the view, smaller out to sea', () => {
+    const world = createInitialState();
+    const scene = buildScene(world, world.toggles, 800, 600);
+    const camera = createCamera(CAMERA_MODE.BEACH, scene, scene);
+    const draw = vi.fn();
+
+    const ctx = createMockContext();
+    drawAtGroundPoint(ctx, camera, scene, 400, 100, draw);
+    drawAtGroundPoint(ctx, camera, scene, 400, 450, draw);
+
+    expect(draw).toHaveBeenCalledTimes(2);
+    const [[far], [near]] = ctx.scale.mock.calls;
+    expect(far).toBeLessThan(near);
+
+    // Top-down draws in place
+    const topDown = createMockContext();
+    drawAtGroundPoint(
+      topDown,
+      createCamera(CAMERA_MODE.TOP_DOWN, scene, scene),
+      scene,
+      400,
+      100,
+      draw
+    );
+    expect(topDown.scale).toHaveBeenCalledWith(1, 1);
+    expect(topDown.translate.mock.calls).toEqual([
+      [400, 100],
+      [-400, -100],
+    ]);
+  });
+});
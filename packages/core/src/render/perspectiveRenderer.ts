@@ -0,0 +1,326 @@
+// Perspective Renderer - The scene seen through a perspective camera (Canvas2D)
+//
+// The energy field becomes the water surface: its heights lift a grid of
+// quads, each shaded from its slope against a fixed sun. Discrete waves ride
+// on that surface as ribbons (back slope up to the crest, face down to the
+// front) shaded the same way, foam lies on it as translucent patches and
+// surfers stand on it as billboards (drawAtGroundPoint). Polygons are drawn far
+// to near (painter's algorithm). See render/camera.ts for the world space.
+
+import { getHeightAt } from '../state/energyFieldModel.js';
+import { normalize, dot } from '../core/math.js';
+import { getScreenScale, projectPolygon, worldToScreen } from './camera.js';
+import { getSceneWaveOptions, SCENE_COLORS } from './sceneRenderer.js';
+import {
+  BREAKER_STYLES,
+  getWaveAlpha,
+  getWaveColors,
+  getWaveSlices,
+  getWavesInDrawOrder,
+} from './waveRenderer.js';
+
+export const PERSPECTIVE_COLORS = {
+  skyTop: '#4f8fc0',
+  skyHorizon: '#cfe6f2',
+};
+
+// World pixels of height per unit of energy field height
+export const SURFACE_HEIGHT_SCALE = 18;
+
+// Sun direction (from the surface toward the sun): high, behind the beach
+const LIGHT = normalize([0.25, 0.75, 0.6]);
+const AMBIENT = 0.45;
+
+// Faces steeper than this (1 - normal.y) start whitening toward a whitecap
+const WHITECAP_SLOPE = 0.35;
+
+// Foam below this intensity is not drawn
+const FOAM_MIN = 0.1;
+
+// How far the flat sea and sand run past the simulated ocean, in ocean heights
+const HORIZON_EXTENT = 40;
+
+const ENERGY_LOW_COLOR = [50, 200, 50];
+const ENERGY_HIGH_COLOR = [180, 50, 220];
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Shade a surface color by its normal
+ * @param {number[]} rgb - Base color [r, g, b] (0-255)
+ * @param {number[]} normal - Unit surface normal [x, y, z] (y up)
+ * @param {number} alpha - Opacity (default 1)
+ * @returns {string} CSS color: lit by the sun, whitening on steep faces
+ */
+export function shadeColor(rgb, normal, alpha = 1) {
+  const light = AMBIENT + (1 - AMBIENT) * Math.max(0, dot(normal, LIGHT));
+  const whitecap = Math.max(0, Math.min(1, (1 - normal[1] - WHITECAP_SLOPE) / WHITECAP_SLOPE));
+  const [r, g, b] = rgb.map((c) => {
+    const lit = Math.min(255, c * light);
+    return Math.round(lit + (240 - lit) * whitecap);
+  });
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Unit normal of a quad (corners in order), pointing up
+ * @param {number[][]} corners - Four [x, y, z] corners
+ * @returns {number[]} Unit normal [x, y, z]
+ */
+export function getQuadNormal(corners) {
+  const [a, b, c, d] = corners;
+  const u = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const v = [d[0] - b[0], d[1] - b[1], d[2] - b[2]];
+  const n = normalize([
+    u[1] * v[2] - u[2] * v[1],
+    u[2] * v[0] - u[0] * v[2],
+    u[0] * v[1] - u[1] * v[0],
+  ]);
+  return n[1] < 0 ? n.map((value) => -value) : n;
+}
+
+/**
+ * Water surface height at a ground point
+ * @param {object} scene - Scene from buildScene
+ * @param {number} x - World x (canvas pixels)
+ * @param {number} z - World z (top-down screen y)
+ * @returns {number} Height in world pixels (0 outside the ocean)
+ */
+export function getSurfaceHeight(scene, x, z) {
+  const { energyField, width, oceanTop, oceanBottom } = scene;
+  const progress = (z - oceanTop) / (oceanBottom - oceanTop);
+  if (!energyField || progress < 0 || progress > 1 || x < 0 || x > width) return 0;
+  return getHeightAt(energyField, x / width, progress) * SURFACE_HEIGHT_SCALE;
+}
+
+function fillPolygon(ctx, camera, corners, fillStyle) {
+  const points = projectPolygon(camera, corners);
+  if (points.length < 3) return;
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+  ctx.closePath();
+  ctx.fillStyle = fillStyle;
+  ctx.fill();
+}
+
+// Sort key for the painter's algorithm
+function eyeDistance(camera, [x, y, z]) {
+  const [ex, ey, ez] = camera.eye;
+  return Math.hypot(x - ex, y - ey, z - ez);
+}
+
+// Fill queued polygons far to near
+function drawSorted(ctx, camera, polygons) {
+  polygons.sort((a, b) => b.depth - a.depth);
+  for (const { corners, fillStyle } of polygons) fillPolygon(ctx, camera, corners, fillStyle);
+}
+
+function energyColor(value) {
+  const t = Math.max(0, Math.min(1, (value - 0.2) / 0.8));
+  return ENERGY_LOW_COLOR.map((low, i) => low + (ENERGY_HIGH_COLOR[i] - low) * t);
+}
+
+// Water surface quads between the energy field's nodes
+function queueSurface(scene, camera, polygons) {
+  const { energyField, width, oceanTop, oceanBottom, shoreY, toggles } = scene;
+  const { height, width: cols, gridHeight: rows } = energyField;
+  const ocean = hexToRgb(SCENE_COLORS.ocean);
+  const nodeX = (col) => (col / (cols - 1)) * width;
+  const nodeZ = (row) => oceanTop + (row / (rows - 1)) * (oceanBottom - oceanTop);
+  const nodeY = (col, row) => height[row * cols + col] * SURFACE_HEIGHT_SCALE;
+
+  for (let row = 0; row < rows - 1; row++) {
+    const z0 = nodeZ(row);
+    if (z0 >= shoreY) break;
+    const z1 = Math.min(nodeZ(row + 1), shoreY);
+    for (let col = 0; col < cols - 1; col++) {
+      const x0 = nodeX(col);
+      const x1 = nodeX(col + 1);
+      const corners = [
+        [x0, nodeY(col, row), z0],
+        [x1, nodeY(col + 1, row), z0],
+        [x1, nodeY(col + 1, row + 1), z1],
+        [x0, nodeY(col, row + 1), z1],
+      ];
+      const base = toggles.showEnergyField ? energyColor(height[row * cols + col]) : ocean;
+      polygons.push({
+        corners,
+        fillStyle: shadeColor(base, getQuadNormal(corners)),
+        depth: eyeDistance(camera, [(x0 + x1) / 2, 0, (z0 + z1) / 2]),
+      });
+    }
+  }
+}
+
+// Wave ribbons: back slope from the band's peak up to its crest, face down to the next peak
+function queueWaves(scene, camera, polygons) {
+  const { toggles, shoreY } = scene;
+  const options = getSceneWaveOptions(scene);
+  const waves = getWavesInDrawOrder(scene.waves, scene.gameTime, scene.travelDuration, {
+    showSetWaves: toggles.showSetWaves,
+    showBackgroundWaves: toggles.showBackgroundWaves,
+  });
+
+  for (const wave of waves) {
+    const alpha = getWaveAlpha(wave, options.showBathymetry);
+    const colors = getWaveColors(wave);
+    const backColor = hexToRgb(colors.peak);
+    const faceColor = hexToRgb(colors.trough);
+
+    for (const { x, width, peakY, troughY, nextPeakY, breaker } of getWaveSlices(wave, options)) {
+      if (peakY >= shoreY) continue;
+      const crestZ = Math.min(troughY, shoreY);
+      const frontZ = Math.min(nextPeakY, shoreY);
+      const x1 = x + width;
+      const mid = x + width / 2;
+      const crestHeight = (troughY - peakY) / 2;
+      const back = getSurfaceHeight(scene, mid, peakY);
+      const crest = getSurfaceHeight(scene, mid, crestZ) + crestHeight;
+      const front = getSurfaceHeight(scene, mid, frontZ);
+
+      const backSlope = [
+        [x, back, peakY],
+        [x1, back, peakY],
+        [x1, crest, crestZ],
+        [x, crest, crestZ],
+      ];
+      const face = [
+        [x, crest, crestZ],
+        [x1, crest, crestZ],
+        [x1, front, frontZ],
+        [x, front, frontZ],
+      ];
+      for (const [corners, color] of [
+        [backSlope, backColor],
+        // Breaking faces turn to whitewater
+        [face, breaker ? hexToRgb(BREAKER_STYLES[breaker].color) : faceColor],
+      ] as const) {
+        polygons.push({
+          corners,
+          fillStyle: shadeColor(color, getQuadNormal(corners), alpha),
+          depth: eyeDistance(camera, [mid, crest, crestZ]),
+        });
+      }
+    }
+  }
+}
+
+// Foam patches lying on the surface, one per foam grid cell
+function queueFoam(scene, camera, polygons) {
+  const { foamGridData: data, foamGridWidth: cols, foamGridHeight: rows } = scene;
+  if (!data || !scene.toggles.showFoamZones) return;
+  const cellW = scene.width / cols;
+  const cellH = (scene.oceanBottom - scene.oceanTop) / rows;
+
+  for (let row = 0; row < rows; row++) {
+    const z0 = scene.oceanTop + row * cellH;
+    if (z0 >= scene.shoreY) break;
+    const z1 = Math.min(z0 + cellH, scene.shoreY);
+    for (let col = 0; col < cols; col++) {
+      const value = data[row * cols + col];
+      if (value < FOAM_MIN) continue;
+      const x0 = col * cellW;
+      const x1 = x0 + cellW;
+      const lift = (x, z) => getSurfaceHeight(scene, x, z) + 1;
+      polygons.push({
+        corners: [
+          [x0, lift(x0, z0), z0],
+          [x1, lift(x1, z0), z0],
+          [x1, lift(x1, z1), z1],
+          [x0, lift(x0, z1), z1],
+        ],
+        fillStyle: `rgba(255, 255, 255, ${Math.min(0.85, value)})`,
+        depth: eyeDistance(camera, [(x0 + x1) / 2, 0, (z0 + z1) / 2]),
+      });
+    }
+  }
+}
+
+/**
+ * Draw a scene through a perspective camera
+ *
+ * Order: sky → flat sea beyond the simulated ocean → sand → water surface →
+ * waves → foam. Surfers are drawn afterwards with drawAtGroundPoint.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} scene - Scene from buildScene
+ * @param {object} camera - Perspective camera from createCamera
+ */
+export function renderPerspectiveScene(ctx, scene, camera) {
+  const { width, height, oceanTop, oceanBottom, shoreY } = scene;
+  const reach = (oceanBottom - oceanTop) * HORIZON_EXTENT;
+
+  const sky = ctx.createLinearGradient(0, 0, 0, height);
+  sky.addColorStop(0, PERSPECTIVE_COLORS.skyTop);
+  sky.addColorStop(1, PERSPECTIVE_COLORS.skyHorizon);
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, width, height);
+
+  // Flat sea and sand reaching past the simulated ocean so the view has a horizon
+  const left = -reach;
+  const right = width + reach;
+  fillPolygon(
+    ctx,
+    camera,
+    [
+      [left, 0, oceanTop - reach],
+      [right, 0, oceanTop - reach],
+      [right, 0, shoreY],
+      [left, 0, shoreY],
+    ],
+    SCENE_COLORS.ocean
+  );
+  fillPolygon(
+    ctx,
+    camera,
+    [
+      [left, 0, shoreY],
+      [right, 0, shoreY],
+      [right, 0, shoreY + reach],
+      [left, 0, shoreY + reach],
+    ],
+    SCENE_COLORS.shore
+  );
+
+  const surface = [];
+  if (scene.energyField) queueSurface(scene, camera, surface);
+  drawSorted(ctx, camera, surface);
+
+  const waves = [];
+  queueWaves(scene, camera, waves);
+  drawSorted(ctx, camera, waves);
+
+  const foam = [];
+  queueFoam(scene, camera, foam);
+  drawSorted(ctx, camera, foam);
+}
+
+/**
+ * Draw top-down artwork standing on the water at a ground point
+ *
+ * The artwork is drawn in its usual top-down coordinates and scaled around
+ * (x, z) to the size the camera sees at that distance, so drawSurfer and
+ * friends place surfers in world space unchanged.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} camera - Camera from createCamera
+ * @param {object} scene - Scene from buildScene (for the surface height)
+ * @param {number} x - World x (canvas pixels)
+ * @param {number} z - World z (top-down screen y)
+ * @param {function} draw - Draws the artwork around (x, z)
+ */
+export function drawAtGroundPoint(ctx, camera, scene, x, z, draw) {
+  const point = worldToScreen(camera, [x, getSurfaceHeight(scene, x, z), z]);
+  if (!point) return;
+  const scale = getScreenScale(camera, point.depth);
+
+  ctx.save();
+  ctx.translate(point.x, point.y);
+  ctx.scale(scale, scale);
+  ctx.translate(-x, -z);
+  draw();
+  ctx.restore();
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  RENDER_BACKEND,
+  compareImages,
+  createSceneRenderer,
+  resolveRenderBackend,
+} from './renderBackend.js';
+import { cssColorToRgba } from './webglRenderer.js';
+
+// Canvas whose getContext returns the given context per type (null otherwise)
+function createMockCanvas(contexts: Record<string, any> = {}) {
+  return {
+    width: 4,
+    height: 2,
+    getContext: vi.fn((type) => contexts[type] ?? null),
+  };
+}
+
+// WebGL2 context whose shaders never compile
+function createBrokenGL() {
+  return {
+    VERTEX_SHADER: 1,
+    FRAGMENT_SHADER: 2,
+    COMPILE_STATUS: 3,
+    createProgram: vi.fn(() => ({})),
+    createShader: vi.fn(() => ({})),
+    shaderSource: vi.fn(),
+    compileShader: vi.fn(),
+    getShaderParameter: vi.fn(() => false),
+    getShaderInfoLog: vi.fn(() => 'ERROR: 0:1: syntax error'),
+    deleteShader: vi.fn(),
+  };
+}
+
+describe('renderBackend', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('resolveRenderBackend', () => {
+    it('uses the setting, overridden by the URL', () => {
+      expect(resolveRenderBackend('webgl2')).toBe(RENDER_BACKEND.WEBGL2);
+      expect(resolveRenderBackend('webgl2', '?renderer=canvas2d')).toBe(RENDER_BACKEND.CANVAS2D);
+      expect(resolveRenderBackend('canvas2d', '?seed=1&renderer=webgl2')).toBe(
+        RENDER_BACKEND.WEBGL2
+      );
+    });
+
+    it('falls back to Canvas2D for unknown values', () => {
+      expect(resolveRenderBackend(undefined)).toBe(RENDER_BACKEND.CANVAS2D);
+      expect(resolveRenderBackend('vulkan', '?renderer=metal')).toBe(RENDER_BACKEND.CANVAS2D);
+    });
+  });
+
+  describe('createSceneRenderer', () => {
+    it('falls back to Canvas2D without WebGL2', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const canvas = createMockCanvas({ '2d': { getImageData: vi.fn() } });
+
+      const renderer = createSceneRenderer(canvas, RENDER_BACKEND.WEBGL2);
+
+      expect(renderer.backend).toBe(RENDER_BACKEND.CANVAS2D);
+      expect(canvas.getContext).toHaveBeenCalledWith('webgl2', expect.any(Object));
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/not available/));
+    });
+
+    it('falls back to Canvas2D when a shader fails to compile', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const canvas = createMockCanvas({ webgl2: createBrokenGL(), '2d': {} });
+
+      const renderer = createSceneRenderer(canvas, RENDER_BACKEND.WEBGL2);
+
+      expect(renderer.backend).toBe(RENDER_BACKEND.CANVAS2D);
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/syntax error/));
+    });
+
+    it('reads Canvas2D pixels from the canvas', () => {
+      const pixels = new Uint8ClampedArray(4 * 2 * 4);
+      const ctx = { getImageData: vi.fn(() => ({ data: pixels })) };
+
+      const renderer = createSceneRenderer(createMockCanvas({ '2d': ctx }), 'canvas2d');
+
+      expect(renderer.readPixels()).toBe(pixels);
+      expect(ctx.getImageData).toHaveBeenCalledWith(0, 0, 4, 2);
+    });
+  });
+
+  describe('compareImages', () => {
+    it('reports the mean error and the share of differing pixels', () => {
+      const a = new Uint8ClampedArray([0, 0, 0, 255, 100, 100, 100, 255]);
+      const b = new Uint8ClampedArray([0, 0, 0, 255, 100, 100, 180, 255]);
+
+      expect(compareImages(a, a)).toEqual({ meanError: 0, mismatchRatio: 0 });
+      expect(compareImages(a, b)).toEqual({ meanError: 10, mismatchRatio: 0.5 });
+      expect(compareImages(a, b, { threshold: 80 }).mismatchRatio).toBe(0);
+    });
+
+    it('rejects images of different sizes', () => {
+      expect(() => compareImages(new Uint8Array(4), new Uint8Array(8))).toThrow(/sizes differ/);
+    });
+  });
+
+  describe('cssColorToRgba', () => {
+    it('parses hex, rgb and rgba colors', () => {
+      expect(cssColorToRgba('#ff0080')).toEqual([1, 0, 128 / 255, 1]);
+      expect(cssColorToRgba('rgb(255, 0, 0)')).toEqual([1, 0, 0, 1]);
+      expect(cssColorToRgba('rgba(255, 255, 255, 0.3)')).toEqual([1, 1, 1, 0.3]);
+      expect(() => cssColorToRgba('teal')).toThrow(/Unsupported color teal/);
+    });
+  });
+});
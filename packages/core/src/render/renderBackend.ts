@@ -0,0 +1,122 @@
+// Render Backend - Picks and wraps the renderer that draws the scene's base layers
+//
+// Canvas2D is the default and the fallback; WebGL2 is chosen by the `renderer`
+// setting or a `?renderer=webgl2` URL parameter. Both renderers share one API
+// so main.tsx draws a scene the same way whichever one it got.
+
+import { createBathymetryCacheManager } from './bathymetryRenderer.js';
+import { drawSceneCanvas2D } from './sceneRenderer.js';
+import { createWebGLRenderer } from './webglRenderer.js';
+
+export const RENDER_BACKEND = {
+  CANVAS2D: 'canvas2d',
+  WEBGL2: 'webgl2',
+};
+
+const BACKENDS = Object.values(RENDER_BACKEND);
+
+/**
+ * Resolve the backend to start with
+ * @param {string} setting - Backend from settings
+ * @param {string} urlSearch - location.search; `?renderer=` overrides the setting
+ * @returns {string} A RENDER_BACKEND value (Canvas2D when neither is valid)
+ */
+export function resolveRenderBackend(setting, urlSearch = '') {
+  const requested = new URLSearchParams(urlSearch).get('renderer');
+  if (BACKENDS.includes(requested)) return requested;
+  if (BACKENDS.includes(setting)) return setting;
+  return RENDER_BACKEND.CANVAS2D;
+}
+
+/**
+ * Create the Canvas2D scene renderer
+ * @param {HTMLCanvasElement} canvas - Canvas to draw to
+ * @returns {object} Renderer API
+ */
+export function createCanvas2DRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  const bathymetryCache = createBathymetryCacheManager();
+
+  return {
+    backend: RENDER_BACKEND.CANVAS2D,
+
+    /**
+     * Draw a scene's base layers
+     * @param {object} scene - Scene from buildScene
+     */
+    draw(scene) {
+      drawSceneCanvas2D(ctx, scene, bathymetryCache);
+    },
+
+    /**
+     * Pixels of the canvas, top row first
+     * @returns {Uint8ClampedArray} RGBA bytes
+     */
+    readPixels() {
+      return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    },
+
+    /**
+     * Drop cached layers (call on resize)
+     */
+    invalidate() {
+      bathymetryCache.invalidate();
+    },
+
+    dispose() {},
+  };
+}
+
+/**
+ * Create the scene renderer for a backend, falling back to Canvas2D
+ * @param {HTMLCanvasElement} canvas - Canvas to draw to
+ * @param {string} backend - Requested RENDER_BACKEND value
+ * @param {object} options - Passed to createWebGLRenderer
+ * @returns {object} Renderer API ({backend} names the one actually used)
+ */
+export function createSceneRenderer(canvas, backend, options: Record<string, any> = {}) {
+  if (backend === RENDER_BACKEND.WEBGL2) {
+    try {
+      const renderer = createWebGLRenderer(canvas, options);
+      if (renderer) return renderer;
+      console.warn('WebGL2 is not available, falling back to Canvas2D');
+    } catch (error) {
+      console.warn(`WebGL2 renderer failed, falling back to Canvas2D: ${error.message}`);
+    }
+  }
+  return createCanvas2DRenderer(canvas);
+}
+
+/**
+ * Compare two RGBA images of the same size
+ * @param {Uint8ClampedArray|Uint8Array} a - First image's pixels
+ * @param {Uint8ClampedArray|Uint8Array} b - Second image's pixels
+ * @param {object} options - Comparison options
+ * @param {number} options.threshold - Largest per-channel difference a matching pixel may have (default 32)
+ * @returns {{meanError: number, mismatchRatio: number}} Mean per-channel difference (0-255)
+ *   and the fraction of pixels that differ by more than the threshold
+ */
+export function compareImages(a, b, options: Record<string, any> = {}) {
+  const { threshold = 32 } = options;
+  if (a.length !== b.length) {
+    throw new Error(`Image sizes differ: ${a.length} vs ${b.length} bytes`);
+  }
+
+  let totalError = 0;
+  let mismatches = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    let worst = 0;
+    for (let c = 0; c < 4; c++) {
+      const diff = Math.abs(a[i + c] - b[i + c]);
+      totalError += diff;
+      worst = Math.max(worst, diff);
+    }
+    if (worst > threshold) mismatches++;
+  }
+
+  const pixels = a.length / 4;
+  return {
+    meanError: pixels ? totalError / a.length : 0,
+    mismatchRatio: pixels ? mismatches / pixels : 0,
+  };
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { buildScene, getSceneWaveOptions } from './sceneRenderer.js';
+import { FOAM_THRESHOLDS_B, FOAM_THRESHOLDS_BASE, getFoamContourLayers } from './foamConfig.js';
+import { createInitialState } from '../state/eventStore.js';
+import { getOceanBounds } from './coordinates.js';
+
+describe('sceneRenderer', () => {
+  describe('buildScene', () => {
+    it('derives ocean bounds and grids from the world', () => {
+      const world = createInitialState();
+      const scene = buildScene(world, world.toggles, 800, 600);
+
+      expect(scene).toMatchObject({
+        width: 800,
+        height: 600,
+        ...getOceanBounds(600, world.shoreHeight, world.tideLevel),
+        waves: world.waves,
+        energyField: world.energyField,
+        foamGridData: world.foamGrid.data,
+        foamGridWidth: world.foamGrid.width,
+      });
+      expect(getSceneWaveOptions(scene)).toMatchObject({ canvasWidth: 800, shoreY: scene.shoreY });
+    });
+
+    it('includes the bathymetry only while it is shown or edited', () => {
+      const world = createInitialState();
+
+      expect(buildScene(world, { showBathymetry: false }, 800, 600).bathymetry).toBeNull();
+      expect(buildScene(world, { editBathymetry: true }, 800, 600).bathymetry).toBeTruthy();
+    });
+  });
+
+  describe('getFoamContourLayers', () => {
+    const foamGrid = new Float32Array(4);
+    const transferGrid = new Float32Array(4);
+
+    it('lists the enabled layers in drawing order', () => {
+      const layers = getFoamContourLayers(
+        { foamGrid, transferGrid },
+        { showFoamZones: true, showFoamOptionB: true }
+      );
+
+      expect(layers.map((l) => [l.key, l.thresholds, l.blurPasses])).toEqual([
+        ['base', FOAM_THRESHOLDS_BASE, 1],
+        ['optionB', FOAM_THRESHOLDS_B, 2],
+      ]);
+      expect(layers[0].data).toBe(foamGrid);
+    });
+
+    it('falls back to the transfer grid for the base layer only', () => {
+      const layers = getFoamContourLayers(
+        { foamGrid: new Float32Array(0), transferGrid },
+        { showFoamZones: true, showFoamOptionA: true }
+      );
+
+      expect(layers).toHaveLength(1);
+      expect(layers[0].data).toBe(transferGrid);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// Scene Renderer - The world's base layers, shared by every render backend
+//
+// A scene is the plain data the base layers need: ocean bounds, waves, the
+// energy field and foam grids, the (tided) bathymetry and the visibility
+// toggles. buildScene derives it from a world; drawSceneCanvas2D draws it with
+// Canvas2D and webglRenderer.ts draws the same scene on the GPU. Overlays
+// (currents, foam samples, surfers, scorecard, editor brush) are drawn with
+// Canvas2D on top by main.tsx, whichever backend drew the scene.
+
+import { applyTide } from '../state/tideModel.js';
+import { FOAM_GRID_HEIGHT, FOAM_GRID_WIDTH } from '../state/foamGridModel.js';
+import { getOceanBounds, calculateTravelDuration } from './coordinates.js';
+import { renderEnergyField } from './energyFieldRenderer.js';
+import { renderWaves } from './waveRenderer.js';
+import { renderFoamContours } from './foamConfig.js';
+import {
+  renderMultiContourFromGrid,
+  renderMultiContourOptionAFromGrid,
+  renderMultiContourOptionBFromGrid,
+  renderMultiContourOptionCFromGrid,
+} from './marchingSquares.js';
+
+/**
+ * Fill colors of the scene's solid layers
+ */
+export const SCENE_COLORS = {
+  ocean: '#1a4a6e',
+  shore: '#c2a86e',
+};
+
+/**
+ * Build the scene for a world
+ * @param {object} world - World state (or an interpolated view of it)
+ * @param {object} toggles - Visibility toggles
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {object} Scene: canvas size, ocean bounds, timing, waves, grids, bathymetry, toggles
+ */
+export function buildScene(world, toggles, width, height) {
+  const { oceanTop, oceanBottom, shoreY } = getOceanBounds(
+    height,
+    world.shoreHeight,
+    world.tideLevel
+  );
+  const showBathymetry = toggles.showBathymetry || toggles.editBathymetry;
+
+  return {
+    width,
+    height,
+    oceanTop,
+    oceanBottom,
+    shoreY,
+    travelDuration: calculateTravelDuration(oceanBottom, world.swellSpeed),
+    gameTime: world.gameTime,
+    waves: world.waves,
+    energyField: world.energyField,
+    foamGridData: world.foamGrid?.data,
+    foamGridWidth: world.foamGrid?.width || FOAM_GRID_WIDTH,
+    foamGridHeight: world.foamGrid?.height || FOAM_GRID_HEIGHT,
+    transferGridData: world.energyTransferGrid?.lastFrame,
+    // Tided copies are reused per quantized sea level, so caches rebuild as the tide moves
+    bathymetry: showBathymetry ? applyTide(world.bathymetry, world.tideLevel) : null,
+    toggles,
+  };
+}
+
+/**
+ * Wave rendering options for a scene (see renderWave)
+ * @param {object} scene - Scene from buildScene
+ * @returns {object} Options for renderWaves / getWaveSlices
+ */
+export function getSceneWaveOptions(scene) {
+  return {
+    canvasWidth: scene.width,
+    oceanTop: scene.oceanTop,
+    oceanBottom: scene.oceanBottom,
+    shoreY: scene.shoreY,
+    gameTime: scene.gameTime,
+    travelDuration: scene.travelDuration,
+    showBathymetry: scene.toggles.showBathymetry,
+    showEnergyField: scene.toggles.showEnergyField,
+    energyField: scene.energyField,
+  };
+}
+
+/**
+ * Draw a scene's base layers with Canvas2D
+ *
+ * Order: ocean fill → bathymetry heat map → energy field → shore strip →
+ * waves → foam contours.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} scene - Scene from buildScene
+ * @param {object} bathymetryCache - Cache manager from createBathymetryCacheManager
+ */
+export function drawSceneCanvas2D(ctx, scene, bathymetryCache) {
+  const { width: w, height: h, oceanTop, oceanBottom, shoreY, toggles } = scene;
+
+  // Clear with ocean color
+  ctx.fillStyle = SCENE_COLORS.ocean;
+  ctx.fillRect(0, 0, w, h);
+
+  // Bathymetry depth heat map UNDER waves (Plan 130 cache: builds once, blits each frame)
+  if (scene.bathymetry) {
+    ctx.drawImage(bathymetryCache.get(w, oceanTop, oceanBottom, scene.bathymetry), 0, 0);
+  }
+
+  // Energy field (Plan 140)
+  if (toggles.showEnergyField) {
+    renderEnergyField(ctx, scene.energyField, oceanTop, oceanBottom, w);
+  }
+
+  // Shore (bottom strip) - the waterline moves with the tide
+  ctx.fillStyle = SCENE_COLORS.shore;
+  ctx.fillRect(0, shoreY, w, h - shoreY);
+
+  renderWaves(ctx, scene.waves, getSceneWaveOptions(scene), {
+    showSetWaves: toggles.showSetWaves,
+    showBackgroundWaves: toggles.showBackgroundWaves,
+  });
+
+  renderFoamContours(
+    ctx,
+    { transferGrid: scene.transferGridData, foamGrid: scene.foamGridData },
+    { width: scene.foamGridWidth, height: scene.foamGridHeight },
+    w,
+    h,
+    scene.gameTime,
+    oceanBottom,
+    toggles,
+    {
+      base: renderMultiContourFromGrid,
+      optionA: renderMultiContourOptionAFromGrid,
+      optionB: renderMultiContourOptionBFromGrid,
+      optionC: renderMultiContourOptionCFromGrid,
+    }
+  );
+}
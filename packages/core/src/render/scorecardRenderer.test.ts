@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getScorecardLines, drawScorecard, SCORECARD_LAYOUT } from './scorecardRenderer.js';
+import { createScorecard, addRideToScorecard } from '../state/rideScoreModel.js';
+
+const COMPONENTS = { distance: 1, speed: 1.5, critical: 0.5, size: 1, closeout: 0 };
+
+function scorecardWith(scores) {
+  return scores.reduce(
+    (scorecard, score, i) =>
+      addRideToScorecard(scorecard, { score, components: COMPONENTS, wipeout: i === 0 }),
+    createScorecard()
+  );
+}
+
+describe('scorecardRenderer', () => {
+  it('shows an empty heat', () => {
+    const lines = getScorecardLines(createScorecard());
+    expect(lines[0].text).toBe('HEAT  0.00 / 20');
+    expect(lines[1].text).toBe('No waves yet');
+  });
+
+  it('lists rides and stars the counted waves', () => {
+    const lines = getScorecardLines(scorecardWith([2, 5.5, 4]));
+    expect(lines[0].text).toBe('HEAT  9.50 / 20');
+    expect(lines[1]).toEqual({ text: '  #1  2.00 (fall)', counted: false });
+    expect(lines[2]).toEqual({ text: '★ #2  5.50', counted: true });
+    expect(lines[3]).toEqual({ text: '★ #3  4.00', counted: true });
+    expect(lines[4].text).toContain('dist 1');
+  });
+
+  it('lists only the latest rides', () => {
+    const scores = new Array(SCORECARD_LAYOUT.maxRidesShown + 3).fill(1);
+    const lines = getScorecardLines(scorecardWith(scores));
+    const rideLines = lines.filter((line) => line.text.includes('#'));
+    expect(rideLines).toHaveLength(SCORECARD_LAYOUT.maxRidesShown);
+    expect(rideLines[0].text).toContain('#4');
+  });
+
+  it('shows the ride in progress', () => {
+    const lines = getScorecardLines(createScorecard(), { duration: 2.34 });
+    expect(lines[lines.length - 1].text).toBe('Riding 2.3s');
+  });
+
+  it('draws one text row per line', () => {
+    const ctx = {
+      save: vi.fn(),
+      restore: vi.fn(),
+      beginPath: vi.fn(),
+      roundRect: vi.fn(),
+      fill: vi.fn(),
+      fillText: vi.fn(),
+    };
+    const scorecard = scorecardWith([3, 4]);
+
+    drawScorecard(ctx, scorecard, null, 10, 10);
+
+    expect(ctx.fillText).toHaveBeenCalledTimes(getScorecardLines(scorecard).length);
+    expect(ctx.restore).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+// Scorecard Renderer
+// Heat scorecard overlay: total of the counted waves, every ride's score and
+// the breakdown of the last judged ride
+
+import { HEAT_COUNTED_WAVES } from '../state/rideScoreModel.js';
+
+export const SCORECARD_LAYOUT = {
+  width: 180,
+  lineHeight: 16,
+  padding: 10,
+  maxRidesShown: 6, // latest rides listed under the total
+};
+
+/**
+ * Lines of text shown on the scorecard (kept separate from drawing for tests)
+ * @param {object} scorecard - Scorecard from rideScoreModel
+ * @param {object|null} rideTracker - Ride in progress (null between rides)
+ * @returns {Array<{text: string, counted?: boolean, dim?: boolean}>}
+ */
+export function getScorecardLines(scorecard, rideTracker = null) {
+  const { rides, best, total } = scorecard;
+  const lines: Array<{ text: string; counted?: boolean; dim?: boolean }> = [
+    { text: `HEAT  ${total.toFixed(2)} / ${HEAT_COUNTED_WAVES * 10}` },
+  ];
+
+  if (rides.length === 0) {
+    lines.push({ text: 'No waves yet', dim: true });
+  }
+
+  const first = Math.max(0, rides.length - SCORECARD_LAYOUT.maxRidesShown);
+  for (let i = first; i < rides.length; i++) {
+    const ride = rides[i];
+    const counted = best.includes(i);
+    const fall = ride.wipeout ? ' (fall)' : '';
+    lines.push({
+      text: `${counted ? '★' : ' '} #${i + 1}  ${ride.score.toFixed(2)}${fall}`,
+      counted,
+    });
+  }
+
+  const last = rides[rides.length - 1];
+  if (last) {
+    const c = last.components;
+    lines.push({
+      text: `dist ${c.distance} spd ${c.speed} crit ${c.critical}`,
+      dim: true,
+    });
+    lines.push({
+      text: `size ${c.size} closeout ${c.closeout}`,
+      dim: true,
+    });
+  }
+
+  if (rideTracker) {
+    lines.push({ text: `Riding ${rideTracker.duration.toFixed(1)}s` });
+  }
+
+  return lines;
+}
+
+/**
+ * Draw the scorecard overlay
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} scorecard - Scorecard from rideScoreModel
+ * @param {object|null} rideTracker - Ride in progress
+ * @param {number} x - Left edge in px
+ * @param {number} y - Top edge in px
+ */
+export function drawScorecard(ctx, scorecard, rideTracker, x, y) {
+  const { width, lineHeight, padding } = SCORECARD_LAYOUT;
+  const lines = getScorecardLines(scorecard, rideTracker);
+  const height = padding * 2 + lines.length * lineHeight;
+
+  ctx.save();
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, 6);
+  ctx.fill();
+
+  ctx.font = '12px monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    ctx.fillStyle = line.counted
+      ? 'rgba(255, 215, 100, 1)'
+      : line.dim
+        ? 'rgba(200, 200, 200, 0.7)'
+        : 'rgba(255, 255, 255, 0.95)';
+    ctx.fillText(line.text, x + padding, y + padding + i * lineHeight);
+  });
+
+  ctx.restore();
+}
@@ -1,4 +1,13 @@
 import { defineProgression } from '../test-utils';
+import {
+  createWave,
+  getLocalWaveHeight,
+  getWavenumber,
+  updateWaveRefraction,
+  WAVE_PERIOD,
+  WAVE_TYPE,
+} from '../state/waveModel.js';
+import { DEFAULT_PHYSICS_CONFIG } from '../state/physicsConfig.js';
 
 type Matrix = number[][];
 
@@ -12,7 +21,12 @@ function createMatrix(): Matrix {
 /**
  * Shoaling progressions show wave transformation as waves enter shallow water.
  *
- * Physical effects modeled:
+ * Every frame is generated by the live wave model (state/waveModel.ts): waves
+ * cross a beach transect from DEEP_DEPTH at the horizon (row 0) to SHORE_DEPTH
+ * at the shore (last row), advanced by updateWaveRefraction and measured by
+ * getLocalWaveHeight (energy flux shoaling).
+ *
+ * Physical effects shown:
  * - Wave height increases as depth decreases (energy conservation)
  * - Wavelength shortens (waves "stack up")
  * - Wave speed decreases (c = sqrt(g*d))
@@ -23,48 +37,88 @@ function createMatrix(): Matrix {
  * - field.height = Float32Array with the data
  */
 
+const DEEP_DEPTH = 30;
+const SHORE_DEPTH = 1;
+
+// Plane beach, as the game's default seafloor without its sandbar and point
+const beachDepth = (_normalizedX: number, progress: number) =>
+  DEEP_DEPTH - (DEEP_DEPTH - SHORE_DEPTH) * progress;
+
+// Horizon to shore in 6s of simulated time
+const TRAVEL_DURATION_MS = 6000;
+
+// Wave heights (meters) are drawn as height / HEIGHT_SCALE
+const HEIGHT_SCALE = 3;
+
+// Undamped refraction: speed follows c = sqrt(g*d) exactly
+const FULL_PHYSICS = { ...DEFAULT_PHYSICS_CONFIG, refractionStrength: 1, lateralDiffusion: 0 };
+
+/**
+ * A wave spanning the transect, starting at the given progress
+ */
+function createTransectWave(amplitude: number, progress = 0) {
+  const wave = createWave(0, amplitude, WAVE_TYPE.SET, null, { samples: GRID_WIDTH });
+  wave.progressPerX.fill(progress);
+  return wave;
+}
+
+/**
+ * Paint each wave's crest into the row it has reached, as local height
+ */
+function paintCrests(data: Float32Array, waves: any[]) {
+  for (const wave of waves) {
+    for (let col = 0; col < GRID_WIDTH; col++) {
+      const progress = wave.progressPerX[col];
+      const row = Math.min(GRID_HEIGHT - 1, Math.floor(progress * GRID_HEIGHT));
+      const height = getLocalWaveHeight(wave, beachDepth((col + 0.5) / GRID_WIDTH, progress));
+      const idx = row * GRID_WIDTH + col;
+      data[idx] = Math.max(data[idx], Math.min(1, height / HEIGHT_SCALE));
+    }
+  }
+}
+
+/**
+ * Initial matrix and update function for waves crossing the transect
+ * @param {function} createWaves - Returns the waves of one run
+ * @param {object} physics - Physics config for updateWaveRefraction
+ * @param {number} trailDecay - Share of the previous frame kept per second (0 = crests only)
+ */
+function defineTransect(createWaves: () => any[], physics, trailDecay = 0) {
+  const initial = new Float32Array(GRID_WIDTH * GRID_HEIGHT);
+  paintCrests(initial, createWaves());
+  const initialMatrix = createMatrix().map((row, y) =>
+    row.map((_, x) => initial[y * GRID_WIDTH + x])
+  );
+
+  const updateFn = (field, dt) => {
+    if (!field._transect) field._transect = { time: 0, waves: createWaves() };
+    const transect = field._transect;
+    transect.time += dt * 1000;
+    for (const wave of transect.waves) {
+      updateWaveRefraction(
+        wave,
+        transect.time,
+        TRAVEL_DURATION_MS,
+        beachDepth,
+        DEEP_DEPTH,
+        physics
+      );
+    }
+
+    const keep = trailDecay > 0 ? Math.pow(trailDecay, dt) : 0;
+    for (let i = 0; i < field.height.length; i++) field.height[i] *= keep;
+    paintCrests(field.height, transect.waves);
+  };
+
+  return { initialMatrix, updateFn };
+}
+
 // Simple wave propagation with height increase due to shoaling
 export const PROGRESSION_WAVE_SHOALING = defineProgression({
   id: 'shoaling/wave-transformation',
   description: 'Wave height increases as depth decreases',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Initial wave pulse at horizon (row 0-1) with moderate height
-    for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 0.4; // Moderate amplitude in deep water
-      matrix[1][col] = 0.2;
-    }
-    return matrix;
-  })(),
+  ...defineTransect(() => [createTransectWave(0.4)], DEFAULT_PHYSICS_CONFIG),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height; // Float32Array
-
-    // Shoaling factor: waves grow as they approach shore
-    // Real physics: H2/H1 = (d1/d2)^0.25 (Green's law)
-    // Simplified: energy increases proportional to row (shallower = higher)
-    const shoalingRate = 1.5; // Growth factor per second
-
-    // Work backwards to avoid overwriting
-    for (let row = rows - 1; row > 0; row--) {
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
-        const srcEnergy = data[srcIdx];
-
-        // Propagate with shoaling amplification
-        const depthFactor = 1 + (row / rows) * 0.5; // Shallower = more amplification
-        data[idx] = Math.min(1.0, srcEnergy * (1 + shoalingRate * dt * depthFactor));
-      }
-    }
-
-    // Decay source row
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.5;
-    }
-  },
   metadata: { label: 'Wave Shoaling' },
 });
 
@@ -72,63 +126,31 @@ export const PROGRESSION_WAVE_SHOALING = defineProgression({
 export const PROGRESSION_WAVELENGTH_COMPRESSION = defineProgression({
   id: 'shoaling/wavelength-compression',
   description: 'Wavelength shortens as waves enter shallow water',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Two wave peaks in deep water, spread apart
-    for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 0.6;
-      matrix[3][col] = 0.6; // Second wave 3 rows behind
-    }
-    return matrix;
-  })(),
+  // Two waves a third of the ocean apart; the leader slows first
+  ...defineTransect(() => [createTransectWave(0.4, 0.3), createTransectWave(0.4)], FULL_PHYSICS),
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height;
-
-    // Waves slow down as they approach shore
-    // Deep water: full speed, Shallow: half speed
-    // This causes compression (waves stack up)
-
-    for (let row = rows - 1; row > 0; row--) {
-      const speedFactor = 1 - (row / rows) * 0.5; // Slower in shallow water
-
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
-
-        // Blend with speed-based weight
-        const blend = speedFactor * dt * 2;
-        data[idx] = data[idx] * (1 - blend) + data[srcIdx] * blend;
-      }
-    }
-
-    // Slowly decay horizon
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.9;
-    }
-  },
   metadata: { label: 'Wavelength Compression' },
 });
 
+// Depth of each row's center along the transect
+function rowDepth(row: number) {
+  return beachDepth(0.5, (row + 0.5) / GRID_HEIGHT);
+}
+
+// Static matrix from a per-row value
+function rowMatrix(valueAt: (row: number) => number): Matrix {
+  return createMatrix().map((cols, row) => cols.map(() => valueAt(row)));
+}
+
 // Orbital motion flattening - circular orbits become elliptical
 export const PROGRESSION_ORBITAL_FLATTENING = defineProgression({
   id: 'shoaling/orbital-flattening',
   description: 'Circular particle orbits flatten into ellipses in shallow water',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Gradient showing vertical motion amplitude
-    // Deep water: full vertical range, Shallow: reduced vertical, increased horizontal
-    for (let row = 0; row < GRID_HEIGHT; row++) {
-      const depth = 1 - row / (GRID_HEIGHT - 1);
-      for (let col = 0; col < GRID_WIDTH; col++) {
-        // Vertical amplitude decreases with depth
-        matrix[row][col] = depth * 0.8;
-      }
-    }
-    return matrix;
-  })(),
+  // Surface orbit height over width is tanh(k d): 1 for circles, toward 0 in shallow water
+  initialMatrix: rowMatrix((row) => {
+    const depth = rowDepth(row);
+    return Math.tanh(getWavenumber(depth, WAVE_PERIOD) * depth);
+  }),
   captureTimes: [0], // Static visualization
   updateFn: () => {}, // No update - static display
   metadata: { label: 'Orbital Flattening' },
@@ -138,18 +160,12 @@ export const PROGRESSION_ORBITAL_FLATTENING = defineProgression({
 export const PROGRESSION_SPEED_GRADIENT = defineProgression({
   id: 'shoaling/speed-gradient',
   description: 'Wave speed decreases with depth (c = sqrt(g*d))',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Show speed as intensity: bright = fast, dark = slow
-    for (let row = 0; row < GRID_HEIGHT; row++) {
-      const depth = 1 - row / (GRID_HEIGHT - 1);
-      const speed = Math.sqrt(depth); // c = sqrt(g*d), normalized
-      for (let col = 0; col < GRID_WIDTH; col++) {
-        matrix[row][col] = speed;
-      }
-    }
-    return matrix;
-  })(),
+  // Phase speed c = ω / k over the deep water speed g / ω: bright = fast, dark = slow
+  initialMatrix: rowMatrix((row) => {
+    const omega = (2 * Math.PI) / WAVE_PERIOD;
+    const speed = omega / getWavenumber(rowDepth(row), WAVE_PERIOD);
+    return speed / (9.8 / omega);
+  }),
   captureTimes: [0], // Static visualization
   updateFn: () => {},
   metadata: { label: 'Speed vs Depth' },
@@ -159,47 +175,9 @@ export const PROGRESSION_SPEED_GRADIENT = defineProgression({
 export const PROGRESSION_SHOALING_COMBINED = defineProgression({
   id: 'shoaling/combined',
   description: 'Full shoaling: height increase + speed decrease + compression',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Single wave pulse
-    for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 0.5;
-    }
-    return matrix;
-  })(),
+  // A fading trail shows the slowing; its brightness, the growing height
+  ...defineTransect(() => [createTransectWave(0.5)], FULL_PHYSICS, 0.2),
   captureTimes: [0, 1, 2, 3, 4, 5, 6, 7],
-  updateFn: (field, dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height;
-
-    // Combined shoaling effects:
-    // 1. Propagation with speed decrease
-    // 2. Height amplification
-    // 3. Wavelength compression (implicit from slowing)
-
-    for (let row = rows - 1; row > 0; row--) {
-      const depth = 1 - row / (rows - 1);
-      const speed = Math.sqrt(Math.max(0.1, depth)); // c ~ sqrt(d)
-      const shoaling = Math.pow(depth, -0.25); // Green's law: H ~ d^-0.25
-
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
-
-        // Propagate with speed-dependent rate
-        const propagation = speed * dt * 2;
-        const srcValue = data[srcIdx] * shoaling; // Amplify
-
-        data[idx] = Math.min(1.0, data[idx] * (1 - propagation) + srcValue * propagation);
-      }
-    }
-
-    // Decay source
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.7;
-    }
-  },
   metadata: { label: 'Combined Effects' },
 });
 
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getProgression } from '../test-utils';
+import {
+  PROGRESSION_BREAKING_CRITERION,
+  PROGRESSION_SPILLING,
+  PROGRESSION_PLUNGING,
+  PROGRESSION_SURGING,
+  PROGRESSION_ENERGY_TO_FOAM,
+} from './waveBreakingProgressions';
+import { PROGRESSION_WAVE_SHOALING } from './shoalingProgressions';
+import { BREAKER_TYPE, classifyBreaker } from '../state/waveModel.js';
+
+const total = (matrix: number[][]) => matrix.flat().reduce((sum, v) => sum + v, 0);
+const finalFoam = (prog) => total(prog.snapshots[prog.snapshots.length - 1].matrix);
+
+describe('waveBreakingProgressions', () => {
+  it('registers wave breaking progressions for discovery', () => {
+    expect(getProgression('wave-breaking/plunging')).toBe(PROGRESSION_PLUNGING);
+  });
+
+  it('marks the breaking zone in shallow water under big waves', () => {
+    const matrix = PROGRESSION_BREAKING_CRITERION.snapshots[0].matrix;
+    expect(matrix[7][7]).toBe(1); // biggest wave, shallowest row
+    expect(matrix[0][7]).toBeLessThan(1); // biggest wave, deepest row
+    expect(matrix[0][0]).toBeLessThan(0.5); // smallest wave, deepest row
+  });
+
+  it('uses beach slopes the model classifies as their breaker type', () => {
+    const breakerHeight = 2.5;
+    expect(classifyBreaker(PROGRESSION_SPILLING.metadata.slope, breakerHeight)).toBe(
+      BREAKER_TYPE.SPILLING
+    );
+    expect(classifyBreaker(PROGRESSION_PLUNGING.metadata.slope, breakerHeight)).toBe(
+      BREAKER_TYPE.PLUNGING
+    );
+    expect(classifyBreaker(PROGRESSION_SURGING.metadata.slope, breakerHeight)).toBe(
+      BREAKER_TYPE.SURGING
+    );
+  });
+
+  it('leaves the least foam after a surging break', () => {
+    expect(finalFoam(PROGRESSION_SURGING)).toBeLessThan(finalFoam(PROGRESSION_PLUNGING));
+    expect(finalFoam(PROGRESSION_SURGING)).toBeLessThan(finalFoam(PROGRESSION_SPILLING));
+  });
+
+  it('breaks the bigger energy-to-foam wave further out into more foam than the spiller', () => {
+    // Top row holding foam once the crests have passed (t=3s)
+    const foamLine = (prog) => prog.snapshots[3].matrix.findIndex((row) => row.some((v) => v > 0));
+    expect(foamLine(PROGRESSION_ENERGY_TO_FOAM)).toBeLessThan(foamLine(PROGRESSION_SPILLING));
+    expect(finalFoam(PROGRESSION_ENERGY_TO_FOAM)).toBeGreaterThan(finalFoam(PROGRESSION_SPILLING));
+  });
+
+  it('grows the shoaling wave as it reaches shallow water', () => {
+    const { snapshots } = PROGRESSION_WAVE_SHOALING;
+    const peak = (s) => Math.max(...s.matrix.flat());
+    expect(peak(snapshots[snapshots.length - 1])).toBeGreaterThan(peak(snapshots[0]));
+  });
+});
@@ -1,4 +1,17 @@
 import { defineProgression } from '../test-utils';
+import {
+  BREAKER_FOAM,
+  BREAKER_INDEX,
+  classifyBreaker,
+  createWave,
+  getBottomSlope,
+  getLocalWaveHeight,
+  isWaveBreaking,
+  updateWaveRefraction,
+  WAVE_TYPE,
+} from '../state/waveModel.js';
+import { updateFoamLayer } from '../state/foamGridModel.js';
+import { DEFAULT_PHYSICS_CONFIG } from '../state/physicsConfig.js';
 
 type Matrix = number[][];
 
@@ -13,6 +26,12 @@ function createMatrix(): Matrix {
  * Wave breaking progressions show the critical H/d > 0.78 threshold
  * where waves become unstable and break.
  *
+ * Every frame is generated by the live wave model (state/waveModel.ts): a wave
+ * crosses a plane beach, breaks by isWaveBreaking on its shoaled height, is
+ * classified by classifyBreaker (Iribarren number from the beach slope) and
+ * releases energy into foam as updateFoamGridsFromWaves does (BREAKER_FOAM,
+ * then updateFoamLayer).
+ *
  * Breaking types:
  * - Spilling: gentle slope, gradual break, foamy
  * - Plunging: medium slope, dramatic curl, hollow barrel
@@ -25,218 +44,180 @@ function createMatrix(): Matrix {
  */
 
 // Breaking criterion visualization - H/d ratio
+// Rows run from 6m of water (top) to 0.5m (bottom), columns from the smallest
+// to the biggest wave; stable cells show H / 0.78d, breaking cells are full.
+const CRITERION_DEEP = 6;
+const CRITERION_SHALLOW = 0.5;
+
 export const PROGRESSION_BREAKING_CRITERION = defineProgression({
   id: 'wave-breaking/criterion',
   description: 'Wave breaks when H/d > 0.78',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Wave approaching critical depth
-    // Top rows: stable (H/d < 0.78), Bottom rows: breaking (H/d > 0.78)
-    for (let row = 0; row < GRID_HEIGHT; row++) {
-      const ratio = row / (GRID_HEIGHT - 1); // 0 to 1
-      const intensity = ratio < 0.78 ? 0.5 : 1.0; // Jump at threshold
-      for (let col = 0; col < GRID_WIDTH; col++) {
-        matrix[row][col] = intensity;
-      }
-    }
-    return matrix;
-  })(),
+  initialMatrix: createMatrix().map((cols, row) => {
+    const depth = CRITERION_DEEP - ((CRITERION_DEEP - CRITERION_SHALLOW) * row) / (GRID_HEIGHT - 1);
+    return cols.map((_, col) => {
+      const wave = { amplitude: col / (GRID_WIDTH - 1) };
+      if (isWaveBreaking(wave, depth)) return 1.0;
+      return (0.5 * getLocalWaveHeight(wave, depth)) / (BREAKER_INDEX * depth);
+    });
+  }),
   captureTimes: [0],
   updateFn: () => {},
   metadata: { label: 'H/d Threshold' },
 });
 
-// Spilling breaker - gradual, foamy break on gentle slope
-export const PROGRESSION_SPILLING = defineProgression({
-  id: 'wave-breaking/spilling',
-  description: 'Spilling breaker: gradual foam cascade on gentle slope',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Wave pulse at horizon
-    for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 0.6;
-    }
-    return matrix;
-  })(),
-  captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, _dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height;
+// Beach transects: plane slopes reaching 0.5m at the shore from BEACH_DEEP at the horizon
+const BEACH_DEEP = 6.5;
+const BEACH_SHORE = 0.5;
 
-    // Spilling: gradual energy loss as wave breaks
-    // Foam cascades down the face continuously
-    const breakingRow = Math.floor(rows * 0.6); // Breaking starts at 60% down
+// Horizon to shore in 3s of simulated time, leaving the later frames to the foam
+const TRAVEL_DURATION_MS = 3000;
 
-    for (let row = rows - 1; row > 0; row--) {
-      const isBreaking = row >= breakingRow;
-      const decayFactor = isBreaking ? 0.85 : 1.0; // Gradual foam loss in breaking zone
+// Crest heights (meters) are drawn as height / HEIGHT_SCALE
+const HEIGHT_SCALE = 4;
 
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
+// Amplitude of the breaking wave (2m in deep water)
+const BREAKING_AMPLITUDE = 0.6;
 
-        // Propagate with gradual decay in breaking zone
-        data[idx] = Math.max(0, data[srcIdx] * decayFactor);
-      }
-    }
+// Amplitude of the energy-to-foam wave (3m): it breaks further out and has more to give
+const BIG_WAVE_AMPLITUDE = 1.0;
 
-    // Decay source
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.7;
-    }
-  },
-  metadata: { label: 'Spilling' },
-});
+// The game deposits over ~40 foam rows where these transects have 8, so each row gains 5x
+const FOAM_ROW_GAIN = 5;
 
-// Plunging breaker - dramatic curl, hollow barrel
-export const PROGRESSION_PLUNGING = defineProgression({
-  id: 'wave-breaking/plunging',
-  description: 'Plunging breaker: dramatic barrel on medium slope',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Stronger initial wave for more dramatic break
+/**
+ * Initial matrix and update function for a wave breaking on a plane beach
+ *
+ * The field shows foam, with the wave's crest drawn over it at its local height
+ * scaled by the energy it has left.
+ *
+ * @param {number} slope - Beach slope (tan β)
+ * @param {number} amplitude - Wave amplitude (0-1)
+ */
+function defineBeachBreak(slope: number, amplitude = BREAKING_AMPLITUDE) {
+  // Transect length follows from the slope, so every beach spans the same depths
+  const length = (BEACH_DEEP - BEACH_SHORE) / slope;
+  const depthFn = (_normalizedX: number, progress: number) =>
+    BEACH_DEEP - (BEACH_DEEP - BEACH_SHORE) * progress;
+  const physics = DEFAULT_PHYSICS_CONFIG;
+
+  const createRun = () => ({
+    time: 0,
+    wave: createWave(0, amplitude, WAVE_TYPE.SET, null, { samples: GRID_WIDTH }),
+    energy: new Array(GRID_WIDTH).fill(1),
+    lastRow: new Array(GRID_WIDTH).fill(-1),
+    foam: {
+      data: new Float32Array(GRID_WIDTH * GRID_HEIGHT),
+      width: GRID_WIDTH,
+      height: GRID_HEIGHT,
+    },
+    transfer: {
+      data: new Float32Array(GRID_WIDTH * GRID_HEIGHT),
+      width: GRID_WIDTH,
+      height: GRID_HEIGHT,
+    },
+  });
+
+  function paint(data: Float32Array, run) {
+    data.set(run.foam.data);
     for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 0.8;
+      const progress = run.wave.progressPerX[col];
+      if (progress >= 1) continue;
+      const row = Math.floor(progress * GRID_HEIGHT);
+      const height = getLocalWaveHeight(run.wave, depthFn(0.5, progress));
+      const idx = row * GRID_WIDTH + col;
+      data[idx] = Math.max(data[idx], Math.min(1, (height / HEIGHT_SCALE) * run.energy[col]));
     }
-    return matrix;
-  })(),
-  captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, _dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height;
+  }
 
-    // Plunging: sudden energy release, dramatic drop
-    const breakingRow = Math.floor(rows * 0.5);
-    const impactRow = Math.floor(rows * 0.7);
+  const initial = new Float32Array(GRID_WIDTH * GRID_HEIGHT);
+  paint(initial, createRun());
+  const initialMatrix = createMatrix().map((row, y) =>
+    row.map((_, x) => initial[y * GRID_WIDTH + x])
+  );
 
-    for (let row = rows - 1; row > 0; row--) {
-      const atBreaking = row === breakingRow;
-      const atImpact = row >= impactRow;
+  const updateFn = (field, dt) => {
+    if (!field._break) field._break = createRun();
+    const run = field._break;
+    run.time += dt * 1000;
+    updateWaveRefraction(run.wave, run.time, TRAVEL_DURATION_MS, depthFn, BEACH_DEEP, physics);
 
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
-
-        let value = data[srcIdx];
+    // Break once per row crossed, as updateFoamGridsFromWaves does per foam row
+    for (let col = 0; col < GRID_WIDTH; col++) {
+      const progress = run.wave.progressPerX[col];
+      const row = Math.min(GRID_HEIGHT - 1, Math.floor(progress * GRID_HEIGHT));
+      if (row === run.lastRow[col]) continue;
+      run.lastRow[col] = row;
+
+      const depth = depthFn(0.5, progress);
+      if (run.energy[col] < physics.minEnergyForBreaking || !isWaveBreaking(run.wave, depth)) {
+        continue;
+      }
+      const breaker = classifyBreaker(
+        getBottomSlope(depthFn, 0.5, progress, length),
+        getLocalWaveHeight(run.wave, depth)
+      );
+      const { drainShare, foamShare } = BREAKER_FOAM[breaker];
+      const drained = Math.min(
+        run.energy[col],
+        run.wave.amplitude * physics.breakingDrain * drainShare
+      );
+      run.energy[col] -= drained;
+      run.transfer.data[row * GRID_WIDTH + col] += drained * foamShare;
+    }
 
-        // Plunging creates a sudden drop at breaking point
-        if (atBreaking) {
-          value *= 0.3; // Dramatic energy loss as lip plunges
-        }
+    updateFoamLayer(run.foam, run.transfer, dt, {
+      depositScale: physics.foamDeposit * FOAM_ROW_GAIN,
+      decayRate: physics.foamDecay,
+      advectRate: physics.foamAdvect,
+    });
+    paint(field.height, run);
+  };
 
-        // Impact zone: energy spreads as splash
-        if (atImpact && data[srcIdx] > 0.2) {
-          value *= 0.5;
-        }
+  return { initialMatrix, updateFn, metadata: { slope, length, amplitude } };
+}
 
-        data[idx] = value;
-      }
-    }
+// Spilling breaker - gradual, foamy break on gentle slope
+const SPILLING_BEACH = defineBeachBreak(1 / 50);
+export const PROGRESSION_SPILLING = defineProgression({
+  id: 'wave-breaking/spilling',
+  description: 'Spilling breaker: gradual foam cascade on gentle slope',
+  initialMatrix: SPILLING_BEACH.initialMatrix,
+  captureTimes: [0, 1, 2, 3, 4, 5],
+  updateFn: SPILLING_BEACH.updateFn,
+  metadata: { label: 'Spilling', ...SPILLING_BEACH.metadata },
+});
 
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.7;
-    }
-  },
-  metadata: { label: 'Plunging' },
+// Plunging breaker - dramatic curl, hollow barrel
+const PLUNGING_BEACH = defineBeachBreak(1 / 10);
+export const PROGRESSION_PLUNGING = defineProgression({
+  id: 'wave-breaking/plunging',
+  description: 'Plunging breaker: dramatic barrel on medium slope',
+  initialMatrix: PLUNGING_BEACH.initialMatrix,
+  captureTimes: [0, 1, 2, 3, 4, 5],
+  updateFn: PLUNGING_BEACH.updateFn,
+  metadata: { label: 'Plunging', ...PLUNGING_BEACH.metadata },
 });
 
 // Surging breaker - wave surges up steep beach
+const SURGING_BEACH = defineBeachBreak(1 / 2.5);
 export const PROGRESSION_SURGING = defineProgression({
   id: 'wave-breaking/surging',
   description: 'Surging breaker: wave surges up steep beach without breaking',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 0.7;
-    }
-    return matrix;
-  })(),
+  initialMatrix: SURGING_BEACH.initialMatrix,
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, _dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height;
-
-    // Surging: minimal breaking, wave maintains form until shore
-    // Energy is absorbed by steep beach slope
-
-    for (let row = rows - 1; row > 0; row--) {
-      const nearShore = row >= rows - 2;
-
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
-
-        let value = data[srcIdx];
-
-        // Rapid absorption at shore (steep beach)
-        if (nearShore) {
-          value *= 0.4;
-        }
-
-        data[idx] = value;
-      }
-    }
-
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.7;
-    }
-  },
-  metadata: { label: 'Surging' },
+  updateFn: SURGING_BEACH.updateFn,
+  metadata: { label: 'Surging', ...SURGING_BEACH.metadata },
 });
 
-// Energy to foam conversion
+// Energy to foam conversion: a bigger wave on the game's average 1:20 slope
+const AVERAGE_BEACH = defineBeachBreak(1 / 20, BIG_WAVE_AMPLITUDE);
 export const PROGRESSION_ENERGY_TO_FOAM = defineProgression({
   id: 'wave-breaking/energy-to-foam',
-  description: 'Breaking drains wave energy and deposits as foam',
-  initialMatrix: (() => {
-    const matrix = createMatrix();
-    // Full energy wave
-    for (let col = 0; col < GRID_WIDTH; col++) {
-      matrix[0][col] = 1.0;
-      matrix[1][col] = 0.8;
-    }
-    return matrix;
-  })(),
+  description: 'Breaking drains a 3m wave and deposits its energy as foam',
+  initialMatrix: AVERAGE_BEACH.initialMatrix,
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, _dt) => {
-    const rows = field.gridHeight;
-    const cols = field.width;
-    const data = field.height;
-
-    // Track foam separately (stored in bottom half intensity)
-    const breakingRow = Math.floor(rows * 0.5);
-
-    for (let row = rows - 1; row > 0; row--) {
-      const isBreakingZone = row >= breakingRow && row < breakingRow + 2;
-
-      for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        const srcIdx = (row - 1) * cols + col;
-
-        let value = data[srcIdx];
-
-        // In breaking zone: drain energy, convert to foam
-        if (isBreakingZone && value > 0.3) {
-          const drained = value * 0.4;
-          value -= drained;
-          // Foam effect: add glow to adjacent cells
-          if (row + 1 < rows) {
-            data[(row + 1) * cols + col] += drained * 0.3;
-          }
-        }
-
-        data[idx] = Math.min(1.0, value);
-      }
-    }
-
-    for (let col = 0; col < cols; col++) {
-      data[col] *= 0.7;
-    }
-  },
-  metadata: { label: 'Energy to Foam' },
+  updateFn: AVERAGE_BEACH.updateFn,
+  metadata: { label: 'Energy to Foam', ...AVERAGE_BEACH.metadata },
 });
 
 export const WAVE_BREAKING_PROGRESSIONS = {
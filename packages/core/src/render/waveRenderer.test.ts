@@ -1,7 +1,16 @@
 import { describe, it, expect, vi } from 'vitest';
-import { WAVE_COLORS, getWaveColors, renderWave, renderWaves } from './waveRenderer.js';
+import {
+  WAVE_COLORS,
+  BREAKER_STYLES,
+  getBreakerLip,
+  getWaveAlpha,
+  getWaveColors,
+  getWaveSlices,
+  renderWave,
+  renderWaves,
+} from './waveRenderer.js';
 import { progressToScreenY } from './coordinates.js';
-import { createWave, WAVE_TYPE } from '../state/waveModel.js';
+import { createWave, WAVE_TYPE, WAVE_X_SAMPLES } from '../state/waveModel.js';
 
 // Mock canvas context
 function createMockContext() {
@@ -76,6 +85,74 @@ describe('waveRenderer', () => {
     });
   });
 
+  describe('getWaveSlices', () => {
+    it('returns one band per progress sample, peak to next peak', () => {
+      const wave = createWave(0, 1, WAVE_TYPE.SET);
+      wave.progressPerX.fill(0.5);
+
+      const slices = getWaveSlices(wave, {
+        canvasWidth: 800,
+        oceanTop: 0,
+        oceanBottom: 500,
+        gameTime: 5000,
+        travelDuration: 10000,
+      });
+
+      expect(slices).toHaveLength(wave.progressPerX.length);
+      const sliceWidth = 800 / wave.progressPerX.length;
+      expect(slices[1]).toEqual({
+        x: sliceWidth,
+        width: sliceWidth + 1,
+        peakY: 250,
+        troughY: 310, // full-amplitude set waves are 120px thick
+        nextPeakY: 370,
+        breaker: null,
+      });
+    });
+
+    it('carries the breaker type of each slice', () => {
+      const wave = createWave(0, 1, WAVE_TYPE.SET);
+      wave.progressPerX.fill(0.5);
+      wave.breakerPerX = wave.progressPerX.map((_, i) => (i === 2 ? 'plunging' : null));
+
+      const slices = getWaveSlices(wave, {
+        canvasWidth: 800,
+        oceanTop: 0,
+        oceanBottom: 500,
+        gameTime: 5000,
+        travelDuration: 10000,
+      });
+
+      expect(slices.map((slice) => slice.breaker).filter(Boolean)).toEqual(['plunging']);
+      expect(slices[2].breaker).toBe('plunging');
+    });
+  });
+
+  describe('getBreakerLip', () => {
+    const slice = { x: 0, width: 20, peakY: 100, troughY: 160, nextPeakY: 220 };
+
+    it('has no whitewater where the slice is not breaking', () => {
+      expect(getBreakerLip({ ...slice, breaker: null })).toBeNull();
+    });
+
+    it('covers more of the face for spilling than plunging or surging', () => {
+      const cover = (breaker) => getBreakerLip({ ...slice, breaker }).height;
+      expect(cover('spilling')).toBeCloseTo(60 * BREAKER_STYLES.spilling.cover);
+      expect(cover('spilling')).toBeGreaterThan(cover('plunging'));
+      expect(cover('plunging')).toBeGreaterThan(cover('surging'));
+      expect(getBreakerLip({ ...slice, breaker: 'plunging' })).toMatchObject({
+        y: 100,
+        color: BREAKER_STYLES.plunging.color,
+      });
+    });
+
+    it('makes waves translucent over bathymetry', () => {
+      expect(getWaveAlpha(createWave(0, 1, WAVE_TYPE.SET))).toBe(1);
+      expect(getWaveAlpha(createWave(0, 1, WAVE_TYPE.BACKGROUND))).toBe(0.85);
+      expect(getWaveAlpha(createWave(0, 1, WAVE_TYPE.SET), true)).toBe(0.7);
+    });
+  });
+
   describe('renderWave', () => {
     it('calls fillRect for wave slices', () => {
       const ctx = createMockContext();
@@ -113,6 +190,26 @@ describe('waveRenderer', () => {
       expect(ctx.createLinearGradient).toHaveBeenCalled();
     });
 
+    it('draws whitewater over breaking slices only', () => {
+      const draw = (breaker) => {
+        const ctx = createMockContext();
+        const wave = createWave(0, 0.8, WAVE_TYPE.SET);
+        wave.progressPerX.fill(0.5);
+        wave.breakerPerX = wave.progressPerX.map(() => breaker);
+        renderWave(ctx, wave, {
+          canvasWidth: 800,
+          oceanTop: 0,
+          oceanBottom: 500,
+          shoreY: 500,
+          gameTime: 5000,
+          travelDuration: 10000,
+        });
+        return ctx.fillRect.mock.calls.length;
+      };
+
+      expect(draw('spilling')).toBe(draw(null) + WAVE_X_SAMPLES);
+    });
+
     it('sets alpha for bathymetry mode', () => {
       const ctx = createMockContext();
       const wave = createWave(0, 0.8, WAVE_TYPE.SET);
@@ -6,9 +6,10 @@
  * - Gradient from peak (dark) to trough (light)
  * - Energy field integration for thickness scaling
  * - Separate styles for set waves vs background waves
+ * - Whitewater on breaking slices, styled by breaker type
  */
 
-import { getWaveProgress, WAVE_TYPE, WAVE_X_SAMPLES } from '../state/waveModel.js';
+import { getWaveProgress, isSetWave, WAVE_X_SAMPLES } from '../state/waveModel.js';
 import { getHeightAt } from '../state/energyFieldModel.js';
 import { progressToScreenY } from './coordinates.js';
 
@@ -26,6 +27,18 @@ export const WAVE_COLORS = {
   },
 };
 
+/**
+ * Whitewater on a breaking slice's crest by breaker type (state/waveModel.ts):
+ * spilling foam tumbles down the face, a plunging lip is a thin bright band over
+ * the hollow face, a surging wave only shows a faint rim. `cover` is the share of
+ * the peak-to-trough band the whitewater covers.
+ */
+export const BREAKER_STYLES = {
+  spilling: { color: '#e6f2f8', alpha: 0.8, cover: 0.6 },
+  plunging: { color: '#ffffff', alpha: 0.95, cover: 0.15 },
+  surging: { color: '#cfe4f0', alpha: 0.45, cover: 0.08 },
+};
+
 // Parse hex color to RGB components
 function hexToRgb(hex) {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -48,7 +61,7 @@ function rgbToHex(r, g, b) {
  * @returns {{peak: string, trough: string}} CSS color strings
  */
 export function getWaveColors(wave) {
-  const isSet = wave.type === WAVE_TYPE.SET;
+  const isSet = isSetWave(wave);
   const palette = isSet ? WAVE_COLORS.setWave : WAVE_COLORS.backgroundWave;
 
   // Set waves get full contrast; background waves max out at 60%
@@ -70,51 +83,45 @@ export function getWaveColors(wave) {
 }
 
 /**
- * Render a single wave as a gradient band
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * Geometry of a wave's vertical slices, shared by the Canvas2D and WebGL backends
+ *
+ * Each slice is a band from its peak down to the next peak: peak (dark) to
+ * trough (light) over the first half, back to peak over the second. Thickness
+ * follows the slice's superposed amplitude, so double-ups draw thicker; slices
+ * left without a crest by interference are skipped.
+ *
  * @param {object} wave - Wave object with progressPerX
- * @param {object} options - Rendering options
- * @param {number} options.canvasWidth - Width of canvas
- * @param {number} options.oceanTop - Y coordinate of horizon
- * @param {number} options.oceanBottom - Y coordinate of shore
- * @param {number} options.shoreY - Y coordinate where shore begins
- * @param {number} options.gameTime - Current game time in ms
- * @param {number} options.travelDuration - Wave travel duration in ms
- * @param {boolean} options.showBathymetry - Whether bathymetry is visible
- * @param {boolean} options.showEnergyField - Whether to use energy scaling
- * @param {object} options.energyField - Energy field for thickness scaling
+ * @param {object} options - Rendering options (see renderWave)
+ * @returns {Array<{x: number, width: number, peakY: number, troughY: number, nextPeakY: number, breaker: string|null}>}
  */
-export function renderWave(ctx, wave, options) {
+export function getWaveSlices(wave, options) {
   const {
     canvasWidth,
     oceanTop,
     oceanBottom,
-    shoreY,
     gameTime,
     travelDuration,
-    showBathymetry = false,
     showEnergyField = false,
     energyField = null,
   } = options;
 
-  const isSet = wave.type === WAVE_TYPE.SET;
+  const isSet = isSetWave(wave);
 
   // Type-specific thickness ranges
   const minThickness = isSet ? 40 : 25;
   const maxThickness = isSet ? 120 : 60;
 
-  // Get colors
-  const waveColors = getWaveColors(wave);
-
-  // Set alpha based on visibility settings
-  const baseAlpha = isSet ? 1.0 : 0.85;
-  ctx.globalAlpha = showBathymetry ? 0.7 : baseAlpha;
-
-  // Draw wave as vertical slices
   const numSlices = wave.progressPerX ? wave.progressPerX.length : WAVE_X_SAMPLES;
   const sliceWidth = canvasWidth / numSlices;
+  const slices = [];
 
   for (let i = 0; i < numSlices; i++) {
+    // No crest of its own here: absorbed into a double-up or cancelled (interference)
+    const amplitude = wave.amplitudePerX?.[i] ?? wave.amplitude;
+    if (amplitude <= 0 && wave.amplitudePerX) continue;
+    // Still out to sea behind the horizon (angled crest not yet arrived)
+    if (wave.holdPerX?.[i] > 0) continue;
+
     const normalizedX = (i + 0.5) / numSlices;
     const progress = wave.progressPerX
       ? wave.progressPerX[i]
@@ -122,31 +129,86 @@ export function renderWave(ctx, wave, options) {
     const peakY = progressToScreenY(progress, oceanTop, oceanBottom);
 
     // Calculate thickness
-    let thicknessMultiplier = wave.amplitude;
+    let thicknessMultiplier = amplitude;
     if (showEnergyField && energyField) {
       const energyAtSlice = getHeightAt(energyField, normalizedX, progress);
       thicknessMultiplier = 0.01 + energyAtSlice * 0.99;
     }
 
     const waveSpacing = minThickness + (maxThickness - minThickness) * thicknessMultiplier;
-    const halfSpacing = waveSpacing / 2;
-    const troughY = peakY + halfSpacing;
-    const nextPeakY = peakY + waveSpacing;
+    slices.push({
+      x: i * sliceWidth,
+      width: sliceWidth + 1, // 1px overlap hides seams between slices
+      peakY,
+      troughY: peakY + waveSpacing / 2,
+      nextPeakY: peakY + waveSpacing,
+      // Breaker type where the slice is breaking (set by updateWaveShoaling)
+      breaker: wave.breakerPerX?.[i] ?? null,
+    });
+  }
 
-    const sliceX = i * sliceWidth;
+  return slices;
+}
 
+/**
+ * Whitewater band on a breaking slice
+ * @param {object} slice - Slice from getWaveSlices
+ * @returns {{y: number, height: number, color: string, alpha: number}|null} Null when not breaking
+ */
+export function getBreakerLip(slice) {
+  const style = slice.breaker ? BREAKER_STYLES[slice.breaker] : null;
+  if (!style) return null;
+  return {
+    y: slice.peakY,
+    height: (slice.troughY - slice.peakY) * style.cover,
+    color: style.color,
+    alpha: style.alpha,
+  };
+}
+
+/**
+ * Opacity a wave is drawn with
+ * @param {object} wave - Wave object
+ * @param {boolean} showBathymetry - Whether bathymetry is visible (waves turn translucent)
+ * @returns {number} Alpha (0-1)
+ */
+export function getWaveAlpha(wave, showBathymetry = false) {
+  if (showBathymetry) return 0.7;
+  return isSetWave(wave) ? 1.0 : 0.85;
+}
+
+/**
+ * Render a single wave as a gradient band
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} wave - Wave object with progressPerX
+ * @param {object} options - Rendering options
+ * @param {number} options.canvasWidth - Width of canvas
+ * @param {number} options.oceanTop - Y coordinate of horizon
+ * @param {number} options.oceanBottom - Y coordinate of shore
+ * @param {number} options.shoreY - Y coordinate where shore begins
+ * @param {number} options.gameTime - Current game time in ms
+ * @param {number} options.travelDuration - Wave travel duration in ms
+ * @param {boolean} options.showBathymetry - Whether bathymetry is visible
+ * @param {boolean} options.showEnergyField - Whether to use energy scaling
+ * @param {object} options.energyField - Energy field for thickness scaling
+ */
+export function renderWave(ctx, wave, options) {
+  const { shoreY, showBathymetry = false } = options;
+
+  // Get colors
+  const waveColors = getWaveColors(wave);
+  const alpha = getWaveAlpha(wave, showBathymetry);
+  ctx.globalAlpha = alpha;
+
+  for (const slice of getWaveSlices(wave, options)) {
+    const { x, width, peakY, troughY, nextPeakY } = slice;
     // First half: peak (dark) to trough (light)
     if (troughY > 0 && peakY < shoreY) {
       const grad1 = ctx.createLinearGradient(0, peakY, 0, troughY);
       grad1.addColorStop(0, waveColors.peak);
       grad1.addColorStop(1, waveColors.trough);
       ctx.fillStyle = grad1;
-      ctx.fillRect(
-        sliceX,
-        Math.max(0, peakY),
-        sliceWidth + 1,
-        Math.min(troughY, shoreY) - Math.max(0, peakY)
-      );
+      ctx.fillRect(x, Math.max(0, peakY), width, Math.min(troughY, shoreY) - Math.max(0, peakY));
     }
 
     // Second half: trough (light) to next peak (dark)
@@ -156,29 +218,46 @@ export function renderWave(ctx, wave, options) {
       grad2.addColorStop(1, waveColors.peak);
       ctx.fillStyle = grad2;
       ctx.fillRect(
-        sliceX,
+        x,
         Math.max(0, troughY),
-        sliceWidth + 1,
+        width,
         Math.min(nextPeakY, shoreY) - Math.max(0, troughY)
       );
     }
+
+    // Whitewater over the crest where the slice breaks
+    const lip = getBreakerLip(slice);
+    if (lip && lip.y < shoreY) {
+      ctx.globalAlpha = alpha * lip.alpha;
+      ctx.fillStyle = lip.color;
+      ctx.fillRect(
+        x,
+        Math.max(0, lip.y),
+        width,
+        Math.min(lip.y + lip.height, shoreY) - Math.max(0, lip.y)
+      );
+      ctx.globalAlpha = alpha;
+    }
   }
 
   ctx.globalAlpha = 1.0;
 }
 
 /**
- * Render multiple waves, sorted by progress (painter's algorithm)
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * Visible waves in drawing order: sorted by progress (painter's algorithm)
  * @param {Array} waves - Array of wave objects
- * @param {object} options - Rendering options (same as renderWave)
- * @param {object} visibility - Visibility toggles
- * @param {boolean} visibility.showSetWaves - Show set waves
- * @param {boolean} visibility.showBackgroundWaves - Show background waves
+ * @param {number} gameTime - Current game time in ms
+ * @param {number} travelDuration - Wave travel duration in ms
+ * @param {object} visibility - Visibility toggles (see renderWaves)
+ * @returns {Array} Waves to draw, back (horizon) to front
  */
-export function renderWaves(ctx, waves, options, visibility: Record<string, any> = {}) {
+export function getWavesInDrawOrder(
+  waves,
+  gameTime,
+  travelDuration,
+  visibility: Record<string, any> = {}
+) {
   const { showSetWaves = true, showBackgroundWaves = true } = visibility;
-  const { gameTime, travelDuration } = options;
 
   // Sort by progress (waves closer to horizon render first)
   const sortedWaves = [...waves].sort((a, b) => {
@@ -187,13 +266,23 @@ export function renderWaves(ctx, waves, options, visibility: Record<string, any>
     return progressA - progressB;
   });
 
-  for (const wave of sortedWaves) {
-    const isSetWave = wave.type === WAVE_TYPE.SET;
-    const isVisible = isSetWave ? showSetWaves : showBackgroundWaves;
+  return sortedWaves.filter((wave) => (isSetWave(wave) ? showSetWaves : showBackgroundWaves));
+}
 
-    if (isVisible) {
-      renderWave(ctx, wave, options);
-    }
+/**
+ * Render multiple waves, sorted by progress (painter's algorithm)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} waves - Array of wave objects
+ * @param {object} options - Rendering options (same as renderWave)
+ * @param {object} visibility - Visibility toggles
+ * @param {boolean} visibility.showSetWaves - Show set waves
+ * @param {boolean} visibility.showBackgroundWaves - Show background waves
+ */
+export function renderWaves(ctx, waves, options, visibility: Record<string, any> = {}) {
+  const { gameTime, travelDuration } = options;
+
+  for (const wave of getWavesInDrawOrder(waves, gameTime, travelDuration, visibility)) {
+    renderWave(ctx, wave, options);
   }
 
   ctx.globalAlpha = 1.0;
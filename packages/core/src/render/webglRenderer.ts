@@ -0,0 +1,570 @@
+// WebGL Renderer - WebGL2 backend for the scene's base layers
+//
+// Draws the same scene as drawSceneCanvas2D (sceneRenderer.ts) on the GPU:
+// - bathymetry and the energy field are float textures color-mapped in shaders
+// - waves are one triangle mesh of shaded height bands (peak and trough colors
+//   per vertex, so the GPU interpolates the Canvas2D gradients)
+// - foam contours are iso-lines of the blurred foam grid drawn by a threshold
+//   shader instead of stroked marching-squares paths
+// Every pass works in canvas pixels with a top-left origin, like Canvas2D, and
+// blends premultiplied colors. With `offscreen` the scene renders into a
+// framebuffer that readPixels() reads back (headless parity tests).
+
+import { depthToColor, sampleBathymetryDepths } from './bathymetryRenderer.js';
+import { getFoamContourLayers } from './foamConfig.js';
+import { boxBlur } from './marchingSquares.js';
+import { getSceneWaveOptions, SCENE_COLORS } from './sceneRenderer.js';
+import {
+  getBreakerLip,
+  getWaveAlpha,
+  getWaveColors,
+  getWaveSlices,
+  getWavesInDrawOrder,
+} from './waveRenderer.js';
+
+// Most contour thresholds one foam layer can have (FOAM_THRESHOLDS_* use 3)
+const MAX_THRESHOLDS = 4;
+
+// Floats per mesh vertex: x, y (canvas pixels), r, g, b, a (0-1, straight alpha)
+const VERTEX_FLOATS = 6;
+
+// Energy field colors (match renderEnergyField)
+const ENERGY_LOW_COLOR = [50, 200, 50];
+const ENERGY_HIGH_COLOR = [180, 50, 220];
+
+// Depth -> color lookup for the bathymetry shader, from depthToColor (viridis)
+const DEPTH_RAMP_STEPS = 64;
+const DEPTH_COLOR_SCALE = 15;
+
+const VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+in vec4 a_color;
+uniform vec2 u_resolution;
+out vec4 v_color;
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_color = a_color;
+}`;
+
+// Canvas pixel (top-left origin) of the fragment, shared by the fragment shaders
+const PIXEL_GLSL = `
+uniform vec2 u_resolution;
+vec2 canvasPixel() {
+  return vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y);
+}`;
+
+// Solid fills and wave bands: vertex colors, clipped at u_clipBottom (the shoreline)
+const MESH_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+${PIXEL_GLSL}
+uniform float u_clipBottom;
+in vec4 v_color;
+out vec4 outColor;
+void main() {
+  if (canvasPixel().y >= u_clipBottom) discard;
+  outColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}`;
+
+// Cell grids (bathymetry, energy field): one texel per cell, color-mapped by u_mode
+const GRID_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+${PIXEL_GLSL}
+uniform highp sampler2D u_grid;
+uniform highp sampler2D u_ramp;
+uniform vec4 u_cells; // origin x, origin y, cell width, cell height (pixels)
+uniform int u_mode; // 0 = depth ramp, 1 = energy
+uniform vec3 u_lowColor;
+uniform vec3 u_highColor;
+uniform float u_rampDepth;
+out vec4 outColor;
+void main() {
+  ivec2 size = textureSize(u_grid, 0);
+  ivec2 cell = ivec2(floor((canvasPixel() - u_cells.xy) / u_cells.zw));
+  if (any(lessThan(cell, ivec2(0))) || any(greaterThanEqual(cell, size))) discard;
+  float value = texelFetch(u_grid, cell, 0).r;
+  vec3 color;
+  if (u_mode == 0) {
+    // Texel centers hold depths 0..u_rampDepth
+    float ramp = clamp(value / u_rampDepth, 0.0, 1.0) * ${DEPTH_RAMP_STEPS - 1}.0 + 0.5;
+    color = texture(u_ramp, vec2(ramp / ${DEPTH_RAMP_STEPS}.0, 0.5)).rgb;
+  } else {
+    if (value < 0.05) discard;
+    color = mix(u_lowColor, u_highColor, clamp((value - 0.2) / 0.8, 0.0, 1.0)) / 255.0;
+  }
+  outColor = vec4(color, 1.0);
+}`;
+
+// Foam contours: iso-lines of the grid (nodes span the canvas width and 0..u_extent.y)
+const FOAM_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+${PIXEL_GLSL}
+uniform highp sampler2D u_grid;
+uniform vec2 u_extent;
+uniform int u_count;
+uniform float u_thresholds[${MAX_THRESHOLDS}];
+uniform vec4 u_colors[${MAX_THRESHOLDS}];
+uniform float u_lineWidths[${MAX_THRESHOLDS}];
+out vec4 outColor;
+float node(ivec2 at) {
+  return texelFetch(u_grid, at, 0).r;
+}
+void main() {
+  ivec2 size = textureSize(u_grid, 0);
+  vec2 g = canvasPixel() / u_extent * vec2(size - 1);
+  ivec2 c = clamp(ivec2(floor(g)), ivec2(0), size - 2);
+  vec2 f = clamp(g - vec2(c), 0.0, 1.0);
+  float top = mix(node(c), node(c + ivec2(1, 0)), f.x);
+  float bottom = mix(node(c + ivec2(0, 1)), node(c + ivec2(1, 1)), f.x);
+  float value = mix(top, bottom, f.y);
+  float slope = max(length(vec2(dFdx(value), dFdy(value))), 1e-6);
+
+  vec4 color = vec4(0.0);
+  for (int i = 0; i < ${MAX_THRESHOLDS}; i++) {
+    if (i >= u_count) break;
+    float distancePx = abs(value - u_thresholds[i]) / slope;
+    float coverage = clamp(u_lineWidths[i] * 0.5 + 0.5 - distancePx, 0.0, 1.0);
+    float alpha = coverage * u_colors[i].a;
+    color = vec4(u_colors[i].rgb * alpha, alpha) + color * (1.0 - alpha);
+  }
+  if (color.a <= 0.0) discard;
+  outColor = color;
+}`;
+
+/**
+ * Parse a CSS color ('#rrggbb', 'rgb(r, g, b)' or 'rgba(r, g, b, a)')
+ * @param {string} css - CSS color string
+ * @returns {number[]} [r, g, b, a] in 0-1
+ */
+export function cssColorToRgba(css) {
+  const hex = /^#([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(css);
+  if (hex) return [1, 2, 3].map((i) => parseInt(hex[i], 16) / 255).concat(1);
+
+  const rgb = /^rgba?\(([^)]+)\)$/i.exec(css);
+  const parts = rgb ? rgb[1].split(',').map(Number) : [];
+  if ((parts.length !== 3 && parts.length !== 4) || parts.some((n) => !Number.isFinite(n))) {
+    throw new Error(`Unsupported color ${css}`);
+  }
+  return [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts[3] ?? 1];
+}
+
+// Uniform array values padded to MAX_THRESHOLDS entries of `size` floats
+function padded(values, size) {
+  const array = new Float32Array(MAX_THRESHOLDS * size);
+  array.set(values);
+  return array;
+}
+
+function compileShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`WebGL shader failed to compile: ${log}`);
+  }
+  return shader;
+}
+
+// Linked program with its uniform locations looked up by name
+function createProgram(gl, fragmentSource, uniforms) {
+  const program = gl.createProgram();
+  gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+  gl.bindAttribLocation(program, 0, 'a_position');
+  gl.bindAttribLocation(program, 1, 'a_color');
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`WebGL program failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  const locations: Record<string, WebGLUniformLocation> = {};
+  for (const name of ['u_resolution', ...uniforms]) {
+    locations[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, locations };
+}
+
+// Single-channel float texture (sampled with texelFetch, so no filtering needed)
+function createGridTexture(gl) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return { texture, width: 0, height: 0 };
+}
+
+function uploadGrid(gl, grid, values, width, height) {
+  const data = values instanceof Float32Array ? values : Float32Array.from(values);
+  gl.bindTexture(gl.TEXTURE_2D, grid.texture);
+  gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+  if (grid.width === width && grid.height === height) {
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RED, gl.FLOAT, data);
+  } else {
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, data);
+    grid.width = width;
+    grid.height = height;
+  }
+}
+
+// depthToColor sampled across 0..DEPTH_COLOR_SCALE, indexed by depth / scale
+function createDepthRampTexture(gl) {
+  const pixels = new Uint8Array(DEPTH_RAMP_STEPS * 4);
+  for (let i = 0; i < DEPTH_RAMP_STEPS; i++) {
+    const depth = (i / (DEPTH_RAMP_STEPS - 1)) * DEPTH_COLOR_SCALE;
+    const { r, g, b } = depthToColor(depth, DEPTH_COLOR_SCALE);
+    pixels.set([r, g, b, 255], i * 4);
+  }
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texImage2D(
+    gl.TEXTURE_2D,
+    0,
+    gl.RGBA8,
+    DEPTH_RAMP_STEPS,
+    1,
+    0,
+    gl.RGBA,
+    gl.UNSIGNED_BYTE,
+    pixels
+  );
+  return texture;
+}
+
+/**
+ * Create the WebGL2 scene renderer for a canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to draw to (its WebGL2 context)
+ * @param {object} options - Renderer options
+ * @param {boolean} options.offscreen - Render into a framebuffer for readPixels (default false)
+ * @returns {object|null} Renderer API, or null when the canvas has no WebGL2
+ *   (throws if a shader fails to compile)
+ */
+export function createWebGLRenderer(canvas, options: Record<string, any> = {}) {
+  const { offscreen = false } = options;
+  const gl = canvas.getContext('webgl2', { antialias: false, premultipliedAlpha: true });
+  if (!gl) return null;
+
+  const mesh = createProgram(gl, MESH_FRAGMENT_SHADER, ['u_clipBottom']);
+  const grid = createProgram(gl, GRID_FRAGMENT_SHADER, [
+    'u_grid',
+    'u_ramp',
+    'u_cells',
+    'u_mode',
+    'u_lowColor',
+    'u_highColor',
+    'u_rampDepth',
+  ]);
+  const foam = createProgram(gl, FOAM_FRAGMENT_SHADER, [
+    'u_grid',
+    'u_extent',
+    'u_count',
+    'u_thresholds',
+    'u_colors',
+    'u_lineWidths',
+  ]);
+
+  const vertexArray = gl.createVertexArray();
+  const vertexBuffer = gl.createBuffer();
+  gl.bindVertexArray(vertexArray);
+  gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, VERTEX_FLOATS * 4, 0);
+  gl.enableVertexAttribArray(1);
+  gl.vertexAttribPointer(1, 4, gl.FLOAT, false, VERTEX_FLOATS * 4, 8);
+
+  const bathymetryTexture = createGridTexture(gl);
+  const energyTexture = createGridTexture(gl);
+  const foamTexture = createGridTexture(gl);
+  const depthRamp = createDepthRampTexture(gl);
+  const colors = {
+    ocean: cssColorToRgba(SCENE_COLORS.ocean),
+    shore: cssColorToRgba(SCENE_COLORS.shore),
+  };
+
+  let vertices = new Float32Array(VERTEX_FLOATS * 6 * 256);
+  let vertexCount = 0;
+  let bathymetryKey = null; // {bathymetry, width, oceanTop, oceanBottom} of the uploaded depths
+  let bathymetryCells = null;
+  let framebuffer = null;
+  let framebufferSize = { width: 0, height: 0 };
+  let renderbuffer = null;
+
+  function pushVertex(x, y, [r, g, b, a]) {
+    if ((vertexCount + 1) * VERTEX_FLOATS > vertices.length) {
+      const grown = new Float32Array(vertices.length * 2);
+      grown.set(vertices);
+      vertices = grown;
+    }
+    vertices.set([x, y, r, g, b, a], vertexCount * VERTEX_FLOATS);
+    vertexCount++;
+  }
+
+  // Axis-aligned quad with a top and a bottom color (vertical gradient)
+  function pushQuad(x, y, width, height, topColor, bottomColor = topColor) {
+    pushVertex(x, y, topColor);
+    pushVertex(x + width, y, topColor);
+    pushVertex(x, y + height, bottomColor);
+    pushVertex(x + width, y, topColor);
+    pushVertex(x + width, y + height, bottomColor);
+    pushVertex(x, y + height, bottomColor);
+  }
+
+  // Draw the queued mesh with the mesh program, clipped at clipBottom
+  function flushMesh(scene, clipBottom) {
+    if (vertexCount === 0) return;
+    gl.useProgram(mesh.program);
+    gl.uniform2f(mesh.locations.u_resolution, scene.width, scene.height);
+    gl.uniform1f(mesh.locations.u_clipBottom, clipBottom);
+    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      vertices.subarray(0, vertexCount * VERTEX_FLOATS),
+      gl.STREAM_DRAW
+    );
+    gl.drawArrays(gl.TRIANGLES, 0, vertexCount);
+    vertexCount = 0;
+  }
+
+  // Full-canvas-width rectangle covered by a fragment-shaded pass
+  function drawRect(scene, y, height) {
+    pushQuad(0, y, scene.width, height, [0, 0, 0, 0]);
+    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      vertices.subarray(0, vertexCount * VERTEX_FLOATS),
+      gl.STREAM_DRAW
+    );
+    gl.drawArrays(gl.TRIANGLES, 0, vertexCount);
+    vertexCount = 0;
+  }
+
+  function bindTarget(width, height) {
+    if (offscreen) {
+      if (!framebuffer) {
+        framebuffer = gl.createFramebuffer();
+        renderbuffer = gl.createRenderbuffer();
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      if (framebufferSize.width !== width || framebufferSize.height !== height) {
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, width, height);
+        gl.framebufferRenderbuffer(
+          gl.FRAMEBUFFER,
+          gl.COLOR_ATTACHMENT0,
+          gl.RENDERBUFFER,
+          renderbuffer
+        );
+        framebufferSize = { width, height };
+      }
+    } else {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    gl.viewport(0, 0, width, height);
+  }
+
+  function drawGridPass(scene, texture, cells, mode, y, height) {
+    gl.useProgram(grid.program);
+    const { locations } = grid;
+    gl.uniform2f(locations.u_resolution, scene.width, scene.height);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+    gl.uniform1i(locations.u_grid, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, depthRamp);
+    gl.uniform1i(locations.u_ramp, 1);
+    gl.uniform4f(locations.u_cells, cells.x, cells.y, cells.width, cells.height);
+    gl.uniform1i(locations.u_mode, mode);
+    gl.uniform3fv(locations.u_lowColor, ENERGY_LOW_COLOR);
+    gl.uniform3fv(locations.u_highColor, ENERGY_HIGH_COLOR);
+    gl.uniform1f(locations.u_rampDepth, DEPTH_COLOR_SCALE);
+    drawRect(scene, y, height);
+  }
+
+  function drawBathymetry(scene) {
+    const { width, oceanTop, oceanBottom, bathymetry } = scene;
+    const key = bathymetryKey;
+    if (
+      !key ||
+      key.bathymetry !== bathymetry ||
+      key.width !== width ||
+      key.oceanTop !== oceanTop ||
+      key.oceanBottom !== oceanBottom
+    ) {
+      const sampled = sampleBathymetryDepths(width, oceanTop, oceanBottom, bathymetry);
+      // Land (negative depth) shows as the shallowest color, as in depthToColor
+      const depths = sampled.depths.map((depth) => Math.max(0, depth));
+      uploadGrid(gl, bathymetryTexture, depths, sampled.cols, sampled.rows);
+      bathymetryCells = { x: 0, y: oceanTop, width: sampled.stepX, height: sampled.stepY };
+      bathymetryKey = { bathymetry, width, oceanTop, oceanBottom };
+    }
+    drawGridPass(scene, bathymetryTexture, bathymetryCells, 0, oceanTop, oceanBottom - oceanTop);
+  }
+
+  function drawEnergyField(scene) {
+    const { energyField, width, oceanTop, oceanBottom } = scene;
+    uploadGrid(gl, energyTexture, energyField.height, energyField.width, energyField.gridHeight);
+    const cells = {
+      x: 0,
+      y: oceanTop,
+      width: width / energyField.width,
+      height: (oceanBottom - oceanTop) / energyField.gridHeight,
+    };
+    drawGridPass(scene, energyTexture, cells, 1, oceanTop, oceanBottom - oceanTop);
+  }
+
+  function drawWaves(scene) {
+    const options = getSceneWaveOptions(scene);
+    const { toggles } = scene;
+    const waves = getWavesInDrawOrder(scene.waves, scene.gameTime, scene.travelDuration, {
+      showSetWaves: toggles.showSetWaves,
+      showBackgroundWaves: toggles.showBackgroundWaves,
+    });
+    for (const wave of waves) {
+      const alpha = getWaveAlpha(wave, options.showBathymetry);
+      const { peak: peakCss, trough: troughCss } = getWaveColors(wave);
+      const peak = cssColorToRgba(peakCss);
+      const trough = cssColorToRgba(troughCss);
+      peak[3] = alpha;
+      trough[3] = alpha;
+      for (const slice of getWaveSlices(wave, options)) {
+        const { x, width, peakY, troughY, nextPeakY } = slice;
+        pushQuad(x, peakY, width, troughY - peakY, peak, trough);
+        pushQuad(x, troughY, width, nextPeakY - troughY, trough, peak);
+        const lip = getBreakerLip(slice);
+        if (lip) {
+          const color = cssColorToRgba(lip.color);
+          color[3] = alpha * lip.alpha;
+          pushQuad(x, lip.y, width, lip.height, color);
+        }
+      }
+    }
+    flushMesh(scene, scene.shoreY);
+  }
+
+  function drawFoam(scene) {
+    const { foamGridWidth: gridW, foamGridHeight: gridH } = scene;
+    const layers = getFoamContourLayers(
+      { transferGrid: scene.transferGridData, foamGrid: scene.foamGridData },
+      scene.toggles
+    );
+    if (layers.length === 0) return;
+
+    gl.useProgram(foam.program);
+    const { locations } = foam;
+    gl.uniform2f(locations.u_resolution, scene.width, scene.height);
+    gl.uniform2f(locations.u_extent, scene.width, scene.oceanBottom);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(locations.u_grid, 0);
+
+    for (const layer of layers) {
+      // Ascending, as the Canvas2D contours are stroked
+      const thresholds = [...layer.thresholds]
+        .sort((a, b) => a.value - b.value)
+        .slice(0, MAX_THRESHOLDS);
+      const blurred =
+        layer.blurPasses > 0 ? boxBlur(layer.data, gridW, gridH, layer.blurPasses) : layer.data;
+      uploadGrid(gl, foamTexture, blurred, gridW, gridH);
+
+      gl.uniform1i(locations.u_count, thresholds.length);
+      gl.uniform1fv(
+        locations.u_thresholds,
+        padded(
+          thresholds.map((t) => t.value),
+          1
+        )
+      );
+      gl.uniform4fv(
+        locations.u_colors,
+        padded(
+          thresholds.flatMap((t) => cssColorToRgba(t.color)),
+          4
+        )
+      );
+      gl.uniform1fv(
+        locations.u_lineWidths,
+        padded(
+          thresholds.map((t) => t.lineWidth),
+          1
+        )
+      );
+      drawRect(scene, 0, scene.oceanBottom);
+    }
+  }
+
+  return {
+    backend: 'webgl2',
+
+    /**
+     * Draw a scene's base layers (same layers and order as drawSceneCanvas2D)
+     * @param {object} scene - Scene from buildScene
+     */
+    draw(scene) {
+      const { width: w, height: h, toggles } = scene;
+      bindTarget(w, h);
+      gl.bindVertexArray(vertexArray);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+      pushQuad(0, 0, w, h, colors.ocean);
+      flushMesh(scene, h);
+
+      if (scene.bathymetry) drawBathymetry(scene);
+      if (toggles.showEnergyField) drawEnergyField(scene);
+
+      pushQuad(0, scene.shoreY, w, h - scene.shoreY, colors.shore);
+      flushMesh(scene, h);
+
+      drawWaves(scene);
+      drawFoam(scene);
+    },
+
+    /**
+     * Pixels of the last drawn scene, top row first (like ImageData)
+     * @returns {Uint8ClampedArray} RGBA bytes
+     */
+    readPixels() {
+      const { width, height } = framebufferSize.width
+        ? framebufferSize
+        : { width: gl.drawingBufferWidth, height: gl.drawingBufferHeight };
+      const flipped = new Uint8Array(width * height * 4);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, flipped);
+      const rowBytes = width * 4;
+      const pixels = new Uint8ClampedArray(flipped.length);
+      for (let row = 0; row < height; row++) {
+        const from = (height - 1 - row) * rowBytes;
+        pixels.set(flipped.subarray(from, from + rowBytes), row * rowBytes);
+      }
+      return pixels;
+    },
+
+    /**
+     * Drop cached uploads (call on resize)
+     */
+    invalidate() {
+      bathymetryKey = null;
+    },
+
+    /**
+     * Release the GPU resources
+     */
+    dispose() {
+      for (const { program } of [mesh, grid, foam]) gl.deleteProgram(program);
+      for (const texture of [bathymetryTexture, energyTexture, foamTexture]) {
+        gl.deleteTexture(texture.texture);
+      }
+      gl.deleteTexture(depthRamp);
+      gl.deleteBuffer(vertexBuffer);
+      gl.deleteVertexArray(vertexArray);
+      if (framebuffer) {
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteRenderbuffer(renderbuffer);
+      }
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// Headless simulation CLI
+//
+// Usage:
+//   npm run sim -- --minutes 10 --seed 42 --format csv --out run.csv
+//   npm run sim -- --bathymetry point --ai-mode EXPERT --set-config '{"lullDuration":20}'
+//   npm run sim -- --bathymetry ./my-heightmap.png --no-ai
+//
+// Options:
+//   --minutes <n>         Simulated minutes (default 1)
+//   --timestep <s>        Fixed timestep in seconds (default 1/60)
+//   --seed <n>            PRNG seed (default 1)
+//   --bathymetry <name>   Preset name, or path to a bathymetry JSON file / PNG heightmap
+//   --set-config <json>   Set/lull overrides as inline JSON or a JSON file path
+//   --tide <json>         Tide overrides ({range, period, phase} or {table: [{time, level}]})
+//   --no-tide             Hold the sea level at mean
+//   --ai-mode <mode>      BEGINNER | INTERMEDIATE | EXPERT
+//   --no-ai               Run without the AI player
+//   --crowd <n>           NPC surfers in the lineup (default 0)
+//   --energy-solver <s>   wave | advect (default wave)
+//   --grid-resolution <r> low | medium | high | ultra (default medium)
+//   --physics <preset>    Physics preset name, or overrides as inline JSON or a JSON file path
+//   --format <json|csv>   Output format (default json)
+//   --out <file>          Write to a file instead of stdout
+//   --verbose             Forward model logging (AI state changes) to stderr
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import { AI_MODE } from '../state/aiPlayerModel.js';
+import { imageDataToBathymetryGrid } from '../state/bathymetryGridModel.js';
+import { DEFAULT_RUN_OPTIONS, runHeadlessSimulation, metricsToCsv } from './headlessRunner.js';
+
+function fail(message) {
+  console.error(`sim: ${message}`);
+  process.exit(1);
+}
+
+// parseArgs throws on unknown options and missing values ("--minutes -1" reads -1 as an option)
+function parseCommandLine() {
+  try {
+    return parseArgs({
+      options: {
+        minutes: { type: 'string' },
+        timestep: { type: 'string' },
+        seed: { type: 'string' },
+        bathymetry: { type: 'string' },
+        'set-config': { type: 'string' },
+        tide: { type: 'string' },
+        'no-tide': { type: 'boolean', default: false },
+        'ai-mode': { type: 'string' },
+        'no-ai': { type: 'boolean', default: false },
+        crowd: { type: 'string' },
+        'energy-solver': { type: 'string' },
+        'grid-resolution': { type: 'string' },
+        physics: { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        out: { type: 'string' },
+        verbose: { type: 'boolean', default: false },
+      },
+    }).values;
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+const values = parseCommandLine();
+
+function parseNumber(name, value, fallback) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) fail(`--${name} must be a number (got "${value}")`);
+  return parsed;
+}
+
+function parsePositive(name, value, fallback) {
+  const parsed = parseNumber(name, value, fallback);
+  if (!(parsed > 0)) fail(`--${name} must be positive (got "${value}")`);
+  return parsed;
+}
+
+// Inline JSON or a path to a JSON file
+function parseJsonOption(name, value) {
+  const text = existsSync(value) ? readFileSync(value, 'utf8') : value;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    fail(`--${name} is neither a JSON file nor valid JSON: ${error.message}`);
+  }
+}
+
+const aiMode = values['ai-mode'] ?? DEFAULT_RUN_OPTIONS.aiMode;
+if (!Object.values(AI_MODE).includes(aiMode)) {
+  fail(`--ai-mode must be one of ${Object.values(AI_MODE).join(', ')} (got "${aiMode}")`);
+}
+
+if (values.format !== 'json' && values.format !== 'csv') {
+  fail(`--format must be json or csv (got "${values.format}")`);
+}
+
+let bathymetry = DEFAULT_RUN_OPTIONS.bathymetry as string | object;
+if (values.bathymetry !== undefined) {
+  if (!existsSync(values.bathymetry)) {
+    bathymetry = values.bathymetry; // preset name
+  } else if (values.bathymetry.toLowerCase().endsWith('.png')) {
+    bathymetry = imageDataToBathymetryGrid(PNG.sync.read(readFileSync(values.bathymetry)));
+  } else {
+    bathymetry = parseJsonOption('bathymetry', values.bathymetry);
+  }
+}
+
+let physics = DEFAULT_RUN_OPTIONS.physics as string | object;
+if (values.physics !== undefined) {
+  const isJson = existsSync(values.physics) || values.physics.trim().startsWith('{');
+  physics = isJson ? parseJsonOption('physics', values.physics) : values.physics; // preset name
+}
+
+const options = {
+  minutes: parsePositive('minutes', values.minutes, DEFAULT_RUN_OPTIONS.minutes),
+  timestep: parseNumber('timestep', values.timestep, DEFAULT_RUN_OPTIONS.timestep),
+  seed: parseNumber('seed', values.seed, DEFAULT_RUN_OPTIONS.seed),
+  bathymetry,
+  setConfig: values['set-config'] ? parseJsonOption('set-config', values['set-config']) : {},
+  tide: values['no-tide'] ? null : values.tide ? parseJsonOption('tide', values.tide) : {},
+  aiMode,
+  ai: !values['no-ai'],
+  crowd: parseNumber('crowd', values.crowd, DEFAULT_RUN_OPTIONS.crowd),
+  energySolver: values['energy-solver'] ?? DEFAULT_RUN_OPTIONS.energySolver,
+  gridResolution: values['grid-resolution'] ?? DEFAULT_RUN_OPTIONS.gridResolution,
+  physics,
+};
+
+// Models log to console.log (AI state changes); keep stdout clean for the metrics
+const log = console.log;
+console.log = values.verbose ? (...args) => console.error(...args) : () => {};
+
+let result;
+try {
+  result = runHeadlessSimulation(options);
+} catch (error) {
+  fail(error.message);
+} finally {
+  console.log = log;
+}
+
+const output =
+  values.format === 'csv'
+    ? metricsToCsv(result.seconds)
+    : JSON.stringify(
+        { options: result.options, summary: result.summary, seconds: result.seconds },
+        null,
+        2
+      ) + '\n';
+
+if (values.out) {
+  writeFileSync(values.out, output);
+  console.error(`sim: wrote ${result.seconds.length} seconds to ${values.out}`);
+} else {
+  process.stdout.write(output);
+}
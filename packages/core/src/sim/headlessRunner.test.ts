@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runHeadlessSimulation,
+  metricsToCsv,
+  measureFoam,
+  resolveBathymetry,
+  FOAM_COVERAGE_THRESHOLD,
+} from './headlessRunner.js';
+import { BATHYMETRY_PRESETS, DEFAULT_BATHYMETRY } from '../state/bathymetryModel.js';
+import { STATE } from '../state/setLullModel.js';
+import { DEFAULT_PHYSICS_CONFIG, PHYSICS_PRESETS } from '../state/physicsConfig.js';
+
+// Quarter of a minute keeps each run around a second
+const SHORT_RUN = { minutes: 0.25 };
+
+describe('headlessRunner', () => {
+  it('emits one metrics row per simulated second', () => {
+    const result = runHeadlessSimulation(SHORT_RUN);
+
+    expect(result.seconds).toHaveLength(15);
+    expect(result.seconds.map((row) => row.second)).toEqual(
+      Array.from({ length: 15 }, (_, i) => i + 1)
+    );
+    expect(result.seconds[14].gameTime).toBeCloseTo(15000, 0);
+    expect(result.summary.seconds).toBe(15);
+  });
+
+  it('is deterministic for a seed', () => {
+    const a = runHeadlessSimulation({ ...SHORT_RUN, seed: 9 });
+    const b = runHeadlessSimulation({ ...SHORT_RUN, seed: 9 });
+
+    expect(b.seconds).toEqual(a.seconds);
+    expect(b.summary).toEqual(a.summary);
+  });
+
+  it('counts spawned waves by type', () => {
+    // Start mid-set so set waves spawn within the short run
+    const result = runHeadlessSimulation({
+      minutes: 0.5,
+      setConfig: { swellPeriod: 3, periodVariation: 0, lullDuration: 1, lullVariation: 0 },
+    });
+    const { summary } = result;
+
+    expect(summary.wavesSpawned).toBeGreaterThan(0);
+    expect(summary.wavesSpawned).toBe(summary.setWaves + summary.backgroundWaves);
+    expect(result.seconds.some((row) => row.setState === STATE.SET)).toBe(true);
+  });
+
+  it('applies set config and bathymetry overrides to the world', () => {
+    const { store } = runHeadlessSimulation({
+      minutes: 1 / 60,
+      bathymetry: 'point',
+      setConfig: { lullDuration: 99 },
+    });
+    const world = store.getState();
+
+    expect(world.bathymetry).toBe(BATHYMETRY_PRESETS.point);
+    expect(world.setConfig.lullDuration).toBe(99);
+    expect(world.setConfig.wavesPerSet).toEqual([4, 8]);
+  });
+
+  it('runs the AI player unless disabled', () => {
+    const withAI = runHeadlessSimulation({ minutes: 1 / 60, aiMode: 'EXPERT' });
+    const withoutAI = runHeadlessSimulation({ minutes: 1 / 60, ai: false });
+
+    expect(withAI.summary.ai.mode).toBe('EXPERT');
+    expect(withAI.seconds[0].aiState).toBeDefined();
+    expect(withoutAI.summary.ai).toBeNull();
+    expect(withoutAI.seconds[0].aiState).toBeNull();
+  });
+
+  it('reports the judged heat', () => {
+    const { seconds, summary } = runHeadlessSimulation({ minutes: 1 / 60 });
+
+    expect(seconds[0].ridesScored).toBe(0);
+    expect(seconds[0].heatTotal).toBe(0);
+    expect(summary.heat).toEqual({ total: 0, counted: [], rides: [] });
+  });
+
+  it('runs an NPC crowd when asked', () => {
+    const { seconds, summary } = runHeadlessSimulation({ minutes: 1 / 60, ai: false, crowd: 3 });
+
+    expect(summary.crowd.map((npc) => npc.mode)).toEqual(['BEGINNER', 'INTERMEDIATE', 'EXPERT']);
+    expect(seconds[0].crowdDropIns).toBe(0);
+    expect(runHeadlessSimulation({ minutes: 1 / 60, ai: false }).summary.crowd).toEqual([]);
+  });
+
+  it('rejects a non-positive timestep', () => {
+    expect(() => runHeadlessSimulation({ timestep: 0 })).toThrow(/timestep/);
+  });
+
+  it('rejects a non-positive length', () => {
+    expect(() => runHeadlessSimulation({ minutes: 0 })).toThrow(/minutes/);
+    expect(() => runHeadlessSimulation({ minutes: -1 })).toThrow(/minutes/);
+  });
+
+  it('reports rip and longshore currents each second', () => {
+    const { seconds } = runHeadlessSimulation({
+      minutes: 0.5,
+      ai: false,
+      bathymetry: 'beach-break',
+      setConfig: { swellDirection: 25, directionSpread: 0 },
+    });
+    const last = seconds[seconds.length - 1];
+
+    expect(last.ripSpeed).toBeGreaterThan(0);
+    expect(last.longshoreCurrent).toBeGreaterThan(0);
+  });
+
+  it('reports the tide level each second', () => {
+    const tidal = runHeadlessSimulation({
+      minutes: 0.1,
+      ai: false,
+      tide: { range: 3, period: 12 },
+    });
+    const slack = runHeadlessSimulation({ minutes: 0.1, ai: false, tide: null });
+
+    const levels = tidal.seconds.map((row) => row.tideLevel);
+    expect(Math.max(...levels) - Math.min(...levels)).toBeGreaterThan(1);
+    expect(slack.seconds.every((row) => row.tideLevel === 0)).toBe(true);
+  });
+
+  it('selects the energy field solver', () => {
+    const { store } = runHeadlessSimulation({ minutes: 1 / 60, energySolver: 'advect' });
+
+    expect(store.getState().toggles.energySolver).toBe('advect');
+    expect(() => runHeadlessSimulation({ energySolver: 'spectral' })).toThrow(/energySolver/);
+  });
+
+  it('sizes the grids by the grid resolution', () => {
+    const { store } = runHeadlessSimulation({ minutes: 1 / 60, gridResolution: 'low' });
+
+    const world = store.getState();
+    expect(world.gridResolution).toBe('low');
+    expect(world.foamGrid.width).toBe(world.energyField.width);
+    expect(world.energyField.height).toHaveLength(40 * 28);
+    expect(() => runHeadlessSimulation({ gridResolution: 'huge' })).toThrow(/grid resolution/);
+  });
+
+  it('runs with a physics preset or parameter overrides', () => {
+    const preset = runHeadlessSimulation({ minutes: 1 / 60, physics: 'stormy' });
+    expect(preset.store.getState().physics).toEqual(PHYSICS_PRESETS.stormy);
+
+    const tuned = runHeadlessSimulation({ minutes: 1 / 60, physics: { foamDecay: 1.5 } });
+    expect(tuned.store.getState().physics).toEqual({ ...DEFAULT_PHYSICS_CONFIG, foamDecay: 1.5 });
+
+    expect(() => runHeadlessSimulation({ physics: 'lumpy' })).toThrow(/Unknown physics preset/);
+    expect(() => runHeadlessSimulation({ physics: { foamDecay: -1 } })).toThrow(/foamDecay/);
+  });
+
+  describe('resolveBathymetry', () => {
+    it('resolves preset names and passes config objects through', () => {
+      const custom = { ...DEFAULT_BATHYMETRY, deepDepth: 40 };
+
+      expect(resolveBathymetry('default')).toBe(DEFAULT_BATHYMETRY);
+      expect(resolveBathymetry(custom)).toBe(custom);
+      expect(() => resolveBathymetry('nope')).toThrow(/Unknown bathymetry preset/);
+    });
+  });
+
+  describe('measureFoam', () => {
+    it('reports coverage above threshold and mean intensity', () => {
+      const data = new Float32Array([0, FOAM_COVERAGE_THRESHOLD + 0.1, 1, 0]);
+      const foam = measureFoam({ data, width: 2, height: 2 });
+
+      expect(foam.coverage).toBe(0.5);
+      expect(foam.mean).toBeCloseTo((FOAM_COVERAGE_THRESHOLD + 1.1) / 4, 5);
+    });
+  });
+
+  describe('metricsToCsv', () => {
+    it('writes a header and blanks for null values', () => {
+      const csv = metricsToCsv([
+        { second: 1, breakX: null, foamCoverage: 0.5 },
+        { second: 2, breakX: 0.25, foamCoverage: 0 },
+      ]);
+
+      expect(csv).toBe('second,breakX,foamCoverage\n1,,0.5\n2,0.25,0\n');
+    });
+
+    it('returns an empty string for no rows', () => {
+      expect(metricsToCsv([])).toBe('');
+    });
+  });
+});
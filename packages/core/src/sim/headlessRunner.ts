@@ -0,0 +1,301 @@
+// Headless Runner - Full game loop without a canvas, for batch experiments
+//
+// Drives stepWorld (the same update path as main.tsx) at a fixed timestep and
+// samples per-second metrics: waves spawned, where waves break, foam coverage,
+// currents, AI stats, the judged heat and the NPC crowd. Used by sim/cli.ts for overnight physics
+// sweeps; everything is seeded, so a row in a sweep can be reproduced exactly from its options.
+
+import {
+  createEventStore,
+  EventType,
+  DEFAULT_SEED,
+  DEFAULT_VIEWPORT,
+} from '../state/eventStore.js';
+import { getBathymetryPreset } from '../state/bathymetryModel.js';
+import { parseBathymetryJson } from '../state/bathymetryGridModel.js';
+import { AI_MODE } from '../state/aiPlayerModel.js';
+import { WAVE_TYPE } from '../state/waveModel.js';
+import { ENERGY_SOLVER } from '../state/energyFieldModel.js';
+import { DEFAULT_GRID_RESOLUTION, getGridResolution } from '../state/gridResolution.js';
+import {
+  createPhysicsConfig,
+  DEFAULT_PHYSICS_PRESET,
+  getPhysicsPreset,
+} from '../state/physicsConfig.js';
+import { measureCurrents } from '../state/currentFieldModel.js';
+import { getCrowdStats } from '../state/crowdModel.js';
+import { stepWorld, initializePlayer } from '../update/index.js';
+import { FIXED_STEP_CONFIG } from '../update/fixedStep.js';
+import { FOAM_THRESHOLDS_BASE } from '../render/foamConfig.js';
+
+export const DEFAULT_RUN_OPTIONS = {
+  minutes: 1, // simulated minutes
+  timestep: FIXED_STEP_CONFIG.stepSeconds, // fixed step in seconds (the live loop's step)
+  seed: DEFAULT_SEED,
+  bathymetry: 'default', // preset name, bathymetry config or JSON heightmap
+  setConfig: {}, // overrides merged over setLullModel DEFAULT_CONFIG
+  tide: {}, // overrides merged over tideModel DEFAULT_TIDE (null = no tide)
+  aiMode: AI_MODE.INTERMEDIATE,
+  ai: true, // run the AI player (otherwise no player at all)
+  crowd: 0, // NPC surfers in the lineup (crowdModel)
+  energySolver: ENERGY_SOLVER.WAVE, // energy field integrator (wave equation or legacy advect)
+  gridResolution: DEFAULT_GRID_RESOLUTION, // GRID_RESOLUTION_PRESETS name sizing the grids
+  physics: DEFAULT_PHYSICS_PRESET as string | object, // PHYSICS_PRESETS name or parameter overrides
+  viewport: DEFAULT_VIEWPORT,
+};
+
+// Transfer (0-1, clipped) above which a foam cell counts as breaking this tick
+export const BREAK_THRESHOLD = 0.1;
+
+// Foam counts toward coverage from the faintest rendered contour up
+export const FOAM_COVERAGE_THRESHOLD = FOAM_THRESHOLDS_BASE[0].value;
+
+const round = (value, digits = 4) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Resolve a bathymetry option into a config object
+ * @param {string|object} bathymetry - Preset name, config object or JSON heightmap
+ *   (2D array or {depths, ...} as read by parseBathymetryJson)
+ * @returns {object} Bathymetry configuration
+ */
+export function resolveBathymetry(bathymetry) {
+  if (typeof bathymetry === 'string') return getBathymetryPreset(bathymetry);
+  if (Array.isArray(bathymetry) || Array.isArray(bathymetry?.depths)) {
+    return parseBathymetryJson(bathymetry);
+  }
+  return bathymetry;
+}
+
+/**
+ * Resolve a physics option into a config
+ * @param {string|object} physics - PHYSICS_PRESETS name or overrides of the default config
+ * @returns {object} Physics config
+ */
+export function resolvePhysics(physics) {
+  return typeof physics === 'string' ? getPhysicsPreset(physics) : createPhysicsConfig(physics);
+}
+
+/**
+ * Measure foam coverage of a grid
+ * @param {object} foamGrid - Foam grid {data, width, height}
+ * @returns {object} {coverage: fraction of cells above threshold, mean: mean intensity}
+ */
+export function measureFoam(foamGrid) {
+  const { data } = foamGrid;
+  let covered = 0;
+  let total = 0;
+  for (let i = 0; i < data.length; i++) {
+    total += data[i];
+    if (data[i] > FOAM_COVERAGE_THRESHOLD) covered++;
+  }
+  return { coverage: covered / data.length, mean: total / data.length };
+}
+
+/**
+ * Accumulate break locations from the last energy transfer frame
+ * @param {object} transferGrid - Energy transfer grid {lastFrame, width, height}
+ * @param {object} acc - Accumulator {cells, weight, x, progress} (mutated)
+ */
+function accumulateBreaks(transferGrid, acc) {
+  const { lastFrame, width, height } = transferGrid;
+  if (!lastFrame) return;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = lastFrame[y * width + x];
+      if (value <= BREAK_THRESHOLD) continue;
+      acc.cells++;
+      acc.weight += value;
+      acc.x += value * ((x + 0.5) / width);
+      acc.progress += value * ((y + 0.5) / height);
+    }
+  }
+}
+
+function createSecondAccumulator() {
+  return {
+    wavesSpawned: 0,
+    setWaves: 0,
+    backgroundWaves: 0,
+    breaks: { cells: 0, weight: 0, x: 0, progress: 0 },
+  };
+}
+
+/**
+ * Build one per-second metrics row from the world and the second's accumulator
+ */
+function buildSecondMetrics(second, world, acc) {
+  const foam = measureFoam(world.foamGrid);
+  const currents = measureCurrents(world.currentField);
+  const { breaks } = acc;
+  const stats = world.aiState?.stats;
+  const crowd = getCrowdStats(world.crowd);
+
+  return {
+    second,
+    gameTime: round(world.gameTime, 1),
+    setState: world.setLullState.setState,
+    tideLevel: round(world.tideLevel, 3),
+    wavesSpawned: acc.wavesSpawned,
+    setWaves: acc.setWaves,
+    backgroundWaves: acc.backgroundWaves,
+    activeWaves: world.waves.length,
+    breakingCells: breaks.cells,
+    breakX: breaks.weight > 0 ? round(breaks.x / breaks.weight) : null,
+    breakProgress: breaks.weight > 0 ? round(breaks.progress / breaks.weight) : null,
+    foamCoverage: round(foam.coverage),
+    foamMean: round(foam.mean),
+    ripSpeed: round(currents.ripSpeed),
+    longshoreCurrent: round(currents.longshore),
+    aiState: world.aiState?.state ?? null,
+    aiWavesCaught: stats?.wavesCaught ?? null,
+    aiWipeouts: stats?.wipeouts ?? null,
+    aiTotalRideTime: stats ? round(stats.totalRideTime, 2) : null,
+    aiLongestRide: stats ? round(stats.longestRide, 2) : null,
+    aiBestScore: stats ? round(stats.bestScore, 2) : null,
+    ridesScored: world.scorecard.rides.length,
+    heatTotal: world.scorecard.total,
+    crowdRiding: crowd.riding,
+    crowdRides: crowd.rides,
+    crowdDropIns: crowd.dropIns,
+  };
+}
+
+/**
+ * Summarize a run from its per-second rows and final world
+ */
+function summarize(seconds, world) {
+  const sum = (key) => seconds.reduce((total, row) => total + row[key], 0);
+  const stats = world.aiState?.stats;
+
+  return {
+    seconds: seconds.length,
+    wavesSpawned: sum('wavesSpawned'),
+    setWaves: sum('setWaves'),
+    backgroundWaves: sum('backgroundWaves'),
+    breakingCells: sum('breakingCells'),
+    meanFoamCoverage: seconds.length > 0 ? round(sum('foamCoverage') / seconds.length) : 0,
+    ai: stats ? { mode: world.aiMode, ...stats } : null,
+    heat: {
+      total: world.scorecard.total,
+      counted: world.scorecard.best.map((index) => world.scorecard.rides[index].score),
+      rides: world.scorecard.rides,
+    },
+    crowd: world.crowd.map((npc) => ({
+      id: npc.id,
+      mode: npc.mode,
+      heatTotal: npc.scorecard.total,
+      rides: npc.scorecard.rides.length,
+      dropIns: npc.dropIns,
+    })),
+  };
+}
+
+/**
+ * Run the full game loop headlessly
+ *
+ * @param {object} options - Overrides for DEFAULT_RUN_OPTIONS
+ * @param {function} onSecond - Optional callback(row) as each second completes (progress output)
+ * @returns {object} {options, seconds: per-second rows, summary, store}
+ */
+export function runHeadlessSimulation(options: Record<string, any> = {}, onSecond = null) {
+  const resolved = { ...DEFAULT_RUN_OPTIONS, ...options };
+  const { minutes, timestep, seed, setConfig, tide, aiMode, ai, crowd, viewport } = resolved;
+  const { energySolver, gridResolution } = resolved;
+  if (!(minutes > 0)) {
+    throw new Error(`minutes must be positive (got ${minutes})`);
+  }
+  if (!(timestep > 0)) {
+    throw new Error(`timestep must be positive (got ${timestep})`);
+  }
+  if (!Object.values(ENERGY_SOLVER).includes(energySolver)) {
+    throw new Error(
+      `energySolver must be one of ${Object.values(ENERGY_SOLVER).join(', ')} (got ${energySolver})`
+    );
+  }
+  getGridResolution(gridResolution); // throws on an unknown preset
+
+  const store = createEventStore();
+  store.dispatch({
+    type: EventType.GAME_INIT,
+    seed,
+    setConfig,
+    tide,
+    bathymetry: resolveBathymetry(resolved.bathymetry),
+    bathymetryPreset: typeof resolved.bathymetry === 'string' ? resolved.bathymetry : 'custom',
+    gridResolution,
+    physics: resolvePhysics(resolved.physics),
+  });
+  store.dispatch({
+    type: EventType.VIEWPORT_RESIZE,
+    width: viewport.width,
+    height: viewport.height,
+  });
+  store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'energySolver', value: energySolver });
+  store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'crowdSize', value: crowd });
+
+  if (ai) {
+    const world = store.getState();
+    store.dispatch({ type: EventType.AI_UPDATE, aiMode });
+    store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+    store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showAIPlayer', value: true });
+    store.dispatch({
+      type: EventType.PLAYER_INIT,
+      playerProxy: initializePlayer(viewport.width, viewport.height, world.shoreHeight),
+    });
+  }
+
+  let acc = createSecondAccumulator();
+  const unsubscribe = store.subscribe((_state, event) => {
+    if (event.type !== EventType.WAVE_SPAWN) return;
+    acc.wavesSpawned++;
+    if (event.waveType === WAVE_TYPE.SET) acc.setWaves++;
+    else acc.backgroundWaves++;
+  });
+
+  const seconds = [];
+  const totalSteps = Math.round((minutes * 60) / timestep);
+  let nextSecond = 1;
+  let world = store.getState();
+
+  for (let step = 0; step < totalSteps; step++) {
+    world = stepWorld(store, timestep);
+    accumulateBreaks(world.energyTransferGrid, acc.breaks);
+
+    // The loop runs for hours; only the live state is needed
+    store.clearHistory();
+
+    if (world.gameTime >= nextSecond * 1000 - 1e-6) {
+      const row = buildSecondMetrics(nextSecond, world, acc);
+      seconds.push(row);
+      if (onSecond) onSecond(row);
+      acc = createSecondAccumulator();
+      nextSecond++;
+    }
+  }
+
+  unsubscribe();
+
+  return {
+    options: resolved,
+    seconds,
+    summary: summarize(seconds, world),
+    store,
+  };
+}
+
+/**
+ * Convert per-second metric rows to CSV
+ * @param {Array} rows - Rows from runHeadlessSimulation().seconds
+ * @returns {string} CSV text with a header row
+ */
+export function metricsToCsv(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => (row[column] === null ? '' : row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
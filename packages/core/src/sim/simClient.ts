@@ -0,0 +1,144 @@
+// Sim Client - Main-thread side of the simulation worker
+//
+// Sends input and UI events to the worker (sim/simWorker.ts) and keeps the
+// world from its latest SNAPSHOT for drawing. Only one FRAME is in flight at a
+// time: frame time that passes while the worker is busy is added to the next
+// FRAME, so a slow simulation shows up as a late frame, not a growing queue.
+
+import { SIM_MESSAGE } from './simProtocol.js';
+
+/**
+ * Create the client for a simulation worker
+ * @param {object} worker - Worker (or createInlineSimWorker) running simWorker.ts
+ * @param {object} options - Client options
+ * @param {function} options.onSnapshot - Called with (snapshot, world) as each snapshot arrives
+ * @returns {object} Client API
+ */
+export function createSimClient(worker, options: Record<string, any> = {}) {
+  const { onSnapshot = null } = options;
+
+  let snapshot = null; // latest SNAPSHOT message
+  let world = null; // latest exact world (stable parts carried over between snapshots)
+  let frameInFlight = null; // resolves the FRAME awaiting its snapshot
+  let pendingSeconds = 0; // frame time not yet sent
+  let returned = []; // grid buffers of replaced snapshots, handed back with the next FRAME
+  let nextRequestId = 1;
+  const requests = new Map(); // id -> {resolve, reject}
+
+  function receiveSnapshot(message) {
+    if (snapshot) returned.push(...snapshot.buffers);
+    snapshot = message;
+    world = { ...world, ...message.world };
+    onSnapshot?.(message, world);
+
+    const resolve = frameInFlight;
+    frameInFlight = null;
+    resolve?.(message);
+  }
+
+  function receiveReply({ id, result, error }) {
+    const request = requests.get(id);
+    if (!request) return;
+    requests.delete(id);
+    if (error !== undefined) request.reject(new Error(error));
+    else request.resolve(result);
+  }
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === SIM_MESSAGE.SNAPSHOT) receiveSnapshot(data);
+    else if (data.type === SIM_MESSAGE.REPLY) receiveReply(data);
+  };
+
+  return {
+    /**
+     * Post a message to the worker
+     * @param {object} message - SIM_MESSAGE message
+     * @param {Array<ArrayBuffer>} transfer - Buffers to transfer with it
+     */
+    send(message, transfer = []) {
+      worker.postMessage(message, transfer);
+    },
+
+    /**
+     * Dispatch events into the worker's store, in order
+     * @param {...object} events - Store events
+     */
+    dispatch(...events) {
+      worker.postMessage({ type: SIM_MESSAGE.DISPATCH, events });
+    },
+
+    /**
+     * Post a request and wait for its reply
+     * @param {object} message - SIM_MESSAGE request (the id is added here)
+     * @param {Array<ArrayBuffer>} transfer - Buffers to transfer with it
+     * @returns {Promise<any>} Reply result (rejects with the worker's error)
+     */
+    request(message, transfer = []) {
+      const id = nextRequestId++;
+      return new Promise<any>((resolve, reject) => {
+        requests.set(id, { resolve, reject });
+        worker.postMessage({ ...message, id }, transfer);
+      });
+    },
+
+    /**
+     * Ask the worker to simulate a rendered frame
+     * @param {number} frameSeconds - Real time since the last frame
+     * @param {object} keys - Player input {left, right, up, down}
+     * @returns {Promise<object>|null} Resolves with the frame's snapshot, or null when
+     *   a frame is still in flight (its time is carried into the next one)
+     */
+    frame(frameSeconds, keys) {
+      pendingSeconds += frameSeconds;
+      if (frameInFlight) return null;
+
+      const buffers = returned;
+      returned = [];
+      const arrived = new Promise((resolve) => {
+        frameInFlight = resolve;
+      });
+      worker.postMessage(
+        { type: SIM_MESSAGE.FRAME, frameSeconds: pendingSeconds, keys, returned: buffers },
+        buffers
+      );
+      pendingSeconds = 0;
+      return arrived;
+    },
+
+    /**
+     * Drop frame time not yet simulated, here and in the worker (tab restore)
+     */
+    resetTiming() {
+      pendingSeconds = 0;
+      worker.postMessage({ type: SIM_MESSAGE.RESET_TIMING });
+    },
+
+    /**
+     * Latest exact world (for saves and the debug panel); null before the first snapshot
+     */
+    getWorld() {
+      return world;
+    },
+
+    /**
+     * Latest world to draw: the exact world with positions blended between steps
+     */
+    getView() {
+      return snapshot?.view ? { ...world, ...snapshot.view } : world;
+    },
+
+    /**
+     * Latest snapshot message ({paused, timeline, eventLog, autosave, ...}), or null
+     */
+    getSnapshot() {
+      return snapshot;
+    },
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+      worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// Sim Protocol - Messages between the main thread and the simulation worker
+//
+// Kept apart from simWorker.ts so the main thread can speak the protocol
+// without bundling the simulation. Messages carrying an `id` are requests: the
+// worker answers each with a REPLY holding the same id and a result or error.
+
+export const SIM_MESSAGE = {
+  // Main thread -> worker
+  DISPATCH: 'dispatch', // {events} - dispatched in order (toggles, resize, presets...)
+  FRAME: 'frame', // {frameSeconds, keys, returned} - run the frame's steps, post a SNAPSHOT
+  RESET_TIMING: 'resetTiming', // drop accumulated frame time (tab restore)
+  ENSURE_PLAYER: 'ensurePlayer', // spawn the player proxy if it is shown but missing
+  PLAYER_CONFIG: 'playerConfig', // {key, value} - PLAYER_PROXY_CONFIG tuning
+  TIMELINE: 'timeline', // {action, frame?, direction?, seconds?} - TIMELINE_ACTION
+  RESTORE_SAVE: 'restoreSave', // {id, text} - restore a save slot's stored text
+  EXPORT_LOG: 'exportLog', // {id} - reply with the gzipped event log bytes
+  IMPORT_LOG: 'importLog', // {id, bytes} - replace the world with an exported log
+
+  // Worker -> main thread
+  SNAPSHOT: 'snapshot', // render snapshot, one per FRAME
+  REPLY: 'reply', // {id, result} or {id, error}
+};
+
+export const TIMELINE_ACTION = {
+  PAUSE: 'pause', // pause on the latest frame, or resume from the viewed one
+  SEEK: 'seek', // {frame}
+  STEP: 'step', // {direction} - one frame back (-1) or forward (+1)
+  SEEK_TIME: 'seekTime', // {seconds} - game time
+  BOOKMARK: 'bookmark', // bookmark the viewed frame
+  BOOKMARK_JUMP: 'bookmarkJump', // {direction} - previous/next bookmark
+};
+
+// World keys that are large and rarely replaced (never mutated in place): a
+// snapshot only carries them when the reference changed, so the main thread
+// keeps the same object (and its render caches) between frames
+export const STABLE_WORLD_KEYS = ['bathymetry', 'tide', 'setConfig', 'backgroundConfig'];
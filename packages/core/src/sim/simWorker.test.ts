@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createInlineSimWorker } from './simWorker.js';
+import { createSimClient } from './simClient.js';
+import { SIM_MESSAGE, TIMELINE_ACTION } from './simProtocol.js';
+import { createEventStore, EventType } from '../state/eventStore.js';
+import { BATHYMETRY_PRESETS } from '../state/bathymetryModel.js';
+import { saveGameState, readSaveText } from '../state/gamePersistence.js';
+import { stepWorld } from '../update/index.js';
+import { FIXED_STEP_CONFIG } from '../update/fixedStep.js';
+
+const STEP = FIXED_STEP_CONFIG.stepSeconds;
+const SEED = 17;
+
+// Run frames of exactly one step each, waiting for every snapshot
+async function runFrames(sim, count, keys = {}) {
+  let snapshot = null;
+  for (let i = 0; i < count; i++) {
+    snapshot = await sim.frame(STEP, keys);
+  }
+  return snapshot;
+}
+
+describe('simWorker', () => {
+  let sim;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    sim = createSimClient(createInlineSimWorker());
+    sim.dispatch({ type: EventType.GAME_INIT, seed: SEED });
+  });
+
+  afterEach(() => {
+    sim.terminate();
+  });
+
+  it('steps the same world as stepWorld on the main thread', async () => {
+    await runFrames(sim, 20);
+
+    const store = createEventStore();
+    store.dispatch({ type: EventType.GAME_INIT, seed: SEED });
+    for (let i = 0; i < 20; i++) stepWorld(store, STEP);
+    const expected = store.getState();
+
+    const world = sim.getWorld();
+    expect(world.gameTime).toBe(expected.gameTime);
+    expect(world.waves).toEqual(expected.waves);
+    // (Compared as plain arrays: cloned typed arrays come from another realm here)
+    expect(Array.from(world.energyField.height)).toEqual(Array.from(expected.energyField.height));
+    expect(Array.from(world.foamGrid.data)).toEqual(Array.from(expected.foamGrid.data));
+  });
+
+  it('transfers grids and takes them back once replaced', async () => {
+    const first = await runFrames(sim, 1);
+    expect(first.buffers.length).toBeGreaterThan(0);
+    expect(first.buffers[0].byteLength).toBeGreaterThan(0);
+
+    // Once a newer snapshot replaces it, the next FRAME hands its buffers back
+    await runFrames(sim, 2);
+    expect(first.buffers.every((buffer) => buffer.byteLength === 0)).toBe(true);
+    expect(sim.getWorld().energyField.height.length).toBeGreaterThan(0);
+  });
+
+  it('sends stable parts only when they are replaced', async () => {
+    const first = await runFrames(sim, 1);
+    const bathymetry = sim.getWorld().bathymetry;
+    expect(first.world.bathymetry).toBeDefined();
+
+    const second = await runFrames(sim, 1);
+    expect('bathymetry' in second.world).toBe(false);
+    expect(sim.getWorld().bathymetry).toBe(bathymetry);
+
+    sim.dispatch({
+      type: EventType.BATHYMETRY_SET,
+      bathymetry: BATHYMETRY_PRESETS.point,
+      preset: 'point',
+    });
+    await runFrames(sim, 1);
+    expect(sim.getWorld().bathymetryPreset).toBe('point');
+    expect(sim.getWorld().bathymetry).toEqual(BATHYMETRY_PRESETS.point);
+  });
+
+  it('carries frame time into the next frame while one is in flight', async () => {
+    const pending = sim.frame(STEP, {});
+    expect(sim.frame(STEP, {})).toBeNull();
+    await pending;
+
+    await sim.frame(0, {});
+    expect(sim.getWorld().gameTime).toBeCloseTo(2 * STEP * 1000);
+  });
+
+  it('spawns the player when it is shown', async () => {
+    sim.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+    sim.send({ type: SIM_MESSAGE.ENSURE_PLAYER });
+    await runFrames(sim, 1, { up: true });
+
+    expect(sim.getWorld().playerProxy).not.toBeNull();
+  });
+
+  it('restores a save slot read on the main thread', async () => {
+    await runFrames(sim, 10);
+    saveGameState(sim.getWorld(), { timeScale: 2 }, 'checkpoint');
+    const savedTime = sim.getWorld().gameTime;
+    await runFrames(sim, 10);
+
+    const result = await sim.request({
+      type: SIM_MESSAGE.RESTORE_SAVE,
+      text: readSaveText('checkpoint'),
+    });
+    expect(result).toMatchObject({ loaded: true, timeScale: 2, rejected: [] });
+    expect(result.world).toBeUndefined();
+
+    await sim.frame(0, {});
+    expect(sim.getWorld().gameTime).toBe(savedTime);
+    expect(sim.getWorld().timeScale).toBe(2);
+    expect(sim.getSnapshot().timeline).toBeNull();
+  });
+
+  it('pauses and seeks on the timeline', async () => {
+    await runFrames(sim, 10);
+    const liveTime = sim.getWorld().gameTime;
+
+    sim.send({ type: SIM_MESSAGE.TIMELINE, action: TIMELINE_ACTION.PAUSE });
+    const paused = await runFrames(sim, 3);
+    expect(paused.paused).toBe(true);
+    expect(sim.getWorld().gameTime).toBe(liveTime);
+
+    sim.send({ type: SIM_MESSAGE.TIMELINE, action: TIMELINE_ACTION.SEEK, frame: 0 });
+    const seeked = await runFrames(sim, 1);
+    expect(seeked.timeline.frame).toBe(0);
+    expect(sim.getWorld().gameTime).toBe(seeked.timeline.gameTime);
+  });
+
+  it('round-trips the event log and rejects unreadable ones', async () => {
+    await runFrames(sim, 10);
+    const liveTime = sim.getWorld().gameTime;
+    const { bytes, seed } = await sim.request({ type: SIM_MESSAGE.EXPORT_LOG });
+    expect(seed).toBe(SEED);
+
+    await runFrames(sim, 5);
+    await sim.request({ type: SIM_MESSAGE.IMPORT_LOG, bytes }, [bytes.buffer]);
+    await sim.frame(0, {});
+    expect(sim.getWorld().gameTime).toBe(liveTime);
+
+    const garbage = new TextEncoder().encode('not a log');
+    await expect(sim.request({ type: SIM_MESSAGE.IMPORT_LOG, bytes: garbage })).rejects.toThrow();
+  });
+});
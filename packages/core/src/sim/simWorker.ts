@@ -0,0 +1,354 @@
+// Sim Worker - Runs the world simulation off the main thread
+//
+// The worker owns the event store, the fixed-step scheduler (update/fixedStep.ts)
+// and the time-travel timeline; the main thread (sim/simClient.ts) sends input
+// and UI events and draws the SNAPSHOT posted back after each FRAME. Grids in a
+// snapshot (energy field, foam, energy transfer, currents) are copied into pooled
+// buffers and transferred rather than cloned; the main thread hands each set back
+// with a later FRAME once a newer snapshot has replaced it, so steady play
+// allocates no new grid buffers.
+//
+// Loaded as a module worker it serves its own message port. Imported anywhere
+// else (tests, Node) it only exports the host, and createInlineSimWorker runs
+// that same host in-process behind the Worker interface.
+
+import { SIM_MESSAGE, TIMELINE_ACTION, STABLE_WORLD_KEYS } from './simProtocol.js';
+import { createEventStore, EventType } from '../state/eventStore.js';
+import '../state/backgroundWaveModel.js'; // Needed by eventStore
+import { EVENT_LOG_CONFIG, exportEventLog, importEventLog } from '../state/eventLog.js';
+import { restoreSaveText, shouldAutoSave } from '../state/gamePersistence.js';
+import { PLAYER_PROXY_CONFIG } from '../state/playerProxyModel.js';
+import { createSurfer } from '../state/surferModel.js';
+import { getOceanBounds } from '../render/coordinates.js';
+import { stepWorld, replayWorld } from '../update/index.js';
+import { createFixedStepper, interpolateWorld } from '../update/fixedStep.js';
+import { createTimeline } from '../update/timeline.js';
+
+const isTypedArray = (value) => ArrayBuffer.isView(value) && !(value instanceof DataView);
+
+/**
+ * Create the simulation host (the worker's side of the protocol)
+ * @param {function} post - Called with (message, transfer) for each outgoing message
+ * @param {object} options - Host options
+ * @param {object} options.store - Event store to simulate (default: a new one)
+ * @returns {object} Host with handle() for incoming messages
+ */
+export function createSimHost(post, options: Record<string, any> = {}) {
+  const store = options.store ?? createEventStore();
+  const stepper = createFixedStepper();
+  const timeline = createTimeline();
+
+  let previousWorld = null; // world before the latest step, for interpolation
+  let timeTravel = null; // {frame, world} while paused on the timeline
+
+  const pool = new Map(); // byteLength -> ArrayBuffer[] handed back by the main thread
+  const sentStable = new Map(); // STABLE_WORLD_KEYS value last posted, by key
+
+  function takeBuffer(byteLength) {
+    return pool.get(byteLength)?.pop() ?? new ArrayBuffer(byteLength);
+  }
+
+  function recycle(buffers) {
+    for (const buffer of buffers) {
+      if (buffer.byteLength === 0) continue; // detached
+      if (!pool.has(buffer.byteLength)) pool.set(buffer.byteLength, []);
+      pool.get(buffer.byteLength).push(buffer);
+    }
+  }
+
+  // A world part with its typed arrays copied into pooled buffers for transfer
+  function packPart(value, transfer) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    let packed = value;
+    for (const [key, field] of Object.entries(value) as [string, any][]) {
+      if (!isTypedArray(field)) continue;
+      const copy = new (field.constructor as any)(takeBuffer(field.byteLength));
+      copy.set(field);
+      transfer.push(copy.buffer);
+      if (packed === value) packed = { ...value };
+      packed[key] = copy;
+    }
+    return packed;
+  }
+
+  // Snapshot world: stable parts only when replaced, grids as transferable copies
+  function packWorld(world, transfer) {
+    const packed = {};
+    for (const [key, value] of Object.entries(world)) {
+      if (STABLE_WORLD_KEYS.includes(key)) {
+        if (sentStable.has(key) && sentStable.get(key) === value) continue;
+        sentStable.set(key, value);
+        packed[key] = value;
+      } else {
+        packed[key] = packPart(value, transfer);
+      }
+    }
+    return packed;
+  }
+
+  function resetTiming() {
+    stepper.reset();
+    previousWorld = null;
+  }
+
+  // The live world was replaced (load, log import): its recorded past no longer applies
+  function clearTimeline() {
+    timeline.clear();
+    timeTravel = null;
+    resetTiming();
+  }
+
+  // Timeline props for the debug panel (bookmarks only while paused)
+  function getTimelineProps() {
+    const range = timeline.getRange();
+    if (!range) return null;
+    const frame = timeTravel?.frame ?? range.last;
+    return {
+      ...range,
+      paused: timeTravel !== null,
+      frame,
+      gameTime: timeline.getFrame(frame).gameTime,
+      bookmarks: timeTravel ? timeline.getBookmarks() : [],
+    };
+  }
+
+  function runFrame({ frameSeconds, keys, returned = [] }) {
+    recycle(returned);
+
+    let world;
+    let view = null;
+    let autosave = false;
+    if (timeTravel) {
+      // Paused on the timeline: show the rebuilt past world instead of stepping
+      world = timeTravel.world;
+    } else {
+      // Fixed-size steps: the time scale runs more of them, never a larger dt.
+      // stepWorld draws all randomness from the seeded world.random, so the
+      // event log replays to the same world via replayWorld().
+      stepper.advance(frameSeconds, store.getState().timeScale, (stepSeconds) => {
+        previousWorld = store.getState();
+        const next = stepWorld(store, stepSeconds, keys);
+        timeline.record(store);
+        if (shouldAutoSave(next.gameTime, previousWorld.gameTime)) autosave = true;
+      });
+      world = store.getState();
+
+      // Drawn between the last two steps; only the blended parts are sent twice
+      const blended = interpolateWorld(previousWorld, world, stepper.getAlpha());
+      if (blended !== world) {
+        view = {
+          gameTime: blended.gameTime,
+          playerProxy: blended.playerProxy,
+          crowd: blended.crowd,
+        };
+      }
+    }
+
+    const transfer = [];
+    post(
+      {
+        type: SIM_MESSAGE.SNAPSHOT,
+        world: packWorld(world, transfer),
+        view,
+        autosave,
+        paused: timeTravel !== null,
+        timeline: getTimelineProps(),
+        eventLog: {
+          retained: store.getEventCount() - store.getFirstEventIndex(),
+          total: store.getEventCount(),
+          retention: EVENT_LOG_CONFIG.retention,
+        },
+        buffers: transfer,
+      },
+      transfer
+    );
+  }
+
+  // Initialize the player proxy when it is shown but missing (first enable, fresh session)
+  function ensurePlayer() {
+    const world = store.getState();
+    if (!world.toggles.showPlayer || world.playerProxy) return;
+    const { shoreY } = getOceanBounds(world.viewport.height, world.shoreHeight, world.tideLevel);
+    store.dispatch({
+      type: EventType.PLAYER_INIT,
+      playerProxy: createSurfer(world.viewport.width, shoreY),
+    });
+  }
+
+  function seek(frame) {
+    if (!timeTravel) pauseOrResume();
+    const range = timeline.getRange();
+    if (!timeTravel || !range) return;
+    const target = Math.max(range.first, Math.min(range.last, frame));
+    timeTravel = { frame: target, world: timeline.seek(store, target) };
+  }
+
+  function pauseOrResume() {
+    if (timeTravel) {
+      // Resuming from a past frame discards everything after it
+      timeline.resume(store);
+      timeTravel = null;
+      resetTiming();
+      return;
+    }
+    const range = timeline.getRange();
+    if (range) {
+      timeTravel = { frame: range.last, world: store.getState() };
+    }
+  }
+
+  const currentFrame = () => timeTravel?.frame ?? timeline.getRange()?.last;
+
+  const timelineActions = {
+    [TIMELINE_ACTION.PAUSE]: pauseOrResume,
+    [TIMELINE_ACTION.SEEK]: ({ frame }) => seek(frame),
+    [TIMELINE_ACTION.STEP]: ({ direction }) => seek((currentFrame() ?? 0) + direction),
+    [TIMELINE_ACTION.SEEK_TIME]: ({ seconds }) => {
+      const frame = timeline.frameAtTime(seconds * 1000);
+      if (frame !== null) seek(frame);
+    },
+    [TIMELINE_ACTION.BOOKMARK]: () => {
+      const frame = currentFrame();
+      if (frame !== undefined) timeline.addBookmark(frame);
+    },
+    [TIMELINE_ACTION.BOOKMARK_JUMP]: ({ direction }) => {
+      const bookmark = timeline.findBookmark(currentFrame() ?? 0, direction);
+      if (bookmark) seek(bookmark.frame);
+    },
+  };
+
+  // Handlers by message type; requests (messages with an id) return their reply
+  const handlers = {
+    [SIM_MESSAGE.DISPATCH]: ({ events }) => {
+      for (const event of events) store.dispatch(event);
+    },
+    [SIM_MESSAGE.FRAME]: runFrame,
+    [SIM_MESSAGE.RESET_TIMING]: resetTiming,
+    [SIM_MESSAGE.ENSURE_PLAYER]: ensurePlayer,
+    [SIM_MESSAGE.PLAYER_CONFIG]: ({ key, value }) => {
+      PLAYER_PROXY_CONFIG[key] = value;
+    },
+    [SIM_MESSAGE.TIMELINE]: (message) => {
+      const action = timelineActions[message.action];
+      if (!action) throw new Error(`Unknown timeline action ${message.action}`);
+      action(message);
+    },
+
+    // Save text read from localStorage on the main thread; the report comes back
+    [SIM_MESSAGE.RESTORE_SAVE]: ({ text }) => {
+      const { world, ...report } = restoreSaveText(store.getState(), text);
+      if (report.loaded) {
+        store.restore(world, [], { baseline: structuredClone(world) });
+        if (report.timeScale) {
+          store.dispatch({ type: EventType.TIME_SCALE_CHANGE, timeScale: report.timeScale });
+        }
+        clearTimeline();
+      }
+      return report;
+    },
+
+    // The retained history as gzipped JSON lines (a shareable bug capture)
+    [SIM_MESSAGE.EXPORT_LOG]: async (_message, transfer) => {
+      const world = store.getState();
+      const bytes = await exportEventLog(store.getReplayLog(), {
+        seed: world.seed,
+        gameTime: world.gameTime,
+      });
+      transfer.push(bytes.buffer);
+      return { bytes, seed: world.seed, gameTime: world.gameTime };
+    },
+
+    // Re-simulated bit-identically, from GAME_INIT or (a capture cut by
+    // retention) from the checkpoint it starts at
+    [SIM_MESSAGE.IMPORT_LOG]: async ({ bytes }) => {
+      const { events, baseline } = await importEventLog(bytes);
+      if (baseline) {
+        store.restore(baseline, [], { baseline: structuredClone(baseline) });
+      } else {
+        store.reset();
+      }
+      replayWorld(events, store);
+      clearTimeline();
+      return { eventCount: events.length };
+    },
+  };
+
+  return {
+    /**
+     * Handle one message from the main thread
+     * @param {object} message - SIM_MESSAGE message
+     */
+    handle(message) {
+      const handler = handlers[message.type];
+      if (!handler) throw new Error(`Unknown sim message ${message.type}`);
+      if (message.id === undefined) {
+        handler(message, []);
+        return;
+      }
+
+      const transfer = [];
+      const reply = (fields, replyTransfer = []) =>
+        post({ type: SIM_MESSAGE.REPLY, id: message.id, ...fields }, replyTransfer);
+      let result;
+      try {
+        result = handler(message, transfer);
+      } catch (e) {
+        reply({ error: e.message });
+        return;
+      }
+      Promise.resolve(result).then(
+        (value) => reply({ result: value }, transfer),
+        (e) => reply({ error: e.message })
+      );
+    },
+
+    /**
+     * The simulated store (for tests; the main thread only sees snapshots)
+     */
+    getStore() {
+      return store;
+    },
+  };
+}
+
+/**
+ * The sim host behind the Worker interface, run in-process
+ *
+ * For headless tests and Node, where there is no module worker. Messages are
+ * structured-cloned with their transfer lists and delivered on a later task, as
+ * between threads, so transferred buffers are detached just as they would be.
+ *
+ * @param {object} options - createSimHost options
+ * @returns {object} Worker-like {postMessage, onmessage, terminate}
+ */
+export function createInlineSimWorker(options: Record<string, any> = {}) {
+  let terminated = false;
+  const deliver = (receive, message, transfer = []) => {
+    const copy = structuredClone(message, { transfer });
+    setTimeout(() => {
+      if (!terminated) receive(copy);
+    }, 0);
+  };
+
+  const worker = {
+    onmessage: null,
+    postMessage(message, transfer = []) {
+      deliver((data) => host.handle(data), message, transfer);
+    },
+    terminate() {
+      terminated = true;
+    },
+  };
+  const host = createSimHost(
+    (message, transfer) => deliver((data) => worker.onmessage?.({ data }), message, transfer),
+    options
+  );
+  return worker;
+}
+
+// Module worker entry: serve the main thread
+const scope = globalThis as any;
+if (typeof scope.WorkerGlobalScope !== 'undefined' && scope instanceof scope.WorkerGlobalScope) {
+  const host = createSimHost((message, transfer) => scope.postMessage(message, transfer));
+  scope.onmessage = (e) => host.handle(e.data);
+}
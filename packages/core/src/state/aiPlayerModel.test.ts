@@ -4,6 +4,8 @@ import { describe, it, expect } from 'vitest';
 import { createAIState, updateAIPlayer, AI_STATE, AI_MODE } from './aiPlayerModel.js';
 import { DEFAULT_BATHYMETRY } from './bathymetryModel.js';
 import { createFoamGrids } from './foamGridModel.js';
+import { createEnergyField } from './energyFieldModel.js';
+import { SURFER_STATE, SURFER_CONFIG, createSurfer } from './surferModel.js';
 
 // Use real bathymetry config - same as the game
 function createMockWorld(overrides = {}) {
@@ -91,6 +93,26 @@ describe('AI Player Model', () => {
       expect(input.left).toBe(true);
     });
 
+    it('patrols its own lineup spot beside the peak (crowd NPCs)', () => {
+      const aiState = { ...createAIState(AI_MODE.EXPERT), lineupOffset: 0.2, lineupProgress: 0 };
+      const player = createMockPlayer(PEAK_X, EXPERT_CENTER_Y); // On the peak, left of the spot
+      const world = createMockWorld();
+
+      const input = updateAIPlayer(
+        player,
+        aiState,
+        world,
+        0.016,
+        CANVAS_WIDTH,
+        CANVAS_HEIGHT,
+        OCEAN_TOP,
+        OCEAN_BOTTOM,
+        TRAVEL_DURATION
+      );
+
+      expect(input.right).toBe(true);
+    });
+
     it('moves toward target zone when too far out (toward horizon)', () => {
       const aiState = createAIState(AI_MODE.EXPERT);
       const player = createMockPlayer(PEAK_X, 100); // At peak X, but too far from shore
@@ -254,6 +276,120 @@ describe('AI Player Model', () => {
     });
   });
 
+  describe('with a surfer', () => {
+    // Energy field with a uniform face slope (water falls off toward shore)
+    function steepField(slope) {
+      const field = createEnergyField();
+      for (let y = 0; y < field.gridHeight; y++) {
+        const progress = y / (field.gridHeight - 1);
+        for (let x = 0; x < field.width; x++) {
+          field.height[y * field.width + x] = slope * (1 - progress);
+        }
+      }
+      return field;
+    }
+
+    function createMockSurfer(x, y, state) {
+      return { ...createSurfer(CANVAS_WIDTH, OCEAN_BOTTOM), x, y, state };
+    }
+
+    const update = (player, aiState, world) =>
+      updateAIPlayer(
+        player,
+        aiState,
+        world,
+        0.016,
+        CANVAS_WIDTH,
+        CANVAS_HEIGHT,
+        OCEAN_TOP,
+        OCEAN_BOTTOM,
+        TRAVEL_DURATION,
+        () => 0 // would always wipe out a bare proxy
+      );
+
+    it('paddles for a steep face instead of rolling a catch', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      const player = createMockSurfer(PEAK_X, 300, SURFER_STATE.PADDLING);
+      const world = createMockWorld({ energyField: steepField(SURFER_CONFIG.takeoffSlope * 2) });
+
+      const input = update(player, aiState, world);
+
+      expect(input.down).toBe(true);
+      expect(aiState.state).toBe(AI_STATE.SEEKING);
+      expect(aiState.stats.wipeouts).toBe(0);
+    });
+
+    it('does not catch from foam alone', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      const world = createMockWorld({ energyField: createEnergyField() });
+      world.foamGrid.data.fill(1);
+
+      update(createMockSurfer(PEAK_X, 300, SURFER_STATE.PADDLING), aiState, world);
+
+      expect(aiState.state).toBe(AI_STATE.SEEKING);
+      expect(aiState.stats.wavesCaught).toBe(0);
+    });
+
+    it('starts riding once the board takes off', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      const world = createMockWorld({ energyField: createEnergyField() });
+
+      update(createMockSurfer(PEAK_X + 50, 300, SURFER_STATE.TAKEOFF), aiState, world);
+
+      expect(aiState.state).toBe(AI_STATE.RIDING);
+      expect(aiState.stats.wavesCaught).toBe(1);
+      expect(aiState.rideDirection).toBe(1);
+    });
+
+    it('trims toward the ride direction without stalling', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      aiState.state = AI_STATE.RIDING;
+      aiState.rideDirection = -1;
+      const world = createMockWorld({ energyField: createEnergyField() });
+
+      const input = update(createMockSurfer(400, 300, SURFER_STATE.RIDING), aiState, world);
+
+      expect(input.left).toBe(true);
+      expect(input.up).toBe(false);
+      expect(aiState.state).toBe(AI_STATE.RIDING);
+    });
+
+    it('ends the ride and counts the wipeout once when the surfer goes down', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      aiState.state = AI_STATE.RIDING;
+      const world = createMockWorld({ energyField: createEnergyField() });
+      const player = createMockSurfer(400, 300, SURFER_STATE.WIPEOUT);
+
+      update(player, aiState, world);
+      update(player, aiState, world);
+
+      expect(aiState.state).toBe(AI_STATE.SEEKING);
+      expect(aiState.stats.wipeouts).toBe(1);
+    });
+
+    it('counts an over-the-falls takeoff as a wipeout', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      const world = createMockWorld({ energyField: createEnergyField() });
+      const player = createMockSurfer(PEAK_X, 300, SURFER_STATE.WIPEOUT);
+
+      update(player, aiState, world);
+      update(player, aiState, world);
+
+      expect(aiState.stats.wipeouts).toBe(1);
+    });
+
+    it('ends the ride when the surfer loses the wave', () => {
+      const aiState = createAIState(AI_MODE.EXPERT);
+      aiState.state = AI_STATE.RIDING;
+      const world = createMockWorld({ energyField: createEnergyField() });
+
+      update(createMockSurfer(400, 300, SURFER_STATE.PADDLING), aiState, world);
+
+      expect(aiState.state).toBe(AI_STATE.SEEKING);
+      expect(aiState.stats.wipeouts).toBe(0);
+    });
+  });
+
   describe('Mode configs', () => {
     it('EXPERT targets the peak triangle zone (0.55-0.90 progress)', () => {
       const state = createAIState(AI_MODE.EXPERT);
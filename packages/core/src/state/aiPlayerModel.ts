@@ -1,8 +1,13 @@
 // AI Player Model
 // Active surfing AI - seeks foam at the peak triangle and rides along the diagonal
+//
+// With a surfer (surferModel) the board physics decide catches and wipeouts: the AI
+// paddles down steep faces to take off and trims toward its ride direction. A bare
+// player proxy has no board, so the AI rolls catches from foam as before.
 
 import { sampleFoamIntensity } from './playerProxyModel.js';
 import { getPeakX } from './bathymetryModel.js';
+import { SURFER_STATE, SURFER_CONFIG, sampleWaveFace } from './surferModel.js';
 
 // AI States
 export const AI_STATE = {
@@ -64,7 +69,7 @@ export function createAIState(mode = AI_MODE.INTERMEDIATE) {
       longestRide: 0,
       totalDistance: 0,
       longestDistance: 0,
-      bestScore: 0,
+      bestScore: 0, // best judged ride (0-10), set by the update loop
     },
     logTimer: 0,
   };
@@ -120,6 +125,8 @@ function findBestFoam(world, canvasWidth, oceanTop, oceanBottom, cfg, peakX) {
  * 2. Paddle toward foam when found
  * 3. When in foam, start RIDING along the diagonal
  * 4. Ride smoothly until foam ends, then go back to SEEKING
+ *
+ * Wipeout rolls use randomFn so seeded sessions replay identically.
  */
 export function updateAIPlayer(
   player,
@@ -130,7 +137,8 @@ export function updateAIPlayer(
   _canvasHeight,
   oceanTop,
   oceanBottom,
-  _travelDuration
+  _travelDuration,
+  randomFn = Math.random
 ) {
   const input = { left: false, right: false, up: false, down: false };
   const cfg = aiState.config;
@@ -152,7 +160,12 @@ export function updateAIPlayer(
   const bestFoam = findBestFoam(world, canvasWidth, oceanTop, oceanBottom, cfg, peakX);
 
   // Default position when no foam: center of target zone at peak X
-  const defaultY = oceanTop + (oceanBottom - oceanTop) * ((cfg.minProgress + cfg.maxProgress) / 2);
+  // (crowd NPCs sit at their own lineup spot around the peak)
+  const defaultY =
+    oceanTop +
+    (oceanBottom - oceanTop) *
+      ((cfg.minProgress + cfg.maxProgress) / 2 + (aiState.lineupProgress ?? 0));
+  const lineupX = peakX + (aiState.lineupOffset ?? 0) * canvasWidth;
 
   // Logging
   aiState.logTimer += 1;
@@ -166,16 +179,46 @@ export function updateAIPlayer(
     );
   }
 
+  // Surfers carry a board state; bare proxies are driven by foam alone
+  const isSurfer = player.state !== undefined;
+
   if (aiState.state === AI_STATE.SEEKING) {
     // Update cooldown timer
     if (aiState.cooldownTimer > 0) {
       aiState.cooldownTimer -= dt;
     }
 
+    const standing = player.state === SURFER_STATE.TAKEOFF || player.state === SURFER_STATE.RIDING;
+
+    // Went over the falls on a late takeoff
+    if (player.state === SURFER_STATE.WIPEOUT && !aiState.wipedOut) {
+      aiState.stats.wipeouts++;
+      console.log(`[AI ${aiState.mode}] WIPEOUT #${aiState.stats.wipeouts}`);
+      aiState.cooldownTimer = 2.0;
+    }
+    aiState.wipedOut = player.state === SURFER_STATE.WIPEOUT; // counted until they surface
+
+    if (isSurfer && !standing && aiState.cooldownTimer <= 0 && world.energyField) {
+      // Paddle for it when a face steep enough to catch reaches the board
+      const face = sampleWaveFace(
+        world.energyField,
+        player.x / canvasWidth,
+        (player.y - oceanTop) / (oceanBottom - oceanTop)
+      );
+      if (player.state === SURFER_STATE.PADDLING && face.slope >= SURFER_CONFIG.takeoffSlope) {
+        input.down = true;
+        return input;
+      }
+    }
+
     // Check if we're in foam AND cooldown has expired - start riding!
-    if (foamIntensity > cfg.foamThreshold && aiState.cooldownTimer <= 0) {
+    // (a surfer starts riding once the board has actually taken off)
+    const caught = isSurfer
+      ? standing
+      : foamIntensity > cfg.foamThreshold && aiState.cooldownTimer <= 0;
+    if (caught) {
       // Small chance of wipeout
-      if (Math.random() < cfg.wipeoutChance) {
+      if (!isSurfer && randomFn() < cfg.wipeoutChance) {
         aiState.stats.wipeouts++;
         console.log(`[AI ${aiState.mode}] WIPEOUT #${aiState.stats.wipeouts}`);
         aiState.cooldownTimer = 2.0; // Cooldown after wipeout
@@ -202,7 +245,7 @@ export function updateAIPlayer(
       targetY = bestFoam.y;
     } else {
       // No foam - patrol the peak area
-      targetX = peakX;
+      targetX = lineupX;
       targetY = defaultY;
     }
 
@@ -246,9 +289,10 @@ export function updateAIPlayer(
 
     // Move UP (toward horizon) to ride along the peeling diagonal
     // This is the key - foam peels from shore toward horizon along the diagonal
-    input.up = true;
+    // (a surfer trims along the face instead - up would stall the board)
+    input.up = !isSurfer;
 
-    // Helper to finish ride and calculate score
+    // Helper to finish ride and record stats (rideScoreModel judges the score)
     const finishRide = (reason) => {
       aiState.stats.totalRideTime += aiState.rideTimer;
       aiState.stats.totalDistance += aiState.rideDistance;
@@ -260,21 +304,28 @@ export function updateAIPlayer(
         aiState.stats.longestDistance = aiState.rideDistance;
       }
 
-      // Score = distance (weighted more) + time bonus
-      const score = Math.round(aiState.rideDistance + aiState.rideTimer * 50);
-      if (score > aiState.stats.bestScore) {
-        aiState.stats.bestScore = score;
-      }
-
       console.log(
-        `[AI ${aiState.mode}] ${reason}: ${aiState.rideTimer.toFixed(1)}s, ${Math.round(aiState.rideDistance)}px, score=${score}`
+        `[AI ${aiState.mode}] ${reason}: ${aiState.rideTimer.toFixed(1)}s, ${Math.round(aiState.rideDistance)}px`
       );
       aiState.state = AI_STATE.SEEKING;
       aiState.cooldownTimer = 1.5;
     };
 
-    // End ride when foam dissipates AND we've ridden a minimum time
-    if (foamIntensity < 0.05 && aiState.rideTimer > 1.0) {
+    if (isSurfer) {
+      // The board physics end the ride
+      if (player.state === SURFER_STATE.WIPEOUT) {
+        aiState.stats.wipeouts++;
+        aiState.wipedOut = true;
+        finishRide(`WIPEOUT #${aiState.stats.wipeouts}`);
+        aiState.cooldownTimer = 2.0;
+        return input;
+      }
+      if (player.state !== SURFER_STATE.TAKEOFF && player.state !== SURFER_STATE.RIDING) {
+        finishRide('Ride complete');
+        return input;
+      }
+    } else if (foamIntensity < 0.05 && aiState.rideTimer > 1.0) {
+      // End ride when foam dissipates AND we've ridden a minimum time
       finishRide('Ride complete');
     }
 
@@ -16,6 +16,9 @@ export const BACKGROUND_CONFIG = {
   maxAmplitude: 0.35, // Maximum amplitude for background waves
   baseInterval: 3, // Base seconds between waves
   intervalVariation: 2, // ±seconds (so 1-5 second gaps)
+  swellDirection: -20, // degrees from shore-normal; wind swell comes in across the set swell
+  directionSpread: 15, // ±degrees per wave
+  wavePeriod: 7, // seconds; short-period wind swell, slower than the sets
 };
 
 /**
@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BATHYMETRY_GRID_HEIGHT,
+  BATHYMETRY_GRID_PRESETS,
+  BATHYMETRY_GRID_WIDTH,
+  MIN_GRID_DEPTH,
+  applyBathymetryBrush,
+  bathymetryGridToJson,
+  createBathymetryGrid,
+  fillBathymetryGrid,
+  findGridPeakX,
+  heightmapToBathymetryGrid,
+  imageDataToBathymetryGrid,
+  isBathymetryGrid,
+  parseBathymetryJson,
+  sampleBathymetryGrid,
+} from './bathymetryGridModel.js';
+
+// Grid whose depth only varies with x: depth = 10 * column
+function createColumnGrid(width = 4, height = 3) {
+  const grid = createBathymetryGrid(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      grid.depths[y * width + x] = 10 * x;
+    }
+  }
+  return grid;
+}
+
+describe('bathymetryGridModel', () => {
+  describe('createBathymetryGrid', () => {
+    it('creates a default-size grid filled with deep water', () => {
+      const grid = createBathymetryGrid();
+
+      expect(isBathymetryGrid(grid)).toBe(true);
+      expect(grid.width).toBe(BATHYMETRY_GRID_WIDTH);
+      expect(grid.height).toBe(BATHYMETRY_GRID_HEIGHT);
+      expect(grid.depths.every((d) => d === 30)).toBe(true);
+    });
+
+    it('does not treat analytic configs as grids', () => {
+      expect(isBathymetryGrid({ deepDepth: 30 })).toBe(false);
+      expect(isBathymetryGrid(null)).toBe(false);
+    });
+  });
+
+  describe('sampleBathymetryGrid', () => {
+    it('returns exact values at cell centers', () => {
+      const grid = createColumnGrid();
+
+      expect(sampleBathymetryGrid(grid, 0.125, 0.5)).toBeCloseTo(0);
+      expect(sampleBathymetryGrid(grid, 0.375, 0.5)).toBeCloseTo(10);
+      expect(sampleBathymetryGrid(grid, 0.875, 0.5)).toBeCloseTo(30);
+    });
+
+    it('interpolates between cell centers', () => {
+      const grid = createColumnGrid();
+      expect(sampleBathymetryGrid(grid, 0.25, 0.5)).toBeCloseTo(5);
+    });
+
+    it('clamps outside the grid', () => {
+      const grid = createColumnGrid();
+
+      expect(sampleBathymetryGrid(grid, -1, 0)).toBeCloseTo(0);
+      expect(sampleBathymetryGrid(grid, 2, 1)).toBeCloseTo(30);
+    });
+  });
+
+  describe('fillBathymetryGrid', () => {
+    it('fills from a depth function and clamps to the minimum depth', () => {
+      const grid = fillBathymetryGrid(createBathymetryGrid(4, 4), (x, progress) =>
+        progress > 0.5 ? -5 : x * 20
+      );
+
+      expect(grid.depths[0]).toBeCloseTo(2.5);
+      expect(grid.depths[15]).toBeCloseTo(MIN_GRID_DEPTH);
+    });
+  });
+
+  describe('findGridPeakX', () => {
+    it('picks the column that shoals first', () => {
+      const grid = fillBathymetryGrid(createBathymetryGrid(10, 10), (x, progress) =>
+        x > 0.7 && x < 0.8 && progress > 0.3 ? 1 : 30 - 25 * progress
+      );
+
+      expect(findGridPeakX(grid)).toBeCloseTo(0.75);
+    });
+
+    it('breaks ties toward the middle', () => {
+      const grid = fillBathymetryGrid(
+        createBathymetryGrid(10, 10),
+        (_x, progress) => 30 - 30 * progress
+      );
+      expect(findGridPeakX(grid)).toBeCloseTo(0.45);
+    });
+  });
+
+  describe('applyBathymetryBrush', () => {
+    it('raises the floor under the brush without touching the input grid', () => {
+      const grid = createBathymetryGrid(20, 20);
+
+      const edited = applyBathymetryBrush(grid, {
+        x: 0.525,
+        progress: 0.525,
+        radius: 0.2,
+        amount: 10,
+      });
+
+      expect(edited).not.toBe(grid);
+      expect(grid.depths.every((d) => d === 30)).toBe(true);
+      expect(sampleBathymetryGrid(edited, 0.525, 0.525)).toBeCloseTo(20);
+      // Falloff: weaker away from the center, untouched outside the radius
+      expect(sampleBathymetryGrid(edited, 0.625, 0.525)).toBeGreaterThan(20);
+      expect(sampleBathymetryGrid(edited, 0.025, 0.025)).toBe(30);
+    });
+
+    it('digs with a negative amount but never below deepDepth', () => {
+      const grid = fillBathymetryGrid(createBathymetryGrid(10, 10), () => 5);
+
+      const dug = applyBathymetryBrush(grid, { x: 0.55, progress: 0.55, radius: 0.3, amount: -50 });
+
+      expect(sampleBathymetryGrid(dug, 0.55, 0.55)).toBe(grid.deepDepth);
+    });
+
+    it('never raises the floor above the minimum depth', () => {
+      const grid = createBathymetryGrid(10, 10);
+
+      const raised = applyBathymetryBrush(grid, {
+        x: 0.55,
+        progress: 0.55,
+        radius: 0.3,
+        amount: 100,
+      });
+
+      expect(Math.min(...raised.depths)).toBeCloseTo(MIN_GRID_DEPTH);
+    });
+  });
+
+  describe('heightmap import', () => {
+    it('reads a 2D array of meters', () => {
+      const grid = heightmapToBathymetryGrid([
+        [20, 20, 20],
+        [5, 2, 5],
+      ]);
+
+      expect(grid.width).toBe(3);
+      expect(grid.height).toBe(2);
+      expect(Array.from(grid.depths)).toEqual([20, 20, 20, 5, 2, 5]);
+      expect(grid.peakX).toBeCloseTo(0.5);
+    });
+
+    it('reads normalized values (1 = deep, 0 = shore) like bathymetryProgressions', () => {
+      const grid = heightmapToBathymetryGrid(
+        [
+          [1, 1],
+          [0, 0.5],
+        ],
+        { units: 'normalized', deepDepth: 20, shoreDepth: 0 }
+      );
+
+      const [deep, , shore, middle] = Array.from(grid.depths);
+      expect(deep).toBe(20);
+      expect(shore).toBeCloseTo(MIN_GRID_DEPTH);
+      expect(middle).toBe(10);
+    });
+
+    it('rejects malformed heightmaps', () => {
+      expect(() => heightmapToBathymetryGrid([[1, 2]])).toThrow(/at least 2 rows/);
+      expect(() => heightmapToBathymetryGrid([[1, 2], [3]])).toThrow(/same length/);
+      expect(() =>
+        heightmapToBathymetryGrid([
+          [1, 'x'],
+          [3, 4],
+        ])
+      ).toThrow(/row 0, column 1/);
+    });
+
+    it('parses JSON text, nested and flat depth arrays', () => {
+      const nested = parseBathymetryJson('[[10, 10], [1, 1]]');
+      const flat = parseBathymetryJson({ width: 2, height: 2, depths: [10, 10, 1, 1] });
+
+      expect(Array.from(flat.depths)).toEqual(Array.from(nested.depths));
+      expect(() => parseBathymetryJson({ depths: [1, 2, 3] })).toThrow(/width and height/);
+      expect(() => parseBathymetryJson({ foo: 1 })).toThrow(/depths/);
+    });
+
+    it('round-trips through bathymetryGridToJson', () => {
+      const grid = BATHYMETRY_GRID_PRESETS['reef-pass'];
+      const restored = parseBathymetryJson(JSON.stringify(bathymetryGridToJson(grid)));
+
+      expect(restored.width).toBe(grid.width);
+      expect(restored.height).toBe(grid.height);
+      expect(sampleBathymetryGrid(restored, 0.3, 0.6)).toBeCloseTo(
+        sampleBathymetryGrid(grid, 0.3, 0.6),
+        1
+      );
+    });
+
+    it('maps image brightness to seafloor height (white = shallow)', () => {
+      // 2x1 image: black pixel left, white pixel right
+      const image = {
+        width: 2,
+        height: 1,
+        data: new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255]),
+      };
+
+      const grid = imageDataToBathymetryGrid(image, {
+        width: 2,
+        height: 2,
+        deepDepth: 20,
+        shoreDepth: 1,
+      });
+
+      expect(Array.from(grid.depths)).toEqual([20, 1, 20, 1]);
+    });
+  });
+
+  describe('presets', () => {
+    it('defines the four named seafloors at the default resolution', () => {
+      expect(Object.keys(BATHYMETRY_GRID_PRESETS)).toEqual([
+        'beach-break',
+        'reef-pass',
+        'point-break',
+        'river-mouth',
+      ]);
+      for (const grid of Object.values(BATHYMETRY_GRID_PRESETS)) {
+        expect(grid.depths).toHaveLength(BATHYMETRY_GRID_WIDTH * BATHYMETRY_GRID_HEIGHT);
+        expect(grid.peakX).toBeGreaterThan(0);
+        expect(grid.peakX).toBeLessThan(1);
+      }
+    });
+  });
+});
@@ -0,0 +1,325 @@
+// Bathymetry Grid Model - Heightmap-based ocean floor
+//
+// The analytic DEFAULT_BATHYMETRY (sandbar lobes + one point) can't describe
+// arbitrary seafloors. A grid bathymetry stores depth in meters per cell:
+// - Rows run horizon (progress 0) to shore (progress 1), like the foam grids
+// - Columns run left to right (normalized x 0-1)
+//
+// Grids are treated as immutable values: brush edits return a new grid so the
+// reducer stays pure and renderer caches can compare by reference.
+// getDepth() in bathymetryModel samples grids bilinearly, so refraction,
+// foam deposition and energy damping pick up edits without extra wiring.
+
+export const BATHYMETRY_GRID_WIDTH = 64;
+export const BATHYMETRY_GRID_HEIGHT = 48;
+
+export const MIN_GRID_DEPTH = 0.01; // same epsilon as getDepth
+
+const DEFAULT_DEEP_DEPTH = 30;
+const DEFAULT_SHORE_DEPTH = 0.5;
+
+// Depth (fraction of deepDepth) that counts as "shoaled" when locating the peak
+const PEAK_DEPTH_RATIO = 0.25;
+
+/**
+ * Create a grid bathymetry
+ * @param {number} width - Columns (lateral resolution)
+ * @param {number} height - Rows (horizon to shore)
+ * @param {object} options - {deepDepth, shoreDepth, peakX}
+ * @returns {object} Grid bathymetry {type: 'grid', width, height, depths, deepDepth, shoreDepth, peakX}
+ */
+export function createBathymetryGrid(
+  width = BATHYMETRY_GRID_WIDTH,
+  height = BATHYMETRY_GRID_HEIGHT,
+  options: Record<string, any> = {}
+) {
+  const { deepDepth = DEFAULT_DEEP_DEPTH, shoreDepth = DEFAULT_SHORE_DEPTH, peakX = 0.5 } = options;
+  return {
+    type: 'grid',
+    width,
+    height,
+    depths: new Float32Array(width * height).fill(deepDepth),
+    deepDepth,
+    shoreDepth,
+    peakX,
+  };
+}
+
+/**
+ * Check whether a bathymetry config is grid-based
+ * @param {object} bathymetry - Bathymetry config
+ * @returns {boolean} True for grid bathymetry
+ */
+export function isBathymetryGrid(bathymetry) {
+  return !!bathymetry && bathymetry.type === 'grid';
+}
+
+/**
+ * Sample depth from a grid with bilinear interpolation between cell centers
+ * @param {object} grid - Grid bathymetry
+ * @param {number} normalizedX - X position 0-1
+ * @param {number} progress - Progress 0-1 (0=horizon, 1=shore)
+ * @returns {number} Depth in meters
+ */
+export function sampleBathymetryGrid(grid, normalizedX, progress) {
+  const { width, height, depths } = grid;
+
+  const fx = Math.max(0, Math.min(width - 1, normalizedX * width - 0.5));
+  const fy = Math.max(0, Math.min(height - 1, progress * height - 0.5));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  const top = depths[y0 * width + x0] * (1 - tx) + depths[y0 * width + x1] * tx;
+  const bottom = depths[y1 * width + x0] * (1 - tx) + depths[y1 * width + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Fill a grid from a depth function (mutates grid)
+ * @param {object} grid - Grid bathymetry
+ * @param {function} depthFn - (normalizedX, progress) => depth in meters
+ * @returns {object} The same grid, with peakX updated
+ */
+export function fillBathymetryGrid(grid, depthFn) {
+  const { width, height, depths } = grid;
+  for (let y = 0; y < height; y++) {
+    const progress = (y + 0.5) / height;
+    for (let x = 0; x < width; x++) {
+      depths[y * width + x] = Math.max(MIN_GRID_DEPTH, depthFn((x + 0.5) / width, progress));
+    }
+  }
+  grid.peakX = findGridPeakX(grid);
+  return grid;
+}
+
+/**
+ * Find where waves break first - the column that shoals soonest on the way in
+ * Used as peakX so the AI (getPeakX) keeps working on custom maps.
+ * Ties go to the column nearest the middle (e.g. the edge of a reef pass).
+ * @param {object} grid - Grid bathymetry
+ * @returns {number} Normalized x (0-1) of the peak column
+ */
+export function findGridPeakX(grid) {
+  const { width, height, depths, deepDepth } = grid;
+  const breakDepth = deepDepth * PEAK_DEPTH_RATIO;
+
+  let bestX = Math.floor(width / 2);
+  let bestRow = Infinity;
+  for (let x = 0; x < width; x++) {
+    let row = 0;
+    while (row < height && depths[row * width + x] > breakDepth) row++;
+
+    const closerToMiddle = Math.abs(x - (width - 1) / 2) < Math.abs(bestX - (width - 1) / 2);
+    if (row < bestRow || (row === bestRow && closerToMiddle)) {
+      bestRow = row;
+      bestX = x;
+    }
+  }
+  return (bestX + 0.5) / width;
+}
+
+/**
+ * Raise or lower the seafloor under a circular brush
+ * Returns a new grid (the input is not modified) so edits flow through the reducer.
+ *
+ * @param {object} grid - Grid bathymetry
+ * @param {object} stroke - Brush stroke
+ * @param {number} stroke.x - Brush center, normalized x 0-1
+ * @param {number} stroke.progress - Brush center, progress 0-1
+ * @param {number} stroke.radius - Brush radius in normalized units
+ * @param {number} stroke.amount - Meters to raise the floor at the center (negative digs deeper)
+ * @returns {object} New grid bathymetry
+ */
+export function applyBathymetryBrush(grid, stroke) {
+  const { x: centerX, progress: centerY, radius, amount } = stroke;
+  const { width, height } = grid;
+  const depths = new Float32Array(grid.depths);
+
+  if (radius > 0 && amount !== 0) {
+    for (let y = 0; y < height; y++) {
+      const dy = ((y + 0.5) / height - centerY) / radius;
+      if (Math.abs(dy) >= 1) continue;
+      for (let x = 0; x < width; x++) {
+        const dx = ((x + 0.5) / width - centerX) / radius;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist >= 1) continue;
+
+        // Cosine falloff: full effect at the center, none at the rim
+        const t = Math.cos((dist * Math.PI) / 2);
+        const i = y * width + x;
+        depths[i] = Math.min(grid.deepDepth, Math.max(MIN_GRID_DEPTH, depths[i] - amount * t * t));
+      }
+    }
+  }
+
+  const edited = { ...grid, depths };
+  edited.peakX = findGridPeakX(edited);
+  return edited;
+}
+
+/**
+ * Build a grid from a 2D heightmap matrix
+ * @param {Array} matrix - Rows (horizon to shore) of values
+ * @param {object} options - Options
+ * @param {string} options.units - 'meters' (default) or 'normalized' (1 = deep, 0 = shore,
+ *   the convention used by bathymetryProgressions)
+ * @param {number} options.deepDepth - Depth for normalized 1.0 and the brush floor limit
+ * @param {number} options.shoreDepth - Depth for normalized 0.0
+ * @returns {object} Grid bathymetry
+ */
+export function heightmapToBathymetryGrid(matrix, options: Record<string, any> = {}) {
+  const {
+    units = 'meters',
+    deepDepth = DEFAULT_DEEP_DEPTH,
+    shoreDepth = DEFAULT_SHORE_DEPTH,
+  } = options;
+
+  if (!Array.isArray(matrix) || matrix.length < 2 || !Array.isArray(matrix[0])) {
+    throw new Error('Heightmap must be a 2D array with at least 2 rows');
+  }
+  const height = matrix.length;
+  const width = matrix[0].length;
+  if (width < 2 || matrix.some((row) => !Array.isArray(row) || row.length !== width)) {
+    throw new Error('Heightmap rows must all have the same length (at least 2)');
+  }
+
+  const grid = createBathymetryGrid(width, height, { deepDepth, shoreDepth });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Number(matrix[y][x]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Heightmap value at row ${y}, column ${x} is not a number`);
+      }
+      const depth = units === 'normalized' ? shoreDepth + value * (deepDepth - shoreDepth) : value;
+      grid.depths[y * width + x] = Math.max(MIN_GRID_DEPTH, depth);
+    }
+  }
+  grid.peakX = findGridPeakX(grid);
+  return grid;
+}
+
+/**
+ * Parse a JSON heightmap
+ * Accepts either a bare 2D array (meters) or
+ * {depths: number[][] | number[], width?, height?, units?, deepDepth?, shoreDepth?}
+ * @param {string|object} json - JSON text or parsed value
+ * @returns {object} Grid bathymetry
+ */
+export function parseBathymetryJson(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (Array.isArray(data)) {
+    return heightmapToBathymetryGrid(data);
+  }
+  if (!data || !Array.isArray(data.depths)) {
+    throw new Error('Bathymetry JSON must be a 2D array or an object with a "depths" array');
+  }
+
+  let matrix = data.depths;
+  if (!Array.isArray(matrix[0])) {
+    // Flat row-major array - needs explicit dimensions
+    const { width, height } = data;
+    if (!(width > 0) || !(height > 0) || width * height !== matrix.length) {
+      throw new Error('Flat "depths" array needs width and height matching its length');
+    }
+    matrix = Array.from({ length: height }, (_, y) => matrix.slice(y * width, (y + 1) * width));
+  }
+  return heightmapToBathymetryGrid(matrix, data);
+}
+
+/**
+ * Serialize a grid bathymetry to the JSON format read by parseBathymetryJson
+ * @param {object} grid - Grid bathymetry
+ * @returns {object} Plain JSON-safe object
+ */
+export function bathymetryGridToJson(grid) {
+  return {
+    width: grid.width,
+    height: grid.height,
+    units: 'meters',
+    deepDepth: grid.deepDepth,
+    shoreDepth: grid.shoreDepth,
+    depths: Array.from(grid.depths, (d: number) => Math.round(d * 100) / 100),
+  };
+}
+
+/**
+ * Build a grid from image pixels (PNG heightmaps)
+ * Brightness is seafloor height: white = shallow (shoreDepth), black = deep (deepDepth).
+ * Works with browser ImageData and pngjs output alike ({data: RGBA bytes, width, height}).
+ *
+ * @param {object} image - {data, width, height}
+ * @param {object} options - {width, height, deepDepth, shoreDepth} of the resulting grid
+ * @returns {object} Grid bathymetry
+ */
+export function imageDataToBathymetryGrid(image, options: Record<string, any> = {}) {
+  const {
+    width = BATHYMETRY_GRID_WIDTH,
+    height = BATHYMETRY_GRID_HEIGHT,
+    deepDepth = DEFAULT_DEEP_DEPTH,
+    shoreDepth = DEFAULT_SHORE_DEPTH,
+  } = options;
+
+  const grid = createBathymetryGrid(width, height, { deepDepth, shoreDepth });
+  return fillBathymetryGrid(grid, (normalizedX, progress) => {
+    // Nearest pixel for this cell center
+    const px = Math.min(image.width - 1, Math.floor(normalizedX * image.width));
+    const py = Math.min(image.height - 1, Math.floor(progress * image.height));
+    const i = (py * image.width + px) * 4;
+    const luminance =
+      (0.2126 * image.data[i] + 0.7152 * image.data[i + 1] + 0.0722 * image.data[i + 2]) / 255;
+    return shoreDepth + (1 - luminance) * (deepDepth - shoreDepth);
+  });
+}
+
+// --- Presets ---
+
+const gauss = (d) => Math.exp(-d * d);
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+const baseSlope = (progress) =>
+  DEFAULT_DEEP_DEPTH - (DEFAULT_DEEP_DEPTH - DEFAULT_SHORE_DEPTH) * progress;
+
+function buildPreset(depthFn) {
+  return fillBathymetryGrid(createBathymetryGrid(), depthFn);
+}
+
+/**
+ * Named grid presets (same seafloors sketched in bathymetryProgressions.ts)
+ */
+export const BATHYMETRY_GRID_PRESETS = {
+  // Wavy alongshore bar with two rip channels - peaky, shifting A-frames
+  'beach-break': buildPreset((x, progress) => {
+    const barCenter = 0.45 + 0.04 * Math.sin(x * Math.PI * 4);
+    const rips = 1 - 0.85 * (gauss((x - 0.3) / 0.05) + gauss((x - 0.72) / 0.05));
+    const bar = 15 * gauss((progress - barCenter) / 0.07) * Math.max(0, rips);
+    return baseSlope(progress) - bar;
+  }),
+
+  // Shallow reef shelf cut by a deep pass - waves break on either side of the channel
+  'reef-pass': buildPreset((x, progress) => {
+    const shelf = 22 * smoothstep(0.3, 0.45, progress);
+    const pass = 1 - gauss((x - 0.5) / 0.08);
+    return baseSlope(progress) - shelf * pass;
+  }),
+
+  // Headland on the left; its reef angles out to sea so waves peel to the right
+  'point-break': buildPreset((x, progress) => {
+    const edgeX = 0.1 + 0.5 * smoothstep(0.25, 1, progress);
+    const point = 18 * smoothstep(edgeX + 0.12, edgeX - 0.12, x) * smoothstep(0.2, 0.4, progress);
+    return baseSlope(progress) - point;
+  }),
+
+  // Ebb-tide delta: a crescent bar fanning out from the shore, split by the river channel
+  'river-mouth': buildPreset((x, progress) => {
+    const r = Math.sqrt(((x - 0.5) * 1.3) ** 2 + (1 - progress) ** 2);
+    const channel = gauss((x - 0.5) / 0.06) * smoothstep(0.35, 0.6, progress);
+    const bar = 16 * gauss((r - 0.42) / 0.08) * (1 - channel);
+    return baseSlope(progress) - bar + 6 * channel;
+  }),
+};
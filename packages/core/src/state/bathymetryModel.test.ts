@@ -1,11 +1,15 @@
 import { describe, it, expect } from 'vitest';
 import {
+  BATHYMETRY_PRESETS,
   DEFAULT_BATHYMETRY,
+  getBathymetryPreset,
   getDepth,
   getMinDepth,
   getPeakX,
+  rasterizeBathymetry,
   shouldBreak,
 } from './bathymetryModel.js';
+import { applyBathymetryBrush, isBathymetryGrid } from './bathymetryGridModel.js';
 
 describe('bathymetryModel', () => {
   describe('DEFAULT_BATHYMETRY', () => {
@@ -183,4 +187,88 @@ describe('bathymetryModel', () => {
       expect(depthAtPeakShore).toBeLessThan(depthAtPeakMid);
     });
   });
+
+  describe('grid bathymetry', () => {
+    it('rasterizes the analytic default to a matching grid', () => {
+      const grid = rasterizeBathymetry(DEFAULT_BATHYMETRY);
+
+      expect(isBathymetryGrid(grid)).toBe(true);
+      for (const [x, progress] of [
+        [0.35, 0.9],
+        [0.5, 0.5],
+        [0.8, 0.2],
+      ]) {
+        expect(getDepth(x, grid, progress)).toBeCloseTo(
+          getDepth(x, DEFAULT_BATHYMETRY, progress),
+          0
+        );
+      }
+    });
+
+    it('returns grids unchanged from rasterizeBathymetry', () => {
+      const grid = rasterizeBathymetry(DEFAULT_BATHYMETRY);
+      expect(rasterizeBathymetry(grid)).toBe(grid);
+    });
+
+    it('reflects brush edits in getDepth immediately', () => {
+      const grid = rasterizeBathymetry(DEFAULT_BATHYMETRY);
+      const before = getDepth(0.7, grid, 0.5);
+
+      const edited = applyBathymetryBrush(grid, { x: 0.7, progress: 0.5, radius: 0.1, amount: 5 });
+
+      expect(getDepth(0.7, edited, 0.5)).toBeCloseTo(before - 5, 0);
+      expect(getDepth(0.7, grid, 0.5)).toBe(before);
+    });
+
+    it('exposes peakX and shoreDepth for grids', () => {
+      const grid = BATHYMETRY_PRESETS['point-break'];
+
+      expect(getPeakX(grid)).toBeLessThan(0.5);
+      expect(getMinDepth(grid)).toBe(0.5);
+    });
+  });
+
+  describe('presets', () => {
+    it('includes the analytic and grid presets', () => {
+      expect(Object.keys(BATHYMETRY_PRESETS)).toEqual(
+        expect.arrayContaining([
+          'default',
+          'beach-break',
+          'reef-pass',
+          'point-break',
+          'river-mouth',
+        ])
+      );
+      expect(getBathymetryPreset('default')).toBe(DEFAULT_BATHYMETRY);
+    });
+
+    it('throws for unknown presets', () => {
+      expect(() => getBathymetryPreset('atlantis')).toThrow(/Unknown bathymetry preset/);
+    });
+
+    it('beach-break has a bar shallower than the trough behind it', () => {
+      const preset = BATHYMETRY_PRESETS['beach-break'];
+      expect(getDepth(0.5, preset, 0.45)).toBeLessThan(getDepth(0.5, preset, 0.6));
+    });
+
+    it('beach-break rip channels are deeper than the bar', () => {
+      const preset = BATHYMETRY_PRESETS['beach-break'];
+      expect(getDepth(0.3, preset, 0.45)).toBeGreaterThan(getDepth(0.5, preset, 0.45));
+    });
+
+    it('reef-pass is deep in the pass and shallow on the reef', () => {
+      const preset = BATHYMETRY_PRESETS['reef-pass'];
+      expect(getDepth(0.5, preset, 0.6)).toBeGreaterThan(getDepth(0.2, preset, 0.6) * 2);
+    });
+
+    it('point-break shallows toward the headland side', () => {
+      const preset = BATHYMETRY_PRESETS['point-break'];
+      expect(getDepth(0.15, preset, 0.6)).toBeLessThan(getDepth(0.85, preset, 0.6));
+    });
+
+    it('river-mouth channel is deeper than the bar beside it', () => {
+      const preset = BATHYMETRY_PRESETS['river-mouth'];
+      expect(getDepth(0.5, preset, 0.6)).toBeGreaterThan(getDepth(0.3, preset, 0.75));
+    });
+  });
 });
@@ -7,6 +7,20 @@
 //
 // This creates realistic breaking: waves hit the shallow peak first,
 // then the break "peels" laterally as adjacent sections reach breaking depth.
+//
+// Besides the analytic config, getDepth accepts grid bathymetries
+// (bathymetryGridModel.ts) loaded from heightmaps, presets or the editor.
+// Configs carrying a tideLevel (tideModel.applyTide) are read at that sea level.
+
+import {
+  BATHYMETRY_GRID_HEIGHT,
+  BATHYMETRY_GRID_PRESETS,
+  BATHYMETRY_GRID_WIDTH,
+  createBathymetryGrid,
+  fillBathymetryGrid,
+  isBathymetryGrid,
+  sampleBathymetryGrid,
+} from './bathymetryGridModel.js';
 
 /**
  * Default bathymetry configuration
@@ -46,6 +60,38 @@ export const DEFAULT_BATHYMETRY = {
   peakStartProgress: 0.55, // point extends from 55% progress to shore (after sandbar)
 };
 
+/**
+ * Named bathymetry presets
+ * Selectable by name from the headless runner (--bathymetry) and tooling
+ */
+export const BATHYMETRY_PRESETS = {
+  default: DEFAULT_BATHYMETRY,
+
+  // Sandbar only - no point, waves break across the bar and reform to shore
+  sandbar: { ...DEFAULT_BATHYMETRY, peakShallowBonus: 0 },
+
+  // Point only - flat bottom with the triangular reef near shore
+  point: { ...DEFAULT_BATHYMETRY, sandbar: null },
+
+  // Grid presets: beach-break, reef-pass, point-break, river-mouth
+  ...BATHYMETRY_GRID_PRESETS,
+};
+
+/**
+ * Look up a bathymetry preset by name
+ * @param {string} name - Preset name (key of BATHYMETRY_PRESETS)
+ * @returns {object} Bathymetry configuration
+ * @throws {Error} If the preset does not exist
+ */
+export function getBathymetryPreset(name) {
+  const preset = BATHYMETRY_PRESETS[name];
+  if (!preset) {
+    const known = Object.keys(BATHYMETRY_PRESETS).join(', ');
+    throw new Error(`Unknown bathymetry preset "${name}" (expected one of: ${known})`);
+  }
+  return preset;
+}
+
 /**
  * Get water depth at a given position (2D)
  * Depth depends on both progress (Y) and lateral position (X)
@@ -55,8 +101,17 @@ export const DEFAULT_BATHYMETRY = {
  * @param {number} progress - Wave progress 0-1 (0=horizon, 1=shore)
  * @returns {number} Water depth in meters
  */
-export function getDepth(normalizedX, config = DEFAULT_BATHYMETRY, progress = 0) {
+export function getDepth(
+  normalizedX,
+  config: Record<string, any> = DEFAULT_BATHYMETRY,
+  progress = 0
+) {
   const MIN_DEPTH = 0.01; // small epsilon to allow near-zero depth toward shore
+  const tideLevel = config.tideLevel ?? 0; // sea level above mean (applyTide)
+
+  if (isBathymetryGrid(config)) {
+    return Math.max(MIN_DEPTH, sampleBathymetryGrid(config, normalizedX, progress) + tideLevel);
+  }
 
   // Base depth: linear interpolation from deep (horizon) to shallow (shore)
   const baseDepth = config.deepDepth - (config.deepDepth - config.shoreDepth) * progress;
@@ -117,8 +172,31 @@ export function getDepth(normalizedX, config = DEFAULT_BATHYMETRY, progress = 0)
     totalBonus += config.peakShallowBonus * t * t;
   }
 
-  // Final depth = base depth minus bonuses (shallower where bonuses apply)
-  return Math.max(MIN_DEPTH, baseDepth - totalBonus);
+  // Final depth = base depth minus bonuses (shallower where bonuses apply), at the tide
+  return Math.max(MIN_DEPTH, baseDepth - totalBonus + tideLevel);
+}
+
+/**
+ * Convert any bathymetry config into a grid (editor needs cells to paint on)
+ * @param {object} config - Analytic or grid bathymetry
+ * @param {number} width - Grid columns
+ * @param {number} height - Grid rows
+ * @returns {object} Grid bathymetry (the input itself if it is already a grid)
+ */
+export function rasterizeBathymetry(
+  config = DEFAULT_BATHYMETRY,
+  width = BATHYMETRY_GRID_WIDTH,
+  height = BATHYMETRY_GRID_HEIGHT
+) {
+  if (isBathymetryGrid(config)) return config;
+
+  const grid = createBathymetryGrid(width, height, {
+    deepDepth: config.deepDepth,
+    shoreDepth: config.shoreDepth,
+  });
+  return fillBathymetryGrid(grid, (normalizedX, progress) =>
+    getDepth(normalizedX, config, progress)
+  );
 }
 
 /**
@@ -0,0 +1,287 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  CROWD_CONFIG,
+  DROP_IN_CHANCE,
+  getLineupSpot,
+  createCrowdSurfer,
+  findDropIn,
+  flagDropIn,
+  avoidCollisions,
+  updateCrowd,
+  resizeCrowd,
+  getCrowdStats,
+  drawCrowd,
+} from './crowdModel.js';
+import { AI_MODE } from './aiPlayerModel.js';
+import { DEFAULT_BATHYMETRY } from './bathymetryModel.js';
+import { createFoamGrids } from './foamGridModel.js';
+import { createEnergyField } from './energyFieldModel.js';
+import { SURFER_STATE, SURFER_CONFIG, createSurfer } from './surferModel.js';
+import { PLAYER_PROXY_CONFIG } from './playerProxyModel.js';
+
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+const OCEAN_TOP = 0;
+const OCEAN_BOTTOM = 500;
+const SHORE_Y = 500;
+const PEAK_X = DEFAULT_BATHYMETRY.peakX * CANVAS_WIDTH;
+const NO_INPUT = { left: false, right: false, up: false, down: false };
+
+function surferAt(x, y, state = SURFER_STATE.PADDLING) {
+  return { ...createSurfer(CANVAS_WIDTH, SHORE_Y), x, y, state };
+}
+
+// Energy field with a uniform face slope (water falls off toward shore)
+function steepField(slope) {
+  const field = createEnergyField();
+  for (let y = 0; y < field.gridHeight; y++) {
+    for (let x = 0; x < field.width; x++) {
+      field.height[y * field.width + x] = slope * (1 - y / (field.gridHeight - 1));
+    }
+  }
+  return field;
+}
+
+function createCrowdEnv(energyField, overrides = {}) {
+  const { foam, energyTransfer } = createFoamGrids();
+  const world = {
+    waves: [],
+    foamGrid: foam,
+    energyTransferGrid: energyTransfer,
+    energyField,
+    gameTime: 0,
+    bathymetry: DEFAULT_BATHYMETRY,
+  };
+  return {
+    world,
+    player: null,
+    surferEnv: {
+      foamGrid: foam,
+      energyField,
+      currentField: null,
+      bathymetry: DEFAULT_BATHYMETRY,
+      shoreY: SHORE_Y,
+      canvasWidth: CANVAS_WIDTH,
+      canvasHeight: CANVAS_HEIGHT,
+      oceanTop: OCEAN_TOP,
+      oceanBottom: OCEAN_BOTTOM,
+      travelDuration: 10000,
+    },
+    dt: 1 / 60,
+    gameTime: 0,
+    ...overrides,
+  };
+}
+
+const npc = (index) =>
+  createCrowdSurfer(index, DEFAULT_BATHYMETRY, CANVAS_WIDTH, OCEAN_TOP, OCEAN_BOTTOM, SHORE_Y);
+
+// NPC already paddling shoreward fast enough to catch a wave
+const paddling = (index) => {
+  const n = npc(index);
+  return { ...n, surfer: { ...n.surfer, vy: 30 } };
+};
+
+describe('crowdModel', () => {
+  describe('lineup', () => {
+    it('spreads spots to alternating sides of the peak, further out each pair', () => {
+      const offsets = [0, 1, 2, 3].map((i) => getLineupSpot(i).offset);
+      expect(offsets[0]).toBeCloseTo(CROWD_CONFIG.lineupSpacing, 9);
+      expect(offsets[1]).toBeCloseTo(-CROWD_CONFIG.lineupSpacing, 9);
+      expect(offsets[2]).toBeCloseTo(2 * CROWD_CONFIG.lineupSpacing, 9);
+      expect(offsets[3]).toBeCloseTo(-2 * CROWD_CONFIG.lineupSpacing, 9);
+    });
+
+    it('creates NPCs at their spot with cycling modes', () => {
+      const crowd = [0, 1, 2, 3].map(npc);
+      expect(crowd.map((n) => n.mode)).toEqual([
+        AI_MODE.BEGINNER,
+        AI_MODE.INTERMEDIATE,
+        AI_MODE.EXPERT,
+        AI_MODE.BEGINNER,
+      ]);
+      expect(crowd[0].id).toBe('npc-1');
+      expect(crowd[0].surfer.x).toBeCloseTo(PEAK_X + CROWD_CONFIG.lineupSpacing * CANVAS_WIDTH, 6);
+      expect(crowd[0].surfer.state).toBe(SURFER_STATE.PADDLING);
+      expect(crowd[0].aiState.lineupOffset).toBe(getLineupSpot(0).offset);
+      expect(crowd[0].scorecard.rides).toEqual([]);
+    });
+  });
+
+  describe('priority', () => {
+    const rider = { id: 'npc-1', surfer: surferAt(PEAK_X + 10, 250, SURFER_STATE.RIDING) };
+
+    it('flags a takeoff on a wave someone closer to the peak is riding', () => {
+      expect(findDropIn(surferAt(PEAK_X + 100, 255), [rider], PEAK_X, OCEAN_BOTTOM)).toBe('npc-1');
+    });
+
+    it('gives the rider closer to the peak right of way', () => {
+      expect(findDropIn(surferAt(PEAK_X + 2, 255), [rider], PEAK_X, OCEAN_BOTTOM)).toBeNull();
+    });
+
+    it('ignores riders on other waves and surfers still paddling', () => {
+      const otherWave = surferAt(PEAK_X + 100, 250 + OCEAN_BOTTOM * 0.2);
+      expect(findDropIn(otherWave, [rider], PEAK_X, OCEAN_BOTTOM)).toBeNull();
+
+      const paddler = { id: 'npc-2', surfer: surferAt(PEAK_X, 250) };
+      expect(findDropIn(surferAt(PEAK_X + 100, 250), [paddler], PEAK_X, OCEAN_BOTTOM)).toBeNull();
+    });
+
+    it('marks only the frame a ride starts', () => {
+      const surfer = surferAt(PEAK_X + 100, 255, SURFER_STATE.TAKEOFF);
+      const tracker = { duration: 0 };
+
+      expect(flagDropIn(null, tracker, surfer, [rider], PEAK_X, OCEAN_BOTTOM).dropIn).toBe('npc-1');
+      expect(flagDropIn(tracker, tracker, surfer, [rider], PEAK_X, OCEAN_BOTTOM)).toBe(tracker);
+      expect(flagDropIn(null, null, surfer, [rider], PEAK_X, OCEAN_BOTTOM)).toBeNull();
+    });
+  });
+
+  describe('avoidCollisions', () => {
+    it('steers away from a surfer inside the avoid radius', () => {
+      const input = { ...NO_INPUT, left: true, down: true };
+      const avoided = avoidCollisions(surferAt(400, 300), input, [surferAt(390, 310)]);
+
+      expect(avoided).toBe(true);
+      expect(input.right).toBe(true);
+      expect(input.left).toBe(false);
+      expect(input.down).toBe(false); // they are shoreward
+    });
+
+    it('leaves input alone when nobody is close', () => {
+      const input = { ...NO_INPUT, left: true };
+      expect(avoidCollisions(surferAt(400, 300), input, [surferAt(200, 300)])).toBe(false);
+      expect(input).toEqual({ ...NO_INPUT, left: true });
+    });
+  });
+
+  describe('updateCrowd', () => {
+    it('moves every NPC and keeps their ids', () => {
+      const crowd = [0, 1, 2].map(npc);
+      const next = updateCrowd(crowd, createCrowdEnv(createEnergyField(), { randomFn: () => 0.5 }));
+
+      expect(next.map((n) => n.id)).toEqual(['npc-1', 'npc-2', 'npc-3']);
+      expect(next).not.toBe(crowd);
+      next.forEach((n) => expect(n.lastInput).toBeDefined());
+    });
+
+    it('yields a wave someone with priority is riding', () => {
+      const expert = paddling(2);
+      const env = createCrowdEnv(steepField(SURFER_CONFIG.takeoffSlope * 2), {
+        // The player is riding the same wave right on the peak
+        player: surferAt(PEAK_X, expert.surfer.y, SURFER_STATE.RIDING),
+        randomFn: () => 0,
+      });
+      expect(DROP_IN_CHANCE[AI_MODE.EXPERT]).toBe(0);
+
+      const [next] = updateCrowd([expert], env);
+
+      expect(next.surfer.state).toBe(SURFER_STATE.PADDLING);
+      expect(next.dropIns).toBe(0);
+    });
+
+    it('records a drop-in when an NPC goes anyway', () => {
+      const beginner = paddling(0);
+      const env = createCrowdEnv(steepField(SURFER_CONFIG.takeoffSlope * 2), {
+        player: surferAt(PEAK_X, beginner.surfer.y, SURFER_STATE.RIDING),
+        randomFn: () => 0, // always below the beginner's drop-in chance
+      });
+
+      const [next] = updateCrowd([beginner], env);
+
+      expect(next.surfer.state).toBe(SURFER_STATE.TAKEOFF);
+      expect(next.rideTracker.dropIn).toBe('player');
+      expect(next.dropIns).toBe(1);
+    });
+
+    it('takes an open wave when nobody has priority', () => {
+      const expert = paddling(2);
+      const env = createCrowdEnv(steepField(SURFER_CONFIG.takeoffSlope * 2), {
+        randomFn: () => 0.5,
+      });
+
+      const [next] = updateCrowd([expert], env);
+
+      expect(next.surfer.state).toBe(SURFER_STATE.TAKEOFF);
+      expect(next.rideTracker.dropIn).toBeUndefined();
+    });
+  });
+
+  describe('resizeCrowd', () => {
+    const resize = (crowd, size) =>
+      resizeCrowd(crowd, size, DEFAULT_BATHYMETRY, CANVAS_WIDTH, OCEAN_TOP, OCEAN_BOTTOM, SHORE_Y);
+
+    it('adds NPCs at the next lineup spots and keeps the existing ones', () => {
+      const small = resize([], 2);
+      const big = resize(small, 4);
+      expect(big.map((n) => n.id)).toEqual(['npc-1', 'npc-2', 'npc-3', 'npc-4']);
+      expect(big[0]).toBe(small[0]);
+    });
+
+    it('drops the last NPCs when shrinking and clamps to the max size', () => {
+      expect(resize(resize([], 4), 1).map((n) => n.id)).toEqual(['npc-1']);
+      expect(resize([], 100)).toHaveLength(CROWD_CONFIG.maxSize);
+    });
+
+    it('returns the same array when the size is unchanged', () => {
+      const crowd = resize([], 3);
+      expect(resize(crowd, 3)).toBe(crowd);
+    });
+  });
+
+  describe('getCrowdStats', () => {
+    it('sums riders, judged rides and drop-ins', () => {
+      const crowd = [npc(0), npc(1)];
+      crowd[0] = {
+        ...crowd[0],
+        dropIns: 2,
+        surfer: { ...crowd[0].surfer, state: SURFER_STATE.RIDING },
+        scorecard: { rides: [{ score: 1 }], best: [0], total: 1 },
+      };
+
+      expect(getCrowdStats(crowd)).toEqual({
+        size: 2,
+        maxSize: CROWD_CONFIG.maxSize,
+        riding: 1,
+        rides: 1,
+        dropIns: 2,
+      });
+    });
+  });
+
+  describe('drawCrowd', () => {
+    it('labels each NPC with its mode', () => {
+      const ctx = {
+        save: vi.fn(),
+        restore: vi.fn(),
+        beginPath: vi.fn(),
+        arc: vi.fn(),
+        ellipse: vi.fn(),
+        fill: vi.fn(),
+        stroke: vi.fn(),
+        fillText: vi.fn(),
+        translate: vi.fn(),
+        rotate: vi.fn(),
+        moveTo: vi.fn(),
+        lineTo: vi.fn(),
+        closePath: vi.fn(),
+        fillRect: vi.fn(),
+      };
+      const { foam } = createFoamGrids();
+
+      drawCrowd(
+        ctx,
+        [npc(0), npc(2)],
+        foam,
+        CANVAS_WIDTH,
+        OCEAN_TOP,
+        OCEAN_BOTTOM,
+        PLAYER_PROXY_CONFIG
+      );
+
+      const labels = ctx.fillText.mock.calls.map((call) => call[0]);
+      expect(labels).toContain('B');
+      expect(labels).toContain('E');
+    });
+  });
+});
@@ -0,0 +1,355 @@
+// Crowd Model
+// NPC surfers sharing the lineup with the player, with surf etiquette
+//
+// Each NPC is a surfer (surferModel) driven by its own AI state (aiPlayerModel)
+// and judged like the player (rideScoreModel). On top of that:
+// - lineup: NPCs spread out around the peak instead of all sitting on it
+// - priority: on a wave, the rider closest to the peak has right of way
+// - drop-ins: taking off in front of a rider with priority flags the ride and
+//   costs points when it is judged; polite NPCs yield instead
+// - collision avoidance: NPCs paddle and trim away from surfers that get too close
+//
+// The crowd is plain data in world.crowd; updateCrowd returns a new array each tick.
+
+import { AI_MODE, createAIState, updateAIPlayer } from './aiPlayerModel.js';
+import { SURFER_STATE, createSurfer, updateSurfer, drawSurfer } from './surferModel.js';
+import { trackRide, createScorecard, addRideToScorecard } from './rideScoreModel.js';
+import { getPeakX } from './bathymetryModel.js';
+import { sampleFoamIntensity } from './playerProxyModel.js';
+
+export const CROWD_CONFIG = {
+  maxSize: 8,
+  lineupSpacing: 0.07, // ocean widths between neighbouring lineup spots
+  lineupDepthJitter: 0.06, // progress spread of the lineup spots
+  sameWaveDistance: 0.08, // riders within this progress of each other share a wave
+  avoidRadius: 28, // px - steer away from surfers closer than this
+};
+
+// Chance per second that an NPC goes anyway while someone with priority is riding the wave
+export const DROP_IN_CHANCE = {
+  [AI_MODE.BEGINNER]: 0.25,
+  [AI_MODE.INTERMEDIATE]: 0.05,
+  [AI_MODE.EXPERT]: 0,
+};
+
+const CROWD_MODES = [AI_MODE.BEGINNER, AI_MODE.INTERMEDIATE, AI_MODE.EXPERT];
+
+const isStanding = (surfer) =>
+  surfer.state === SURFER_STATE.TAKEOFF || surfer.state === SURFER_STATE.RIDING;
+
+/**
+ * Lineup spot for the index-th NPC: alternating sides of the peak, further out each pair
+ * @param {number} index - NPC index
+ * @param {object} config - CROWD_CONFIG
+ * @returns {{offset: number, progress: number}} Offset from the peak (ocean widths) and
+ *   progress shift from the mode's target zone
+ */
+export function getLineupSpot(index, config = CROWD_CONFIG) {
+  const side = index % 2 === 0 ? 1 : -1;
+  const rank = Math.floor(index / 2) + 1;
+  return {
+    offset: side * rank * config.lineupSpacing,
+    progress: ((index % 3) - 1) * config.lineupDepthJitter,
+  };
+}
+
+/**
+ * Create an NPC surfer sitting at its lineup spot
+ * @param {number} index - NPC index (also picks the mode: beginner, intermediate, expert, ...)
+ * @param {object} bathymetry - Bathymetry (for the peak)
+ * @param {number} canvasWidth
+ * @param {number} oceanTop
+ * @param {number} oceanBottom
+ * @param {number} shoreY
+ * @param {object} config - CROWD_CONFIG
+ * @returns {object} NPC {id, mode, surfer, aiState, lastInput, rideTracker, scorecard, dropIns}
+ */
+export function createCrowdSurfer(
+  index,
+  bathymetry,
+  canvasWidth,
+  oceanTop,
+  oceanBottom,
+  shoreY,
+  config = CROWD_CONFIG
+) {
+  const mode = CROWD_MODES[index % CROWD_MODES.length];
+  const base = createAIState(mode);
+  const spot = getLineupSpot(index, config);
+  const zone = (base.config.minProgress + base.config.maxProgress) / 2 + spot.progress;
+  const x = Math.max(0, Math.min(1, getPeakX(bathymetry) + spot.offset)) * canvasWidth;
+
+  return {
+    id: `npc-${index + 1}`,
+    mode,
+    surfer: {
+      ...createSurfer(canvasWidth, shoreY),
+      x,
+      y: oceanTop + zone * (oceanBottom - oceanTop),
+    },
+    aiState: { ...base, lineupOffset: spot.offset, lineupProgress: spot.progress },
+    lastInput: { left: false, right: false, up: false, down: false },
+    rideTracker: null,
+    scorecard: createScorecard(),
+    dropIns: 0,
+  };
+}
+
+/**
+ * Find whom a rider drops in on
+ *
+ * A drop-in is standing up on a wave that a rider closer to the peak is already riding.
+ *
+ * @param {object} surfer - Rider who is taking off
+ * @param {Array<{id: string, surfer: object}>} others - Everyone else in the water
+ * @param {number} peakX - Peak position in px
+ * @param {number} oceanHeight - Ocean height in px
+ * @param {object} config - CROWD_CONFIG
+ * @returns {string|null} Id of the rider with priority, or null
+ */
+export function findDropIn(surfer, others, peakX, oceanHeight, config = CROWD_CONFIG) {
+  const distance = Math.abs(surfer.x - peakX);
+  for (const other of others) {
+    if (!isStanding(other.surfer)) continue;
+    const sameWave = Math.abs(other.surfer.y - surfer.y) / oceanHeight <= config.sameWaveDistance;
+    if (sameWave && Math.abs(other.surfer.x - peakX) < distance) {
+      return other.id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Mark a ride that just started as a drop-in when it cuts off a rider with priority
+ * @param {object|null} previous - Tracker before this frame (null = not riding)
+ * @param {object|null} tracker - Tracker after this frame
+ * @param {object} surfer - Rider
+ * @param {Array} others - Everyone else in the water ({id, surfer})
+ * @param {number} peakX - Peak position in px
+ * @param {number} oceanHeight - Ocean height in px
+ * @returns {object|null} Tracker (with dropIn set to the victim's id on a drop-in)
+ */
+export function flagDropIn(previous, tracker, surfer, others, peakX, oceanHeight) {
+  if (previous || !tracker) return tracker;
+  const victim = findDropIn(surfer, others, peakX, oceanHeight);
+  return victim ? { ...tracker, dropIn: victim } : tracker;
+}
+
+/**
+ * Steer away from the nearest surfer inside the avoid radius (mutates input)
+ * @param {object} surfer - Rider steering
+ * @param {object} input - {left, right, up, down} from the AI
+ * @param {Array<object>} others - Other surfers ({x, y})
+ * @param {object} config - CROWD_CONFIG
+ * @returns {boolean} Whether the rider had to avoid someone
+ */
+export function avoidCollisions(surfer, input, others, config = CROWD_CONFIG) {
+  let nearest = null;
+  let nearestDistance = config.avoidRadius;
+  for (const other of others) {
+    const d = Math.hypot(other.x - surfer.x, other.y - surfer.y);
+    if (d < nearestDistance) {
+      nearest = other;
+      nearestDistance = d;
+    }
+  }
+  if (!nearest) return false;
+
+  // Sideways away from them (paddling) or trim away (riding)
+  const away = nearest.x <= surfer.x ? 1 : -1;
+  input.left = away < 0;
+  input.right = away > 0;
+  if (!isStanding(surfer)) {
+    // Don't paddle into them either
+    if (nearest.y > surfer.y) input.down = false;
+    if (nearest.y < surfer.y) input.up = false;
+  }
+  return true;
+}
+
+/**
+ * Advance every NPC by one frame
+ *
+ * @param {Array} crowd - NPCs from createCrowdSurfer
+ * @param {object} env - World around the crowd
+ * @param {object} env.world - World state (foam grid, bathymetry and energy field for the AI)
+ * @param {object} env.player - Player surfer (or null) - part of the lineup for priority and avoidance
+ * @param {object} env.surferEnv - updateSurfer env (foamGrid, energyField, shoreY, ocean bounds, ...)
+ * @param {number} env.dt - Delta time in seconds
+ * @param {number} env.gameTime - Game time in ms
+ * @param {function} env.randomFn - Seeded random (drop-in decisions)
+ * @param {object} config - CROWD_CONFIG
+ * @returns {Array} Updated crowd
+ */
+export function updateCrowd(crowd, env, config = CROWD_CONFIG) {
+  const { world, player = null, surferEnv, dt, gameTime, randomFn = Math.random } = env;
+  const { canvasWidth, canvasHeight, oceanTop, oceanBottom, travelDuration } = surferEnv;
+  const oceanHeight = oceanBottom - oceanTop;
+  const peakX = getPeakX(world.bathymetry) * canvasWidth;
+
+  // Positions at the start of the frame, so every NPC sees the same lineup
+  const lineup = crowd.map((npc) => ({ id: npc.id, surfer: npc.surfer }));
+  if (player) lineup.push({ id: 'player', surfer: player });
+
+  return crowd.map((npc) => {
+    const others = lineup.filter((entry) => entry.id !== npc.id);
+    const aiState = npc.aiState;
+    const input = updateAIPlayer(
+      npc.surfer,
+      aiState,
+      world,
+      dt,
+      canvasWidth,
+      canvasHeight,
+      oceanTop,
+      oceanBottom,
+      travelDuration,
+      randomFn
+    );
+
+    // Etiquette: don't go for a wave someone closer to the peak is already riding
+    if (
+      input.down &&
+      npc.surfer.state === SURFER_STATE.PADDLING &&
+      findDropIn(npc.surfer, others, peakX, oceanHeight, config) &&
+      randomFn() >= DROP_IN_CHANCE[npc.mode] * dt
+    ) {
+      input.down = false;
+    }
+
+    avoidCollisions(
+      npc.surfer,
+      input,
+      others.map((entry) => entry.surfer),
+      config
+    );
+
+    const surfer = updateSurfer(npc.surfer, dt, input, surferEnv);
+
+    const judged = trackRide(
+      npc.rideTracker,
+      surfer,
+      { ...surferEnv, energyField: world.energyField },
+      dt,
+      gameTime,
+      npc.id
+    );
+    const rideTracker = flagDropIn(
+      npc.rideTracker,
+      judged.tracker,
+      surfer,
+      others,
+      peakX,
+      oceanHeight
+    );
+    const dropIns = npc.dropIns + (rideTracker?.dropIn && !npc.rideTracker ? 1 : 0);
+
+    if (judged.ride) {
+      aiState.stats.bestScore = Math.max(aiState.stats.bestScore, judged.ride.score);
+    }
+
+    return {
+      ...npc,
+      surfer,
+      aiState,
+      lastInput: input,
+      rideTracker,
+      scorecard: judged.ride ? addRideToScorecard(npc.scorecard, judged.ride) : npc.scorecard,
+      dropIns,
+    };
+  });
+}
+
+/**
+ * Grow or shrink the crowd to a size (new NPCs paddle in at their lineup spots)
+ * @param {Array} crowd - Current NPCs
+ * @param {number} size - Wanted number of NPCs (clamped to maxSize)
+ * @param {object} bathymetry
+ * @param {number} canvasWidth
+ * @param {number} oceanTop
+ * @param {number} oceanBottom
+ * @param {number} shoreY
+ * @param {object} config - CROWD_CONFIG
+ * @returns {Array} Crowd of the requested size (the same array if unchanged)
+ */
+export function resizeCrowd(
+  crowd,
+  size,
+  bathymetry,
+  canvasWidth,
+  oceanTop,
+  oceanBottom,
+  shoreY,
+  config = CROWD_CONFIG
+) {
+  const target = Math.max(0, Math.min(config.maxSize, Math.round(size || 0)));
+  if (target === crowd.length) return crowd;
+  if (target < crowd.length) return crowd.slice(0, target);
+
+  const grown = [...crowd];
+  for (let i = crowd.length; i < target; i++) {
+    grown.push(
+      createCrowdSurfer(i, bathymetry, canvasWidth, oceanTop, oceanBottom, shoreY, config)
+    );
+  }
+  return grown;
+}
+
+/**
+ * Summary of the crowd for the debug panel and headless metrics
+ * @param {Array} crowd - NPCs
+ * @param {object} config - CROWD_CONFIG
+ * @returns {{size: number, maxSize: number, riding: number, rides: number, dropIns: number}}
+ */
+export function getCrowdStats(crowd, config = CROWD_CONFIG) {
+  return {
+    size: crowd.length,
+    maxSize: config.maxSize,
+    riding: crowd.filter((npc) => isStanding(npc.surfer)).length,
+    rides: crowd.reduce((sum, npc) => sum + npc.scorecard.rides.length, 0),
+    dropIns: crowd.reduce((sum, npc) => sum + npc.dropIns, 0),
+  };
+}
+
+// Mode initials for the labels
+const MODE_LABEL = {
+  [AI_MODE.BEGINNER]: 'B',
+  [AI_MODE.INTERMEDIATE]: 'I',
+  [AI_MODE.EXPERT]: 'E',
+};
+
+/**
+ * Draw every NPC with its mode initial (and a warning while riding a drop-in)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} crowd - NPCs
+ * @param {object} foamGrid - Foam grid (danger tint)
+ * @param {number} canvasWidth
+ * @param {number} oceanTop
+ * @param {number} oceanBottom
+ * @param {object} playerConfig - PLAYER_PROXY_CONFIG (size)
+ */
+export function drawCrowd(ctx, crowd, foamGrid, canvasWidth, oceanTop, oceanBottom, playerConfig) {
+  for (const npc of crowd) {
+    const { surfer } = npc;
+    const foam = sampleFoamIntensity(
+      surfer.x,
+      surfer.y,
+      foamGrid,
+      canvasWidth,
+      oceanTop,
+      oceanBottom
+    );
+    drawSurfer(ctx, surfer, foam, playerConfig);
+
+    ctx.save();
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillText(MODE_LABEL[npc.mode] ?? '?', surfer.x, surfer.y + playerConfig.radius * 2.8);
+    if (npc.rideTracker?.dropIn) {
+      ctx.fillStyle = '#ff6b6b';
+      ctx.fillText('DROP IN', surfer.x, surfer.y - playerConfig.radius * 3.4);
+    }
+    ctx.restore();
+  }
+}
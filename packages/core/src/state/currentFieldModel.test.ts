@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CURRENT_CONFIG,
+  createCurrentField,
+  updateCurrentField,
+  sampleCurrent,
+  measureCurrents,
+} from './currentFieldModel.js';
+
+const DT = 0.1; // currents settle over seconds; coarse steps keep the tests quick
+
+// Transfer frame that breaks at a steady rate wherever inside(x, progress) holds
+function createFrame(field, inside, perSecond = 0.1) {
+  const frame = new Float32Array(field.width * field.height);
+  for (let y = 0; y < field.height; y++) {
+    for (let x = 0; x < field.width; x++) {
+      if (inside((x + 0.5) / field.width, (y + 0.5) / field.height)) {
+        frame[y * field.width + x] = perSecond * DT;
+      }
+    }
+  }
+  return frame;
+}
+
+function run(field, frame, seconds, options = {}, depth = 3) {
+  for (let i = 0; i < seconds / DT; i++) {
+    updateCurrentField(field, frame, () => depth, DT, options);
+  }
+  return field;
+}
+
+const surfZone = (_x, progress) => progress > 0.55 && progress < 0.8;
+// Sandbar breaking everywhere except a channel in the middle
+const barWithGap = (x, progress) => progress > 0.5 && progress < 0.65 && Math.abs(x - 0.5) > 0.08;
+
+describe('currentFieldModel', () => {
+  describe('createCurrentField', () => {
+    it('starts still', () => {
+      const field = createCurrentField(8, 6);
+
+      expect(field.vx).toHaveLength(48);
+      expect(field.vy).toHaveLength(48);
+      expect(measureCurrents(field)).toEqual({ ripSpeed: 0, longshore: 0 });
+    });
+  });
+
+  describe('updateCurrentField', () => {
+    it('stays still without breaking', () => {
+      const field = createCurrentField();
+      run(field, new Float32Array(field.width * field.height), 2, { waveAngle: 20 });
+
+      expect(measureCurrents(field)).toEqual({ ripSpeed: 0, longshore: 0 });
+    });
+
+    it('holds shore-normal breaking back with setup (no rip, no drift)', () => {
+      const field = run(createCurrentField(), createFrame(createCurrentField(), surfZone), 20);
+      const { ripSpeed, longshore } = measureCurrents(field);
+
+      expect(ripSpeed).toBeLessThan(1e-3);
+      expect(Math.abs(longshore)).toBeLessThan(1e-4);
+    });
+
+    it('drives a longshore drift in the direction of angled swell', () => {
+      const frame = createFrame(createCurrentField(), surfZone);
+      const right = run(createCurrentField(), frame, 20, { waveAngle: 20 });
+      const left = run(createCurrentField(), frame, 20, { waveAngle: -20 });
+
+      const inSurf = sampleCurrent(right, 0.3, 0.7);
+      const offshore = sampleCurrent(right, 0.3, 0.2);
+      expect(inSurf.vx).toBeGreaterThan(0.005);
+      expect(Math.abs(offshore.vx)).toBeLessThan(inSurf.vx / 10);
+      expect(sampleCurrent(left, 0.3, 0.7).vx).toBeCloseTo(-inSurf.vx, 6);
+    });
+
+    it('returns water seaward through a gap in the sandbar', () => {
+      const field = createCurrentField();
+      run(field, createFrame(field, barWithGap), 20);
+
+      // Rip in the channel, shoreward over the bar
+      expect(sampleCurrent(field, 0.5, 0.58).vy).toBeLessThan(-0.01);
+      expect(sampleCurrent(field, 0.3, 0.58).vy).toBeGreaterThan(0);
+      // Feeder currents behind the bar converge on the channel
+      expect(sampleCurrent(field, 0.4, 0.7).vx).toBeGreaterThan(0);
+      expect(sampleCurrent(field, 0.6, 0.7).vx).toBeLessThan(0);
+      expect(measureCurrents(field).ripSpeed).toBeGreaterThan(0.01);
+    });
+
+    it('carries less water over shallow bars than through deep channels', () => {
+      const frame = createFrame(createCurrentField(), barWithGap);
+      const deep = run(createCurrentField(), frame, 20, {}, 6);
+      const shallow = run(createCurrentField(), frame, 20, {}, 0.5);
+
+      expect(measureCurrents(shallow).ripSpeed).toBeLessThan(measureCurrents(deep).ripSpeed);
+    });
+
+    it('spins up over several seconds', () => {
+      const frame = createFrame(createCurrentField(), barWithGap);
+      const early = run(createCurrentField(), frame, 0.5);
+      const settled = run(createCurrentField(), frame, 20);
+
+      expect(measureCurrents(early).ripSpeed).toBeLessThan(measureCurrents(settled).ripSpeed / 2);
+    });
+
+    it('keeps the shore as a wall', () => {
+      const field = run(createCurrentField(), createFrame(createCurrentField(), barWithGap), 20);
+      const lastRow = (field.height - 1) * field.width;
+      const shoreward = Math.max(...field.vy.slice(lastRow));
+
+      expect(shoreward).toBeLessThan(DEFAULT_CURRENT_CONFIG.strength * 0.05);
+    });
+  });
+
+  describe('sampleCurrent', () => {
+    it('interpolates between cell centers and clamps at the edges', () => {
+      const field = createCurrentField(2, 2);
+      field.vx.set([0, 1, 0, 1]);
+      field.vy.set([0, 0, 2, 2]);
+
+      expect(sampleCurrent(field, 0.5, 0.5)).toEqual({ vx: 0.5, vy: 1 });
+      expect(sampleCurrent(field, 0, 0)).toEqual({ vx: 0, vy: 0 });
+      expect(sampleCurrent(field, 1.2, 1.2)).toEqual({ vx: 1, vy: 2 });
+    });
+  });
+
+  describe('measureCurrents', () => {
+    it('reports the fastest seaward flow and the mean drift', () => {
+      const field = createCurrentField(2, 1);
+      field.vx.set([0.2, 0.4]);
+      field.vy.set([-0.3, 0.5]);
+
+      const stats = measureCurrents(field);
+      expect(stats.ripSpeed).toBeCloseTo(0.3, 6);
+      expect(stats.longshore).toBeCloseTo(0.3, 6);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+// Current Field Model - Rip and longshore currents driven by breaking waves
+//
+// Breaking waves push water the way they travel. Where the push is even along
+// the beach it is held back by wave setup at the shore and nothing flows; where
+// it is uneven (a sandbar breaks, the channel beside it does not) water piles up
+// behind the bar, runs along the beach (feeder currents) and escapes seaward
+// through the gap - a rip. Angled swell adds a longshore drift in the surf zone.
+//
+// Solved each tick as a projection (stable-fluids style) on a staggered grid:
+// 1. breaking: leaky average of energy transfer per second, per cell
+// 2. forcing F = breaking * (sin θ, cos θ), θ refracted toward shore-normal (Snell)
+// 3. steady flow u = k (F - ∇φ) with ∇·u = 0: shore is a wall, the horizon is open
+//    and the sides wrap; k (0-1) lets deep channels carry more than shallow bars
+// 4. the current eases toward the steady flow over spinUpTime
+//
+// Velocities are stored per axis in normalized ocean units: vx in ocean widths
+// per second, vy in ocean heights per second (+ = toward shore). Multiply by the
+// canvas width / ocean pixel height for px/s.
+
+import { FIELD_HEIGHT, FIELD_WIDTH } from './energyFieldModel.js';
+
+export const DEFAULT_CURRENT_CONFIG = {
+  strength: 0.2, // ocean heights per second at full forcing
+  longshoreGain: 2, // alongshore push is only held back by friction, not setup
+  breakingGain: 20, // breaking (transfer per second) → forcing; 1 = full push
+  breakingMemory: 6, // seconds breaking keeps forcing after the wave has passed
+  spinUpTime: 4, // seconds for the current to settle toward the steady flow
+  channelDepth: 4, // meters at which water flows freely (shallower = more resistance)
+  minTransmissivity: 0.1, // resistance floor so bars still pass some water
+  solveInterval: 0.1, // seconds between flow solves (the breaking average runs every tick)
+  iterations: 30, // SOR iterations per solve (warm-started from the last potential)
+};
+
+/**
+ * Create an empty current field
+ * @param {number} width - Cells across (default matches the energy field)
+ * @param {number} height - Cells horizon to shore
+ * @returns {object} Current field {vx, vy, breaking, potential, sinceSolve, width, height}
+ */
+export function createCurrentField(width = FIELD_WIDTH, height = FIELD_HEIGHT) {
+  const size = width * height;
+  return {
+    vx: new Float32Array(size), // ocean widths per second, + = right
+    vy: new Float32Array(size), // ocean heights per second, + = shoreward
+    breaking: new Float32Array(size), // leaky-averaged energy transfer per second
+    potential: new Float32Array(size), // setup potential φ (kept to warm-start the solver)
+    sinceSolve: 0, // seconds of breaking since the last flow solve
+    width,
+    height,
+  };
+}
+
+// Solver arrays per field, rewritten on every solve (the shore row of yForce/yK
+// past size is never written and stays 0)
+const solverBuffers = new WeakMap();
+
+function getSolverBuffers(field, size, width) {
+  let buffers = solverBuffers.get(field);
+  if (!buffers || buffers.rhs.length !== size || buffers.yK.length !== size + width) {
+    buffers = {
+      fx: new Float32Array(size),
+      fy: new Float32Array(size),
+      k: new Float32Array(size),
+      xForce: new Float32Array(size),
+      xK: new Float32Array(size),
+      yForce: new Float32Array(size + width),
+      yK: new Float32Array(size + width),
+      rhs: new Float32Array(size),
+    };
+    solverBuffers.set(field, buffers);
+  }
+  return buffers;
+}
+
+/**
+ * Advance the current field by one frame (mutates the field)
+ *
+ * @param {object} field - Current field
+ * @param {Float32Array} transferFrame - Latest energy transfer frame (0-1, same grid size)
+ * @param {function} getDepthFn - Function(normalizedX, progress) returning depth in meters
+ * @param {number} dt - Time step in seconds
+ * @param {object} options - Overrides for DEFAULT_CURRENT_CONFIG, plus:
+ * @param {number} options.aspectRatio - Ocean width / ocean height (default 1.5)
+ * @param {number} options.waveAngle - Offshore swell direction in degrees (+ = toward +x)
+ * @param {number} options.deepDepth - Depth the swell angle is measured at (default 30)
+ */
+export function updateCurrentField(
+  field,
+  transferFrame,
+  getDepthFn,
+  dt,
+  options: Record<string, any> = {}
+) {
+  const {
+    strength,
+    longshoreGain,
+    breakingGain,
+    breakingMemory,
+    spinUpTime,
+    channelDepth,
+    minTransmissivity,
+    solveInterval,
+    iterations,
+  } = { ...DEFAULT_CURRENT_CONFIG, ...options };
+  const { aspectRatio = 1.5, waveAngle = 0, deepDepth = 30 } = options;
+  if (!(dt > 0)) return;
+
+  const { vx, vy, breaking, potential, width, height } = field;
+  const size = width * height;
+  const dx = aspectRatio / width;
+  const dy = 1 / height;
+
+  // 1. Breaking rate (leaky average; frames only light up as a crest passes)
+  const memory = 1 - Math.exp(-dt / breakingMemory);
+  if (transferFrame && transferFrame.length === size) {
+    for (let i = 0; i < size; i++) {
+      breaking[i] += (transferFrame[i] / dt - breaking[i]) * memory;
+    }
+  }
+
+  // Currents change over seconds; solving every frame would only cost time
+  field.sinceSolve += dt;
+  if (field.sinceSolve < solveInterval) return;
+  const solveDt = field.sinceSolve;
+  field.sinceSolve = 0;
+
+  // 2. Cell forcing and transmissivity
+  const sin0 = Math.sin((waveAngle * Math.PI) / 180);
+  const { fx, fy, k, xForce, xK, yForce, yK, rhs } = getSolverBuffers(field, size, width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const depth = Math.max(0, getDepthFn((x + 0.5) / width, (y + 0.5) / height));
+      // Snell: sin θ / c constant, c ∝ √depth
+      const sinTheta = sin0 * Math.sqrt(Math.min(1, depth / deepDepth));
+      const push = Math.min(1, breaking[i] * breakingGain);
+      fx[i] = push * sinTheta * longshoreGain;
+      fy[i] = push * Math.sqrt(1 - sinTheta * sinTheta);
+      k[i] = Math.max(minTransmissivity, Math.min(1, depth / channelDepth));
+    }
+  }
+
+  // Face values: x arrays hold the left face of each cell (sides wrap); y arrays
+  // hold the top face, with one extra row for the shore wall below the last row
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const left = y * width + ((x + width - 1) % width);
+      xK[i] = 0.5 * (k[i] + k[left]);
+      xForce[i] = 0.5 * (fx[i] + fx[left]);
+      if (y === 0) {
+        yK[i] = k[i];
+        yForce[i] = fy[i];
+      } else {
+        yK[i] = 0.5 * (k[i] + k[i - width]);
+        yForce[i] = 0.5 * (fy[i] + fy[i - width]);
+      }
+    }
+  }
+  // Shore faces stay 0: no flow through the beach
+
+  // 3. Solve ∇·(k∇φ) = ∇·(kF) by SOR; φ = 0 beyond the horizon (open sea)
+  const invDx2 = 1 / (dx * dx);
+  const invDy2 = 1 / (dy * dy);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const right = y * width + ((x + 1) % width);
+      rhs[i] =
+        (xK[right] * xForce[right] - xK[i] * xForce[i]) / dx +
+        (yK[i + width] * yForce[i + width] - yK[i] * yForce[i]) / dy;
+    }
+  }
+
+  const omega = 1.7;
+  for (let iter = 0; iter < iterations; iter++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const leftCell = y * width + ((x + width - 1) % width);
+        const rightCell = y * width + ((x + 1) % width);
+        const kl = xK[i] * invDx2;
+        const kr = xK[rightCell] * invDx2;
+        const kt = yK[i] * invDy2 * (y === 0 ? 2 : 1); // Dirichlet at the horizon face
+        const kb = y < height - 1 ? yK[i + width] * invDy2 : 0;
+
+        let sum = kl * potential[leftCell] + kr * potential[rightCell];
+        if (y > 0) sum += kt * potential[i - width];
+        if (y < height - 1) sum += kb * potential[i + width];
+
+        const target = (sum - rhs[i]) / (kl + kr + kt + kb);
+        potential[i] += omega * (target - potential[i]);
+      }
+    }
+  }
+
+  // 4. Face velocities → cell centers, eased toward the steady flow
+  const spinUp = 1 - Math.exp(-solveDt / spinUpTime);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const leftCell = y * width + ((x + width - 1) % width);
+      const right = y * width + ((x + 1) % width);
+
+      const uLeft = xK[i] * (xForce[i] - (potential[i] - potential[leftCell]) / dx);
+      const uRight = xK[right] * (xForce[right] - (potential[right] - potential[i]) / dx);
+      const above = y > 0 ? potential[i - width] : -potential[i];
+      const vTop = yK[i] * (yForce[i] - (potential[i] - above) / dy);
+      const vBottom =
+        y < height - 1
+          ? yK[i + width] * (yForce[i + width] - (potential[i + width] - potential[i]) / dy)
+          : 0;
+
+      // Isotropic ocean heights/s → ocean widths/s across
+      const targetX = (strength * 0.5 * (uLeft + uRight)) / aspectRatio;
+      const targetY = strength * 0.5 * (vTop + vBottom);
+      vx[i] += (targetX - vx[i]) * spinUp;
+      vy[i] += (targetY - vy[i]) * spinUp;
+    }
+  }
+}
+
+/**
+ * Sample the current at normalized coordinates (bilinear between cell centers)
+ * @param {object} field - Current field
+ * @param {number} normalizedX - 0 (left) to 1 (right)
+ * @param {number} progress - 0 (horizon) to 1 (shore)
+ * @returns {{vx: number, vy: number}} Ocean widths/s across, ocean heights/s shoreward
+ */
+export function sampleCurrent(field, normalizedX, progress) {
+  const { vx, vy, width, height } = field;
+  const gx = Math.max(0, Math.min(width - 1, normalizedX * width - 0.5));
+  const gy = Math.max(0, Math.min(height - 1, progress * height - 0.5));
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = gx - x0;
+  const fy = gy - y0;
+
+  const lerp2 = (data) => {
+    const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+    const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+
+  return { vx: lerp2(vx), vy: lerp2(vy) };
+}
+
+/**
+ * Summary numbers for metrics and the debug panel
+ * @param {object} field - Current field
+ * @returns {object} {ripSpeed: fastest seaward flow, longshore: mean drift (ocean widths/s)}
+ */
+export function measureCurrents(field) {
+  const { vx, vy } = field;
+  let ripSpeed = 0;
+  let longshore = 0;
+  for (let i = 0; i < vy.length; i++) {
+    if (-vy[i] > ripSpeed) ripSpeed = -vy[i];
+    longshore += vx[i];
+  }
+  return { ripSpeed, longshore: longshore / vx.length };
+}
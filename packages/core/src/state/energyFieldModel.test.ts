@@ -3,15 +3,39 @@ import {
   createEnergyField,
   createSwellSource,
   injectSwells,
+  swellsFromConfigs,
   updateEnergyField,
   getHeightAt,
   drainEnergyAt,
   injectWavePulse,
   resetRowAccumulator,
+  stepWaveEquation,
+  computeStableSubsteps,
+  getFieldSpeedRatio,
+  ENERGY_SOLVER,
+  FIELD_BOUNDARY,
   FIELD_WIDTH,
   FIELD_HEIGHT,
 } from './energyFieldModel.js';
 
+// Row of the strongest positive height in a column
+function peakRow(field, x) {
+  let best = 0;
+  for (let y = 1; y < field.gridHeight; y++) {
+    if (field.height[y * field.width + x] > field.height[best * field.width + x]) best = y;
+  }
+  return best;
+}
+
+function totalSquaredHeight(field) {
+  let sum = 0;
+  for (let i = 0; i < field.height.length; i++) sum += field.height[i] * field.height[i];
+  return sum;
+}
+
+// The legacy row-blending solver, which these propagation tests were written against
+const ADVECT = { solver: ENERGY_SOLVER.ADVECT };
+
 describe('energyFieldModel', () => {
   beforeEach(() => {
     resetRowAccumulator();
@@ -37,6 +61,18 @@ describe('energyFieldModel', () => {
     });
   });
 
+  describe('createSwellSource', () => {
+    it('defaults to a long-crested, shore-normal swell', () => {
+      expect(createSwellSource(10, 0.5)).toEqual({
+        period: 10,
+        amplitude: 0.5,
+        phase: 0,
+        direction: 0,
+        spread: 0,
+      });
+    });
+  });
+
   describe('injectSwells', () => {
     it('injects energy at horizon row (y=0)', () => {
       const field = createEnergyField();
@@ -64,6 +100,122 @@ describe('energyFieldModel', () => {
     });
   });
 
+  describe('injectSwells with direction', () => {
+    it('writes an angled wavefront across the horizon', () => {
+      const field = createEnergyField();
+
+      injectSwells(field, [createSwellSource(10, 1.0, 0, 30)], 1);
+
+      expect(field.height[0]).not.toBeCloseTo(field.height[field.width - 1], 2);
+    });
+
+    it('drives the side column the swell enters from', () => {
+      const field = createEnergyField();
+      const mid = 20 * field.width;
+
+      injectSwells(field, [createSwellSource(10, 1.0, 0, 30)], 1);
+
+      expect(field.height[mid]).not.toBe(0); // left edge
+      expect(field.height[mid + field.width - 1]).toBe(0); // right edge untouched
+    });
+
+    it('leaves the sides alone for shore-normal swell', () => {
+      const field = createEnergyField();
+
+      injectSwells(field, [createSwellSource(10, 1.0, 0.25)], 0);
+
+      expect(field.height[20 * field.width]).toBe(0);
+    });
+
+    it('keeps spread swells bounded by their amplitude', () => {
+      const field = createEnergyField();
+
+      for (let t = 0; t < 20; t += 0.5) {
+        injectSwells(field, [createSwellSource(8, 0.6, 0, 10, 20)], t);
+        for (let x = 0; x < field.width; x++) {
+          expect(Math.abs(field.height[x])).toBeLessThanOrEqual(0.6 + 1e-6);
+        }
+      }
+    });
+
+    it('makes cross swells peak unevenly along the horizon', () => {
+      const field = createEnergyField();
+      const swells = [createSwellSource(12, 0.5, 0, 20), createSwellSource(9, 0.5, 0, -25)];
+
+      injectSwells(field, swells, 3);
+
+      const row = Array.from(field.height.subarray(0, field.width));
+      expect(Math.max(...row) - Math.min(...row)).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('swellsFromConfigs', () => {
+    it('takes period and direction from the set and background configs', () => {
+      const [groundswell, windSwell] = swellsFromConfigs(
+        { wavePeriod: 14, swellDirection: 10, directionSpread: 5 },
+        { wavePeriod: 7, swellDirection: -20, directionSpread: 15 }
+      );
+
+      expect(groundswell).toMatchObject({ period: 14, direction: 10, spread: 5, amplitude: 0.6 });
+      expect(windSwell).toMatchObject({ period: 7, direction: -20, spread: 15, amplitude: 0.25 });
+    });
+
+    it('falls back to the default periods and shore-normal swell', () => {
+      const swells = swellsFromConfigs({}, {});
+
+      expect(swells.map((swell) => swell.period)).toEqual([12, 6]);
+      expect(swells.every((swell) => swell.direction === 0 && swell.spread === 0)).toBe(true);
+    });
+  });
+
+  describe('injectWavePulse along a staggered crest', () => {
+    it('places the pulse at each column progress', () => {
+      const field = createEnergyField();
+      const progressPerX = new Array(40).fill(0);
+      progressPerX.fill(0.5, 0, 20); // left half already halfway in
+
+      injectWavePulse(field, 1.0, { progressPerX });
+
+      const midRow = 0.5 * (field.gridHeight - 1);
+      const r0 = Math.floor(midRow);
+      const leftColumn = 5;
+      const rightColumn = field.width - 5;
+      expect(field.height[leftColumn]).toBe(0);
+      expect(
+        field.height[r0 * field.width + leftColumn] +
+          field.height[(r0 + 1) * field.width + leftColumn]
+      ).toBeCloseTo(1.0, 5);
+      expect(field.height[rightColumn]).toBe(1.0);
+    });
+
+    it('injects only the slices that have crossed the horizon', () => {
+      const field = createEnergyField();
+      const slices = new Array(40).fill(false).fill(true, 0, 20); // left half released
+
+      injectWavePulse(field, 1.0, { progressPerX: new Array(40).fill(0), slices });
+
+      expect(field.height[5]).toBe(1.0);
+      expect(field.height[field.width - 5]).toBe(0);
+    });
+
+    it('sends off-horizon pulses toward shore under the wave solver', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0, { progressPerX: new Array(40).fill(0.3) });
+      const startRow = peakRow(field, 30);
+
+      for (let i = 0; i < 180; i++) {
+        stepWaveEquation(field, () => 10, 1 / 60, 12, { depthDampingCoefficient: 0 });
+      }
+
+      expect(peakRow(field, 30)).toBeGreaterThan(startRow + 5);
+      // Little left behind travelling back toward the horizon
+      let offshore = 0;
+      for (let y = 0; y < startRow; y++)
+        offshore += Math.max(0, field.height[y * field.width + 30]);
+      expect(offshore).toBeLessThan(0.5);
+    });
+  });
+
   describe('updateEnergyField', () => {
     it('propagates energy from horizon toward shore', () => {
       const field = createEnergyField();
@@ -77,7 +229,7 @@ describe('energyFieldModel', () => {
 
       // Run 1 second of updates - should shift ~3 rows (40 rows / 12 sec)
       for (let i = 0; i < 60; i++) {
-        updateEnergyField(field, getDepth, 1 / 60, travelDuration);
+        updateEnergyField(field, getDepth, 1 / 60, travelDuration, ADVECT);
       }
 
       // Energy should have propagated to row 3
@@ -97,7 +249,7 @@ describe('energyFieldModel', () => {
 
       // Run updates
       for (let i = 0; i < 30; i++) {
-        updateEnergyField(field, getDepth, 0.1);
+        updateEnergyField(field, getDepth, 0.1, undefined, ADVECT);
       }
 
       // Sample energy at row 10, left vs right - should be similar
@@ -230,7 +382,7 @@ describe('energyFieldModel', () => {
       // Propagate energy to middle of field
       for (let i = 0; i < 120; i++) {
         // 2 seconds at 60fps
-        updateEnergyField(field, getDepth, 1 / 60, travelDuration);
+        updateEnergyField(field, getDepth, 1 / 60, travelDuration, ADVECT);
       }
 
       // Energy should have propagated to around row 6
@@ -248,4 +400,234 @@ describe('energyFieldModel', () => {
       expect(energyAfter).toBeLessThan(energyBefore);
     });
   });
+
+  describe('computeStableSubsteps', () => {
+    it('takes one step when the frame is under the CFL limit', () => {
+      expect(computeStableSubsteps(1, 0.001, 0.1, 0.1)).toBe(1);
+    });
+
+    it('splits long frames so each sub-step satisfies the CFL limit', () => {
+      const dx = 0.05;
+      const substeps = computeStableSubsteps(2, 1, dx, dx, 0.5);
+      const subDt = 1 / substeps;
+
+      expect(substeps).toBeGreaterThan(1);
+      expect(2 * subDt * Math.sqrt(2 / (dx * dx))).toBeLessThanOrEqual(0.5);
+    });
+  });
+
+  describe('stepWaveEquation', () => {
+    const noDamping = { depthDampingCoefficient: 0 };
+
+    it('moves a horizon pulse shoreward at the horizon-depth speed', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+
+      // Half the travel duration in flat water: peak near the middle row
+      for (let i = 0; i < 360; i++) {
+        stepWaveEquation(field, () => 10, 1 / 60, 12, noDamping);
+      }
+
+      const row = peakRow(field, 30);
+      expect(row).toBeGreaterThan(16);
+      expect(row).toBeLessThan(23);
+    });
+
+    it('uses the velocity array', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+
+      stepWaveEquation(field, () => 10, 1 / 60, 12, noDamping);
+
+      expect(field.velocity.some((v) => v !== 0)).toBe(true);
+    });
+
+    it('sub-steps large frames and stays bounded', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+
+      const substeps = stepWaveEquation(field, () => 10, 0.5, 2, noDamping);
+      for (let i = 0; i < 20; i++) stepWaveEquation(field, () => 10, 0.5, 2, noDamping);
+
+      expect(substeps).toBeGreaterThan(1);
+      expect(field.height.every((h) => Math.abs(h) <= 1)).toBe(true);
+    });
+
+    it('shortens sub-steps instead of blowing up when capped', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+
+      for (let i = 0; i < 20; i++) {
+        stepWaveEquation(field, () => 10, 1, 1, { ...noDamping, maxSubsteps: 2 });
+      }
+
+      expect(field.height.every((h) => Number.isFinite(h) && Math.abs(h) <= 1)).toBe(true);
+    });
+
+    it('slows waves over shallow water (refraction)', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+      // Left half shallow, right half deep
+      const depthFn = (x) => (x < 0.5 ? 2 : 20);
+
+      for (let i = 0; i < 240; i++) {
+        stepWaveEquation(field, depthFn, 1 / 60, 12, noDamping);
+      }
+
+      expect(peakRow(field, 10)).toBeLessThan(peakRow(field, 50));
+    });
+
+    it('dissipates energy in shallow water', () => {
+      const deep = createEnergyField();
+      const shallow = createEnergyField();
+      injectWavePulse(deep, 1.0);
+      injectWavePulse(shallow, 1.0);
+
+      for (let i = 0; i < 120; i++) {
+        stepWaveEquation(deep, () => 10, 1 / 60, 12, { depthDampingCoefficient: 0.1 });
+        stepWaveEquation(shallow, () => 0.5, 1 / 60, 12, { depthDampingCoefficient: 0.1 });
+      }
+
+      expect(totalSquaredHeight(shallow)).toBeLessThan(totalSquaredHeight(deep) * 0.5);
+    });
+
+    it('lets waves leave through absorbing sides', () => {
+      const absorbing = createEnergyField();
+      const reflective = createEnergyField();
+      // Smooth ridge near the left edge, travelling both ways across
+      for (const field of [absorbing, reflective]) {
+        for (let y = 0; y < field.gridHeight; y++) {
+          for (let x = 0; x < field.width; x++) {
+            field.height[y * field.width + x] = Math.exp(-(((x - 10) / 3) ** 2));
+          }
+        }
+      }
+      const options = { ...noDamping, horizon: FIELD_BOUNDARY.REFLECTIVE };
+
+      // Across the field is 1.5x horizon-to-shore, so ~18s to cross
+      for (let i = 0; i < 60 * 30; i++) {
+        stepWaveEquation(absorbing, () => 10, 1 / 60, 12, {
+          ...options,
+          sides: FIELD_BOUNDARY.ABSORBING,
+        });
+        stepWaveEquation(reflective, () => 10, 1 / 60, 12, {
+          ...options,
+          sides: FIELD_BOUNDARY.REFLECTIVE,
+        });
+      }
+
+      expect(totalSquaredHeight(absorbing)).toBeLessThan(totalSquaredHeight(reflective) * 0.2);
+    });
+
+    it('reflects waves off the shore by default', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+
+      // Long enough to reach the shore and come most of the way back
+      for (let i = 0; i < 60 * 20; i++) {
+        stepWaveEquation(field, () => 10, 1 / 60, 12, noDamping);
+      }
+
+      let upperHalf = 0;
+      for (let i = 0; i < (field.gridHeight / 2) * field.width; i++) {
+        upperHalf += Math.abs(field.height[i]);
+      }
+      expect(upperHalf).toBeGreaterThan(0.3 * field.width);
+    });
+
+    it('samples depth once while the depthKey stays the same', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+      const bathymetry = {};
+      let calls = 0;
+      const depthFn = () => {
+        calls++;
+        return 10;
+      };
+
+      for (let i = 0; i < 5; i++) {
+        stepWaveEquation(field, depthFn, 1 / 60, 12, { depthKey: bathymetry });
+      }
+      expect(calls).toBe(field.width * field.gridHeight);
+
+      stepWaveEquation(field, depthFn, 1 / 60, 12, { depthKey: {} });
+      expect(calls).toBe(2 * field.width * field.gridHeight);
+    });
+
+    it('resamples depth every call without a depthKey', () => {
+      const field = createEnergyField();
+      let calls = 0;
+      const depthFn = () => {
+        calls++;
+        return 10;
+      };
+
+      stepWaveEquation(field, depthFn, 1 / 60, 12);
+      stepWaveEquation(field, depthFn, 1 / 60, 12);
+      expect(calls).toBe(2 * field.width * field.gridHeight);
+    });
+
+    it('gives the same field with cached and resampled depths', () => {
+      const cached = createEnergyField();
+      const resampled = createEnergyField();
+      injectWavePulse(cached, 1.0);
+      injectWavePulse(resampled, 1.0);
+      const depthFn = (_x, y) => 10 - 9 * y;
+      const bathymetry = {};
+
+      for (let i = 0; i < 120; i++) {
+        // Changing travel time and damping mid-run must refresh the cached arrays
+        const travelDuration = i < 60 ? 12 : 8;
+        const depthDampingCoefficient = i < 90 ? 0.1 : 0.5;
+        stepWaveEquation(cached, depthFn, 1 / 60, travelDuration, {
+          depthDampingCoefficient,
+          depthKey: bathymetry,
+        });
+        stepWaveEquation(resampled, depthFn, 1 / 60, travelDuration, {
+          depthDampingCoefficient,
+        });
+      }
+
+      expect(Array.from(cached.height)).toEqual(Array.from(resampled.height));
+      expect(Array.from(cached.velocity)).toEqual(Array.from(resampled.velocity));
+    });
+  });
+
+  describe('getFieldSpeedRatio', () => {
+    it('reads the speed the wave solver runs at, relative to the horizon', () => {
+      const field = createEnergyField(10, 11);
+      // 10m at the horizon shoaling to 2.5m halfway (and beyond)
+      const depth = (_x, y) => Math.max(2.5, 10 - 15 * y);
+      expect(getFieldSpeedRatio(field, 0.5, 0.5)).toBeNull();
+
+      stepWaveEquation(field, depth, 1 / 60, 12);
+      expect(getFieldSpeedRatio(field, 0.5, 0)).toBeCloseTo(1, 6);
+      expect(getFieldSpeedRatio(field, 0.5, 0.5)).toBeCloseTo(0.5, 6);
+      // Dry beach still lets crests run up
+      expect(getFieldSpeedRatio(field, 0.5, 1, 2.5)).toBeCloseTo(0.5, 6);
+    });
+  });
+
+  describe('updateEnergyField solver selection', () => {
+    it('uses the wave equation by default', () => {
+      const viaUpdate = createEnergyField();
+      const direct = createEnergyField();
+      injectWavePulse(viaUpdate, 1.0);
+      injectWavePulse(direct, 1.0);
+
+      updateEnergyField(viaUpdate, () => 10, 1 / 60, 12);
+      stepWaveEquation(direct, () => 10, 1 / 60, 12);
+
+      expect(Array.from(viaUpdate.height)).toEqual(Array.from(direct.height));
+    });
+
+    it('uses the advect solver only when asked', () => {
+      const field = createEnergyField();
+      injectWavePulse(field, 1.0);
+
+      updateEnergyField(field, () => 10, 1 / 60, 12, ADVECT);
+
+      expect(field.velocity.every((v) => v === 0)).toBe(true);
+    });
+  });
 });
@@ -1,27 +1,34 @@
 // Energy Field Wave Model
 // Continuous 2D field where waves are emergent peaks, not discrete objects
 //
-// The field stores height values at each grid point. Waves propagate via
-// the wave equation with depth-dependent speed from bathymetry.
-
-// Grid resolution - balance between accuracy and performance
+// The field stores height values at each grid point. Two solvers:
+// - WAVE (default): depth-dependent 2D wave equation on height + velocity, c = sqrt(g * depth),
+//   sub-stepped to stay under the CFL limit. Refraction, diffraction and focusing
+//   fall out of the bathymetry instead of being applied per wave.
+// - ADVECT: legacy row blending (each row eases toward the row above). Opt-in, for
+//   the recorded progressions, which assume a sharp line marching shoreward.
+
+// Default grid resolution - balance between accuracy and performance
+// (the 'medium' preset of state/gridResolution.ts)
 export const FIELD_WIDTH = 60; // X resolution (across screen)
 export const FIELD_HEIGHT = 40; // Y resolution (horizon to shore)
 
 /**
  * Create a new energy field
+ * @param {number} width - Columns (across screen)
+ * @param {number} height - Rows (horizon to shore)
  * @returns {object} Energy field with height and velocity arrays
  */
-export function createEnergyField() {
-  const size = FIELD_WIDTH * FIELD_HEIGHT;
+export function createEnergyField(width = FIELD_WIDTH, height = FIELD_HEIGHT) {
+  const size = width * height;
   return {
     // Current height at each grid point
     height: new Float32Array(size),
     // Velocity (rate of change) for wave equation
     velocity: new Float32Array(size),
     // Dimensions
-    width: FIELD_WIDTH,
-    gridHeight: FIELD_HEIGHT,
+    width,
+    gridHeight: height,
   };
 }
 
@@ -30,57 +37,380 @@ export function createEnergyField() {
  * @param {number} period - Wave period in seconds
  * @param {number} amplitude - Wave amplitude (0-1)
  * @param {number} phase - Phase offset (0-1)
+ * @param {number} direction - Travel direction in degrees from shore-normal (+ = toward +x)
+ * @param {number} spread - Directional spread half-width in degrees (0 = long-crested)
  * @returns {object} Swell source configuration
  */
-export function createSwellSource(period, amplitude, phase = 0) {
-  return { period, amplitude, phase };
+export function createSwellSource(period, amplitude, phase = 0, direction = 0, spread = 0) {
+  return { period, amplitude, phase, direction, spread };
 }
 
 /**
  * Default swell sources - groundswell + wind swell
  */
 export const DEFAULT_SWELLS = [
-  createSwellSource(12, 0.6, 0), // Groundswell - longer period, larger
-  createSwellSource(6, 0.25, 0.5), // Wind swell - shorter period, smaller
+  createSwellSource(12, 0.6, 0, 5, 8), // Groundswell - longer period, larger, nearly straight in
+  createSwellSource(6, 0.25, 0.5, -25, 20), // Wind swell - shorter, smaller, cross-shore and messy
 ];
 
 /**
- * Inject swell energy at the horizon (y=0 row)
+ * Swell sources matching the game's wave configs: a groundswell with the sets'
+ * period and direction and a wind swell with the background waves', at the
+ * DEFAULT_SWELLS amplitudes and phases
+ * @param {object} setConfig - Set/lull config (wavePeriod, swellDirection, directionSpread)
+ * @param {object} backgroundConfig - Background wave config (same fields)
+ * @returns {object[]} Swell sources for injectSwells
+ */
+export function swellsFromConfigs(setConfig, backgroundConfig) {
+  return [setConfig, backgroundConfig].map((config, i) => {
+    const { period, amplitude, phase } = DEFAULT_SWELLS[i];
+    return createSwellSource(
+      config.wavePeriod ?? period,
+      amplitude,
+      phase,
+      config.swellDirection ?? 0,
+      config.directionSpread ?? 0
+    );
+  });
+}
+
+// Spread is approximated by a fan of long-crested components
+const SPREAD_OFFSETS = [-1, -0.5, 0, 0.5, 1];
+// cos² weights over the fan, normalized to sum to 1
+const SPREAD_WEIGHTS = [0.5, 0.85, 1, 0.85, 0.5].map((w) => w / 3.7);
+
+/**
+ * Sea surface contribution of one swell at a point
+ * Phase is measured along the travel direction, so a shore-normal swell gives the
+ * same value across the whole horizon row.
+ *
+ * @param {object} swell - Swell source
+ * @param {number} px - Position across the ocean (0 to aspectRatio, same units as py)
+ * @param {number} py - Position toward shore (0 = horizon, 1 = shore)
+ * @param {number} gameTime - Game time in seconds
+ * @param {number} travelDuration - Horizon-to-shore time in deep water, seconds
+ * @returns {number} Height contribution
+ */
+function swellHeightAt(swell, px, py, gameTime, travelDuration) {
+  const omega = (2 * Math.PI) / swell.period;
+  // Deep water covers 1 unit in travelDuration, so wavelength = period / travelDuration
+  const k = (2 * Math.PI * travelDuration) / swell.period;
+  const { direction = 0, spread = 0 } = swell;
+
+  const offsets = spread > 0 ? SPREAD_OFFSETS : [0];
+  let height = 0;
+  for (let j = 0; j < offsets.length; j++) {
+    const theta = ((direction + offsets[j] * spread) * Math.PI) / 180;
+    const weight = spread > 0 ? SPREAD_WEIGHTS[j] : 1;
+    // Fixed per-component phases (golden ratio) so crossing components make peaks, not a ripple
+    const componentPhase = swell.phase + j * 0.618;
+    const along = px * Math.sin(theta) + py * Math.cos(theta);
+    height += weight * Math.sin(omega * gameTime - k * along + componentPhase * 2 * Math.PI);
+  }
+  return swell.amplitude * height;
+}
+
+/**
+ * Inject swell energy at the boundaries the swells arrive through
+ * Every swell writes the horizon row (y=0) as an angled wavefront; swells arriving
+ * at an angle also drive the side column they enter from.
+ *
  * @param {object} field - Energy field
  * @param {array} swells - Array of swell sources
  * @param {number} gameTime - Current game time in seconds
+ * @param {object} options - Geometry options
+ * @param {number} options.travelDuration - Horizon-to-shore time in seconds (default 12)
+ * @param {number} options.aspectRatio - Ocean width / height (default 1.5)
  */
-export function injectSwells(field, swells, gameTime) {
-  const { width } = field;
+export function injectSwells(field, swells, gameTime, options: Record<string, any> = {}) {
+  const { width, gridHeight } = field;
+  const { travelDuration = 12, aspectRatio = 1.5 } = options;
 
-  for (let x = 0; x < width; x++) {
+  const sample = (x, y) => {
+    const px = ((x + 0.5) / width) * aspectRatio;
+    const py = y / (gridHeight - 1);
     let totalHeight = 0;
-
     for (const swell of swells) {
-      // Sinusoidal injection based on period
-      const omega = (2 * Math.PI) / swell.period;
-      const wave = swell.amplitude * Math.sin(omega * gameTime + swell.phase * 2 * Math.PI);
-      totalHeight += wave;
+      totalHeight += swellHeightAt(swell, px, py, gameTime, travelDuration);
     }
+    return totalHeight;
+  };
 
-    // Set horizon row (y=0)
-    field.height[x] = totalHeight;
+  // Horizon row
+  for (let x = 0; x < width; x++) {
+    field.height[x] = sample(x, 0);
     field.velocity[x] = 0; // Fixed boundary
   }
+
+  // Side columns that angled swells enter through
+  const entersLeft = swells.some((swell) => (swell.direction ?? 0) > 0);
+  const entersRight = swells.some((swell) => (swell.direction ?? 0) < 0);
+  for (let y = 1; y < gridHeight; y++) {
+    if (entersLeft) {
+      const idx = y * width;
+      field.height[idx] = sample(0, y);
+      field.velocity[idx] = 0;
+    }
+    if (entersRight) {
+      const idx = y * width + width - 1;
+      field.height[idx] = sample(width - 1, y);
+      field.velocity[idx] = 0;
+    }
+  }
+}
+
+export const ENERGY_SOLVER = {
+  WAVE: 'wave',
+  ADVECT: 'advect',
+};
+
+/**
+ * Boundary behaviour for the wave solver
+ * - ABSORBING: first-order Mur condition, outgoing waves leave the grid
+ * - REFLECTIVE: zero-flux (Neumann) edge, waves bounce back
+ */
+export const FIELD_BOUNDARY = {
+  ABSORBING: 'absorbing',
+  REFLECTIVE: 'reflective',
+};
+
+// Depth floor shared by both solvers (avoids divide-by-zero, keeps dry cells as walls)
+const MIN_FIELD_DEPTH = 0.01;
+
+/**
+ * Number of sub-steps needed to keep an explicit 2D wave step stable
+ * CFL: c * dt * sqrt(1/dx² + 1/dy²) <= courant
+ *
+ * @param {number} maxSpeed - Fastest wave speed on the grid (length units per second)
+ * @param {number} dt - Frame time step in seconds
+ * @param {number} dx - Cell spacing across the grid (same length units)
+ * @param {number} dy - Cell spacing toward shore (same length units)
+ * @param {number} courant - Safety factor (1 is the stability limit)
+ * @returns {number} Sub-step count (>= 1)
+ */
+export function computeStableSubsteps(maxSpeed, dt, dx, dy, courant = 0.5) {
+  if (!(maxSpeed > 0) || !(dt > 0)) return 1;
+  const maxStep = courant / (maxSpeed * Math.sqrt(1 / (dx * dx) + 1 / (dy * dy)));
+  return Math.max(1, Math.ceil(dt / maxStep));
+}
+
+// Wave solver arrays per field: depth-derived values (kept while the depth map,
+// travel time and damping stay the same) and the sub-step scratch copy
+const waveSolverCache = new WeakMap();
+
+function getWaveSolverCache(field, size) {
+  let cache = waveSolverCache.get(field);
+  if (!cache || cache.depths.length !== size) {
+    cache = {
+      depths: new Float32Array(size),
+      c2: new Float32Array(size),
+      damping: new Float32Array(size),
+      prev: new Float32Array(size),
+      depthKey: undefined,
+      horizonDepth: 0,
+      travelDuration: NaN,
+      maxC2: 0,
+      subDt: NaN,
+      dampingCoefficient: NaN,
+      dampingExponent: NaN,
+    };
+    waveSolverCache.set(field, cache);
+  }
+  return cache;
 }
 
 /**
- * Update the energy field using the wave equation
- * Waves propagate with depth-dependent speed: c = sqrt(g * depth)
+ * Advance the field with the depth-dependent wave equation
+ *   ∂²h/∂t² = ∇·(c² ∇h),  c² ∝ depth
+ * integrated with symplectic Euler (velocity first, then height) on a
+ * staggered-face c², so waves bend toward shallow water and pile up over bars.
+ *
+ * Lengths are normalized: horizon-to-shore is 1, across is aspectRatio. Speeds are
+ * scaled so that water as deep as the horizon average crosses in travelDuration,
+ * keeping the field in step with the discrete waves offshore.
  *
  * @param {object} field - Energy field to update (mutated)
  * @param {function} getDepthFn - Function(normalizedX, normalizedY) returning depth in meters
  * @param {number} dt - Time step in seconds
+ * @param {number} travelDuration - Horizon-to-shore time at horizon depth, in seconds
+ * @param {object} options - Solver options
+ * @param {number} options.aspectRatio - Ocean width / ocean height (default 1.5)
+ * @param {number} options.courant - CFL safety factor (default 0.5)
+ * @param {number} options.maxSubsteps - Cap per call; beyond it the step is shortened instead (default 64)
+ * @param {string} options.sides - FIELD_BOUNDARY for left/right edges (default ABSORBING)
+ * @param {string} options.shore - FIELD_BOUNDARY for the shore row (default REFLECTIVE)
+ * @param {string} options.horizon - FIELD_BOUNDARY for the injection row (default REFLECTIVE,
+ *   so pulses injected there travel shoreward in full)
+ * @param {number} options.depthDampingCoefficient - Shallow water dissipation strength
+ * @param {number} options.depthDampingExponent - How sharply dissipation ramps up as depth→0
+ * @param {object} options.depthKey - Identity of the depth map behind getDepthFn (the tided
+ *   bathymetry config); while it stays the same, depths are not sampled again. Without
+ *   one, depths are sampled every call
+ * @returns {number} Sub-steps taken
  */
+export function stepWaveEquation(
+  field,
+  getDepthFn,
+  dt,
+  travelDuration = 12,
+  options: Record<string, any> = {}
+) {
+  const { height, velocity, width, gridHeight } = field;
+  const {
+    aspectRatio = 1.5,
+    courant = 0.5,
+    maxSubsteps = 64,
+    sides = FIELD_BOUNDARY.ABSORBING,
+    shore = FIELD_BOUNDARY.REFLECTIVE,
+    horizon = FIELD_BOUNDARY.REFLECTIVE,
+    depthDampingCoefficient = 1.5,
+    depthDampingExponent = 2.0,
+  } = options;
+  if (!(dt > 0)) return 0;
+
+  const size = width * gridHeight;
+  const dx = aspectRatio / (width - 1);
+  const dy = 1 / (gridHeight - 1);
+
+  const cache = getWaveSolverCache(field, size);
+  const { depths, c2, damping, prev } = cache;
+
+  // Sample depth only when the depth map changed; c² is relative to the mean horizon depth
+  const { depthKey } = options;
+  if (depthKey === undefined || depthKey !== cache.depthKey) {
+    let horizonDepth = 0;
+    for (let y = 0; y < gridHeight; y++) {
+      for (let x = 0; x < width; x++) {
+        const depth = Math.max(
+          MIN_FIELD_DEPTH,
+          getDepthFn((x + 0.5) / width, y / (gridHeight - 1))
+        );
+        depths[y * width + x] = depth;
+        if (y === 0) horizonDepth += depth;
+      }
+    }
+    cache.depthKey = depthKey;
+    cache.horizonDepth = horizonDepth / width;
+    cache.travelDuration = NaN;
+    cache.subDt = NaN;
+  }
+
+  // c = sqrt(g * depth) up to a constant: c² = (depth / horizonDepth) / travelDuration²
+  if (cache.travelDuration !== travelDuration) {
+    const c2Scale = 1 / (cache.horizonDepth * travelDuration * travelDuration);
+    let maxC2 = 0;
+    for (let i = 0; i < size; i++) {
+      c2[i] = depths[i] * c2Scale;
+      if (c2[i] > maxC2) maxC2 = c2[i];
+    }
+    cache.travelDuration = travelDuration;
+    cache.maxC2 = maxC2;
+    cache.subDt = NaN;
+  }
+  const { maxC2 } = cache;
+
+  const substeps = Math.min(
+    maxSubsteps,
+    computeStableSubsteps(Math.sqrt(maxC2), dt, dx, dy, courant)
+  );
+  // When capped, shorten each sub-step rather than go unstable (the field lags a little)
+  const subDt = Math.min(
+    dt / substeps,
+    courant / (Math.sqrt(maxC2) * Math.sqrt(1 / (dx * dx) + 1 / (dy * dy)))
+  );
+
+  // Per-cell dissipation factor for one sub-step (same curve as the advect solver)
+  if (
+    cache.subDt !== subDt ||
+    cache.dampingCoefficient !== depthDampingCoefficient ||
+    cache.dampingExponent !== depthDampingExponent
+  ) {
+    for (let i = 0; i < size; i++) {
+      const depthTerm = Math.pow(depths[i], depthDampingExponent);
+      damping[i] = Math.exp((-depthDampingCoefficient * subDt) / depthTerm);
+    }
+    cache.subDt = subDt;
+    cache.dampingCoefficient = depthDampingCoefficient;
+    cache.dampingExponent = depthDampingExponent;
+  }
+
+  // Mur coefficients use the local edge speed
+  const murFactor = (i, spacing) => {
+    const cdt = Math.sqrt(c2[i]) * subDt;
+    return (cdt - spacing) / (cdt + spacing);
+  };
+  const absorbSides = sides === FIELD_BOUNDARY.ABSORBING;
+  const absorbHorizon = horizon === FIELD_BOUNDARY.ABSORBING;
+  const absorbShore = shore === FIELD_BOUNDARY.ABSORBING;
+  const invDx2 = 1 / (dx * dx);
+  const invDy2 = 1 / (dy * dy);
+  const last = gridHeight - 1;
+
+  for (let step = 0; step < substeps; step++) {
+    prev.set(height);
+
+    // Velocity from the divergence of c²∇h; missing neighbours mirror the cell (zero flux)
+    for (let y = 0; y < gridHeight; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const h = height[i];
+        let flux = 0;
+        if (x > 0) flux += 0.5 * (c2[i] + c2[i - 1]) * (height[i - 1] - h) * invDx2;
+        if (x < width - 1) flux += 0.5 * (c2[i] + c2[i + 1]) * (height[i + 1] - h) * invDx2;
+        if (y > 0) flux += 0.5 * (c2[i] + c2[i - width]) * (height[i - width] - h) * invDy2;
+        if (y < last) flux += 0.5 * (c2[i] + c2[i + width]) * (height[i + width] - h) * invDy2;
+        velocity[i] += flux * subDt;
+      }
+    }
+
+    for (let i = 0; i < size; i++) {
+      velocity[i] *= damping[i];
+      height[i] = (height[i] + velocity[i] * subDt) * damping[i];
+    }
+
+    // Absorbing edges: h_edge(t+dt) = h_in(t) + k (h_in(t+dt) - h_edge(t))
+    if (absorbSides) {
+      for (let y = 0; y < gridHeight; y++) {
+        const left = y * width;
+        const right = left + width - 1;
+        height[left] = prev[left + 1] + murFactor(left, dx) * (height[left + 1] - prev[left]);
+        height[right] = prev[right - 1] + murFactor(right, dx) * (height[right - 1] - prev[right]);
+        velocity[left] = (height[left] - prev[left]) / subDt;
+        velocity[right] = (height[right] - prev[right]) / subDt;
+      }
+    }
+    if (absorbHorizon || absorbShore) {
+      for (let x = 0; x < width; x++) {
+        if (absorbHorizon) {
+          height[x] = prev[x + width] + murFactor(x, dy) * (height[x + width] - prev[x]);
+          velocity[x] = (height[x] - prev[x]) / subDt;
+        }
+        if (absorbShore) {
+          const i = last * width + x;
+          height[i] = prev[i - width] + murFactor(i, dy) * (height[i - width] - prev[i]);
+          velocity[i] = (height[i] - prev[i]) / subDt;
+        }
+      }
+    }
+  }
+
+  return substeps;
+}
+
 export function resetRowAccumulator() {
   // No-op now, kept for test compatibility
 }
 
+/**
+ * Update the energy field by one frame
+ *
+ * @param {object} field - Energy field to update (mutated)
+ * @param {function} getDepthFn - Function(normalizedX, normalizedY) returning depth in meters
+ * @param {number} dt - Time step in seconds
+ * @param {number} travelDuration - Horizon-to-shore time in seconds
+ * @param {object} options - Damping options, plus solver (ENERGY_SOLVER, default WAVE)
+ *   and the stepWaveEquation options when solver is WAVE
+ */
 export function updateEnergyField(
   field,
   getDepthFn,
@@ -88,6 +418,12 @@ export function updateEnergyField(
   travelDuration = 12,
   options: Record<string, any> = {}
 ) {
+  const { solver = ENERGY_SOLVER.WAVE } = options;
+  if (solver === ENERGY_SOLVER.WAVE) {
+    stepWaveEquation(field, getDepthFn, dt, travelDuration, options);
+    return;
+  }
+
   const { height, width, gridHeight } = field;
   const {
     depthDampingCoefficient = 1.5, // higher = stronger damping in shallow water
@@ -101,7 +437,7 @@ export function updateEnergyField(
   const blend = Math.min(1, blendPerSecond * dt);
 
   // Depth-based damping: shallower water dissipates energy faster so it fades before the shoreline
-  const MIN_DEPTH = 0.01; // avoid divide-by-zero while allowing near-zero depths
+  const MIN_DEPTH = MIN_FIELD_DEPTH;
 
   // Work from bottom to top so we don't overwrite data we need
   for (let y = gridHeight - 1; y > 0; y--) {
@@ -172,6 +508,28 @@ export function updateEnergyField(
   }
 }
 
+/**
+ * Shoreward speed of the wave solver at a point, relative to water as deep as the
+ * horizon: √(depth / horizonDepth) from the depths the field's last WAVE step used.
+ * Discrete crests that move at it bend exactly as the solved field does.
+ *
+ * @param {object} field - Energy field
+ * @param {number} normalizedX - X position (0-1)
+ * @param {number} normalizedY - Y position (0-1, 0=horizon, 1=shore)
+ * @param {number} minDepth - Depth floor in meters, so crests still run up onto the beach
+ * @returns {number|null} Speed ratio, or null until the field has taken a WAVE step
+ */
+export function getFieldSpeedRatio(field, normalizedX, normalizedY, minDepth = 0.5) {
+  const cache = waveSolverCache.get(field);
+  const { width, gridHeight } = field;
+  if (!cache || cache.depths.length !== width * gridHeight || !(cache.horizonDepth > 0)) {
+    return null;
+  }
+  const x = Math.max(0, Math.min(width - 1, Math.floor(normalizedX * width)));
+  const y = Math.max(0, Math.min(gridHeight - 1, Math.round(normalizedY * (gridHeight - 1))));
+  return Math.sqrt(Math.max(minDepth, cache.depths[y * width + x]) / cache.horizonDepth);
+}
+
 /**
  * Get height at a normalized position (with bilinear interpolation)
  * @param {object} field - Energy field
@@ -209,16 +567,53 @@ export function getHeightAt(field, normalizedX, normalizedY) {
 }
 
 /**
- * Inject a single wave pulse at the horizon (when a discrete wave spawns)
+ * Inject a single wave pulse (when a discrete wave spawns)
+ * Shore-normal waves add the pulse across the horizon row. Angled waves pass their
+ * progressPerX so the pulse lands on the same tilted crest, and inject only the
+ * slices that have crossed the horizon (the rest follow as they arrive); off the
+ * horizon row it is given a shoreward velocity so the wave solver carries it
+ * toward shore instead of splitting it both ways.
+ *
  * @param {object} field - Energy field
  * @param {number} amplitude - Wave amplitude (0-1)
+ * @param {object} options - Placement options
+ * @param {number[]} options.progressPerX - Crest progress per X sample (default: all at horizon)
+ * @param {boolean[]} options.slices - Which progressPerX samples to inject (default: all)
+ * @param {number} options.travelDuration - Horizon-to-shore time in seconds (default 12)
  */
-export function injectWavePulse(field, amplitude) {
-  const { width } = field;
+export function injectWavePulse(field, amplitude, options: Record<string, any> = {}) {
+  const { width, gridHeight } = field;
+  const { progressPerX = null, slices = null, travelDuration = 12 } = options;
+
+  // Shoreward speed in rows per second (deep water)
+  const rowSpeed = (gridHeight - 1) / travelDuration;
+
+  const samples = progressPerX?.length ?? slices?.length ?? 1;
 
-  // Add pulse across the entire horizon row
   for (let x = 0; x < width; x++) {
-    field.height[x] += amplitude;
+    const sample = Math.min(samples - 1, Math.floor(((x + 0.5) / width) * samples));
+    if (slices && !slices[sample]) continue;
+    const progress = progressPerX ? progressPerX[sample] : 0;
+    const row = progress * (gridHeight - 1);
+
+    if (row <= 0) {
+      field.height[x] += amplitude;
+      continue;
+    }
+
+    // Split between the two rows around the crest
+    const r0 = Math.min(gridHeight - 1, Math.floor(row));
+    const frac = row - r0;
+    const added = [0, amplitude * (1 - frac), amplitude * frac, 0]; // rows r0-1 .. r0+2
+    for (let k = 0; k < added.length; k++) {
+      const y = r0 - 1 + k;
+      if (y < 0 || y >= gridHeight) continue;
+      const idx = y * width + x;
+      field.height[idx] += added[k];
+      // Travelling wave h(y - ct): ∂h/∂t = -c ∂h/∂y
+      const slope = ((added[k + 1] ?? 0) - (added[k - 1] ?? 0)) / 2;
+      field.velocity[idx] -= rowSpeed * slope;
+    }
   }
 }
 
@@ -4,7 +4,7 @@
  * Progression definitions for energy field visualization and testing.
  * These are separated from the .test.ts file to allow importing without vitest.
  */
-import { updateEnergyField, drainEnergyAt } from './energyFieldModel.js';
+import { updateEnergyField, drainEnergyAt, ENERGY_SOLVER } from './energyFieldModel.js';
 import { defineProgression, captureWithEvents } from '../test-utils/index.js';
 
 // Small field dimensions for readable test output
@@ -30,6 +30,24 @@ const shallowGradient = (_normalizedX: number, normalizedY: number) => {
 // Standard travel duration (6 rows in 6 seconds = 1 row/sec)
 const TRAVEL_DURATION = 6;
 
+/**
+ * Tunable damping parameters for the shallow-gradient progressions
+ * @param {number} coefficient - Default depthDampingCoefficient
+ * @returns {object} metadata.params
+ */
+function dampingParams(coefficient: number) {
+  return {
+    depthDampingCoefficient: {
+      value: coefficient,
+      min: 0,
+      max: 4,
+      step: 0.05,
+      label: 'Damping coefficient',
+    },
+    depthDampingExponent: { value: 2.0, min: 0.5, max: 4, step: 0.1, label: 'Damping exponent' },
+  };
+}
+
 /**
  * Deep water translation update - moves energy down without spreading
  * In deep water, waves translate cleanly without dispersion
@@ -89,15 +107,14 @@ export const PROGRESSION_LOW_DAMPING = defineProgression({
   description: 'Low damping - subtle decay near shore',
   initialMatrix: INITIAL_PULSE,
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, params) => {
     updateEnergyField(field, shallowGradient, dt, TRAVEL_DURATION, {
-      depthDampingCoefficient: 0.05,
-      depthDampingExponent: 2.0,
+      ...params,
+      solver: ENERGY_SOLVER.ADVECT,
     });
   },
   metadata: {
-    depthDampingCoefficient: 0.05,
-    depthDampingExponent: 2.0,
+    params: dampingParams(0.05),
     depthFn: 'shallow gradient (10m horizon to 0.5m shore)',
     travelDuration: TRAVEL_DURATION,
     label: 'Low Damping',
@@ -112,15 +129,14 @@ export const PROGRESSION_HIGH_DAMPING = defineProgression({
   description: 'High damping - energy mostly gone before reaching shore',
   initialMatrix: INITIAL_PULSE,
   captureTimes: [0, 1, 2, 3, 4, 5],
-  updateFn: (field, dt) => {
+  updateFn: (field, dt, params) => {
     updateEnergyField(field, shallowGradient, dt, TRAVEL_DURATION, {
-      depthDampingCoefficient: 2.0,
-      depthDampingExponent: 2.0,
+      ...params,
+      solver: ENERGY_SOLVER.ADVECT,
     });
   },
   metadata: {
-    depthDampingCoefficient: 2.0,
-    depthDampingExponent: 2.0,
+    params: dampingParams(2.0),
     depthFn: 'shallow gradient (10m horizon to 0.5m shore)',
     travelDuration: TRAVEL_DURATION,
     label: 'High Damping',
@@ -137,6 +153,7 @@ export const PROGRESSION_WITH_DRAIN = (() => {
     captureTimes: [0, 1, 2, 3, 4, 5],
     updateFn: (field, dt) => {
       updateEnergyField(field, deepWater, dt, TRAVEL_DURATION, {
+        solver: ENERGY_SOLVER.ADVECT,
         depthDampingCoefficient: 0,
         depthDampingExponent: 1,
       });
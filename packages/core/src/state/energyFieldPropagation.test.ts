@@ -4,13 +4,14 @@
  * These tests validate the progression data defined in energyFieldProgressions.ts
  */
 import { describe, it, expect } from 'vitest';
-import { updateEnergyField } from './energyFieldModel.js';
+import { updateEnergyField, ENERGY_SOLVER } from './energyFieldModel.js';
 import {
   matrixToField,
   fieldToMatrix,
   matrixTotalEnergy,
   matrixPeakRow,
   progressionToAscii,
+  getProgression,
 } from '../test-utils/index.js';
 
 // Import progressions from the dedicated progressions file
@@ -194,6 +195,24 @@ FFFFF  BBBBB  44444  22222  11111  11111
     expect(progressionToAscii(PROGRESSION_HIGH_DAMPING.snapshots)).toBe(expected);
   });
 
+  // Copied from the viewer's damping playground: between low and high damping
+  // the bottom row keeps only a trace
+  it('energy-field/low-damping (depthDampingCoefficient: 0.5) produces expected matrices', () => {
+    const expected = `
+t=0s   t=1s   t=2s   t=3s   t=4s   t=5s
+FFFFF  BBBBB  44444  22222  11111  11111
+-----  AAAAA  AAAAA  33333  22222  22222
+-----  22222  44444  44444  33333  22222
+-----  11111  22222  33333  33333  33333
+-----  -----  11111  22222  33333  33333
+-----  -----  -----  11111  11111  11111
+`.trim();
+    const snapshots = getProgression('energy-field/low-damping').rerun({
+      depthDampingCoefficient: 0.5,
+    });
+    expect(progressionToAscii(snapshots)).toBe(expected);
+  });
+
   it('PROGRESSION_WITH_DRAIN produces expected matrices', () => {
     // Drain at t=1s creates gap (-) in center column that persists
     const expected = `
@@ -241,6 +260,7 @@ export function captureProgression(options: Record<string, any> = {}) {
   const dt = 1 / 60;
   while (captureIdx < captureTimesSeconds.length) {
     updateEnergyField(field, depthFn, dt, travelDuration, {
+      solver: ENERGY_SOLVER.ADVECT,
       depthDampingCoefficient,
       depthDampingExponent,
     });
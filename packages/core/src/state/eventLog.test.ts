@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEventLog,
+  compactEntry,
+  expandEntry,
+  serializeEventLog,
+  parseEventLog,
+  exportEventLog,
+  importEventLog,
+  EVENT_LOG_FORMAT,
+  EVENT_LOG_VERSION,
+} from './eventLog.js';
+
+const WAVES = { lists: ['waves'] };
+const PLAYER = { keys: ['playerProxy', 'aiState'] };
+
+describe('eventLog', () => {
+  describe('createEventLog', () => {
+    it('keeps the newest entries with absolute indices', () => {
+      const log = createEventLog(3);
+      const dropped = [1, 2, 3, 4, 5].map((n) => log.push({ n }));
+
+      expect(dropped).toEqual([null, null, null, { n: 1 }, { n: 2 }]);
+      expect(log.getFirstIndex()).toBe(2);
+      expect(log.getCount()).toBe(5);
+      expect(log.slice().map((e) => e.n)).toEqual([3, 4, 5]);
+      expect(log.slice(3).map((e) => e.n)).toEqual([4, 5]);
+      expect(log.slice(0).map((e) => e.n)).toEqual([3, 4, 5]);
+    });
+
+    it('resets to a history starting at any index', () => {
+      const log = createEventLog(2);
+      log.reset([{ n: 1 }, { n: 2 }, { n: 3 }], 10);
+
+      expect(log.getFirstIndex()).toBe(11);
+      expect(log.getCount()).toBe(13);
+      expect(log.slice().map((e) => e.n)).toEqual([2, 3]);
+    });
+
+    it('rejects a retention below one', () => {
+      expect(() => createEventLog(0)).toThrow(/at least 1/);
+    });
+  });
+
+  describe('compaction', () => {
+    const a = { id: 'wave-1', t: 1 };
+    const b = { id: 'wave-2', t: 1 };
+    const c = { id: 'wave-3', t: 1 };
+
+    it('skips updates that change nothing', () => {
+      const state = { waves: [a, b], playerProxy: { x: 1 }, aiState: null };
+
+      expect(compactEntry(state, { type: 'W', waves: [a, b] }, WAVES)).toBeNull();
+      expect(
+        compactEntry(state, { type: 'P', playerProxy: { x: 1 }, aiState: undefined }, PLAYER)
+      ).toBeNull();
+    });
+
+    it('logs only the keys that changed', () => {
+      const aiState = {};
+      const state = { playerProxy: { x: 1 }, aiState };
+      const entry = compactEntry(state, { type: 'P', playerProxy: { x: 2 }, aiState }, PLAYER);
+
+      expect(entry).toEqual({ type: 'P', playerProxy: { x: 2 }, _compact: true });
+      expect(expandEntry(state, entry, PLAYER)).toEqual({
+        type: 'P',
+        playerProxy: { x: 2 },
+        aiState,
+      });
+    });
+
+    it('stores lists as removed, changed and added items', () => {
+      const state = { waves: [a, b] };
+      const changed = { ...b, t: 2 };
+      const entry = compactEntry(state, { type: 'W', waves: [changed, c] }, WAVES);
+
+      expect(entry.waves).toBeUndefined();
+      expect(entry._diff.waves).toEqual({ removed: ['wave-1'], changed: [changed], added: [c] });
+      expect(expandEntry(state, entry, WAVES).waves).toEqual([changed, c]);
+    });
+
+    it('logs the full list when it was reordered', () => {
+      const entry = compactEntry({ waves: [a, b] }, { type: 'W', waves: [b, a] }, WAVES);
+      expect(entry.waves).toEqual([b, a]);
+      expect(entry._diff).toBeUndefined();
+    });
+
+    it('passes events without a spec through', () => {
+      const event = { type: 'GAME_TICK', deltaTime: 16 };
+      expect(compactEntry({}, event, undefined)).toBe(event);
+      expect(expandEntry({}, event, undefined)).toBe(event);
+    });
+  });
+
+  describe('export format', () => {
+    const log = {
+      events: [
+        { type: 'GAME_INIT', seed: 3 },
+        { type: 'GAME_TICK', deltaTime: 16, _gameTime: 0 },
+      ],
+      firstIndex: 0,
+      baseline: null,
+    };
+
+    it('writes a versioned header line and one line per event', () => {
+      const lines = serializeEventLog(log, { seed: 3 }).trim().split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(JSON.parse(lines[0])).toMatchObject({
+        format: EVENT_LOG_FORMAT,
+        version: EVENT_LOG_VERSION,
+        seed: 3,
+        eventCount: 2,
+      });
+      expect(JSON.parse(lines[2]).deltaTime).toBe(16);
+    });
+
+    it('round-trips typed arrays and non-finite numbers', () => {
+      const baseline = { height: new Float32Array([0.1, -2.5]), depth: Infinity };
+      const parsed = parseEventLog(serializeEventLog({ ...log, baseline }));
+
+      expect(parsed.events).toEqual(log.events);
+      expect(parsed.baseline.height).toBeInstanceOf(Float32Array);
+      expect(Array.from(parsed.baseline.height)).toEqual(Array.from(baseline.height));
+      expect(parsed.baseline.depth).toBe(Infinity);
+    });
+
+    it('rejects other files, newer versions and cut-off logs', () => {
+      expect(() => parseEventLog('')).toThrow(/empty/);
+      expect(() => parseEventLog('{"format":"other"}')).toThrow(/Not a surf event log/);
+
+      const newer = serializeEventLog(log).replace(
+        `"version":${EVENT_LOG_VERSION}`,
+        `"version":${EVENT_LOG_VERSION + 1}`
+      );
+      expect(() => parseEventLog(newer)).toThrow(/Unsupported event log version/);
+
+      const cut = serializeEventLog(log).trim().split('\n').slice(0, 2).join('\n');
+      expect(() => parseEventLog(cut)).toThrow(/truncated/);
+    });
+
+    it('gzips on export and reads gzipped or plain logs back', async () => {
+      const bytes = await exportEventLog(log);
+      expect([bytes[0], bytes[1]]).toEqual([0x1f, 0x8b]);
+
+      expect((await importEventLog(bytes)).events).toEqual(log.events);
+      const plain = new TextEncoder().encode(serializeEventLog(log));
+      expect((await importEventLog(plain)).events).toEqual(log.events);
+    });
+  });
+});
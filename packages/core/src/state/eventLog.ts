@@ -0,0 +1,312 @@
+/**
+ * Event Log - Bounded, compacted event history and its export format
+ *
+ * The store keeps its history in a ring buffer: once `retention` entries are
+ * held, each new entry drops the oldest. Indices stay absolute (the Nth event
+ * ever logged keeps index N), so frame bookmarks such as the timeline's event
+ * counts remain valid while the window slides.
+ *
+ * State-carrying updates are compacted before they are logged: payload keys
+ * whose value did not change are left out, lists of items with an `id` are
+ * stored as a diff against the previous list, and an update that changes
+ * nothing is not logged at all. expandEntry rebuilds the full event from the
+ * state it is applied to, so replaying compact entries in order gives the
+ * same state as the original events.
+ *
+ * Exports are JSON lines (a header line, then one event per line), gzipped.
+ */
+
+import { typedArrayReplacer, typedArrayReviver } from '../util/typedArrays.js';
+
+export const EVENT_LOG_CONFIG = {
+  retention: 50000, // events kept in memory (~3 min of play: about 4 per frame once compacted)
+  checkpointInterval: 2000, // events between full-world copies a cut history replays from
+};
+
+export const EVENT_LOG_FORMAT = 'surf-event-log';
+export const EVENT_LOG_VERSION = 1;
+
+/**
+ * Create a ring buffer of log entries
+ * @param {number} retention - Maximum entries held (Infinity for unbounded)
+ * @returns {object} Event log API
+ */
+export function createEventLog(retention = EVENT_LOG_CONFIG.retention) {
+  if (!(retention >= 1)) {
+    throw new Error(`Event log retention must be at least 1 (got ${retention})`);
+  }
+
+  let buffer = [];
+  let head = 0; // buffer index of the oldest entry once the buffer has wrapped
+  let firstIndex = 0; // absolute index of the oldest entry
+
+  const at = (index) => buffer[(head + index - firstIndex) % buffer.length];
+
+  return {
+    retention,
+
+    /**
+     * Append an entry
+     * @returns {object|null} The entry dropped to make room, if any
+     */
+    push(entry) {
+      if (buffer.length < retention) {
+        buffer.push(entry);
+        return null;
+      }
+      const dropped = buffer[head];
+      buffer[head] = entry;
+      head = (head + 1) % buffer.length;
+      firstIndex++;
+      return dropped;
+    },
+
+    /**
+     * Absolute index of the oldest entry still held
+     */
+    getFirstIndex() {
+      return firstIndex;
+    },
+
+    /**
+     * Absolute index the next entry will get (total entries ever logged)
+     */
+    getCount() {
+      return firstIndex + buffer.length;
+    },
+
+    /**
+     * Entries from an absolute index (clamped to the entries still held)
+     * @param {number} start - Absolute index of the first entry
+     * @returns {Array}
+     */
+    slice(start = firstIndex) {
+      const entries = [];
+      const end = firstIndex + buffer.length;
+      for (let i = Math.max(start, firstIndex); i < end; i++) {
+        entries.push(at(i));
+      }
+      return entries;
+    },
+
+    /**
+     * Replace the contents
+     * @param {Array} entries - New entries (the newest `retention` are kept)
+     * @param {number} first - Absolute index of entries[0]
+     */
+    reset(entries = [], first = 0) {
+      const kept = entries.slice(Math.max(0, entries.length - retention));
+      buffer = kept;
+      head = 0;
+      firstIndex = first + entries.length - kept.length;
+    },
+  };
+}
+
+// Unchanged for logging purposes: the same reference, both empty, or a plain
+// object/array whose fields are the same references (a rebuilt lastAIInput)
+function isSame(a, b) {
+  if (a === b || (a == null && b == null)) return true;
+  if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (ArrayBuffer.isView(a) || ArrayBuffer.isView(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => a[key] === b[key]);
+}
+
+// Diff of a list of {id} items: null if unchanged, undefined if not expressible
+// (items reordered or missing ids) so the full list is logged instead
+function diffList(previous, next) {
+  if (!Array.isArray(previous) || !Array.isArray(next)) return undefined;
+  const previousIndex = new Map();
+  previous.forEach((item, i) => previousIndex.set(item?.id, i));
+  if (previousIndex.has(undefined)) return undefined;
+
+  const changed = [];
+  const added = [];
+  const kept = new Set();
+  let lastIndex = -1;
+  for (const item of next) {
+    const index = previousIndex.get(item?.id);
+    if (index === undefined) {
+      if (item?.id === undefined) return undefined;
+      added.push(item);
+      continue;
+    }
+    // Kept items must stay in order and come before anything added
+    if (index < lastIndex || added.length > 0) return undefined;
+    lastIndex = index;
+    kept.add(index);
+    if (!isSame(previous[index], item)) changed.push(item);
+  }
+  const removed = previous.filter((_, i) => !kept.has(i)).map((item) => item.id);
+
+  if (removed.length === 0 && changed.length === 0 && added.length === 0) return null;
+  return { removed, changed, added };
+}
+
+function applyListDiff(previous, diff) {
+  const removed = new Set(diff.removed);
+  const changed = new Map(diff.changed.map((item) => [item.id, item]));
+  return [
+    ...previous.filter((item) => !removed.has(item.id)).map((item) => changed.get(item.id) ?? item),
+    ...diff.added,
+  ];
+}
+
+/**
+ * Compact an event for the log against the state it is about to be applied to
+ *
+ * @param {object} state - State before the event
+ * @param {object} entry - Event (with log metadata)
+ * @param {object} spec - {keys, lists}: payload keys copied into state as-is,
+ *   and list keys whose items are diffed by id (undefined: log the event unchanged)
+ * @returns {object|null} Entry to log, or null if the event changes nothing
+ */
+export function compactEntry(state, entry, spec) {
+  if (!spec) return entry;
+  const compact = { ...entry, _compact: true };
+  let changes = 0;
+
+  for (const key of spec.keys ?? []) {
+    if (isSame(state[key], entry[key])) delete compact[key];
+    else changes++;
+  }
+  for (const key of spec.lists ?? []) {
+    const diff = diffList(state[key], entry[key]);
+    if (diff === undefined) {
+      changes++;
+    } else {
+      delete compact[key];
+      if (diff) {
+        compact._diff = { ...compact._diff, [key]: diff };
+        changes++;
+      }
+    }
+  }
+
+  return changes > 0 ? compact : null;
+}
+
+/**
+ * Rebuild the full event from a compact entry
+ * @param {object} state - State the entry is about to be applied to
+ * @param {object} entry - Logged entry (full events pass through unchanged)
+ * @param {object} spec - Same spec the entry was compacted with
+ * @returns {object} Event for the reducer
+ */
+export function expandEntry(state, entry, spec) {
+  if (!entry._compact || !spec) return entry;
+  const { _compact, _diff, ...event } = entry;
+  for (const key of [...(spec.keys ?? []), ...(spec.lists ?? [])]) {
+    if (key in event) continue;
+    event[key] = _diff?.[key] ? applyListDiff(state[key] ?? [], _diff[key]) : state[key];
+  }
+  return event;
+}
+
+// JSON has no typed arrays or non-finite numbers; tag them so they round-trip
+function encodeValue(key, value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return { $number: String(value) };
+  }
+  return typedArrayReplacer(key, value);
+}
+
+function decodeValue(key, value) {
+  if (value && typeof value === 'object' && typeof value.$number === 'string') {
+    return Number(value.$number);
+  }
+  return typedArrayReviver(key, value);
+}
+
+/**
+ * Serialize a log as JSON lines: a header, then one entry per line
+ *
+ * Logged payloads are the objects the simulation dispatched; the ones it keeps
+ * mutating (waves, AI state) are written as they are at export time.
+ * replayWorld regenerates those from GAME_TICK, so a log that starts at
+ * GAME_INIT (no baseline) or at a checkpoint of the whole world (eventStore
+ * getReplayLog) replays bit-identically.
+ *
+ * @param {object} log - {events, firstIndex, baseline}: baseline is the state
+ *   before events[0] (null when the log starts from a fresh store)
+ * @param {object} meta - Extra header fields (seed, note, ...)
+ * @returns {string}
+ */
+export function serializeEventLog({ events, firstIndex = 0, baseline = null }, meta = {}) {
+  const header = {
+    format: EVENT_LOG_FORMAT,
+    version: EVENT_LOG_VERSION,
+    ...meta,
+    firstIndex,
+    eventCount: events.length,
+    baseline,
+  };
+  const lines = [JSON.stringify(header, encodeValue)];
+  for (const event of events) {
+    lines.push(JSON.stringify(event, encodeValue));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a log written by serializeEventLog
+ * @param {string} text - JSON lines
+ * @returns {{header: object, events: Array, baseline: object|null}}
+ */
+export function parseEventLog(text) {
+  const lines = text.split('\n').filter((line) => line.trim() !== '');
+  if (lines.length === 0) throw new Error('Event log is empty');
+
+  let header;
+  try {
+    header = JSON.parse(lines[0], decodeValue);
+  } catch {
+    throw new Error('Event log header is not JSON');
+  }
+  if (header?.format !== EVENT_LOG_FORMAT) {
+    throw new Error('Not a surf event log');
+  }
+  if (!Number.isInteger(header.version) || header.version > EVENT_LOG_VERSION) {
+    throw new Error(`Unsupported event log version ${header.version}`);
+  }
+
+  const events = lines.slice(1).map((line) => JSON.parse(line, decodeValue));
+  if (header.eventCount !== undefined && header.eventCount !== events.length) {
+    throw new Error(`Event log is truncated (${events.length} of ${header.eventCount} events)`);
+  }
+  const { baseline = null, ...rest } = header;
+  return { header: rest, events, baseline };
+}
+
+// Run bytes through a (de)compression stream; errors surface on the readable side
+async function pipeBytes(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  return new Uint8Array(await new Response(transform.readable).arrayBuffer());
+}
+
+/**
+ * Gzipped export of a log (see serializeEventLog)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function exportEventLog(log, meta = {}) {
+  const text = serializeEventLog(log, meta);
+  return pipeBytes(new TextEncoder().encode(text), new CompressionStream('gzip'));
+}
+
+/**
+ * Read an export back (gzipped or plain JSON lines)
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Promise<{header: object, events: Array, baseline: object|null}>}
+ */
+export async function importEventLog(data) {
+  let bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    bytes = await pipeBytes(bytes, new DecompressionStream('gzip'));
+  }
+  return parseEventLog(new TextDecoder().decode(bytes));
+}
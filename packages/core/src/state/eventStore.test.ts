@@ -7,7 +7,10 @@ import {
   getStore,
   resetStore,
 } from './eventStore.js';
-import { WAVE_TYPE } from './waveModel.js';
+import { WAVE_TYPE, WAVE_PERIOD } from './waveModel.js';
+import { BATHYMETRY_PRESETS, DEFAULT_BATHYMETRY, getDepth } from './bathymetryModel.js';
+import { isBathymetryGrid } from './bathymetryGridModel.js';
+import { DEFAULT_PHYSICS_CONFIG } from './physicsConfig.js';
 
 describe('eventStore', () => {
   beforeEach(() => {
@@ -44,6 +47,30 @@ describe('eventStore', () => {
       expect(state.gameTime).toBe(0); // Original unchanged
     });
 
+    it('advances the tide with GAME_TICK', () => {
+      const state = createInitialState({ tide: { range: 2, period: 100, phase: 0 } });
+      const newState = reducer(state, { type: EventType.GAME_TICK, deltaTime: 50000 });
+
+      expect(state.tideLevel).toBeCloseTo(-1, 6);
+      expect(newState.tideLevel).toBeCloseTo(1, 6);
+    });
+
+    it('merges TIDE_SET into the current tide', () => {
+      const state = createInitialState({ tide: { range: 2, period: 100, phase: 0 } });
+      const newState = reducer(state, { type: EventType.TIDE_SET, tide: { range: 4 } });
+
+      expect(newState.tide.range).toBe(4);
+      expect(newState.tide.period).toBe(100);
+      expect(newState.tideLevel).toBeCloseTo(-2, 6);
+    });
+
+    it('turns the tide off with TIDE_SET null', () => {
+      const newState = reducer(createInitialState(), { type: EventType.TIDE_SET, tide: null });
+
+      expect(newState.tide).toBeNull();
+      expect(reducer(newState, { type: EventType.GAME_TICK, deltaTime: 1000 }).tideLevel).toBe(0);
+    });
+
     it('handles WAVE_SPAWN', () => {
       const state = { ...createInitialState(), gameTime: 1000 };
       const newState = reducer(state, {
@@ -58,6 +85,91 @@ describe('eventStore', () => {
       expect(newState.waves[0].spawnTime).toBe(1000);
     });
 
+    it('staggers WAVE_SPAWN waves that arrive at an angle', () => {
+      const state = reducer(createInitialState(), {
+        type: EventType.WAVE_SPAWN,
+        amplitude: 0.5,
+        angle: 12,
+      });
+      const { progressPerX, holdPerX } = state.waves[0];
+
+      expect(state.waves[0].angle).toBe(12);
+      expect(progressPerX.every((p) => p === 0)).toBe(true);
+      expect(holdPerX[holdPerX.length - 1]).toBeGreaterThan(holdPerX[0]);
+    });
+
+    it('gives WAVE_SPAWN waves the period of their swell', () => {
+      let state = reducer(createInitialState(), {
+        type: EventType.WAVE_SPAWN,
+        amplitude: 0.5,
+        period: 14,
+      });
+      state = reducer(state, { type: EventType.WAVE_SPAWN, amplitude: 0.5 });
+
+      expect(state.waves[0].period).toBe(14);
+      expect(state.waves[1].period).toBe(WAVE_PERIOD);
+      expect(state.waves[0].speedFactor).toBeGreaterThan(state.waves[1].speedFactor);
+    });
+
+    it('assigns wave ids from state so replays reproduce them', () => {
+      let state = createInitialState();
+      state = reducer(state, { type: EventType.WAVE_SPAWN, amplitude: 0.5 });
+      state = reducer(state, { type: EventType.WAVE_SPAWN, amplitude: 0.5 });
+
+      expect(state.waves.map((w) => w.id)).toEqual(['wave-1', 'wave-2']);
+      expect(state.nextWaveId).toBe(3);
+    });
+
+    it('handles GAME_INIT with a seed', () => {
+      const state = reducer(createInitialState(), { type: EventType.GAME_INIT, seed: 42 });
+
+      expect(state.seed).toBe(42);
+      expect(state.random.seed).toBe(42);
+      expect(state.gameTime).toBe(0);
+    });
+
+    it('handles VIEWPORT_RESIZE', () => {
+      const state = reducer(createInitialState(), {
+        type: EventType.VIEWPORT_RESIZE,
+        width: 1024,
+        height: 768,
+      });
+
+      expect(state.viewport).toEqual({ width: 1024, height: 768 });
+    });
+
+    it('builds aiState from aiMode when AI_UPDATE omits it', () => {
+      const state = reducer(createInitialState(), { type: EventType.AI_UPDATE, aiMode: 'EXPERT' });
+
+      expect(state.aiMode).toBe('EXPERT');
+      expect(state.aiState.mode).toBe('EXPERT');
+    });
+
+    it('handles BATHYMETRY_SET', () => {
+      const grid = BATHYMETRY_PRESETS['reef-pass'];
+      const state = reducer(createInitialState(), {
+        type: EventType.BATHYMETRY_SET,
+        bathymetry: grid,
+        preset: 'reef-pass',
+      });
+
+      expect(state.bathymetry).toBe(grid);
+      expect(state.bathymetryPreset).toBe('reef-pass');
+    });
+
+    it('handles BATHYMETRY_BRUSH by rasterizing and editing a new grid', () => {
+      const initial = createInitialState();
+      const stroke = { x: 0.5, progress: 0.5, radius: 0.1, amount: 4 };
+      const state = reducer(initial, { type: EventType.BATHYMETRY_BRUSH, ...stroke });
+
+      expect(initial.bathymetry).toBe(DEFAULT_BATHYMETRY);
+      expect(isBathymetryGrid(state.bathymetry)).toBe(true);
+      expect(state.bathymetryPreset).toBe('custom');
+      expect(getDepth(0.5, state.bathymetry, 0.5)).toBeLessThan(
+        getDepth(0.5, DEFAULT_BATHYMETRY, 0.5) - 3
+      );
+    });
+
     it('handles WAVE_REMOVE', () => {
       let state = { ...createInitialState(), gameTime: 1000 };
       state = reducer(state, {
@@ -93,6 +205,87 @@ describe('eventStore', () => {
       expect(newState.timeScale).toBe(4);
     });
 
+    it('starts an empty scorecard and adds RIDE_SCORED rides to it', () => {
+      const state = createInitialState();
+      expect(state.scorecard.rides).toEqual([]);
+      expect(state.rideTracker).toBeNull();
+
+      let next = reducer(state, { type: EventType.RIDE_SCORED, ride: { score: 4 } });
+      next = reducer(next, { type: EventType.RIDE_SCORED, ride: { score: 6.5 } });
+
+      expect(next.scorecard.rides).toHaveLength(2);
+      expect(next.scorecard.total).toBe(10.5);
+      expect(state.scorecard.rides).toHaveLength(0); // Original unchanged
+    });
+
+    it('keeps the ride tracker from PLAYER_UPDATE', () => {
+      const tracker = { duration: 1 };
+      const state = reducer(createInitialState(), {
+        type: EventType.PLAYER_UPDATE,
+        playerProxy: { x: 1, y: 2 },
+        aiState: null,
+        lastAIInput: null,
+        rideTracker: tracker,
+      });
+      expect(state.rideTracker).toBe(tracker);
+    });
+
+    it('starts with an empty crowd and takes it from CROWD_UPDATE', () => {
+      const state = createInitialState();
+      expect(state.crowd).toEqual([]);
+      expect(state.toggles.crowdSize).toBe(0);
+
+      const crowd = [{ id: 'npc-1' }];
+      expect(reducer(state, { type: EventType.CROWD_UPDATE, crowd }).crowd).toBe(crowd);
+    });
+
+    it('sizes grids and wave samples by the grid resolution', () => {
+      const state = reducer(createInitialState(), {
+        type: EventType.GAME_INIT,
+        gridResolution: 'high',
+      });
+      expect(state.gridResolution).toBe('high');
+      expect(state.energyField.width).toBe(90);
+      expect(state.currentField.height).toBe(60);
+      expect([state.foamGridWidth, state.foamGridHeight]).toEqual([90, 60]);
+
+      const next = reducer(state, { type: EventType.WAVE_SPAWN, amplitude: 0.5 });
+      expect(next.waves[0].progressPerX).toHaveLength(60);
+    });
+
+    it('resamples the grids and waves on GRID_RESOLUTION_SET', () => {
+      let state = reducer(createInitialState(), { type: EventType.WAVE_SPAWN, amplitude: 0.5 });
+      state.energyField.height.fill(0.25);
+
+      const next = reducer(state, { type: EventType.GRID_RESOLUTION_SET, resolution: 'low' });
+      expect(next.gridResolution).toBe('low');
+      expect(next.energyField.height).toHaveLength(40 * 28);
+      expect(next.energyField.height.every((h) => Math.abs(h - 0.25) < 1e-6)).toBe(true);
+      expect(next.energyTransferGrid.lastFrame).toHaveLength(40 * 28);
+      expect(next.waves[0].progressPerX).toHaveLength(28);
+      expect(state.energyField.height).toHaveLength(60 * 40); // Original unchanged
+
+      state = reducer(next, { type: EventType.GRID_RESOLUTION_SET, resolution: 'low' });
+      expect(state.energyField).toBe(next.energyField);
+    });
+
+    it('merges PHYSICS_CONFIG_SET into the physics config', () => {
+      const state = createInitialState({ physics: { foamDecay: 0.5 } });
+      expect(state.physics).toEqual({ ...DEFAULT_PHYSICS_CONFIG, foamDecay: 0.5 });
+
+      const next = reducer(state, {
+        type: EventType.PHYSICS_CONFIG_SET,
+        physics: { refractionStrength: 1 },
+      });
+      expect(next.physics.refractionStrength).toBe(1);
+      expect(next.physics.foamDecay).toBe(0.5);
+      expect(state.physics.refractionStrength).toBe(DEFAULT_PHYSICS_CONFIG.refractionStrength);
+
+      expect(() =>
+        reducer(state, { type: EventType.PHYSICS_CONFIG_SET, physics: { gravity: 9.8 } })
+      ).toThrow(/unknown parameter gravity/);
+    });
+
     it('returns same state for unknown event type', () => {
       const state = createInitialState();
       const newState = reducer(state, { type: 'UNKNOWN_EVENT' });
@@ -200,6 +393,107 @@ describe('eventStore', () => {
       expect(store.getState().gameTime).toBe(1000);
     });
 
+    it('returns events from an index and counts them', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 1000 });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showBathymetry', value: true });
+
+      expect(store.getEventCount()).toBe(2);
+      expect(store.getEvents(1).map((e) => e.type)).toEqual([EventType.TOGGLE_CHANGE]);
+    });
+
+    it('restore jumps to a snapshot and its history', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 1000 });
+      const snapshot = store.getState();
+      const history = store.getEvents();
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 1000 });
+
+      store.restore(snapshot, history);
+
+      expect(store.getState()).toBe(snapshot);
+      expect(store.getEvents()).toEqual(history);
+      expect(store.getState().gameTime).toBe(1000);
+    });
+
+    it('keeps only the newest events past the retention, with absolute indices', () => {
+      const store = createEventStore(null, { retention: 3 });
+      for (let i = 1; i <= 5; i++) {
+        store.dispatch({ type: EventType.GAME_TICK, deltaTime: i });
+      }
+
+      expect(store.getEventCount()).toBe(5);
+      expect(store.getFirstEventIndex()).toBe(2);
+      expect(store.getEvents().map((e) => e.deltaTime)).toEqual([3, 4, 5]);
+      expect(store.getEvents(4).map((e) => e.deltaTime)).toEqual([5]);
+    });
+
+    it('folds dropped events into a baseline the retained history replays from', () => {
+      const store = createEventStore(null, { retention: 2 });
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 100 });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showBathymetry', value: true });
+      expect(store.getBaseline()).toBeNull();
+
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 50 });
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 25 });
+
+      expect(store.getBaseline().gameTime).toBe(100);
+      expect(store.getBaseline().toggles.showBathymetry).toBe(true);
+
+      const replayed = createEventStore().replay(store.getEvents(), store.getBaseline());
+      expect(replayed.gameTime).toBe(175);
+      expect(replayed.toggles.showBathymetry).toBe(true);
+    });
+
+    it('keeps the baseline apart from the grids the simulation mutates', () => {
+      const store = createEventStore(null, { retention: 2, checkpointInterval: 2 });
+      for (let i = 0; i < 6; i++) {
+        store.dispatch({ type: EventType.GAME_TICK, deltaTime: 10 });
+        // What simulateTick does to the live world between events
+        store.getState().energyField.height[0] += 1;
+      }
+
+      const baseline = store.getBaseline();
+      expect(baseline.energyField).not.toBe(store.getState().energyField);
+      expect(baseline.energyField.height[0]).toBe(4);
+      expect(baseline.gameTime).toBe(40);
+    });
+
+    it('does not log updates that change nothing', () => {
+      const store = createEventStore();
+      const { backgroundState } = store.getState();
+      store.dispatch({ type: EventType.BACKGROUND_UPDATE, backgroundState });
+      store.dispatch({ type: EventType.WAVES_UPDATE, waves: [] });
+
+      expect(store.getEventCount()).toBe(0);
+    });
+
+    it('logs wave list diffs that replay to the same waves', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 0.8, waveType: WAVE_TYPE.SET });
+      store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 0.5, waveType: WAVE_TYPE.SET });
+      const [first, second] = store.getState().waves;
+      store.dispatch({ type: EventType.WAVES_UPDATE, waves: [second] });
+
+      const update = store.getEvents(2)[0];
+      expect(update.waves).toBeUndefined();
+      expect(update._diff.waves.removed).toEqual([first.id]);
+
+      const replayed = createEventStore().replay(store.getEvents());
+      expect(replayed.waves.map((w) => w.id)).toEqual([second.id]);
+    });
+
+    it('clearHistory keeps counting event indices', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 1000 });
+      store.clearHistory();
+      store.dispatch({ type: EventType.GAME_TICK, deltaTime: 1000 });
+
+      expect(store.getFirstEventIndex()).toBe(1);
+      expect(store.getEventCount()).toBe(2);
+      expect(store.getBaseline().gameTime).toBe(1000);
+    });
+
     it('reset returns to initial state', () => {
       const store = createEventStore();
       store.dispatch({ type: EventType.GAME_TICK, deltaTime: 1000 });
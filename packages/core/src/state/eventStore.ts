@@ -4,22 +4,41 @@
  * Features:
  * - Event dispatch and replay
  * - State subscriptions
- * - Event history for debugging/testing
+ * - Bounded, compacted event history for debugging/testing (see eventLog.ts)
  * - Deterministic state from event replay
  */
 
-import { createWave } from './waveModel.js';
+import { createWave, WAVE_PERIOD } from './waveModel.js';
 import { createSetLullState, DEFAULT_CONFIG } from './setLullModel.js';
 import { createInitialBackgroundState, BACKGROUND_CONFIG } from './backgroundWaveModel.js';
-import { createEnergyField, FIELD_HEIGHT, FIELD_WIDTH } from './energyFieldModel.js';
-import { DEFAULT_BATHYMETRY } from './bathymetryModel.js';
-import { createFoamGrids } from './foamGridModel.js';
+import { ENERGY_SOLVER } from './energyFieldModel.js';
+import { DEFAULT_BATHYMETRY, rasterizeBathymetry } from './bathymetryModel.js';
+import { applyBathymetryBrush } from './bathymetryGridModel.js';
+import { createTide, getTideLevel } from './tideModel.js';
+import {
+  createWorldGrids,
+  DEFAULT_GRID_RESOLUTION,
+  getGridResolution,
+  resampleWorldGrids,
+} from './gridResolution.js';
+import { createPhysicsConfig } from './physicsConfig.js';
+import { createAIState } from './aiPlayerModel.js';
+import { createScorecard, addRideToScorecard } from './rideScoreModel.js';
+import { createRandomState, createRandomFn } from '../core/random.js';
+import { createEventLog, compactEntry, expandEntry, EVENT_LOG_CONFIG } from './eventLog.js';
+
+// Seed used when no seed is supplied (tests, tools). Live sessions pass their own via GAME_INIT.
+export const DEFAULT_SEED = 1;
+
+// Viewport used until the host reports its canvas size (headless runs keep this)
+export const DEFAULT_VIEWPORT = { width: 800, height: 600 };
 
 // Event types
 export const EventType = {
   // Game lifecycle
   GAME_INIT: 'GAME_INIT',
   GAME_TICK: 'GAME_TICK',
+  VIEWPORT_RESIZE: 'VIEWPORT_RESIZE',
 
   // Waves
   WAVE_SPAWN: 'WAVE_SPAWN',
@@ -40,6 +59,8 @@ export const EventType = {
   PLAYER_INIT: 'PLAYER_INIT',
   PLAYER_UPDATE: 'PLAYER_UPDATE',
   AI_UPDATE: 'AI_UPDATE',
+  RIDE_SCORED: 'RIDE_SCORED',
+  CROWD_UPDATE: 'CROWD_UPDATE',
 
   // State machines
   SET_LULL_UPDATE: 'SET_LULL_UPDATE',
@@ -47,18 +68,92 @@ export const EventType = {
 
   // Energy field
   ENERGY_UPDATE: 'ENERGY_UPDATE',
+
+  // Bathymetry (presets, heightmap imports, editor strokes)
+  BATHYMETRY_SET: 'BATHYMETRY_SET',
+  BATHYMETRY_BRUSH: 'BATHYMETRY_BRUSH',
+
+  // Tide
+  TIDE_SET: 'TIDE_SET',
+
+  // Simulation grid resolution (resamples the grids and wave samples)
+  GRID_RESOLUTION_SET: 'GRID_RESOLUTION_SET',
+
+  // Physics tuning (refraction, breaking, foam)
+  PHYSICS_CONFIG_SET: 'PHYSICS_CONFIG_SET',
+};
+
+/**
+ * State-carrying updates the log stores compacted (see compactEntry): `keys` are
+ * payload keys the reducer copies into state as-is, `lists` are arrays of {id}
+ * items logged as diffs. Keep in sync with the reducer cases below.
+ */
+export const COMPACTED_EVENTS = {
+  [EventType.WAVES_UPDATE]: { lists: ['waves'] },
+  [EventType.FOAM_ROWS_UPDATE]: { keys: ['foamRows'] },
+  [EventType.FOAM_SEGMENTS_UPDATE]: { keys: ['foamSegments'] },
+  [EventType.PLAYER_UPDATE]: { keys: ['playerProxy', 'aiState', 'lastAIInput', 'rideTracker'] },
+  [EventType.CROWD_UPDATE]: { lists: ['crowd'] },
+  [EventType.SET_LULL_UPDATE]: { keys: ['setLullState'] },
+  [EventType.BACKGROUND_UPDATE]: { keys: ['backgroundState'] },
+  [EventType.ENERGY_UPDATE]: { keys: ['energyField'] },
 };
 
+/**
+ * Full event for a logged entry (compact entries are rebuilt from the state)
+ * @param {object} state - State the entry is about to be applied to
+ * @param {object} entry - Entry from getEvents()
+ * @returns {object}
+ */
+export function expandEvent(state, entry) {
+  return expandEntry(state, entry, COMPACTED_EVENTS[entry.type]);
+}
+
 /**
  * Create initial game state
+ * @param {object} options - Initial state options
+ * @param {number} options.seed - PRNG seed; every random draw in the simulation derives from it
+ * @param {object} options.setConfig - Overrides merged over the set/lull DEFAULT_CONFIG
+ * @param {object} options.bathymetry - Bathymetry config (replaces DEFAULT_BATHYMETRY)
+ * @param {string} options.bathymetryPreset - Name shown for the bathymetry ('custom' if unnamed)
+ * @param {object} options.tide - Overrides merged over DEFAULT_TIDE (null disables the tide)
+ * @param {string} options.gridResolution - GRID_RESOLUTION_PRESETS name sizing the grids
+ * @param {object} options.physics - Overrides merged over DEFAULT_PHYSICS_CONFIG
+ * @returns {object} Initial game state
  */
-export function createInitialState() {
-  const foamLayers = createFoamGrids();
+export function createInitialState(options: Record<string, any> = {}) {
+  const {
+    seed = DEFAULT_SEED,
+    bathymetry = DEFAULT_BATHYMETRY,
+    gridResolution = DEFAULT_GRID_RESOLUTION,
+  } = options;
+  const bathymetryPreset =
+    options.bathymetryPreset ?? (bathymetry === DEFAULT_BATHYMETRY ? 'default' : 'custom');
+  const setConfig = options.setConfig
+    ? { ...DEFAULT_CONFIG, ...options.setConfig }
+    : DEFAULT_CONFIG;
+  const tide = options.tide === null ? null : createTide(options.tide);
+  const random = createRandomState(seed);
+  const randomFn = createRandomFn(random);
+  const grids = createWorldGrids(gridResolution);
   return {
     // Core game time
     gameTime: 0,
     timeScale: 1,
 
+    // Deterministic randomness (Plan 150 replay) - mutated in place like the energy field
+    seed: random.seed,
+    random,
+
+    // Canvas size the simulation runs against (foam rows, player bounds)
+    viewport: { ...DEFAULT_VIEWPORT },
+
+    // Resolution preset sizing every grid and the waves' refraction samples
+    gridResolution,
+
+    // Refraction, breaking and foam constants (physicsConfig.ts)
+    physics: createPhysicsConfig(options.physics),
+
     // World parameters
     shoreHeight: 100,
     swellSpacing: 80,
@@ -66,21 +161,25 @@ export function createInitialState() {
 
     // Dynamic state
     waves: [],
+    nextWaveId: 1,
     foamRows: [], // legacy (debug)
     foamSegments: [], // legacy (debug)
-    foamGrid: foamLayers.foam,
-    energyTransferGrid: foamLayers.energyTransfer,
-    foamGridWidth: FIELD_WIDTH,
-    foamGridHeight: FIELD_HEIGHT,
+    foamGrid: grids.foamGrid,
+    energyTransferGrid: grids.energyTransferGrid,
+    foamGridWidth: grids.foamGridWidth,
+    foamGridHeight: grids.foamGridHeight,
 
     // State machines
-    setConfig: DEFAULT_CONFIG,
-    setLullState: createSetLullState(DEFAULT_CONFIG),
+    setConfig,
+    setLullState: createSetLullState(setConfig, randomFn),
     backgroundConfig: BACKGROUND_CONFIG,
-    backgroundState: createInitialBackgroundState(BACKGROUND_CONFIG),
+    backgroundState: createInitialBackgroundState(BACKGROUND_CONFIG, randomFn),
 
-    // Bathymetry
-    bathymetry: DEFAULT_BATHYMETRY,
+    // Bathymetry (seafloor) and the sea level over it
+    bathymetry,
+    bathymetryPreset,
+    tide,
+    tideLevel: getTideLevel(tide, 0),
 
     // Player
     playerProxy: null,
@@ -88,8 +187,18 @@ export function createInitialState() {
     aiMode: 'INTERMEDIATE',
     lastAIInput: { left: false, right: false, up: false, down: false },
 
+    // Ride judging: the ride in progress and the session's heat scorecard
+    rideTracker: null,
+    scorecard: createScorecard(),
+
+    // NPC surfers sharing the lineup (crowdModel), sized by toggles.crowdSize
+    crowd: [],
+
     // Energy field
-    energyField: createEnergyField(),
+    energyField: grids.energyField,
+
+    // Rip/longshore currents (mutated in place like the energy field)
+    currentField: grids.currentField,
 
     // UI toggles
     toggles: {
@@ -104,8 +213,18 @@ export function createInitialState() {
       showFoamOptionB: false,
       showFoamOptionC: false,
       showEnergyField: false,
+      showCurrents: false,
+      showScorecard: true,
+      waveInterference: true,
+      mergeDoubleUps: false,
+      crowdSize: 0,
       depthDampingCoefficient: 0.1,
       depthDampingExponent: 2.0,
+      energySolver: ENERGY_SOLVER.WAVE,
+      swellInjection: false,
+      editBathymetry: false,
+      bathymetryBrushRadius: 0.08,
+      bathymetryBrushStrength: 6,
     },
   };
 }
@@ -116,19 +235,53 @@ export function createInitialState() {
 export function reducer(state, event) {
   switch (event.type) {
     case EventType.GAME_INIT:
-      return createInitialState();
-
-    case EventType.GAME_TICK:
+      return createInitialState({
+        seed: event.seed,
+        setConfig: event.setConfig,
+        bathymetry: event.bathymetry,
+        bathymetryPreset: event.bathymetryPreset,
+        tide: event.tide,
+        gridResolution: event.gridResolution,
+        physics: event.physics,
+      });
+
+    case EventType.VIEWPORT_RESIZE:
       return {
         ...state,
-        gameTime: state.gameTime + event.deltaTime,
+        viewport: { width: event.width, height: event.height },
       };
 
-    case EventType.WAVE_SPAWN:
+    case EventType.GAME_TICK: {
+      const gameTime = state.gameTime + event.deltaTime;
+      return {
+        ...state,
+        gameTime,
+        tideLevel: getTideLevel(state.tide, gameTime),
+      };
+    }
+
+    case EventType.WAVE_SPAWN: {
+      // IDs come from state (not the module counter) so replays produce the same IDs
+      const nextWaveId = state.nextWaveId ?? 1;
+      const { width, height } = state.viewport ?? DEFAULT_VIEWPORT;
+      const wave = createWave(
+        state.gameTime,
+        event.amplitude,
+        event.waveType,
+        `wave-${nextWaveId}`,
+        {
+          angle: event.angle ?? 0,
+          aspectRatio: width / (height - state.shoreHeight),
+          samples: getGridResolution(state.gridResolution).waveSamples,
+          period: event.period ?? WAVE_PERIOD,
+        }
+      );
       return {
         ...state,
-        waves: [...state.waves, createWave(state.gameTime, event.amplitude, event.waveType)],
+        nextWaveId: nextWaveId + 1,
+        waves: [...state.waves, wave],
       };
+    }
 
     case EventType.WAVE_REMOVE:
       return {
@@ -197,13 +350,28 @@ export function reducer(state, event) {
         playerProxy: event.playerProxy,
         aiState: event.aiState,
         lastAIInput: event.lastAIInput,
+        rideTracker: event.rideTracker ?? null,
+      };
+
+    case EventType.RIDE_SCORED:
+      return {
+        ...state,
+        scorecard: addRideToScorecard(state.scorecard, event.ride),
+      };
+
+    case EventType.CROWD_UPDATE:
+      return {
+        ...state,
+        crowd: event.crowd,
       };
 
     case EventType.AI_UPDATE:
       return {
         ...state,
         aiMode: event.aiMode,
-        aiState: event.aiState,
+        // Build the AI state here when omitted so the logged event stays free of
+        // mutable state (updateAIPlayer mutates aiState in place)
+        aiState: event.aiState ?? createAIState(event.aiMode),
       };
 
     case EventType.SET_LULL_UPDATE:
@@ -224,19 +392,126 @@ export function reducer(state, event) {
         energyField: event.energyField,
       };
 
+    case EventType.BATHYMETRY_SET:
+      return {
+        ...state,
+        bathymetry: event.bathymetry,
+        bathymetryPreset: event.preset ?? 'custom',
+      };
+
+    case EventType.BATHYMETRY_BRUSH:
+      // Analytic configs are rasterized on the first stroke; the brush returns a new grid
+      return {
+        ...state,
+        bathymetry: applyBathymetryBrush(rasterizeBathymetry(state.bathymetry), event),
+        bathymetryPreset: 'custom',
+      };
+
+    case EventType.TIDE_SET: {
+      // Partial updates (a debug slider) merge into the current tide; null turns it off
+      const tide =
+        event.tide === null ? null : createTide({ ...(state.tide ?? {}), ...event.tide });
+      return {
+        ...state,
+        tide,
+        tideLevel: getTideLevel(tide, state.gameTime),
+      };
+    }
+
+    // Partial updates (a debug slider) merge into the current config; a preset
+    // is a full config
+    case EventType.PHYSICS_CONFIG_SET:
+      return {
+        ...state,
+        physics: createPhysicsConfig({ ...state.physics, ...event.physics }),
+      };
+
+    case EventType.GRID_RESOLUTION_SET:
+      return {
+        ...state,
+        ...resampleWorldGrids(state, event.resolution),
+      };
+
     default:
       return state;
   }
 }
 
+// Deep copy of a world, typed-array grids included
+const copyWorld = (world) => structuredClone(world);
+
 /**
  * Create an event store instance
+ * @param {object} initialState - Starting state (default: createInitialState())
+ * @param {object} options
+ * @param {number} options.retention - Events kept in the history (EVENT_LOG_CONFIG.retention)
+ * @param {number} options.checkpointInterval - Events between checkpoints
+ *   (EVENT_LOG_CONFIG.checkpointInterval)
  */
-export function createEventStore(initialState = null) {
+export function createEventStore(initialState = null, options: Record<string, any> = {}) {
+  const {
+    retention = EVENT_LOG_CONFIG.retention,
+    checkpointInterval = EVENT_LOG_CONFIG.checkpointInterval,
+  } = options;
   let state = initialState || createInitialState();
-  const events = [];
+  const events = createEventLog(retention);
   const subscribers: Set<(state: any, event: any) => void> = new Set();
 
+  // State before the oldest retained event (null while the history starts at `origin`).
+  // The simulation mutates the energy field, foam and current grids and the random
+  // state in place, so both keep copies rather than the live objects.
+  let origin = copyWorld(state);
+  let baseline = null;
+
+  // Full-world copies taken before a GAME_TICK every checkpointInterval events
+  // ({index, state}): the reducer alone cannot fold those grids forward, so a
+  // history cut by retention re-simulates from one of these (getReplayLog)
+  let checkpoints = [];
+  let lastCheckpointIndex = -Infinity;
+
+  // An entry pushed out of the window is folded into the baseline so the
+  // retained history stays replayable; once the window reaches a checkpoint the
+  // baseline is that checkpoint
+  function append(entry) {
+    const dropped = events.push(entry);
+    if (dropped) {
+      const firstIndex = events.getFirstIndex();
+      checkpoints = checkpoints.filter((checkpoint) => checkpoint.index >= firstIndex);
+      if (checkpoints[0]?.index === firstIndex) {
+        baseline = checkpoints[0].state;
+      } else {
+        const base = baseline ?? origin;
+        baseline = reducer(base, expandEvent(base, dropped));
+      }
+    }
+  }
+
+  // Between ticks the world is whole, so a copy there replays with replayWorld
+  function checkpoint(event) {
+    const index = events.getCount();
+    if (event.type !== EventType.GAME_TICK || index < lastCheckpointIndex + checkpointInterval) {
+      return;
+    }
+    checkpoints.push({ index, state: copyWorld(state) });
+    lastCheckpointIndex = index;
+  }
+
+  function resetCheckpoints() {
+    checkpoints = [];
+    lastCheckpointIndex = -Infinity;
+  }
+
+  // Log an event against the state it is about to change (no-op updates are skipped)
+  function record(event, timestamp) {
+    checkpoint(event);
+    const entry = compactEntry(
+      state,
+      { ...event, _timestamp: timestamp, _gameTime: state.gameTime },
+      COMPACTED_EVENTS[event.type]
+    );
+    if (entry) append(entry);
+  }
+
   return {
     /**
      * Get current state (read-only snapshot)
@@ -249,12 +524,7 @@ export function createEventStore(initialState = null) {
      * Dispatch an event to update state
      */
     dispatch(event) {
-      const timestampedEvent = {
-        ...event,
-        _timestamp: performance.now(),
-        _gameTime: state.gameTime,
-      };
-      events.push(timestampedEvent);
+      record(event, performance.now());
       state = reducer(state, event);
 
       // Notify subscribers
@@ -273,12 +543,7 @@ export function createEventStore(initialState = null) {
     batchDispatch(eventList) {
       const timestamp = performance.now();
       for (const event of eventList) {
-        const timestampedEvent = {
-          ...event,
-          _timestamp: timestamp,
-          _gameTime: state.gameTime,
-        };
-        events.push(timestampedEvent);
+        record(event, timestamp);
         state = reducer(state, event);
       }
 
@@ -304,29 +569,107 @@ export function createEventStore(initialState = null) {
 
     /**
      * Get event history (for debugging/replay)
+     * Indices are absolute: events older than the retention window are gone, so
+     * the result starts at max(start, getFirstEventIndex()). Update events may be
+     * compact; expandEvent() rebuilds them.
+     * @param {number} start - Index of the first event to return (default: all retained)
+     */
+    getEvents(start = 0) {
+      return events.slice(start);
+    },
+
+    /**
+     * Number of events ever logged, i.e. the index the next event gets
+     * (cheaper than getEvents().length)
+     */
+    getEventCount() {
+      return events.getCount();
+    },
+
+    /**
+     * Index of the oldest event still retained
+     */
+    getFirstEventIndex() {
+      return events.getFirstIndex();
+    },
+
+    /**
+     * State before the oldest retained event, or null if the history starts
+     * from the store's initial state (replay(getEvents(), getBaseline()) rebuilds it)
      */
-    getEvents() {
-      return [...events];
+    getBaseline() {
+      return baseline;
+    },
+
+    /**
+     * The retained history in a form replayWorld re-simulates bit-identically:
+     * from GAME_INIT while nothing has been dropped, otherwise from the oldest
+     * retained checkpoint (events before it are left out). Without one (just
+     * after clearHistory) it is the current world with no events.
+     * @returns {{events: Array, firstIndex: number, baseline: object|null}}
+     */
+    getReplayLog() {
+      const firstIndex = events.getFirstIndex();
+      if (firstIndex === 0 && baseline === null) {
+        return { events: events.slice(0), firstIndex, baseline: null };
+      }
+      const oldest = checkpoints.find((checkpoint) => checkpoint.index >= firstIndex);
+      if (oldest) {
+        return {
+          events: events.slice(oldest.index),
+          firstIndex: oldest.index,
+          baseline: oldest.state,
+        };
+      }
+      return { events: [], firstIndex: events.getCount(), baseline: copyWorld(state) };
     },
 
     /**
      * Replay events to reconstruct state
+     * @param {Array} eventLog - Events (full or compact)
+     * @param {object} base - State before eventLog[0] (default: a fresh initial state)
      */
-    replay(eventLog) {
-      state = createInitialState();
-      events.length = 0;
-      for (const event of eventLog) {
+    replay(eventLog, base = null) {
+      state = base ?? createInitialState();
+      origin = copyWorld(state);
+      baseline = base && copyWorld(base);
+      events.reset();
+      resetCheckpoints();
+      for (const entry of eventLog) {
+        const event = expandEvent(state, entry);
+        append(entry);
         state = reducer(state, event);
-        events.push(event);
       }
       return state;
     },
 
     /**
-     * Clear event history (keeps current state)
+     * Jump to a recorded point (time-travel debugger): replace the state and history
+     * @param {object} snapshot - State to continue from
+     * @param {Array} eventLog - History that led to it
+     * @param {object} options - {firstIndex, baseline} of eventLog (as from
+     *   getFirstEventIndex/getBaseline) when it does not start at the beginning
+     */
+    restore(snapshot, eventLog, options: Record<string, any> = {}) {
+      const { firstIndex = 0 } = options;
+      state = snapshot;
+      baseline = options.baseline ?? null;
+      events.reset(eventLog, firstIndex);
+      resetCheckpoints();
+      for (const subscriber of subscribers) {
+        subscriber(state, { type: EventType.GAME_INIT });
+      }
+      return state;
+    },
+
+    /**
+     * Clear event history (keeps current state; event indices keep counting)
+     * Cheap enough to call every frame: the baseline is the live world itself,
+     * not a copy, and getReplayLog has nothing before the next checkpoint.
      */
     clearHistory() {
-      events.length = 0;
+      events.reset([], events.getCount());
+      baseline = state;
     },
 
     /**
@@ -334,7 +677,10 @@ export function createEventStore(initialState = null) {
      */
     reset() {
       state = createInitialState();
-      events.length = 0;
+      origin = copyWorld(state);
+      baseline = null;
+      events.reset();
+      resetCheckpoints();
       for (const subscriber of subscribers) {
         subscriber(state, { type: EventType.GAME_INIT });
       }
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { createFoamGrids, updateFoamLayer, sampleFoamGrid } from './foamGridModel.js';
+import { createCurrentField } from './currentFieldModel.js';
+
+// Column-weighted center of the foam in normalized x
+function foamCenterX(foamGrid) {
+  const { data, width } = foamGrid;
+  let total = 0;
+  let weighted = 0;
+  for (let i = 0; i < data.length; i++) {
+    total += data[i];
+    weighted += data[i] * (((i % width) + 0.5) / width);
+  }
+  return weighted / total;
+}
+
+function foamCenterProgress(foamGrid) {
+  const { data, width, height } = foamGrid;
+  let total = 0;
+  let weighted = 0;
+  for (let i = 0; i < data.length; i++) {
+    total += data[i];
+    weighted += data[i] * ((Math.floor(i / width) + 0.5) / height);
+  }
+  return weighted / total;
+}
+
+describe('foamGridModel', () => {
+  describe('updateFoamLayer', () => {
+    const still = { decayRate: 0, advectRate: 0 };
+
+    function createPatch() {
+      const { foam, energyTransfer } = createFoamGrids();
+      const cx = Math.floor(foam.width / 2);
+      const cy = Math.floor(foam.height / 2);
+      foam.data[cy * foam.width + cx] = 1;
+      foam.data[cy * foam.width + cx + 1] = 1;
+      return { foam, energyTransfer };
+    }
+
+    it('deposits transfer into foam and clears it', () => {
+      const { foam, energyTransfer } = createFoamGrids();
+      energyTransfer.data[10] = 2;
+
+      updateFoamLayer(foam, energyTransfer, 1 / 60, { ...still, depositScale: 0.2 });
+
+      expect(foam.data[10]).toBeCloseTo(0.4, 6);
+      expect(energyTransfer.data[10]).toBe(0);
+    });
+
+    it('leaves foam in place without currents', () => {
+      const { foam, energyTransfer } = createPatch();
+      const before = foam.data.slice();
+
+      updateFoamLayer(foam, energyTransfer, 0.5, still);
+
+      expect(foam.data).toEqual(before);
+    });
+
+    it('carries foam along the current in both axes', () => {
+      const { foam, energyTransfer } = createPatch();
+      const x0 = foamCenterX(foam);
+      const y0 = foamCenterProgress(foam);
+      const currentField = createCurrentField();
+      currentField.vx.fill(0.05); // ocean widths per second
+      currentField.vy.fill(-0.05); // seaward
+
+      for (let i = 0; i < 30; i++) {
+        updateFoamLayer(foam, energyTransfer, 1 / 30, { ...still, currentField });
+      }
+
+      expect(foamCenterX(foam) - x0).toBeCloseTo(0.05, 2);
+      expect(foamCenterProgress(foam) - y0).toBeCloseTo(-0.05, 2);
+    });
+
+    it('samples foam between cells', () => {
+      const { foam } = createFoamGrids();
+      foam.data[0] = 1;
+
+      expect(sampleFoamGrid(foam, 0, 0)).toBe(1);
+      expect(sampleFoamGrid(foam, 0.5 / (foam.width - 1), 0)).toBeCloseTo(0.5, 6);
+    });
+  });
+});
@@ -3,6 +3,7 @@
 // All layers are grids: energy → energy transfer → foam density.
 
 import { FIELD_HEIGHT, FIELD_WIDTH } from './energyFieldModel.js';
+import { sampleCurrent } from './currentFieldModel.js';
 
 export const FOAM_GRID_WIDTH = FIELD_WIDTH;
 export const FOAM_GRID_HEIGHT = FIELD_HEIGHT;
@@ -22,14 +23,14 @@ function createLayer(width = FOAM_GRID_WIDTH, height = FOAM_GRID_HEIGHT): FoamLa
   };
 }
 
-export function createFoamGrids() {
-  const energyTransfer = createLayer();
+export function createFoamGrids(width = FOAM_GRID_WIDTH, height = FOAM_GRID_HEIGHT) {
+  const energyTransfer = createLayer(width, height);
   // Snapshot of the most recent transfer frame for rendering/debugging
   energyTransfer.lastFrame = new Float32Array(energyTransfer.data.length);
 
   return {
     energyTransfer,
-    foam: createLayer(),
+    foam: createLayer(width, height),
   };
 }
 
@@ -46,6 +47,7 @@ export function accumulateEnergyTransfer(energyTransferGrid, normalizedX, normal
 /**
  * Decay and advect the foam grid, depositing from the energy transfer grid.
  * Foam is read/write; energy transfer is cleared after transfer.
+ * With options.currentField, foam also drifts with rip/longshore currents.
  */
 export function updateFoamLayer(
   foamGrid,
@@ -57,6 +59,7 @@ export function updateFoamLayer(
     depositScale = 0.2, // foam gain per unit transfer
     decayRate = 0.35, // per-second decay
     advectRate = 0.35, // fraction moved toward shore per second
+    currentField = null, // rip/longshore currents (currentFieldModel)
   } = options;
 
   const { data: foam, width, height } = foamGrid;
@@ -86,6 +89,45 @@ export function updateFoamLayer(
       }
     }
   }
+
+  if (currentField) {
+    advectFoamWithCurrents(foamGrid, currentField, dt);
+  }
+}
+
+// Scratch copy per foam grid for the semi-Lagrangian step
+const foamScratch = new WeakMap();
+
+/**
+ * Carry foam along the current field in both axes (semi-Lagrangian:
+ * each cell pulls from where its water was dt seconds ago).
+ */
+function advectFoamWithCurrents(foamGrid, currentField, dt) {
+  const { data: foam, width, height } = foamGrid;
+  let source = foamScratch.get(foamGrid);
+  if (!source || source.length !== foam.length) {
+    source = new Float32Array(foam.length);
+    foamScratch.set(foamGrid, source);
+  }
+  source.set(foam);
+
+  const sourceGrid = { data: source, width, height };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const normalizedX = (x + 0.5) / width;
+      const progress = (y + 0.5) / height;
+      const { vx, vy } = sampleCurrent(currentField, normalizedX, progress);
+      if (vx === 0 && vy === 0) continue;
+      // sampleFoamGrid maps 0-1 onto cell indices 0..size-1
+      const fromX = (normalizedX - vx * dt) * width - 0.5;
+      const fromY = (progress - vy * dt) * height - 0.5;
+      foam[y * width + x] = sampleFoamGrid(
+        sourceGrid,
+        Math.max(0, Math.min(1, fromX / (width - 1))),
+        Math.max(0, Math.min(1, fromY / (height - 1)))
+      );
+    }
+  }
 }
 
 /**
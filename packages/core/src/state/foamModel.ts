@@ -14,9 +14,10 @@ let nextFoamId = 1;
  * @param {number} x - X position where foam deposited (normalized 0-1)
  * @param {number} y - Y position where foam deposited (screen pixels) - FIXED, doesn't move
  * @param {string} sourceWaveId - ID of wave that spawned this foam (for debugging)
+ * @param {function} randomFn - Random function returning 0-1 (defaults to Math.random)
  * @returns {object} Foam entity
  */
-export function createFoam(gameTime, x, y, sourceWaveId) {
+export function createFoam(gameTime, x, y, sourceWaveId, randomFn = Math.random) {
   return {
     id: `foam-${nextFoamId++}`,
     spawnTime: gameTime,
@@ -24,7 +25,7 @@ export function createFoam(gameTime, x, y, sourceWaveId) {
     y, // Y position (drifts toward shore over time)
     opacity: 1.0, // Starts fully opaque
     sourceWaveId, // For debugging
-    fadeJitter: (Math.random() - 0.5) * 10000, // ±5 seconds jitter to break scan line
+    fadeJitter: (randomFn() - 0.5) * 10000, // ±5 seconds jitter to break scan line
   };
 }
 
@@ -42,8 +43,9 @@ export function resetFoamIdCounter() {
  * @param {object} foam - Foam entity to update (mutated in place)
  * @param {number} deltaTime - Time elapsed in seconds (unused, kept for API consistency)
  * @param {number} gameTime - Current game time in ms
+ * @param {function} randomFn - Random function returning 0-1 (defaults to Math.random)
  */
-export function updateFoam(foam, deltaTime, gameTime) {
+export function updateFoam(foam, deltaTime, gameTime, randomFn = Math.random) {
   // Apply jitter to age so foam fades at random times (breaks scan line artifact)
   const jitteredAge = (gameTime - foam.spawnTime + (foam.fadeJitter || 0)) / 1000; // seconds
   const fadeTime = 15; // seconds to fully fade
@@ -53,7 +55,7 @@ export function updateFoam(foam, deltaTime, gameTime) {
   const driftSpeed = 0.005; // normalized units per second toward shore
   const disperseSpeed = 0.001; // horizontal drift per second
   foam.y += driftSpeed * deltaTime * 100; // Convert to pixels (rough)
-  foam.x += (Math.random() - 0.5) * disperseSpeed * deltaTime;
+  foam.x += (randomFn() - 0.5) * disperseSpeed * deltaTime;
 }
 
 /**
@@ -0,0 +1,264 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  SAVE_VERSION,
+  AUTOSAVE_SLOT,
+  migrateSave,
+  serializeGameState,
+  restoreGameState,
+  saveGameState,
+  loadGameState,
+  listSaveSlots,
+  deleteSaveSlot,
+  shouldAutoSave,
+} from './gamePersistence.js';
+import { createEventStore, EventType } from './eventStore.js';
+import { WAVE_TYPE, WAVE_X_SAMPLES } from './waveModel.js';
+import { stepWorld, initializePlayer } from '../update/index.js';
+import { typedArrayReplacer } from '../util/typedArrays.js';
+
+// A few seconds of play with the player and AI on
+function playedWorld() {
+  const store = createEventStore();
+  store.dispatch({ type: EventType.GAME_INIT, seed: 21 });
+  store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+  store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showAIPlayer', value: true });
+  store.dispatch({ type: EventType.PLAYER_INIT, playerProxy: initializePlayer(800, 600, 100) });
+  store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 0.8, waveType: WAVE_TYPE.SET });
+  for (let i = 0; i < 120; i++) stepWorld(store, 1 / 60);
+  return store.getState();
+}
+
+// Save as it sits in localStorage, parsed back without reviving typed arrays
+const rawSave = (slot) => JSON.parse(localStorage.getItem(`gameSave:${slot}`));
+const writeRaw = (slot, save) =>
+  localStorage.setItem(`gameSave:${slot}`, JSON.stringify(save, typedArrayReplacer));
+
+describe('gamePersistence', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('save and load', () => {
+    it('restores the whole world, grids included', () => {
+      const world = playedWorld();
+      expect(saveGameState(world, { timeScale: 2 })).toBe(true);
+
+      const fresh = createEventStore().getState();
+      const result = loadGameState(fresh);
+
+      expect(result.loaded).toBe(true);
+      expect(result.rejected).toEqual([]);
+      expect(result.timeScale).toBe(2);
+      expect(result.world.gameTime).toBe(world.gameTime);
+      expect(result.world.energyField.height).toEqual(world.energyField.height);
+      expect(result.world.energyField.velocity).toEqual(world.energyField.velocity);
+      expect(result.world.foamGrid.data).toEqual(world.foamGrid.data);
+      expect(result.world.aiState.stats).toEqual(world.aiState.stats);
+      expect(result.world.random).toEqual(world.random);
+      expect(result.world.waves.map((w) => w.id)).toEqual(world.waves.map((w) => w.id));
+      expect(result.world.bathymetry).toEqual(world.bathymetry);
+    });
+
+    it('stores grids as base64 bytes', () => {
+      saveGameState(playedWorld(), { timeScale: 1 }, 'bytes');
+      const { height } = rawSave('bytes').world.energyField;
+
+      expect(height.$typed).toBe('Float32Array');
+      expect(typeof height.base64).toBe('string');
+    });
+
+    it('returns null for an empty slot and rejects bad slot names', () => {
+      expect(loadGameState(createEventStore().getState(), 'nothing')).toBeNull();
+      expect(() => saveGameState(playedWorld(), {}, '')).toThrow(/slot name/);
+    });
+
+    it('reports storage failures instead of throwing', () => {
+      const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+      expect(saveGameState(playedWorld(), { timeScale: 1 })).toBe(false);
+      setItem.mockRestore();
+    });
+  });
+
+  describe('slots', () => {
+    it('lists slots most recent first and deletes them', () => {
+      const world = playedWorld();
+      const now = vi.spyOn(Date, 'now');
+      now.mockReturnValue(1000);
+      saveGameState(world, { timeScale: 1 }, 'before-set');
+      now.mockReturnValue(2000);
+      saveGameState(world, { timeScale: 1 });
+      now.mockRestore();
+
+      expect(listSaveSlots()).toEqual([
+        { slot: AUTOSAVE_SLOT, savedAt: 2000, gameTime: world.gameTime, version: SAVE_VERSION },
+        { slot: 'before-set', savedAt: 1000, gameTime: world.gameTime, version: SAVE_VERSION },
+      ]);
+
+      deleteSaveSlot('before-set');
+      expect(listSaveSlots().map((s) => s.slot)).toEqual([AUTOSAVE_SLOT]);
+    });
+  });
+
+  describe('migrations', () => {
+    // Shape written by the unversioned single-key save
+    const legacy = {
+      gameTime: 5000,
+      timeScale: 4,
+      waves: [{ id: 'wave-1', spawnTime: 4000, amplitude: 0.5, type: 'set' }],
+      foamSegments: [],
+      setLullState: { lastWaveSpawnTime: 4000, stateStartTime: 1000 },
+      backgroundState: {},
+      playerProxy: { x: 10, y: 20 },
+    };
+
+    it('upgrades a version 1 save through the chain', () => {
+      const save = migrateSave(legacy);
+
+      expect(save._version).toBe(SAVE_VERSION);
+      expect(save.timeScale).toBe(4);
+      expect(save.world.waves[0].progressPerX).toHaveLength(WAVE_X_SAMPLES);
+      expect(save.world.waves[0].lastUpdateTime).toBe(4000);
+      expect(save.world.gridResolution).toBe('medium');
+    });
+
+    it('loads the legacy key as the autosave slot', () => {
+      localStorage.setItem('gameState', JSON.stringify(legacy));
+
+      expect(listSaveSlots()).toEqual([
+        { slot: AUTOSAVE_SLOT, savedAt: null, gameTime: 5000, version: 1 },
+      ]);
+      const result = loadGameState(createEventStore().getState());
+      expect(result.loaded).toBe(true);
+      expect(result.version).toBe(1);
+      expect(result.world.playerProxy).toEqual({ x: 10, y: 20 });
+
+      // The next auto-save replaces it
+      saveGameState(result.world, { timeScale: 4 });
+      expect(localStorage.getItem('gameState')).toBeNull();
+    });
+
+    it('refuses saves from a newer version', () => {
+      expect(() => migrateSave({ _version: SAVE_VERSION + 1 })).toThrow(/newer/);
+
+      const result = restoreGameState({}, { _version: SAVE_VERSION + 1, world: {} });
+      expect(result.loaded).toBe(false);
+      expect(result.rejected[0].part).toBe('version');
+    });
+  });
+
+  describe('grid resolution', () => {
+    it('restores a save at its own resolution into a fresh world', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 21, gridResolution: 'low' });
+      store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 0.8, waveType: WAVE_TYPE.SET });
+      for (let i = 0; i < 60; i++) stepWorld(store, 1 / 60);
+      const world = store.getState();
+      saveGameState(world, { timeScale: 1 }, 'low');
+
+      const result = loadGameState(createEventStore().getState(), 'low');
+      expect(result.rejected).toEqual([]);
+      expect(result.world.gridResolution).toBe('low');
+      expect(result.world.energyField.height).toEqual(world.energyField.height);
+      // Unsaved grids are resampled to match the saved ones
+      expect(result.world.energyTransferGrid.data).toHaveLength(40 * 28);
+      expect(result.world.currentField.vx).toHaveLength(40 * 28);
+      expect(result.world.waves[0].progressPerX).toHaveLength(28);
+    });
+
+    it('rejects an unknown resolution and grids that disagree with their size', () => {
+      const world = playedWorld();
+      const save = serializeGameState(world, { timeScale: 1 });
+      save.world.gridResolution = 'huge';
+      save.world.foamGrid = { ...save.world.foamGrid, width: 0 };
+
+      const result = restoreGameState(world, save);
+      expect(result.rejected).toEqual([
+        { part: 'gridResolution', reason: 'not a resolution preset' },
+        { part: 'foamGrid', reason: 'size 0x40 is out of range' },
+      ]);
+      expect(result.world.foamGrid).toBe(world.foamGrid);
+    });
+  });
+
+  describe('physics config', () => {
+    it('saves the tuned physics and rejects an out-of-range one', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 21, physics: { foamDecay: 1.2 } });
+      const save = serializeGameState(store.getState(), { timeScale: 1 });
+
+      const fresh = createEventStore().getState();
+      expect(restoreGameState(fresh, save).world.physics.foamDecay).toBe(1.2);
+
+      save.world.physics = { ...save.world.physics, foamDecay: 9 };
+      const result = restoreGameState(fresh, save);
+      expect(result.rejected).toEqual([
+        { part: 'physics', reason: 'foamDecay must be a number from 0 to 2 (got 9)' },
+      ]);
+      expect(result.world.physics).toBe(fresh.physics);
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects a corrupt grid and loads the rest', () => {
+      const world = playedWorld();
+      const save = serializeGameState(world, { timeScale: 1 }, 'corrupt');
+      save.world.energyField = { ...save.world.energyField, height: new Float32Array(10) };
+      writeRaw('corrupt', save);
+
+      const fresh = createEventStore().getState();
+      const result = loadGameState(fresh, 'corrupt');
+
+      expect(result.loaded).toBe(true);
+      expect(result.rejected).toEqual([
+        { part: 'energyField', reason: 'height has 10 cells, expected 2400' },
+      ]);
+      expect(result.world.energyField).toBe(fresh.energyField);
+      expect(result.world.foamGrid.data).toEqual(world.foamGrid.data);
+    });
+
+    it('rejects non-finite grid values and malformed waves', () => {
+      const world = playedWorld();
+      const save = serializeGameState(world, { timeScale: 1 });
+      const data = new Float32Array(world.foamGrid.data);
+      data[5] = NaN;
+      save.world.foamGrid = { ...save.world.foamGrid, data };
+      save.world.waves = [{ id: 7 }];
+
+      const parts = restoreGameState(world, save).rejected.map((r) => r.part);
+      expect(parts).toEqual(['waves', 'foamGrid']);
+    });
+
+    it('restarts a stale set/lull state at the saved time', () => {
+      const world = playedWorld();
+      const save = serializeGameState(world, { timeScale: 1 });
+      save.world.setLullState = { ...world.setLullState, stateStartTime: -1e9 };
+
+      const result = restoreGameState(world, save);
+      expect(result.rejected).toEqual([{ part: 'setLullState', reason: 'timers are stale' }]);
+      expect(result.world.setLullState.stateStartTime).toBe(world.gameTime);
+    });
+
+    it('rejects the whole save when it is unreadable', () => {
+      localStorage.setItem('gameSave:broken', '{not json');
+      const world = createEventStore().getState();
+
+      const result = loadGameState(world, 'broken');
+      expect(result.loaded).toBe(false);
+      expect(result.world).toBe(world);
+      expect(result.rejected[0].part).toBe('save');
+
+      const noTime = restoreGameState(world, { _version: SAVE_VERSION, world: { gameTime: -1 } });
+      expect(noTime.rejected[0].part).toBe('gameTime');
+    });
+  });
+
+  describe('shouldAutoSave', () => {
+    it('saves once per second of game time', () => {
+      expect(shouldAutoSave(1005, 990)).toBe(true);
+      expect(shouldAutoSave(1500, 1490)).toBe(false);
+    });
+  });
+});
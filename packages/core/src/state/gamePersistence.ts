@@ -1,94 +1,419 @@
 /**
- * Game State Persistence - Save/load game state to localStorage
+ * Game State Persistence - Save slots in localStorage
  *
  * Handles:
- * - Periodic auto-save during gameplay
- * - State restoration on page load
- * - Migration of old data formats
- * - Validation of restored timestamps
+ * - Named save slots (the periodic auto-save writes the 'autosave' slot)
+ * - Versioned saves, upgraded on load through a registered migration chain
+ * - The full world: energy field and foam grids (typed arrays as base64 bytes) at
+ *   the world's grid resolution, AI state, crowd, scorecard, bathymetry, tide,
+ *   physics config and the seeded random state
+ * - Integrity validation: a corrupt or stale part is rejected and reported by
+ *   name while the rest of the save still loads
  */
 
 import { WAVE_X_SAMPLES } from './waveModel.js';
-import { DEFAULT_CONFIG, createSetLullState } from './setLullModel.js';
+import { createSetLullState } from './setLullModel.js';
+import { GRID_RESOLUTION_PRESETS, resampleWorldGrids } from './gridResolution.js';
+import { isBathymetryGrid } from './bathymetryGridModel.js';
+import { getTideLevel } from './tideModel.js';
+import { validatePhysicsConfig } from './physicsConfig.js';
+import { createRandomFn } from '../core/random.js';
+import { typedArrayReplacer, typedArrayReviver } from '../util/typedArrays.js';
 
-const STORAGE_KEY = 'gameState';
+// Current save format - increment and register a SAVE_MIGRATIONS step when the layout changes
+export const SAVE_VERSION = 3;
+
+export const AUTOSAVE_SLOT = 'autosave';
+
+const SLOT_KEY_PREFIX = 'gameSave:';
+// Single unversioned save written before slots existed (treated as version 1)
+const LEGACY_STORAGE_KEY = 'gameState';
+const MAX_SLOT_NAME_LENGTH = 40;
+
+// Set/lull timers further than this from the saved game time are stale
+const MAX_TIMER_DRIFT_S = 300;
+
+// Largest saved grid side accepted (well above the 'ultra' resolution)
+const MAX_GRID_SIDE = 512;
+
+/**
+ * Migrations keyed by the version they upgrade from (N -> N + 1)
+ */
+export const SAVE_MIGRATIONS = {
+  // v1: one flat object under 'gameState'; waves predate refraction sampling
+  1: (save) => {
+    const { timeScale, ...world } = save;
+    return {
+      slot: AUTOSAVE_SLOT,
+      savedAt: null,
+      timeScale,
+      world: {
+        ...world,
+        waves: (world.waves || []).map((wave) => ({
+          ...wave,
+          progressPerX: wave.progressPerX || new Array(WAVE_X_SAMPLES).fill(0),
+          lastUpdateTime: wave.lastUpdateTime ?? wave.spawnTime,
+        })),
+      },
+    };
+  },
+
+  // v2: grids were always the fixed 60x40 size, now the 'medium' resolution
+  2: (save) => ({
+    ...save,
+    world: { gridResolution: 'medium', ...save.world },
+  }),
+};
+
+/**
+ * Upgrade a parsed save to SAVE_VERSION
+ * @param {object} save - Parsed save (no _version means version 1)
+ * @returns {object} Save at SAVE_VERSION
+ */
+export function migrateSave(save) {
+  let version = save._version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid save version ${version}`);
+  }
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save version ${version} is newer than this game (${SAVE_VERSION})`);
+  }
+
+  let migrated = save;
+  while (version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from save version ${version}`);
+    migrated = { ...migrate(migrated), _version: version + 1 };
+    version++;
+  }
+  return migrated;
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Error for grid dimensions that are not positive integers up to MAX_GRID_SIDE
+function checkGridSize(width, height) {
+  const valid = [width, height].every((n) => Number.isInteger(n) && n > 0 && n <= MAX_GRID_SIDE);
+  return valid ? null : `size ${width}x${height} is out of range`;
+}
+
+// Error for a grid array that is missing, the wrong size, or holds NaN/Infinity
+function checkGridArray(array, name, size) {
+  if (!(array instanceof Float32Array)) return `${name} is not a Float32Array`;
+  if (array.length !== size) return `${name} has ${array.length} cells, expected ${size}`;
+  return array.every(Number.isFinite) ? null : `${name} has non-finite values`;
+}
+
+/**
+ * Validators for each saved world part: return a reason to reject it, or null
+ * (`saved` is the whole saved world, for cross-part checks)
+ */
+const SAVE_PARTS = {
+  gridResolution: (value) =>
+    typeof value === 'string' && Object.hasOwn(GRID_RESOLUTION_PRESETS, value)
+      ? null
+      : 'not a resolution preset',
+
+  physics: (value) => validatePhysicsConfig(value),
+
+  random: (value) =>
+    isObject(value) && Number.isInteger(value.seed) && Number.isInteger(value.state)
+      ? null
+      : 'seed/state are not integers',
+
+  waves: (value) => {
+    if (!Array.isArray(value)) return 'not a list';
+    const bad = value.findIndex(
+      (wave) =>
+        !isObject(wave) ||
+        typeof wave.id !== 'string' ||
+        !isFiniteNumber(wave.spawnTime) ||
+        !isFiniteNumber(wave.amplitude) ||
+        !Array.isArray(wave.progressPerX) ||
+        wave.progressPerX.length < 2 ||
+        !wave.progressPerX.every(isFiniteNumber) ||
+        // Angled crests only; absent in saves from before it existed
+        (wave.holdPerX != null &&
+          (!Array.isArray(wave.holdPerX) ||
+            wave.holdPerX.length !== wave.progressPerX.length ||
+            !wave.holdPerX.every(isFiniteNumber)))
+    );
+    return bad === -1 ? null : `wave ${bad} is malformed`;
+  },
+
+  nextWaveId: (value) => (Number.isInteger(value) && value >= 1 ? null : 'not a positive integer'),
+
+  foamSegments: (value) => (Array.isArray(value) ? null : 'not a list'),
+
+  setLullState: (value, saved) => {
+    if (!isObject(value)) return 'not an object';
+    // Timestamps from another session put the timers minutes (or hours) off
+    const sinceWave = (saved.gameTime - value.lastWaveSpawnTime) / 1000;
+    const inState = (saved.gameTime - value.stateStartTime) / 1000;
+    const fresh = [sinceWave, inState].every((s) => s >= 0 && s <= MAX_TIMER_DRIFT_S);
+    return fresh ? null : 'timers are stale';
+  },
+
+  backgroundState: (value) => (isObject(value) ? null : 'not an object'),
+
+  playerProxy: (value) =>
+    value === null || (isObject(value) && isFiniteNumber(value.x) && isFiniteNumber(value.y))
+      ? null
+      : 'position is not finite',
+
+  aiMode: (value) => (value === null || typeof value === 'string' ? null : 'not a string'),
+
+  aiState: (value) => (value === null || isObject(value) ? null : 'not an object'),
+
+  rideTracker: (value) => (value === null || isObject(value) ? null : 'not an object'),
+
+  scorecard: (value) =>
+    isObject(value) && Array.isArray(value.rides) ? null : 'rides are not a list',
+
+  crowd: (value) =>
+    Array.isArray(value) && value.every((npc) => isObject(npc) && isObject(npc.surfer))
+      ? null
+      : 'not a list of surfers',
+
+  bathymetry: (value) => {
+    if (!isObject(value) || !isFiniteNumber(value.deepDepth)) return 'deepDepth is missing';
+    if (!isBathymetryGrid(value)) return null;
+    return checkGridArray(value.depths, 'depths', value.width * value.height);
+  },
+
+  bathymetryPreset: (value) => (typeof value === 'string' ? null : 'not a string'),
+
+  tide: (value) => (value === null || isObject(value) ? null : 'not an object'),
+
+  energyField: (value) => {
+    if (!isObject(value)) return 'not an object';
+    const size = value.width * value.gridHeight;
+    return (
+      checkGridSize(value.width, value.gridHeight) ??
+      checkGridArray(value.height, 'height', size) ??
+      checkGridArray(value.velocity, 'velocity', size)
+    );
+  },
+
+  foamGrid: (value) => {
+    if (!isObject(value)) return 'not an object';
+    return (
+      checkGridSize(value.width, value.height) ??
+      checkGridArray(value.data, 'data', value.width * value.height)
+    );
+  },
+};
 
 /**
- * Save current game state to localStorage
+ * Build a save from the world (pure; see saveGameState)
  * @param {object} world - Current world state
  * @param {object} settings - Current settings (for timeScale)
+ * @param {string} slot - Slot name recorded in the save
+ * @returns {object} Save at SAVE_VERSION
  */
-export function saveGameState(world, settings) {
-  const state = {
-    gameTime: world.gameTime,
+export function serializeGameState(world, settings, slot = AUTOSAVE_SLOT) {
+  const saved: Record<string, any> = { gameTime: world.gameTime };
+  for (const part of Object.keys(SAVE_PARTS)) {
+    if (world[part] !== undefined) saved[part] = world[part];
+  }
+  // Grids: just the simulated arrays and their size
+  if (world.energyField) {
+    const { height, velocity, width, gridHeight } = world.energyField;
+    saved.energyField = { height, velocity, width, gridHeight };
+  }
+  if (world.foamGrid) {
+    const { data, width, height } = world.foamGrid;
+    saved.foamGrid = { data, width, height };
+  }
+  return {
+    _version: SAVE_VERSION,
+    slot,
+    savedAt: Date.now(),
     timeScale: settings.timeScale,
-    waves: world.waves,
-    foamSegments: world.foamSegments,
-    setLullState: world.setLullState,
-    backgroundState: world.backgroundState,
-    playerProxy: world.playerProxy,
+    world: saved,
   };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+// Result of a load that restored nothing
+function rejectSave(world, part, reason) {
+  return { loaded: false, world, timeScale: null, version: null, rejected: [{ part, reason }] };
 }
 
 /**
- * Load game state from localStorage and apply to world
- * @param {object} world - World state to mutate
- * @param {function} updateSettings - Callback to update settings (timeScale)
- * @returns {boolean} True if state was loaded successfully
+ * Apply a save to a world (pure: returns a new world, the input is untouched)
+ *
+ * Parts missing from the save keep the world's value; parts that fail
+ * validation do too and are listed in `rejected` (a stale set/lull state is
+ * restarted at the saved game time instead). Grids are then resampled to the
+ * restored grid resolution, so saved and fresh parts always agree in size.
+ *
+ * @param {object} world - World to restore into (usually a fresh one)
+ * @param {object} save - Parsed save (any version)
+ * @returns {{loaded: boolean, world: object, timeScale: number|null, version: number|null,
+ *   rejected: Array<{part: string, reason: string}>}}
  */
-export function loadGameState(world, updateSettings) {
-  const saved = localStorage.getItem(STORAGE_KEY);
-  if (!saved) return false;
+export function restoreGameState(world, save) {
+  const fail = (part, reason) => rejectSave(world, part, reason);
 
+  if (!isObject(save)) return fail('save', 'not an object');
+  const version = save._version ?? 1;
+  let current;
   try {
-    const state = JSON.parse(saved);
-    world.gameTime = state.gameTime || 0;
+    current = migrateSave(save);
+  } catch (e) {
+    return fail('version', e.message);
+  }
 
-    // Restore timeScale via callback
-    if (state.timeScale && updateSettings) {
-      updateSettings(state.timeScale);
-    }
+  const saved = current.world;
+  if (!isObject(saved)) return fail('world', 'not an object');
+  if (!isFiniteNumber(saved.gameTime) || saved.gameTime < 0) {
+    return fail('gameTime', 'not a non-negative number');
+  }
 
-    // Migrate waves to ensure they have progressPerX (added in wave refraction feature)
-    world.waves = (state.waves || []).map((wave) => ({
-      ...wave,
-      progressPerX: wave.progressPerX || new Array(WAVE_X_SAMPLES).fill(0),
-      lastUpdateTime: wave.lastUpdateTime ?? wave.spawnTime,
-    }));
-
-    world.foamSegments = state.foamSegments || [];
-
-    if (state.setLullState) {
-      // Validate timestamps aren't corrupted (stale data from previous session)
-      const sls = state.setLullState;
-      const timeSinceLastWave = (world.gameTime - sls.lastWaveSpawnTime) / 1000;
-      const elapsedInState = (world.gameTime - sls.stateStartTime) / 1000;
-
-      // If timers are negative or absurdly large, reset state
-      if (
-        timeSinceLastWave < 0 ||
-        timeSinceLastWave > 300 ||
-        elapsedInState < 0 ||
-        elapsedInState > 300
-      ) {
-        console.warn('Stale setLullState detected, reinitializing');
-        world.setLullState = createSetLullState(DEFAULT_CONFIG, Math.random, world.gameTime);
-      } else {
-        world.setLullState = sls;
-      }
+  const next = { ...world, gameTime: saved.gameTime };
+  const rejected = [];
+  for (const [part, validate] of Object.entries(SAVE_PARTS)) {
+    if (saved[part] === undefined) continue;
+    const reason = validate(saved[part], saved);
+    if (reason) {
+      rejected.push({ part, reason });
+    } else {
+      next[part] = saved[part];
     }
+  }
+
+  if (rejected.some((r) => r.part === 'setLullState')) {
+    next.setLullState = createSetLullState(
+      next.setConfig,
+      createRandomFn(next.random),
+      next.gameTime
+    );
+  }
+  next.tideLevel = getTideLevel(next.tide, next.gameTime);
+  if (next.energyField) Object.assign(next, resampleWorldGrids(next, next.gridResolution));
+
+  return {
+    loaded: true,
+    world: next,
+    timeScale: isFiniteNumber(current.timeScale) ? current.timeScale : null,
+    version,
+    rejected,
+  };
+}
+
+function checkSlotName(slot) {
+  if (typeof slot !== 'string' || slot.trim() === '' || slot.length > MAX_SLOT_NAME_LENGTH) {
+    throw new Error(`Save slot name must be 1-${MAX_SLOT_NAME_LENGTH} characters`);
+  }
+}
 
-    if (state.backgroundState) world.backgroundState = state.backgroundState;
-    if (state.playerProxy) world.playerProxy = state.playerProxy;
+// Raw save text for a slot (the autosave slot falls back to the legacy key)
+function readSlot(slot) {
+  const stored = localStorage.getItem(SLOT_KEY_PREFIX + slot);
+  if (stored !== null || slot !== AUTOSAVE_SLOT) return stored;
+  return localStorage.getItem(LEGACY_STORAGE_KEY);
+}
 
+/**
+ * Save the world to a slot in localStorage
+ * @param {object} world - Current world state
+ * @param {object} settings - Current settings (for timeScale)
+ * @param {string} slot - Slot name (default: the autosave slot)
+ * @returns {boolean} True if the save was written (false e.g. when storage is full)
+ */
+export function saveGameState(world, settings, slot = AUTOSAVE_SLOT) {
+  checkSlotName(slot);
+  try {
+    const save = serializeGameState(world, settings, slot);
+    localStorage.setItem(SLOT_KEY_PREFIX + slot, JSON.stringify(save, typedArrayReplacer));
+    if (slot === AUTOSAVE_SLOT) localStorage.removeItem(LEGACY_STORAGE_KEY);
     return true;
   } catch (e) {
-    console.warn('Failed to load game state:', e);
+    console.warn(`Failed to save game to slot ${slot}:`, e);
     return false;
   }
 }
 
+/**
+ * Load a slot from localStorage into a world
+ * @param {object} world - World to restore into (not mutated)
+ * @param {string} slot - Slot name (default: the autosave slot)
+ * @returns {object|null} restoreGameState result, or null if the slot is empty
+ */
+export function loadGameState(world, slot = AUTOSAVE_SLOT) {
+  const stored = readSaveText(slot);
+  return stored === null ? null : restoreSaveText(world, stored);
+}
+
+/**
+ * Raw text of a slot, for restoring where localStorage is out of reach (the sim worker)
+ * @param {string} slot - Slot name (default: the autosave slot)
+ * @returns {string|null} Stored JSON, or null if the slot is empty
+ */
+export function readSaveText(slot = AUTOSAVE_SLOT) {
+  checkSlotName(slot);
+  return readSlot(slot);
+}
+
+/**
+ * Restore a world from a slot's stored text (see restoreGameState)
+ * @param {object} world - World to restore into (not mutated)
+ * @param {string} stored - Text from readSaveText
+ * @returns {object} restoreGameState result
+ */
+export function restoreSaveText(world, stored) {
+  let save;
+  try {
+    save = JSON.parse(stored, typedArrayReviver);
+  } catch (e) {
+    return rejectSave(world, 'save', `not valid JSON (${e.message})`);
+  }
+  return restoreGameState(world, save);
+}
+
+/**
+ * Saved slots, most recent first
+ * @returns {Array<{slot: string, savedAt: number|null, gameTime: number|null, version: number}>}
+ */
+export function listSaveSlots() {
+  const slots = [];
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    keys.push(localStorage.key(i));
+  }
+  for (const key of keys) {
+    const legacy = key === LEGACY_STORAGE_KEY;
+    if (!legacy && !key.startsWith(SLOT_KEY_PREFIX)) continue;
+    const slot = legacy ? AUTOSAVE_SLOT : key.slice(SLOT_KEY_PREFIX.length);
+    if (legacy && keys.includes(SLOT_KEY_PREFIX + AUTOSAVE_SLOT)) continue;
+
+    let save = null;
+    try {
+      save = JSON.parse(localStorage.getItem(key));
+    } catch {
+      // Listed anyway so it can be deleted; loading it reports why it failed
+    }
+    slots.push({
+      slot,
+      savedAt: save?.savedAt ?? null,
+      gameTime: save?.world?.gameTime ?? save?.gameTime ?? null,
+      version: save?._version ?? 1,
+    });
+  }
+  return slots.sort((a, b) => (b.savedAt ?? 0) - (a.savedAt ?? 0));
+}
+
+/**
+ * Delete a save slot
+ * @param {string} slot - Slot name
+ */
+export function deleteSaveSlot(slot) {
+  checkSlotName(slot);
+  localStorage.removeItem(SLOT_KEY_PREFIX + slot);
+  if (slot === AUTOSAVE_SLOT) localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
 /**
  * Check if it's time to auto-save (every ~1 second of game time)
  * @param {number} gameTime - Current game time in ms
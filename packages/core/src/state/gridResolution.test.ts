@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GRID_RESOLUTION_PRESETS,
+  createWorldGrids,
+  getGridResolution,
+  resampleGrid,
+  resampleSamples,
+  resampleWorldGrids,
+} from './gridResolution.js';
+import { createInitialState } from './eventStore.js';
+import { FIELD_HEIGHT, FIELD_WIDTH } from './energyFieldModel.js';
+import { WAVE_X_SAMPLES } from './waveModel.js';
+
+describe('gridResolution', () => {
+  it('keeps the medium preset at the default grid size', () => {
+    expect(getGridResolution()).toEqual({
+      width: FIELD_WIDTH,
+      height: FIELD_HEIGHT,
+      waveSamples: WAVE_X_SAMPLES,
+    });
+    expect(() => getGridResolution('huge')).toThrow(/Unknown grid resolution huge/);
+  });
+
+  it('creates every grid at the same size', () => {
+    for (const name of Object.keys(GRID_RESOLUTION_PRESETS)) {
+      const { width, height } = GRID_RESOLUTION_PRESETS[name];
+      const grids = createWorldGrids(name);
+
+      expect([grids.energyField.width, grids.energyField.gridHeight]).toEqual([width, height]);
+      for (const layer of [grids.energyTransferGrid, grids.foamGrid, grids.currentField]) {
+        expect([layer.width, layer.height]).toEqual([width, height]);
+      }
+      expect(grids.energyTransferGrid.lastFrame).toHaveLength(width * height);
+      expect(grids.currentField.vx).toHaveLength(width * height);
+    }
+  });
+
+  describe('resampleGrid', () => {
+    it('preserves constant and linear fields', () => {
+      const constant = new Float32Array(6 * 4).fill(3);
+      expect(Array.from(resampleGrid(constant, 6, 4, 9, 5)).every((v) => v === 3)).toBe(true);
+
+      // A ramp across x keeps its mean when upsampled
+      const ramp = Float32Array.from({ length: 4 * 2 }, (_, i) => i % 4);
+      const up = resampleGrid(ramp, 4, 2, 8, 2);
+      const mean = (a) => a.reduce((sum, v) => sum + v, 0) / a.length;
+      expect(mean(up)).toBeCloseTo(mean(ramp), 5);
+      expect(up[0]).toBe(0);
+      expect(up[7]).toBe(3);
+    });
+
+    it('returns a copy at the same size', () => {
+      const data = Float32Array.from([1, 2, 3, 4]);
+      const same = resampleGrid(data, 2, 2, 2, 2);
+      expect(same).not.toBe(data);
+      expect(Array.from(same)).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  it('resamples wave samples linearly', () => {
+    expect(resampleSamples([0, 1], 4)).toEqual([0, 0.25, 0.75, 1]);
+    expect(resampleSamples([0, 0.5, 1, 1], 2)).toEqual([0.25, 1]);
+  });
+
+  describe('resampleWorldGrids', () => {
+    it('keeps parts already at the target size', () => {
+      const world = createInitialState();
+      const parts = resampleWorldGrids(world, 'medium');
+
+      expect(parts.energyField).toBe(world.energyField);
+      expect(parts.foamGrid).toBe(world.foamGrid);
+      expect(parts.currentField).toBe(world.currentField);
+    });
+
+    it('round-trips a smooth field through another resolution', () => {
+      const world = createInitialState();
+      const { width, gridHeight, height } = world.energyField;
+      for (let y = 0; y < gridHeight; y++) {
+        for (let x = 0; x < width; x++) {
+          height[y * width + x] = Math.sin((x / width) * Math.PI) * 0.5;
+        }
+      }
+
+      const ultra = { ...world, ...resampleWorldGrids(world, 'ultra') };
+      const back = resampleWorldGrids(ultra, 'medium');
+
+      expect(ultra.energyField.height).toHaveLength(120 * 80);
+      const error = back.energyField.height.reduce(
+        (max, v, i) => Math.max(max, Math.abs(v - height[i])),
+        0
+      );
+      expect(error).toBeLessThan(0.01);
+    });
+  });
+});
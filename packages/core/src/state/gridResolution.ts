@@ -0,0 +1,157 @@
+/**
+ * Grid Resolution - One per-world setting sizing every simulation grid
+ *
+ * The energy field, the energy-transfer and foam grids, the current field and
+ * each wave's refraction samples (progressPerX) all share the resolution named
+ * by world.gridResolution. Grid code reads sizes from the grid objects, so a
+ * world can run at any preset; changing it mid-session resamples the existing
+ * state (bilinear for grids, linear for wave samples) instead of restarting it.
+ */
+
+import { createEnergyField, FIELD_HEIGHT, FIELD_WIDTH } from './energyFieldModel.js';
+import { createFoamGrids } from './foamGridModel.js';
+import { createCurrentField } from './currentFieldModel.js';
+import { WAVE_X_SAMPLES } from './waveModel.js';
+
+/**
+ * Resolution presets: grid cells across (width) and horizon to shore (height),
+ * and refraction samples per wave
+ */
+export const GRID_RESOLUTION_PRESETS = {
+  low: { width: 40, height: 28, waveSamples: 28 }, // low-end devices
+  medium: { width: FIELD_WIDTH, height: FIELD_HEIGHT, waveSamples: WAVE_X_SAMPLES },
+  high: { width: 90, height: 60, waveSamples: 60 },
+  ultra: { width: 120, height: 80, waveSamples: 80 }, // large screens
+};
+
+export const DEFAULT_GRID_RESOLUTION = 'medium';
+
+/**
+ * Look up a resolution preset
+ * @param {string} name - Key of GRID_RESOLUTION_PRESETS (default: DEFAULT_GRID_RESOLUTION)
+ * @returns {{width: number, height: number, waveSamples: number}}
+ */
+export function getGridResolution(name = DEFAULT_GRID_RESOLUTION) {
+  const resolution = GRID_RESOLUTION_PRESETS[name];
+  if (!resolution) throw new Error(`Unknown grid resolution ${name}`);
+  return resolution;
+}
+
+/**
+ * Fresh simulation grids at a resolution (the grid parts of a new world)
+ * @param {string} name - Resolution preset
+ * @returns {object} {energyField, energyTransferGrid, foamGrid, foamGridWidth, foamGridHeight, currentField}
+ */
+export function createWorldGrids(name = DEFAULT_GRID_RESOLUTION) {
+  const { width, height } = getGridResolution(name);
+  const foamLayers = createFoamGrids(width, height);
+  return {
+    energyField: createEnergyField(width, height),
+    energyTransferGrid: foamLayers.energyTransfer,
+    foamGrid: foamLayers.foam,
+    foamGridWidth: width,
+    foamGridHeight: height,
+    currentField: createCurrentField(width, height),
+  };
+}
+
+/**
+ * Resample a row-major grid to a new size (bilinear, cell-centered)
+ * @param {Float32Array} data - Source grid
+ * @param {number} fromWidth - Source columns
+ * @param {number} fromHeight - Source rows
+ * @param {number} toWidth - Target columns
+ * @param {number} toHeight - Target rows
+ * @returns {Float32Array} Resampled grid (a new array, even at the same size)
+ */
+export function resampleGrid(data, fromWidth, fromHeight, toWidth, toHeight) {
+  const out = new Float32Array(toWidth * toHeight);
+  for (let y = 0; y < toHeight; y++) {
+    const sy = Math.max(0, Math.min(fromHeight - 1, ((y + 0.5) * fromHeight) / toHeight - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(fromHeight - 1, y0 + 1);
+    const ty = sy - y0;
+    for (let x = 0; x < toWidth; x++) {
+      const sx = Math.max(0, Math.min(fromWidth - 1, ((x + 0.5) * fromWidth) / toWidth - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(fromWidth - 1, x0 + 1);
+      const tx = sx - x0;
+      const top = data[y0 * fromWidth + x0] * (1 - tx) + data[y0 * fromWidth + x1] * tx;
+      const bottom = data[y1 * fromWidth + x0] * (1 - tx) + data[y1 * fromWidth + x1] * tx;
+      out[y * toWidth + x] = top * (1 - ty) + bottom * ty;
+    }
+  }
+  return out;
+}
+
+/**
+ * Resample a wave's per-X samples to a new count (linear, cell-centered)
+ * @param {number[]} values - Samples across the ocean
+ * @param {number} count - Target sample count
+ * @returns {number[]} Resampled values
+ */
+export function resampleSamples(values, count) {
+  const n = values.length;
+  const out = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const s = Math.max(0, Math.min(n - 1, ((i + 0.5) * n) / count - 0.5));
+    const i0 = Math.floor(s);
+    const i1 = Math.min(n - 1, i0 + 1);
+    out[i] = values[i0] + (values[i1] - values[i0]) * (s - i0);
+  }
+  return out;
+}
+
+// Copy of a grid object with the named arrays resampled (the same object if already sized)
+function resampleGridObject(grid, keys, dims, width, height) {
+  const [widthKey, heightKey] = dims;
+  if (grid[widthKey] === width && grid[heightKey] === height) return grid;
+  const resized = { ...grid, [widthKey]: width, [heightKey]: height };
+  for (const key of keys) {
+    if (grid[key]) {
+      resized[key] = resampleGrid(grid[key], grid[widthKey], grid[heightKey], width, height);
+    }
+  }
+  return resized;
+}
+
+/**
+ * World grids and wave samples at a resolution, resampled from the world's own
+ *
+ * Pure: parts already at the target size are returned as they are, the rest
+ * are new objects (the world's grids are not touched).
+ *
+ * @param {object} world - World state
+ * @param {string} name - Target resolution preset
+ * @returns {object} Parts to merge into the world (gridResolution, grids, waves)
+ */
+export function resampleWorldGrids(world, name = DEFAULT_GRID_RESOLUTION) {
+  const { width, height, waveSamples } = getGridResolution(name);
+  const sized = (layer, keys) =>
+    resampleGridObject(layer, keys, ['width', 'height'], width, height);
+
+  return {
+    gridResolution: name,
+    energyField: resampleGridObject(
+      world.energyField,
+      ['height', 'velocity'],
+      ['width', 'gridHeight'],
+      width,
+      height
+    ),
+    energyTransferGrid: sized(world.energyTransferGrid, ['data', 'lastFrame']),
+    foamGrid: sized(world.foamGrid, ['data']),
+    foamGridWidth: width,
+    foamGridHeight: height,
+    currentField: sized(world.currentField, ['vx', 'vy', 'breaking', 'potential']),
+    waves: world.waves.map((wave) =>
+      wave.progressPerX.length === waveSamples
+        ? wave
+        : {
+            ...wave,
+            progressPerX: resampleSamples(wave.progressPerX, waveSamples),
+            holdPerX: wave.holdPerX && resampleSamples(wave.holdPerX, waveSamples),
+          }
+    ),
+  };
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PHYSICS_CONFIG,
+  PHYSICS_PARAMS,
+  PHYSICS_PRESETS,
+  createPhysicsConfig,
+  findPhysicsPreset,
+  getPhysicsPreset,
+  listPhysicsPresets,
+  validatePhysicsConfig,
+} from './physicsConfig.js';
+import { createEventStore, EventType } from './eventStore.js';
+import { WAVE_TYPE } from './waveModel.js';
+import { stepWorld } from '../update/index.js';
+
+// Seconds of play from one seed and a breaking set wave, returning total foam
+function foamAfter(physics, seconds = 4) {
+  const store = createEventStore();
+  store.dispatch({ type: EventType.GAME_INIT, seed: 5, physics });
+  store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 1, waveType: WAVE_TYPE.SET });
+  for (let i = 0; i < seconds * 60; i++) stepWorld(store, 1 / 60);
+  return store.getState().foamGrid.data.reduce((sum, v) => sum + v, 0);
+}
+
+describe('physicsConfig', () => {
+  it('keeps every preset complete and in range', () => {
+    for (const [name, preset] of Object.entries(PHYSICS_PRESETS)) {
+      expect([name, validatePhysicsConfig(preset)]).toEqual([name, null]);
+    }
+    for (const [key, { min, max }] of Object.entries(PHYSICS_PARAMS)) {
+      expect(DEFAULT_PHYSICS_CONFIG[key]).toBeGreaterThanOrEqual(min);
+      expect(DEFAULT_PHYSICS_CONFIG[key]).toBeLessThanOrEqual(max);
+    }
+  });
+
+  it('validates configs', () => {
+    expect(validatePhysicsConfig(null)).toBe('not an object');
+    expect(validatePhysicsConfig({ ...DEFAULT_PHYSICS_CONFIG, gravity: 9.8 })).toBe(
+      'unknown parameter gravity'
+    );
+    expect(validatePhysicsConfig({ ...DEFAULT_PHYSICS_CONFIG, foamDecay: '1' })).toMatch(
+      /foamDecay must be a number/
+    );
+    expect(validatePhysicsConfig({ foamDecay: 1 })).toMatch(/refractionStrength/);
+  });
+
+  it('creates configs over the defaults', () => {
+    expect(createPhysicsConfig()).toEqual(DEFAULT_PHYSICS_CONFIG);
+    expect(createPhysicsConfig({ breakingDrain: 30 }).breakingDrain).toBe(30);
+    expect(() => createPhysicsConfig({ breakingDrain: 100 })).toThrow(
+      /Invalid physics config: breakingDrain/
+    );
+  });
+
+  it('looks up built-in and user presets', () => {
+    const user = { mine: { ...DEFAULT_PHYSICS_CONFIG, foamDecay: 1 } };
+
+    expect(getPhysicsPreset('stormy')).toEqual(PHYSICS_PRESETS.stormy);
+    expect(getPhysicsPreset('mine', user).foamDecay).toBe(1);
+    expect(() => getPhysicsPreset('mine')).toThrow(/Unknown physics preset mine/);
+    expect(listPhysicsPresets({ zeta: user.mine, default: user.mine, alpha: user.mine })).toEqual([
+      ...Object.keys(PHYSICS_PRESETS),
+      'alpha',
+      'zeta',
+    ]);
+  });
+
+  it('names the preset a config matches', () => {
+    const user = { mine: { ...DEFAULT_PHYSICS_CONFIG, foamDecay: 1 } };
+
+    expect(findPhysicsPreset(DEFAULT_PHYSICS_CONFIG)).toBe('default');
+    expect(findPhysicsPreset({ ...PHYSICS_PRESETS.glassy })).toBe('glassy');
+    expect(findPhysicsPreset(user.mine, user)).toBe('mine');
+    expect(findPhysicsPreset({ ...DEFAULT_PHYSICS_CONFIG, foamDecay: 1.9 }, user)).toBeNull();
+  });
+
+  it('drives the simulation', () => {
+    const base = foamAfter(undefined);
+
+    expect(base).toBeGreaterThan(0);
+    expect(foamAfter({ foamDecay: 2 })).toBeLessThan(base);
+    expect(foamAfter({ foamDeposit: 0 })).toBe(0);
+  });
+});
@@ -0,0 +1,205 @@
+// Physics Config - Tunable constants of refraction, breaking and foam
+//
+// Every tuning knob of the wave/foam pipeline lives in one typed config carried
+// on world state (world.physics), so it can be changed live (PHYSICS_CONFIG_SET),
+// is recorded in the event log and saves, and two worlds with the same seed can
+// run different configs side by side. Named presets are whole configs: the
+// built-in ones below, plus user presets kept in the `physicsPresets` setting.
+
+export interface PhysicsConfig {
+  // Per-wave refraction, used with the legacy advect field only (with the wave
+  // solver crests move at the field's own speeds, see updateWaves)
+  refractionStrength: number; // 0 = no bending, 1 = full sqrt(depth) speed ratio
+  lateralDiffusion: number; // per 60fps frame: how fast a bent wave reforms into a line
+  minEnergyForBreaking: number; // energy below which shallow water still will not break
+  shoalingDrag: number; // per-second energy loss in shallow water before breaking
+  breakingDrain: number; // energy drained per unit wave amplitude where a wave breaks
+  foamDeposit: number; // foam gained per unit of released energy
+  foamDecay: number; // per-second foam decay
+  foamAdvect: number; // fraction of foam moved one row shoreward per second
+}
+
+/**
+ * Range and description of each parameter (debug panel sliders, validation)
+ */
+export const PHYSICS_PARAMS: Record<
+  keyof PhysicsConfig,
+  { label: string; min: number; max: number; step: number; tooltip: string }
+> = {
+  refractionStrength: {
+    label: 'Refraction',
+    min: 0,
+    max: 1,
+    step: 0.05,
+    tooltip:
+      'How much shallow water slows the wave (1 = full physics, ~4x bends). Advect solver only.',
+  },
+  lateralDiffusion: {
+    label: 'Line Reform',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    tooltip: 'How fast a bent wave pulls back into a straight line. Advect solver only.',
+  },
+  minEnergyForBreaking: {
+    label: 'Break Energy',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    tooltip: 'Energy needed to break; drained water does not break again.',
+  },
+  shoalingDrag: {
+    label: 'Shoaling Drag',
+    min: 0,
+    max: 3,
+    step: 0.05,
+    tooltip: 'Per-second energy loss in shallow water before breaking.',
+  },
+  breakingDrain: {
+    label: 'Break Drain',
+    min: 0,
+    max: 60,
+    step: 1,
+    tooltip: 'Energy released per unit wave amplitude where it breaks.',
+  },
+  foamDeposit: {
+    label: 'Foam Deposit',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    tooltip: 'Foam gained per unit of released energy.',
+  },
+  foamDecay: {
+    label: 'Foam Decay',
+    min: 0,
+    max: 2,
+    step: 0.05,
+    tooltip: 'Per-second foam fade.',
+  },
+  foamAdvect: {
+    label: 'Foam Drift',
+    min: 0,
+    max: 2,
+    step: 0.05,
+    tooltip: 'Per-second share of foam pushed toward shore.',
+  },
+};
+
+/**
+ * The tuned values the game shipped with
+ */
+export const DEFAULT_PHYSICS_CONFIG: Readonly<PhysicsConfig> = Object.freeze({
+  // Full physics is ~4x speed difference, too extreme visually; 0.3 bends subtly but visibly
+  refractionStrength: 0.3,
+  // Gradual reformation while preserving some of the bend
+  lateralDiffusion: 0.15,
+  minEnergyForBreaking: 0.1,
+  shoalingDrag: 0.6,
+  breakingDrain: 20,
+  foamDeposit: 0.2,
+  foamDecay: 0.35,
+  foamAdvect: 0.35,
+});
+
+/**
+ * Built-in presets (user presets may not reuse these names)
+ */
+export const PHYSICS_PRESETS: Record<string, Readonly<PhysicsConfig>> = {
+  default: DEFAULT_PHYSICS_CONFIG,
+  // Clean lines: little drag, waves reform quickly, foam clears fast
+  glassy: Object.freeze({
+    ...DEFAULT_PHYSICS_CONFIG,
+    lateralDiffusion: 0.3,
+    shoalingDrag: 0.25,
+    breakingDrain: 14,
+    foamDeposit: 0.15,
+    foamDecay: 0.6,
+  }),
+  // Messy surf: breaks early and hard, whitewater lingers and rolls in
+  stormy: Object.freeze({
+    ...DEFAULT_PHYSICS_CONFIG,
+    lateralDiffusion: 0.06,
+    minEnergyForBreaking: 0.05,
+    shoalingDrag: 1.2,
+    breakingDrain: 32,
+    foamDeposit: 0.35,
+    foamDecay: 0.18,
+    foamAdvect: 0.6,
+  }),
+  // Undamped refraction: strong bending over reefs and bars
+  physical: Object.freeze({
+    ...DEFAULT_PHYSICS_CONFIG,
+    refractionStrength: 1,
+    lateralDiffusion: 0.05,
+  }),
+};
+
+export const DEFAULT_PHYSICS_PRESET = 'default';
+
+/**
+ * Check a config is complete and in range
+ * @param {object} config - Candidate physics config
+ * @returns {string|null} Reason it is invalid, or null
+ */
+export function validatePhysicsConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'not an object';
+  for (const key of Object.keys(config)) {
+    if (!Object.hasOwn(PHYSICS_PARAMS, key)) return `unknown parameter ${key}`;
+  }
+  for (const [key, { min, max }] of Object.entries(PHYSICS_PARAMS)) {
+    const value = config[key];
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+      return `${key} must be a number from ${min} to ${max} (got ${value})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a physics config
+ * @param {object} overrides - Parameters to override on DEFAULT_PHYSICS_CONFIG
+ * @returns {PhysicsConfig} Validated config
+ */
+export function createPhysicsConfig(overrides: Partial<PhysicsConfig> = {}): PhysicsConfig {
+  const config = { ...DEFAULT_PHYSICS_CONFIG, ...overrides };
+  const reason = validatePhysicsConfig(config);
+  if (reason) throw new Error(`Invalid physics config: ${reason}`);
+  return config;
+}
+
+/**
+ * Look up a preset by name
+ * @param {string} name - Built-in or user preset name
+ * @param {object} userPresets - {name: config} from the `physicsPresets` setting
+ * @returns {PhysicsConfig}
+ */
+export function getPhysicsPreset(name, userPresets = {}) {
+  const preset = PHYSICS_PRESETS[name] ?? userPresets[name];
+  if (!preset) throw new Error(`Unknown physics preset ${name}`);
+  return createPhysicsConfig(preset);
+}
+
+/**
+ * All preset names, built-in first
+ * @param {object} userPresets - {name: config} from the `physicsPresets` setting
+ * @returns {string[]}
+ */
+export function listPhysicsPresets(userPresets = {}) {
+  const custom = Object.keys(userPresets).filter((name) => !Object.hasOwn(PHYSICS_PRESETS, name));
+  return [...Object.keys(PHYSICS_PRESETS), ...custom.sort()];
+}
+
+/**
+ * Name of the preset a config matches exactly
+ * @param {PhysicsConfig} config - Physics config
+ * @param {object} userPresets - {name: config} from the `physicsPresets` setting
+ * @returns {string|null} Preset name, or null for an unsaved (custom) config
+ */
+export function findPhysicsPreset(config, userPresets = {}) {
+  const keys = Object.keys(PHYSICS_PARAMS);
+  const name = listPhysicsPresets(userPresets).find((candidate) => {
+    const preset = PHYSICS_PRESETS[candidate] ?? userPresets[candidate];
+    return keys.every((key) => preset[key] === config[key]);
+  });
+  return name ?? null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Physics Invariant Tests
+ *
+ * Runs every production invariant over randomized seeded cases. On failure the
+ * message carries the seed and a minimal ASCII matrix to paste into a
+ * regression test below.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  PHYSICS_INVARIANTS,
+  REFRACTION_MONOTONIC,
+  STILL_WATER,
+  depthFnFromMatrix,
+} from './physicsInvariants.js';
+import { ENERGY_SOLVER } from './energyFieldModel.js';
+import { createSeededRandom } from '../core/random.js';
+import { asciiToMatrix, checkInvariant, formatInvariantFailure } from '../test-utils/index.js';
+
+describe('physics invariants', () => {
+  for (const invariant of PHYSICS_INVARIANTS) {
+    it(`${invariant.id}: ${invariant.description}`, () => {
+      const result = checkInvariant(invariant, { seed: 1, runs: 100 });
+      expect(result.passed, formatInvariantFailure(result)).toBe(true);
+    });
+  }
+
+  describe('depthFnFromMatrix', () => {
+    it('scales the nearest cell to meters', () => {
+      const getDepth = depthFnFromMatrix(asciiToMatrix('F-\n-A'));
+      expect(getDepth(0.1, 0.1)).toBe(12);
+      expect(getDepth(0.9, 0.1)).toBe(0);
+      expect(getDepth(0.9, 0.9)).toBe(6);
+    });
+  });
+
+  describe('regressions', () => {
+    it('refraction: a dry slice beside deep water does not pull the crest back', () => {
+      // Found by refraction/monotonic (seed 1): lateral diffusion dragged the deep slice seaward
+      const input = REFRACTION_MONOTONIC.generate(createSeededRandom(1));
+      const violation = REFRACTION_MONOTONIC.check({ ...input, matrix: asciiToMatrix('E-') });
+      expect(violation).toBeNull();
+    });
+
+    it('still water: the wave solver stays flat over a dry cell', () => {
+      const violation = STILL_WATER.check({
+        matrix: asciiToMatrix('F-\nF-'),
+        solver: ENERGY_SOLVER.WAVE,
+        frames: 30,
+        dt: 1 / 60,
+        travelDuration: 12,
+      });
+      expect(violation).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Physics Invariants
+ *
+ * Invariants the production models must hold for any input, checked over
+ * randomized seeded cases by the test-utils invariant harness. Each runs the
+ * real model functions; the case's `matrix` is the input that failures shrink.
+ * These are separated from the .test.ts file to allow importing without vitest.
+ */
+import { ENERGY_SOLVER, drainEnergyAt, updateEnergyField } from './energyFieldModel.js';
+import { accumulateEnergyTransfer, createFoamGrids, updateFoamLayer } from './foamGridModel.js';
+import { PHYSICS_PRESETS } from './physicsConfig.js';
+import { createWave, updateWaveRefraction } from './waveModel.js';
+import { defineInvariant, matrixToField } from '../test-utils/index.js';
+
+// Depth maps hold 0-1 and are scaled to this many meters
+const MAX_DEPTH = 12;
+
+// Float32 sums drift by about this much over a small grid
+const ENERGY_TOLERANCE = 1e-4;
+
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function randomPreset(random) {
+  return PHYSICS_PRESETS[pick(random, Object.keys(PHYSICS_PRESETS))];
+}
+
+/**
+ * Random matrix with values 0-1, some cells left empty
+ * @param {function} random - Seeded random function
+ * @param {number} rows - Matrix height
+ * @param {number} cols - Matrix width
+ * @param {number} fill - Share of non-zero cells (0-1)
+ * @returns {number[][]} Matrix [row][col]
+ */
+function randomMatrix(random, rows, cols, fill = 0.6) {
+  return Array.from({ length: rows }, () =>
+    Array.from({ length: cols }, () => (random() < fill ? random() : 0))
+  );
+}
+
+/**
+ * Depth lookup over a 0-1 matrix (nearest cell, row 0 = horizon)
+ * @param {number[][]} matrix - Depth map, 1 = MAX_DEPTH meters
+ * @returns {function} Function(normalizedX, normalizedY) returning depth in meters
+ */
+export function depthFnFromMatrix(matrix) {
+  const rows = matrix.length;
+  const cols = matrix[0].length;
+  return (normalizedX, normalizedY) => {
+    const y = Math.max(0, Math.min(rows - 1, Math.floor(normalizedY * rows)));
+    const x = Math.max(0, Math.min(cols - 1, Math.floor(normalizedX * cols)));
+    return matrix[y][x] * MAX_DEPTH;
+  };
+}
+
+// Energy counted by the drain: negative heights hold none
+function positiveEnergy(array) {
+  let sum = 0;
+  for (let i = 0; i < array.length; i++) sum += Math.max(0, array[i]);
+  return sum;
+}
+
+function firstNonFinite(array) {
+  for (let i = 0; i < array.length; i++) {
+    if (!Number.isFinite(array[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Breaking moves energy out of the field into the transfer grid, never creates it
+ * Runs drainEnergyAt / accumulateEnergyTransfer the way the foam loop does.
+ */
+export const DRAIN_EQUALS_TRANSFER = defineInvariant({
+  id: 'energy/drain-equals-transfer',
+  description: 'Energy drained from the field equals energy added to the transfer grid',
+  minRows: 1,
+  minCols: 1,
+  generate: (random) => ({
+    matrix: randomMatrix(random, randomInt(random, 3, 10), randomInt(random, 3, 10)),
+    drains: Array.from({ length: randomInt(random, 1, 20) }, () => ({
+      x: random(),
+      y: random(),
+      amount: random() * 1.5,
+    })),
+  }),
+  check: ({ matrix, drains }) => {
+    const field = matrixToField(matrix);
+    const { energyTransfer } = createFoamGrids(field.width, field.gridHeight);
+    const before = positiveEnergy(field.height);
+
+    for (const { x, y, amount } of drains) {
+      const released = drainEnergyAt(field, x, y, amount);
+      if (released < 0 || released > amount) {
+        return `drained ${released} when ${amount} was requested`;
+      }
+      accumulateEnergyTransfer(energyTransfer, x, y, released);
+    }
+
+    const drained = before - positiveEnergy(field.height);
+    const transferred = energyTransfer.data.reduce((sum, value) => sum + value, 0);
+    if (Math.abs(drained - transferred) > ENERGY_TOLERANCE) {
+      return `drained ${drained.toFixed(5)} but transferred ${transferred.toFixed(5)}`;
+    }
+    return null;
+  },
+});
+
+/**
+ * Foam density is a share of the surface, whatever is deposited
+ */
+export const FOAM_BOUNDED = defineInvariant({
+  id: 'foam/bounded',
+  description: 'Foam density stays within [0, 1]',
+  minRows: 1,
+  minCols: 1,
+  generate: (random) => {
+    const physics = randomPreset(random);
+    return {
+      matrix: randomMatrix(random, randomInt(random, 2, 10), randomInt(random, 2, 10)),
+      deposits: Array.from({ length: randomInt(random, 0, 10) }, () => ({
+        x: random(),
+        y: random(),
+        amount: random() * 5,
+      })),
+      frames: randomInt(random, 1, 90),
+      dt: random() * 0.25,
+      options: {
+        depositScale: physics.foamDeposit,
+        decayRate: physics.foamDecay,
+        advectRate: physics.foamAdvect,
+      },
+    };
+  },
+  check: ({ matrix, deposits, frames, dt, options }) => {
+    const field = matrixToField(matrix);
+    const data = field.height;
+    const foam = { data, width: field.width, height: field.gridHeight };
+    const { energyTransfer } = createFoamGrids(field.width, field.gridHeight);
+
+    for (let frame = 0; frame < frames; frame++) {
+      for (const { x, y, amount } of deposits) {
+        accumulateEnergyTransfer(energyTransfer, x, y, amount);
+      }
+      updateFoamLayer(foam, energyTransfer, dt, options);
+      for (let i = 0; i < data.length; i++) {
+        if (!(data[i] >= 0 && data[i] <= 1)) {
+          return `foam ${data[i]} at cell ${i} on frame ${frame}`;
+        }
+      }
+    }
+    return null;
+  },
+});
+
+/**
+ * Both energy solvers stay finite over any bathymetry and frame time
+ */
+export const ENERGY_FIELD_FINITE = defineInvariant({
+  id: 'energy/finite',
+  description: 'The energy field never holds NaN or Infinity',
+  generate: (random) => ({
+    matrix: randomMatrix(random, randomInt(random, 2, 10), randomInt(random, 2, 10)),
+    depth: randomMatrix(random, 4, 4, 0.8),
+    solver: pick(random, [ENERGY_SOLVER.ADVECT, ENERGY_SOLVER.WAVE]),
+    frames: randomInt(random, 1, 60),
+    dt: random() * 0.1,
+    travelDuration: 4 + random() * 12,
+  }),
+  check: ({ matrix, depth, solver, frames, dt, travelDuration }) => {
+    const field = matrixToField(matrix);
+    const getDepthFn = depthFnFromMatrix(depth);
+
+    for (let frame = 0; frame < frames; frame++) {
+      updateEnergyField(field, getDepthFn, dt, travelDuration, { solver });
+      const heightIdx = firstNonFinite(field.height);
+      if (heightIdx >= 0) {
+        return `${solver} height ${field.height[heightIdx]} at cell ${heightIdx} on frame ${frame}`;
+      }
+      const velocityIdx = firstNonFinite(field.velocity);
+      if (velocityIdx >= 0) {
+        return `${solver} velocity ${field.velocity[velocityIdx]} at cell ${velocityIdx} on frame ${frame}`;
+      }
+    }
+    return null;
+  },
+});
+
+/**
+ * Without an injected wave there is nothing to propagate: no energy from bathymetry alone
+ * The case matrix is the depth map (1 = MAX_DEPTH meters).
+ */
+export const STILL_WATER = defineInvariant({
+  id: 'energy/still-water',
+  description: 'A flat field stays flat over any bathymetry',
+  generate: (random) => ({
+    matrix: randomMatrix(random, randomInt(random, 2, 10), randomInt(random, 2, 10), 0.8),
+    solver: pick(random, [ENERGY_SOLVER.ADVECT, ENERGY_SOLVER.WAVE]),
+    frames: randomInt(random, 1, 60),
+    dt: random() * 0.1,
+    travelDuration: 4 + random() * 12,
+  }),
+  check: ({ matrix, solver, frames, dt, travelDuration }) => {
+    const rows = matrix.length;
+    const cols = matrix[0].length;
+    const field = matrixToField(randomMatrix(() => 1, rows, cols, 0));
+    const getDepthFn = depthFnFromMatrix(matrix);
+
+    for (let frame = 0; frame < frames; frame++) {
+      updateEnergyField(field, getDepthFn, dt, travelDuration, { solver });
+      for (let i = 0; i < field.height.length; i++) {
+        if (field.height[i] !== 0 || field.velocity[i] !== 0) {
+          return `${solver} created height ${field.height[i]} at cell ${i} on frame ${frame}`;
+        }
+      }
+    }
+    return null;
+  },
+});
+
+/**
+ * A crest never moves back out to sea
+ * The case matrix is the depth map (1 = MAX_DEPTH meters).
+ */
+export const REFRACTION_MONOTONIC = defineInvariant({
+  id: 'refraction/monotonic',
+  description: 'Per-X wave progress never decreases over time and stays within [0, 1]',
+  minRows: 1,
+  minCols: 1,
+  generate: (random) => ({
+    matrix: randomMatrix(random, randomInt(random, 2, 10), randomInt(random, 2, 10), 0.9),
+    angle: random() * 60 - 30,
+    period: 5 + random() * 13,
+    physics: randomPreset(random),
+    travelDuration: 4000 + random() * 12000,
+    steps: Array.from({ length: randomInt(random, 1, 120) }, () => random() * 100),
+  }),
+  check: ({ matrix, angle, period, physics, travelDuration, steps }) => {
+    const wave = createWave(0, 0.5, undefined, 'invariant', { angle, period });
+    const getDepthFn = depthFnFromMatrix(matrix);
+    let time = 0;
+
+    for (let step = 0; step < steps.length; step++) {
+      const previous = [...wave.progressPerX];
+      time += steps[step];
+      updateWaveRefraction(wave, time, travelDuration, getDepthFn, MAX_DEPTH, physics);
+      for (let i = 0; i < previous.length; i++) {
+        const progress = wave.progressPerX[i];
+        if (!(progress >= previous[i])) {
+          return `slice ${i} moved from ${previous[i]} back to ${progress} on step ${step}`;
+        }
+        if (progress > 1) {
+          return `slice ${i} overshot the shore (${progress}) on step ${step}`;
+        }
+      }
+    }
+    return null;
+  },
+});
+
+/**
+ * Every production invariant, for running as a suite
+ */
+export const PHYSICS_INVARIANTS = [
+  DRAIN_EQUALS_TRANSFER,
+  FOAM_BOUNDED,
+  ENERGY_FIELD_FINITE,
+  STILL_WATER,
+  REFRACTION_MONOTONIC,
+];
@@ -5,8 +5,12 @@ import {
   updatePlayerProxy,
   getZone,
   sampleFoamIntensity,
+  getCurrentDrift,
+  getInputAxes,
+  getInputMagnitude,
 } from './playerProxyModel.js';
 import { createFoamGrids } from './foamGridModel.js';
+import { createCurrentField } from './currentFieldModel.js';
 
 describe('playerProxyModel', () => {
   const config = PLAYER_PROXY_CONFIG;
@@ -186,6 +190,75 @@ describe('playerProxyModel', () => {
       expect(updated.y).toBeGreaterThan(300);
     });
 
+    it('drifts with the current in the water', () => {
+      const player = { x: 400, y: 300, vx: 0, vy: 0 };
+      const { foam: foamGrid } = createFoamGrids();
+      const currentField = createCurrentField();
+      currentField.vx.fill(0.01); // 8 px/s across an 800px ocean
+      currentField.vy.fill(-0.05); // 30 px/s seaward over a 600px ocean
+
+      const updated = updatePlayerProxy(
+        player,
+        0.5,
+        noInput,
+        foamGrid,
+        shoreY,
+        canvasWidth,
+        canvasHeight,
+        oceanTop,
+        oceanBottom,
+        config,
+        currentField
+      );
+
+      expect(updated.vx).toBeCloseTo(8, 3);
+      expect(updated.vy).toBeCloseTo(-30, 3);
+      expect(updated.y).toBeLessThan(300);
+    });
+
+    it('ignores currents on shore', () => {
+      const currentField = createCurrentField();
+      currentField.vy.fill(-0.05);
+      const { foam: foamGrid } = createFoamGrids();
+
+      const updated = updatePlayerProxy(
+        { x: 400, y: shoreY + 40, vx: 0, vy: 0 },
+        0.5,
+        noInput,
+        foamGrid,
+        shoreY,
+        canvasWidth,
+        canvasHeight,
+        oceanTop,
+        oceanBottom,
+        config,
+        currentField
+      );
+
+      expect(updated.vy).toBeCloseTo(0, 6);
+    });
+
+    it('scales drift by currentDrag', () => {
+      const currentField = createCurrentField();
+      currentField.vy.fill(-0.05);
+      const player = { x: 400, y: 300 };
+
+      expect(
+        getCurrentDrift(player, currentField, canvasWidth, oceanTop, oceanBottom, {
+          currentDrag: 0.5,
+        }).y
+      ).toBeCloseTo(-15, 3);
+      expect(
+        getCurrentDrift(player, currentField, canvasWidth, oceanTop, oceanBottom, {
+          currentDrag: 0,
+        })
+      ).toEqual({ x: 0, y: 0 });
+      expect(getCurrentDrift(player, null, canvasWidth, oceanTop, oceanBottom, config)).toEqual({
+        x: 0,
+        y: 0,
+      });
+    });
+
     it('clamps player to screen bounds', () => {
       const playerAtTop = { x: 400, y: 5, vx: 0, vy: -100 };
       const { foam: foamGrid } = createFoamGrids();
@@ -204,6 +277,47 @@ describe('playerProxyModel', () => {
 
       expect(updated.y).toBeGreaterThanOrEqual(config.radius);
     });
+
+    it('moves in proportion to analog input', () => {
+      const { foam: foamGrid } = createFoamGrids();
+      const move = (up) =>
+        updatePlayerProxy(
+          { x: 400, y: 300, vx: 0, vy: 0 },
+          0.1,
+          { left: 0, right: 0, up, down: 0 },
+          foamGrid,
+          shoreY,
+          canvasWidth,
+          canvasHeight,
+          oceanTop,
+          oceanBottom,
+          config
+        );
+
+      const half = move(0.5);
+      const full = move(1);
+      expect(half.vy).toBeLessThan(0);
+      expect(half.vy).toBeCloseTo(full.vy / 2, 5);
+      expect(move(true).vy).toBeCloseTo(full.vy, 5);
+    });
+  });
+
+  describe('analog input', () => {
+    it('reads keys as 0 or 1 and clamps magnitudes', () => {
+      expect(getInputMagnitude(true)).toBe(1);
+      expect(getInputMagnitude(false)).toBe(0);
+      expect(getInputMagnitude(0.4)).toBe(0.4);
+      expect(getInputMagnitude(3)).toBe(1);
+      expect(getInputMagnitude(-1)).toBe(0);
+      expect(getInputMagnitude(undefined)).toBe(0);
+    });
+
+    it('normalizes diagonals only past full length', () => {
+      const diagonal = getInputAxes({ left: false, right: true, up: true, down: false });
+      expect(Math.hypot(diagonal.x, diagonal.y)).toBeCloseTo(1, 10);
+
+      expect(getInputAxes({ left: 0, right: 0.3, up: 0.4, down: 0 })).toEqual({ x: 0.3, y: -0.4 });
+    });
   });
 
   describe('gameplay balance', () => {
@@ -4,8 +4,11 @@
 // The proxy can move on shore or water at different speeds.
 // When in whitewater (foam zones), it gets pushed toward shore.
 // Player must hold up arrow to resist the push.
+// In the water it also drifts with rip/longshore currents - a rip is the
+// fastest way out, paddling against one goes nowhere.
 
 import { sampleFoamGrid } from './foamGridModel.js';
+import { sampleCurrent } from './currentFieldModel.js';
 
 // Default config - can be overridden at runtime via debug panel
 export const DEFAULT_PLAYER_CONFIG = {
@@ -25,6 +28,9 @@ export const DEFAULT_PLAYER_CONFIG = {
   // but heavy foam (0.7+) overwhelms them
   maxPushForce: 50, // px/s at intensity 1.0
   foamSpeedPenalty: 0.4, // 40% speed reduction at max foam
+
+  // Currents
+  currentDrag: 1.0, // fraction of the local current the player drifts with (0 = ignore)
 };
 
 // Runtime config - starts as copy of defaults, can be modified
@@ -94,11 +100,73 @@ function getWhitewaterPush(foamIntensity, config) {
   return { x: 0, y: pushStrength };
 }
 
+/**
+ * Calculate drift from rip/longshore currents
+ * @param {object} player - Player state {x, y}
+ * @param {object} currentField - Current field (null = still water)
+ * @param {number} canvasWidth
+ * @param {number} oceanTop
+ * @param {number} oceanBottom
+ * @param {object} config
+ * @returns {{x: number, y: number}} Drift velocity in px/s
+ */
+export function getCurrentDrift(player, currentField, canvasWidth, oceanTop, oceanBottom, config) {
+  if (!currentField || !config.currentDrag) {
+    return { x: 0, y: 0 };
+  }
+  const oceanHeight = oceanBottom - oceanTop;
+  const progress = Math.max(0, Math.min(1, (player.y - oceanTop) / oceanHeight));
+  const { vx, vy } = sampleCurrent(currentField, player.x / canvasWidth, progress);
+  return {
+    x: vx * canvasWidth * config.currentDrag,
+    y: vy * oceanHeight * config.currentDrag,
+  };
+}
+
+/**
+ * Strength of one input direction
+ * @param {boolean|number} value - Key state (boolean) or analog magnitude (0-1)
+ * @returns {number} 0-1
+ */
+export function getInputMagnitude(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const magnitude = Number(value);
+  return Number.isFinite(magnitude) ? Math.max(0, Math.min(1, magnitude)) : 0;
+}
+
+/**
+ * Player input as magnitudes (0-1) per direction
+ * Keys give 0 or 1; a gamepad stick or the touch joystick anything between.
+ * @param {object} input - {left, right, up, down} as booleans or magnitudes
+ * @returns {{left: number, right: number, up: number, down: number}}
+ */
+export function toAnalogInput(input) {
+  return {
+    left: getInputMagnitude(input.left),
+    right: getInputMagnitude(input.right),
+    up: getInputMagnitude(input.up),
+    down: getInputMagnitude(input.down),
+  };
+}
+
+/**
+ * Movement direction from input, proportional to its strength
+ * @param {object} input - {left, right, up, down} as booleans or magnitudes
+ * @returns {{x: number, y: number}} Direction with length <= 1 (y+ toward shore)
+ */
+export function getInputAxes(input) {
+  const { left, right, up, down } = toAnalogInput(input);
+  const x = right - left;
+  const y = down - up; // Up = toward horizon (negative Y), down = toward shore
+  const magnitude = Math.hypot(x, y);
+  return magnitude > 1 ? { x: x / magnitude, y: y / magnitude } : { x, y };
+}
+
 /**
  * Update player proxy physics
  * @param {object} player - Player state {x, y, vx, vy}
  * @param {number} dt - Delta time in seconds
- * @param {object} input - Keyboard state {left, right, up, down}
+ * @param {object} input - Input {left, right, up, down}: booleans or analog magnitudes (0-1)
  * @param {object} foamGrid - Foam grid for whitewater detection
  * @param {number} shoreY - Shore line Y position
  * @param {number} canvasWidth
@@ -106,6 +174,7 @@ function getWhitewaterPush(foamIntensity, config) {
  * @param {number} oceanTop
  * @param {number} oceanBottom
  * @param {object} config - PLAYER_PROXY_CONFIG
+ * @param {object} currentField - Rip/longshore currents (null = still water)
  * @returns {object} Updated player state
  */
 export function updatePlayerProxy(
@@ -118,25 +187,16 @@ export function updatePlayerProxy(
   canvasHeight,
   oceanTop,
   oceanBottom,
-  config = PLAYER_PROXY_CONFIG
+  config = PLAYER_PROXY_CONFIG,
+  currentField = null
 ) {
   // 1. Determine zone and base speed
   const zone = getZone(player.y, shoreY);
   const baseSpeed = getZoneSpeed(zone, config);
 
-  // 2. Calculate input direction (normalized)
-  let inputX = 0,
-    inputY = 0;
-  if (input.left) inputX -= 1;
-  if (input.right) inputX += 1;
-  if (input.up) inputY -= 1; // Up = toward horizon (negative Y)
-  if (input.down) inputY += 1; // Down = toward shore (positive Y)
-
-  const inputMag = Math.sqrt(inputX * inputX + inputY * inputY);
-  if (inputMag > 0) {
-    inputX /= inputMag;
-    inputY /= inputMag;
-  }
+  // 2. Calculate input direction (keys: unit length; analog: proportional)
+  const { x: inputX, y: inputY } = getInputAxes(input);
+  const inputMag = Math.hypot(inputX, inputY);
 
   // 3. Sample foam intensity at player position
   const foamIntensity = sampleFoamIntensity(
@@ -159,22 +219,28 @@ export function updatePlayerProxy(
   // 6. Get whitewater push
   const push = getWhitewaterPush(foamIntensity, config);
 
-  // 7. Combine: target velocity + push force
-  const combinedTargetVx = targetVx + push.x;
-  const combinedTargetVy = targetVy + push.y;
+  // 7. Currents only carry the player once they are in the water
+  const drift =
+    zone === 'WATER'
+      ? getCurrentDrift(player, currentField, canvasWidth, oceanTop, oceanBottom, config)
+      : { x: 0, y: 0 };
+
+  // 8. Combine: target velocity + push force + drift
+  const combinedTargetVx = targetVx + push.x + drift.x;
+  const combinedTargetVy = targetVy + push.y + drift.y;
 
-  // 8. Smooth acceleration toward target
+  // 9. Smooth acceleration toward target
   const accelRate = inputMag > 0 ? config.acceleration : config.deceleration;
   const accelFactor = Math.min(1, accelRate * dt);
 
   const newVx = player.vx + (combinedTargetVx - player.vx) * accelFactor;
   const newVy = player.vy + (combinedTargetVy - player.vy) * accelFactor;
 
-  // 9. Update position
+  // 10. Update position
   let newX = player.x + newVx * dt;
   let newY = player.y + newVy * dt;
 
-  // 10. Clamp to screen bounds
+  // 11. Clamp to screen bounds
   const margin = config.radius;
   newX = Math.max(margin, Math.min(canvasWidth - margin, newX));
   newY = Math.max(margin, Math.min(canvasHeight - margin, newY));
@@ -0,0 +1,266 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RIDE_SCORE_CONFIG,
+  HEAT_COUNTED_WAVES,
+  createRideTracker,
+  sampleRideConditions,
+  updateRideTracker,
+  scoreRide,
+  trackRide,
+  createScorecard,
+  addRideToScorecard,
+} from './rideScoreModel.js';
+import { SURFER_STATE, SURFER_CONFIG, createSurfer } from './surferModel.js';
+import { createEnergyField } from './energyFieldModel.js';
+import { createFoamGrids } from './foamGridModel.js';
+
+const DT = 1 / 60;
+const CANVAS_WIDTH = 800;
+const OCEAN_HEIGHT = 500;
+
+// Energy field with a uniform face slope, height base + slope * (1 - progress)
+function rampField(slope, base = 0) {
+  const field = createEnergyField();
+  for (let y = 0; y < field.gridHeight; y++) {
+    const progress = y / (field.gridHeight - 1);
+    for (let x = 0; x < field.width; x++) {
+      field.height[y * field.width + x] = base + slope * (1 - progress);
+    }
+  }
+  return field;
+}
+
+function createEnv(energyField = createEnergyField()) {
+  return {
+    energyField,
+    foamGrid: createFoamGrids().foam,
+    canvasWidth: CANVAS_WIDTH,
+    oceanTop: 0,
+    oceanBottom: OCEAN_HEIGHT,
+  };
+}
+
+function rider(state, fields = {}) {
+  return { ...createSurfer(CANVAS_WIDTH, OCEAN_HEIGHT), x: 400, y: 250, state, ...fields };
+}
+
+// Crest at `progress` on every slice, with `amplitudePerX` across
+function crest(progress, amplitudePerX, fields = {}) {
+  return {
+    amplitude: amplitudePerX[0],
+    amplitudePerX,
+    progressPerX: amplitudePerX.map(() => progress),
+    holdPerX: null,
+    ...fields,
+  };
+}
+
+const calm = { waveSize: 0, critical: false, closedOut: false };
+
+// Tracker after `seconds` of riding at a steady speed and heading
+function ride(seconds, { vx = 0, boardSpeed = 0, conditions = calm } = {}, tracker = null) {
+  let surfer = rider(SURFER_STATE.RIDING, { boardSpeed, x: tracker?.lastX ?? 400 });
+  tracker = tracker ?? createRideTracker(surfer, 0);
+  for (let t = 0; t < seconds - 1e-9; t += DT) {
+    surfer = { ...surfer, x: surfer.x + vx * DT };
+    tracker = updateRideTracker(tracker, surfer, conditions, DT, CANVAS_WIDTH, OCEAN_HEIGHT);
+  }
+  return tracker;
+}
+
+describe('rideScoreModel', () => {
+  describe('sampleRideConditions', () => {
+    it("reads wave size from the ridden wave's amplitude at the board", () => {
+      // The board (x = 0.5, progress 0.5) sits on the second slice of the near crest
+      const env = {
+        ...createEnv(rampField(4, 0.1)),
+        waves: [crest(0.1, [0.9, 0.9, 0.9, 0.9]), crest(0.45, [0.2, 0.3, 0.7, 0.2])],
+      };
+      expect(sampleRideConditions(rider(SURFER_STATE.RIDING), env).waveSize).toBe(0.7);
+    });
+
+    it('reads no wave size with no crest near the board', () => {
+      const held = crest(0.5, [0.9, 0.9], { holdPerX: [0, 0.2] });
+      for (const waves of [[], [crest(0.1, [0.9, 0.9])], [held]]) {
+        const env = { ...createEnv(rampField(4, 0.1)), waves };
+        expect(sampleRideConditions(rider(SURFER_STATE.RIDING), env).waveSize).toBe(0);
+      }
+    });
+
+    it('counts a steep open face as critical', () => {
+      const env = createEnv(rampField(RIDE_SCORE_CONFIG.criticalSlope + 1));
+      expect(sampleRideConditions(rider(SURFER_STATE.RIDING), env).critical).toBe(true);
+    });
+
+    it('counts breaking beside the board as critical', () => {
+      const env = createEnv(rampField(SURFER_CONFIG.takeoffSlope + 1));
+      expect(sampleRideConditions(rider(SURFER_STATE.RIDING), env).critical).toBe(false);
+
+      // Whitewater just to the right of the surfer (the peel)
+      const { data, width, height } = env.foamGrid;
+      const column = Math.round((0.5 + RIDE_SCORE_CONFIG.criticalRadius) * (width - 1));
+      for (let y = 0; y < height; y++) data[y * width + column] = 1;
+
+      expect(sampleRideConditions(rider(SURFER_STATE.RIDING), env).critical).toBe(true);
+    });
+
+    it('treats whitewater with no open face as a closeout', () => {
+      const env = createEnv();
+      env.foamGrid.data.fill(1);
+      const conditions = sampleRideConditions(rider(SURFER_STATE.RIDING), env);
+      expect(conditions.closedOut).toBe(true);
+      expect(conditions.critical).toBe(false);
+    });
+  });
+
+  describe('scoreRide', () => {
+    it('scores nothing for a ride that went nowhere', () => {
+      expect(scoreRide(ride(1)).score).toBe(0);
+    });
+
+    it('rewards distance along the line', () => {
+      const short = scoreRide(ride(1, { vx: 50 }));
+      const long = scoreRide(ride(4, { vx: 50 }));
+      expect(long.components.distance).toBeGreaterThan(short.components.distance);
+      expect(long.distance).toBeCloseTo(200 / CANVAS_WIDTH, 2);
+    });
+
+    it('counts only distance in the peel direction', () => {
+      // Out along the line, then back the way it came
+      const zigzag = ride(1, { vx: -50 }, ride(2, { vx: 50 }));
+      expect(zigzag.peelDirection).toBe(1);
+      expect(zigzag.lineDistance).toBeCloseTo(100 / CANVAS_WIDTH, 2);
+
+      // The line runs away from the peak, whichever way the board first heads
+      const surfer = rider(SURFER_STATE.RIDING);
+      const wrongWay = ride(2, { vx: 50 }, createRideTracker(surfer, 0, surfer.x + 100));
+      expect(wrongWay.peelDirection).toBe(-1);
+      expect(wrongWay.lineDistance).toBe(0);
+    });
+
+    it('rewards speed', () => {
+      const slow = scoreRide(ride(2, { boardSpeed: 20 }));
+      const fast = scoreRide(ride(2, { boardSpeed: 50 }));
+      expect(fast.components.speed).toBeGreaterThan(slow.components.speed);
+      expect(fast.topSpeed).toBeCloseTo(50 / OCEAN_HEIGHT, 2);
+    });
+
+    it('rewards time in the critical zone and wave size', () => {
+      const plain = scoreRide(ride(2));
+      const critical = scoreRide(ride(2, { conditions: { ...calm, critical: true } }));
+      const big = scoreRide(ride(2, { conditions: { ...calm, waveSize: 0.8 } }));
+      expect(critical.components.critical).toBeGreaterThan(plain.components.critical);
+      expect(big.components.size).toBe(RIDE_SCORE_CONFIG.sizeWeight);
+    });
+
+    it('penalizes riding whitewater after a closeout', () => {
+      const base = { vx: 50, boardSpeed: 50 };
+      const clean = scoreRide(ride(2, base));
+      const closedOut = scoreRide(ride(2, { ...base, conditions: { ...calm, closedOut: true } }));
+      expect(closedOut.components.closeout).toBeLessThan(0);
+      expect(closedOut.score).toBeLessThan(clean.score);
+    });
+
+    it('caps a perfect ride at 10', () => {
+      const perfect = ride(10, {
+        vx: 80,
+        boardSpeed: 100,
+        conditions: { waveSize: 1, critical: true, closedOut: false },
+      });
+      expect(scoreRide(perfect).score).toBe(10);
+    });
+
+    it('halves a ride that ends in a wipeout', () => {
+      const tracker = ride(2, { vx: 50, boardSpeed: 50 });
+      const made = scoreRide(tracker);
+      const fell = scoreRide(tracker, { wipeout: true });
+      expect(fell.score).toBeCloseTo(made.score * RIDE_SCORE_CONFIG.wipeoutFactor, 1);
+      expect(fell.wipeout).toBe(true);
+    });
+
+    it('halves a drop-in and names who was cut off', () => {
+      const tracker = ride(2, { vx: 50, boardSpeed: 50 });
+      const clean = scoreRide(tracker);
+      const dropIn = scoreRide({ ...tracker, dropIn: 'npc-2' });
+      expect(dropIn.score).toBeCloseTo(clean.score * RIDE_SCORE_CONFIG.dropInFactor, 1);
+      expect(dropIn.dropIn).toBe('npc-2');
+      expect(clean.dropIn).toBeNull();
+    });
+  });
+
+  describe('trackRide', () => {
+    const env = createEnv(rampField(6));
+
+    it('does nothing while paddling', () => {
+      expect(trackRide(null, rider(SURFER_STATE.PADDLING), env, DT, 0)).toEqual({
+        tracker: null,
+        ride: null,
+      });
+    });
+
+    it('starts tracking at takeoff', () => {
+      const { tracker, ride: judged } = trackRide(null, rider(SURFER_STATE.TAKEOFF), env, DT, 500);
+      expect(tracker.startTime).toBe(500);
+      expect(tracker.duration).toBeCloseTo(DT, 9);
+      expect(judged).toBeNull();
+    });
+
+    it('judges the ride once the surfer is down', () => {
+      let tracker = null;
+      for (let i = 0; i < 60; i++) {
+        tracker = trackRide(
+          tracker,
+          rider(SURFER_STATE.RIDING, { x: 400 + i }),
+          env,
+          DT,
+          i
+        ).tracker;
+      }
+      const result = trackRide(tracker, rider(SURFER_STATE.PADDLING), env, DT, 2000, 'AI');
+      expect(result.tracker).toBeNull();
+      expect(result.ride.score).toBeGreaterThan(0);
+      expect(result.ride.endTime).toBe(2000);
+      expect(result.ride.rider).toBe('AI');
+      expect(result.ride.wipeout).toBe(false);
+    });
+
+    it('marks rides that end in a wipeout', () => {
+      let tracker = null;
+      for (let i = 0; i < 60; i++) {
+        tracker = trackRide(tracker, rider(SURFER_STATE.RIDING), env, DT, i).tracker;
+      }
+      expect(trackRide(tracker, rider(SURFER_STATE.WIPEOUT), env, DT, 0).ride.wipeout).toBe(true);
+    });
+
+    it('drops takeoffs that never got up and riding', () => {
+      let tracker = null;
+      for (let i = 0; i < 20; i++) {
+        tracker = trackRide(tracker, rider(SURFER_STATE.TAKEOFF), env, DT, i).tracker;
+      }
+      expect(trackRide(tracker, rider(SURFER_STATE.PADDLING), env, DT, 0).ride).toBeNull();
+    });
+  });
+
+  describe('scorecard', () => {
+    it('starts empty', () => {
+      expect(createScorecard()).toEqual({ rides: [], best: [], total: 0 });
+    });
+
+    it('counts the best two waves, best first', () => {
+      let scorecard = createScorecard();
+      for (const score of [3.5, 7.25, 1, 6]) {
+        scorecard = addRideToScorecard(scorecard, { score });
+      }
+      expect(HEAT_COUNTED_WAVES).toBe(2);
+      expect(scorecard.rides).toHaveLength(4);
+      expect(scorecard.best).toEqual([1, 3]);
+      expect(scorecard.total).toBe(13.25);
+    });
+
+    it('counts a single wave on its own', () => {
+      const scorecard = addRideToScorecard(createScorecard(), { score: 4.2 });
+      expect(scorecard.total).toBe(4.2);
+      expect(scorecard.best).toEqual([0]);
+    });
+  });
+});
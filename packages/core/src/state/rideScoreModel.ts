@@ -0,0 +1,313 @@
+// Ride Score Model
+// Judges surfer rides and keeps a heat-style session scorecard
+//
+// A ride starts when the board takes off and ends when the surfer is no longer
+// standing. While it runs, a tracker accumulates what judges look at:
+// - distance along the breaking line (across the beach in the peel direction, ocean widths)
+// - board speed (ocean heights per second)
+// - time in the critical zone: on a steep face, or with the wave breaking right beside the board
+// - wave size (largest amplitude of the ridden wave at the board)
+// - time spent riding whitewater after the wave closed out (penalized)
+// - dropping in on a rider with priority (crowdModel flags it; penalized)
+//
+// Scores are 0-10 like a judged wave; the scorecard counts the best two (a heat total out of 20).
+// Whoever drives the surfer (keyboard or updateAIPlayer) is judged the same way.
+
+import { SURFER_STATE, SURFER_CONFIG, sampleWaveFace } from './surferModel.js';
+import { sampleFoamIntensity } from './playerProxyModel.js';
+import { getAmplitudeAtX, getProgressAtX, isHeldAtX } from './waveModel.js';
+
+export const RIDE_SCORE_CONFIG = {
+  // Component weights (sum to 10)
+  distanceWeight: 3,
+  speedWeight: 2,
+  criticalWeight: 3,
+  sizeWeight: 2,
+
+  // Reference values that earn a component's full weight
+  fullDistance: 0.5, // ocean widths along the line
+  fullSpeed: 0.12, // mean ocean heights per second
+  fullCriticalTime: 3, // seconds in the critical zone
+  fullWaveSize: 0.8, // wave amplitude (0-1), a solid set wave
+
+  // Critical zone
+  criticalSlope: 8, // face this steep is the pocket by the curl
+  criticalRadius: 0.08, // breaking within this distance (normalized) counts as the peel
+  criticalFoam: 0.15, // foam that marks where the wave is breaking
+
+  // Closeouts
+  closeoutFoam: 0.3, // foam under the board with no open face = riding whitewater
+  closeoutPenalty: 1, // points per second of whitewater riding
+
+  wipeoutFactor: 0.5, // a ride that ends in a wipeout keeps this fraction of its score
+  dropInFactor: 0.5, // interference: dropping in on a rider with priority halves the ride
+  minRideTime: 0.5, // rides shorter than this (on their feet) are not judged
+  rideWindow: 0.15, // a crest within this much progress of the board is the wave being ridden
+};
+
+// Waves counted toward the heat total
+export const HEAT_COUNTED_WAVES = 2;
+
+const isStanding = (surfer) =>
+  surfer?.state === SURFER_STATE.TAKEOFF || surfer?.state === SURFER_STATE.RIDING;
+
+/**
+ * Start tracking a ride
+ *
+ * The wave peels away from the peak, so that is the direction the line runs; a
+ * takeoff right on the peak (or with no peak given) takes the first way the board goes.
+ *
+ * @param {object} surfer - Surfer at takeoff
+ * @param {number} gameTime - Game time in ms
+ * @param {number} peakX - Peak position in px (undefined = unknown)
+ * @returns {object} Ride tracker
+ */
+export function createRideTracker(surfer, gameTime, peakX = undefined) {
+  return {
+    startTime: gameTime,
+    lastX: surfer.x,
+    peelDirection: peakX === undefined ? 0 : Math.sign(surfer.x - peakX), // +1 = toward +x
+    duration: 0, // seconds on the board
+    rideTime: 0, // seconds up and riding (after the pop-up)
+    lineDistance: 0, // ocean widths along the breaking line, in the peel direction
+    speedSum: 0, // integral of board speed (ocean heights)
+    topSpeed: 0, // ocean heights per second
+    criticalTime: 0,
+    closeoutTime: 0,
+    waveSize: 0, // largest amplitude of the ridden wave (0-1)
+  };
+}
+
+/**
+ * The wave a surfer is riding: the crest nearest the board at its X, if one is
+ * within config.rideWindow (slices still held behind the horizon don't count)
+ * @param {Array<object>} waves - Waves in the world
+ * @param {number} normalizedX - Board position across (0-1)
+ * @param {number} progress - Board position, 0 (horizon) to 1 (shore)
+ * @param {object} config - RIDE_SCORE_CONFIG
+ * @returns {object|null} Wave, or null when no crest is near the board
+ */
+export function findRiddenWave(waves, normalizedX, progress, config = RIDE_SCORE_CONFIG) {
+  let ridden = null;
+  let nearest = config.rideWindow;
+  for (const wave of waves) {
+    if (isHeldAtX(wave, normalizedX)) continue;
+    const distance = Math.abs(getProgressAtX(wave, normalizedX) - progress);
+    if (distance <= nearest) {
+      ridden = wave;
+      nearest = distance;
+    }
+  }
+  return ridden;
+}
+
+/**
+ * Read what the judges see at the surfer's position this frame
+ * @param {object} surfer - Surfer state
+ * @param {object} env - {energyField, foamGrid, waves, canvasWidth, oceanTop, oceanBottom}
+ * @param {object} config - RIDE_SCORE_CONFIG
+ * @returns {{waveSize: number, critical: boolean, closedOut: boolean}}
+ */
+export function sampleRideConditions(surfer, env, config = RIDE_SCORE_CONFIG) {
+  const { energyField, foamGrid, waves = [], canvasWidth, oceanTop, oceanBottom } = env;
+  const oceanHeight = oceanBottom - oceanTop;
+  const normalizedX = surfer.x / canvasWidth;
+  const progress = Math.max(0, Math.min(1, (surfer.y - oceanTop) / oceanHeight));
+  const face = energyField
+    ? sampleWaveFace(energyField, normalizedX, progress)
+    : { height: 0, slope: 0 };
+  const openFace = face.slope >= SURFER_CONFIG.takeoffSlope;
+
+  const foam = foamGrid
+    ? sampleFoamIntensity(surfer.x, surfer.y, foamGrid, canvasWidth, oceanTop, oceanBottom)
+    : 0;
+
+  let breakingNearby = false;
+  if (openFace && foamGrid && face.slope < config.criticalSlope) {
+    // Look across and down the line for whitewater within the critical radius
+    const r = config.criticalRadius;
+    for (const [dx, dy] of [
+      [-r, 0],
+      [r, 0],
+      [0, -r],
+      [0, r],
+      [-r * 0.7, r * 0.7],
+      [r * 0.7, r * 0.7],
+    ]) {
+      const nearby = sampleFoamIntensity(
+        surfer.x + dx * canvasWidth,
+        surfer.y + dy * oceanHeight,
+        foamGrid,
+        canvasWidth,
+        oceanTop,
+        oceanBottom
+      );
+      if (nearby >= config.criticalFoam) {
+        breakingNearby = true;
+        break;
+      }
+    }
+  }
+
+  const ridden = findRiddenWave(waves, normalizedX, progress, config);
+  return {
+    waveSize: ridden ? Math.max(0, getAmplitudeAtX(ridden, normalizedX)) : 0,
+    critical: openFace && (face.slope >= config.criticalSlope || breakingNearby),
+    closedOut: !openFace && foam >= config.closeoutFoam,
+  };
+}
+
+/**
+ * Add one frame of riding to a tracker
+ * @param {object} tracker - Ride tracker
+ * @param {object} surfer - Surfer after this frame's update
+ * @param {object} conditions - From sampleRideConditions
+ * @param {number} dt - Delta time in seconds
+ * @param {number} canvasWidth
+ * @param {number} oceanHeight - Ocean height in px
+ * @returns {object} Updated tracker
+ */
+export function updateRideTracker(tracker, surfer, conditions, dt, canvasWidth, oceanHeight) {
+  const riding = surfer.state === SURFER_STATE.RIDING;
+  const speed = (surfer.boardSpeed ?? 0) / oceanHeight;
+  const moved = surfer.x - tracker.lastX;
+  const peelDirection = tracker.peelDirection || Math.sign(moved);
+  return {
+    ...tracker,
+    lastX: surfer.x,
+    peelDirection,
+    duration: tracker.duration + dt,
+    rideTime: tracker.rideTime + (riding ? dt : 0),
+    lineDistance: tracker.lineDistance + Math.max(0, moved * peelDirection) / canvasWidth,
+    speedSum: tracker.speedSum + speed * dt,
+    topSpeed: Math.max(tracker.topSpeed, speed),
+    criticalTime: tracker.criticalTime + (conditions.critical ? dt : 0),
+    closeoutTime: tracker.closeoutTime + (riding && conditions.closedOut ? dt : 0),
+    waveSize: Math.max(tracker.waveSize, conditions.waveSize),
+  };
+}
+
+/**
+ * Judge a finished ride
+ * @param {object} tracker - Ride tracker at the end of the ride
+ * @param {object} options - {wipeout: ended by falling, endTime: game time in ms, rider}
+ * @param {object} config - RIDE_SCORE_CONFIG
+ * @returns {object} Ride {score, components, duration, distance, meanSpeed, topSpeed, waveSize, ...}
+ */
+export function scoreRide(tracker, options: Record<string, any> = {}, config = RIDE_SCORE_CONFIG) {
+  const { wipeout = false, endTime = tracker.startTime, rider = null } = options;
+  const meanSpeed = tracker.duration > 0 ? tracker.speedSum / tracker.duration : 0;
+  const part = (value, full, weight) => Math.min(1, value / full) * weight;
+
+  const components = {
+    distance: part(tracker.lineDistance, config.fullDistance, config.distanceWeight),
+    speed: part(meanSpeed, config.fullSpeed, config.speedWeight),
+    critical: part(tracker.criticalTime, config.fullCriticalTime, config.criticalWeight),
+    size: part(tracker.waveSize, config.fullWaveSize, config.sizeWeight),
+    closeout: -tracker.closeoutTime * config.closeoutPenalty,
+  };
+  const raw =
+    components.distance +
+    components.speed +
+    components.critical +
+    components.size +
+    components.closeout;
+  const score =
+    Math.max(0, Math.min(10, raw)) *
+    (wipeout ? config.wipeoutFactor : 1) *
+    (tracker.dropIn ? config.dropInFactor : 1);
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    score: round(score),
+    components: Object.fromEntries(
+      Object.entries(components).map(([key, value]) => [key, round(value)])
+    ),
+    startTime: tracker.startTime,
+    endTime,
+    duration: round(tracker.duration),
+    distance: round(tracker.lineDistance),
+    meanSpeed: round(meanSpeed),
+    topSpeed: round(tracker.topSpeed),
+    criticalTime: round(tracker.criticalTime),
+    closeoutTime: round(tracker.closeoutTime),
+    waveSize: round(tracker.waveSize),
+    wipeout,
+    dropIn: tracker.dropIn ?? null, // id of the rider cut off (crowdModel)
+    rider,
+  };
+}
+
+/**
+ * Track the surfer's ride for one frame
+ *
+ * Starts a tracker at takeoff, accumulates while standing and judges the ride
+ * once the surfer is down. Missed takeoffs (never up for minRideTime) are dropped.
+ *
+ * @param {object|null} tracker - Current tracker (null between rides)
+ * @param {object} surfer - Surfer after this frame's update
+ * @param {object} env - {energyField, foamGrid, waves, peakX, canvasWidth, oceanTop, oceanBottom}
+ * @param {number} dt - Delta time in seconds
+ * @param {number} gameTime - Game time in ms
+ * @param {string|null} rider - Who is riding ('AI' or 'PLAYER')
+ * @param {object} config - RIDE_SCORE_CONFIG
+ * @returns {{tracker: object|null, ride: object|null}} Tracker for the next frame and the judged ride, if one ended
+ */
+export function trackRide(
+  tracker,
+  surfer,
+  env,
+  dt,
+  gameTime,
+  rider = null,
+  config = RIDE_SCORE_CONFIG
+) {
+  if (isStanding(surfer)) {
+    const current = tracker ?? createRideTracker(surfer, gameTime, env.peakX);
+    const conditions = sampleRideConditions(surfer, env, config);
+    const oceanHeight = env.oceanBottom - env.oceanTop;
+    return {
+      tracker: updateRideTracker(current, surfer, conditions, dt, env.canvasWidth, oceanHeight),
+      ride: null,
+    };
+  }
+
+  if (!tracker || tracker.rideTime < config.minRideTime) {
+    return { tracker: null, ride: null };
+  }
+
+  const ride = scoreRide(
+    tracker,
+    { wipeout: surfer.state === SURFER_STATE.WIPEOUT, endTime: gameTime, rider },
+    config
+  );
+  return { tracker: null, ride };
+}
+
+/**
+ * Create an empty session scorecard
+ * @returns {object} Scorecard {rides, best, total}
+ */
+export function createScorecard() {
+  return {
+    rides: [], // every judged ride, in order
+    best: [], // indices into rides of the counted waves, best first
+    total: 0, // heat total (sum of the counted waves)
+  };
+}
+
+/**
+ * Add a judged ride to the scorecard
+ * @param {object} scorecard - Scorecard
+ * @param {object} ride - From scoreRide
+ * @returns {object} New scorecard
+ */
+export function addRideToScorecard(scorecard, ride) {
+  const rides = [...scorecard.rides, ride];
+  const best = rides
+    .map((r, index) => index)
+    .sort((a, b) => rides[b].score - rides[a].score || a - b)
+    .slice(0, HEAT_COUNTED_WAVES);
+  const total = best.reduce((sum, index) => sum + rides[index].score, 0);
+  return { rides, best, total: Math.round(total * 100) / 100 };
+}
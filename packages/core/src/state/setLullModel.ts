@@ -19,6 +19,9 @@ export const DEFAULT_CONFIG = {
   lullMinAmplitude: 0.15, // min amplitude during lull
   swellPeriod: 15, // base seconds between waves
   periodVariation: 5, // +/- seconds of variation
+  swellDirection: 0, // degrees from shore-normal, + travels toward +x (lefts peel from the left)
+  directionSpread: 12, // +/- degrees each wave may vary (0 = every wave identical)
+  wavePeriod: 14, // seconds; groundswell, faster than the wind swell it overtakes
 };
 
 /**
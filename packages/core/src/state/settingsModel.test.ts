@@ -3,6 +3,7 @@ import {
   SETTINGS_SCHEMA,
   SETTINGS_VERSION,
   getDefaultSettings,
+  getToggleSettings,
   validateSetting,
   loadSettings,
   saveSettings,
@@ -13,6 +14,7 @@ import {
   getSettingForHotkey,
   clearSettings,
 } from './settingsModel.js';
+import { DEFAULT_PHYSICS_CONFIG } from './physicsConfig.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -78,6 +80,32 @@ describe('settingsModel', () => {
     });
   });
 
+  describe('getToggleSettings', () => {
+    it('includes the energy solver so it survives a reload', () => {
+      const toggles = getToggleSettings({ ...getDefaultSettings(), energySolver: 'advect' });
+      expect(toggles.energySolver).toBe('advect');
+    });
+
+    it('includes boolean and number settings', () => {
+      const toggles = getToggleSettings(getDefaultSettings());
+      expect(toggles.showSetWaves).toBe(true);
+      expect(toggles.depthDampingCoefficient).toBe(0.1);
+    });
+
+    it('leaves out timeScale and settings restored outside world.toggles', () => {
+      const toggles = getToggleSettings(getDefaultSettings());
+      for (const key of [
+        'timeScale',
+        'gridResolution',
+        'renderer',
+        'cameraMode',
+        'inputBindings',
+      ]) {
+        expect(toggles).not.toHaveProperty(key);
+      }
+    });
+  });
+
   describe('validateSetting', () => {
     it('validates boolean settings', () => {
       expect(validateSetting('showBathymetry', true).valid).toBe(true);
@@ -96,6 +124,26 @@ describe('settingsModel', () => {
       expect(validateSetting('timeScale', 3).valid).toBe(false); // Not in options
     });
 
+    it('validates key bindings', () => {
+      expect(validateSetting('inputBindings', {}).valid).toBe(true);
+      expect(validateSetting('inputBindings', { left: ['j'], showBathymetry: [] }).valid).toBe(
+        true
+      );
+      expect(validateSetting('inputBindings', { left: 'j' }).valid).toBe(false);
+      expect(validateSetting('inputBindings', ['j']).valid).toBe(false);
+      expect(validateSetting('inputBindings', null).valid).toBe(false);
+    });
+
+    it('validates physics presets', () => {
+      const calm = { ...DEFAULT_PHYSICS_CONFIG, foamDecay: 0.8 };
+      expect(validateSetting('physicsPresets', {}).valid).toBe(true);
+      expect(validateSetting('physicsPresets', { calm }).valid).toBe(true);
+      expect(validateSetting('physicsPresets', { calm: { foamDecay: 0.8 } }).valid).toBe(false);
+      expect(validateSetting('physicsPresets', { calm: { ...calm, foamDecay: -1 } }).valid).toBe(
+        false
+      );
+    });
+
     it('rejects unknown settings', () => {
       expect(validateSetting('unknownSetting', true).valid).toBe(false);
     });
@@ -8,8 +8,10 @@
  * - Event dispatch integration
  */
 
+import { validatePhysicsConfig } from './physicsConfig.js';
+
 // Current schema version - increment when adding/removing/changing settings
-export const SETTINGS_VERSION = 1;
+export const SETTINGS_VERSION = 13;
 
 // Settings schema with types and defaults
 export const SETTINGS_SCHEMA = {
@@ -31,6 +33,54 @@ export const SETTINGS_SCHEMA = {
   showEnergyField: { type: 'boolean', default: false, hotkey: 'e' },
   depthDampingCoefficient: { type: 'number', default: 0.1 },
   depthDampingExponent: { type: 'number', default: 2.0 },
+  // v3; a string kept in world.toggles, so it is restored with the toggles
+  energySolver: { type: 'string', default: 'wave', options: ['wave', 'advect'], toggle: true },
+  // v13: directional swells injected at the field's boundaries (state/energyFieldModel.ts)
+  swellInjection: { type: 'boolean', default: false },
+
+  // Currents (v4)
+  showCurrents: { type: 'boolean', default: false, hotkey: 'c' },
+
+  // Heat scorecard overlay (v5)
+  showScorecard: { type: 'boolean', default: true, hotkey: 'h' },
+
+  // NPC surfers in the lineup (v6)
+  crowdSize: { type: 'number', default: 0 },
+
+  // Simulation grid resolution preset for new worlds (v7, see state/gridResolution.ts)
+  gridResolution: {
+    type: 'string',
+    default: 'medium',
+    options: ['low', 'medium', 'high', 'ultra'],
+  },
+
+  // Render backend for the base layers (v8, see render/renderBackend.ts; applied on reload)
+  renderer: { type: 'string', default: 'canvas2d', options: ['canvas2d', 'webgl2'] },
+
+  // View (v9, see render/camera.ts): top-down or a perspective camera, cycled with 'V'
+  cameraMode: {
+    type: 'string',
+    default: 'topDown',
+    options: ['topDown', 'beach', 'lineup', 'follow'],
+  },
+
+  // Rebound keys (v10): {action: keys[]} for the actions that differ from the
+  // defaults in input/inputMap.ts
+  inputBindings: { type: 'bindings', default: {} },
+
+  // Saved physics presets (v11): {name: config} next to the built-in ones in
+  // state/physicsConfig.ts (the active config is part of the world and its saves)
+  physicsPresets: { type: 'physicsPresets', default: {} },
+
+  // Wave interference (v12, see state/waveInterferenceModel.ts): crests that meet
+  // add up per slice; merging turns coincident waves into one double-up
+  waveInterference: { type: 'boolean', default: true },
+  mergeDoubleUps: { type: 'boolean', default: false },
+
+  // Bathymetry editor (v2)
+  editBathymetry: { type: 'boolean', default: false, hotkey: 'k' },
+  bathymetryBrushRadius: { type: 'number', default: 0.08 },
+  bathymetryBrushStrength: { type: 'number', default: 6 },
 
   // Time scale (not a toggle but a setting)
   timeScale: { type: 'number', default: 1, options: [1, 2, 4, 8] },
@@ -50,6 +100,22 @@ export function getDefaultSettings(): Record<string, any> {
   return defaults;
 }
 
+/**
+ * Settings that live in world.toggles, to restore with TOGGLE_CHANGE on startup:
+ * booleans, numbers and string settings marked `toggle` (timeScale has its own event)
+ */
+export function getToggleSettings(settings): Record<string, any> {
+  const toggles: Record<string, any> = {};
+  for (const [key, value] of Object.entries(settings)) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema || key === 'timeScale') continue;
+    if (schema.type === 'boolean' || schema.type === 'number' || schema.toggle) {
+      toggles[key] = value;
+    }
+  }
+  return toggles;
+}
+
 /**
  * Validate a value against its schema
  */
@@ -67,6 +133,28 @@ export function validateSetting(key, value) {
     return { valid: false, error: `${key} must be a number` };
   }
 
+  if (
+    schema.type === 'bindings' &&
+    (typeof value !== 'object' ||
+      value === null ||
+      Array.isArray(value) ||
+      !Object.values(value).every(
+        (keys) => Array.isArray(keys) && keys.every((key) => typeof key === 'string')
+      ))
+  ) {
+    return { valid: false, error: `${key} must map actions to lists of keys` };
+  }
+
+  if (
+    schema.type === 'physicsPresets' &&
+    (typeof value !== 'object' ||
+      value === null ||
+      Array.isArray(value) ||
+      !Object.values(value).every((config) => validatePhysicsConfig(config) === null))
+  ) {
+    return { valid: false, error: `${key} must map names to physics configs` };
+  }
+
   if (schema.options && !schema.options.includes(value)) {
     return { valid: false, error: `${key} must be one of: ${schema.options.join(', ')}` };
   }
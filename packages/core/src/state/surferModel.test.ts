@@ -0,0 +1,376 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SURFER_STATE,
+  SURFER_CONFIG,
+  createSurfer,
+  sampleWaveFace,
+  getWaveSpeed,
+  canCatchWave,
+  getHoldDown,
+  updateSurfer,
+} from './surferModel.js';
+import { createPlayerProxy, PLAYER_PROXY_CONFIG } from './playerProxyModel.js';
+import { createEnergyField } from './energyFieldModel.js';
+import { createFoamGrids } from './foamGridModel.js';
+import { DEFAULT_BATHYMETRY } from './bathymetryModel.js';
+
+const NO_INPUT = { left: false, right: false, up: false, down: false };
+const DT = 1 / 60;
+
+// Energy field whose water falls off linearly toward shore: the face slope is
+// `slope` everywhere and the height at progress p is base + slope * (1 - p)
+function rampField(slope, base = 0) {
+  const field = createEnergyField();
+  for (let y = 0; y < field.gridHeight; y++) {
+    const progress = y / (field.gridHeight - 1);
+    for (let x = 0; x < field.width; x++) {
+      field.height[y * field.width + x] = base + slope * (1 - progress);
+    }
+  }
+  return field;
+}
+
+function createEnv(energyField = createEnergyField(), overrides = {}) {
+  return {
+    foamGrid: createFoamGrids().foam,
+    energyField,
+    currentField: null,
+    bathymetry: DEFAULT_BATHYMETRY,
+    shoreY: 500,
+    canvasWidth: 800,
+    canvasHeight: 600,
+    oceanTop: 0,
+    oceanBottom: 500,
+    travelDuration: 10000,
+    ...overrides,
+  };
+}
+
+// A surfer out the back at mid-ocean, paddling shoreward at full speed
+function paddlingSurfer(fields = {}) {
+  return { ...createSurfer(800, 500), x: 400, y: 250, vy: 30, ...fields };
+}
+
+function run(surfer, env, seconds, input = NO_INPUT) {
+  let current = surfer;
+  for (let t = 0; t < seconds; t += DT) {
+    current = updateSurfer(current, DT, input, env);
+  }
+  return current;
+}
+
+describe('surferModel', () => {
+  describe('createSurfer', () => {
+    it('starts paddling at the proxy spawn point', () => {
+      const surfer = createSurfer(800, 500);
+      const proxy = createPlayerProxy(800, 500);
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+      expect(surfer.x).toBe(proxy.x);
+      expect(surfer.y).toBe(proxy.y);
+      expect(surfer.trim).toBe(0);
+      expect(surfer.boardSpeed).toBe(0);
+    });
+  });
+
+  describe('sampleWaveFace', () => {
+    it('reads slope and height from the energy field', () => {
+      const face = sampleWaveFace(rampField(6, 0.2), 0.5, 0.5);
+      expect(face.slope).toBeCloseTo(6, 4);
+      expect(face.height).toBeCloseTo(0.2 + 6 * 0.5, 4);
+    });
+
+    it('is flat on still water', () => {
+      expect(sampleWaveFace(createEnergyField(), 0.5, 0.5).slope).toBe(0);
+    });
+
+    it('is negative on the back of a crest', () => {
+      expect(sampleWaveFace(rampField(-4), 0.5, 0.5).slope).toBeCloseTo(-4, 4);
+    });
+  });
+
+  describe('getWaveSpeed', () => {
+    it('crosses the ocean in travelDuration at horizon depth', () => {
+      expect(getWaveSpeed(30, 30, 500, 10000)).toBeCloseTo(50, 6);
+    });
+
+    it('slows with the square root of depth', () => {
+      expect(getWaveSpeed(7.5, 30, 500, 10000)).toBeCloseTo(25, 6);
+      expect(getWaveSpeed(0, 30, 500, 10000)).toBe(0);
+    });
+  });
+
+  describe('canCatchWave', () => {
+    it('needs a face at least takeoffSlope steep', () => {
+      expect(canCatchWave(SURFER_CONFIG.takeoffSlope * 0.9, 100, 50)).toBe(false);
+    });
+
+    it('needs less paddle speed on steeper faces', () => {
+      const waveSpeed = 40;
+      const atMin = SURFER_CONFIG.minSpeedRatio * waveSpeed;
+      expect(canCatchWave(SURFER_CONFIG.takeoffSlope, atMin * 0.9, waveSpeed)).toBe(false);
+      expect(canCatchWave(SURFER_CONFIG.takeoffSlope, atMin, waveSpeed)).toBe(true);
+      expect(canCatchWave(SURFER_CONFIG.takeoffSlope * 2, atMin * 0.5, waveSpeed)).toBe(true);
+    });
+  });
+
+  describe('getHoldDown', () => {
+    it('holds bigger waves down longer, up to the cap', () => {
+      const small = getHoldDown({ height: 0.1, slope: 0 });
+      const big = getHoldDown({ height: 0.5, slope: 0 });
+      expect(big).toBeGreaterThan(small);
+      expect(getHoldDown({ height: 100, slope: 0 })).toBe(SURFER_CONFIG.maxHoldDown);
+    });
+  });
+
+  describe('paddling', () => {
+    it('moves like the player proxy', () => {
+      const env = createEnv();
+      const surfer = updateSurfer(paddlingSurfer({ vy: 0 }), DT, { ...NO_INPUT, left: true }, env);
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+      expect(surfer.vx).toBeLessThan(0);
+      expect(surfer.x).toBeLessThan(400);
+    });
+
+    it('treats a bare player proxy as paddling', () => {
+      const proxy = { ...createPlayerProxy(800, 500), y: 250 };
+      const surfer = updateSurfer(proxy, DT, NO_INPUT, createEnv());
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+    });
+
+    it('ignores steep faces unless paddling for them (down)', () => {
+      const surfer = updateSurfer(paddlingSurfer(), DT, NO_INPUT, createEnv(rampField(6)));
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+    });
+  });
+
+  describe('takeoff', () => {
+    it('takes off when paddling down a steep face fast enough', () => {
+      const surfer = updateSurfer(
+        paddlingSurfer(),
+        DT,
+        { ...NO_INPUT, down: true },
+        createEnv(rampField(6))
+      );
+      expect(surfer.state).toBe(SURFER_STATE.TAKEOFF);
+      expect(surfer.boardSpeed).toBe(30);
+    });
+
+    it('misses the wave when paddling too slowly', () => {
+      const surfer = updateSurfer(
+        paddlingSurfer({ vy: 1 }),
+        DT,
+        { ...NO_INPUT, down: true },
+        createEnv(rampField(SURFER_CONFIG.takeoffSlope))
+      );
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+    });
+
+    it('misses the wave on a gentle face', () => {
+      const surfer = updateSurfer(
+        paddlingSurfer(),
+        DT,
+        { ...NO_INPUT, down: true },
+        createEnv(rampField(SURFER_CONFIG.takeoffSlope * 0.5))
+      );
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+    });
+
+    it('goes over the falls on a face that is too steep', () => {
+      const surfer = updateSurfer(
+        paddlingSurfer(),
+        DT,
+        { ...NO_INPUT, down: true },
+        createEnv(rampField(SURFER_CONFIG.maxTakeoffSlope + 1))
+      );
+      expect(surfer.state).toBe(SURFER_STATE.WIPEOUT);
+      expect(surfer.holdDown).toBeGreaterThanOrEqual(SURFER_CONFIG.baseHoldDown);
+    });
+
+    it('pops up to riding after takeoffDuration, leaning into the first line', () => {
+      const env = createEnv(rampField(6));
+      const surfer = run(
+        { ...paddlingSurfer(), state: SURFER_STATE.TAKEOFF, boardSpeed: 30 },
+        env,
+        SURFER_CONFIG.takeoffDuration + DT,
+        { ...NO_INPUT, right: true }
+      );
+      expect(surfer.state).toBe(SURFER_STATE.RIDING);
+      expect(surfer.trim).toBeGreaterThan(0);
+    });
+
+    it('falls back to paddling when the wave goes under the board', () => {
+      const surfer = run(
+        { ...paddlingSurfer(), state: SURFER_STATE.TAKEOFF, boardSpeed: 30 },
+        createEnv(),
+        SURFER_CONFIG.loseTime + DT
+      );
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+    });
+  });
+
+  describe('riding', () => {
+    const riding = (fields = {}) => ({
+      ...paddlingSurfer(),
+      state: SURFER_STATE.RIDING,
+      boardSpeed: 20,
+      vy: 20,
+      y: 150,
+      ...fields,
+    });
+
+    it('accelerates down a steep face', () => {
+      const surfer = run(riding(), createEnv(rampField(6)), 0.2);
+      expect(surfer.state).toBe(SURFER_STATE.RIDING);
+      expect(surfer.boardSpeed).toBeGreaterThan(20);
+      expect(surfer.y).toBeGreaterThan(150);
+    });
+
+    it('steers the trim with left/right and travels along it', () => {
+      const env = createEnv(rampField(6));
+      const right = run(riding(), env, 0.3, { ...NO_INPUT, right: true });
+      const left = run(riding(), env, 0.3, { ...NO_INPUT, left: true });
+      expect(right.trim).toBeGreaterThan(0);
+      expect(right.vx).toBeGreaterThan(0);
+      expect(right.x).toBeGreaterThan(400);
+      expect(left.trim).toBeLessThan(0);
+      expect(left.x).toBeLessThan(400);
+    });
+
+    it('clamps the trim to maxTrim', () => {
+      const surfer = run(riding(), createEnv(rampField(6)), 3, { ...NO_INPUT, right: true });
+      expect(surfer.trim).toBeCloseTo(SURFER_CONFIG.maxTrim, 6);
+    });
+
+    it('gains less speed trimmed across the face than straight down it', () => {
+      const env = createEnv(rampField(6));
+      const straight = run(riding(), env, 0.3);
+      const angled = run(riding({ trim: SURFER_CONFIG.maxTrim }), env, 0.3);
+      expect(angled.boardSpeed).toBeLessThan(straight.boardSpeed);
+    });
+
+    it('stalls (up) and pumps (down)', () => {
+      const env = createEnv(rampField(6));
+      const cruise = run(riding(), env, 0.3);
+      const stall = run(riding(), env, 0.3, { ...NO_INPUT, up: true });
+      const pump = run(riding(), env, 0.3, { ...NO_INPUT, down: true });
+      expect(stall.boardSpeed).toBeLessThan(cruise.boardSpeed);
+      expect(pump.boardSpeed).toBeGreaterThan(cruise.boardSpeed);
+    });
+
+    it('loses the wave after loseTime off the face', () => {
+      const env = createEnv();
+      const brief = run(riding(), env, SURFER_CONFIG.loseTime * 0.5);
+      expect(brief.state).toBe(SURFER_STATE.RIDING);
+      const lost = run(riding(), env, SURFER_CONFIG.loseTime + DT);
+      expect(lost.state).toBe(SURFER_STATE.PADDLING);
+    });
+
+    it('wipes out when the face goes vertical', () => {
+      const surfer = updateSurfer(
+        riding(),
+        DT,
+        NO_INPUT,
+        createEnv(rampField(SURFER_CONFIG.wipeoutSlope + 1))
+      );
+      expect(surfer.state).toBe(SURFER_STATE.WIPEOUT);
+    });
+
+    it('ends the ride on the sand', () => {
+      const surfer = updateSurfer(riding({ y: 510 }), DT, NO_INPUT, createEnv(rampField(6)));
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+      expect(surfer.boardSpeed).toBe(0);
+    });
+  });
+
+  describe('wipeout', () => {
+    const wipedOut = (holdDown) => ({
+      ...paddlingSurfer({ vy: 0 }),
+      state: SURFER_STATE.WIPEOUT,
+      holdDown,
+    });
+
+    it('ignores input and tumbles shoreward while held down', () => {
+      const env = createEnv();
+      const surfer = run(wipedOut(2), env, 0.5, { ...NO_INPUT, up: true, left: true });
+      expect(surfer.state).toBe(SURFER_STATE.WIPEOUT);
+      expect(surfer.y).toBeGreaterThan(250);
+      expect(surfer.x).toBe(400);
+    });
+
+    it('surfaces after the hold-down and swims before paddling again', () => {
+      const env = createEnv();
+      const surfaced = run(wipedOut(1), env, 1 + DT);
+      expect(surfaced.state).toBe(SURFER_STATE.SWIMMING);
+
+      const swimming = run(surfaced, env, SURFER_CONFIG.recoverTime * 0.5, {
+        ...NO_INPUT,
+        up: true,
+      });
+      expect(swimming.state).toBe(SURFER_STATE.SWIMMING);
+      expect(Math.abs(swimming.vy)).toBeLessThanOrEqual(SURFER_CONFIG.swimSpeed + 1e-6);
+
+      const recovered = run(swimming, env, SURFER_CONFIG.recoverTime * 0.5 + DT);
+      expect(recovered.state).toBe(SURFER_STATE.PADDLING);
+    });
+  });
+
+  describe('duck diving', () => {
+    function foamyEnv() {
+      const env = createEnv();
+      env.foamGrid.data.fill(1);
+      return env;
+    }
+
+    it('dives under whitewater with up', () => {
+      const surfer = updateSurfer(paddlingSurfer(), DT, { ...NO_INPUT, up: true }, foamyEnv());
+      expect(surfer.state).toBe(SURFER_STATE.DUCK_DIVING);
+    });
+
+    it('does not dive in clean water', () => {
+      const surfer = updateSurfer(paddlingSurfer(), DT, { ...NO_INPUT, up: true }, createEnv());
+      expect(surfer.state).toBe(SURFER_STATE.PADDLING);
+    });
+
+    it('is pushed shoreward less than a paddler', () => {
+      const env = foamyEnv();
+      const diving = run(
+        { ...paddlingSurfer({ vy: 0 }), state: SURFER_STATE.DUCK_DIVING },
+        env,
+        0.3
+      );
+      const paddling = run(paddlingSurfer({ vy: 0 }), env, 0.3);
+      expect(diving.y).toBeLessThan(paddling.y);
+    });
+
+    it('resurfaces paddling with a cooldown before the next dive', () => {
+      const env = foamyEnv();
+      const up = { ...NO_INPUT, up: true };
+      const surfaced = run(
+        { ...paddlingSurfer(), state: SURFER_STATE.DUCK_DIVING },
+        env,
+        SURFER_CONFIG.duckDiveDuration + DT,
+        up
+      );
+      expect(surfaced.state).toBe(SURFER_STATE.PADDLING);
+      expect(surfaced.diveCooldown).toBeGreaterThan(0);
+      expect(updateSurfer(surfaced, DT, up, env).state).toBe(SURFER_STATE.PADDLING);
+    });
+  });
+
+  it('uses the player proxy config for paddling', () => {
+    const env = createEnv();
+    const fast = updateSurfer(
+      paddlingSurfer({ vy: 0 }),
+      DT,
+      { ...NO_INPUT, right: true },
+      env,
+      SURFER_CONFIG,
+      {
+        ...PLAYER_PROXY_CONFIG,
+        waterSpeed: 60,
+      }
+    );
+    const normal = updateSurfer(paddlingSurfer({ vy: 0 }), DT, { ...NO_INPUT, right: true }, env);
+    expect(fast.vx).toBeGreaterThan(normal.vx);
+  });
+});
@@ -0,0 +1,453 @@
+// Surfer Model
+// Board state machine on top of the player proxy's paddling physics
+//
+// PADDLING ──down on a steep face, fast enough──▶ TAKEOFF ──pop-up done──▶ RIDING
+//    │  ▲                                            │  │                     │
+//    │  └──────────── wave passed (too slow) ◀───────┘  │                     │
+//  up in foam                               face too steep (late)    lip too steep
+//    ▼                                                  ▼                     ▼
+// DUCK_DIVING (less foam push)                       WIPEOUT (held down) ◀────┘
+//                                                       ▼
+//                                                    SWIMMING (recover board) ──▶ PADDLING
+//
+// Wave faces come from the energy field: slope is how much higher the water is
+// just seaward of the surfer than just shoreward (field height per ocean height),
+// so it is positive on the front of a crest and negative on its back.
+//
+// Every state takes the same {left, right, up, down} input, so keyboard and
+// updateAIPlayer drive the surfer the same way. The surfer keeps the proxy's
+// {x, y, vx, vy} so everything that reads the player keeps working.
+
+import { getHeightAt } from './energyFieldModel.js';
+import { getDepth } from './bathymetryModel.js';
+import {
+  PLAYER_PROXY_CONFIG,
+  createPlayerProxy,
+  updatePlayerProxy,
+  sampleFoamIntensity,
+  getCurrentDrift,
+  getZone,
+  drawPlayerProxy,
+  toAnalogInput,
+} from './playerProxyModel.js';
+
+export const SURFER_STATE = {
+  PADDLING: 'PADDLING', // prone on the board (walking while on the sand)
+  DUCK_DIVING: 'DUCK_DIVING', // pushing the board under whitewater
+  TAKEOFF: 'TAKEOFF', // popping up as the wave picks the board up
+  RIDING: 'RIDING', // standing, trimming across the face
+  WIPEOUT: 'WIPEOUT', // held under after a failed takeoff or a closeout
+  SWIMMING: 'SWIMMING', // surfaced, getting back on the board
+};
+
+// Default config - can be overridden at runtime via debug panel
+export const DEFAULT_SURFER_CONFIG = {
+  // Takeoff
+  takeoffSlope: 3, // minimum face slope to catch
+  maxTakeoffSlope: 12, // steeper than this at takeoff = over the falls
+  minSpeedRatio: 0.5, // shoreward paddle speed / wave speed needed at takeoffSlope
+  takeoffDuration: 0.5, // seconds to pop up
+
+  // Riding (px/s)
+  faceGravity: 15, // acceleration down the face per unit slope (px/s²)
+  rideDrag: 0.6, // per-second speed loss
+  trimRate: 2.5, // radians per second of trim change
+  maxTrim: 1.3, // radians from straight-to-shore (~75°)
+  pumpAccel: 20, // extra acceleration while pumping (down) on a face
+  stallDrag: 1.5, // extra drag while stalling (up)
+  loseSlope: 0.5, // below this slope the wave is no longer carrying the board
+  loseTime: 0.4, // seconds off the face before the ride ends
+  wipeoutSlope: 16, // face steeper than this while riding = the lip lands on you
+
+  // Duck dive
+  duckDiveFoam: 0.15, // foam intensity worth diving under
+  duckDiveDuration: 0.7,
+  duckDivePush: 0.25, // fraction of the whitewater push felt while under
+  duckDiveCooldown: 0.6, // seconds before the next dive
+
+  // Wipeout / recovery
+  baseHoldDown: 1.0, // seconds under the water
+  holdDownPerHeight: 2.0, // extra seconds per unit of field height at the wipeout
+  maxHoldDown: 4.0,
+  tumbleSpeed: 20, // shoreward drift while held down (px/s, plus foam push)
+  swimSpeed: 15, // px/s while swimming back to the board
+  recoverTime: 1.5, // seconds of swimming before paddling again
+};
+
+// Runtime config - starts as copy of defaults, can be modified
+export const SURFER_CONFIG = { ...DEFAULT_SURFER_CONFIG };
+
+/**
+ * Create a surfer standing on the shore
+ * @param {number} canvasWidth
+ * @param {number} shoreY - Y position of shore line
+ * @returns {object} Surfer {x, y, vx, vy, state, stateTime, trim, boardSpeed, holdDown, diveCooldown, offFaceTime}
+ */
+export function createSurfer(canvasWidth, shoreY) {
+  return {
+    ...createPlayerProxy(canvasWidth, shoreY),
+    state: SURFER_STATE.PADDLING,
+    stateTime: 0, // seconds in the current state
+    trim: 0, // radians, 0 = straight to shore, + = toward +x
+    boardSpeed: 0, // px/s along the trim direction (riding)
+    holdDown: 0, // seconds this wipeout holds the surfer under
+    diveCooldown: 0,
+    offFaceTime: 0, // seconds the board has been off the face (riding)
+  };
+}
+
+/**
+ * Sample the wave face at a point from the energy field
+ * @param {object} energyField - Energy field
+ * @param {number} normalizedX - 0-1 across
+ * @param {number} progress - 0 (horizon) to 1 (shore)
+ * @returns {{height: number, slope: number}} Field height and face slope (+ = front of a crest)
+ */
+export function sampleWaveFace(energyField, normalizedX, progress) {
+  const delta = 1 / (energyField.gridHeight - 1);
+  const seaward = Math.max(0, progress - delta);
+  const shoreward = Math.min(1, progress + delta);
+  const rise =
+    getHeightAt(energyField, normalizedX, seaward) -
+    getHeightAt(energyField, normalizedX, shoreward);
+  return {
+    height: getHeightAt(energyField, normalizedX, progress),
+    slope: shoreward > seaward ? rise / (shoreward - seaward) : 0,
+  };
+}
+
+/**
+ * Shoreward wave speed at a depth, matching the energy field's wave solver
+ * (c ∝ √depth, horizon-deep water crosses the ocean in travelDuration)
+ * @param {number} depth - Local depth in meters
+ * @param {number} horizonDepth - Depth at the horizon in meters
+ * @param {number} oceanHeight - Ocean height in px
+ * @param {number} travelDuration - Horizon-to-shore time in ms
+ * @returns {number} px/s
+ */
+export function getWaveSpeed(depth, horizonDepth, oceanHeight, travelDuration) {
+  return (Math.sqrt(Math.max(0, depth) / horizonDepth) * oceanHeight) / (travelDuration / 1000);
+}
+
+/**
+ * Whether a paddling surfer catches the face they are on
+ * Steeper faces need less paddle speed; too steep is caught but goes over the falls.
+ * @param {number} slope - Face slope at the surfer
+ * @param {number} paddleSpeed - Shoreward paddle speed (px/s)
+ * @param {number} waveSpeed - Local wave speed (px/s)
+ * @param {object} config - SURFER_CONFIG
+ * @returns {boolean}
+ */
+export function canCatchWave(slope, paddleSpeed, waveSpeed, config = SURFER_CONFIG) {
+  if (slope < config.takeoffSlope) return false;
+  const needed = (config.minSpeedRatio * config.takeoffSlope) / slope;
+  return paddleSpeed >= needed * waveSpeed;
+}
+
+function enter(surfer, state, fields = {}) {
+  return { ...surfer, ...fields, state, stateTime: 0, offFaceTime: 0 };
+}
+
+/**
+ * Ride physics: gravity down the face along the trim, drag, pump/stall
+ * Trim, pump and stall scale with the input magnitude (analog sticks).
+ * Returns updated {trim, boardSpeed, vx, vy}
+ */
+function rideStep(surfer, dt, input, slope, config, allowTrim) {
+  const { left, right, up, down } = toAnalogInput(input);
+  let trim = surfer.trim;
+  if (allowTrim) {
+    trim += (right - left) * config.trimRate * dt;
+    trim = Math.max(-config.maxTrim, Math.min(config.maxTrim, trim));
+  }
+
+  let accel = config.faceGravity * slope * Math.cos(trim) - config.rideDrag * surfer.boardSpeed;
+  if (slope > 0) accel += down * config.pumpAccel;
+  accel -= up * config.stallDrag * surfer.boardSpeed;
+  const boardSpeed = Math.max(0, surfer.boardSpeed + accel * dt);
+
+  return {
+    trim,
+    boardSpeed,
+    vx: boardSpeed * Math.sin(trim),
+    vy: boardSpeed * Math.cos(trim),
+  };
+}
+
+/**
+ * Update the surfer by one frame
+ *
+ * @param {object} surfer - Surfer state (from createSurfer; a bare proxy starts PADDLING)
+ * @param {number} dt - Delta time in seconds
+ * @param {object} input - {left, right, up, down}
+ * @param {object} env - World around the surfer
+ * @param {object} env.foamGrid - Foam density grid
+ * @param {object} env.energyField - Energy field (wave faces)
+ * @param {object} env.currentField - Rip/longshore currents (optional)
+ * @param {object} env.bathymetry - Bathymetry at the current tide (wave speed)
+ * @param {number} env.shoreY - Waterline Y
+ * @param {number} env.canvasWidth
+ * @param {number} env.canvasHeight
+ * @param {number} env.oceanTop
+ * @param {number} env.oceanBottom
+ * @param {number} env.travelDuration - Horizon-to-shore time in ms
+ * @param {object} config - SURFER_CONFIG
+ * @param {object} playerConfig - PLAYER_PROXY_CONFIG (paddling, swimming)
+ * @returns {object} Updated surfer
+ */
+export function updateSurfer(
+  surfer,
+  dt,
+  input,
+  env,
+  config = SURFER_CONFIG,
+  playerConfig = PLAYER_PROXY_CONFIG
+) {
+  const {
+    foamGrid,
+    energyField,
+    currentField = null,
+    bathymetry,
+    shoreY,
+    canvasWidth,
+    canvasHeight,
+    oceanTop,
+    oceanBottom,
+    travelDuration,
+  } = env;
+  const state = surfer.state ?? SURFER_STATE.PADDLING;
+  const current = { ...createSurfer(canvasWidth, shoreY), ...surfer, state };
+  const stateTime = (current.stateTime ?? 0) + dt;
+  const oceanHeight = oceanBottom - oceanTop;
+  const progress = Math.max(0, Math.min(1, (current.y - oceanTop) / oceanHeight));
+  const normalizedX = Math.max(0, Math.min(1, current.x / canvasWidth));
+  const inWater = getZone(current.y, shoreY) === 'WATER';
+  const face = energyField
+    ? sampleWaveFace(energyField, normalizedX, progress)
+    : { height: 0, slope: 0 };
+
+  // Paddle-style movement (paddling, duck diving, swimming) reuses the proxy physics
+  const paddle = (moveInput, overrides = {}) =>
+    updatePlayerProxy(
+      current,
+      dt,
+      moveInput,
+      foamGrid,
+      shoreY,
+      canvasWidth,
+      canvasHeight,
+      oceanTop,
+      oceanBottom,
+      { ...playerConfig, ...overrides },
+      currentField
+    );
+
+  // Position step for the standing states, clamped like the proxy
+  const move = (vx, vy) => {
+    const margin = playerConfig.radius;
+    return {
+      x: Math.max(margin, Math.min(canvasWidth - margin, current.x + vx * dt)),
+      y: Math.max(margin, Math.min(canvasHeight - margin, current.y + vy * dt)),
+      vx,
+      vy,
+    };
+  };
+
+  switch (state) {
+    case SURFER_STATE.PADDLING: {
+      const diveCooldown = Math.max(0, current.diveCooldown - dt);
+      const foam = sampleFoamIntensity(
+        current.x,
+        current.y,
+        foamGrid,
+        canvasWidth,
+        oceanTop,
+        oceanBottom
+      );
+
+      if (inWater && input.up && foam >= config.duckDiveFoam && diveCooldown <= 0) {
+        return enter(current, SURFER_STATE.DUCK_DIVING, { diveCooldown });
+      }
+
+      if (inWater && input.down) {
+        const depth = getDepth(normalizedX, bathymetry, progress);
+        const horizonDepth = getDepth(normalizedX, bathymetry, 0);
+        const waveSpeed = getWaveSpeed(depth, horizonDepth, oceanHeight, travelDuration);
+        if (canCatchWave(face.slope, Math.max(0, current.vy), waveSpeed, config)) {
+          if (face.slope > config.maxTakeoffSlope) {
+            return enter(current, SURFER_STATE.WIPEOUT, { holdDown: getHoldDown(face, config) });
+          }
+          return enter(current, SURFER_STATE.TAKEOFF, {
+            trim: 0,
+            boardSpeed: Math.max(0, current.vy),
+            diveCooldown,
+          });
+        }
+      }
+
+      return { ...current, ...paddle(input), stateTime, diveCooldown };
+    }
+
+    case SURFER_STATE.DUCK_DIVING: {
+      const moved = paddle(input, {
+        maxPushForce: playerConfig.maxPushForce * config.duckDivePush,
+      });
+      if (stateTime >= config.duckDiveDuration) {
+        return enter({ ...current, ...moved }, SURFER_STATE.PADDLING, {
+          diveCooldown: config.duckDiveCooldown,
+        });
+      }
+      return { ...current, ...moved, stateTime };
+    }
+
+    case SURFER_STATE.TAKEOFF: {
+      if (face.slope > config.wipeoutSlope) {
+        return enter(current, SURFER_STATE.WIPEOUT, { holdDown: getHoldDown(face, config) });
+      }
+      const offFaceTime = face.slope < config.loseSlope ? current.offFaceTime + dt : 0;
+      if (offFaceTime >= config.loseTime) {
+        // The wave went under the board - back to paddling
+        return enter(current, SURFER_STATE.PADDLING);
+      }
+
+      const ride = rideStep(current, dt, input, face.slope, config, false);
+      const moved = move(ride.vx, ride.vy);
+      if (stateTime >= config.takeoffDuration) {
+        // Pop-up done: set the first line toward whichever way the surfer leans
+        const lean = input.left ? -1 : input.right ? 1 : 0;
+        return enter({ ...current, ...ride, ...moved }, SURFER_STATE.RIDING, {
+          trim: lean * config.maxTrim * 0.5,
+        });
+      }
+      return { ...current, ...ride, ...moved, stateTime, offFaceTime };
+    }
+
+    case SURFER_STATE.RIDING: {
+      if (!inWater) {
+        // Rode it all the way to the sand
+        return enter(current, SURFER_STATE.PADDLING, { vx: 0, vy: 0, boardSpeed: 0 });
+      }
+      if (face.slope > config.wipeoutSlope) {
+        return enter(current, SURFER_STATE.WIPEOUT, { holdDown: getHoldDown(face, config) });
+      }
+      const offFaceTime = face.slope < config.loseSlope ? current.offFaceTime + dt : 0;
+      if (offFaceTime >= config.loseTime) {
+        // Kicked out / the wave moved on - lie back down and keep the glide
+        return enter(current, SURFER_STATE.PADDLING, { boardSpeed: 0 });
+      }
+
+      const ride = rideStep(current, dt, input, face.slope, config, true);
+      return { ...current, ...ride, ...move(ride.vx, ride.vy), stateTime, offFaceTime };
+    }
+
+    case SURFER_STATE.WIPEOUT: {
+      // No control: tumbled shoreward by the whitewater and carried by currents
+      const foam = sampleFoamIntensity(
+        current.x,
+        current.y,
+        foamGrid,
+        canvasWidth,
+        oceanTop,
+        oceanBottom
+      );
+      const drift = getCurrentDrift(
+        current,
+        currentField,
+        canvasWidth,
+        oceanTop,
+        oceanBottom,
+        playerConfig
+      );
+      const vy = config.tumbleSpeed + foam * playerConfig.maxPushForce + drift.y;
+      const moved = move(drift.x, vy);
+      if (stateTime >= current.holdDown) {
+        return enter({ ...current, ...moved }, SURFER_STATE.SWIMMING, {
+          trim: 0,
+          boardSpeed: 0,
+        });
+      }
+      return { ...current, ...moved, stateTime };
+    }
+
+    case SURFER_STATE.SWIMMING: {
+      const moved = paddle(input, { waterSpeed: config.swimSpeed, foamSpeed: config.swimSpeed });
+      if (stateTime >= config.recoverTime || !inWater) {
+        return enter({ ...current, ...moved }, SURFER_STATE.PADDLING);
+      }
+      return { ...current, ...moved, stateTime };
+    }
+
+    default:
+      return enter(current, SURFER_STATE.PADDLING);
+  }
+}
+
+/**
+ * Hold-down time for a wipeout - bigger water keeps you under longer
+ * @param {object} face - {height, slope} at the wipeout
+ * @param {object} config - SURFER_CONFIG
+ * @returns {number} Seconds
+ */
+export function getHoldDown(face, config = SURFER_CONFIG) {
+  return Math.min(
+    config.maxHoldDown,
+    config.baseHoldDown + config.holdDownPerHeight * Math.max(0, face.height)
+  );
+}
+
+// State colors for the board and label
+const STATE_COLORS = {
+  [SURFER_STATE.PADDLING]: '#ffffff',
+  [SURFER_STATE.DUCK_DIVING]: '#7fd4ff',
+  [SURFER_STATE.TAKEOFF]: '#ffe066',
+  [SURFER_STATE.RIDING]: '#7dff8a',
+  [SURFER_STATE.WIPEOUT]: '#ff6b6b',
+  [SURFER_STATE.SWIMMING]: '#c9a0ff',
+};
+
+/**
+ * Draw the surfer: the proxy dot plus a board along the heading and a state label
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} surfer - Surfer state
+ * @param {number} foamIntensity - Foam at the surfer (for the proxy's danger tint)
+ * @param {object} playerConfig - PLAYER_PROXY_CONFIG
+ */
+export function drawSurfer(ctx, surfer, foamIntensity = 0, playerConfig = PLAYER_PROXY_CONFIG) {
+  const state = surfer.state ?? SURFER_STATE.PADDLING;
+  const color = STATE_COLORS[state];
+  const r = playerConfig.radius;
+
+  ctx.save();
+
+  if (state === SURFER_STATE.WIPEOUT) {
+    // Just spray where the surfer went under
+    ctx.beginPath();
+    ctx.arc(surfer.x, surfer.y, r * 1.4, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fill();
+  } else {
+    // Board: along the trim while standing, along the motion otherwise
+    const standing = state === SURFER_STATE.TAKEOFF || state === SURFER_STATE.RIDING;
+    const speed = Math.hypot(surfer.vx, surfer.vy);
+    const angle = standing ? surfer.trim : speed > 1 ? Math.atan2(surfer.vx, surfer.vy) : Math.PI;
+    const length = r * 2.5;
+    ctx.beginPath();
+    ctx.moveTo(surfer.x - Math.sin(angle) * length, surfer.y - Math.cos(angle) * length);
+    ctx.lineTo(surfer.x + Math.sin(angle) * length, surfer.y + Math.cos(angle) * length);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.stroke();
+
+    if (state !== SURFER_STATE.DUCK_DIVING) {
+      drawPlayerProxy(ctx, surfer, foamIntensity, playerConfig);
+    }
+  }
+
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = color;
+  ctx.fillText(state, surfer.x, surfer.y - r * 2.2);
+
+  ctx.restore();
+}
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TIDE,
+  TIDE_RESOLUTION,
+  applyTide,
+  createTide,
+  getTideClock,
+  getTideLevel,
+  quantizeTideLevel,
+} from './tideModel.js';
+import { DEFAULT_BATHYMETRY, getDepth } from './bathymetryModel.js';
+import { createBathymetryGrid } from './bathymetryGridModel.js';
+import { isWaveBreaking } from './waveModel.js';
+
+const sec = (s) => s * 1000;
+
+describe('tideModel', () => {
+  describe('getTideLevel (harmonic)', () => {
+    const tide = createTide({ range: 2, period: 100, phase: 0 });
+
+    it('starts at low water with phase 0', () => {
+      expect(getTideLevel(tide, 0)).toBeCloseTo(-1, 6);
+    });
+
+    it('reaches high water half a period later', () => {
+      expect(getTideLevel(tide, sec(50))).toBeCloseTo(1, 6);
+    });
+
+    it('passes mean sea level at quarter periods', () => {
+      expect(getTideLevel(tide, sec(25))).toBeCloseTo(0, 6);
+      expect(getTideLevel(tide, sec(75))).toBeCloseTo(0, 6);
+    });
+
+    it('repeats every period', () => {
+      expect(getTideLevel(tide, sec(130))).toBeCloseTo(getTideLevel(tide, sec(30)), 6);
+    });
+
+    it('is zero without a tide', () => {
+      expect(getTideLevel(null, sec(42))).toBe(0);
+    });
+
+    it('defaults to mid-tide, rising', () => {
+      expect(getTideLevel(createTide(), 0)).toBeCloseTo(0, 6);
+      expect(getTideLevel(createTide(), sec(10))).toBeGreaterThan(0);
+      expect(DEFAULT_TIDE.range).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getTideLevel (table)', () => {
+    const tide = createTide({
+      table: [
+        { time: 0, level: -0.5 },
+        { time: 60, level: 1.5 },
+        { time: 120, level: -0.5 },
+      ],
+    });
+
+    it('hits the table points exactly', () => {
+      expect(getTideLevel(tide, 0)).toBeCloseTo(-0.5, 6);
+      expect(getTideLevel(tide, sec(60))).toBeCloseTo(1.5, 6);
+    });
+
+    it('eases between points', () => {
+      expect(getTideLevel(tide, sec(30))).toBeCloseTo(0.5, 6);
+      // Cosine easing: a quarter of the way is less than a quarter of the change
+      expect(getTideLevel(tide, sec(15))).toBeLessThan(0);
+    });
+
+    it('loops over the table span', () => {
+      expect(getTideLevel(tide, sec(150))).toBeCloseTo(getTideLevel(tide, sec(30)), 6);
+    });
+  });
+
+  describe('createTide', () => {
+    it('rejects a non-positive period', () => {
+      expect(() => createTide({ period: 0 })).toThrow(/period/);
+    });
+
+    it('rejects short or unordered tables', () => {
+      expect(() => createTide({ table: [{ time: 0, level: 0 }] })).toThrow(/two/);
+      expect(() =>
+        createTide({
+          table: [
+            { time: 10, level: 0 },
+            { time: 5, level: 1 },
+          ],
+        })
+      ).toThrow(/increase/);
+      expect(() =>
+        createTide({
+          table: [
+            { time: 0, level: 0 },
+            { time: 5, level: 'high' },
+          ],
+        })
+      ).toThrow(/numeric/);
+    });
+  });
+
+  describe('getTideClock', () => {
+    const tide = createTide({ range: 2, period: 100, phase: 0 });
+
+    it('reports a rising tide and time to high water', () => {
+      const clock = getTideClock(tide, sec(20));
+
+      expect(clock.rising).toBe(true);
+      expect(clock.nextHighIn).toBeCloseTo(30, 0);
+      expect(clock.nextLowIn).toBeCloseTo(80, 0);
+      expect(clock.nextTurnIn).toBe(clock.nextHighIn);
+      expect(clock.turnProgress).toBeCloseTo(0.4, 1);
+    });
+
+    it('reports a falling tide and time to low water', () => {
+      const clock = getTideClock(tide, sec(60));
+
+      expect(clock.rising).toBe(false);
+      expect(clock.nextLowIn).toBeCloseTo(40, 0);
+      expect(clock.nextTurnIn).toBe(clock.nextLowIn);
+      expect(clock.halfCycle).toBe(50);
+    });
+  });
+
+  describe('applyTide', () => {
+    it('returns the seafloor itself at mean sea level', () => {
+      expect(applyTide(DEFAULT_BATHYMETRY, 0)).toBe(DEFAULT_BATHYMETRY);
+      expect(applyTide(DEFAULT_BATHYMETRY, TIDE_RESOLUTION / 4)).toBe(DEFAULT_BATHYMETRY);
+    });
+
+    it('reuses the tided copy while the quantized level is unchanged', () => {
+      const a = applyTide(DEFAULT_BATHYMETRY, 0.5);
+      const b = applyTide(DEFAULT_BATHYMETRY, 0.5 + TIDE_RESOLUTION / 4);
+      const c = applyTide(DEFAULT_BATHYMETRY, 0.8);
+
+      expect(b).toBe(a);
+      expect(c).not.toBe(a);
+      expect(c.tideLevel).toBeCloseTo(quantizeTideLevel(0.8), 10);
+    });
+
+    it('raises and lowers every depth by the sea level', () => {
+      const high = applyTide(DEFAULT_BATHYMETRY, 1);
+      const low = applyTide(DEFAULT_BATHYMETRY, -1);
+      const base = getDepth(0.8, DEFAULT_BATHYMETRY, 0.2);
+
+      expect(getDepth(0.8, high, 0.2)).toBeCloseTo(base + 1, 6);
+      expect(getDepth(0.8, low, 0.2)).toBeCloseTo(base - 1, 6);
+    });
+
+    it('applies to grid bathymetries', () => {
+      const grid = createBathymetryGrid(4, 4);
+      grid.depths.fill(3);
+
+      expect(getDepth(0.5, applyTide(grid, 1.5), 0.5)).toBeCloseTo(4.5, 6);
+    });
+
+    it('never tides a depth below the minimum', () => {
+      const low = applyTide(DEFAULT_BATHYMETRY, -3);
+      expect(getDepth(0.5, low, 1)).toBe(0.01);
+    });
+
+    it('switches breaking on and off over a shallow feature', () => {
+      const wave = { amplitude: 0.4 }; // 1.5m wave breaks below ~1.9m of water
+      const grid = createBathymetryGrid(4, 4);
+      grid.depths.fill(2.5);
+
+      expect(isWaveBreaking(wave, getDepth(0.5, applyTide(grid, -1), 0.5))).toBe(true);
+      expect(isWaveBreaking(wave, getDepth(0.5, applyTide(grid, 1), 0.5))).toBe(false);
+    });
+  });
+});
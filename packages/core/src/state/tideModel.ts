@@ -0,0 +1,184 @@
+// Tide Model - Sea level over game time
+//
+// The seafloor (bathymetry) never moves; the tide raises and lowers the water
+// on top of it. getTideLevel gives the offset in meters for a game time, and
+// applyTide folds it into a bathymetry config so every getDepth caller
+// (breaking, refraction, foam, energy damping, heat map) sees the same water.
+//
+// Two sources:
+// - Harmonic: one cosine cycle of `range` meters every `period` seconds
+// - Table: [{time, level}] points (seconds, meters), eased between and looped
+
+/**
+ * Default tide - a real 12.4h semidiurnal cycle compressed into 12 minutes
+ */
+export const DEFAULT_TIDE = {
+  range: 1.6, // meters from low to high water
+  period: 720, // seconds per low → high → low cycle
+  phase: 0.25, // fraction of the cycle at gameTime 0 (0 = low, 0.5 = high)
+  table: null, // optional [{time, level}]; overrides range/phase when set
+};
+
+// Sea level is quantized so tided bathymetry objects (and the heat map cache
+// keyed on them) only change every few centimeters instead of every frame
+export const TIDE_RESOLUTION = 0.05;
+
+/**
+ * Create a tide config
+ * @param {object} overrides - Fields to override on DEFAULT_TIDE
+ * @returns {object} Tide config
+ */
+export function createTide(overrides: Record<string, any> = {}) {
+  const tide = { ...DEFAULT_TIDE, ...overrides };
+  if (!(tide.period > 0)) {
+    throw new Error(`Tide period must be positive (got ${tide.period})`);
+  }
+  if (tide.table) {
+    validateTideTable(tide.table);
+  }
+  return tide;
+}
+
+/**
+ * Check a tide table is usable
+ * @param {Array} table - [{time, level}] in seconds / meters
+ */
+function validateTideTable(table) {
+  if (!Array.isArray(table) || table.length < 2) {
+    throw new Error('Tide table needs at least two {time, level} points');
+  }
+  for (let i = 0; i < table.length; i++) {
+    const { time, level } = table[i];
+    if (!Number.isFinite(time) || !Number.isFinite(level)) {
+      throw new Error(`Tide table point ${i} must have numeric time and level`);
+    }
+    if (i > 0 && time <= table[i - 1].time) {
+      throw new Error(`Tide table times must increase (point ${i} at ${time}s)`);
+    }
+  }
+}
+
+/**
+ * Length of one loop of the tide in seconds
+ * Tables loop over their own span; harmonic tides over the period.
+ */
+function getTideCycle(tide) {
+  if (tide.table) {
+    return tide.table[tide.table.length - 1].time - tide.table[0].time;
+  }
+  return tide.period;
+}
+
+/**
+ * Sea level from a tide table at a time (cosine-eased between points)
+ */
+function sampleTideTable(table, seconds) {
+  const start = table[0].time;
+  const span = table[table.length - 1].time - start;
+  const t = start + ((((seconds - start) % span) + span) % span);
+
+  let i = 0;
+  while (i < table.length - 2 && table[i + 1].time <= t) i++;
+  const a = table[i];
+  const b = table[i + 1];
+  const u = (t - a.time) / (b.time - a.time);
+  const eased = (1 - Math.cos(u * Math.PI)) / 2;
+  return a.level + (b.level - a.level) * eased;
+}
+
+/**
+ * Sea level offset at a game time
+ * @param {object} tide - Tide config (null = no tide)
+ * @param {number} gameTime - Game time in ms
+ * @returns {number} Meters above mean sea level (negative = below)
+ */
+export function getTideLevel(tide, gameTime) {
+  if (!tide) return 0;
+  const seconds = gameTime / 1000;
+
+  if (tide.table) {
+    return sampleTideTable(tide.table, seconds);
+  }
+
+  const cycle = seconds / tide.period + (tide.phase ?? 0);
+  return -(tide.range / 2) * Math.cos(2 * Math.PI * cycle);
+}
+
+/**
+ * Tide clock for the debug panel
+ * Next high/low water is found by stepping forward through one cycle, so it
+ * works the same for harmonic tides and tables.
+ *
+ * @param {object} tide - Tide config
+ * @param {number} gameTime - Game time in ms
+ * @returns {object} {level, rising, nextHighIn, nextLowIn, nextTurnIn, halfCycle, turnProgress}
+ *   (times in seconds; turnProgress is 0-1 through the current rise or fall)
+ */
+export function getTideClock(tide, gameTime) {
+  const level = getTideLevel(tide, gameTime);
+  const cycle = getTideCycle(tide);
+  const step = cycle / 360;
+  const stepMs = step * 1000;
+
+  const rising = getTideLevel(tide, gameTime + stepMs) >= level;
+  let nextHighIn = null;
+  let nextLowIn = null;
+  let prev = level;
+  let prevRising = rising;
+
+  for (let i = 1; i <= 360 && (nextHighIn === null || nextLowIn === null); i++) {
+    const next = getTideLevel(tide, gameTime + i * stepMs);
+    const nowRising = next >= prev;
+    if (prevRising && !nowRising && nextHighIn === null) nextHighIn = (i - 1) * step;
+    if (!prevRising && nowRising && nextLowIn === null) nextLowIn = (i - 1) * step;
+    prev = next;
+    prevRising = nowRising;
+  }
+
+  const halfCycle = cycle / 2;
+  const nextTurnIn = (rising ? nextHighIn : nextLowIn) ?? halfCycle;
+
+  return {
+    level,
+    rising,
+    nextHighIn: nextHighIn ?? cycle,
+    nextLowIn: nextLowIn ?? cycle,
+    nextTurnIn,
+    halfCycle,
+    turnProgress: Math.min(1, Math.max(0, 1 - nextTurnIn / halfCycle)),
+  };
+}
+
+/**
+ * Round a sea level to TIDE_RESOLUTION
+ * @param {number} level - Meters
+ * @returns {number} Quantized meters
+ */
+export function quantizeTideLevel(level) {
+  return Math.round(level / TIDE_RESOLUTION) * TIDE_RESOLUTION;
+}
+
+// Last tided copy per seafloor, so the same level returns the same object
+const tidedBathymetry = new WeakMap();
+
+/**
+ * Bathymetry as seen at a sea level
+ * Returns the seafloor itself at mean sea level; otherwise a copy carrying
+ * tideLevel, which getDepth adds to every depth. The copy is reused while the
+ * quantized level stays the same, so reference-keyed caches stay warm.
+ *
+ * @param {object} bathymetry - Seafloor config (analytic or grid)
+ * @param {number} level - Sea level offset in meters
+ * @returns {object} Bathymetry config with tideLevel applied
+ */
+export function applyTide(bathymetry, level) {
+  const tideLevel = quantizeTideLevel(level);
+  if (tideLevel === 0) return bathymetry;
+
+  const cached = tidedBathymetry.get(bathymetry);
+  if (cached && cached.tideLevel === tideLevel) return cached;
+
+  const tided = { ...bathymetry, tideLevel };
+  tidedBathymetry.set(bathymetry, tided);
+  return tided;
+}
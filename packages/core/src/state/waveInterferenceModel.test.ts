@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INTERFERENCE_CONFIG,
+  getInterferenceFactor,
+  updateWaveInterference,
+  mergeNearCoincident,
+} from './waveInterferenceModel.js';
+import { createWave, getWavenumber, OCEAN_LENGTH_METERS, WAVE_TYPE } from './waveModel.js';
+
+const DEPTH = 5;
+const depthFn = () => DEPTH;
+
+// Wavelength in progress at DEPTH for the default period
+const WAVELENGTH = (2 * Math.PI) / getWavenumber(DEPTH) / OCEAN_LENGTH_METERS;
+
+function waveAt(progress, amplitude, id) {
+  const wave = createWave(0, amplitude, WAVE_TYPE.SET, id, { samples: 8 });
+  wave.progressPerX.fill(progress);
+  return wave;
+}
+
+describe('waveInterferenceModel', () => {
+  describe('getInterferenceFactor', () => {
+    it('adds crests in phase and subtracts them out of phase', () => {
+      expect(getInterferenceFactor(0, 0.2, 1)).toBe(1);
+      expect(getInterferenceFactor(0.1, 0.2, 1)).toBeLessThan(0);
+    });
+
+    it('tapers to nothing at the reach', () => {
+      expect(getInterferenceFactor(0.05, 0.2, 0.05)).toBe(0);
+      expect(getInterferenceFactor(0.3, 0.2, 1)).toBe(0);
+    });
+  });
+
+  describe('updateWaveInterference', () => {
+    it('leaves a lone wave at its own amplitude', () => {
+      const wave = waveAt(0.5, 0.4, 'a');
+      updateWaveInterference([wave], depthFn);
+      expect(wave.amplitudePerX).toEqual(new Array(8).fill(0.4));
+    });
+
+    it('stacks coincident crests into a double-up on the bigger wave', () => {
+      const big = waveAt(0.5, 0.5, 'a');
+      const small = waveAt(0.505, 0.3, 'b');
+      updateWaveInterference([big, small], depthFn);
+
+      expect(big.amplitudePerX[0]).toBeGreaterThan(0.75);
+      expect(small.amplitudePerX[0]).toBe(0);
+    });
+
+    it('caps the superposed amplitude', () => {
+      const a = waveAt(0.5, 0.8, 'a');
+      const b = waveAt(0.5, 0.7, 'b');
+      updateWaveInterference([a, b], depthFn);
+      expect(a.amplitudePerX[0]).toBe(INTERFERENCE_CONFIG.maxAmplitude);
+    });
+
+    it('cancels crests half a wavelength apart', () => {
+      const a = waveAt(0.5, 0.5, 'a');
+      const b = waveAt(0.5 + WAVELENGTH / 2, 0.5, 'b');
+      updateWaveInterference([a, b], depthFn);
+
+      expect(a.amplitudePerX[0]).toBeLessThan(0.5);
+      expect(b.amplitudePerX[0]).toBeLessThan(0.5);
+    });
+
+    it('ignores crests beyond the reach', () => {
+      const a = waveAt(0.2, 0.5, 'a');
+      const b = waveAt(0.8, 0.5, 'b');
+      updateWaveInterference([a, b], depthFn);
+      expect(a.amplitudePerX[0]).toBe(0.5);
+    });
+
+    it('leaves a wave sampled at another resolution alone', () => {
+      const a = waveAt(0.5, 0.5, 'a');
+      const b = waveAt(0.5, 0.3, 'b');
+      const coarse = { ...waveAt(0.5, 0.4, 'c'), progressPerX: [0.5, 0.5, 0.5, 0.5] };
+      updateWaveInterference([a, b, coarse], depthFn);
+
+      expect(coarse.amplitudePerX).toEqual([0.4, 0.4, 0.4, 0.4]);
+      expect(a.amplitudePerX.every(Number.isFinite)).toBe(true);
+    });
+
+    it('forms a wedge where crossing crests meet', () => {
+      const a = waveAt(0.5, 0.4, 'a');
+      const b = waveAt(0.5, 0.4, 'b');
+      // b crosses a at an angle: coincident at slice 0, far apart at slice 7
+      b.progressPerX = b.progressPerX.map((_, i) => 0.5 + i * 0.03);
+      updateWaveInterference([a, b], depthFn);
+
+      expect(a.amplitudePerX[0]).toBeGreaterThan(0.75);
+      expect(a.amplitudePerX[7]).toBe(0.4);
+    });
+  });
+
+  describe('mergeNearCoincident', () => {
+    it('merges coincident waves into one double-up', () => {
+      const lead = waveAt(0.51, 0.5, 'a');
+      const follow = waveAt(0.5, 0.3, 'b');
+      const merged = mergeNearCoincident([follow, lead]);
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].id).toBe('a');
+      expect(merged[0].type).toBe(WAVE_TYPE.DOUBLE_UP);
+      expect(merged[0].amplitude).toBeCloseTo(0.8);
+    });
+
+    it('keeps waves apart', () => {
+      const waves = [waveAt(0.5, 0.5, 'a'), waveAt(0.4, 0.3, 'b')];
+      expect(mergeNearCoincident(waves)).toBe(waves);
+    });
+
+    it('keeps crests that cross in an X apart', () => {
+      const a = waveAt(0.5, 0.5, 'a');
+      const b = waveAt(0.5, 0.3, 'b');
+      // Same mean progress, but b runs from behind a to ahead of it across the beach
+      const n = b.progressPerX.length;
+      b.progressPerX = b.progressPerX.map((_, i) => 0.5 + 0.1 * ((i + 0.5) / n - 0.5));
+      const waves = [a, b];
+
+      expect(mergeNearCoincident(waves)).toBe(waves);
+    });
+
+    it('does not merge waves still at the horizon', () => {
+      const waves = [waveAt(0.01, 0.5, 'a'), waveAt(0, 0.3, 'b')];
+      expect(mergeNearCoincident(waves)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+// Wave Interference - superposition of crests that meet
+//
+// Waves travel at period-dependent speeds (waveModel getPeriodSpeedFactor), so a
+// set overtakes the wind swell ahead of it. Where two crests meet their heights
+// add per X slice: crests that coincide stack into a double-up, crests half a
+// wavelength apart partly cancel, and crests crossing at different angles meet
+// only over a few slices - a wedge. Optionally, waves whose crests coincide all
+// along the beach merge into one DOUBLE_UP wave.
+
+import {
+  OCEAN_LENGTH_METERS,
+  WAVE_PERIOD,
+  WAVE_TYPE,
+  getAverageProgress,
+  getWavenumber,
+} from './waveModel.js';
+
+/**
+ * Default interference tuning
+ */
+export const INTERFERENCE_CONFIG = {
+  maxAmplitude: 1, // superposed amplitude ceiling
+  reach: 0.1, // farthest crests still interact (progress, ~60m); less where the wavelength is shorter
+  coincidence: 0.015, // crests closer than this (progress, ~9m) are one crest
+  mergeWindow: 0.02, // largest per-slice crest gap (progress) under which two waves merge into a double-up
+};
+
+/**
+ * Contribution of one crest to another's amplitude
+ * A cosine of the phase between them (1 in phase, -1 half a wavelength apart),
+ * tapered to 0 at the interaction reach.
+ *
+ * @param {number} gap - Distance between the crests (progress)
+ * @param {number} wavelength - Local wavelength (progress)
+ * @param {number} reach - Interaction reach (progress)
+ * @returns {number} Share (-1 to 1) of the other crest's amplitude that adds to this one
+ */
+export function getInterferenceFactor(gap, wavelength, reach) {
+  const range = Math.min(wavelength, reach);
+  if (gap >= range) return 0;
+  const taper = 0.5 * (1 + Math.cos((Math.PI * gap) / range));
+  return Math.cos((2 * Math.PI * gap) / wavelength) * taper;
+}
+
+/**
+ * Superpose the crests of all waves, per X slice
+ * Sets wave.amplitudePerX on every wave. In each slice, a wave's amplitude is its
+ * own plus the in-phase share of every crest within reach (negative when out of
+ * phase). Crests within `coincidence` are a single crest: the biggest carries the
+ * sum and the others drop to 0 there, so the double-up breaks and drains once.
+ * Waves sampled at another resolution than the first keep their own amplitude.
+ *
+ * @param {Array} waves - Active waves
+ * @param {function} getDepthFn - Function(normalizedX, progress) returning depth in meters
+ * @param {object} config - Interference tuning (INTERFERENCE_CONFIG)
+ */
+export function updateWaveInterference(waves, getDepthFn, config = INTERFERENCE_CONFIG) {
+  const { maxAmplitude, reach, coincidence } = config;
+
+  for (const wave of waves) {
+    wave.amplitudePerX = new Array(wave.progressPerX.length).fill(wave.amplitude);
+  }
+  if (waves.length < 2) return;
+
+  const n = waves[0].progressPerX.length;
+  const sampled = waves.filter((wave) => wave.progressPerX.length === n);
+  for (let i = 0; i < n; i++) {
+    const normalizedX = (i + 0.5) / n;
+
+    for (const wave of sampled) {
+      const progress = wave.progressPerX[i];
+      if (progress <= 0 || progress >= 1) continue;
+
+      let wavelength = null;
+      let sum = wave.amplitude;
+      let absorbed = false;
+
+      for (const other of sampled) {
+        if (other === wave) continue;
+        const otherProgress = other.progressPerX[i];
+        if (otherProgress <= 0 || otherProgress >= 1) continue;
+        const gap = Math.abs(progress - otherProgress);
+        if (gap >= reach) continue;
+
+        if (gap < coincidence && isDominated(wave, other)) {
+          absorbed = true;
+          break;
+        }
+
+        // Wavelength (in progress) at this crest, for the pair's mean period
+        if (wavelength === null) {
+          const period = ((wave.period ?? WAVE_PERIOD) + (other.period ?? WAVE_PERIOD)) / 2;
+          const k = getWavenumber(getDepthFn(normalizedX, progress), period);
+          wavelength = (2 * Math.PI) / k / OCEAN_LENGTH_METERS;
+        }
+        sum += other.amplitude * getInterferenceFactor(gap, wavelength, reach);
+      }
+
+      wave.amplitudePerX[i] = absorbed ? 0 : Math.max(0, Math.min(maxAmplitude, sum));
+    }
+  }
+}
+
+// Of two coincident crests the bigger one carries both (the earlier, then lower id, on ties)
+function isDominated(wave, other) {
+  if (other.amplitude !== wave.amplitude) return other.amplitude > wave.amplitude;
+  if (other.spawnTime !== wave.spawnTime) return other.spawnTime < wave.spawnTime;
+  return other.id < wave.id;
+}
+
+// Largest gap between two crests over the beach (progress; held slices sit behind the horizon)
+function getMaxCrestGap(a, b) {
+  let gap = 0;
+  for (let i = 0; i < a.progressPerX.length; i++) {
+    const crestA = a.progressPerX[i] - (a.holdPerX?.[i] ?? 0);
+    const crestB = b.progressPerX[i] - (b.holdPerX?.[i] ?? 0);
+    gap = Math.max(gap, Math.abs(crestA - crestB));
+  }
+  return gap;
+}
+
+/**
+ * Merge waves whose crests coincide along the whole beach into double-ups
+ * Every slice must be within mergeWindow of the other crest: crests that cross
+ * at an angle meet only over a few slices and stay apart (a wedge).
+ * The leading wave survives with the summed amplitude (capped) and DOUBLE_UP
+ * type; the waves merged into it are dropped.
+ *
+ * @param {Array} waves - Active waves
+ * @param {object} config - Interference tuning (INTERFERENCE_CONFIG)
+ * @returns {Array} Waves after merging (the same array when nothing merged)
+ */
+export function mergeNearCoincident(waves, config = INTERFERENCE_CONFIG) {
+  const { maxAmplitude, mergeWindow } = config;
+  const byProgress = waves
+    .map((wave) => ({ wave, progress: getAverageProgress(wave) }))
+    .sort((a, b) => b.progress - a.progress);
+
+  const merged = new Map();
+  let leader = null;
+  for (const entry of byProgress) {
+    if (
+      leader &&
+      entry.progress > 0 &&
+      entry.wave.progressPerX.length === leader.wave.progressPerX.length &&
+      getMaxCrestGap(leader.wave, entry.wave) < mergeWindow
+    ) {
+      const into = merged.get(leader.wave.id) ?? leader.wave;
+      merged.set(leader.wave.id, {
+        ...into,
+        type: WAVE_TYPE.DOUBLE_UP,
+        amplitude: Math.min(maxAmplitude, into.amplitude + entry.wave.amplitude),
+      });
+      merged.set(entry.wave.id, null);
+      continue;
+    }
+    leader = entry;
+  }
+
+  if (merged.size === 0) return waves;
+  return waves
+    .map((wave) => (merged.has(wave.id) ? merged.get(wave.id) : wave))
+    .filter((wave) => wave !== null);
+}
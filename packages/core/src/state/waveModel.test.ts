@@ -16,7 +16,24 @@ import {
   WAVE_X_SAMPLES,
   REFRACTION_STRENGTH,
   LATERAL_DIFFUSION,
+  sampleWaveAngle,
+  getStaggeredHold,
+  MAX_WAVE_ANGLE,
+  BREAKER_INDEX,
+  BREAKER_TYPE,
+  getWavenumber,
+  getShoalingCoefficient,
+  getLocalWaveHeight,
+  getBottomSlope,
+  getIribarrenNumber,
+  classifyBreaker,
+  updateWaveShoaling,
+  getPeriodSpeedFactor,
+  getAmplitudeAtX,
+  isSetWave,
+  WAVE_PERIOD,
 } from './waveModel.js';
+import { DEFAULT_PHYSICS_CONFIG } from './physicsConfig.js';
 
 // Helper to calculate variance of an array
 function calculateVariance(arr) {
@@ -99,6 +116,23 @@ describe('waveModel', () => {
       // 2000ms elapsed, 4000ms duration = 50% progress
       expect(getWaveProgress(wave, 2000, 4000)).toBeCloseTo(0.5);
     });
+
+    it('longer-period waves travel faster and overtake shorter ones', () => {
+      const windSwell = createWave(0, 0.3, WAVE_TYPE.BACKGROUND, null, { period: 7 });
+      const set = createWave(1000, 0.8, WAVE_TYPE.SET, null, { period: 14 });
+
+      expect(getPeriodSpeedFactor(WAVE_PERIOD)).toBe(1);
+      expect(set.speedFactor).toBeGreaterThan(1);
+      expect(windSwell.speedFactor).toBeLessThan(1);
+
+      // The set starts a second behind and is ahead by the time both near shore
+      expect(getWaveProgress(set, 2000, 10000)).toBeLessThan(
+        getWaveProgress(windSwell, 2000, 10000)
+      );
+      expect(getWaveProgress(set, 8000, 10000)).toBeGreaterThan(
+        getWaveProgress(windSwell, 8000, 10000)
+      );
+    });
   });
 
   describe('isWaveComplete', () => {
@@ -207,9 +241,9 @@ describe('waveModel', () => {
     });
 
     describe('Wave Breaking (Depth-Based)', () => {
-      it('wave starts with lastFoamY = -1', () => {
+      it('wave starts with no foam rows deposited', () => {
         const wave = createWave(1000, 0.8);
-        expect(wave.lastFoamY).toBe(-1);
+        expect(wave.lastFoamYPerX).toBeNull();
       });
 
       it('amplitudeToHeight maps amplitude to wave height', () => {
@@ -256,6 +290,80 @@ describe('waveModel', () => {
       });
     });
 
+    describe('Shoaling', () => {
+      it('solves the dispersion relation in deep and shallow water', () => {
+        const omega = (2 * Math.PI) / 10;
+        // Deep: k = ω²/g; shallow: k = ω / sqrt(g d)
+        expect(getWavenumber(500, 10)).toBeCloseTo((omega * omega) / 9.8, 4);
+        expect(getWavenumber(0.5, 10)).toBeCloseTo(omega / Math.sqrt(9.8 * 0.5), 2);
+        // Within 2% of ω² = g k tanh(k d) at intermediate depth
+        const k = getWavenumber(12, 10);
+        expect(Math.abs((9.8 * k * Math.tanh(k * 12)) / (omega * omega) - 1)).toBeLessThan(0.02);
+      });
+
+      it('grows waves as they shoal, following Greens law in shallow water', () => {
+        // Slight dip at intermediate depth, then growth toward shore
+        expect(getShoalingCoefficient(1000)).toBeCloseTo(1, 3);
+        expect(getShoalingCoefficient(20)).toBeLessThan(1);
+        expect(getShoalingCoefficient(2)).toBeGreaterThan(getShoalingCoefficient(5));
+        expect(getShoalingCoefficient(0.5) / getShoalingCoefficient(2)).toBeCloseTo(
+          Math.pow(4, 0.25),
+          1
+        );
+      });
+
+      it('breaks on the shoaled height, not the deep water height', () => {
+        const wave = createWave(1000, 0.3); // 1.25m in deep water
+        const depth = 2; // 1.25m < 0.78 * 2m, but shoaled it is ~1.7m
+        expect(amplitudeToHeight(wave.amplitude)).toBeLessThan(BREAKER_INDEX * depth);
+        expect(getLocalWaveHeight(wave, depth)).toBeGreaterThan(BREAKER_INDEX * depth);
+        expect(isWaveBreaking(wave, depth)).toBe(true);
+      });
+    });
+
+    describe('Breaker Types', () => {
+      it('measures the bottom slope toward shore', () => {
+        const ramp = (_x, progress) => 30 - 30 * progress; // 30m over 600m
+        expect(getBottomSlope(ramp, 0.5, 0.5)).toBeCloseTo(0.05);
+        expect(getBottomSlope(ramp, 0.5, 0.5, 300)).toBeCloseTo(0.1);
+        expect(getBottomSlope(() => 5, 0.5, 0.5)).toBe(0);
+      });
+
+      it('classifies breaks by Iribarren number', () => {
+        // 2m break, 10s period: sqrt(H / L0) ≈ 0.113
+        expect(getIribarrenNumber(0.1, 2)).toBeCloseTo(0.885, 2);
+        expect(classifyBreaker(0.02, 2)).toBe(BREAKER_TYPE.SPILLING);
+        expect(classifyBreaker(0.1, 2)).toBe(BREAKER_TYPE.PLUNGING);
+        expect(classifyBreaker(0.4, 2)).toBe(BREAKER_TYPE.SURGING);
+        // Breaking where the floor drops away spills
+        expect(classifyBreaker(-0.1, 2)).toBe(BREAKER_TYPE.SPILLING);
+        // Bigger waves spill on slopes where smaller ones plunge
+        expect(classifyBreaker(0.05, 0.8)).toBe(BREAKER_TYPE.PLUNGING);
+        expect(classifyBreaker(0.05, 3)).toBe(BREAKER_TYPE.SPILLING);
+      });
+
+      it('sets local height and breaker type per slice', () => {
+        const wave = createWave(0, 0.8, WAVE_TYPE.SET, null, { samples: 4 });
+        wave.progressPerX = [0.1, 0.9, 0.9, 0.9];
+        // 3m deep at progress 0.9, on a gentle, a moderate and a steep slope
+        const slopes = [0, 10, 80, 200];
+        const depthFn = (x, progress) => {
+          const slice = Math.floor(x * 4);
+          return slice === 0 ? 30 - 29 * progress : 3 + slopes[slice] * (0.9 - progress);
+        };
+        updateWaveShoaling(wave, depthFn);
+
+        expect(wave.heightPerX).toHaveLength(4);
+        expect(wave.heightPerX[1]).toBeGreaterThan(wave.heightPerX[0]);
+        expect(wave.breakerPerX).toEqual([
+          null, // deep water
+          BREAKER_TYPE.SPILLING,
+          BREAKER_TYPE.PLUNGING,
+          BREAKER_TYPE.SURGING,
+        ]);
+      });
+    });
+
     describe('Energy-aware Wave Breaking (Plan 141)', () => {
       it('MIN_ENERGY_FOR_BREAKING is defined', () => {
         expect(MIN_ENERGY_FOR_BREAKING).toBeDefined();
@@ -361,6 +469,114 @@ describe('waveModel', () => {
         const wave = createWave(1000, 0.8);
         expect(wave.lastUpdateTime).toBe(1000);
       });
+
+      it('starts an angled wave at the horizon and holds back the far end', () => {
+        const wave = createWave(1000, 0.8, WAVE_TYPE.SET, null, { angle: 10 });
+
+        expect(wave.angle).toBe(10);
+        expect(wave.progressPerX.every((p) => p === 0)).toBe(true);
+        expect(wave.holdPerX).toEqual(getStaggeredHold(10));
+        expect(wave.holdSpan).toBe(Math.max(...wave.holdPerX));
+      });
+
+      it('does not hold shore-normal waves', () => {
+        const wave = createWave(1000, 0.8);
+
+        expect(wave.holdPerX).toBeNull();
+        expect(wave.holdSpan).toBe(0);
+      });
+    });
+
+    describe('directional swell', () => {
+      it('holds nothing back for shore-normal waves', () => {
+        expect(getStaggeredHold(0).every((h) => h === 0)).toBe(true);
+      });
+
+      it('leads with the left end for positive angles', () => {
+        const hold = getStaggeredHold(15, 1.6);
+
+        expect(hold[0]).toBeLessThan(0.01);
+        expect(hold[WAVE_X_SAMPLES - 1]).toBeGreaterThan(0);
+        for (let i = 1; i < hold.length; i++) {
+          expect(hold[i]).toBeGreaterThan(hold[i - 1]);
+        }
+      });
+
+      it('leads with the right end for negative angles', () => {
+        const hold = getStaggeredHold(-15, 1.6);
+
+        expect(hold[WAVE_X_SAMPLES - 1]).toBeLessThan(0.01);
+        expect(hold[0]).toBeGreaterThan(0);
+        // Mirror image of the positive angle
+        const mirrored = [...getStaggeredHold(15, 1.6)].reverse();
+        hold.forEach((h, i) => expect(h).toBeCloseTo(mirrored[i], 10));
+      });
+
+      it('tilts the crest by tan(angle) times the aspect ratio', () => {
+        const hold = getStaggeredHold(20, 1.5, 2);
+        const dx = 0.5; // sample centres at 0.25 and 0.75
+
+        expect(hold[1] - hold[0]).toBeCloseTo(Math.tan((20 * Math.PI) / 180) * 1.5 * dx, 6);
+      });
+
+      it('keeps the steepest crest inside the ocean at spawn', () => {
+        const wave = createWave(0, 0.8, WAVE_TYPE.SET, null, { angle: -MAX_WAVE_ANGLE });
+
+        expect(Math.max(...wave.progressPerX)).toBe(0);
+        expect(wave.holdSpan).toBeGreaterThan(1);
+      });
+
+      it('releases held slices once they have covered their hold', () => {
+        const wave = createWave(0, 0.8, WAVE_TYPE.SET, null, { angle: 20, aspectRatio: 1.5 });
+        const deep = () => 30;
+        // Interior slices near each end (the edges also reform toward their neighbour)
+        const lead = 5;
+        const trail = WAVE_X_SAMPLES - 6;
+        const trailHold = wave.holdPerX[trail];
+
+        // 10% of the way: slices held back by more than 0.1 are still out to sea
+        updateWaveRefraction(wave, 1000, 10000, deep, 30);
+
+        expect(wave.progressPerX[lead]).toBeCloseTo(0.1 - getStaggeredHold(20, 1.5)[lead], 6);
+        expect(wave.holdPerX[trail]).toBeCloseTo(trailHold - 0.1, 6);
+        expect(wave.progressPerX[trail]).toBe(0);
+
+        // Later every slice up to here has crossed, trailing by its initial hold
+        updateWaveRefraction(wave, 1000 + trailHold * 10000, 10000, deep, 30);
+
+        expect(wave.holdPerX[trail]).toBe(0);
+        expect(wave.progressPerX[trail]).toBeCloseTo(0.1, 6);
+        expect(wave.progressPerX[lead]).toBeGreaterThan(wave.progressPerX[trail]);
+      });
+
+      it('stays alive until the held-back end has crossed too', () => {
+        const wave = createWave(0, 0.8, WAVE_TYPE.SET, null, { angle: 20 });
+
+        expect(isWaveComplete(wave, 10000, 10000)).toBe(false);
+        expect(isWaveComplete(wave, 10000 * (1 + wave.holdSpan), 10000)).toBe(true);
+      });
+
+      it('samples angles within the spread around the direction', () => {
+        expect(sampleWaveAngle(10, 5, () => 0)).toBe(5);
+        expect(sampleWaveAngle(10, 5, () => 0.5)).toBe(10);
+        expect(sampleWaveAngle(10, 5, () => 1)).toBe(15);
+      });
+
+      it('does not draw a random number without spread', () => {
+        let calls = 0;
+        const angle = sampleWaveAngle(-8, 0, () => {
+          calls++;
+          return 0.9;
+        });
+
+        expect(angle).toBe(-8);
+        expect(calls).toBe(0);
+      });
+
+      it('clamps to the maximum angle', () => {
+        expect(sampleWaveAngle(80, 0)).toBe(MAX_WAVE_ANGLE);
+        expect(sampleWaveAngle(-80, 0)).toBe(-MAX_WAVE_ANGLE);
+      });
     });
 
     describe('updateWaveRefraction', () => {
@@ -393,6 +609,31 @@ describe('waveModel', () => {
         expect(leftProgress).toBeLessThan(rightProgress);
       });
 
+      it('bends by the physics config refraction strength', () => {
+        const varyingDepth = (x) => (x < 0.5 ? 2 : 30);
+        const bend = (physics) => {
+          const wave = createWave(0, 0.8);
+          updateWaveRefraction(wave, 2000, 10000, varyingDepth, 30, physics);
+          return getProgressAtX(wave, 0.75) - getProgressAtX(wave, 0.25);
+        };
+        const still = { ...DEFAULT_PHYSICS_CONFIG, lateralDiffusion: 0 };
+
+        expect(bend({ ...still, refractionStrength: 0 })).toBeCloseTo(0, 10);
+        expect(bend({ ...still, refractionStrength: 1 })).toBeGreaterThan(bend(still));
+      });
+
+      it("moves each slice at the field's speed when given one", () => {
+        const wave = createWave(0, 0.8);
+        // Half speed on the left, full on the right; no per-wave strength or reform
+        const fieldSpeed = (x) => (x < 0.5 ? 0.5 : 1);
+
+        updateWaveRefraction(wave, 1000, 10000, () => 2, 30, DEFAULT_PHYSICS_CONFIG, fieldSpeed);
+
+        expect(getProgressAtX(wave, 0.05)).toBeCloseTo(0.05, 10);
+        expect(getProgressAtX(wave, 0.45)).toBeCloseTo(0.05, 10);
+        expect(getProgressAtX(wave, 0.55)).toBeCloseTo(0.1, 10);
+      });
+
       it('creates bent wave line from bathymetry', () => {
         const wave = createWave(0, 0.8);
         // Sandbar in middle (shallow at x=0.5)
@@ -584,5 +825,43 @@ describe('waveModel', () => {
         expect(getProgressAtX(wave, 0.5)).toBe(0);
       });
     });
+
+    describe('getAmplitudeAtX', () => {
+      it('returns the superposed amplitude of the slice', () => {
+        const wave = createWave(1000, 0.4);
+        wave.amplitudePerX = new Array(WAVE_X_SAMPLES).fill(0.4);
+        wave.amplitudePerX[WAVE_X_SAMPLES - 1] = 0.9;
+
+        expect(getAmplitudeAtX(wave, 0)).toBe(0.4);
+        expect(getAmplitudeAtX(wave, 0.99)).toBe(0.9);
+      });
+
+      it('falls back to the wave amplitude without interference', () => {
+        expect(getAmplitudeAtX(createWave(1000, 0.4), 0.5)).toBe(0.4);
+      });
+    });
+  });
+
+  describe('Double-ups', () => {
+    it('count as set waves', () => {
+      expect(isSetWave(createWave(0, 0.8, WAVE_TYPE.DOUBLE_UP))).toBe(true);
+      expect(isSetWave(createWave(0, 0.8, WAVE_TYPE.SET))).toBe(true);
+      expect(isSetWave(createWave(0, 0.2, WAVE_TYPE.BACKGROUND))).toBe(false);
+    });
+
+    it('break by the superposed amplitude of each slice', () => {
+      const wave = createWave(0, 0.3);
+      wave.progressPerX.fill(0.5);
+      wave.amplitudePerX = new Array(WAVE_X_SAMPLES).fill(0.3);
+      wave.amplitudePerX[0] = 0.9; // stacked with another crest
+      wave.amplitudePerX[1] = 0; // absorbed into another crest
+
+      updateWaveShoaling(wave, () => 2.5);
+
+      expect(wave.breakerPerX[0]).not.toBeNull();
+      expect(wave.breakerPerX[1]).toBeNull();
+      expect(wave.breakerPerX[2]).toBeNull();
+      expect(wave.heightPerX[0]).toBeGreaterThan(wave.heightPerX[2]);
+    });
   });
 });
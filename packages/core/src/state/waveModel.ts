@@ -1,40 +1,155 @@
 // Wave Model - Time-based wave position calculation
-// Base progress derived from time, per-X progress stored for refraction
+// Base progress derived from time, per-X progress stored for refraction.
+// Local height comes from shoaling (energy flux over linear wave theory) and each
+// breaking slice is classified by surf similarity (Iribarren number).
+// Each wave has a period: longer-period swell travels faster in deep water, so
+// sets overtake wind swell (see waveInterferenceModel.ts for what happens then).
+
+import { DEFAULT_PHYSICS_CONFIG } from './physicsConfig.js';
 
 let nextWaveId = 1;
 
 // Number of X samples for per-X progress tracking
 export const WAVE_X_SAMPLES = 40;
 
+// Ocean width / height for the default 800x600 viewport (500px of ocean above the shore)
+export const DEFAULT_OCEAN_ASPECT = 800 / 500;
+
+// Steepest swell angle a wave can arrive at (degrees from shore-normal)
+export const MAX_WAVE_ANGLE = 45;
+
 /**
  * Wave types
  */
 export const WAVE_TYPE = {
   BACKGROUND: 'background',
   SET: 'set',
+  // Two waves whose crests coincided, merged into one (waveInterferenceModel)
+  DOUBLE_UP: 'doubleUp',
 };
 
+/**
+ * Whether a wave is drawn and counted as a set wave (double-ups included)
+ * @param {object} wave - Wave object
+ * @returns {boolean}
+ */
+export function isSetWave(wave) {
+  return wave.type === WAVE_TYPE.SET || wave.type === WAVE_TYPE.DOUBLE_UP;
+}
+
+// How much a wave's period changes its speed: 0 = every wave moves at swellSpeed,
+// 1 = deep water physics (c = gT / 2π, so a 14s set outruns 7s wind swell 2:1)
+export const PERIOD_SPEED_STRENGTH = 0.5;
+
+/**
+ * Speed of a wave relative to swellSpeed (which a WAVE_PERIOD wave travels at)
+ * @param {number} period - Wave period (seconds)
+ * @returns {number} Speed factor (1 at WAVE_PERIOD)
+ */
+export function getPeriodSpeedFactor(period) {
+  return 1 + PERIOD_SPEED_STRENGTH * (period / WAVE_PERIOD - 1);
+}
+
+/**
+ * Pick a wave's arrival angle from its swell's direction and spread
+ * Shore-normal swells (spread 0) don't consume a random number, so seeded runs
+ * without directional swell keep their sequence.
+ *
+ * @param {number} direction - Mean swell direction in degrees (0 = shore-normal, + = toward +x)
+ * @param {number} spread - Half-width of the directional spread in degrees
+ * @param {function} randomFn - Random function returning 0-1
+ * @returns {number} Angle in degrees, clamped to ±MAX_WAVE_ANGLE
+ */
+export function sampleWaveAngle(direction = 0, spread = 0, randomFn = Math.random) {
+  const angle = spread > 0 ? direction + spread * (2 * randomFn() - 1) : direction;
+  return Math.max(-MAX_WAVE_ANGLE, Math.min(MAX_WAVE_ANGLE, angle));
+}
+
+/**
+ * Initial per-X hold for a wave arriving at an angle
+ * The crest is a straight line tilted by the angle. Its leading end (the side the
+ * swell travels away from) reaches the horizon at spawn; every other slice is
+ * still out to sea, held back by the deep-water distance (in progress) it covers
+ * before it crosses the horizon. Positive angles travel toward +x, so the left
+ * end leads.
+ *
+ * @param {number} angle - Arrival angle in degrees (0 = shore-normal)
+ * @param {number} aspectRatio - Ocean width / ocean height
+ * @param {number} samples - Number of X samples
+ * @returns {number[]} Hold (progress, 0 or more) per X sample
+ */
+export function getStaggeredHold(
+  angle = 0,
+  aspectRatio = DEFAULT_OCEAN_ASPECT,
+  samples = WAVE_X_SAMPLES
+) {
+  const slope = Math.abs(Math.tan((angle * Math.PI) / 180) * aspectRatio);
+  const leadingX = angle > 0 ? 0 : 1;
+  const holdPerX = new Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const normalizedX = (i + 0.5) / samples;
+    holdPerX[i] = slope * Math.abs(normalizedX - leadingX);
+  }
+  return holdPerX;
+}
+
 /**
  * Create a new wave object
  * @param {number} spawnTime - Time when wave was spawned (ms since game start)
  * @param {number} amplitude - Wave amplitude (0-1)
  * @param {string} type - Wave type: 'background' or 'set' (defaults to 'set')
+ * @param {string} id - Explicit wave ID (the event store passes one from world state
+ *   so replays are deterministic; defaults to the module counter)
+ * @param {object} options - Direction options
+ * @param {number} options.angle - Arrival angle in degrees (default 0, shore-normal)
+ * @param {number} options.aspectRatio - Ocean width / height, sets how far the crest staggers
+ * @param {number} options.samples - Refraction samples across the ocean (the world's grid resolution)
+ * @param {number} options.period - Wave period in seconds (default WAVE_PERIOD), sets its speed
  * @returns {object} Immutable wave object
  */
-export function createWave(spawnTime, amplitude, type = WAVE_TYPE.SET) {
-  // Initialize per-X progress array - all start at 0 (horizon)
-  const progressPerX = new Array(WAVE_X_SAMPLES).fill(0);
+export function createWave(
+  spawnTime,
+  amplitude,
+  type = WAVE_TYPE.SET,
+  id = null,
+  options: Record<string, any> = {}
+) {
+  const {
+    angle = 0,
+    aspectRatio = DEFAULT_OCEAN_ASPECT,
+    samples = WAVE_X_SAMPLES,
+    period = WAVE_PERIOD,
+  } = options;
+
+  // Per-X progress starts at the horizon; angled crests hold back the slices still out to sea
+  const progressPerX = new Array(samples).fill(0);
+  const holdPerX = angle === 0 ? null : getStaggeredHold(angle, aspectRatio, samples);
 
   return {
-    id: `wave-${nextWaveId++}`,
+    id: id ?? `wave-${nextWaveId++}`,
     spawnTime,
     amplitude,
     type,
-    // Track the last Y position where we deposited foam, to avoid duplicates
-    lastFoamY: -1,
+    // Arrival angle in degrees from shore-normal (+ = travelling toward +x)
+    angle,
+    // Period in seconds and the speed it gives relative to swellSpeed
+    period,
+    speedFactor: getPeriodSpeedFactor(period),
+    // Per-column Y of the last foam row deposited (-1 = none yet), to avoid duplicates;
+    // each slice breaks where its own crest is. Sized by the foam pass that uses it
+    lastFoamYPerX: null,
     // Per-X progress for wave refraction (bending based on bathymetry)
     // Each element is progress (0-1) at that X position
     progressPerX,
+    // Per-X deep-water distance (progress) a slice still travels before it crosses
+    // the horizon; null for shore-normal waves. holdSpan is the largest at spawn
+    holdPerX,
+    holdSpan: holdPerX ? Math.max(...holdPerX) : 0,
+    // Per-X amplitude after superposition with nearby crests (waveInterferenceModel)
+    amplitudePerX: null,
+    // Per-X local height and breaker type, set by updateWaveShoaling
+    heightPerX: null,
+    breakerPerX: null,
     // Track last update time for incremental updates
     lastUpdateTime: spawnTime,
   };
@@ -49,25 +164,27 @@ export function resetWaveIdCounter() {
 
 /**
  * Calculate wave progress from horizon (0) to shore (1)
- * @param {object} wave - Wave object with spawnTime
+ * @param {object} wave - Wave object with spawnTime (and speedFactor)
  * @param {number} currentTime - Current game time in ms
- * @param {number} travelDuration - Time for wave to travel from horizon to shore in ms
+ * @param {number} travelDuration - Time for a WAVE_PERIOD wave to travel from horizon to shore in ms
  * @returns {number} Progress from 0 (horizon) to 1 (shore), clamped
  */
 export function getWaveProgress(wave, currentTime, travelDuration) {
-  const elapsed = currentTime - wave.spawnTime;
+  const elapsed = (currentTime - wave.spawnTime) * (wave.speedFactor ?? 1);
   return Math.min(1, Math.max(0, elapsed / travelDuration));
 }
 
 /**
  * Check if wave has completed its journey (past shore)
+ * Angled crests last until their most held-back slice has crossed too.
  * @param {object} wave - Wave object
  * @param {number} currentTime - Current game time in ms
  * @param {number} travelDuration - Time for wave to travel from horizon to shore in ms
  * @returns {boolean} True if wave is past shore
  */
 export function isWaveComplete(wave, currentTime, travelDuration) {
-  return getWaveProgress(wave, currentTime, travelDuration) >= 1;
+  const elapsed = (currentTime - wave.spawnTime) * (wave.speedFactor ?? 1);
+  return elapsed >= travelDuration * (1 + (wave.holdSpan ?? 0));
 }
 
 /**
@@ -82,7 +199,7 @@ export function getActiveWaves(waves, currentTime, travelDuration) {
 }
 
 /**
- * Convert wave amplitude to physical wave height in meters
+ * Convert wave amplitude to physical (deep water) wave height in meters
  * @param {number} amplitude - Wave amplitude (0-1)
  * @returns {number} Wave height in meters
  */
@@ -93,9 +210,85 @@ export function amplitudeToHeight(amplitude) {
   return minHeight + (maxHeight - minHeight) * amplitude;
 }
 
+const GRAVITY = 9.8; // m/s²
+
+// Swell period (seconds) waves shoal and break with; a typical groundswell
+export const WAVE_PERIOD = 10;
+
+// Shallowest depth shoaling is evaluated at (Green's law diverges at d = 0)
+const MIN_SHOALING_DEPTH = 0.1;
+
+// McCowan breaker index: a wave breaks when its local height exceeds 0.78 * depth
+export const BREAKER_INDEX = 0.78;
+
+// Horizon-to-shore distance in meters, for bottom slopes (30m deep over 600m is 1:20)
+export const OCEAN_LENGTH_METERS = 600;
+
+/**
+ * Breaker types, by surf similarity at the break point
+ */
+export const BREAKER_TYPE = {
+  SPILLING: 'spilling',
+  PLUNGING: 'plunging',
+  SURGING: 'surging',
+};
+
+// Iribarren number limits at breaking (Battjes 1974): spilling < 0.4 < plunging < 2 < surging
+export const IRIBARREN_PLUNGING = 0.4;
+export const IRIBARREN_SURGING = 2;
+
+/**
+ * Wavenumber from the linear dispersion relation ω² = g k tanh(k d)
+ * Uses Guo's (2002) explicit approximation (within 0.75% at all depths).
+ *
+ * @param {number} depth - Water depth (meters)
+ * @param {number} period - Wave period (seconds)
+ * @returns {number} Wavenumber k (radians per meter)
+ */
+export function getWavenumber(depth, period = WAVE_PERIOD) {
+  const omega = (2 * Math.PI) / period;
+  const d = Math.max(MIN_SHOALING_DEPTH, depth);
+  const x = omega * Math.sqrt(d / GRAVITY);
+  const kd = x * x * Math.pow(1 - Math.exp(-Math.pow(x, 2.5)), -0.4);
+  return kd / d;
+}
+
+/**
+ * Shoaling coefficient Ks = H / H0 from conservation of energy flux
+ * Energy travels at the group velocity, so H grows as sqrt(cg0 / cg). In shallow
+ * water this is Green's law (H ~ d^-1/4); at intermediate depths Ks dips just
+ * below 1 before rising.
+ *
+ * @param {number} depth - Water depth (meters)
+ * @param {number} period - Wave period (seconds)
+ * @returns {number} Local height over deep water height
+ */
+export function getShoalingCoefficient(depth, period = WAVE_PERIOD) {
+  const omega = (2 * Math.PI) / period;
+  const k = getWavenumber(depth, period);
+  const kd2 = 2 * k * Math.max(MIN_SHOALING_DEPTH, depth);
+  // sinh overflows to Infinity in deep water, where n -> 1/2
+  const n = 0.5 * (1 + kd2 / Math.sinh(kd2));
+  const groupSpeed = (n * omega) / k;
+  const deepGroupSpeed = GRAVITY / (2 * omega);
+  return Math.sqrt(deepGroupSpeed / groupSpeed);
+}
+
+/**
+ * Local (shoaled) wave height
+ * @param {object} wave - Wave object (or a slice of one: {amplitude, period})
+ * @param {number} depth - Water depth at this position (meters)
+ * @returns {number} Wave height in meters
+ */
+export function getLocalWaveHeight(wave, depth) {
+  return (
+    amplitudeToHeight(wave.amplitude) * getShoalingCoefficient(depth, wave.period ?? WAVE_PERIOD)
+  );
+}
+
 /**
  * Check if wave is currently breaking at a given depth
- * Uses the 0.78 breaker index rule: wave breaks when H > 0.78 * d
+ * Uses the 0.78 breaker index rule on the shoaled height: H > 0.78 * d
  *
  * No state tracking - just checks current conditions.
  * Wave breaks whenever it's over shallow enough water.
@@ -106,17 +299,107 @@ export function amplitudeToHeight(amplitude) {
  * @returns {boolean} True if wave is breaking at this depth
  */
 export function isWaveBreaking(wave, depth) {
-  // Get physical wave height
-  const waveHeight = amplitudeToHeight(wave.amplitude);
+  return getLocalWaveHeight(wave, depth) > BREAKER_INDEX * depth;
+}
 
-  // Apply breaker index rule: H > 0.78 * d
-  const breakerIndex = 0.78;
-  return waveHeight > breakerIndex * depth;
+/**
+ * Bottom slope (rise toward shore per meter travelled) at a point
+ * @param {function} getDepthFn - Function(normalizedX, progress) returning depth in meters
+ * @param {number} normalizedX - X position (0-1)
+ * @param {number} progress - Progress toward shore (0-1)
+ * @param {number} oceanLength - Horizon-to-shore distance (meters)
+ * @returns {number} tan of the slope angle; negative where the floor drops away
+ */
+export function getBottomSlope(
+  getDepthFn,
+  normalizedX,
+  progress,
+  oceanLength = OCEAN_LENGTH_METERS
+) {
+  const step = 0.01;
+  const before = Math.max(0, progress - step);
+  const after = Math.min(1, progress + step);
+  const drop = getDepthFn(normalizedX, before) - getDepthFn(normalizedX, after);
+  return drop / ((after - before) * oceanLength);
+}
+
+/**
+ * Surf similarity (Iribarren) number at the break point: ξ = tan β / sqrt(Hb / L0)
+ * @param {number} slope - Bottom slope (tan β)
+ * @param {number} height - Breaking wave height (meters)
+ * @param {number} period - Wave period (seconds)
+ * @returns {number} Iribarren number
+ */
+export function getIribarrenNumber(slope, height, period = WAVE_PERIOD) {
+  const deepWavelength = (GRAVITY * period * period) / (2 * Math.PI);
+  return slope / Math.sqrt(height / deepWavelength);
+}
+
+/**
+ * Classify a break by its Iribarren number
+ * Gentle slopes spill, moderate ones plunge (barrels), steep ones surge.
+ * Breaking over a floor that drops away counts as spilling.
+ *
+ * @param {number} slope - Bottom slope (tan β)
+ * @param {number} height - Breaking wave height (meters)
+ * @param {number} period - Wave period (seconds)
+ * @returns {string} BREAKER_TYPE value
+ */
+export function classifyBreaker(slope, height, period = WAVE_PERIOD) {
+  const iribarren = getIribarrenNumber(Math.max(0, slope), height, period);
+  if (iribarren >= IRIBARREN_SURGING) return BREAKER_TYPE.SURGING;
+  if (iribarren >= IRIBARREN_PLUNGING) return BREAKER_TYPE.PLUNGING;
+  return BREAKER_TYPE.SPILLING;
 }
 
-// Minimum energy threshold for wave breaking
+/**
+ * Share of each break type's energy released (of physics.breakingDrain) per foam
+ * row, and share of the released energy that turns into foam. Spilling bleeds
+ * energy over many rows (a wide whitewater band), plunging dumps it at the impact,
+ * surging reflects most of it as backwash instead of foam.
+ */
+export const BREAKER_FOAM = {
+  [BREAKER_TYPE.SPILLING]: { drainShare: 0.02, foamShare: 1 },
+  [BREAKER_TYPE.PLUNGING]: { drainShare: 1, foamShare: 1 },
+  [BREAKER_TYPE.SURGING]: { drainShare: 1, foamShare: 0.3 },
+};
+
+/**
+ * Update a wave's local height and breaker type per X slice
+ * Sets wave.heightPerX (meters) and wave.breakerPerX (BREAKER_TYPE, or null where
+ * the slice is not breaking) at each slice's current progressPerX, from the
+ * slice's superposed amplitude (wave.amplitudePerX) where interference set one.
+ *
+ * @param {object} wave - Wave object with progressPerX
+ * @param {function} getDepthFn - Function(normalizedX, progress) returning depth in meters
+ */
+export function updateWaveShoaling(wave, getDepthFn) {
+  const n = wave.progressPerX.length;
+  const heightPerX = new Array(n);
+  const breakerPerX = new Array(n);
+  const period = wave.period ?? WAVE_PERIOD;
+
+  for (let i = 0; i < n; i++) {
+    const normalizedX = (i + 0.5) / n;
+    const progress = wave.progressPerX[i];
+    const depth = getDepthFn(normalizedX, progress);
+    const amplitude = wave.amplitudePerX?.[i] ?? wave.amplitude;
+    // A slice with no amplitude left (absorbed or cancelled) has no crest to break
+    const height = amplitude > 0 ? getLocalWaveHeight({ amplitude, period }, depth) : 0;
+    heightPerX[i] = height;
+    breakerPerX[i] =
+      amplitude > 0 && height > BREAKER_INDEX * depth
+        ? classifyBreaker(getBottomSlope(getDepthFn, normalizedX, progress), height, period)
+        : null;
+  }
+
+  wave.heightPerX = heightPerX;
+  wave.breakerPerX = breakerPerX;
+}
+
+// Minimum energy threshold for wave breaking (default; world.physics.minEnergyForBreaking)
 // Waves need sufficient energy to break; areas where energy was drained won't break again
-export const MIN_ENERGY_FOR_BREAKING = 0.1;
+export const MIN_ENERGY_FOR_BREAKING = DEFAULT_PHYSICS_CONFIG.minEnergyForBreaking;
 
 /**
  * Check if wave is currently breaking, accounting for energy field
@@ -125,11 +408,17 @@ export const MIN_ENERGY_FOR_BREAKING = 0.1;
  * @param {object} wave - Wave object
  * @param {number} depth - Water depth at this position (meters)
  * @param {number} energyAtPoint - Energy level at this position (0-1+)
+ * @param {number} minEnergy - Energy needed to break (physics.minEnergyForBreaking)
  * @returns {boolean} True if wave has enough energy and is in shallow enough water to break
  */
-export function isWaveBreakingWithEnergy(wave, depth, energyAtPoint) {
+export function isWaveBreakingWithEnergy(
+  wave,
+  depth,
+  energyAtPoint,
+  minEnergy = MIN_ENERGY_FOR_BREAKING
+) {
   // Must have sufficient energy
-  if (energyAtPoint < MIN_ENERGY_FOR_BREAKING) {
+  if (energyAtPoint < minEnergy) {
     return false;
   }
 
@@ -138,44 +427,51 @@ export function isWaveBreakingWithEnergy(wave, depth, energyAtPoint) {
 }
 
 // Refraction strength: 0 = no bending, 1 = full physics
-// Full physics (sqrt ratio) creates ~4x speed difference which is too extreme visually
-// 0.3 gives subtle but visible bending
-export const REFRACTION_STRENGTH = 0.3;
+// Default; worlds use world.physics.refractionStrength (see physicsConfig.ts)
+export const REFRACTION_STRENGTH = DEFAULT_PHYSICS_CONFIG.refractionStrength;
 
 // Lateral diffusion: how much adjacent X slices influence each other
 // This causes the wave to try to reform into a line after passing over bathymetry
 // 0 = no diffusion (independent slices), 1 = instant equalization
-// 0.15 gives gradual reformation while preserving some of the bend
-export const LATERAL_DIFFUSION = 0.15;
+// Default; worlds use world.physics.lateralDiffusion
+export const LATERAL_DIFFUSION = DEFAULT_PHYSICS_CONFIG.lateralDiffusion;
 
 /**
  * Update wave's per-X progress based on bathymetry (refraction)
  * Waves travel slower in shallow water: c = sqrt(g * depth)
  * This creates bending as different X positions advance at different rates
  *
- * The effect is dampened by REFRACTION_STRENGTH to avoid extreme visual artifacts.
- * Lateral diffusion causes the wave to gradually reform into a line.
+ * With speedRatioFn (the energy field's wave solver, see getFieldSpeedRatio) each
+ * slice moves at the field's own speed, so the crest bends as the field does.
+ * Without one the bending is applied per wave: dampened by physics.refractionStrength
+ * to avoid extreme visual artifacts, with lateral diffusion reforming the wave into a line.
  *
  * @param {object} wave - Wave object with progressPerX array
  * @param {number} currentTime - Current game time in ms
- * @param {number} baseTravelDuration - Base time for wave to travel horizon to shore (ms)
+ * @param {number} baseTravelDuration - Base time for a WAVE_PERIOD wave to travel horizon to shore (ms)
  * @param {function} getDepthFn - Function(normalizedX, progress) returning depth in meters
  * @param {number} deepDepth - Reference deep water depth (meters)
+ * @param {object} physics - Physics config (refractionStrength, lateralDiffusion)
+ * @param {function} speedRatioFn - Function(normalizedX, progress) returning the field's
+ *   speed relative to horizon-deep water (null = refract per wave)
  */
 export function updateWaveRefraction(
   wave,
   currentTime,
   baseTravelDuration,
   getDepthFn,
-  deepDepth = 30
+  deepDepth = 30,
+  physics = DEFAULT_PHYSICS_CONFIG,
+  speedRatioFn = null
 ) {
+  const { refractionStrength, lateralDiffusion } = physics;
   const dt = currentTime - wave.lastUpdateTime;
   if (dt <= 0) return;
 
   wave.lastUpdateTime = currentTime;
 
-  // Base progress increment for this time step (in deep water)
-  const baseIncrement = dt / baseTravelDuration;
+  // Base progress increment for this time step (in deep water, at this wave's period)
+  const baseIncrement = (dt / baseTravelDuration) * (wave.speedFactor ?? 1);
 
   // Reference speed in deep water: c = sqrt(g * deepDepth)
   // We normalize speeds relative to this
@@ -183,41 +479,62 @@ export function updateWaveRefraction(
   const deepSpeed = Math.sqrt(g * deepDepth);
 
   const n = wave.progressPerX.length;
+  const startProgress = [...wave.progressPerX];
+  const hold = wave.holdPerX;
 
   // Step 1: Apply bathymetry-based speed differences
   for (let i = 0; i < n; i++) {
+    // Slices still out to sea travel in deep water until they reach the horizon
+    let increment = baseIncrement;
+    if (hold && hold[i] > 0) {
+      const travelled = Math.min(hold[i], baseIncrement);
+      hold[i] -= travelled;
+      increment -= travelled;
+      if (increment <= 0) continue;
+    }
+
     const normalizedX = (i + 0.5) / n;
     const currentProgress = wave.progressPerX[i];
 
-    // Get depth at this X position and current progress
-    const depth = getDepthFn(normalizedX, currentProgress);
-
-    // Wave speed at this depth: c = sqrt(g * depth)
-    // Clamp depth to avoid sqrt(0) and very slow speeds
-    const clampedDepth = Math.max(0.5, depth);
-    const localSpeed = Math.sqrt(g * clampedDepth);
-
-    // Raw speed ratio from physics (can be ~0.25 for shallow vs deep)
-    const rawSpeedRatio = localSpeed / deepSpeed;
-
-    // Dampen the effect: blend between 1.0 (no refraction) and raw ratio
-    // At REFRACTION_STRENGTH=0.3: shallow water at 0.25 ratio becomes 0.775 ratio
-    const speedRatio = 1 - (1 - rawSpeedRatio) * REFRACTION_STRENGTH;
+    let speedRatio;
+    if (speedRatioFn) {
+      // The field's own speed here
+      speedRatio = speedRatioFn(normalizedX, currentProgress);
+    } else {
+      // Get depth at this X position and current progress
+      const depth = getDepthFn(normalizedX, currentProgress);
+
+      // Wave speed at this depth: c = sqrt(g * depth)
+      // Clamp depth to avoid sqrt(0) and very slow speeds
+      const clampedDepth = Math.max(0.5, depth);
+      const localSpeed = Math.sqrt(g * clampedDepth);
+
+      // Raw speed ratio from physics (can be ~0.25 for shallow vs deep)
+      const rawSpeedRatio = localSpeed / deepSpeed;
+
+      // Dampen the effect: blend between 1.0 (no refraction) and raw ratio
+      // At refractionStrength=0.3: shallow water at 0.25 ratio becomes 0.775 ratio
+      speedRatio = 1 - (1 - rawSpeedRatio) * refractionStrength;
+    }
 
     // Apply increment scaled by speed ratio
-    wave.progressPerX[i] = Math.min(1, currentProgress + baseIncrement * speedRatio);
+    wave.progressPerX[i] = Math.min(1, currentProgress + increment * speedRatio);
   }
 
   // Step 2: Apply lateral diffusion (wave tries to reform into a line)
-  // This simulates the connected nature of wave energy - tension along the wave
-  if (LATERAL_DIFFUSION > 0) {
+  // This simulates the connected nature of wave energy - tension along the wave.
+  // A field-driven crest needs none: the solved field already diffracts
+  if (lateralDiffusion > 0 && !speedRatioFn) {
     // Scale diffusion by time step (larger dt = more diffusion)
-    const diffusionAmount = LATERAL_DIFFUSION * Math.min(1, dt / 16.67); // normalized to 60fps
+    const diffusionAmount = lateralDiffusion * Math.min(1, dt / 16.67); // normalized to 60fps
 
-    // Make a copy to read from while writing
-    const oldProgress = [...wave.progressPerX];
+    // Make a copy to read from while writing; held slices sit behind the horizon
+    // (negative), so the crest stays straight where it enters
+    const oldProgress = wave.progressPerX.map((progress, i) => progress - (hold?.[i] ?? 0));
 
     for (let i = 0; i < n; i++) {
+      if (hold && hold[i] > 0) continue;
+
       // Get neighbors (wrap at edges to avoid boundary artifacts)
       const left = oldProgress[i > 0 ? i - 1 : i];
       const right = oldProgress[i < n - 1 ? i + 1 : i];
@@ -230,8 +547,8 @@ export function updateWaveRefraction(
       // This pulls the wave toward being a straight line
       wave.progressPerX[i] = current + (neighborAvg - current) * diffusionAmount;
 
-      // Clamp to valid range
-      wave.progressPerX[i] = Math.min(1, Math.max(0, wave.progressPerX[i]));
+      // Clamp to valid range; a lagging neighbour may slow a slice but never pull it back out to sea
+      wave.progressPerX[i] = Math.min(1, Math.max(0, startProgress[i], wave.progressPerX[i]));
     }
   }
 }
@@ -264,3 +581,33 @@ export function getProgressAtX(wave, normalizedX) {
   const clampedIndex = Math.max(0, Math.min(wave.progressPerX.length - 1, index));
   return wave.progressPerX[clampedIndex];
 }
+
+/**
+ * Whether the crest at an X position is still held behind the horizon (angled waves)
+ * @param {object} wave - Wave object
+ * @param {number} normalizedX - X position (0-1)
+ * @returns {boolean} True while that slice has deep water left to cross
+ */
+export function isHeldAtX(wave, normalizedX) {
+  if (!wave.holdPerX || wave.holdPerX.length === 0) {
+    return false;
+  }
+  const index = Math.floor(normalizedX * wave.holdPerX.length);
+  const clampedIndex = Math.max(0, Math.min(wave.holdPerX.length - 1, index));
+  return wave.holdPerX[clampedIndex] > 0;
+}
+
+/**
+ * Get amplitude at a specific X position, after interference
+ * @param {object} wave - Wave object
+ * @param {number} normalizedX - X position (0-1)
+ * @returns {number} Superposed amplitude at that X position (wave.amplitude without interference)
+ */
+export function getAmplitudeAtX(wave, normalizedX) {
+  if (!wave.amplitudePerX || wave.amplitudePerX.length === 0) {
+    return wave.amplitude;
+  }
+  const index = Math.floor(normalizedX * wave.amplitudePerX.length);
+  const clampedIndex = Math.max(0, Math.min(wave.amplitudePerX.length - 1, index));
+  return wave.amplitudePerX[clampedIndex];
+}
@@ -8,6 +8,8 @@ export {
   defineProgression,
   captureSnapshots,
   captureWithEvents,
+  getDefaultParams,
+  progressionToTestCase,
   getProgressionRegistry,
   getProgression,
   clearProgressionRegistry,
@@ -32,3 +34,10 @@ export {
   asciiToProgression,
   matricesMatchAscii,
 } from './asciiMatrix.js';
+
+export {
+  defineInvariant,
+  checkInvariant,
+  shrinkCase,
+  formatInvariantFailure,
+} from './invariants.js';
@@ -0,0 +1,140 @@
+/**
+ * Invariant Harness Tests
+ *
+ * The harness is only trustworthy if it finds violations, reproduces them from
+ * the reported seed and shrinks them to a matrix that still fails.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  defineInvariant,
+  checkInvariant,
+  shrinkCase,
+  formatInvariantFailure,
+} from './invariants.js';
+import { asciiToMatrix } from './asciiMatrix.js';
+
+// A cell above 0.5 is a violation
+const noPeaks = (config = {}) =>
+  defineInvariant({
+    id: 'test/no-peaks',
+    minRows: 1,
+    minCols: 1,
+    generate: (random) => ({
+      matrix: Array.from({ length: 6 }, () => Array.from({ length: 5 }, () => random())),
+    }),
+    check: ({ matrix }) => (matrix.flat().some((v) => v > 0.5) ? 'peak above 0.5' : null),
+    ...config,
+  });
+
+describe('invariant harness', () => {
+  describe('defineInvariant', () => {
+    it('throws if id is missing', () => {
+      expect(() => defineInvariant({ generate: () => ({}), check: () => null })).toThrow(
+        'requires an id'
+      );
+    });
+
+    it('throws if generate or check is missing', () => {
+      expect(() => defineInvariant({ id: 'x', check: () => null })).toThrow('generate');
+      expect(() => defineInvariant({ id: 'x', generate: () => ({}) })).toThrow('check');
+    });
+
+    it('defaults the smallest shrink to 2x2', () => {
+      const invariant = defineInvariant({ id: 'x', generate: () => ({}), check: () => null });
+      expect(invariant.minRows).toBe(2);
+      expect(invariant.minCols).toBe(2);
+    });
+  });
+
+  describe('checkInvariant', () => {
+    it('passes when the check never reports a violation', () => {
+      const result = checkInvariant(noPeaks({ check: () => null }), { runs: 10 });
+      expect(result.passed).toBe(true);
+      expect(result.runs).toBe(10);
+      expect(result.failure).toBeNull();
+    });
+
+    it('reports the seed that reproduces the failure', () => {
+      const invariant = noPeaks();
+      const result = checkInvariant(invariant, { seed: 42 });
+      expect(result.passed).toBe(false);
+
+      const replay = checkInvariant(invariant, { seed: result.failure.seed, runs: 1 });
+      expect(replay.failure.originalAscii).toBe(result.failure.originalAscii);
+    });
+
+    it('treats a thrown error as a violation', () => {
+      const result = checkInvariant(
+        noPeaks({
+          check: () => {
+            throw new Error('boom');
+          },
+        }),
+        { runs: 1 }
+      );
+      expect(result.failure.message).toBe('threw boom');
+    });
+
+    it('shrinks the failure to a minimal ASCII matrix', () => {
+      const result = checkInvariant(noPeaks());
+      // One cell, lowered to the smallest ASCII level still above 0.5
+      expect(result.failure.ascii).toBe('B');
+      expect(result.failure.exact).toBe(true);
+    });
+
+    it('returns an ASCII matrix that reproduces the failure when pasted', () => {
+      const invariant = noPeaks();
+      const { failure } = checkInvariant(invariant);
+      expect(invariant.check({ matrix: asciiToMatrix(failure.ascii) })).not.toBeNull();
+    });
+  });
+
+  describe('shrinkCase', () => {
+    it('keeps the case parameters while shrinking the matrix', () => {
+      const invariant = noPeaks({
+        check: ({ matrix, limit }) => (matrix.flat().some((v) => v > limit) ? 'over' : null),
+      });
+      const shrunk = shrinkCase(invariant, {
+        matrix: [
+          [0.1, 0.9],
+          [0.8, 0.2],
+        ],
+        limit: 0.75,
+      });
+      expect(shrunk.input.limit).toBe(0.75);
+      expect(shrunk.input.matrix).toEqual([[0.8]]);
+    });
+
+    it('stops at the smallest size the invariant accepts', () => {
+      const invariant = noPeaks({ minRows: 2, minCols: 3 });
+      const shrunk = shrinkCase(invariant, {
+        matrix: asciiToMatrix('FFFF\nFFFF\nFFFF'),
+      });
+      expect(shrunk.input.matrix).toHaveLength(2);
+      expect(shrunk.input.matrix[0]).toHaveLength(3);
+    });
+
+    it('flags failures that only reproduce at full precision', () => {
+      // 0.52 prints as 'A' (0.5), which no longer fails
+      const shrunk = shrinkCase(noPeaks(), { matrix: [[0.52, 0]] });
+      expect(shrunk.exact).toBe(false);
+      expect(shrunk.input.matrix).toEqual([[0.52]]);
+    });
+  });
+
+  describe('formatInvariantFailure', () => {
+    it('prints the message, seed and minimal matrix', () => {
+      const text = formatInvariantFailure(checkInvariant(noPeaks(), { seed: 7 }));
+      expect(text).toContain('test/no-peaks: peak above 0.5');
+      expect(text).toContain('seed: 7');
+      expect(text).toContain('    B');
+    });
+
+    it('summarizes a pass', () => {
+      const text = formatInvariantFailure(
+        checkInvariant(noPeaks({ check: () => null }), { runs: 3 })
+      );
+      expect(text).toBe('test/no-peaks: held over 3 runs');
+    });
+  });
+});
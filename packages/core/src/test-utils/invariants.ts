@@ -0,0 +1,209 @@
+/**
+ * Invariant Checking Harness
+ *
+ * Progressions record what an update function produces; invariants assert what
+ * it must never produce. An invariant generates a random case from a seeded
+ * generator, runs the real models on it and reports a violation (or null).
+ *
+ * Every case carries a `matrix` (values 0-1) as its main input. When a case
+ * fails, the harness shrinks that matrix - snapping it to ASCII precision,
+ * dropping rows and columns, zeroing and lowering cells - while it keeps
+ * failing, so the failure comes back as a small ASCII matrix that can be pasted
+ * into a regression test with asciiToMatrix.
+ */
+
+import { createSeededRandom } from '../core/random.js';
+import { asciiToMatrix, matrixToAscii } from './asciiMatrix.js';
+
+// Values each ASCII character decodes to, lowest first
+const ASCII_LEVELS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+/**
+ * Define an invariant
+ *
+ * @param {object} config - Invariant configuration
+ * @param {string} config.id - Unique identifier (e.g., 'foam/bounded')
+ * @param {string} config.description - Human-readable statement of the invariant
+ * @param {function} config.generate - (random) => case; random returns [0, 1). The case
+ *   must have a `matrix` (number[][], values 0-1) plus any other parameters
+ * @param {function} config.check - (case) => string|null - Violation message, or null when
+ *   the invariant holds. Must not mutate the case
+ * @param {number} [config.minRows] - Smallest matrix height the models accept (default 2)
+ * @param {number} [config.minCols] - Smallest matrix width the models accept (default 2)
+ * @returns {object} Invariant
+ */
+export function defineInvariant(config) {
+  const { id, description = '', generate, check, minRows = 2, minCols = 2 } = config;
+
+  if (!id) {
+    throw new Error('defineInvariant requires an id');
+  }
+
+  if (!generate) {
+    throw new Error('defineInvariant requires a generate function');
+  }
+
+  if (!check) {
+    throw new Error('defineInvariant requires a check function');
+  }
+
+  return { id, description, generate, check, minRows, minCols };
+}
+
+/**
+ * Run an invariant's check, treating a thrown error as a violation
+ * @param {object} invariant - Invariant from defineInvariant
+ * @param {object} input - Case to check
+ * @returns {string|null} Violation message, or null
+ */
+function violationOf(invariant, input) {
+  try {
+    return invariant.check(input);
+  } catch (error) {
+    return `threw ${error instanceof Error ? error.message : String(error)}`;
+  }
+}
+
+/**
+ * Check an invariant over randomized seeded cases
+ * Run i uses seed + i, so a failure is reproduced with { seed: failure.seed, runs: 1 }.
+ *
+ * @param {object} invariant - Invariant from defineInvariant
+ * @param {object} options - Run options
+ * @param {number} [options.seed] - Base seed (default 1)
+ * @param {number} [options.runs] - Number of cases (default 50)
+ * @param {number} [options.maxShrinkSteps] - Cap on shrink attempts (default 500)
+ * @returns {object} { id, passed, runs, failure } - failure is null or
+ *   { seed, message, input, ascii, exact, originalAscii }
+ */
+export function checkInvariant(invariant, options: Record<string, any> = {}) {
+  const { seed = 1, runs = 50, maxShrinkSteps = 500 } = options;
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    const input = invariant.generate(createSeededRandom(runSeed));
+    const message = violationOf(invariant, input);
+    if (message === null) continue;
+
+    const shrunk = shrinkCase(invariant, input, maxShrinkSteps);
+    return {
+      id: invariant.id,
+      passed: false,
+      runs: run + 1,
+      failure: {
+        seed: runSeed,
+        message: shrunk.message,
+        input: shrunk.input,
+        ascii: matrixToAscii(shrunk.input.matrix),
+        // Whether the ASCII alone (asciiToMatrix) still reproduces the failure
+        exact: shrunk.exact,
+        originalAscii: matrixToAscii(input.matrix),
+      },
+    };
+  }
+
+  return { id: invariant.id, passed: true, runs, failure: null };
+}
+
+/**
+ * Shrink a failing case's matrix while it keeps failing
+ * Candidates are tried smallest-first (drop rows and columns, then zero cells,
+ * then lower cells one ASCII level); the first that still fails is kept and the
+ * search restarts from it.
+ *
+ * @param {object} invariant - Invariant from defineInvariant
+ * @param {object} input - Failing case
+ * @param {number} maxSteps - Cap on candidate checks
+ * @returns {object} { input, message, exact }
+ */
+export function shrinkCase(invariant, input, maxSteps = 500) {
+  let current = input;
+  let message = violationOf(invariant, input);
+  let steps = 0;
+
+  // Snap to ASCII precision first, so the printed matrix is the one that fails
+  const snapped = { ...input, matrix: asciiToMatrix(matrixToAscii(input.matrix)) };
+  const snappedMessage = violationOf(invariant, snapped);
+  steps++;
+  const exact = snappedMessage !== null;
+  if (exact) {
+    current = snapped;
+    message = snappedMessage;
+  }
+
+  let improved = true;
+  while (improved && steps < maxSteps) {
+    improved = false;
+    for (const matrix of shrinkCandidates(current.matrix, invariant, exact)) {
+      if (steps >= maxSteps) break;
+      steps++;
+      const candidate = { ...current, matrix };
+      const candidateMessage = violationOf(invariant, candidate);
+      if (candidateMessage !== null) {
+        current = candidate;
+        message = candidateMessage;
+        improved = true;
+        break;
+      }
+    }
+  }
+
+  return { input: current, message, exact };
+}
+
+// Smaller variants of a matrix, most aggressive first
+function* shrinkCandidates(matrix, invariant, onAsciiLevels) {
+  const rows = matrix.length;
+  const cols = matrix[0].length;
+
+  if (rows > invariant.minRows) {
+    yield matrix.slice(0, Math.max(invariant.minRows, Math.floor(rows / 2)));
+    yield matrix.slice(1);
+    yield matrix.slice(0, -1);
+  }
+  if (cols > invariant.minCols) {
+    const half = Math.max(invariant.minCols, Math.floor(cols / 2));
+    yield matrix.map((row) => row.slice(0, half));
+    yield matrix.map((row) => row.slice(1));
+    yield matrix.map((row) => row.slice(0, -1));
+  }
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (matrix[y][x] !== 0) yield withCell(matrix, y, x, 0);
+    }
+  }
+
+  // Lowering a level only keeps the matrix printable when it is already on ASCII levels
+  if (!onAsciiLevels) return;
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const level = ASCII_LEVELS.indexOf(matrix[y][x]);
+      if (level > 1) yield withCell(matrix, y, x, ASCII_LEVELS[level - 1]);
+    }
+  }
+}
+
+function withCell(matrix, y, x, value) {
+  return matrix.map((row, r) => (r === y ? row.map((v, c) => (c === x ? value : v)) : row));
+}
+
+/**
+ * Format a checkInvariant result for a test failure message
+ * @param {object} result - Result from checkInvariant
+ * @returns {string} Summary, with the shrunk ASCII matrix when it failed
+ */
+export function formatInvariantFailure(result) {
+  if (result.passed) return `${result.id}: held over ${result.runs} runs`;
+
+  const { seed, message, ascii, exact } = result.failure;
+  const lines = [
+    `${result.id}: ${message}`,
+    `  seed: ${seed} (reproduce with { seed: ${seed}, runs: 1 })`,
+    exact
+      ? '  minimal matrix:'
+      : '  minimal matrix (approximate - fails only at full precision, see failure.input):',
+    ...ascii.split('\n').map((line) => `    ${line}`),
+  ];
+  return lines.join('\n');
+}
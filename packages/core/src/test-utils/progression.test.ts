@@ -20,6 +20,8 @@ import {
   defineProgression,
   captureSnapshots,
   captureWithEvents,
+  getDefaultParams,
+  progressionToTestCase,
   getProgressionRegistry,
   getProgression,
   clearProgressionRegistry,
@@ -364,6 +366,89 @@ describe('progression framework', () => {
     });
   });
 
+  describe('tunable parameters', () => {
+    // Row 0 decays by `rate` per second
+    const defineDecay = () =>
+      defineProgression({
+        id: 'test/decay',
+        description: 'Decays at a tunable rate',
+        initialMatrix: [[1, 1, 1]],
+        captureTimes: [0, 1],
+        updateFn: (field, dt, params) => {
+          for (let i = 0; i < field.height.length; i++) {
+            field.height[i] *= 1 - params.rate * dt;
+          }
+        },
+        metadata: { params: { rate: { value: 0.5, min: 0, max: 1, step: 0.1 } } },
+      });
+
+    it('passes default parameter values to updateFn', () => {
+      const progression = defineDecay();
+      expect(progression.params).toEqual({ rate: 0.5 });
+      // About (1 - 0.5/60)^60 after one second
+      expect(progression.matrixAt(1)[0][0]).toBeCloseTo(0.6, 1);
+    });
+
+    it('passes an empty params object when none are declared', () => {
+      const seen = [];
+      defineProgression({
+        id: 'test/no-params',
+        initialMatrix: [[1]],
+        captureTimes: [0, 1],
+        updateFn: (_field, _dt, params) => seen.push(params),
+      });
+      expect(seen[0]).toEqual({});
+    });
+
+    it('rerun recaptures with overridden parameters', () => {
+      const progression = defineDecay();
+      const still = progression.rerun({ rate: 0 });
+      expect(still[1].matrix).toEqual([[1, 1, 1]]);
+      // The stored snapshots keep the defaults
+      expect(progression.matrixAt(1)[0][0]).toBeLessThan(1);
+    });
+
+    it('rerun without overrides reproduces the snapshots', () => {
+      const progression = defineDecay();
+      expect(progression.rerun()).toEqual(progression.snapshots);
+    });
+
+    it('rerun throws on an unknown parameter', () => {
+      const progression = defineDecay();
+      expect(() => progression.rerun({ speed: 1 })).toThrow("has no parameter 'speed'");
+    });
+
+    it('throws if a default is outside its range', () => {
+      expect(() => getDefaultParams({ rate: { value: 2, min: 0, max: 1 } })).toThrow(
+        'outside [0, 1]'
+      );
+    });
+
+    it('progressionToTestCase writes the changed parameters and ASCII snapshots', () => {
+      const progression = defineDecay();
+      const source = progressionToTestCase(progression, { rate: 0 });
+      expect(source).toBe(
+        [
+          "it('test/decay (rate: 0) produces expected matrices', () => {",
+          '  const expected = `',
+          't=0s t=1s',
+          'FFF  FFF',
+          '`.trim();',
+          "  const snapshots = getProgression('test/decay').rerun({ rate: 0 });",
+          '  expect(progressionToAscii(snapshots)).toBe(expected);',
+          '});',
+        ].join('\n')
+      );
+    });
+
+    it('progressionToTestCase omits parameters left at their defaults', () => {
+      const progression = defineDecay();
+      const source = progressionToTestCase(progression, { rate: 0.5 });
+      expect(source).toContain("it('test/decay produces expected matrices'");
+      expect(source).toContain('.rerun();');
+    });
+  });
+
   describe('re-exported utilities', () => {
     it('exports matrixToField from progression.js', () => {
       const field = matrixToField([
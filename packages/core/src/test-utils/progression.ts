@@ -9,6 +9,7 @@
  * The key insight: define the progression ONCE, use it THREE ways.
  */
 
+import { progressionToAscii } from './asciiMatrix.js';
 import { matrixToField, fieldToMatrix } from './matrixField.js';
 
 // Registry of all defined progressions (for discovery by visual test runner)
@@ -21,11 +22,14 @@ const progressionRegistry = new Map();
  * @param {string} config.id - Unique identifier (e.g., 'energy-field/no-damping')
  * @param {string} config.description - Human-readable description
  * @param {number[][]} config.initialMatrix - Initial state as 2D matrix
- * @param {function} config.updateFn - (field, dt) => void - Simulation update function
+ * @param {function} config.updateFn - (field, dt, params) => void - Simulation update function
  * @param {number[]} config.captureTimes - Times (in seconds) to capture snapshots
  * @param {function} [config.renderFn] - Optional render function for visual tests
  * @param {object} [config.metadata] - Optional metadata (parameters, formula, etc.)
- * @returns {object} Progression object with snapshots and metadata
+ * @param {object} [config.metadata.params] - Tunable parameters, each
+ *   { value, min, max, step?, label? }; their values reach updateFn as `params`
+ * @returns {object} Progression object with snapshots and metadata; rerun(params)
+ *   recaptures the snapshots with some parameters changed
  */
 export function defineProgression(config) {
   const {
@@ -50,11 +54,14 @@ export function defineProgression(config) {
     throw new Error('defineProgression requires an updateFn');
   }
 
+  const params = getDefaultParams(metadata.params);
+
   // Capture snapshots by running the simulation
   const snapshots = captureSnapshots({
     initialMatrix,
     updateFn,
     captureTimes,
+    params,
   });
 
   const progression = {
@@ -65,8 +72,24 @@ export function defineProgression(config) {
     captureTimes,
     renderFn,
     metadata,
+    params,
     snapshots,
 
+    // Re-run the simulation with some parameters changed (the rest keep their defaults)
+    rerun(overrides = {}) {
+      for (const name of Object.keys(overrides)) {
+        if (!(name in params)) {
+          throw new Error(`Progression ${id} has no parameter '${name}'`);
+        }
+      }
+      return captureSnapshots({
+        initialMatrix,
+        updateFn,
+        captureTimes,
+        params: { ...params, ...overrides },
+      });
+    },
+
     // Helper to get snapshot at specific time
     at(time) {
       return snapshots.find((s) => s.time === time);
@@ -90,13 +113,14 @@ export function defineProgression(config) {
  *
  * @param {object} options - Capture options
  * @param {number[][]} options.initialMatrix - Initial state
- * @param {function} options.updateFn - (field, dt) => void
+ * @param {function} options.updateFn - (field, dt, params) => void
  * @param {number[]} options.captureTimes - Times to capture
  * @param {number} [options.dt] - Time step (default: 1/60)
+ * @param {object} [options.params] - Parameter values passed to updateFn
  * @returns {object[]} Array of { time, matrix, label } snapshots
  */
 export function captureSnapshots(options) {
-  const { initialMatrix, updateFn, captureTimes, dt = 1 / 60 } = options;
+  const { initialMatrix, updateFn, captureTimes, dt = 1 / 60, params = {} } = options;
 
   const field = matrixToField(initialMatrix);
   const snapshots = [];
@@ -122,7 +146,7 @@ export function captureSnapshots(options) {
 
   while (captureIdx < sortedTimes.length && currentTime <= maxTime + tolerance) {
     // Update simulation
-    updateFn(field, dt);
+    updateFn(field, dt, params);
     currentTime += dt;
 
     // Check if we've reached the next capture time
@@ -213,6 +237,55 @@ export function captureWithEvents(options) {
   return snapshots;
 }
 
+/**
+ * Default values of declared parameters
+ * @param {object} paramSpecs - metadata.params ({ name: { value, min, max, ... } })
+ * @returns {object} { name: value }
+ */
+export function getDefaultParams(paramSpecs = {}) {
+  const params = {};
+  for (const [name, spec] of Object.entries(paramSpecs)) {
+    const { value, min, max } = spec as Record<string, number>;
+    if (!(min <= value && value <= max)) {
+      throw new Error(`Parameter '${name}' default ${value} is outside [${min}, ${max}]`);
+    }
+    params[name] = value;
+  }
+  return params;
+}
+
+/**
+ * Write a Vitest case pinning a progression's snapshots at the given parameters
+ * The case looks the progression up in the registry, so it belongs in a test file
+ * that already imports the progression's module.
+ *
+ * @param {object} progression - Progression from defineProgression
+ * @param {object} params - Parameter values (only those differing from the defaults are written)
+ * @param {object[]} [snapshots] - Snapshots at those values (default: progression.rerun(params))
+ * @returns {string} Test source
+ */
+export function progressionToTestCase(progression, params = {}, snapshots = null) {
+  const changed = Object.fromEntries(
+    Object.entries(params).filter(([name, value]) => progression.params[name] !== value)
+  );
+  const frames = snapshots ?? progression.rerun(changed);
+  const args = Object.entries(changed)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(', ');
+  const title = args ? `${progression.id} (${args})` : progression.id;
+  const ascii = progressionToAscii(frames);
+
+  return [
+    `it('${title} produces expected matrices', () => {`,
+    '  const expected = `',
+    ascii,
+    '`.trim();',
+    `  const snapshots = getProgression('${progression.id}').rerun(${args ? `{ ${args} }` : ''});`,
+    '  expect(progressionToAscii(snapshots)).toBe(expected);',
+    '});',
+  ].join('\n');
+}
+
 /**
  * Get all registered progressions
  * @returns {Map<string, object>} Map of id -> progression
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, afterEach } from 'vitest';
 import { render, screen, fireEvent, cleanup } from '@testing-library/react';
 import { DebugPanel } from './DebugPanel';
+import { DEFAULT_PHYSICS_CONFIG } from '../state/physicsConfig.js';
 
 afterEach(() => {
   cleanup();
@@ -75,6 +76,7 @@ const createDefaultProps = (overrides: Record<string, any> = {}) => {
             foamSpeed: 20,
             maxPushForce: 50,
             foamSpeedPenalty: 0.3,
+            currentDrag: 1,
           },
     onPlayerConfigChange: overrides.onPlayerConfigChange || vi.fn(),
     aiMode: overrides.aiMode || 'BEGINNER',
@@ -135,6 +137,17 @@ describe('DebugPanel', () => {
       expect(screen.getByText('D')).toBeInTheDocument();
       expect(screen.getByText('P')).toBeInTheDocument();
       expect(screen.getByText('T')).toBeInTheDocument();
+      expect(screen.getByText('C')).toBeInTheDocument();
+      expect(screen.getByText('H')).toBeInTheDocument();
+    });
+
+    it('toggles the scorecard overlay', () => {
+      const onToggle = vi.fn();
+      render(<DebugPanel {...createDefaultProps({ onToggle })} />);
+
+      const toggle = screen.getByText('Scorecard').closest('label');
+      fireEvent.click(toggle.querySelector('button'));
+      expect(onToggle).toHaveBeenCalledWith('showScorecard');
     });
 
     it('calls onToggle when toggle is clicked', () => {
@@ -311,6 +324,7 @@ describe('DebugPanel', () => {
       expect(screen.getByText('Foam Speed')).toBeInTheDocument();
       expect(screen.getByText('Push Force')).toBeInTheDocument();
       expect(screen.getByText('Foam Penalty')).toBeInTheDocument();
+      expect(screen.getByText('Current Drag')).toBeInTheDocument();
     });
 
     it('displays current slider values', () => {
@@ -325,8 +339,8 @@ describe('DebugPanel', () => {
     it('shows tooltip trigger icons', () => {
       render(<DebugPanel {...createDefaultProps()} />);
       const tooltipTriggers = document.querySelectorAll('.tooltip-trigger');
-      // 4 player tuning sliders + 2 playback sliders (Depth Damping, Damping Exponent)
-      expect(tooltipTriggers.length).toBe(6);
+      // 5 player tuning sliders + 2 playback sliders (Depth Damping, Damping Exponent)
+      expect(tooltipTriggers.length).toBe(7);
     });
 
     it('has tooltip content on triggers', () => {
@@ -359,6 +373,541 @@ describe('DebugPanel', () => {
 
       expect(onPlayerConfigChange).toHaveBeenCalledWith('foamSpeedPenalty', 0.5);
     });
+
+    it('shows the surfer state when given', () => {
+      render(<DebugPanel {...createDefaultProps()} surferState="RIDING" />);
+      expect(screen.getByText('Surfer')).toBeInTheDocument();
+      expect(screen.getByText('RIDING')).toBeInTheDocument();
+    });
+
+    it('hides the surfer state without a surfer', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Surfer')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Tide Section', () => {
+    const tide = { range: 1.6, period: 720, phase: 0.25, table: null };
+    const tideClock = {
+      level: 0.42,
+      rising: true,
+      nextHighIn: 90,
+      nextLowIn: 450,
+      nextTurnIn: 90,
+      halfCycle: 360,
+      turnProgress: 0.75,
+    };
+
+    it('is hidden without a tide', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Sea Level')).not.toBeInTheDocument();
+    });
+
+    it('shows the sea level and the tide clock', () => {
+      render(<DebugPanel {...createDefaultProps()} tide={tide} tideClock={tideClock} />);
+
+      expect(screen.getByText('+0.42 m ↑')).toBeInTheDocument();
+      expect(screen.getByText('High tide in')).toBeInTheDocument();
+      expect(screen.getByText('90.0s / 360.0s')).toBeInTheDocument();
+    });
+
+    it('edits the tide range', () => {
+      const onTideChange = vi.fn();
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          tide={tide}
+          tideClock={{ ...tideClock, rising: false, level: -0.3 }}
+          onTideChange={onTideChange}
+        />
+      );
+
+      expect(screen.getByText('Low tide in')).toBeInTheDocument();
+      const range = screen.getByText('Tide Range').closest('.slider-control');
+      fireEvent.change(range.querySelector('input'), { target: { value: '2.5' } });
+      expect(onTideChange).toHaveBeenCalledWith('range', 2.5);
+    });
+  });
+
+  describe('Currents', () => {
+    it('toggles the current overlay', () => {
+      const onToggle = vi.fn();
+      render(<DebugPanel {...createDefaultProps({ onToggle })} />);
+
+      const toggle = screen.getByText('Currents').closest('label');
+      fireEvent.click(toggle.querySelector('button'));
+      expect(onToggle).toHaveBeenCalledWith('showCurrents');
+    });
+
+    it('shows rip speed and longshore drift when stats are passed', () => {
+      render(
+        <DebugPanel {...createDefaultProps()} currentStats={{ ripSpeed: 12.34, longshore: -3.2 }} />
+      );
+
+      expect(screen.getByText('12.3 px/s')).toBeInTheDocument();
+      expect(screen.getByText('3.2 px/s ←')).toBeInTheDocument();
+    });
+
+    it('hides the stats without them', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Rip Speed')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Crowd', () => {
+    const crowdStats = { size: 3, maxSize: 8, riding: 1, rides: 4, dropIns: 2 };
+
+    it('sets the number of NPC surfers', () => {
+      const onSettingChange = vi.fn();
+      render(<DebugPanel {...createDefaultProps({ onSettingChange })} crowdStats={crowdStats} />);
+
+      const slider = screen.getByText('NPC Surfers').closest('.slider-control');
+      fireEvent.change(slider.querySelector('input'), { target: { value: '5' } });
+      expect(onSettingChange).toHaveBeenCalledWith('crowdSize', 5);
+    });
+
+    it('shows riders, judged rides and drop-ins', () => {
+      render(<DebugPanel {...createDefaultProps()} crowdStats={crowdStats} />);
+
+      expect(screen.getByText('1/3')).toBeInTheDocument();
+      expect(screen.getByText('Drop-ins')).toBeInTheDocument();
+    });
+
+    it('hides the section without stats', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('NPC Surfers')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Event Log', () => {
+    const eventLog = { retained: 1200, total: 5400, retention: 50000 };
+
+    it('shows how much history is kept', () => {
+      render(<DebugPanel {...createDefaultProps()} eventLog={eventLog} />);
+
+      expect(screen.getByText('1200 / 50000')).toBeInTheDocument();
+      expect(screen.getByText('5400')).toBeInTheDocument();
+    });
+
+    it('exports and loads logs', () => {
+      const onEventLogExport = vi.fn();
+      const onEventLogImport = vi.fn();
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          eventLog={eventLog}
+          onEventLogExport={onEventLogExport}
+          onEventLogImport={onEventLogImport}
+        />
+      );
+
+      fireEvent.click(screen.getByText('Export Log'));
+      expect(onEventLogExport).toHaveBeenCalled();
+
+      const file = new File(['{}'], 'capture.jsonl.gz');
+      fireEvent.change(screen.getByLabelText('Load event log'), { target: { files: [file] } });
+      expect(onEventLogImport).toHaveBeenCalledWith(file);
+    });
+
+    it('hides the section without log stats', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Export Log')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Clip', () => {
+    it('toggles recording and exports the buffer', () => {
+      const onClipRecordToggle = vi.fn();
+      const onClipExport = vi.fn();
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          clip={{ recording: true, seconds: 4.2, length: 10 }}
+          onClipRecordToggle={onClipRecordToggle}
+          onClipExport={onClipExport}
+        />
+      );
+
+      expect(screen.getByText('4.2 / 10s')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Export GIF'));
+      expect(onClipExport).toHaveBeenCalled();
+      fireEvent.click(screen.getByText('Record').closest('label').querySelector('button'));
+      expect(onClipRecordToggle).toHaveBeenCalled();
+    });
+
+    it('disables export until something is buffered', () => {
+      render(
+        <DebugPanel {...createDefaultProps()} clip={{ recording: false, seconds: 0, length: 10 }} />
+      );
+      expect(screen.getByText('Export GIF')).toBeDisabled();
+    });
+  });
+
+  describe('Saves', () => {
+    const saveSlots = [
+      { slot: 'autosave', savedAt: 2000, gameTime: 64000, version: 2 },
+      { slot: 'old', savedAt: null, gameTime: 5000, version: 1 },
+    ];
+    const renderSaves = (props = {}) => {
+      const handlers = { onSaveSlot: vi.fn(), onLoadSlot: vi.fn(), onDeleteSlot: vi.fn() };
+      render(
+        <DebugPanel {...createDefaultProps()} saveSlots={saveSlots} {...handlers} {...props} />
+      );
+      return handlers;
+    };
+
+    it('saves to a named slot', () => {
+      const handlers = renderSaves();
+
+      fireEvent.change(screen.getByLabelText('Save slot name'), { target: { value: ' big set ' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(handlers.onSaveSlot).toHaveBeenCalledWith('big set');
+    });
+
+    it('lists slots to load or delete', () => {
+      const handlers = renderSaves();
+
+      expect(screen.getByText(/autosave · 64s/)).toBeInTheDocument();
+      expect(screen.getByText(/old · 5s \(v1\)/)).toBeInTheDocument();
+      fireEvent.click(screen.getByTitle('Load old'));
+      expect(handlers.onLoadSlot).toHaveBeenCalledWith('old');
+      fireEvent.click(screen.getByTitle('Delete autosave'));
+      expect(handlers.onDeleteSlot).toHaveBeenCalledWith('autosave');
+    });
+
+    it('reports parts rejected by the last load', () => {
+      renderSaves({
+        saveReport: {
+          slot: 'old',
+          loaded: true,
+          migratedFrom: 1,
+          rejected: [{ part: 'energyField', reason: 'height has non-finite values' }],
+        },
+      });
+
+      expect(screen.getByText('Loaded old (migrated from v1)')).toBeInTheDocument();
+      expect(
+        screen.getByText('Rejected energyField: height has non-finite values')
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('Timeline', () => {
+    const timeline = {
+      first: 0,
+      last: 600,
+      startTime: 16,
+      endTime: 10000,
+      gameTime: 5000,
+      frame: 300,
+      paused: true,
+      bookmarks: [
+        { frame: 120, gameTime: 2000, kind: 'wave', label: 'SET wave' },
+        { frame: 400, gameTime: 6670, kind: 'wipeout', label: 'AI wipeout' },
+      ],
+    };
+    const renderTimeline = (props = {}) => {
+      const handlers = {
+        onTimelinePause: vi.fn(),
+        onTimelineStep: vi.fn(),
+        onTimelineSeek: vi.fn(),
+        onTimelineSeekTime: vi.fn(),
+        onTimelineBookmark: vi.fn(),
+        onTimelineBookmarkJump: vi.fn(),
+      };
+      render(<DebugPanel {...createDefaultProps()} timeline={timeline} {...handlers} {...props} />);
+      return handlers;
+    };
+
+    it('pauses and resumes', () => {
+      const handlers = renderTimeline({ timeline: { ...timeline, paused: false } });
+
+      const toggle = screen.getByText('Time Travel').closest('label');
+      expect(toggle.querySelector('button').textContent).toBe('LIVE');
+      fireEvent.click(toggle.querySelector('button'));
+      expect(handlers.onTimelinePause).toHaveBeenCalled();
+      expect(screen.queryByText('Game Time')).not.toBeInTheDocument();
+    });
+
+    it('steps frames and jumps between bookmarks', () => {
+      const handlers = renderTimeline();
+
+      fireEvent.click(screen.getByTitle('Step back (,)'));
+      fireEvent.click(screen.getByTitle('Step forward (.)'));
+      fireEvent.click(screen.getByTitle('Next bookmark (])'));
+      fireEvent.click(screen.getByTitle('Bookmark this frame'));
+
+      expect(handlers.onTimelineStep.mock.calls).toEqual([[-1], [1]]);
+      expect(handlers.onTimelineBookmarkJump).toHaveBeenCalledWith(1);
+      expect(handlers.onTimelineBookmark).toHaveBeenCalled();
+      expect(screen.getByText('300 / 600')).toBeInTheDocument();
+    });
+
+    it('scrubs and jumps to a game time', () => {
+      const handlers = renderTimeline();
+
+      const scrubber = screen.getByText('Game Time').closest('.slider-control');
+      fireEvent.change(scrubber.querySelector('input'), { target: { value: '7.5' } });
+      const jump = screen.getByLabelText('Jump to game time');
+      fireEvent.change(jump, { target: { value: '3.25' } });
+      fireEvent.keyDown(jump, { key: 'Enter' });
+
+      expect(handlers.onTimelineSeekTime.mock.calls).toEqual([[7.5], [3.25]]);
+    });
+
+    it('lists bookmarks and seeks to their frame', () => {
+      const handlers = renderTimeline();
+
+      fireEvent.click(screen.getByText('6.67s AI wipeout'));
+      expect(handlers.onTimelineSeek).toHaveBeenCalledWith(400);
+      expect(screen.getByText('2.00s SET wave')).toBeInTheDocument();
+    });
+
+    it('hides the section without a recording', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Time Travel')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Energy Solver', () => {
+    it('defaults to the wave solver label', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.getByText('wave')).toBeInTheDocument();
+    });
+
+    it('switches between wave and advect', () => {
+      const onSettingChange = vi.fn();
+      const toggles = { ...createDefaultProps().toggles, energySolver: 'advect' };
+      render(<DebugPanel {...createDefaultProps({ onSettingChange, toggles })} />);
+
+      fireEvent.click(screen.getByText('advect'));
+      expect(onSettingChange).toHaveBeenCalledWith('energySolver', 'wave');
+    });
+  });
+
+  describe('Grid Resolution', () => {
+    it('is hidden without a resolution', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Grid Resolution')).not.toBeInTheDocument();
+    });
+
+    it('shows the preset size and cycles on click', () => {
+      const onGridResolutionChange = vi.fn();
+      const gridResolution = { name: 'high', width: 90, height: 60 };
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          gridResolution={gridResolution}
+          onGridResolutionChange={onGridResolutionChange}
+        />
+      );
+
+      fireEvent.click(screen.getByText('high 90×60'));
+      expect(onGridResolutionChange).toHaveBeenCalled();
+    });
+  });
+
+  describe('Renderer', () => {
+    it('is hidden without a backend', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Renderer')).not.toBeInTheDocument();
+    });
+
+    it('shows the active backend and switches on click', () => {
+      const onRendererChange = vi.fn();
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          renderer="webgl2"
+          onRendererChange={onRendererChange}
+        />
+      );
+
+      fireEvent.click(screen.getByText('webgl2'));
+      expect(onRendererChange).toHaveBeenCalled();
+    });
+  });
+
+  describe('Camera', () => {
+    it('shows the view and cycles on click', () => {
+      const onCameraModeChange = vi.fn();
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          cameraMode="lineup"
+          onCameraModeChange={onCameraModeChange}
+        />
+      );
+
+      fireEvent.click(screen.getByText('lineup'));
+      expect(onCameraModeChange).toHaveBeenCalled();
+    });
+  });
+
+  describe('Controls', () => {
+    const inputBindings = (capturing = null) => ({
+      actions: [
+        { action: 'left', label: 'Move Left', keys: ['arrowleft', 'a'] },
+        { action: 'timelinePause', label: 'Pause', keys: [' '] },
+        { action: 'showBathymetry', label: 'Bathymetry', keys: [] },
+      ],
+      capturing,
+    });
+
+    it('lists the bound keys and starts a rebind on click', () => {
+      const onRebindStart = vi.fn();
+      const onResetBindings = vi.fn();
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          inputBindings={inputBindings()}
+          onRebindStart={onRebindStart}
+          onResetBindings={onResetBindings}
+        />
+      );
+
+      expect(screen.getByText('← / A')).toBeInTheDocument();
+      expect(screen.getByText('unbound')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Space'));
+      expect(onRebindStart).toHaveBeenCalledWith('timelinePause');
+      fireEvent.click(screen.getByText('Reset Keys'));
+      expect(onResetBindings).toHaveBeenCalled();
+    });
+
+    it('prompts for a key while capturing', () => {
+      render(
+        <DebugPanel
+          {...createDefaultProps()}
+          inputBindings={inputBindings('left')}
+          onRebindStart={vi.fn()}
+        />
+      );
+
+      expect(screen.getByText('press a key…')).toBeInTheDocument();
+      expect(screen.queryByText('← / A')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Physics', () => {
+    const physicsProps = (physics: Record<string, any> = {}) => ({
+      ...createDefaultProps(),
+      physics: {
+        config: { ...DEFAULT_PHYSICS_CONFIG },
+        preset: 'default',
+        custom: ['calm'],
+        compare: null,
+        ...physics,
+      },
+      onPhysicsChange: vi.fn(),
+      onPhysicsPresetChange: vi.fn(),
+      onPhysicsPresetSave: vi.fn(),
+      onPhysicsPresetDelete: vi.fn(),
+      onPhysicsCompareChange: vi.fn(),
+    });
+
+    it('has a slider per parameter that reports changes', () => {
+      const props = physicsProps();
+      render(<DebugPanel {...props} />);
+
+      expect(screen.getByText('Refraction')).toBeInTheDocument();
+      expect(screen.getByText('Foam Drift')).toBeInTheDocument();
+      const sliders = screen.getByText('Physics').parentElement.querySelectorAll('.slider');
+      expect(sliders).toHaveLength(Object.keys(DEFAULT_PHYSICS_CONFIG).length);
+      fireEvent.change(sliders[0], { target: { value: '0.5' } });
+      expect(props.onPhysicsChange).toHaveBeenCalledWith('refractionStrength', 0.5);
+    });
+
+    it('cycles presets and saves the config under a name', () => {
+      const props = physicsProps();
+      render(<DebugPanel {...props} />);
+
+      fireEvent.click(screen.getByText('default'));
+      expect(props.onPhysicsPresetChange).toHaveBeenCalled();
+      fireEvent.change(screen.getByLabelText('Preset name'), { target: { value: ' mine ' } });
+      fireEvent.submit(screen.getByLabelText('Preset name').closest('form'));
+      expect(props.onPhysicsPresetSave).toHaveBeenCalledWith('mine');
+    });
+
+    it('labels unsaved configs and deletes only custom presets', () => {
+      render(<DebugPanel {...physicsProps({ preset: null })} />);
+      expect(screen.getByText('custom')).toBeInTheDocument();
+      expect(screen.queryByText(/^Delete/)).not.toBeInTheDocument();
+      cleanup();
+
+      const props = physicsProps({ preset: 'calm' });
+      render(<DebugPanel {...props} />);
+      fireEvent.click(screen.getByText('Delete calm'));
+      expect(props.onPhysicsPresetDelete).toHaveBeenCalledWith('calm');
+    });
+
+    it('shows the A/B split preset', () => {
+      const props = physicsProps({ compare: 'stormy' });
+      render(<DebugPanel {...props} />);
+
+      fireEvent.click(screen.getByText('B: stormy'));
+      expect(props.onPhysicsCompareChange).toHaveBeenCalled();
+    });
+  });
+
+  describe('Bathymetry Section', () => {
+    const bathymetryProps = (overrides: Record<string, any> = {}) => ({
+      ...createDefaultProps(overrides),
+      bathymetryPreset: 'reef-pass',
+      onBathymetryPresetChange: vi.fn(),
+      onBathymetryFileLoad: vi.fn(),
+    });
+
+    it('is hidden without a bathymetry preset', () => {
+      render(<DebugPanel {...createDefaultProps()} />);
+      expect(screen.queryByText('Edit Seafloor')).not.toBeInTheDocument();
+    });
+
+    it('shows the current preset and cycles it on click', () => {
+      const props = bathymetryProps();
+      render(<DebugPanel {...props} />);
+
+      fireEvent.click(screen.getByText('reef-pass'));
+      expect(props.onBathymetryPresetChange).toHaveBeenCalled();
+    });
+
+    it('toggles the editor', () => {
+      const props = bathymetryProps();
+      render(<DebugPanel {...props} />);
+
+      const editToggle = screen.getByText(/Edit Seafloor/).closest('label');
+      fireEvent.click(editToggle.querySelector('button'));
+      expect(props.onToggle).toHaveBeenCalledWith('editBathymetry');
+    });
+
+    it('shows brush sliders only while editing', () => {
+      const toggles = {
+        ...createDefaultProps().toggles,
+        editBathymetry: true,
+        bathymetryBrushRadius: 0.08,
+        bathymetryBrushStrength: 6,
+      };
+      const { unmount } = render(<DebugPanel {...bathymetryProps()} />);
+      expect(screen.queryByText('Brush Size')).not.toBeInTheDocument();
+      unmount();
+
+      const props = bathymetryProps({ toggles });
+      render(<DebugPanel {...props} />);
+      expect(screen.getByText('Brush Size')).toBeInTheDocument();
+      expect(screen.getByText('6.0 m/s')).toBeInTheDocument();
+
+      const strength = screen.getByText('Brush Strength').closest('.slider-control');
+      fireEvent.change(strength.querySelector('input'), { target: { value: '12' } });
+      expect(props.onSettingChange).toHaveBeenCalledWith('bathymetryBrushStrength', 12);
+    });
+
+    it('passes picked heightmap files to onBathymetryFileLoad', () => {
+      const props = bathymetryProps();
+      render(<DebugPanel {...props} />);
+
+      const file = new File(['[[1,2],[3,4]]'], 'map.json', { type: 'application/json' });
+      fireEvent.change(screen.getByLabelText('Load heightmap'), { target: { files: [file] } });
+      expect(props.onBathymetryFileLoad).toHaveBeenCalledWith(file);
+    });
   });
 
   describe('Circular Progress Component', () => {
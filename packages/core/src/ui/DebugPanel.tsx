@@ -1,5 +1,8 @@
 import './DebugPanel.css';
 import { Tooltip } from 'react-tooltip';
+import { formatKey } from '../input/inputMap.js';
+import { PHYSICS_PARAMS } from '../state/physicsConfig.js';
+import { isSetWave } from '../state/waveModel.js';
 
 // Pure component - receives all data as props, rendered from game loop via requestAnimationFrame
 export function DebugPanel({
@@ -10,6 +13,12 @@ export function DebugPanel({
   energyTransferCount,
   timeScale,
   onTimeScaleChange,
+  gridResolution = null,
+  onGridResolutionChange = null,
+  renderer = null,
+  onRendererChange = null,
+  cameraMode = null,
+  onCameraModeChange = null,
   toggles,
   onToggle,
   onSettingChange,
@@ -18,9 +27,45 @@ export function DebugPanel({
   onPlayerConfigChange,
   aiMode,
   onAIModeChange,
+  bathymetryPreset = null,
+  onBathymetryPresetChange = null,
+  onBathymetryFileLoad = null,
+  tide = null,
+  tideClock = null,
+  onTideChange = null,
+  currentStats = null,
+  surferState = null,
+  crowdStats = null,
+  timeline = null,
+  onTimelinePause = null,
+  onTimelineStep = null,
+  onTimelineSeek = null,
+  onTimelineSeekTime = null,
+  onTimelineBookmark = null,
+  onTimelineBookmarkJump = null,
+  eventLog = null,
+  onEventLogExport = null,
+  onEventLogImport = null,
+  clip = null,
+  onClipRecordToggle = null,
+  onClipExport = null,
+  saveSlots = null,
+  saveReport = null,
+  onSaveSlot = null,
+  onLoadSlot = null,
+  onDeleteSlot = null,
+  inputBindings = null,
+  onRebindStart = null,
+  onResetBindings = null,
+  physics = null,
+  onPhysicsChange = null,
+  onPhysicsPresetChange = null,
+  onPhysicsPresetSave = null,
+  onPhysicsPresetDelete = null,
+  onPhysicsCompareChange = null,
 }) {
   const sls = setLullState;
-  const setWaves = displayWaves.filter((w) => w.wave.type === 'set');
+  const setWaves = displayWaves.filter((w) => isSetWave(w.wave));
   const bgWaves = displayWaves.filter((w) => w.wave.type === 'background');
 
   // Compute countdown timers (time remaining, not elapsed)
@@ -87,6 +132,18 @@ export function DebugPanel({
           onChange={() => onToggle('showFoamZones')}
           hotkey="F"
         />
+        <Toggle
+          label="Currents"
+          checked={toggles.showCurrents}
+          onChange={() => onToggle('showCurrents')}
+          hotkey="C"
+        />
+        <Toggle
+          label="Scorecard"
+          checked={toggles.showScorecard}
+          onChange={() => onToggle('showScorecard')}
+          hotkey="H"
+        />
         <Toggle
           label="Player"
           checked={toggles.showPlayer}
@@ -141,6 +198,54 @@ export function DebugPanel({
           onChange={onTimeScaleChange}
           hotkey="T"
         />
+        <Toggle
+          label="Energy Solver"
+          checked={toggles.energySolver !== 'advect'}
+          onChange={() =>
+            onSettingChange('energySolver', toggles.energySolver === 'advect' ? 'wave' : 'advect')
+          }
+          text={toggles.energySolver ?? 'wave'}
+        />
+        <Toggle
+          label="Swell Injection"
+          checked={toggles.swellInjection ?? false}
+          onChange={() => onToggle('swellInjection')}
+        />
+        <Toggle
+          label="Interference"
+          checked={toggles.waveInterference ?? true}
+          onChange={() => onToggle('waveInterference')}
+        />
+        <Toggle
+          label="Merge Double-Ups"
+          checked={toggles.mergeDoubleUps ?? false}
+          onChange={() => onToggle('mergeDoubleUps')}
+        />
+        {gridResolution && (
+          <Toggle
+            label="Grid Resolution"
+            checked={true}
+            onChange={onGridResolutionChange}
+            text={`${gridResolution.name} ${gridResolution.width}×${gridResolution.height}`}
+          />
+        )}
+        {renderer && (
+          <Toggle
+            label="Renderer"
+            checked={renderer === 'webgl2'}
+            onChange={onRendererChange}
+            text={renderer}
+          />
+        )}
+        {cameraMode && (
+          <Toggle
+            label="Camera"
+            checked={cameraMode !== 'topDown'}
+            onChange={onCameraModeChange}
+            hotkey="V"
+            text={cameraMode}
+          />
+        )}
         <Slider
           label="Depth Damping"
           tooltip="Energy decay in shallow water. Higher = faster fade before shore."
@@ -161,6 +266,225 @@ export function DebugPanel({
         />
       </Section>
 
+      {timeline && (
+        <Section title="Timeline">
+          <Toggle
+            label="Time Travel"
+            checked={timeline.paused}
+            onChange={onTimelinePause}
+            hotkey="Space"
+            text={timeline.paused ? 'PAUSED' : 'LIVE'}
+          />
+          {timeline.paused && (
+            <TimelineControls
+              timeline={timeline}
+              onStep={onTimelineStep}
+              onSeek={onTimelineSeek}
+              onSeekTime={onTimelineSeekTime}
+              onBookmark={onTimelineBookmark}
+              onBookmarkJump={onTimelineBookmarkJump}
+            />
+          )}
+        </Section>
+      )}
+
+      {eventLog && (
+        <Section title="Event Log">
+          <ReadOnly label="Events Kept" value={`${eventLog.retained} / ${eventLog.retention}`} />
+          <ReadOnly label="Events Logged" value={eventLog.total} />
+          {onEventLogExport && (
+            <div className="control">
+              <button
+                className="toggle-btn"
+                title="Download the retained history (gzipped JSON lines)"
+                onClick={onEventLogExport}
+              >
+                Export Log
+              </button>
+            </div>
+          )}
+          {onEventLogImport && (
+            <label className="control">
+              <span className="label">Load Log</span>
+              <input
+                type="file"
+                accept=".gz,.jsonl,application/gzip"
+                aria-label="Load event log"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) onEventLogImport(file);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          )}
+        </Section>
+      )}
+
+      {clip && (
+        <Section title="Clip">
+          <Toggle label="Record" checked={clip.recording} onChange={onClipRecordToggle} />
+          <ReadOnly label="Buffered" value={`${clip.seconds.toFixed(1)} / ${clip.length}s`} />
+          <div className="control">
+            <button
+              className="toggle-btn"
+              title="Download the buffered seconds as an animated GIF"
+              onClick={onClipExport}
+              disabled={clip.seconds === 0}
+            >
+              Export GIF
+            </button>
+          </div>
+        </Section>
+      )}
+
+      {saveSlots && (
+        <Section title="Saves">
+          <SaveSlots
+            slots={saveSlots}
+            report={saveReport}
+            onSave={onSaveSlot}
+            onLoad={onLoadSlot}
+            onDelete={onDeleteSlot}
+          />
+        </Section>
+      )}
+
+      {inputBindings && (
+        <Section title="Controls" open={false}>
+          <KeyBindings
+            bindings={inputBindings}
+            onRebindStart={onRebindStart}
+            onReset={onResetBindings}
+          />
+        </Section>
+      )}
+
+      {bathymetryPreset !== null && (
+        <Section title="Bathymetry">
+          <Toggle
+            label="Seafloor"
+            checked={true}
+            onChange={onBathymetryPresetChange}
+            hotkey="N"
+            text={bathymetryPreset}
+          />
+          <Toggle
+            label="Edit Seafloor"
+            checked={toggles.editBathymetry}
+            onChange={() => onToggle('editBathymetry')}
+            hotkey="K"
+          />
+          {toggles.editBathymetry && (
+            <>
+              <Slider
+                label="Brush Size"
+                tooltip="Brush radius as a fraction of the ocean. Drag to raise the floor, Shift-drag to dig."
+                value={toggles.bathymetryBrushRadius}
+                min={0.02}
+                max={0.3}
+                step={0.01}
+                onChange={(v) => onSettingChange('bathymetryBrushRadius', v)}
+              />
+              <Slider
+                label="Brush Strength"
+                tooltip="Meters per second the floor moves under the brush center."
+                value={toggles.bathymetryBrushStrength}
+                min={1}
+                max={20}
+                suffix=" m/s"
+                onChange={(v) => onSettingChange('bathymetryBrushStrength', v)}
+              />
+            </>
+          )}
+          {onBathymetryFileLoad && (
+            <label className="control">
+              <span className="label">Heightmap (PNG/JSON)</span>
+              <input
+                type="file"
+                accept=".png,.json,image/png,application/json"
+                aria-label="Load heightmap"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) onBathymetryFileLoad(file);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          )}
+        </Section>
+      )}
+
+      {tide && tideClock && (
+        <Section title="Tide">
+          <ReadOnly
+            label="Sea Level"
+            value={`${tideClock.level >= 0 ? '+' : ''}${tideClock.level.toFixed(2)} m ${tideClock.rising ? '↑' : '↓'}`}
+          />
+          <CountdownReadOnly
+            label={tideClock.rising ? 'High tide in' : 'Low tide in'}
+            remaining={tideClock.nextTurnIn}
+            total={tideClock.halfCycle}
+            progress={tideClock.turnProgress}
+            color={tideClock.rising ? '#4a90b8' : '#c8a46a'}
+          />
+          {onTideChange && !tide.table && (
+            <>
+              <Slider
+                label="Tide Range"
+                tooltip="Meters between low and high water. Shallow features switch on at low tide."
+                value={tide.range}
+                min={0}
+                max={4}
+                step={0.1}
+                suffix=" m"
+                onChange={(v) => onTideChange('range', v)}
+              />
+              <Slider
+                label="Tide Period"
+                tooltip="Seconds of game time for a full low → high → low cycle."
+                value={tide.period}
+                min={60}
+                max={1800}
+                step={30}
+                suffix=" s"
+                onChange={(v) => onTideChange('period', v)}
+              />
+            </>
+          )}
+        </Section>
+      )}
+
+      {currentStats && (
+        <Section title="Currents">
+          <ReadOnly label="Rip Speed" value={`${currentStats.ripSpeed.toFixed(1)} px/s`} />
+          <ReadOnly
+            label="Longshore Drift"
+            value={`${Math.abs(currentStats.longshore).toFixed(1)} px/s ${currentStats.longshore >= 0 ? '→' : '←'}`}
+          />
+        </Section>
+      )}
+
+      {crowdStats && (
+        <Section title="Crowd">
+          <Slider
+            label="NPC Surfers"
+            tooltip="AI surfers sharing the lineup (beginner, intermediate, expert in turn). The rider closest to the peak has priority; dropping in halves a ride's score."
+            value={toggles.crowdSize ?? 0}
+            min={0}
+            max={crowdStats.maxSize}
+            onChange={(v) => onSettingChange('crowdSize', v)}
+          />
+          {crowdStats.size > 0 && (
+            <>
+              <ReadOnly label="Riding" value={`${crowdStats.riding}/${crowdStats.size}`} />
+              <ReadOnly label="Rides Judged" value={crowdStats.rides} />
+              <ReadOnly label="Drop-ins" value={crowdStats.dropIns} />
+            </>
+          )}
+        </Section>
+      )}
+
       <Section title="Set/Lull State">
         <ReadOnly label="State" value={sls.setState} />
         <ReadOnly label="Waves" value={`${sls.wavesSpawned}/${sls.currentSetWaves}`} />
@@ -213,8 +537,22 @@ export function DebugPanel({
         </Section>
       )}
 
+      {physics && (
+        <Section title="Physics" open={false}>
+          <PhysicsTuning
+            physics={physics}
+            onChange={onPhysicsChange}
+            onPresetChange={onPhysicsPresetChange}
+            onPresetSave={onPhysicsPresetSave}
+            onPresetDelete={onPhysicsPresetDelete}
+            onCompareChange={onPhysicsCompareChange}
+          />
+        </Section>
+      )}
+
       {toggles.showPlayer && playerConfig && (
         <Section title="Player Tuning">
+          {surferState && <ReadOnly label="Surfer" value={surferState} />}
           <Slider
             label="Water Speed"
             tooltip="Target paddle speed in calm water (px/s). This is the velocity you'll reach when holding a direction."
@@ -248,26 +586,35 @@ export function DebugPanel({
             suffix="%"
             onChange={(v) => onPlayerConfigChange('foamSpeedPenalty', v / 100)}
           />
+          <Slider
+            label="Current Drag"
+            tooltip="How much of the rip/longshore current carries you (%). 100% drifts with the water; 0% ignores currents."
+            value={Math.round((playerConfig.currentDrag ?? 1) * 100)}
+            min={0}
+            max={150}
+            suffix="%"
+            onChange={(v) => onPlayerConfigChange('currentDrag', v / 100)}
+          />
         </Section>
       )}
     </div>
   );
 }
 
-function Section({ title, children }) {
+function Section({ title, children, open = true }) {
   return (
-    <details open>
+    <details open={open}>
       <summary>{title}</summary>
       <div className="section-content">{children}</div>
     </details>
   );
 }
 
-function Toggle({ label, checked, onChange, hotkey, text = null }) {
+function Toggle({ label, checked, onChange, hotkey = null, text = null }) {
   return (
     <label className="control toggle-control">
       <span className="label">
-        <kbd>{hotkey}</kbd> {label}
+        {hotkey && <kbd>{hotkey}</kbd>} {label}
       </span>
       <button className={`toggle-btn ${checked ? 'active' : ''}`} onClick={onChange}>
         {text ?? (checked ? 'ON' : 'OFF')}
@@ -299,6 +646,218 @@ function Select({ label, value, options, onChange, hotkey }) {
   );
 }
 
+// Bookmarks listed under the scrubber (nearest to the viewed frame)
+const TIMELINE_BOOKMARKS_SHOWN = 8;
+
+function TimelineControls({ timeline, onStep, onSeek, onSeekTime, onBookmark, onBookmarkJump }) {
+  const { frame, first, last, gameTime, startTime, endTime, bookmarks } = timeline;
+  const nearest = [...bookmarks]
+    .sort((a, b) => Math.abs(a.frame - frame) - Math.abs(b.frame - frame))
+    .slice(0, TIMELINE_BOOKMARKS_SHOWN)
+    .sort((a, b) => a.frame - b.frame);
+
+  return (
+    <>
+      <ReadOnly label="Frame" value={`${frame - first} / ${last - first}`} />
+      <div className="control timeline-buttons">
+        <button
+          className="toggle-btn"
+          title="Previous bookmark ([)"
+          onClick={() => onBookmarkJump(-1)}
+        >
+          ⏮
+        </button>
+        <button className="toggle-btn" title="Step back (,)" onClick={() => onStep(-1)}>
+          ◀
+        </button>
+        <button className="toggle-btn" title="Step forward (.)" onClick={() => onStep(1)}>
+          ▶
+        </button>
+        <button className="toggle-btn" title="Next bookmark (])" onClick={() => onBookmarkJump(1)}>
+          ⏭
+        </button>
+        <button className="toggle-btn" title="Bookmark this frame" onClick={onBookmark}>
+          + Mark
+        </button>
+      </div>
+      <Slider
+        label="Game Time"
+        tooltip="Drag to scrub through the recorded session. Resuming from here discards what came after."
+        value={gameTime / 1000}
+        min={startTime / 1000}
+        max={endTime / 1000}
+        step={0.01}
+        suffix=" s"
+        onChange={onSeekTime}
+      />
+      <label className="control">
+        <span className="label">Jump to (s)</span>
+        <input
+          type="number"
+          aria-label="Jump to game time"
+          className="timeline-jump"
+          step="0.1"
+          onKeyDown={(e) => {
+            const value = Number((e.target as HTMLInputElement).value);
+            if (e.key === 'Enter' && Number.isFinite(value)) onSeekTime(value);
+          }}
+        />
+      </label>
+      {nearest.map((bookmark) => (
+        <button
+          key={`${bookmark.frame}-${bookmark.kind}-${bookmark.label}`}
+          className={`timeline-bookmark ${bookmark.frame === frame ? 'active' : ''}`}
+          onClick={() => onSeek(bookmark.frame)}
+        >
+          {(bookmark.gameTime / 1000).toFixed(2)}s {bookmark.label}
+        </button>
+      ))}
+    </>
+  );
+}
+
+function SaveSlots({ slots, report, onSave, onLoad, onDelete }) {
+  return (
+    <>
+      <form
+        className="control save-form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          const name = String(new FormData(e.currentTarget).get('slot') ?? '').trim();
+          if (name) onSave(name);
+        }}
+      >
+        <input name="slot" aria-label="Save slot name" placeholder="slot name" maxLength={40} />
+        <button type="submit" className="toggle-btn">
+          Save
+        </button>
+      </form>
+      {slots.map(({ slot, gameTime, version }) => (
+        <div key={slot} className="control save-slot">
+          <span className="label">
+            {slot}
+            {gameTime !== null && ` · ${(gameTime / 1000).toFixed(0)}s`}
+            {version === 1 && ' (v1)'}
+          </span>
+          <span>
+            <button className="toggle-btn" title={`Load ${slot}`} onClick={() => onLoad(slot)}>
+              Load
+            </button>
+            <button className="toggle-btn" title={`Delete ${slot}`} onClick={() => onDelete(slot)}>
+              ✕
+            </button>
+          </span>
+        </div>
+      ))}
+      {report && (
+        <div className="save-report">
+          {report.loaded
+            ? `Loaded ${report.slot}${report.migratedFrom ? ` (migrated from v${report.migratedFrom})` : ''}`
+            : `Could not load ${report.slot}`}
+          {report.rejected.map(({ part, reason }) => (
+            <div key={part} className="save-rejected">
+              Rejected {part}: {reason}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+function KeyBindings({ bindings, onRebindStart, onReset }) {
+  return (
+    <>
+      {bindings.actions.map(({ action, label, keys }) => (
+        <div key={action} className="control key-binding">
+          <span className="label">{label}</span>
+          <button
+            className={`toggle-btn ${bindings.capturing === action ? 'active' : ''}`}
+            title={`Rebind ${label}`}
+            onClick={() => onRebindStart(action)}
+          >
+            {bindings.capturing === action
+              ? 'press a key…'
+              : keys.length > 0
+                ? keys.map(formatKey).join(' / ')
+                : 'unbound'}
+          </button>
+        </div>
+      ))}
+      {onReset && (
+        <div className="control">
+          <button className="toggle-btn" title="Restore the default keys" onClick={onReset}>
+            Reset Keys
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+function PhysicsTuning({
+  physics,
+  onChange,
+  onPresetChange,
+  onPresetSave,
+  onPresetDelete,
+  onCompareChange,
+}) {
+  const { config, preset, custom, compare } = physics;
+  return (
+    <>
+      <Toggle
+        label="Preset"
+        checked={preset !== null}
+        onChange={onPresetChange}
+        text={preset ?? 'custom'}
+      />
+      {Object.entries(PHYSICS_PARAMS).map(([key, { label, min, max, step, tooltip }]) => (
+        <Slider
+          key={key}
+          label={label}
+          tooltip={tooltip}
+          value={config[key]}
+          min={min}
+          max={max}
+          step={step}
+          onChange={(v) => onChange(key, v)}
+        />
+      ))}
+      <form
+        className="control save-form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          const name = String(new FormData(e.currentTarget).get('preset') ?? '').trim();
+          if (name) onPresetSave(name);
+        }}
+      >
+        <input name="preset" aria-label="Preset name" placeholder="preset name" maxLength={40} />
+        <button type="submit" className="toggle-btn">
+          Save
+        </button>
+      </form>
+      {custom.includes(preset) && (
+        <div className="control">
+          <button
+            className="toggle-btn"
+            title={`Delete preset ${preset}`}
+            onClick={() => onPresetDelete(preset)}
+          >
+            Delete {preset}
+          </button>
+        </div>
+      )}
+      <Toggle
+        label="A/B Split"
+        checked={compare !== null}
+        onChange={onCompareChange}
+        text={compare === null ? 'OFF' : `B: ${compare}`}
+      />
+    </>
+  );
+}
+
 function ReadOnly({ label, value }) {
   return (
     <div className="control read-only">
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createBathymetryEditor, loadBathymetryFile } from './bathymetryEditor.js';
+
+describe('bathymetryEditor', () => {
+  let canvas;
+  let brush;
+  let onStroke;
+  let editor;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    canvas.width = 800;
+    canvas.height = 600;
+    // Canvas displayed at its native size
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+    brush = { enabled: true, radius: 0.1, strength: 6 };
+    onStroke = vi.fn();
+    editor = createBathymetryEditor(canvas, {
+      getBounds: () => ({ width: 800, oceanTop: 0, oceanBottom: 500 }),
+      getBrush: () => brush,
+      onStroke,
+    });
+  });
+
+  afterEach(() => {
+    editor.destroy();
+  });
+
+  function press(x, y, init = {}) {
+    canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: x, clientY: y, ...init }));
+  }
+
+  it('raises the floor while the pointer is held', () => {
+    press(400, 250);
+    editor.update(0.5);
+
+    expect(onStroke).toHaveBeenCalledWith({ x: 0.5, progress: 0.5, radius: 0.1, amount: 3 });
+  });
+
+  it('lowers the floor with shift held', () => {
+    press(400, 250, { shiftKey: true });
+    editor.update(0.5);
+
+    expect(onStroke.mock.calls[0][0].amount).toBe(-3);
+  });
+
+  it('stops painting on pointer up', () => {
+    press(400, 250);
+    window.dispatchEvent(new MouseEvent('pointerup'));
+    editor.update(0.5);
+
+    expect(onStroke).not.toHaveBeenCalled();
+  });
+
+  it('ignores strokes outside the ocean', () => {
+    press(400, 550); // on the shore
+    editor.update(0.5);
+
+    expect(onStroke).not.toHaveBeenCalled();
+  });
+
+  it('does nothing while the editor is disabled', () => {
+    brush.enabled = false;
+    press(400, 250);
+    editor.update(0.5);
+
+    expect(onStroke).not.toHaveBeenCalled();
+  });
+
+  it('draws the brush outline at the pointer', () => {
+    const ctx = {
+      save: vi.fn(),
+      restore: vi.fn(),
+      beginPath: vi.fn(),
+      ellipse: vi.fn(),
+      stroke: vi.fn(),
+      setLineDash: vi.fn(),
+    };
+    canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: 200, clientY: 100 }));
+
+    editor.draw(ctx);
+
+    expect(ctx.ellipse).toHaveBeenCalledWith(200, 100, 80, 50, 0, 0, Math.PI * 2);
+  });
+
+  it('loads JSON heightmaps', async () => {
+    // jsdom's File has no text(); only the fields loadBathymetryFile reads
+    const file = { name: 'map.json', type: '', text: async () => '[[10, 10], [1, 2]]' };
+
+    const grid = await loadBathymetryFile(file);
+
+    expect(grid.width).toBe(2);
+    expect(Array.from(grid.depths)).toEqual([10, 10, 1, 2]);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Bathymetry Editor - Brush overlay for sculpting the seafloor live
+ *
+ * - Drag raises the seafloor (shallower), Shift-drag or right-drag digs it deeper
+ * - Strokes are emitted once per frame while the pointer is held, so the brush
+ *   strength is in meters per second regardless of pointer event rate
+ * - The caller dispatches strokes as BATHYMETRY_BRUSH events; every getDepth
+ *   consumer (refraction, foam, energy damping, heat map) sees them next frame
+ */
+
+import { parseBathymetryJson, imageDataToBathymetryGrid } from '../state/bathymetryGridModel.js';
+
+/**
+ * Create the bathymetry brush editor
+ * @param {HTMLCanvasElement} canvas - Game canvas (pointer events are read from it)
+ * @param {object} options - Editor callbacks
+ * @param {function} options.getBounds - Returns {width, oceanTop, oceanBottom} in canvas pixels
+ * @param {function} options.getBrush - Returns {enabled, radius, strength}
+ * @param {function} options.onStroke - Called with {x, progress, radius, amount}
+ * @returns {object} Editor with update(), draw() and destroy() methods
+ */
+export function createBathymetryEditor(canvas, options) {
+  const { getBounds, getBrush, onStroke } = options;
+
+  let pointer = null; // {x, y} in canvas pixels
+  let direction = 0; // +1 raise, -1 lower, 0 idle
+
+  function toCanvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / (rect.width || 1),
+      y: ((e.clientY - rect.top) * canvas.height) / (rect.height || 1),
+    };
+  }
+
+  function handlePointerDown(e) {
+    if (!getBrush().enabled) return;
+    pointer = toCanvasPoint(e);
+    direction = e.shiftKey || e.button === 2 ? -1 : 1;
+    e.preventDefault();
+  }
+
+  function handlePointerMove(e) {
+    pointer = toCanvasPoint(e);
+  }
+
+  function handlePointerUp() {
+    direction = 0;
+  }
+
+  function handleContextMenu(e) {
+    // Right-drag lowers the floor; keep the browser menu out of the way
+    if (getBrush().enabled) e.preventDefault();
+  }
+
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  window.addEventListener('pointerup', handlePointerUp);
+  canvas.addEventListener('contextmenu', handleContextMenu);
+
+  return {
+    /**
+     * Emit a brush stroke for this frame if the pointer is held over the ocean
+     * @param {number} deltaTime - Frame time in seconds (real time, not scaled)
+     */
+    update(deltaTime) {
+      const brush = getBrush();
+      if (!brush.enabled || direction === 0 || !pointer) return;
+
+      const { width, oceanTop, oceanBottom } = getBounds();
+      const progress = (pointer.y - oceanTop) / (oceanBottom - oceanTop);
+      if (progress < 0 || progress > 1) return;
+
+      onStroke({
+        x: pointer.x / width,
+        progress,
+        radius: brush.radius,
+        amount: direction * brush.strength * deltaTime,
+      });
+    },
+
+    /**
+     * Draw the brush outline at the pointer
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+      const brush = getBrush();
+      if (!brush.enabled || !pointer) return;
+
+      const { width, oceanTop, oceanBottom } = getBounds();
+      ctx.save();
+      ctx.strokeStyle = direction < 0 ? 'rgba(120, 180, 255, 0.9)' : 'rgba(255, 255, 255, 0.9)';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      // Radius is in normalized units, so the brush is an ellipse on screen
+      ctx.ellipse(
+        pointer.x,
+        pointer.y,
+        brush.radius * width,
+        brush.radius * (oceanBottom - oceanTop),
+        0,
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+      ctx.restore();
+    },
+
+    /**
+     * Remove event listeners
+     */
+    destroy() {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      canvas.removeEventListener('contextmenu', handleContextMenu);
+    },
+  };
+}
+
+/**
+ * Load a heightmap file picked in the debug panel
+ * PNG/other images: brightness is seafloor height (white = shallow).
+ * JSON: any format accepted by parseBathymetryJson.
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<object>} Grid bathymetry
+ */
+export async function loadBathymetryFile(file) {
+  if (file.name.toLowerCase().endsWith('.json') || file.type === 'application/json') {
+    return parseBathymetryJson(await file.text());
+  }
+
+  const bitmap = await createImageBitmap(file);
+  const scratch = document.createElement('canvas');
+  scratch.width = bitmap.width;
+  scratch.height = bitmap.height;
+  const scratchCtx = scratch.getContext('2d');
+  scratchCtx.drawImage(bitmap, 0, 0);
+  return imageDataToBathymetryGrid(scratchCtx.getImageData(0, 0, bitmap.width, bitmap.height));
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { FIXED_STEP_CONFIG, createFixedStepper, interpolateWorld } from './fixedStep.js';
+
+const STEP = FIXED_STEP_CONFIG.stepSeconds;
+
+describe('fixedStep', () => {
+  describe('createFixedStepper', () => {
+    it('runs whole steps and carries the remainder', () => {
+      const stepper = createFixedStepper();
+      const dts = [];
+
+      expect(stepper.advance(STEP * 2.5, 1, (dt) => dts.push(dt)).steps).toBe(2);
+      expect(dts).toEqual([STEP, STEP]);
+      expect(stepper.getAlpha()).toBeCloseTo(0.5);
+
+      expect(stepper.advance(STEP * 0.5, 1, () => {}).steps).toBe(1);
+      expect(stepper.getAlpha()).toBeCloseTo(0);
+    });
+
+    it('runs more steps, not larger ones, at a higher time scale', () => {
+      const stepper = createFixedStepper();
+      const dts = [];
+
+      const result = stepper.advance(STEP, 4, (dt) => dts.push(dt));
+      expect(result.steps).toBe(4);
+      expect(dts.every((dt) => dt === STEP)).toBe(true);
+    });
+
+    it('drops time beyond the substep limit', () => {
+      const stepper = createFixedStepper({ maxSubsteps: 3 });
+
+      const result = stepper.advance(1, 1, () => {});
+      expect(result.steps).toBe(3);
+      expect(result.dropped).toBeCloseTo(1 - STEP * 3 - result.alpha * STEP);
+      expect(result.alpha).toBeLessThan(1);
+      expect(stepper.getDroppedSeconds()).toBeCloseTo(result.dropped);
+
+      // The limit scales with time scale
+      expect(stepper.advance(1, 2, () => {}).steps).toBe(6);
+    });
+
+    it('forgets accumulated time on reset', () => {
+      const stepper = createFixedStepper();
+      stepper.advance(STEP * 0.9, 1, () => {});
+      stepper.reset();
+
+      expect(stepper.getAlpha()).toBe(0);
+      expect(stepper.advance(STEP * 0.5, 1, () => {}).steps).toBe(0);
+    });
+
+    it('rejects a non-positive step', () => {
+      expect(() => createFixedStepper({ stepSeconds: 0 })).toThrow(/positive/);
+    });
+  });
+
+  describe('interpolateWorld', () => {
+    const previous = {
+      gameTime: 1000,
+      playerProxy: { x: 0, y: 10, state: 'RIDING' },
+      crowd: [{ id: 1, surfer: { x: 100, y: 0, state: 'PADDLING' } }],
+    };
+    const current = {
+      gameTime: 1016,
+      playerProxy: { x: 10, y: 20, state: 'RIDING' },
+      crowd: [{ id: 1, surfer: { x: 110, y: 0, state: 'PADDLING' } }],
+    };
+
+    it('blends game time and surfer positions', () => {
+      const world = interpolateWorld(previous, current, 0.5);
+
+      expect(world.gameTime).toBe(1008);
+      expect(world.playerProxy).toEqual({ x: 5, y: 15, state: 'RIDING' });
+      expect(world.crowd[0].surfer.x).toBe(105);
+    });
+
+    it('draws a surfer that changed state where it is now', () => {
+      const wiped = { ...current, playerProxy: { x: 50, y: 50, state: 'WIPED_OUT' } };
+      expect(interpolateWorld(previous, wiped, 0.5).playerProxy).toBe(wiped.playerProxy);
+    });
+
+    it('returns the current world when there is nothing to blend', () => {
+      expect(interpolateWorld(null, current, 0.5)).toBe(current);
+      expect(interpolateWorld(previous, current, 1)).toBe(current);
+    });
+  });
+});
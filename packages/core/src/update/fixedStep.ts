@@ -0,0 +1,136 @@
+/**
+ * Fixed Step - Fixed-timestep scheduling for the live loop
+ *
+ * The physics (energy field blending, foam advection, refraction diffusion)
+ * is tuned at one step size, so the live loop never hands stepWorld the
+ * measured frame time. Frame time, multiplied by the time scale, fills an
+ * accumulator that is drained in whole `stepSeconds` substeps: 8x speed runs
+ * eight times as many steps, never larger ones. Rendering interpolates between
+ * the last two steps by the leftover fraction (alpha), so motion stays smooth
+ * when the display rate and the step rate differ.
+ *
+ * A frame that would need more than `maxSubsteps` (per 1x of time scale)
+ * drops the excess instead of falling further behind (the spiral of death:
+ * slow frames needing more steps, which make the next frame slower still).
+ */
+
+export const FIXED_STEP_CONFIG = {
+  stepSeconds: 1 / 60, // simulation step; the physics is tuned for this dt
+  maxSubsteps: 5, // per frame at 1x (scaled with time scale); excess time is dropped
+};
+
+/**
+ * Create a fixed-step accumulator
+ * @param {object} config - FIXED_STEP_CONFIG overrides
+ * @returns {object} Stepper API
+ */
+export function createFixedStepper(config: Record<string, any> = {}) {
+  const { stepSeconds, maxSubsteps } = { ...FIXED_STEP_CONFIG, ...config };
+  if (!(stepSeconds > 0)) {
+    throw new Error(`stepSeconds must be positive (got ${stepSeconds})`);
+  }
+
+  let accumulator = 0; // seconds of scaled time not yet simulated
+  let droppedSeconds = 0;
+
+  return {
+    stepSeconds,
+
+    /**
+     * Run the substeps due for one rendered frame
+     * @param {number} frameSeconds - Real time since the last frame
+     * @param {number} timeScale - Game speed multiplier (more substeps, same dt)
+     * @param {function} step - Called once per substep with stepSeconds
+     * @returns {{steps: number, alpha: number, dropped: number}} Substeps run,
+     *   interpolation fraction toward the next step, and seconds dropped this frame
+     */
+    advance(frameSeconds, timeScale, step) {
+      accumulator += Math.max(0, frameSeconds) * timeScale;
+
+      // Tolerance: repeated subtraction leaves a whole step as 2.9999... steps
+      let due = Math.floor(accumulator / stepSeconds + 1e-9);
+      const limit = Math.max(1, Math.ceil(maxSubsteps * timeScale));
+      let dropped = 0;
+      if (due > limit) {
+        dropped = (due - limit) * stepSeconds;
+        accumulator -= dropped;
+        droppedSeconds += dropped;
+        due = limit;
+      }
+
+      for (let i = 0; i < due; i++) {
+        step(stepSeconds);
+        accumulator -= stepSeconds;
+      }
+
+      accumulator = Math.max(0, accumulator);
+      return { steps: due, alpha: accumulator / stepSeconds, dropped };
+    },
+
+    /**
+     * Fraction of a step accumulated toward the next one (0-1)
+     */
+    getAlpha() {
+      return accumulator / stepSeconds;
+    },
+
+    /**
+     * Total scaled time dropped by the substep limit
+     */
+    getDroppedSeconds() {
+      return droppedSeconds;
+    },
+
+    /**
+     * Forget accumulated time (after a pause, a load or a hidden tab)
+     */
+    reset() {
+      accumulator = 0;
+    },
+  };
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Surfer drawn between two steps (same surfer, so x/y are all that move smoothly)
+function lerpSurfer(previous, current, alpha) {
+  if (!previous || !current || previous === current) return current;
+  return {
+    ...current,
+    x: lerp(previous.x, current.x, alpha),
+    y: lerp(previous.y, current.y, alpha),
+  };
+}
+
+/**
+ * World to draw between the last two simulation steps
+ *
+ * Only what moves continuously is blended: game time (waves are drawn from it)
+ * and surfer positions. Grids are drawn as of the latest step. A surfer that
+ * respawned or wiped out between the steps is drawn where it is now.
+ *
+ * @param {object} previous - World before the latest step (null: no blending)
+ * @param {object} current - World after the latest step
+ * @param {number} alpha - Fraction of the way from previous toward current (0-1)
+ * @returns {object} World for rendering (never dispatched or saved)
+ */
+export function interpolateWorld(previous, current, alpha) {
+  if (!previous || previous === current || alpha >= 1) return current;
+  const t = Math.max(0, alpha);
+  const sameState = (a, b) => a && b && a.state === b.state;
+
+  const previousCrowd = new Map(previous.crowd?.map((npc) => [npc.id, npc.surfer]) ?? []);
+  return {
+    ...current,
+    gameTime: lerp(previous.gameTime, current.gameTime, t),
+    playerProxy: sameState(previous.playerProxy, current.playerProxy)
+      ? lerpSurfer(previous.playerProxy, current.playerProxy, t)
+      : current.playerProxy,
+    crowd: current.crowd?.map((npc) => {
+      const before = previousCrowd.get(npc.id);
+      return sameState(before, npc.surfer)
+        ? { ...npc, surfer: lerpSurfer(before, npc.surfer, t) }
+        : npc;
+    }),
+  };
+}
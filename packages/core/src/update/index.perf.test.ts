@@ -1,5 +1,8 @@
 import { describe, it, expect } from 'vitest';
-import { updateFoamLifecycle, updateFoamRowLifecycle } from './index.js';
+import { updateFoamLifecycle, updateFoamRowLifecycle, stepWorld } from './index.js';
+import { createEventStore, EventType } from '../state/eventStore.js';
+import { GRID_RESOLUTION_PRESETS } from '../state/gridResolution.js';
+import { WAVE_TYPE } from '../state/waveModel.js';
 
 describe('update/index performance', () => {
   it('updateFoamLifecycle handles 20,000 segments under 16ms', () => {
@@ -81,4 +84,29 @@ describe('update/index performance', () => {
     // Must complete within 16ms (one frame at 60fps)
     expect(elapsed).toBeLessThan(16);
   });
+
+  it.each(Object.keys(GRID_RESOLUTION_PRESETS))(
+    'stepWorld at %s grid resolution under 16ms',
+    (name) => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 5, gridResolution: name });
+      for (let i = 0; i < 4; i++) {
+        store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 0.8, waveType: WAVE_TYPE.SET });
+      }
+
+      // Warmup (also lets the waves reach the break zone)
+      for (let i = 0; i < 300; i++) stepWorld(store, 1 / 60);
+
+      const iterations = 60;
+      const start = performance.now();
+      for (let i = 0; i < iterations; i++) stepWorld(store, 1 / 60);
+      const elapsed = (performance.now() - start) / iterations;
+
+      const { width, gridHeight } = store.getState().energyField;
+      console.log(`stepWorld (${name}, ${width}x${gridHeight}): ${elapsed.toFixed(2)}ms`);
+
+      // Must complete within 16ms (one frame at 60fps)
+      expect(elapsed).toBeLessThan(16);
+    }
+  );
 });
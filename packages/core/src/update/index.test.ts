@@ -6,14 +6,26 @@ import {
   screenYToProgress,
   updateWaveSpawning,
   updateWaves,
+  updateFoamGridsFromWaves,
   updateFoamLifecycle,
   updateFoamRowLifecycle,
   initializePlayer,
+  stepWorld,
+  replayWorld,
+  SIMULATED_EVENT_TYPES,
 } from './index.js';
-import { createWave, WAVE_TYPE } from '../state/waveModel.js';
+import { createEventStore, EventType } from '../state/eventStore.js';
+import { createWave, WAVE_TYPE, BREAKER_TYPE } from '../state/waveModel.js';
+import { createEnergyField } from '../state/energyFieldModel.js';
+import { createFoamGrids } from '../state/foamGridModel.js';
+import { createBathymetryGrid, fillBathymetryGrid } from '../state/bathymetryGridModel.js';
 import { createSetLullState, DEFAULT_CONFIG } from '../state/setLullModel.js';
 import { createInitialBackgroundState, BACKGROUND_CONFIG } from '../state/backgroundWaveModel.js';
-import { DEFAULT_BATHYMETRY } from '../state/bathymetryModel.js';
+import { DEFAULT_BATHYMETRY, getPeakX } from '../state/bathymetryModel.js';
+import { SURFER_STATE } from '../state/surferModel.js';
+import { createRideTracker } from '../state/rideScoreModel.js';
+import { createCrowdSurfer } from '../state/crowdModel.js';
+import { exportEventLog, importEventLog } from '../state/eventLog.js';
 
 describe('update/index', () => {
   describe('getOceanBounds', () => {
@@ -111,6 +123,21 @@ describe('update/index', () => {
       expect(result.setLullState).toBeDefined();
       expect(result.backgroundState).toBeDefined();
     });
+
+    it('gives spawned waves an angle from their swell direction and spread', () => {
+      const backgroundConfig = { ...BACKGROUND_CONFIG, swellDirection: -20, directionSpread: 5 };
+      const state = {
+        setLullState: createSetLullState(DEFAULT_CONFIG),
+        setConfig: DEFAULT_CONFIG,
+        backgroundState: { ...createInitialBackgroundState(BACKGROUND_CONFIG), nextWaveTime: 0 },
+        backgroundConfig,
+      };
+
+      const result = updateWaveSpawning(state, 0.016, 1000, { randomFn: () => 0.5 });
+      const spawn = result.events.find((e) => e.waveType === WAVE_TYPE.BACKGROUND);
+
+      expect(spawn.angle).toBe(-20);
+    });
   });
 
   describe('updateWaves', () => {
@@ -136,6 +163,142 @@ describe('update/index', () => {
       // Progress should have changed
       expect(activeWaves[0].progressPerX).not.toEqual(initialProgress);
     });
+
+    it('sets local height and breaker type per slice', () => {
+      const wave = createWave(0, 0.8, WAVE_TYPE.SET);
+      const [active] = updateWaves([wave], 9000, 10000, 0, DEFAULT_BATHYMETRY);
+
+      expect(active.heightPerX).toHaveLength(active.progressPerX.length);
+      expect(active.breakerPerX).toHaveLength(active.progressPerX.length);
+      // Near shore the wave breaks somewhere along its crest
+      expect(active.breakerPerX.some((breaker) => breaker !== null)).toBe(true);
+    });
+
+    it('superposes crests that meet into a double-up', () => {
+      const set = createWave(0, 0.5, WAVE_TYPE.SET, 'set');
+      const windSwell = createWave(0, 0.3, WAVE_TYPE.BACKGROUND, 'wind');
+      const active = updateWaves([set, windSwell], 3000, 10000, 0, DEFAULT_BATHYMETRY);
+
+      expect(active).toHaveLength(2);
+      expect(Math.max(...set.amplitudePerX)).toBeGreaterThan(0.75);
+      expect(Math.max(...windSwell.amplitudePerX)).toBe(0);
+    });
+
+    it('leaves amplitudes alone with interference off', () => {
+      const set = createWave(0, 0.5, WAVE_TYPE.SET, 'set');
+      const windSwell = createWave(0, 0.3, WAVE_TYPE.BACKGROUND, 'wind');
+      updateWaves([set, windSwell], 3000, 10000, 0, DEFAULT_BATHYMETRY, undefined, {
+        enabled: false,
+      });
+
+      expect(set.amplitudePerX).toBeNull();
+      expect(windSwell.amplitudePerX).toBeNull();
+    });
+
+    it('merges coincident waves when merging is on', () => {
+      const set = createWave(0, 0.5, WAVE_TYPE.SET, 'set');
+      const windSwell = createWave(0, 0.3, WAVE_TYPE.BACKGROUND, 'wind');
+      const active = updateWaves([set, windSwell], 3000, 10000, 0, DEFAULT_BATHYMETRY, undefined, {
+        merge: true,
+      });
+
+      expect(active).toHaveLength(1);
+      expect(active[0].type).toBe(WAVE_TYPE.DOUBLE_UP);
+      expect(active[0].amplitude).toBeCloseTo(0.8);
+    });
+  });
+
+  describe('updateFoamGridsFromWaves', () => {
+    const sum = (data) => data.reduce((total, v) => total + v, 0);
+
+    // A wave breaking mid-ocean over 3m of water on a slope rising `rise` meters
+    // over the ocean's length (see OCEAN_LENGTH_METERS), with full energy everywhere
+    function breakOnSlope(rise) {
+      const bathymetry = fillBathymetryGrid(
+        createBathymetryGrid(4, 100),
+        (_x, progress) => 3 + rise * (0.5 - progress)
+      );
+      const energyField = createEnergyField(10, 20);
+      energyField.height.fill(1);
+      const { foam, energyTransfer } = createFoamGrids(10, 20);
+      const wave = createWave(0, 0.8, WAVE_TYPE.SET);
+      // Crest straight across at the breaking point (no refraction this step)
+      wave.progressPerX.fill(0.5);
+      wave.lastUpdateTime = 5000;
+      const [active] = updateWaves([wave], 5000, 10000, 0, bathymetry);
+
+      updateFoamGridsFromWaves([active], {
+        gameTime: 5000, // halfway across a 10s crossing
+        bathymetry,
+        energyField,
+        foamGrid: foam,
+        energyTransferGrid: energyTransfer,
+        foamGridWidth: 10,
+        foamGridHeight: 20,
+        canvasHeight: 600,
+        shoreHeight: 100,
+        swellSpeed: 50,
+        deltaTime: 1 / 60,
+      });
+      return {
+        breaker: active.breakerPerX[0],
+        energyLeft: sum(energyField.height),
+        foam: sum(energyTransfer.lastFrame),
+      };
+    }
+
+    it('releases and deposits energy by breaker type', () => {
+      const spilling = breakOnSlope(10);
+      const plunging = breakOnSlope(80);
+      const surging = breakOnSlope(200);
+      expect([spilling.breaker, plunging.breaker, surging.breaker]).toEqual([
+        BREAKER_TYPE.SPILLING,
+        BREAKER_TYPE.PLUNGING,
+        BREAKER_TYPE.SURGING,
+      ]);
+
+      // Spilling bleeds energy row by row; plunging dumps it all at once
+      expect(spilling.energyLeft).toBeGreaterThan(plunging.energyLeft);
+      expect(spilling.foam).toBeLessThan(plunging.foam);
+      // Surging releases as much but reflects most of it instead of foaming
+      expect(surging.energyLeft).toBeCloseTo(plunging.energyLeft, 6);
+      expect(surging.foam).toBeLessThan(plunging.foam / 2);
+    });
+
+    it('breaks an angled crest where each slice is, not along one line', () => {
+      // Shallow everywhere, so every slice breaks at its own crest
+      const bathymetry = fillBathymetryGrid(createBathymetryGrid(4, 100), () => 1.5);
+      const energyField = createEnergyField(10, 20);
+      energyField.height.fill(1);
+      const { foam, energyTransfer } = createFoamGrids(10, 20);
+      // Left side in first, the right edge still behind the horizon
+      const wave = createWave(0, 0.8, WAVE_TYPE.SET, 'angled', { angle: 20, samples: 10 });
+      wave.progressPerX = [0.6, 0.6, 0.55, 0.5, 0.45, 0.4, 0.35, 0.3, 0.25, 0];
+      wave.holdPerX = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0.05];
+
+      updateFoamGridsFromWaves([wave], {
+        gameTime: 5000, // the base crest would sit halfway across
+        bathymetry,
+        energyField,
+        foamGrid: foam,
+        energyTransferGrid: energyTransfer,
+        foamGridWidth: 10,
+        foamGridHeight: 20,
+        canvasHeight: 600,
+        shoreHeight: 100,
+        swellSpeed: 50,
+        deltaTime: 1 / 60,
+      });
+
+      const foamRows = (x) =>
+        Array.from({ length: 20 }, (_, row) => row).filter(
+          (row) => energyTransfer.lastFrame[row * 10 + x] > 0
+        );
+      expect(foamRows(0)).toEqual([12]);
+      expect(foamRows(8)).toEqual([5]);
+      // Held slices have no crest in the water yet
+      expect(foamRows(9)).toEqual([]);
+    });
   });
 
   describe('updateFoamLifecycle', () => {
@@ -180,6 +343,325 @@ describe('update/index', () => {
       expect(player.x).toBeDefined();
       expect(player.y).toBeDefined();
     });
+
+    it('creates a paddling surfer', () => {
+      expect(initializePlayer(800, 600, 100).state).toBe(SURFER_STATE.PADDLING);
+    });
+  });
+
+  describe('stepWorld / replayWorld', () => {
+    const LEFT = { left: true, right: false, up: false, down: false };
+    const IDLE = { left: false, right: false, up: false, down: false };
+
+    function runSession(seed) {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+      store.dispatch({ type: EventType.PLAYER_INIT, playerProxy: initializePlayer(800, 600, 100) });
+      for (let i = 0; i < 600; i++) {
+        if (i === 300) {
+          store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showAIPlayer', value: true });
+        }
+        stepWorld(store, 1 / 60, i < 120 ? LEFT : IDLE);
+      }
+      return store;
+    }
+
+    it('advances game time and spawns waves', () => {
+      const world = runSession(1).getState();
+
+      expect(world.gameTime).toBeCloseTo(10000, 6);
+      expect(world.waves.length).toBeGreaterThan(0);
+    });
+
+    it('produces identical worlds for the same seed', () => {
+      const a = runSession(42).getState();
+      const b = runSession(42).getState();
+
+      expect(b.waves).toEqual(a.waves);
+      expect(b.energyField.height).toEqual(a.energyField.height);
+      expect(b.foamGrid.data).toEqual(a.foamGrid.data);
+      expect(b.playerProxy).toEqual(a.playerProxy);
+    });
+
+    it('injects directional swells into the energy field when swellInjection is on', () => {
+      const horizonRange = (swellInjection) => {
+        const store = createEventStore();
+        store.dispatch({ type: EventType.GAME_INIT, seed: 1 });
+        store.dispatch({
+          type: EventType.TOGGLE_CHANGE,
+          key: 'swellInjection',
+          value: swellInjection,
+        });
+        for (let i = 0; i < 90; i++) stepWorld(store, 1 / 60);
+        const field = store.getState().energyField;
+        const row: number[] = Array.from(field.height.subarray(0, field.width));
+        return Math.max(...row) - Math.min(...row);
+      };
+
+      // The default wind swell arrives at an angle, so the horizon row is not uniform
+      expect(horizonRange(true)).toBeGreaterThan(0.05);
+      expect(horizonRange(false)).toBeLessThan(horizonRange(true));
+    });
+
+    it('injects the slices of an angled crest as they cross the horizon', () => {
+      const run = (angle, ticks) => {
+        const store = createEventStore();
+        store.dispatch({ type: EventType.GAME_INIT, seed: 1 });
+        store.dispatch({ type: EventType.WAVE_SPAWN, amplitude: 1, waveType: 'set', angle });
+        for (let i = 0; i < ticks; i++) stepWorld(store, 1 / 60);
+        return store.getState();
+      };
+      const spawned = run(30, 0);
+      const { oceanBottom } = getOceanBounds(600, spawned.shoreHeight);
+      const travelDuration = calculateTravelDuration(oceanBottom, spawned.swellSpeed);
+      const ticks = Math.ceil((spawned.waves[0].holdSpan * travelDuration) / (1000 / 60)) + 2;
+      const total = (world) => world.energyField.height.reduce((sum, h) => sum + h, 0);
+
+      const angled = run(30, ticks);
+      // A shore-normal crest has nothing held back to release
+      const normal = run(0, ticks);
+
+      expect(angled.waves[0].holdPerX.every((h) => h <= 0)).toBe(true);
+      expect(total(angled) - total(normal)).toBeGreaterThan(1);
+    });
+
+    it('takes the surfer off on a steep energy field face', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 1 });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+      const { oceanTop, oceanBottom } = getOceanBounds(600, store.getState().shoreHeight);
+      store.dispatch({
+        type: EventType.PLAYER_INIT,
+        playerProxy: {
+          ...initializePlayer(800, 600, 100),
+          y: (oceanTop + oceanBottom) / 2,
+          vy: 30,
+        },
+      });
+
+      // Water piled up toward the horizon: a uniform face across the ocean
+      const field = store.getState().energyField;
+      for (let y = 0; y < field.gridHeight; y++) {
+        for (let x = 0; x < field.width; x++) {
+          field.height[y * field.width + x] = 8 * (1 - y / (field.gridHeight - 1));
+        }
+      }
+
+      const world = stepWorld(store, 1 / 60, { left: false, right: false, up: false, down: true });
+
+      expect(world.playerProxy.state).toBe(SURFER_STATE.TAKEOFF);
+    });
+
+    it('judges a finished ride into the scorecard and the event log', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 1 });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+      const surfer = { ...initializePlayer(800, 600, 100), y: 300 };
+      store.dispatch({ type: EventType.PLAYER_INIT, playerProxy: surfer });
+      // A two-second ride that just ended (the surfer is back on their belly)
+      store.dispatch({
+        type: EventType.PLAYER_UPDATE,
+        playerProxy: surfer,
+        aiState: null,
+        lastAIInput: null,
+        rideTracker: {
+          ...createRideTracker(surfer, 0),
+          duration: 2,
+          rideTime: 2,
+          lineDistance: 0.3,
+        },
+      });
+
+      const world = stepWorld(store, 1 / 60);
+
+      expect(world.rideTracker).toBeNull();
+      expect(world.scorecard.rides).toHaveLength(1);
+      expect(world.scorecard.rides[0].rider).toBe('PLAYER');
+      expect(world.scorecard.total).toBeGreaterThan(0);
+      const scored = store.getEvents().filter((e) => e.type === EventType.RIDE_SCORED);
+      expect(scored).toHaveLength(1);
+      // Replay regenerates judged rides instead of adding the logged copy again
+      expect(SIMULATED_EVENT_TYPES.has(EventType.RIDE_SCORED)).toBe(true);
+    });
+
+    it('runs an NPC crowd and replays it to the same lineup', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 5 });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'crowdSize', value: 3 });
+      for (let i = 0; i < 600; i++) {
+        if (i === 300) {
+          store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'crowdSize', value: 4 });
+        }
+        stepWorld(store, 1 / 60);
+      }
+      const world = store.getState();
+      const replayed = replayWorld(store.getEvents()).getState();
+
+      expect(world.crowd.map((npc) => npc.id)).toEqual(['npc-1', 'npc-2', 'npc-3', 'npc-4']);
+      expect(replayed.crowd.map((npc) => npc.surfer)).toEqual(world.crowd.map((npc) => npc.surfer));
+      expect(replayed.crowd.map((npc) => npc.scorecard)).toEqual(
+        world.crowd.map((npc) => npc.scorecard)
+      );
+      expect(SIMULATED_EVENT_TYPES.has(EventType.CROWD_UPDATE)).toBe(true);
+    });
+
+    it('flags the player dropping in on an NPC with priority', () => {
+      const store = createEventStore();
+      store.dispatch({ type: EventType.GAME_INIT, seed: 1 });
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+      const { oceanTop, oceanBottom } = getOceanBounds(600, store.getState().shoreHeight);
+      const y = (oceanTop + oceanBottom) / 2;
+      const peakX = getPeakX(store.getState().bathymetry) * 800;
+      store.dispatch({
+        type: EventType.PLAYER_INIT,
+        playerProxy: { ...initializePlayer(800, 600, 100), x: peakX + 200, y, vy: 30 },
+      });
+      // An NPC already riding right on the peak, on the same wave
+      const npc = createCrowdSurfer(
+        0,
+        store.getState().bathymetry,
+        800,
+        oceanTop,
+        oceanBottom,
+        600
+      );
+      store.dispatch({
+        type: EventType.CROWD_UPDATE,
+        crowd: [{ ...npc, surfer: { ...npc.surfer, x: peakX, y, state: SURFER_STATE.RIDING } }],
+      });
+
+      const field = store.getState().energyField;
+      for (let row = 0; row < field.gridHeight; row++) {
+        for (let x = 0; x < field.width; x++) {
+          field.height[row * field.width + x] = 8 * (1 - row / (field.gridHeight - 1));
+        }
+      }
+
+      const world = stepWorld(store, 1 / 60, { left: false, right: false, up: false, down: true });
+
+      expect(world.playerProxy.state).toBe(SURFER_STATE.TAKEOFF);
+      expect(world.rideTracker.dropIn).toBe('npc-1');
+    });
+
+    it('diverges for different seeds', () => {
+      const a = runSession(1).getState();
+      const b = runSession(2).getState();
+
+      expect(b.waves).not.toEqual(a.waves);
+    });
+
+    it('replays bathymetry edits', () => {
+      const live = createEventStore();
+      live.dispatch({ type: EventType.GAME_INIT, seed: 3 });
+      for (let i = 0; i < 120; i++) {
+        if (i === 30) {
+          live.dispatch({
+            type: EventType.BATHYMETRY_BRUSH,
+            x: 0.6,
+            progress: 0.5,
+            radius: 0.15,
+            amount: 12,
+          });
+        }
+        stepWorld(live, 1 / 60);
+      }
+
+      const replayed = replayWorld(live.getEvents()).getState();
+      const world = live.getState();
+
+      expect(replayed.bathymetry.depths).toEqual(world.bathymetry.depths);
+      expect(replayed.energyField.height).toEqual(world.energyField.height);
+    });
+
+    it('changes the energy field with the tide and replays tide edits', () => {
+      function runTide(tide) {
+        const store = createEventStore();
+        store.dispatch({ type: EventType.GAME_INIT, seed: 5, tide });
+        for (let i = 0; i < 300; i++) {
+          if (i === 150 && tide) {
+            store.dispatch({ type: EventType.TIDE_SET, tide: { range: 3 } });
+          }
+          stepWorld(store, 1 / 60);
+        }
+        return store;
+      }
+
+      const tidal = runTide({ range: 2, period: 60, phase: 0.5 });
+      const slack = runTide(null);
+      const world = tidal.getState();
+
+      expect(world.tideLevel).not.toBe(0);
+      expect(world.energyField.height).not.toEqual(slack.getState().energyField.height);
+
+      const replayed = replayWorld(tidal.getEvents()).getState();
+      expect(replayed.tideLevel).toBe(world.tideLevel);
+      expect(replayed.energyField.height).toEqual(world.energyField.height);
+    });
+
+    it('replays an event log to a bit-identical world', () => {
+      const live = runSession(7);
+      const replayed = replayWorld(live.getEvents()).getState();
+      const world = live.getState();
+
+      expect(replayed.gameTime).toBe(world.gameTime);
+      expect(replayed.waves).toEqual(world.waves);
+      expect(replayed.energyField.height).toEqual(world.energyField.height);
+      expect(replayed.energyField.velocity).toEqual(world.energyField.velocity);
+      expect(replayed.currentField.vx).toEqual(world.currentField.vx);
+      expect(replayed.currentField.vy).toEqual(world.currentField.vy);
+      expect(replayed.foamGrid.data).toEqual(world.foamGrid.data);
+      expect(replayed.playerProxy).toEqual(world.playerProxy);
+      expect(replayed.rideTracker).toEqual(world.rideTracker);
+      expect(replayed.scorecard).toEqual(world.scorecard);
+      expect(replayed.random).toEqual(world.random);
+    });
+
+    it('replays an exported and re-imported log to the same world', async () => {
+      const live = runSession(9);
+      const bytes = await exportEventLog({ events: live.getEvents() });
+      const { events, baseline } = await importEventLog(bytes);
+      const replayed = replayWorld(events).getState();
+      const world = live.getState();
+
+      expect(baseline).toBeNull();
+      expect(replayed.energyField.height).toEqual(world.energyField.height);
+      expect(replayed.foamGrid.data).toEqual(world.foamGrid.data);
+      expect(replayed.playerProxy).toEqual(world.playerProxy);
+      expect(replayed.random).toEqual(world.random);
+    });
+
+    it('replays a log cut by retention from its checkpoint to the same world', async () => {
+      const live = createEventStore(null, { retention: 400, checkpointInterval: 150 });
+      live.dispatch({ type: EventType.GAME_INIT, seed: 11 });
+      for (let i = 0; i < 600; i++) stepWorld(live, 1 / 60);
+      const log = live.getReplayLog();
+      expect(live.getFirstEventIndex()).toBeGreaterThan(0);
+      expect(log.firstIndex).toBeGreaterThanOrEqual(live.getFirstEventIndex());
+
+      const { events, baseline } = await importEventLog(await exportEventLog(log));
+      const store = createEventStore();
+      store.restore(baseline, []);
+      const replayed = replayWorld(events, store).getState();
+      const world = live.getState();
+
+      expect(replayed.gameTime).toBe(world.gameTime);
+      expect(replayed.waves).toEqual(world.waves);
+      expect(replayed.energyField.height).toEqual(world.energyField.height);
+      expect(replayed.foamGrid.data).toEqual(world.foamGrid.data);
+      expect(replayed.currentField.vx).toEqual(world.currentField.vx);
+      expect(replayed.random).toEqual(world.random);
+    });
+
+    it('logs simulated updates compactly', () => {
+      const events = runSession(7).getEvents();
+      const wavesUpdates = events.filter((e) => e.type === EventType.WAVES_UPDATE);
+      const ticks = events.filter((e) => e.type === EventType.GAME_TICK);
+
+      // Waves refract in place, so only removals reach the log
+      expect(wavesUpdates.length).toBeLessThan(ticks.length / 10);
+      wavesUpdates.forEach((e) => expect(e.waves).toBeUndefined());
+    });
   });
 
   // Performance tests moved to index.perf.test.ts
@@ -10,27 +10,44 @@ import { updateBackgroundWaveState } from '../state/backgroundWaveModel.js';
 import {
   getActiveWaves,
   updateWaveRefraction,
-  getWaveProgress,
+  updateWaveShoaling,
+  getLocalWaveHeight,
+  getAmplitudeAtX,
+  getProgressAtX,
+  isHeldAtX,
+  getBottomSlope,
+  classifyBreaker,
+  BREAKER_FOAM,
   isWaveBreaking,
   isWaveBreakingWithEnergy,
+  sampleWaveAngle,
   WAVE_TYPE,
 } from '../state/waveModel.js';
+import { updateWaveInterference, mergeNearCoincident } from '../state/waveInterferenceModel.js';
 import { createFoam, updateFoam, getActiveFoam } from '../state/foamModel.js';
 import {
   updateEnergyField,
   getHeightAt,
   drainEnergyAt,
   injectWavePulse,
+  injectSwells,
+  swellsFromConfigs,
+  getFieldSpeedRatio,
+  ENERGY_SOLVER,
 } from '../state/energyFieldModel.js';
 import { accumulateEnergyTransfer, updateFoamLayer } from '../state/foamGridModel.js';
-import {
-  updatePlayerProxy,
-  createPlayerProxy,
-  PLAYER_PROXY_CONFIG,
-} from '../state/playerProxyModel.js';
+import { updateCurrentField } from '../state/currentFieldModel.js';
+import { updateSurfer, createSurfer } from '../state/surferModel.js';
+import { toAnalogInput } from '../state/playerProxyModel.js';
+import { trackRide } from '../state/rideScoreModel.js';
 import { updateAIPlayer, createAIState } from '../state/aiPlayerModel.js';
-import { getDepth } from '../state/bathymetryModel.js';
-import { EventType } from '../state/eventStore.js';
+import { updateCrowd, resizeCrowd, flagDropIn } from '../state/crowdModel.js';
+import { getDepth, getPeakX, DEFAULT_BATHYMETRY } from '../state/bathymetryModel.js';
+import { applyTide } from '../state/tideModel.js';
+import { EventType, createEventStore, expandEvent } from '../state/eventStore.js';
+import { FOAM_GRID_HEIGHT, FOAM_GRID_WIDTH } from '../state/foamGridModel.js';
+import { DEFAULT_PHYSICS_CONFIG } from '../state/physicsConfig.js';
+import { createRandomFn } from '../core/random.js';
 import {
   getOceanBounds,
   calculateTravelDuration,
@@ -43,19 +60,24 @@ export { getOceanBounds, calculateTravelDuration, progressToScreenY, screenYToPr
 
 /**
  * Update wave spawning state machines
+ * @param {object} options - Optional { randomFn } (defaults to Math.random)
  * @returns {object} { events, setLullState, backgroundState }
  */
-export function updateWaveSpawning(state, deltaTime, gameTime, _config = {}) {
+export function updateWaveSpawning(state, deltaTime, gameTime, options: Record<string, any> = {}) {
+  const { randomFn = Math.random } = options;
   const events = [];
 
   // Update set/lull state machine
-  const setResult = updateSetLullState(state.setLullState, gameTime, state.setConfig);
+  const setResult = updateSetLullState(state.setLullState, gameTime, state.setConfig, randomFn);
 
   if (setResult.shouldSpawn) {
+    const { swellDirection = 0, directionSpread = 0 } = state.setConfig;
     events.push({
       type: EventType.WAVE_SPAWN,
       amplitude: setResult.amplitude,
       waveType: WAVE_TYPE.SET,
+      angle: sampleWaveAngle(swellDirection, directionSpread, randomFn),
+      period: state.setConfig.wavePeriod,
     });
   }
 
@@ -63,14 +85,18 @@ export function updateWaveSpawning(state, deltaTime, gameTime, _config = {}) {
   const bgResult = updateBackgroundWaveState(
     state.backgroundState,
     deltaTime,
-    state.backgroundConfig
+    state.backgroundConfig,
+    randomFn
   );
 
   if (bgResult.shouldSpawn) {
+    const { swellDirection = 0, directionSpread = 0 } = state.backgroundConfig;
     events.push({
       type: EventType.WAVE_SPAWN,
       amplitude: bgResult.amplitude,
       waveType: WAVE_TYPE.BACKGROUND,
+      angle: sampleWaveAngle(swellDirection, directionSpread, randomFn),
+      period: state.backgroundConfig.wavePeriod,
     });
   }
 
@@ -82,17 +108,58 @@ export function updateWaveSpawning(state, deltaTime, gameTime, _config = {}) {
 }
 
 /**
- * Update wave lifecycle and refraction
+ * Update wave lifecycle, refraction, interference and shoaling (local height and
+ * breaker type per slice)
+ * @param {object} interference - { enabled, merge } (world.toggles waveInterference / mergeDoubleUps)
+ * @param {object} energyField - Field run by the WAVE solver: crests move at its speeds
+ *   (null, or a field not yet stepped by it = per-wave refraction from physics)
  */
-export function updateWaves(waves, gameTime, travelDuration, bufferDuration, bathymetry) {
+export function updateWaves(
+  waves,
+  gameTime,
+  travelDuration,
+  bufferDuration,
+  bathymetry,
+  physics = DEFAULT_PHYSICS_CONFIG,
+  interference: Record<string, any> = {},
+  energyField = null
+) {
+  const { enabled = true, merge = false } = interference;
+
   // Filter to active waves
-  const activeWaves = getActiveWaves(waves, gameTime - bufferDuration, travelDuration);
+  let activeWaves = getActiveWaves(waves, gameTime - bufferDuration, travelDuration);
 
   // Update refraction for each wave
   const getDepthFn = (normalizedX, progress) => getDepth(normalizedX, bathymetry, progress);
+  const speedRatioFn =
+    energyField && getFieldSpeedRatio(energyField, 0.5, 0) !== null
+      ? (normalizedX, progress) => getFieldSpeedRatio(energyField, normalizedX, progress)
+      : null;
+
+  for (const wave of activeWaves) {
+    updateWaveRefraction(
+      wave,
+      gameTime,
+      travelDuration,
+      getDepthFn,
+      bathymetry.deepDepth,
+      physics,
+      speedRatioFn
+    );
+  }
+
+  // Superpose crests that meet (faster, longer-period waves catch the ones ahead)
+  if (merge) {
+    activeWaves = mergeNearCoincident(activeWaves);
+  }
+  if (enabled) {
+    updateWaveInterference(activeWaves, getDepthFn);
+  } else {
+    for (const wave of activeWaves) wave.amplitudePerX = null;
+  }
 
   for (const wave of activeWaves) {
-    updateWaveRefraction(wave, gameTime, travelDuration, getDepthFn, bathymetry.deepDepth);
+    updateWaveShoaling(wave, getDepthFn);
   }
 
   return activeWaves;
@@ -100,13 +167,13 @@ export function updateWaves(waves, gameTime, travelDuration, bufferDuration, bat
 
 /**
  * Grid-based foam update:
- * - Detect breaking
- * - Drain energy into transfer grid
+ * - Detect breaking and classify the breaker (spilling/plunging/surging)
+ * - Drain energy into transfer grid (by breaker type, see BREAKER_FOAM)
  * - Transfer energy into foam grid with decay/advection
+ * Rates come from state.physics (physicsConfig.ts).
  */
 export function updateFoamGridsFromWaves(waves, state) {
   const {
-    gameTime,
     bathymetry,
     energyField,
     foamGrid,
@@ -115,65 +182,74 @@ export function updateFoamGridsFromWaves(waves, state) {
     foamGridHeight,
     canvasHeight,
     shoreHeight,
-    swellSpeed,
     deltaTime,
+    currentField = null,
+    physics = DEFAULT_PHYSICS_CONFIG,
   } = state;
 
-  const { oceanTop, oceanBottom } = getOceanBounds(canvasHeight, shoreHeight);
-  const travelDuration = calculateTravelDuration(oceanBottom, swellSpeed);
+  const bounds = getOceanBounds(canvasHeight, shoreHeight);
+  const { oceanTop, oceanBottom } = bounds;
 
   const numXSamples = foamGridWidth || foamGrid.width;
   const foamGridRows = foamGridHeight || foamGrid.height;
   const foamYSpacing = (oceanBottom - oceanTop) / foamGridRows;
-  const baseDragRate = 0.6; // per-second dissipation in shallow water even without breaking
+  const { shoalingDrag, breakingDrain, minEnergyForBreaking } = physics;
+  const getDepthFn = (normalizedX, progress) => getDepth(normalizedX, bathymetry, progress);
 
   for (const wave of waves) {
-    const progress = getWaveProgress(wave, gameTime, travelDuration);
-    const waveY = progressToScreenY(progress, oceanTop, oceanBottom);
-
-    if (wave.lastFoamY >= 0 && Math.abs(waveY - wave.lastFoamY) < foamYSpacing) {
-      continue;
-    }
+    const lastFoamYs = getLastFoamYs(wave, 'lastFoamYPerX', numXSamples);
 
-    const startY = wave.lastFoamY >= 0 ? wave.lastFoamY : waveY;
-    const yDelta = waveY - startY;
-    const direction = Math.sign(yDelta);
-    const numRows = Math.max(1, Math.floor(Math.abs(yDelta) / foamYSpacing));
+    for (let i = 0; i < numXSamples; i++) {
+      const normalizedX = (i + 0.5) / numXSamples;
+      // Each slice breaks where its own crest is; slices held behind the horizon have none
+      if (isHeldAtX(wave, normalizedX)) continue;
+      const rows = getFoamRowsCrossed(wave, normalizedX, lastFoamYs[i], foamYSpacing, bounds);
 
-    for (let row = 0; row < numRows; row++) {
-      const foamY = startY + direction * (row + 1) * foamYSpacing;
-      const foamProgress = screenYToProgress(foamY, oceanTop, oceanBottom);
+      // Superposed amplitude here: a crest absorbed into a double-up (or cancelled) has none
+      const slice = { amplitude: getAmplitudeAtX(wave, normalizedX), period: wave.period };
 
-      let depositedAny = false;
-      for (let i = 0; i < numXSamples; i++) {
-        const normalizedX = (i + 0.5) / numXSamples;
+      for (const foamY of rows) {
+        const foamProgress = screenYToProgress(foamY, oceanTop, oceanBottom);
         const depth = getDepth(normalizedX, bathymetry, foamProgress);
-
         const energyAtPoint = Math.abs(getHeightAt(energyField, normalizedX, foamProgress));
-        const shouldBreak = isWaveBreakingWithEnergy(wave, depth, energyAtPoint);
+        const shouldBreak =
+          slice.amplitude > 0 &&
+          isWaveBreakingWithEnergy(slice, depth, energyAtPoint, minEnergyForBreaking);
+        let deposited = false;
 
         // Always dissipate some energy as waves shoal, even before breaking
         const shallowFactor = Math.max(0, 1 - depth / 6); // stronger drag in shallow water
-        const dragEnergy = energyAtPoint * shallowFactor * baseDragRate * deltaTime;
+        const dragEnergy = energyAtPoint * shallowFactor * shoalingDrag * deltaTime;
         if (dragEnergy > 0) {
           const released = drainEnergyAt(energyField, normalizedX, foamProgress, dragEnergy);
           if (released > 0) {
             accumulateEnergyTransfer(energyTransferGrid, normalizedX, foamProgress, released);
-            depositedAny = true;
+            deposited = true;
           }
         }
 
         if (shouldBreak) {
-          const drainAmount = wave.amplitude * 20.0;
+          const breaker = classifyBreaker(
+            getBottomSlope(getDepthFn, normalizedX, foamProgress),
+            getLocalWaveHeight(slice, depth),
+            slice.period
+          );
+          const { drainShare, foamShare } = BREAKER_FOAM[breaker];
+          const drainAmount = slice.amplitude * breakingDrain * drainShare;
           const energyReleased = drainEnergyAt(energyField, normalizedX, foamProgress, drainAmount);
 
-          accumulateEnergyTransfer(energyTransferGrid, normalizedX, foamProgress, energyReleased);
-          depositedAny = true;
+          accumulateEnergyTransfer(
+            energyTransferGrid,
+            normalizedX,
+            foamProgress,
+            energyReleased * foamShare
+          );
+          deposited = true;
         }
-      }
 
-      if (depositedAny) {
-        wave.lastFoamY = foamY;
+        if (deposited) {
+          lastFoamYs[i] = foamY;
+        }
       }
     }
   }
@@ -192,7 +268,12 @@ export function updateFoamGridsFromWaves(waves, state) {
     energyTransferGrid.lastFrame = target;
   }
 
-  updateFoamLayer(foamGrid, energyTransferGrid, deltaTime);
+  updateFoamLayer(foamGrid, energyTransferGrid, deltaTime, {
+    depositScale: physics.foamDeposit,
+    decayRate: physics.foamDecay,
+    advectRate: physics.foamAdvect,
+    currentField,
+  });
 
   return {
     foamGrid,
@@ -200,65 +281,102 @@ export function updateFoamGridsFromWaves(waves, state) {
   };
 }
 
+/**
+ * Per-column Y of the last foam row a wave deposited (-1 = none yet)
+ * @param {object} wave - Wave object (the array is kept on it)
+ * @param {string} key - Wave field holding the array
+ * @param {number} columns - Foam columns across
+ * @returns {number[]} The wave's array, sized to columns
+ */
+function getLastFoamYs(wave, key, columns) {
+  if (!wave[key] || wave[key].length !== columns) {
+    wave[key] = new Array(columns).fill(-1);
+  }
+  return wave[key];
+}
+
+/**
+ * Screen Ys of the foam rows a slice's crest has crossed since its last deposit:
+ * one row every spacing from lastY toward the crest, or just the crest if the
+ * slice has not deposited yet. Empty while the crest is within a row of lastY.
+ * @param {object} wave - Wave object
+ * @param {number} normalizedX - Column position (0-1)
+ * @param {number} lastY - Y of the column's last deposit (-1 = none yet)
+ * @param {number} spacing - Row spacing in px
+ * @param {object} bounds - {oceanTop, oceanBottom}
+ * @returns {number[]} Row Ys, in crossing order
+ */
+function getFoamRowsCrossed(wave, normalizedX, lastY, spacing, { oceanTop, oceanBottom }) {
+  const waveY = progressToScreenY(getProgressAtX(wave, normalizedX), oceanTop, oceanBottom);
+  if (lastY < 0) return [waveY];
+  const yDelta = waveY - lastY;
+  const direction = Math.sign(yDelta);
+  const numRows = Math.floor(Math.abs(yDelta) / spacing);
+  return Array.from({ length: numRows }, (_, row) => lastY + direction * (row + 1) * spacing);
+}
+
 /**
  * Deposit foam where waves are breaking
  */
 export function depositFoam(waves, foamSegments, state) {
-  const { gameTime, bathymetry, energyField } = state;
-  const { oceanTop, oceanBottom } = getOceanBounds(state.canvasHeight, state.shoreHeight);
-  const travelDuration = calculateTravelDuration(oceanBottom, state.swellSpeed);
+  const {
+    gameTime,
+    bathymetry,
+    energyField,
+    randomFn = Math.random,
+    physics = DEFAULT_PHYSICS_CONFIG,
+  } = state;
+  const bounds = getOceanBounds(state.canvasHeight, state.shoreHeight);
+  const { oceanTop, oceanBottom } = bounds;
 
   const numXSamples = 80;
   const foamYSpacing = 3;
   // Defer cloning until we actually add foam (performance optimization)
   let newFoamSegments = null;
   for (const wave of waves) {
-    const progress = getWaveProgress(wave, gameTime, travelDuration);
-    const waveY = progressToScreenY(progress, oceanTop, oceanBottom);
-
-    if (wave.lastFoamY >= 0 && Math.abs(waveY - wave.lastFoamY) < foamYSpacing) {
-      continue;
-    }
-
-    const startY = wave.lastFoamY >= 0 ? wave.lastFoamY : waveY;
-    const yDelta = waveY - startY;
-    const direction = Math.sign(yDelta);
-    const numRows = Math.max(1, Math.floor(Math.abs(yDelta) / foamYSpacing));
-
-    for (let row = 0; row < numRows; row++) {
-      const foamY = startY + direction * (row + 1) * foamYSpacing;
-      const foamProgress = screenYToProgress(foamY, oceanTop, oceanBottom);
-
-      let depositedAny = false;
-      for (let i = 0; i < numXSamples; i++) {
-        const normalizedX = (i + 0.5) / numXSamples;
+    const lastFoamYs = getLastFoamYs(wave, 'lastFoamYPerX', numXSamples);
+
+    for (let i = 0; i < numXSamples; i++) {
+      const normalizedX = (i + 0.5) / numXSamples;
+      if (isHeldAtX(wave, normalizedX)) continue;
+      const slice = { amplitude: getAmplitudeAtX(wave, normalizedX), period: wave.period };
+
+      for (const foamY of getFoamRowsCrossed(
+        wave,
+        normalizedX,
+        lastFoamYs[i],
+        foamYSpacing,
+        bounds
+      )) {
+        const foamProgress = screenYToProgress(foamY, oceanTop, oceanBottom);
         const depth = getDepth(normalizedX, bathymetry, foamProgress);
 
         const energyAtPoint = Math.abs(getHeightAt(energyField, normalizedX, foamProgress));
-        const shouldBreak = isWaveBreakingWithEnergy(wave, depth, energyAtPoint);
+        const shouldBreak = isWaveBreakingWithEnergy(
+          slice,
+          depth,
+          energyAtPoint,
+          physics.minEnergyForBreaking
+        );
 
         if (shouldBreak) {
           const energyReleased = drainEnergyAt(
             energyField,
             normalizedX,
             foamProgress,
-            wave.amplitude * 20.0
+            slice.amplitude * physics.breakingDrain
           );
 
           // Clone array on first addition (deferred clone pattern)
           if (!newFoamSegments) {
             newFoamSegments = [...foamSegments];
           }
-          const foam = createFoam(gameTime, normalizedX, foamY, wave.id);
+          const foam = createFoam(gameTime, normalizedX, foamY, wave.id, randomFn);
           foam.opacity = Math.min(1.0, energyReleased * 2);
           newFoamSegments.push(foam);
-          depositedAny = true;
+          lastFoamYs[i] = foamY;
         }
       }
-
-      if (depositedAny) {
-        wave.lastFoamY = foamY;
-      }
     }
   }
 
@@ -269,87 +387,94 @@ export function depositFoam(waves, foamSegments, state) {
 /**
  * Update existing foam (fade) and remove faded
  */
-export function updateFoamLifecycle(foamSegments, deltaTime, gameTime) {
+export function updateFoamLifecycle(foamSegments, deltaTime, gameTime, randomFn = Math.random) {
   for (const foam of foamSegments) {
-    updateFoam(foam, deltaTime, gameTime);
+    updateFoam(foam, deltaTime, gameTime, randomFn);
   }
   return getActiveFoam(foamSegments);
 }
 
 /**
  * Deposit foam rows (span-based) for smooth rendering
+ *
+ * Rows sit every foamYSpacing down from the ocean top, so slices whose crests
+ * are at different depths (angled or refracted waves) still share rows.
  */
 export function depositFoamRows(waves, foamRows, state) {
-  const { gameTime, bathymetry, energyField } = state;
+  const { gameTime, bathymetry, energyField, physics = DEFAULT_PHYSICS_CONFIG } = state;
   const { oceanTop, oceanBottom } = getOceanBounds(state.canvasHeight, state.shoreHeight);
-  const travelDuration = calculateTravelDuration(oceanBottom, state.swellSpeed);
 
   const numXSamples = 80;
   const foamYSpacing = 3;
+  const rowY = (row) => oceanTop + row * foamYSpacing;
   // Defer cloning until we actually add foam (performance optimization)
   let newFoamRows = null;
 
   for (const wave of waves) {
-    const progress = getWaveProgress(wave, gameTime, travelDuration);
-    const waveY = progressToScreenY(progress, oceanTop, oceanBottom);
-
-    if (wave.lastFoamRowY >= 0 && Math.abs(waveY - wave.lastFoamRowY) < foamYSpacing) {
-      continue;
+    const lastRowYs = getLastFoamYs(wave, 'lastFoamRowYPerX', numXSamples);
+    // Row index → breaking intensity per column (undefined = not breaking)
+    const breakingByRow = new Map();
+
+    for (let i = 0; i < numXSamples; i++) {
+      const normalizedX = (i + 0.5) / numXSamples;
+      if (isHeldAtX(wave, normalizedX)) continue;
+      const slice = { amplitude: getAmplitudeAtX(wave, normalizedX), period: wave.period };
+      const waveY = progressToScreenY(getProgressAtX(wave, normalizedX), oceanTop, oceanBottom);
+      const waveRow = Math.round((waveY - oceanTop) / foamYSpacing);
+      const lastRow =
+        lastRowYs[i] >= 0 ? Math.round((lastRowYs[i] - oceanTop) / foamYSpacing) : null;
+      if (lastRow === waveRow) continue;
+
+      const direction = lastRow === null ? 0 : Math.sign(waveRow - lastRow);
+      const firstRow = lastRow === null ? waveRow : lastRow + direction;
+      for (let row = firstRow; ; row += direction) {
+        const foamProgress = screenYToProgress(rowY(row), oceanTop, oceanBottom);
+        const depth = getDepth(normalizedX, bathymetry, foamProgress);
+        const energyAtPoint = Math.abs(getHeightAt(energyField, normalizedX, foamProgress));
+        if (isWaveBreakingWithEnergy(slice, depth, energyAtPoint, physics.minEnergyForBreaking)) {
+          if (!breakingByRow.has(row)) breakingByRow.set(row, new Array(numXSamples));
+          breakingByRow.get(row)[i] = Math.max(0, Math.min(1, 1 - depth / 3));
+          lastRowYs[i] = rowY(row);
+        }
+        if (row === waveRow) break;
+      }
     }
 
-    const startY = wave.lastFoamRowY >= 0 ? wave.lastFoamRowY : waveY;
-    const yDelta = waveY - startY;
-    const direction = Math.sign(yDelta);
-    const numRowsToDeposit = Math.max(1, Math.floor(Math.abs(yDelta) / foamYSpacing));
-
-    for (let rowIdx = 0; rowIdx < numRowsToDeposit; rowIdx++) {
-      const foamY = startY + direction * (rowIdx + 1) * foamYSpacing;
-      const foamProgress = screenYToProgress(foamY, oceanTop, oceanBottom);
-
+    for (const [row, intensities] of breakingByRow) {
       const segments = [];
       let spanStart = null;
       let spanIntensitySum = 0;
       let spanSampleCount = 0;
 
       for (let i = 0; i <= numXSamples; i++) {
-        const normalizedX = (i + 0.5) / numXSamples;
-        const depth = i < numXSamples ? getDepth(normalizedX, bathymetry, foamProgress) : Infinity;
-        const energyAtPoint =
-          i < numXSamples ? Math.abs(getHeightAt(energyField, normalizedX, foamProgress)) : 0;
-        const breaking = i < numXSamples && isWaveBreakingWithEnergy(wave, depth, energyAtPoint);
-
-        if (breaking) {
+        const intensity = intensities[i];
+        if (intensity !== undefined) {
           if (spanStart === null) {
-            spanStart = normalizedX;
+            spanStart = (i + 0.5) / numXSamples;
             spanIntensitySum = 0;
             spanSampleCount = 0;
           }
-          const intensity = Math.max(0, Math.min(1, 1 - depth / 3));
           spanIntensitySum += intensity;
           spanSampleCount++;
         } else if (spanStart !== null) {
-          const avgIntensity = spanSampleCount > 0 ? spanIntensitySum / spanSampleCount : 0.5;
           segments.push({
             startX: spanStart,
             endX: (i - 0.5) / numXSamples,
-            intensity: avgIntensity,
+            intensity: spanIntensitySum / spanSampleCount,
           });
           spanStart = null;
         }
       }
 
-      if (segments.length > 0) {
-        // Clone array on first addition (deferred clone pattern)
-        if (!newFoamRows) {
-          newFoamRows = [...foamRows];
-        }
-        newFoamRows.push({
-          y: foamY,
-          spawnTime: gameTime,
-          segments,
-        });
-        wave.lastFoamRowY = foamY;
+      // Clone array on first addition (deferred clone pattern)
+      if (!newFoamRows) {
+        newFoamRows = [...foamRows];
       }
+      newFoamRows.push({
+        y: rowY(row),
+        spawnTime: gameTime,
+        segments,
+      });
     }
   }
 
@@ -370,11 +495,26 @@ export function updateFoamRowLifecycle(foamRows, gameTime) {
 }
 
 /**
- * Update player proxy
+ * Update the player (surfer, AI driver and ride judging)
+ * @returns {object} {playerProxy, aiState, lastAIInput, rideTracker, ride: judged ride or null}
  */
 export function updatePlayer(playerProxy, aiState, aiMode, input, state) {
-  const { canvasWidth, canvasHeight, shoreHeight, swellSpeed, foamGrid } = state;
-  const { oceanTop, oceanBottom, shoreY } = getOceanBounds(canvasHeight, shoreHeight);
+  const {
+    canvasWidth,
+    canvasHeight,
+    shoreHeight,
+    tideLevel = 0,
+    swellSpeed,
+    foamGrid,
+    currentField = null,
+    energyField = null,
+    bathymetry = DEFAULT_BATHYMETRY,
+    rideTracker = null,
+    gameTime = 0,
+    crowd = [],
+    waves = [],
+  } = state;
+  const { oceanTop, oceanBottom, shoreY } = getOceanBounds(canvasHeight, shoreHeight, tideLevel);
   const travelDuration = calculateTravelDuration(oceanBottom, swellSpeed);
   const scaledDelta = state.deltaTime;
 
@@ -395,37 +535,390 @@ export function updatePlayer(playerProxy, aiState, aiMode, input, state) {
       canvasHeight,
       oceanTop,
       oceanBottom,
-      travelDuration
+      travelDuration,
+      state.randomFn
     );
     lastAIInput = playerInput;
   }
 
-  const updatedPlayer = updatePlayerProxy(
-    playerProxy,
-    scaledDelta,
-    playerInput,
+  const updatedPlayer = updateSurfer(playerProxy, scaledDelta, playerInput, {
     foamGrid,
+    energyField,
+    currentField,
+    bathymetry,
     shoreY,
     canvasWidth,
     canvasHeight,
     oceanTop,
     oceanBottom,
-    PLAYER_PROXY_CONFIG
+    travelDuration,
+  });
+
+  // Judge the ride - the same way whether the AI or the keyboard is surfing
+  const peakX = getPeakX(bathymetry) * canvasWidth;
+  const judged = trackRide(
+    rideTracker,
+    updatedPlayer,
+    { energyField, foamGrid, waves, peakX, canvasWidth, oceanTop, oceanBottom },
+    scaledDelta,
+    gameTime,
+    state.showAIPlayer ? 'AI' : 'PLAYER'
+  );
+  const { ride } = judged;
+
+  // Taking off in front of an NPC with priority is a drop-in
+  const tracker = flagDropIn(
+    rideTracker,
+    judged.tracker,
+    updatedPlayer,
+    crowd.map((npc) => ({ id: npc.id, surfer: npc.surfer })),
+    peakX,
+    oceanBottom - oceanTop
   );
+  if (ride && state.showAIPlayer && currentAiState) {
+    currentAiState.stats.bestScore = Math.max(currentAiState.stats.bestScore, ride.score);
+  }
 
   return {
     playerProxy: updatedPlayer,
     aiState: currentAiState,
     lastAIInput,
+    rideTracker: tracker,
+    ride,
   };
 }
 
 /**
- * Initialize player proxy
+ * Initialize player (a surfer on the shore)
  */
 export function initializePlayer(canvasWidth, canvasHeight, shoreHeight) {
   const { shoreY } = getOceanBounds(canvasHeight, shoreHeight);
-  return createPlayerProxy(canvasWidth, shoreY);
+  return createSurfer(canvasWidth, shoreY);
+}
+
+const NO_INPUT = { left: false, right: false, up: false, down: false };
+
+/**
+ * Events produced by a simulation step. Replay regenerates these from GAME_TICK
+ * instead of re-applying the recorded copies; every other event is an input.
+ */
+export const SIMULATED_EVENT_TYPES = new Set([
+  EventType.WAVE_SPAWN,
+  EventType.WAVES_UPDATE,
+  EventType.SET_LULL_UPDATE,
+  EventType.BACKGROUND_UPDATE,
+  EventType.PLAYER_UPDATE,
+  EventType.RIDE_SCORED,
+  EventType.CROWD_UPDATE,
+]);
+
+/**
+ * Advance the NPC crowd one frame alongside the player
+ */
+function updateCrowdTick(crowd, world, bathymetry, bounds, deltaTime, randomFn) {
+  const { width: canvasWidth, height: canvasHeight } = world.viewport;
+  const { oceanTop, oceanBottom, shoreY } = bounds;
+  return updateCrowd(crowd, {
+    world,
+    player: world.toggles.showPlayer ? world.playerProxy : null,
+    surferEnv: {
+      foamGrid: world.foamGrid,
+      energyField: world.energyField,
+      currentField: world.currentField,
+      bathymetry,
+      shoreY,
+      canvasWidth,
+      canvasHeight,
+      oceanTop,
+      oceanBottom,
+      travelDuration: calculateTravelDuration(oceanBottom, world.swellSpeed),
+    },
+    dt: deltaTime,
+    gameTime: world.gameTime,
+    randomFn,
+  });
+}
+
+/**
+ * Slices of a crest that have crossed the horizon
+ * @param {object} wave - Wave object
+ * @param {number[]} [holdBefore] - Holds at the previous tick; only slices released since count
+ * @returns {boolean[]|null} Per-slice mask, or null when the whole crest is in (shore-normal)
+ */
+function getReleasedSlices(wave, holdBefore = null) {
+  if (!wave.holdPerX) return null;
+  return wave.holdPerX.map((hold, i) => hold <= 0 && (!holdBefore || holdBefore[i] > 0));
+}
+
+/**
+ * Inject a discrete crest's pulse into the energy field
+ * Set waves have more energy (2x) than background waves.
+ */
+function injectCrestPulse(energyField, wave, energyTravelDuration, slices) {
+  const energyMultiplier = wave.type === WAVE_TYPE.SET ? 2.0 : 1.0;
+  injectWavePulse(energyField, wave.amplitude * energyMultiplier, {
+    progressPerX: wave.progressPerX,
+    slices,
+    travelDuration: energyTravelDuration / wave.speedFactor,
+  });
+}
+
+/**
+ * Run one simulation tick from a GAME_TICK event
+ * Shared by the live loop (stepWorld) and replay (replayWorld) so both take
+ * exactly the same path through the physics.
+ */
+function simulateTick(store, tick) {
+  store.dispatch(tick);
+  let world = store.getState();
+
+  // Derive seconds from the recorded ms so live and replayed ticks are bit-identical
+  const scaledDelta = tick.deltaTime / 1000;
+  const randomFn = createRandomFn(world.random);
+  const { width: canvasWidth, height: canvasHeight } = world.viewport;
+
+  // Everything below reads depths at the current tide (GAME_TICK advanced tideLevel)
+  const bathymetry = applyTide(world.bathymetry, world.tideLevel);
+
+  // Update energy field (Plan 140) even when not rendered; rendering is toggled separately
+  const { oceanBottom } = getOceanBounds(canvasHeight, world.shoreHeight);
+  const energyTravelDuration = calculateTravelDuration(oceanBottom, world.swellSpeed) / 1000;
+  const getDepthForField = (normalizedX, normalizedY) =>
+    getDepth(normalizedX, bathymetry, normalizedY);
+  const energySolver = world.toggles.energySolver ?? ENERGY_SOLVER.WAVE;
+  updateEnergyField(world.energyField, getDepthForField, scaledDelta, energyTravelDuration, {
+    solver: energySolver,
+    aspectRatio: canvasWidth / oceanBottom,
+    depthDampingCoefficient: world.toggles.depthDampingCoefficient ?? 1.5,
+    depthDampingExponent: world.toggles.depthDampingExponent ?? 2.0,
+    depthKey: bathymetry,
+  });
+
+  // Ambient directional swell through the horizon and side boundaries. Opt-in: the
+  // discrete waves' pulses (below) already carry the set/lull rhythm into the field
+  if (world.toggles.swellInjection) {
+    injectSwells(
+      world.energyField,
+      swellsFromConfigs(world.setConfig, world.backgroundConfig),
+      world.gameTime / 1000,
+      { travelDuration: energyTravelDuration, aspectRatio: canvasWidth / oceanBottom }
+    );
+  }
+
+  // Wave spawning state machines
+  const spawnResult = updateWaveSpawning(
+    {
+      setLullState: world.setLullState,
+      setConfig: world.setConfig,
+      backgroundState: world.backgroundState,
+      backgroundConfig: world.backgroundConfig,
+    },
+    scaledDelta,
+    world.gameTime,
+    { randomFn }
+  );
+
+  store.batchDispatch([
+    { type: EventType.SET_LULL_UPDATE, setLullState: spawnResult.setLullState },
+    { type: EventType.BACKGROUND_UPDATE, backgroundState: spawnResult.backgroundState },
+  ]);
+
+  for (const event of spawnResult.events) {
+    if (event.type === EventType.WAVE_SPAWN) {
+      store.dispatch(event);
+      world = store.getState();
+
+      // Inject pulse into energy field to match discrete wave (same crest; angled
+      // crests only where they have crossed the horizon)
+      const spawned = world.waves[world.waves.length - 1];
+      injectCrestPulse(
+        world.energyField,
+        spawned,
+        energyTravelDuration,
+        getReleasedSlices(spawned)
+      );
+    }
+  }
+  world = store.getState();
+
+  // Holds before this tick's refraction, to catch slices of angled crests arriving
+  const heldBefore = new Map(
+    world.waves
+      .filter((wave) => wave.holdPerX?.some((hold) => hold > 0))
+      .map((wave) => [wave.id, [...wave.holdPerX]])
+  );
+
+  // Wave lifecycle (filter completed waves + refraction)
+  const travelDuration = calculateTravelDuration(oceanBottom, world.swellSpeed);
+  const bufferDuration = (world.swellSpacing / world.swellSpeed) * 1000;
+  const updatedWaves = updateWaves(
+    world.waves,
+    world.gameTime,
+    travelDuration,
+    bufferDuration,
+    bathymetry,
+    world.physics,
+    {
+      enabled: world.toggles.waveInterference ?? true,
+      merge: world.toggles.mergeDoubleUps ?? false,
+    },
+    // The wave-equation field refracts; its crests follow it (the advect one doesn't)
+    energySolver === ENERGY_SOLVER.WAVE ? world.energyField : null
+  );
+  store.dispatch({ type: EventType.WAVES_UPDATE, waves: updatedWaves });
+  world = store.getState();
+
+  // Slices of angled crests that crossed the horizon this tick join the energy field
+  for (const wave of world.waves) {
+    const before = heldBefore.get(wave.id);
+    if (!before) continue;
+    const released = getReleasedSlices(wave, before);
+    if (released.some(Boolean)) {
+      injectCrestPulse(world.energyField, wave, energyTravelDuration, released);
+    }
+  }
+
+  // Currents from last tick's breaking (the transfer frame is rebuilt just below)
+  updateCurrentField(
+    world.currentField,
+    world.energyTransferGrid.lastFrame,
+    getDepthForField,
+    scaledDelta,
+    {
+      aspectRatio: canvasWidth / oceanBottom,
+      waveAngle: world.setConfig.swellDirection ?? 0,
+      deepDepth: bathymetry.deepDepth,
+    }
+  );
+
+  // Foam grid update (grid-based pipeline)
+  updateFoamGridsFromWaves(world.waves, {
+    gameTime: world.gameTime,
+    bathymetry,
+    energyField: world.energyField,
+    foamGrid: world.foamGrid,
+    energyTransferGrid: world.energyTransferGrid,
+    foamGridWidth: world.foamGridWidth || FOAM_GRID_WIDTH,
+    foamGridHeight: world.foamGridHeight || FOAM_GRID_HEIGHT,
+    canvasHeight,
+    shoreHeight: world.shoreHeight,
+    swellSpeed: world.swellSpeed,
+    deltaTime: scaledDelta,
+    currentField: world.currentField,
+    physics: world.physics,
+  });
+
+  // Player proxy + AI
+  if (world.toggles.showPlayer && world.playerProxy) {
+    const playerResult = updatePlayer(
+      world.playerProxy,
+      world.aiState,
+      world.aiMode,
+      tick.input || NO_INPUT,
+      {
+        canvasWidth,
+        canvasHeight,
+        shoreHeight: world.shoreHeight,
+        tideLevel: world.tideLevel,
+        swellSpeed: world.swellSpeed,
+        foamGrid: world.foamGrid,
+        currentField: world.currentField,
+        energyField: world.energyField,
+        bathymetry,
+        rideTracker: world.rideTracker,
+        gameTime: world.gameTime,
+        crowd: world.crowd,
+        waves: world.waves,
+        deltaTime: scaledDelta,
+        showAIPlayer: world.toggles.showAIPlayer,
+        world,
+        randomFn,
+      }
+    );
+
+    store.dispatch({
+      type: EventType.PLAYER_UPDATE,
+      playerProxy: playerResult.playerProxy,
+      aiState: playerResult.aiState,
+      lastAIInput: playerResult.lastAIInput,
+      rideTracker: playerResult.rideTracker,
+    });
+
+    if (playerResult.ride) {
+      store.dispatch({ type: EventType.RIDE_SCORED, ride: playerResult.ride });
+    }
+    world = store.getState();
+  }
+
+  // NPC crowd (resized here so new NPCs join on the same tick in replay)
+  const lineup = getOceanBounds(canvasHeight, world.shoreHeight, world.tideLevel);
+  const crowd = resizeCrowd(
+    world.crowd,
+    world.toggles.crowdSize,
+    bathymetry,
+    canvasWidth,
+    lineup.oceanTop,
+    lineup.oceanBottom,
+    lineup.shoreY
+  );
+  if (crowd.length > 0 || world.crowd.length > 0) {
+    store.dispatch({
+      type: EventType.CROWD_UPDATE,
+      crowd:
+        crowd.length > 0
+          ? updateCrowdTick(crowd, world, bathymetry, lineup, scaledDelta, randomFn)
+          : [],
+    });
+  }
+
+  return store.getState();
+}
+
+/**
+ * Advance the whole world by one frame
+ *
+ * Dispatches GAME_TICK (with the frame's player input) and every derived
+ * event, and mutates the energy field and foam grids in place. Randomness is
+ * drawn from world.random, so the same seed and input events always produce
+ * the same world - see replayWorld.
+ *
+ * @param {object} store - Event store holding the world
+ * @param {number} deltaTime - Frame time in seconds (already time-scaled)
+ * @param {object} input - Player input {left, right, up, down}: booleans or
+ *   analog magnitudes (0-1); recorded as magnitudes
+ * @returns {object} Updated world state
+ */
+export function stepWorld(store, deltaTime, input = NO_INPUT) {
+  return simulateTick(store, {
+    type: EventType.GAME_TICK,
+    deltaTime: deltaTime * 1000,
+    // Copy: input state objects are mutated by their listeners
+    input: toAnalogInput(input),
+  });
+}
+
+/**
+ * Rebuild a world by re-simulating a recorded event log
+ *
+ * Unlike store.replay(), which only re-runs the reducer, this re-runs the
+ * physics for every GAME_TICK, so the energy field and foam grids (mutated
+ * outside the reducer) come out bit-identical. The log must start with the
+ * GAME_INIT event that carries the session seed.
+ *
+ * @param {Array} eventLog - Events from store.getEvents()
+ * @param {object} store - Store to replay into (defaults to a fresh store)
+ * @returns {object} The store holding the replayed world
+ */
+export function replayWorld(eventLog, store = createEventStore()) {
+  for (const recorded of eventLog) {
+    const { _timestamp, _gameTime, ...event } = recorded;
+    if (event.type === EventType.GAME_TICK) {
+      simulateTick(store, event);
+    } else if (!SIMULATED_EVENT_TYPES.has(event.type)) {
+      store.dispatch(expandEvent(store.getState(), event));
+    }
+  }
+  return store;
 }
 
 // Re-export utilities for convenience
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import { createTimeline, getFrameBookmarks, BOOKMARK_KIND } from './timeline.js';
+import { stepWorld, initializePlayer } from './index.js';
+import { createEventStore, EventType } from '../state/eventStore.js';
+import { SURFER_STATE } from '../state/surferModel.js';
+
+const LEFT = { left: true, right: false, up: false, down: false };
+
+// Live session recorded frame by frame, like the main loop does
+function recordSession(
+  frames,
+  config: Record<string, any> = { keyframeInterval: 10 },
+  keepWorlds = true
+) {
+  const store = createEventStore();
+  store.dispatch({ type: EventType.GAME_INIT, seed: 11 });
+  store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'showPlayer', value: true });
+  store.dispatch({ type: EventType.PLAYER_INIT, playerProxy: initializePlayer(800, 600, 100) });
+  const timeline = createTimeline(config);
+  const worlds = [];
+  for (let i = 0; i < frames; i++) {
+    if (i === 15) {
+      store.dispatch({ type: EventType.TOGGLE_CHANGE, key: 'depthDampingCoefficient', value: 0.3 });
+    }
+    stepWorld(store, 1 / 60, i < 20 ? LEFT : undefined);
+    timeline.record(store);
+    if (!keepWorlds) continue;
+    const world = store.getState();
+    worlds.push({
+      gameTime: world.gameTime,
+      height: Array.from(world.energyField.height),
+      foam: Array.from(world.foamGrid.data),
+      playerProxy: world.playerProxy,
+      waves: structuredClone(world.waves),
+    });
+  }
+  return { store, timeline, worlds };
+}
+
+describe('timeline', () => {
+  it('records one frame per tick', () => {
+    const { timeline, worlds } = recordSession(25);
+
+    expect(timeline.getRange()).toEqual({
+      first: 0,
+      last: 24,
+      startTime: worlds[0].gameTime,
+      endTime: worlds[24].gameTime,
+    });
+  });
+
+  it('rebuilds any frame bit-identically, backward and forward', () => {
+    const { store, timeline, worlds } = recordSession(40);
+
+    for (const frame of [37, 12, 13, 0, 25, 26, 39]) {
+      const world = timeline.seek(store, frame);
+      expect(world.gameTime).toBe(worlds[frame].gameTime);
+      expect(Array.from(world.energyField.height)).toEqual(worlds[frame].height);
+      expect(Array.from(world.foamGrid.data)).toEqual(worlds[frame].foam);
+      expect(world.playerProxy).toEqual(worlds[frame].playerProxy);
+      expect(world.waves).toEqual(worlds[frame].waves);
+    }
+  });
+
+  it('replays settings changed between ticks', () => {
+    const { store, timeline } = recordSession(20);
+
+    expect(timeline.seek(store, 14).toggles.depthDampingCoefficient).toBe(0.1);
+    expect(timeline.seek(store, 15).toggles.depthDampingCoefficient).toBe(0.3);
+  });
+
+  it('leaves the live world alone while seeking', () => {
+    const { store, timeline, worlds } = recordSession(30);
+    const live = store.getState();
+
+    timeline.seek(store, 3);
+
+    expect(store.getState()).toBe(live);
+    expect(Array.from(live.energyField.height)).toEqual(worlds[29].height);
+  });
+
+  it('finds frames by game time', () => {
+    const { timeline, worlds } = recordSession(20);
+
+    expect(timeline.frameAtTime(worlds[7].gameTime)).toBe(7);
+    expect(timeline.frameAtTime(worlds[7].gameTime + 1)).toBe(7);
+    expect(timeline.frameAtTime(-1)).toBe(0);
+    expect(timeline.frameAtTime(1e9)).toBe(19);
+  });
+
+  it('resumes live from a past frame, dropping the frames after it', () => {
+    const { store, timeline, worlds } = recordSession(30);
+
+    timeline.seek(store, 12);
+    const world = timeline.resume(store);
+
+    expect(world.gameTime).toBe(worlds[12].gameTime);
+    expect(Array.from(store.getState().energyField.height)).toEqual(worlds[12].height);
+    expect(timeline.getRange().last).toBe(12);
+
+    // The rewound store keeps recording and replaying as one history
+    stepWorld(store, 1 / 60);
+    expect(timeline.record(store).frame).toBe(13);
+    expect(timeline.seek(store, 12).gameTime).toBe(worlds[12].gameTime);
+  });
+
+  it('drops the oldest frames past the keyframe limit', () => {
+    const { store, timeline } = recordSession(35, { keyframeInterval: 10, maxKeyframes: 2 });
+
+    expect(timeline.getRange().first).toBe(20);
+    expect(timeline.seek(store, 0).gameTime).toBe(timeline.getFrame(20).gameTime);
+  });
+
+  it('drops frames whose events the store no longer keeps', () => {
+    const store = createEventStore(null, { retention: 60 });
+    store.dispatch({ type: EventType.GAME_INIT, seed: 11 });
+    const timeline = createTimeline({ keyframeInterval: 5 });
+    const worlds = [];
+    for (let i = 0; i < 40; i++) {
+      stepWorld(store, 1 / 60);
+      timeline.record(store);
+      worlds.push(Array.from(store.getState().energyField.height));
+    }
+
+    const { first, last } = timeline.getRange();
+    expect(first).toBeGreaterThan(0);
+    expect(timeline.getFrame(first).eventCount).toBeGreaterThanOrEqual(store.getFirstEventIndex());
+    expect(Array.from(timeline.seek(store, first + 2).energyField.height)).toEqual(
+      worlds[first + 2]
+    );
+
+    // Resuming keeps the store's window and indices
+    timeline.seek(store, last - 3);
+    timeline.resume(store);
+    expect(store.getEventCount()).toBe(timeline.getFrame(last - 3).eventCount);
+    expect(timeline.seek(store, first + 2)).not.toBeNull();
+  });
+
+  describe('bookmarks', () => {
+    it('marks wave spawns, wipeouts and judged rides', () => {
+      const marks = getFrameBookmarks(
+        [
+          { type: EventType.WAVE_SPAWN, waveType: 'SET' },
+          {
+            type: EventType.PLAYER_UPDATE,
+            playerProxy: { state: SURFER_STATE.WIPEOUT },
+            aiState: {},
+          },
+          { type: EventType.RIDE_SCORED, ride: { score: 4.5 } },
+        ],
+        { playerState: SURFER_STATE.RIDING }
+      );
+
+      expect(marks).toEqual([
+        { kind: BOOKMARK_KIND.WAVE, label: 'SET wave' },
+        { kind: BOOKMARK_KIND.WIPEOUT, label: 'AI wipeout' },
+        { kind: BOOKMARK_KIND.RIDE, label: 'Ride 4.50' },
+      ]);
+    });
+
+    it('labels wipeouts from compact updates by the previous frame', () => {
+      const event = { type: EventType.PLAYER_UPDATE, playerProxy: { state: SURFER_STATE.WIPEOUT } };
+      expect(getFrameBookmarks([event], { ai: true })[0].label).toBe('AI wipeout');
+      expect(getFrameBookmarks([{ type: EventType.PLAYER_UPDATE }], {})).toEqual([]);
+    });
+
+    it('marks a wipeout only when it starts', () => {
+      const event = { type: EventType.PLAYER_UPDATE, playerProxy: { state: SURFER_STATE.WIPEOUT } };
+      expect(getFrameBookmarks([event], { playerState: SURFER_STATE.WIPEOUT })).toEqual([]);
+    });
+
+    it('records wave spawns as they happen and steps between bookmarks', () => {
+      const { timeline, store } = recordSession(600, { keyframeInterval: 60 }, false);
+      const waves = timeline.getBookmarks(BOOKMARK_KIND.WAVE);
+
+      const spawned = store.getEvents().filter((e) => e.type === EventType.WAVE_SPAWN);
+      expect(waves.length).toBe(spawned.length);
+      expect(waves.length).toBeGreaterThan(0);
+      expect(timeline.findBookmark(-1, 1)).toEqual(timeline.getBookmarks()[0]);
+      expect(timeline.findBookmark(waves[0].frame, -1)).toBeNull();
+    });
+
+    it('adds bookmarks by hand in frame order', () => {
+      const { timeline } = recordSession(20);
+
+      timeline.addBookmark(9, 'here');
+      timeline.addBookmark(4);
+
+      const manual = timeline.getBookmarks(BOOKMARK_KIND.MANUAL);
+      expect(manual.map((b) => [b.frame, b.label])).toEqual([
+        [4, 'Bookmark'],
+        [9, 'here'],
+      ]);
+      expect(timeline.addBookmark(99)).toBeNull();
+    });
+  });
+});
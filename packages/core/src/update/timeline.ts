@@ -0,0 +1,312 @@
+/**
+ * Timeline - Time-travel debugger over the event log
+ *
+ * The live loop records every frame (the event count after its GAME_TICK ran).
+ * Because the energy field, foam grids and waves are mutated in place, the log
+ * alone can only rebuild a moment by replaying from GAME_INIT; instead the
+ * timeline keeps a full-state keyframe every `keyframeInterval` frames and
+ * replays the (few) ticks between the nearest keyframe and the target with
+ * replayWorld, so any recorded frame can be viewed without touching the live world.
+ * Keyframes whose events have left the store's retention window are dropped
+ * along with their frames.
+ *
+ * Bookmarks mark interesting frames as they are recorded (wave spawns,
+ * wipeouts, judged rides) plus any added by hand.
+ */
+
+import { EventType, createEventStore } from '../state/eventStore.js';
+import { SURFER_STATE } from '../state/surferModel.js';
+import { replayWorld } from './index.js';
+
+export const TIMELINE_CONFIG = {
+  keyframeInterval: 30, // frames between full-state snapshots (replay cost of a seek)
+  maxKeyframes: 240, // oldest keyframes (and their frames) are dropped past this
+};
+
+export const BOOKMARK_KIND = {
+  WAVE: 'wave',
+  WIPEOUT: 'wipeout',
+  RIDE: 'ride',
+  MANUAL: 'manual',
+};
+
+// Deep copy of a world: typed arrays and in-place-mutated objects included
+const snapshot = (state) => structuredClone(state);
+
+/**
+ * Bookmarks for the events a frame dispatched
+ * @param {Array} events - Events logged during the frame (compact entries leave
+ *   out what did not change)
+ * @param {object} previous - {playerState, ai} from the frame before
+ * @returns {Array<{kind: string, label: string}>}
+ */
+export function getFrameBookmarks(events, previous: Record<string, any> = {}) {
+  const bookmarks = [];
+  let playerState = previous.playerState ?? null;
+  for (const event of events) {
+    if (event.type === EventType.WAVE_SPAWN) {
+      bookmarks.push({ kind: BOOKMARK_KIND.WAVE, label: `${event.waveType} wave` });
+    } else if (event.type === EventType.PLAYER_UPDATE && 'playerProxy' in event) {
+      const state = event.playerProxy?.state ?? null;
+      if (state === SURFER_STATE.WIPEOUT && playerState !== SURFER_STATE.WIPEOUT) {
+        const ai = 'aiState' in event ? event.aiState != null : previous.ai;
+        bookmarks.push({
+          kind: BOOKMARK_KIND.WIPEOUT,
+          label: ai ? 'AI wipeout' : 'Wipeout',
+        });
+      }
+      playerState = state;
+    } else if (event.type === EventType.RIDE_SCORED) {
+      bookmarks.push({ kind: BOOKMARK_KIND.RIDE, label: `Ride ${event.ride.score.toFixed(2)}` });
+    }
+  }
+  return bookmarks;
+}
+
+/**
+ * Create a timeline recorder for a store
+ *
+ * Frames are numbered from 0 (the first recorded frame); dropping old
+ * keyframes advances the first frame still available.
+ *
+ * @param {object} config - TIMELINE_CONFIG overrides
+ * @returns {object} Timeline API
+ */
+export function createTimeline(config: Record<string, any> = {}) {
+  const { keyframeInterval, maxKeyframes } = { ...TIMELINE_CONFIG, ...config };
+
+  let frames = []; // {frame, gameTime, eventCount}
+  let keyframes = []; // {frame, eventCount, state}
+  let bookmarks = []; // {frame, gameTime, kind, label}
+  let nextFrame = 0;
+  let lastEventCount = 0;
+  let playerState = null;
+
+  // Last seek, so stepping forward replays one tick instead of from a keyframe
+  let cursor = null; // {frame, store}
+
+  const findFrame = (frame) => {
+    const index = frame - (frames[0]?.frame ?? 0);
+    return frames[index] ?? null;
+  };
+
+  function getRange() {
+    if (frames.length === 0) return null;
+    const first = frames[0];
+    const last = frames[frames.length - 1];
+    return {
+      first: first.frame,
+      last: last.frame,
+      startTime: first.gameTime,
+      endTime: last.gameTime,
+    };
+  }
+
+  // Drop keyframes past the limit and any whose events the store no longer retains
+  function trim(firstEventIndex) {
+    const stale = keyframes.length > 0 && keyframes[0].eventCount < firstEventIndex;
+    if (!stale && keyframes.length <= maxKeyframes) return;
+    const kept = keyframes.filter((k) => k.eventCount >= firstEventIndex);
+    keyframes = kept.slice(Math.max(0, kept.length - maxKeyframes));
+    if (keyframes.length === 0) {
+      frames = [];
+      bookmarks = [];
+      cursor = null;
+      return;
+    }
+    const first = keyframes[0].frame;
+    frames = frames.filter((f) => f.frame >= first);
+    bookmarks = bookmarks.filter((b) => b.frame >= first);
+    if (cursor && cursor.frame < first) cursor = null;
+  }
+
+  return {
+    /**
+     * Record the frame the live loop just simulated (call after stepWorld)
+     * @param {object} store - Live event store
+     * @returns {object} The recorded frame
+     */
+    record(store) {
+      const eventCount = store.getEventCount();
+      const world = store.getState();
+      const entry = { frame: nextFrame, gameTime: world.gameTime, eventCount };
+
+      const marks = getFrameBookmarks(store.getEvents(lastEventCount), {
+        playerState,
+        ai: world.aiState != null,
+      });
+      for (const mark of marks) {
+        bookmarks.push({ frame: entry.frame, gameTime: entry.gameTime, ...mark });
+      }
+      playerState = world.playerProxy?.state ?? null;
+
+      frames.push(entry);
+      if (entry.frame % keyframeInterval === 0) {
+        keyframes.push({ frame: entry.frame, eventCount, state: snapshot(world) });
+      }
+      trim(store.getFirstEventIndex());
+
+      lastEventCount = eventCount;
+      nextFrame++;
+      return entry;
+    },
+
+    /**
+     * Recorded frame range
+     * @returns {{first: number, last: number, startTime: number, endTime: number}|null}
+     */
+    getRange,
+
+    /**
+     * Recorded frame by number
+     * @param {number} frame
+     * @returns {object|null} {frame, gameTime, eventCount}
+     */
+    getFrame(frame) {
+      return findFrame(frame);
+    },
+
+    /**
+     * Last frame at or before a game time (clamped to the recorded range)
+     * @param {number} gameTime - Game time in ms
+     * @returns {number|null} Frame number
+     */
+    frameAtTime(gameTime) {
+      if (frames.length === 0) return null;
+      let lo = 0;
+      let hi = frames.length - 1;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (frames[mid].gameTime <= gameTime) lo = mid;
+        else hi = mid - 1;
+      }
+      return frames[lo].frame;
+    },
+
+    /**
+     * Rebuild the world as it was at a recorded frame
+     *
+     * Replays from the nearest keyframe at or before the frame into a scratch
+     * store; the live store is only read (its event log).
+     *
+     * @param {object} store - Live event store
+     * @param {number} frame - Frame to view (clamped to the recorded range)
+     * @returns {object|null} World state at that frame
+     */
+    seek(store, frame) {
+      const range = getRange();
+      if (!range) return null;
+      const target = findFrame(Math.max(range.first, Math.min(range.last, Math.round(frame))));
+
+      let from;
+      if (
+        cursor &&
+        cursor.frame <= target.frame &&
+        cursor.frame >= target.frame - keyframeInterval
+      ) {
+        from = { store: cursor.store, eventCount: findFrame(cursor.frame).eventCount };
+      } else {
+        let keyframe = keyframes[0];
+        for (const candidate of keyframes) {
+          if (candidate.frame <= target.frame) keyframe = candidate;
+        }
+        from = {
+          store: createEventStore(snapshot(keyframe.state)),
+          eventCount: keyframe.eventCount,
+        };
+      }
+
+      const events = store.getEvents(from.eventCount).slice(0, target.eventCount - from.eventCount);
+      replayWorld(events, from.store);
+      cursor = { frame: target.frame, store: from.store };
+      return from.store.getState();
+    },
+
+    /**
+     * Continue live from the last seeked frame, discarding everything after it
+     * (the live store is rewound to that world and its history cut there)
+     * @param {object} store - Live event store
+     * @returns {object} World state the live loop continues from
+     */
+    resume(store) {
+      const range = getRange();
+      if (!cursor || !range || cursor.frame >= range.last) {
+        cursor = null;
+        return store.getState();
+      }
+
+      const entry = findFrame(cursor.frame);
+      const world = cursor.store.getState();
+      const firstIndex = store.getFirstEventIndex();
+      store.restore(
+        snapshot(world),
+        store.getEvents(firstIndex).slice(0, entry.eventCount - firstIndex),
+        { firstIndex, baseline: store.getBaseline() }
+      );
+
+      frames = frames.filter((f) => f.frame <= entry.frame);
+      keyframes = keyframes.filter((k) => k.frame <= entry.frame);
+      bookmarks = bookmarks.filter((b) => b.frame <= entry.frame);
+      nextFrame = entry.frame + 1;
+      lastEventCount = entry.eventCount;
+      playerState = world.playerProxy?.state ?? null;
+      cursor = null;
+      return store.getState();
+    },
+
+    /**
+     * Bookmark a frame by hand
+     * @param {number} frame - Frame number
+     * @param {string} label
+     * @returns {object|null} The bookmark (null if the frame is not recorded)
+     */
+    addBookmark(frame, label = 'Bookmark') {
+      const entry = findFrame(frame);
+      if (!entry) return null;
+      const bookmark = {
+        frame,
+        gameTime: entry.gameTime,
+        kind: BOOKMARK_KIND.MANUAL,
+        label,
+      };
+      bookmarks = [...bookmarks, bookmark].sort((a, b) => a.frame - b.frame);
+      return bookmark;
+    },
+
+    /**
+     * Bookmarks in frame order
+     * @param {string} kind - Only this BOOKMARK_KIND (default: all)
+     * @returns {Array}
+     */
+    getBookmarks(kind = null) {
+      return kind ? bookmarks.filter((b) => b.kind === kind) : [...bookmarks];
+    },
+
+    /**
+     * Nearest bookmark after (direction 1) or before (direction -1) a frame
+     * @param {number} frame
+     * @param {number} direction - 1 or -1
+     * @returns {object|null}
+     */
+    findBookmark(frame, direction = 1) {
+      if (direction > 0) return bookmarks.find((b) => b.frame > frame) ?? null;
+      for (let i = bookmarks.length - 1; i >= 0; i--) {
+        if (bookmarks[i].frame < frame) return bookmarks[i];
+      }
+      return null;
+    },
+
+    /**
+     * Forget everything (e.g. after the store was reset)
+     */
+    clear() {
+      frames = [];
+      keyframes = [];
+      bookmarks = [];
+      nextFrame = 0;
+      lastEventCount = 0;
+      playerState = null;
+      cursor = null;
+    },
+  };
+}
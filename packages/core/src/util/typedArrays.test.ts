@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeTypedArray,
+  decodeTypedArray,
+  isEncodedTypedArray,
+  typedArrayReplacer,
+  typedArrayReviver,
+} from './typedArrays.js';
+
+describe('typedArrays', () => {
+  it('round-trips values exactly', () => {
+    const array = new Float32Array([0.1, -3.75, 1e-30, 123456.789]);
+    const decoded = decodeTypedArray(encodeTypedArray(array));
+
+    expect(decoded).toBeInstanceOf(Float32Array);
+    expect(Array.from(decoded)).toEqual(Array.from(array));
+  });
+
+  it('encodes only the viewed part of a buffer', () => {
+    const view = new Uint16Array(new Uint16Array([1, 2, 3, 4]).buffer, 2, 2);
+    expect(Array.from(decodeTypedArray(encodeTypedArray(view)))).toEqual([2, 3]);
+  });
+
+  it('replaces typed arrays inside JSON and revives them', () => {
+    const state = { grid: { data: new Float32Array([1.5, 2]) }, plain: [1, 2] };
+    const json = JSON.stringify(state, typedArrayReplacer);
+    const parsed = JSON.parse(json);
+
+    expect(isEncodedTypedArray(parsed.grid.data)).toBe(true);
+    expect(isEncodedTypedArray(parsed.plain)).toBe(false);
+    expect(JSON.parse(json, typedArrayReviver)).toEqual(state);
+  });
+
+  it('rejects unknown types and partial elements', () => {
+    expect(() => decodeTypedArray({ $typed: 'BigArray', base64: '' })).toThrow(/Unknown/);
+    expect(() => decodeTypedArray({ $typed: 'Float32Array', base64: btoa('abc') })).toThrow(
+      /whole elements/
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from 'react';
+import { energyToColor } from '@src/render/colorScales';
+import { progressionToTestCase } from '@src/test-utils/progression';
+import { Filmstrip, renderMatrixToCanvas } from './Filmstrip';
+import { ProgressionPlayer } from './ProgressionPlayer';
+import { useTheme } from '../ThemeContext';
+
+/**
+ * Sliders for a progression's tunable parameters (metadata.params). Every change
+ * re-runs the simulation and redraws the filmstrip and player; "Copy as test"
+ * puts a Vitest case pinning the current snapshots on the clipboard.
+ *
+ * @example
+ * <ParameterPlayground progression={PROGRESSION_DECAY_AND_SPREAD} />
+ */
+
+interface ParamSpec {
+  value: number;
+  min: number;
+  max: number;
+  step?: number;
+  label?: string;
+}
+
+interface Snapshot {
+  time: number;
+  matrix: number[][];
+  label: string;
+}
+
+interface TunableProgression {
+  id: string;
+  params: Record<string, number>;
+  metadata: { params?: Record<string, ParamSpec> };
+  rerun: (params: Record<string, number>) => Snapshot[];
+}
+
+interface ParameterPlaygroundProps {
+  progression: TunableProgression;
+  /** Canvas dimensions for each filmstrip frame */
+  canvasSize?: { width: number; height: number };
+}
+
+const renderEnergy = (snap: Snapshot, ctx: CanvasRenderingContext2D, w: number, h: number) =>
+  renderMatrixToCanvas(ctx, snap.matrix, energyToColor, w, h);
+
+export function ParameterPlayground({ progression, canvasSize }: ParameterPlaygroundProps) {
+  const specs = progression.metadata.params ?? {};
+  const [values, setValues] = useState(progression.params);
+  const [copied, setCopied] = useState<string | null>(null);
+  const { colors } = useTheme();
+
+  const snapshots = useMemo(() => progression.rerun(values), [progression, values]);
+
+  const setParam = (name: string, value: number) => {
+    setValues((current) => ({ ...current, [name]: value }));
+    setCopied(null);
+  };
+
+  const copyAsTest = async () => {
+    const source = progressionToTestCase(progression, values, snapshots);
+    try {
+      await navigator.clipboard.writeText(source);
+      setCopied('Copied');
+    } catch {
+      // Clipboard access needs a secure context; log it so it can still be copied
+      console.log(source);
+      setCopied('Clipboard unavailable - logged to console');
+    }
+  };
+
+  const buttonStyle = {
+    background: colors.buttonBg,
+    border: `1px solid ${colors.buttonBorder}`,
+    color: colors.text,
+    padding: '4px 8px',
+    borderRadius: 4,
+    cursor: 'pointer',
+  };
+
+  return (
+    <div
+      data-testid={`playground-${progression.id.replaceAll('/', '-')}`}
+      style={{
+        background: colors.bgSection,
+        padding: 16,
+        borderRadius: 8,
+        margin: '1em 0',
+        border: `1px solid ${colors.border}`,
+      }}
+    >
+      {Object.entries(specs).map(([name, spec]) => (
+        <label
+          key={name}
+          style={{ display: 'flex', alignItems: 'center', gap: 12, fontSize: 14, marginBottom: 8 }}
+        >
+          <span style={{ minWidth: 180, color: colors.textMuted }}>
+            {spec.label ?? name} <code>{name}</code>
+          </span>
+          <input
+            type="range"
+            min={spec.min}
+            max={spec.max}
+            step={spec.step ?? (spec.max - spec.min) / 100}
+            value={values[name]}
+            onChange={(e) => setParam(name, Number(e.target.value))}
+            style={{ flex: 1, cursor: 'pointer' }}
+          />
+          <span style={{ color: colors.accent, minWidth: 48, textAlign: 'right' }}>
+            {values[name]}
+          </span>
+        </label>
+      ))}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, fontSize: 14 }}>
+        <button
+          onClick={() => {
+            setValues(progression.params);
+            setCopied(null);
+          }}
+          style={buttonStyle}
+        >
+          Reset
+        </button>
+        <button
+          onClick={copyAsTest}
+          title="Copy a Vitest case pinning these parameters and the resulting ASCII matrices"
+          style={buttonStyle}
+        >
+          Copy as test
+        </button>
+        {copied && <span style={{ color: colors.textMuted }}>{copied}</span>}
+      </div>
+      <Filmstrip
+        snapshots={snapshots}
+        renderSnapshot={renderEnergy}
+        canvasSize={canvasSize}
+        testId={`playground-strip-${progression.id.replaceAll('/', '-')}`}
+      />
+      <ProgressionPlayer snapshots={snapshots} exportName={progression.id} />
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { energyToColor } from '@src/render/colorScales';
+import { progressionToGif } from '@src/render/gifExport';
 import { useTheme } from '../ThemeContext';
 
 interface Snapshot {
@@ -14,6 +15,7 @@ interface ProgressionPlayerProps {
   frameDelay?: number;
   autoPlay?: boolean;
   loop?: boolean;
+  exportName?: string;
 }
 
 function MatrixCanvas({ matrix, cellSize = 24 }: { matrix: number[][]; cellSize?: number }) {
@@ -54,6 +56,7 @@ export function ProgressionPlayer({
   frameDelay = 500,
   autoPlay = true,
   loop = true,
+  exportName = 'progression',
 }: ProgressionPlayerProps) {
   const [frameIndex, setFrameIndex] = useState(0);
   const [playing, setPlaying] = useState(autoPlay);
@@ -78,6 +81,17 @@ export function ProgressionPlayer({
     return () => clearInterval(interval);
   }, [playing, speed, frameDelay, loop, snapshots.length]);
 
+  // Same cells and timing as the player, at the selected speed
+  const exportGif = () => {
+    const bytes = progressionToGif(snapshots, { cellSize, frameDelay: frameDelay / speed });
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'image/gif' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${exportName.replaceAll('/', '-')}.gif`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const snapshot = snapshots[frameIndex];
   if (!snapshot) return null;
 
@@ -143,6 +157,20 @@ export function ProgressionPlayer({
           }}
           style={{ flex: 1, cursor: 'pointer' }}
         />
+        <button
+          onClick={exportGif}
+          title="Download this progression as an animated GIF"
+          style={{
+            background: colors.buttonBg,
+            border: `1px solid ${colors.buttonBorder}`,
+            color: colors.text,
+            padding: '4px 8px',
+            borderRadius: 4,
+            cursor: 'pointer',
+          }}
+        >
+          Export GIF
+        </button>
       </div>
     </div>
   );
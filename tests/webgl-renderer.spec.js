@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+
+// WebGL2 / Canvas2D parity for the scene's base layers
+// Renders the same deterministic scene with both backends (WebGL into an offscreen
+// framebuffer) and compares the pixels within a tolerance: anti-aliased wave edges
+// and foam contour strokes differ slightly, layer colors and placement must not.
+
+const SIZE = { width: 320, height: 240 };
+
+test.describe('WebGL renderer', () => {
+    test('matches the Canvas2D scene within tolerance', async ({ page }) => {
+        await page.addInitScript(() => localStorage.clear());
+        await page.goto('/');
+
+        const result = await page.evaluate(async ({ width, height }) => {
+            const { runHeadlessSimulation } = await import('/packages/core/src/sim/headlessRunner.ts');
+            const { buildScene } = await import('/packages/core/src/render/sceneRenderer.ts');
+            const { createCanvas2DRenderer, compareImages } = await import(
+                '/packages/core/src/render/renderBackend.ts'
+            );
+            const { createWebGLRenderer } = await import('/packages/core/src/render/webglRenderer.ts');
+
+            // 30 seconds from a fixed seed: waves in flight, energy and foam on the grids
+            const { store } = runHeadlessSimulation({ minutes: 0.5, seed: 7, viewport: { width, height } });
+            const world = store.getState();
+            const scene = buildScene(
+                world,
+                {
+                    ...world.toggles,
+                    showBathymetry: true,
+                    showEnergyField: true,
+                    showFoamZones: true,
+                    showSetWaves: true,
+                    showBackgroundWaves: true,
+                },
+                width,
+                height
+            );
+
+            const makeCanvas = () => Object.assign(document.createElement('canvas'), { width, height });
+            const gl = createWebGLRenderer(makeCanvas(), { offscreen: true });
+            if (!gl) return null;
+            const canvas2d = createCanvas2DRenderer(makeCanvas());
+
+            canvas2d.draw(scene);
+            gl.draw(scene);
+            const comparison = compareImages(canvas2d.readPixels(), gl.readPixels(), { threshold: 48 });
+            gl.dispose();
+            return { ...comparison, waves: scene.waves.length };
+        }, SIZE);
+
+        test.skip(result === null, 'WebGL2 is not available in this browser');
+
+        expect(result.waves).toBeGreaterThan(0);
+        expect(result.meanError).toBeLessThan(12);
+        expect(result.mismatchRatio).toBeLessThan(0.08);
+    });
+});